@@ -0,0 +1,472 @@
+import Ajv2020 from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+import express from "express";
+import logger from "../util/logger.js";
+import { Problem, ProblemType, sendProblem } from "./problem.js";
+
+/**
+ * The key the schema components of the OpenAPI document are registered under with the schema validators
+ */
+const DOCUMENT_KEY = "openapi.json";
+
+/**
+ * The prefix of the references to the schema components of the OpenAPI document
+ */
+const SCHEMA_COMPONENTS_PREFIX = "#/components/schemas/";
+
+const HTTP_METHODS = Object.freeze(["get", "put", "post", "delete", "options", "head", "patch", "trace"]);
+
+/**
+ * The keywords the OpenAPI base vocabulary adds to the JSON Schema 2020-12 dialect, they only annotate the schemas
+ * Reference:
+ * https://spec.openapis.org/oas/v3.1.0#fixed-fields-19
+ */
+const OPENAPI_VOCABULARY = Object.freeze(["discriminator", "xml", "externalDocs", "example"]);
+
+/**
+ * The only form of integer parameters accepted, as they would otherwise be converted from any string JavaScript reads
+ * as an integer, such as 1e2 or 0x64
+ */
+const INTEGER_PARAMETER_PATTERN = /^[+-]?\d+$/;
+
+/**
+ * @param {object} schema a schema of the OpenAPI document
+ * @return {object} a copy of the schema with its references to schema components made to the registered components
+ */
+function toDocumentSchema(schema) {
+	return JSON.parse(JSON.stringify(schema), (key, value) =>
+		key === "$ref" && value.startsWith(SCHEMA_COMPONENTS_PREFIX)
+			? `${DOCUMENT_KEY}#/$defs/${value.slice(SCHEMA_COMPONENTS_PREFIX.length)}`
+			: value,
+	);
+}
+
+/**
+ * @param {{instancePath: string, message: string}[]} errors the errors of a validation
+ * @param {string} dataVar the name of the validated part of the request or response
+ * @return {string} the errors, each with the path of the property it is about, such as body.tags[0]
+ */
+function errorsText(errors, dataVar) {
+	return errors
+		.map(({ instancePath, message }) => {
+			const path = instancePath
+				.split("/")
+				.slice(1)
+				.map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+				.map((segment) => (/^\d+$/.test(segment) ? `[${segment}]` : `.${segment}`))
+				.join("");
+
+			return `${dataVar}${path} ${message}`;
+		})
+		.join(", ");
+}
+
+/**
+ * @param {string} template a path template of the OpenAPI document, such as /notes/{id}
+ * @return {{parameterNames: string[], regExp: RegExp, literalSegments: boolean[]}} what matches the template
+ */
+function compilePathTemplate(template) {
+	const segments = template.split("/").slice(1);
+	const parameterNames = [];
+
+	const source = segments
+		.map((segment) => {
+			const match = /^\{([^}]+)\}$/.exec(segment);
+			if (!match) {
+				return `/${segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`;
+			}
+
+			parameterNames.push(match[1]);
+			return "/([^/]+)";
+		})
+		.join("");
+
+	return {
+		parameterNames: parameterNames,
+		// Express matches paths regardless of case
+		regExp: new RegExp(`^${source || "/"}$`, "i"),
+		literalSegments: segments.map((segment) => !segment.startsWith("{")),
+	};
+}
+
+/**
+ * Orders templates so that literal segments are tried before parameters at the same position,
+ * as /notes/search must not be matched as the note with id "search"
+ * @param {{literalSegments: boolean[]}} a
+ * @param {{literalSegments: boolean[]}} b
+ * @return {number}
+ */
+function compareSpecificity(a, b) {
+	for (let i = 0; i < Math.min(a.literalSegments.length, b.literalSegments.length); i++) {
+		if (a.literalSegments[i] !== b.literalSegments[i]) {
+			return a.literalSegments[i] ? -1 : 1;
+		}
+	}
+
+	return 0;
+}
+
+/**
+ * Validates requests against an OpenAPI document, and optionally the JSON bodies of the responses to them,
+ * so the document stays an accurate contract to generate clients from
+ * Parameters are validated as the strings they are sent as, converted to the types of their schemas
+ * Schemas are validated with the JSON Schema 2020-12 dialect of OpenAPI 3.1
+ * Reference:
+ * https://spec.openapis.org/oas/v3.1.0#operation-object
+ */
+export default class OpenApiValidator {
+	/**
+	 * @type {object}
+	 */
+	#document;
+
+	/**
+	 * @type {string}
+	 */
+	#basePath;
+
+	/**
+	 * @type {boolean}
+	 */
+	#validateResponses;
+
+	/**
+	 * The operations of the document, most specific path templates first
+	 * @type {{regExp: RegExp, parameterNames: string[], operations: Map<string, object>}[]}
+	 */
+	#paths;
+
+	/**
+	 * Converts the parameter strings to the types of their schemas, a single value into an array
+	 * @type {Ajv2020}
+	 */
+	#parameterAjv;
+
+	/**
+	 * @type {Ajv2020}
+	 */
+	#bodyAjv;
+
+	/**
+	 * @param {object} document the OpenAPI document, its first server URL being where its paths are served
+	 * @param {object} [options]
+	 * @param {boolean} [options.validateResponses] whether to check the JSON bodies of responses against the document,
+	 * those which do not match are replaced with a 500 Internal Server Error, false by default
+	 */
+	constructor(document, { validateResponses = false } = {}) {
+		if (typeof document !== "object" || document === null || typeof document.paths !== "object") {
+			throw new TypeError(`document must be an OpenAPI document, was type ${typeof document} with value ${document}`);
+		}
+
+		if (typeof validateResponses !== "boolean") {
+			throw new TypeError(
+				`validateResponses must be a boolean, was type ${typeof validateResponses} with value ${validateResponses}`,
+			);
+		}
+
+		this.#document = document;
+		this.#basePath = new URL(document.servers?.[0]?.url ?? "/", "http://localhost").pathname.replace(/\/$/, "");
+		this.#validateResponses = validateResponses;
+
+		// Nullable values are described with union types, such as ["string", "null"]
+		const ajvOptions = { allowUnionTypes: true };
+		this.#parameterAjv = OpenApiValidator.#createAjv(document, { ...ajvOptions, coerceTypes: "array" });
+		this.#bodyAjv = OpenApiValidator.#createAjv(document, ajvOptions);
+
+		this.#paths = Object.entries(document.paths)
+			.map(([template, pathItem]) => ({
+				...compilePathTemplate(template),
+				operations: this.#compileOperations(pathItem),
+			}))
+			.sort(compareSpecificity);
+	}
+
+	/**
+	 * @param {object} document
+	 * @param {object} options
+	 * @return {Ajv2020} a validator of the schemas of the document, checking the formats they name
+	 */
+	static #createAjv(document, options) {
+		const ajv = new Ajv2020(options).addVocabulary(OPENAPI_VOCABULARY);
+		addFormats(ajv);
+
+		// The document itself is not a schema, only its schema components are registered
+		return ajv.addSchema({ $id: DOCUMENT_KEY, $defs: toDocumentSchema(document.components?.schemas ?? {}) });
+	}
+
+	/**
+	 * @param {object} object an object of the document which may be a reference to a component
+	 * @return {object} the object, or the component it references
+	 */
+	#resolve(object) {
+		if (typeof object?.$ref !== "string") {
+			return object;
+		}
+
+		return object.$ref
+			.slice(2)
+			.split("/")
+			.reduce((parent, name) => parent?.[name.replace(/~1/g, "/").replace(/~0/g, "~")], this.#document);
+	}
+
+	/**
+	 * @param {object[]} parameters
+	 * @return {?function(object): boolean} the validator of the parameters, null if there are none
+	 */
+	#compileParameters(parameters) {
+		if (parameters.length === 0) {
+			return null;
+		}
+
+		const validateConverted = this.#parameterAjv.compile({
+			type: "object",
+			properties: Object.fromEntries(parameters.map(({ name, schema }) => [name, toDocumentSchema(schema ?? {})])),
+			required: parameters.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+		});
+		const integerNames = parameters.filter(({ schema }) => schema?.type === "integer").map(({ name }) => name);
+
+		const validate = (values) => {
+			// Integers are checked as sent, before they are converted
+			const invalidName = integerNames.find(
+				(name) => typeof values[name] === "string" && !INTEGER_PARAMETER_PATTERN.test(values[name]),
+			);
+			if (invalidName !== undefined) {
+				validate.errors = [{ instancePath: `/${invalidName}`, message: "must be integer" }];
+				return false;
+			}
+
+			const valid = validateConverted(values);
+			validate.errors = validateConverted.errors;
+
+			return valid;
+		};
+
+		return validate;
+	}
+
+	/**
+	 * @param {object} content the media types of a request or response body, keyed by media type range
+	 * @return {Map<string, function(*): boolean>} the validator of each media type with a schema
+	 */
+	#compileContent(content = {}) {
+		return new Map(
+			Object.entries(content)
+				.filter(([, mediaType]) => mediaType.schema !== undefined)
+				.map(([mediaTypeRange, mediaType]) => [
+					mediaTypeRange,
+					this.#bodyAjv.compile(toDocumentSchema(mediaType.schema)),
+				]),
+		);
+	}
+
+	/**
+	 * @param {object} pathItem
+	 * @return {Map<string, object>} the compiled validators of each operation of the path, keyed by method
+	 */
+	#compileOperations(pathItem) {
+		const operations = new Map();
+
+		for (const method of HTTP_METHODS.filter((method) => pathItem[method] !== undefined)) {
+			const operation = pathItem[method];
+
+			// Parameters of the operation override those of the path with the same name and location
+			const parameters = new Map();
+			for (const parameter of [...(pathItem.parameters ?? []), ...(operation.parameters ?? [])].map((parameter) =>
+				this.#resolve(parameter),
+			)) {
+				parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+			}
+
+			const parametersIn = (location) => [...parameters.values()].filter((parameter) => parameter.in === location);
+			const requestBody = this.#resolve(operation.requestBody);
+
+			operations.set(method, {
+				operationId: operation.operationId,
+				validatePath: this.#compileParameters(parametersIn("path")),
+				validateQuery: this.#compileParameters(parametersIn("query")),
+				requestBody: requestBody && {
+					required: requestBody.required === true,
+					validators: this.#compileContent(requestBody.content),
+				},
+				responses: new Map(
+					Object.entries(operation.responses ?? {}).map(([statusCode, response]) => [
+						statusCode,
+						this.#compileContent(this.#resolve(response).content),
+					]),
+				),
+			});
+		}
+
+		return operations;
+	}
+
+	/**
+	 * @param {express.Request} req
+	 * @return {?{operation: object, pathParameters: Object<string, string>}} the operation of the request,
+	 * null if the document does not describe it
+	 */
+	#findOperation(req) {
+		// Express matches paths regardless of case and skips a slash repeated after a mounted path, a request whose
+		// operation is not found for a difference Express ignores would otherwise reach the routes unvalidated
+		const fullPath = `${req.baseUrl}${req.path}`.replace(/\/{2,}/g, "/");
+		if (!fullPath.toLowerCase().startsWith(this.#basePath.toLowerCase())) {
+			return null;
+		}
+
+		// Express ignores a trailing slash when routing
+		const path = fullPath.slice(this.#basePath.length).replace(/(.)\/$/, "$1") || "/";
+		const method = req.method.toLowerCase();
+
+		for (const { regExp, parameterNames, operations } of this.#paths) {
+			const match = regExp.exec(path);
+			if (!match) {
+				continue;
+			}
+
+			// Express answers HEAD requests with the GET route
+			const operation = operations.get(method) ?? (method === "head" ? operations.get("get") : undefined);
+			if (!operation) {
+				return null;
+			}
+
+			try {
+				return {
+					operation: operation,
+					pathParameters: Object.fromEntries(
+						parameterNames.map((name, index) => [name, decodeURIComponent(match[index + 1])]),
+					),
+				};
+			} catch (err) {
+				// A malformed percent-encoding, Express fails the request the same way
+				return null;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * @param {function(*): boolean} validate
+	 * @param {*} data
+	 * @param {string} dataVar the name of the validated part of the request or response in error messages
+	 * @return {?string} the validation errors, null if the data is valid
+	 */
+	#errorsOf(validate, data, dataVar) {
+		return validate(data) ? null : errorsText(validate.errors, dataVar);
+	}
+
+	/**
+	 * @param {object} operation
+	 * @param {express.Request} req
+	 * @param {Object<string, string>} pathParameters
+	 * @return {?string} the errors of the request, null if it is valid
+	 */
+	#requestErrors(operation, req, pathParameters) {
+		// The parameters are converted on copies, the routes parse the strings they were sent as
+		if (operation.validatePath) {
+			const errors = this.#errorsOf(operation.validatePath, { ...pathParameters }, "path");
+			if (errors) {
+				return errors;
+			}
+		}
+
+		if (operation.validateQuery) {
+			const errors = this.#errorsOf(operation.validateQuery, structuredClone(req.query), "query");
+			if (errors) {
+				return errors;
+			}
+		}
+
+		const { requestBody } = operation;
+		if (requestBody && requestBody.validators.size > 0) {
+			const mediaTypeRanges = [...requestBody.validators.keys()];
+			const mediaType = req.is(mediaTypeRanges);
+
+			// Bodies which were not parsed are empty objects, checked as the first media type so missing fields are
+			// reported, while an optional body of another media type is left to the route
+			if (mediaType !== false || requestBody.required) {
+				const validate = requestBody.validators.get(mediaType || mediaTypeRanges[0]);
+
+				return this.#errorsOf(validate, req.body, "body");
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Replace the json method of the response with one which checks the body against the responses of the operation
+	 * @param {object} operation
+	 * @param {express.Request} req
+	 * @param {express.Response} res
+	 */
+	#checkResponses(operation, req, res) {
+		const json = res.json;
+
+		res.json = (body) => {
+			const statusCode = `${res.statusCode}`;
+			const content = operation.responses.get(statusCode) ?? operation.responses.get("default");
+
+			let errors;
+			if (content === undefined) {
+				errors = `status ${statusCode} is not a documented response`;
+			} else {
+				// Errors are sent as problem details, everything else as JSON
+				const mediaType = res.get("Content-Type")?.split(";")[0].trim() ?? "application/json";
+				const validate = content.get(mediaType);
+
+				// Validated as serialized, dates and ids are strings in the body
+				errors = validate ? this.#errorsOf(validate, JSON.parse(JSON.stringify(body) ?? "null"), "response") : null;
+			}
+
+			if (errors) {
+				logger.error(`Response of ${operation.operationId} does not match the OpenAPI document: ${errors}`);
+
+				// The problem itself is sent as it is, it could otherwise be replaced again
+				res.json = json;
+				sendProblem(
+					req,
+					res,
+					new Problem(ProblemType.INTERNAL_ERROR, `The response does not match the API description: ${errors}`),
+				);
+
+				return res;
+			}
+
+			return json.call(res, body);
+		};
+	}
+
+	/**
+	 * Validate a request, passing on a 400 Bad Request problem when it does not match its operation
+	 * Requests for paths or methods the document does not describe are passed on as they are
+	 * @param {express.Request} req
+	 * @param {express.Response} res
+	 * @param {express.NextFunction} next
+	 */
+	validate(req, res, next) {
+		// Mounted on several routers, a request is only validated by the first it reaches
+		if (res.locals.openApiOperationId !== undefined) {
+			return next();
+		}
+
+		const found = this.#findOperation(req);
+		if (!found) {
+			return next();
+		}
+
+		const { operation, pathParameters } = found;
+		res.locals.openApiOperationId = operation.operationId;
+
+		const errors = this.#requestErrors(operation, req, pathParameters);
+		if (errors) {
+			return next(new Problem(ProblemType.INVALID_REQUEST, `Invalid request: ${errors}`));
+		}
+
+		if (this.#validateResponses) {
+			this.#checkResponses(operation, req, res);
+		}
+
+		next();
+	}
+}
@@ -0,0 +1,1176 @@
+import { StatusCodes } from "http-status-codes";
+import NoteDao from "../dao/note-dao.js";
+import NoteService from "../service/note-service.js";
+import { NoteBatchOperation } from "../model/note-batch.js";
+import { NoteImportConflictPolicy, NoteImportReport } from "../model/note-import.js";
+import { NoteListSort } from "../model/note-list-query.js";
+import { NoteShare } from "../model/note-share.js";
+import { TagFilter } from "../model/tag.js";
+import { MAX_PASSWORD_LENGTH } from "../util/password.js";
+import NoteRoutes from "../routes/note-routes.js";
+import { MARKDOWN_EXTENSIONS } from "../service/note-converters.js";
+import { PROBLEM_JSON, ProblemType } from "./problem.js";
+
+/**
+ * The OpenAPI description of the /api/v1 routes, maintained alongside the routes it describes
+ * Requests are validated against it, and responses too outside of production, so it cannot drift from what the
+ * routes do unnoticed
+ * Schemas are in the JSON Schema 2020-12 dialect of OpenAPI 3.1, which the validator implements
+ * Reference:
+ * https://spec.openapis.org/oas/v3.1.0
+ */
+
+/**
+ * Matches what the uuid package accepts as a version 4 UUID, any other version is rejected by {@link UuidV4}
+ */
+const UUID_V4_PATTERN = "^[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-4[0-9A-Fa-f]{3}-[89ABab][0-9A-Fa-f]{3}-[0-9A-Fa-f]{12}$";
+
+/**
+ * An ISO 8601 date, or date and time with a UTC offset, as the date and time filters of the note list accept
+ */
+const DATE_TIME_PATTERN = "^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d{1,3})?)?(Z|[+-]\\d{2}:\\d{2}))?$";
+
+/**
+ * The names of the response components of the error status codes
+ */
+const ERROR_RESPONSE_NAMES = Object.freeze({
+	[StatusCodes.BAD_REQUEST]: "BadRequest",
+	[StatusCodes.UNAUTHORIZED]: "Unauthorized",
+	[StatusCodes.FORBIDDEN]: "Forbidden",
+	[StatusCodes.NOT_FOUND]: "NotFound",
+	[StatusCodes.NOT_ACCEPTABLE]: "NotAcceptable",
+	[StatusCodes.PRECONDITION_FAILED]: "PreconditionFailed",
+	[StatusCodes.REQUEST_TOO_LONG]: "PayloadTooLarge",
+	[StatusCodes.UNSUPPORTED_MEDIA_TYPE]: "UnsupportedMediaType",
+	[StatusCodes.UNPROCESSABLE_ENTITY]: "UnprocessableEntity",
+	[StatusCodes.TOO_MANY_REQUESTS]: "TooManyRequests",
+	[StatusCodes.INTERNAL_SERVER_ERROR]: "InternalServerError",
+});
+
+/**
+ * @param {string} name
+ * @return {{$ref: string}} a reference to the schema component
+ */
+function schemaRef(name) {
+	return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * @param {object} schema
+ * @return {object} the content of a JSON body with the schema
+ */
+function jsonContent(schema) {
+	return { "application/json": { schema: schema } };
+}
+
+/**
+ * @param {string} description
+ * @param {string} schemaName
+ * @param {object} [headers]
+ * @return {object} a response with a JSON body
+ */
+function jsonResponse(description, schemaName, headers) {
+	return {
+		description: description,
+		...(headers && { headers: headers }),
+		content: jsonContent(schemaRef(schemaName)),
+	};
+}
+
+/**
+ * @param {string} description
+ * @param {object} [headers]
+ * @param {string} [schemaName] the schema of the problem details, Problem by default
+ * @return {object} a response with problem details as its body
+ */
+function problemResponse(description, headers, schemaName = "Problem") {
+	return {
+		description: description,
+		...(headers && { headers: headers }),
+		content: { [PROBLEM_JSON]: { schema: schemaRef(schemaName) } },
+	};
+}
+
+/**
+ * @param {...string} names
+ * @return {{$ref: string}[]} references to the parameter components
+ */
+function parameterRefs(...names) {
+	return names.map((name) => ({ $ref: `#/components/parameters/${name}` }));
+}
+
+/**
+ * @param {...number} statusCodes
+ * @return {Object<string, {$ref: string}>} references to the response components of the status codes
+ */
+function errorResponses(...statusCodes) {
+	return Object.fromEntries(
+		statusCodes.map((statusCode) => [
+			statusCode,
+			{ $ref: `#/components/responses/${ERROR_RESPONSE_NAMES[statusCode]}` },
+		]),
+	);
+}
+
+/**
+ * @param {object} operation
+ * @return {object} the operation with the responses every authenticated and rate limited request may have,
+ * and those of the body parser if it has a request body
+ */
+function authenticated(operation) {
+	return {
+		...operation,
+		responses: {
+			...(operation.requestBody &&
+				errorResponses(StatusCodes.BAD_REQUEST, StatusCodes.REQUEST_TOO_LONG, StatusCodes.UNSUPPORTED_MEDIA_TYPE)),
+			...operation.responses,
+			...errorResponses(StatusCodes.UNAUTHORIZED, StatusCodes.TOO_MANY_REQUESTS, StatusCodes.INTERNAL_SERVER_ERROR),
+		},
+	};
+}
+
+/**
+ * A note as Markdown or plain text, its content after a YAML front matter block with its other fields
+ */
+const NOTE_TEXT_SCHEMA = {
+	type: "string",
+	description: "The content of the note, after a YAML front matter block with its other fields",
+};
+
+/**
+ * Markdown and plain text bodies are the content of the note, and only the tags of their front matter are read
+ */
+const NOTE_TEXT_INPUT_SCHEMA = {
+	type: "string",
+	description: "The content of the note, after an optional YAML front matter block with its tags",
+};
+
+/**
+ * A note replacing another gives its tags, so that leaving them out cannot remove them by mistake
+ */
+const NOTE_TEXT_REPLACEMENT_SCHEMA = {
+	type: "string",
+	description: "The content of the note, after a YAML front matter block with its tags, an empty list removing them",
+};
+
+const PAGE_LINK_HEADER = { Link: { description: "The next and prev pages", schema: { type: "string" } } };
+
+const ETAG_HEADER = {
+	ETag: {
+		description:
+			"The version of the note, followed by the subtype of the media type of representations other than JSON",
+		schema: { type: "string" },
+	},
+};
+
+const PROBLEM_CODES = ProblemType.TYPES.map((type) => type.code);
+
+const schemas = {
+	Problem: {
+		type: "object",
+		description: "Problem details, as described by RFC 9457, which may have further members depending on the type",
+		required: ["type", "title", "status", "detail", "instance", "code", "requestId"],
+		properties: {
+			type: { type: "string", format: "uri-reference", description: "Where the problem type is documented" },
+			title: { type: "string", description: "The same for every occurrence of the problem type" },
+			status: { type: "integer" },
+			detail: { type: "string", description: "What went wrong with this occurrence of the problem" },
+			instance: { type: "string", format: "uri-reference", description: "The request URI" },
+			code: { enum: PROBLEM_CODES, description: "Identifies the problem type, for clients to act on" },
+			requestId: { type: ["string", "null"], description: "The X-Request-Id of the request, to report the problem" },
+		},
+	},
+	PreconditionFailedProblem: {
+		allOf: [
+			schemaRef("Problem"),
+			{
+				type: "object",
+				required: ["currentNote"],
+				properties: { currentNote: schemaRef("Note") },
+			},
+		],
+	},
+	UuidV4: { type: "string", format: "uuid", pattern: UUID_V4_PATTERN },
+	DateTime: { type: "string", format: "date-time" },
+	TagName: {
+		type: "string",
+		minLength: 1,
+		description: 'Tag names are normalized, so "#Work", "work" and " WORK " are the same tag',
+	},
+	Alive: {
+		type: "object",
+		required: ["message"],
+		properties: { message: { type: "string" } },
+		additionalProperties: false,
+	},
+	Note: {
+		type: "object",
+		required: ["id", "content", "tags", "creationDateTime", "lastUpdatedDateTime", "version"],
+		properties: {
+			id: schemaRef("UuidV4"),
+			content: { type: "string" },
+			tags: { type: "array", items: schemaRef("TagName") },
+			creationDateTime: schemaRef("DateTime"),
+			lastUpdatedDateTime: schemaRef("DateTime"),
+			version: { type: "integer", minimum: 1 },
+			deletedDateTime: { ...schemaRef("DateTime"), description: "Only set for notes in the trash" },
+			ownerId: { ...schemaRef("UuidV4"), description: "Not disclosed through public links" },
+		},
+		additionalProperties: false,
+	},
+	NoteInput: {
+		type: "object",
+		required: ["content"],
+		properties: {
+			content: { type: "string" },
+			tags: { type: "array", items: schemaRef("TagName") },
+		},
+	},
+	NoteReplacement: {
+		type: "object",
+		required: ["content", "tags"],
+		properties: {
+			content: { type: "string" },
+			tags: {
+				type: "array",
+				items: schemaRef("TagName"),
+				description: "The tags replace those of the note, an empty list removing them",
+			},
+		},
+	},
+	NoteMergePatch: {
+		type: "object",
+		description: "The fields of the note to replace, a note which is not valid once patched is unprocessable",
+		properties: {
+			content: { description: "The new content of the note" },
+			tags: { description: "The new tag names of the note" },
+		},
+	},
+	JsonPatch: {
+		type: "array",
+		items: {
+			type: "object",
+			required: ["op", "path"],
+			properties: {
+				op: { enum: ["add", "remove", "replace", "move", "copy", "test"] },
+				path: { type: "string" },
+				from: { type: "string" },
+				value: {},
+			},
+		},
+	},
+	CreatedNote: {
+		type: "object",
+		required: ["id"],
+		properties: { id: schemaRef("UuidV4") },
+		additionalProperties: false,
+	},
+	NoteList: {
+		type: "object",
+		required: ["notes"],
+		properties: { notes: { type: "array", items: schemaRef("Note") } },
+		additionalProperties: false,
+	},
+	NoteListPage: {
+		type: "object",
+		required: ["pageSize", "notes", "nextCursor", "prevCursor"],
+		properties: {
+			pageSize: { type: "integer" },
+			notes: { type: "array", items: schemaRef("Note") },
+			nextCursor: { type: ["string", "null"] },
+			prevCursor: { type: ["string", "null"] },
+		},
+		additionalProperties: false,
+	},
+	NoteSearchResultPage: {
+		type: "object",
+		required: ["pageSize", "results", "nextCursor", "prevCursor"],
+		properties: {
+			pageSize: { type: "integer" },
+			nextCursor: { type: ["string", "null"] },
+			prevCursor: { type: ["string", "null"] },
+			results: {
+				type: "array",
+				items: {
+					type: "object",
+					required: ["note", "snippet"],
+					properties: { note: schemaRef("Note"), snippet: { type: "string" } },
+					additionalProperties: false,
+				},
+			},
+		},
+		additionalProperties: false,
+	},
+	NoteBatch: {
+		type: "object",
+		required: ["operations"],
+		properties: {
+			operations: {
+				type: "array",
+				minItems: 1,
+				maxItems: NoteService.MAX_BATCH_SIZE,
+				items: {
+					oneOf: [
+						schemaRef("NoteBatchCreateOperation"),
+						schemaRef("NoteBatchUpdateOperation"),
+						schemaRef("NoteBatchDeleteOperation"),
+					],
+					discriminator: {
+						propertyName: "op",
+						mapping: {
+							[NoteBatchOperation.CREATE]: "#/components/schemas/NoteBatchCreateOperation",
+							[NoteBatchOperation.UPDATE]: "#/components/schemas/NoteBatchUpdateOperation",
+							[NoteBatchOperation.DELETE]: "#/components/schemas/NoteBatchDeleteOperation",
+						},
+					},
+				},
+			},
+			atomic: {
+				type: "boolean",
+				default: true,
+				description: "Whether the operations are all rolled back when one of them fails",
+			},
+		},
+	},
+	NoteBatchCreateOperation: {
+		type: "object",
+		required: ["op", "content"],
+		properties: {
+			op: { const: NoteBatchOperation.CREATE },
+			content: { type: "string" },
+			tags: { type: "array", items: schemaRef("TagName") },
+		},
+	},
+	NoteBatchUpdateOperation: {
+		type: "object",
+		required: ["op", "id", "content"],
+		properties: {
+			op: { const: NoteBatchOperation.UPDATE },
+			id: schemaRef("UuidV4"),
+			content: { type: "string" },
+			tags: { type: "array", items: schemaRef("TagName") },
+			version: { type: "integer", description: "Only apply the operation to this version of the note" },
+		},
+	},
+	NoteBatchDeleteOperation: {
+		type: "object",
+		required: ["op", "id"],
+		properties: {
+			op: { const: NoteBatchOperation.DELETE },
+			id: schemaRef("UuidV4"),
+			version: { type: "integer", description: "Only apply the operation to this version of the note" },
+			permanent: { type: "boolean", default: false },
+		},
+	},
+	NoteBatchResults: {
+		type: "object",
+		required: ["atomic", "results"],
+		properties: {
+			atomic: { type: "boolean" },
+			results: {
+				type: "array",
+				items: {
+					type: "object",
+					required: ["status"],
+					description: "The status the operation would have had as a separate request",
+					properties: {
+						status: { type: "integer" },
+						id: schemaRef("UuidV4"),
+						note: schemaRef("Note"),
+						code: { enum: PROBLEM_CODES },
+						error: { type: "string" },
+					},
+					additionalProperties: false,
+				},
+			},
+		},
+		additionalProperties: false,
+	},
+	NoteImportReport: {
+		type: "object",
+		required: ["created", "overwritten", "skipped", "failed", "errors"],
+		properties: {
+			created: { type: "integer", minimum: 0 },
+			overwritten: { type: "integer", minimum: 0 },
+			skipped: { type: "integer", minimum: 0, description: "Notes left out as their ids were taken" },
+			failed: { type: "integer", minimum: 0, description: "Lines which could not be imported" },
+			errors: {
+				type: "array",
+				maxItems: NoteImportReport.MAX_ERRORS,
+				description: "Why lines could not be imported, only the first are listed",
+				items: {
+					type: "object",
+					required: ["line", "id", "error"],
+					properties: {
+						line: { type: "integer", minimum: 1 },
+						id: { type: ["string", "null"], pattern: UUID_V4_PATTERN },
+						error: { type: "string" },
+					},
+					additionalProperties: false,
+				},
+			},
+		},
+		additionalProperties: false,
+	},
+	NoteImportConflictProblem: {
+		allOf: [
+			schemaRef("Problem"),
+			{
+				type: "object",
+				required: ["report"],
+				properties: { report: schemaRef("NoteImportReport") },
+			},
+		],
+	},
+	NoteConversionReport: {
+		type: "object",
+		required: ["created", "skipped", "items"],
+		properties: {
+			created: { type: "integer", minimum: 0 },
+			skipped: { type: "integer", minimum: 0, description: "Items which could not be converted to notes" },
+			items: {
+				type: "array",
+				maxItems: NoteService.MAX_CONVERTED_NOTES,
+				description: "Every item of the export in order, with the note created from it and its warnings",
+				items: {
+					type: "object",
+					required: ["source", "id", "warnings"],
+					properties: {
+						source: {
+							type: "string",
+							description: "The title of the note or the path of the file in the export",
+						},
+						id: {
+							type: ["string", "null"],
+							pattern: UUID_V4_PATTERN,
+							description: "The id of the note created from the item, null if it could not be converted",
+						},
+						warnings: {
+							type: "array",
+							items: { type: "string" },
+							description: "What was lost converting the item, or why it could not be converted",
+						},
+					},
+					additionalProperties: false,
+				},
+			},
+		},
+		additionalProperties: false,
+	},
+	NoteRevision: {
+		type: "object",
+		required: ["noteId", "revision", "content", "creationDateTime"],
+		properties: {
+			noteId: schemaRef("UuidV4"),
+			revision: { type: "integer", minimum: 1 },
+			content: { type: "string" },
+			creationDateTime: schemaRef("DateTime"),
+		},
+		additionalProperties: false,
+	},
+	NoteRevisionListPage: {
+		type: "object",
+		required: ["pageSize", "revisions"],
+		properties: {
+			pageSize: { type: "integer" },
+			revisions: { type: "array", items: schemaRef("NoteRevision") },
+		},
+		additionalProperties: false,
+	},
+	NoteRevisionDiff: {
+		type: "object",
+		required: ["noteId", "fromRevision", "toRevision", "changes"],
+		properties: {
+			noteId: schemaRef("UuidV4"),
+			fromRevision: { type: "integer", minimum: 1 },
+			toRevision: { type: "integer", minimum: 1 },
+			changes: {
+				type: "array",
+				items: {
+					type: "object",
+					required: ["type", "line"],
+					properties: { type: { enum: ["equal", "delete", "insert"] }, line: { type: "string" } },
+					additionalProperties: false,
+				},
+			},
+		},
+		additionalProperties: false,
+	},
+	NoteShare: {
+		type: "object",
+		required: ["noteId", "userId", "userName", "permission", "creationDateTime"],
+		properties: {
+			noteId: schemaRef("UuidV4"),
+			userId: schemaRef("UuidV4"),
+			userName: { type: "string" },
+			permission: { enum: [NoteShare.READ, NoteShare.WRITE] },
+			creationDateTime: schemaRef("DateTime"),
+		},
+		additionalProperties: false,
+	},
+	NoteShareInput: {
+		type: "object",
+		required: ["userName", "permission"],
+		properties: {
+			userName: { type: "string", pattern: "\\S" },
+			permission: { enum: [NoteShare.READ, NoteShare.WRITE] },
+		},
+	},
+	NoteShareList: {
+		type: "object",
+		required: ["shares"],
+		properties: { shares: { type: "array", items: schemaRef("NoteShare") } },
+		additionalProperties: false,
+	},
+	NotePublicLink: {
+		type: "object",
+		required: ["id", "noteId", "expiryDateTime", "passwordProtected", "creationDateTime"],
+		properties: {
+			id: schemaRef("UuidV4"),
+			noteId: schemaRef("UuidV4"),
+			expiryDateTime: { type: ["string", "null"], format: "date-time" },
+			passwordProtected: { type: "boolean" },
+			creationDateTime: schemaRef("DateTime"),
+		},
+		additionalProperties: false,
+	},
+	NotePublicLinkInput: {
+		type: "object",
+		properties: {
+			expiryDateTime: { type: ["string", "null"], pattern: DATE_TIME_PATTERN },
+			password: { type: ["string", "null"], minLength: 1, maxLength: MAX_PASSWORD_LENGTH },
+		},
+	},
+	CreatedNotePublicLink: {
+		type: "object",
+		required: ["id", "noteId", "expiryDateTime", "passwordProtected", "creationDateTime", "token", "url"],
+		properties: {
+			id: schemaRef("UuidV4"),
+			noteId: schemaRef("UuidV4"),
+			expiryDateTime: { type: ["string", "null"], format: "date-time" },
+			passwordProtected: { type: "boolean" },
+			creationDateTime: schemaRef("DateTime"),
+			token: { type: "string", description: "Only ever revealed in this response" },
+			url: {
+				type: "string",
+				format: "uri-reference",
+				description: "Absolute when the server has a public base URL configured, otherwise a path",
+			},
+		},
+		additionalProperties: false,
+	},
+	NotePublicLinkList: {
+		type: "object",
+		required: ["publicLinks"],
+		properties: { publicLinks: { type: "array", items: schemaRef("NotePublicLink") } },
+		additionalProperties: false,
+	},
+	TagUsageList: {
+		type: "object",
+		required: ["tags"],
+		properties: {
+			tags: {
+				type: "array",
+				items: {
+					type: "object",
+					required: ["name", "noteCount"],
+					properties: { name: { type: "string" }, noteCount: { type: "integer", minimum: 0 } },
+					additionalProperties: false,
+				},
+			},
+		},
+		additionalProperties: false,
+	},
+	TagMerge: {
+		type: "object",
+		required: ["sources", "target"],
+		properties: {
+			sources: { type: "array", minItems: 1, items: schemaRef("TagName") },
+			target: schemaRef("TagName"),
+		},
+	},
+	TagRename: {
+		type: "object",
+		required: ["name"],
+		properties: { name: schemaRef("TagName") },
+	},
+};
+
+const parameters = {
+	NoteId: { name: "id", in: "path", required: true, schema: schemaRef("UuidV4") },
+	Revision: { name: "revision", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+	PageSize: {
+		name: "pageSize",
+		in: "query",
+		schema: { type: "integer", minimum: NoteDao.MIN_PAGE_SIZE, maximum: NoteDao.MAX_PAGE_SIZE },
+	},
+	Cursor: {
+		name: "cursor",
+		in: "query",
+		description: "The nextCursor or prevCursor of a page",
+		schema: { type: "string" },
+	},
+	IfMatch: {
+		name: "If-Match",
+		in: "header",
+		description: "Only apply the request if the note is at one of the versions, as sent in the ETag of the note",
+		schema: { type: "string" },
+	},
+};
+
+const responses = {
+	BadRequest: problemResponse("The request is not valid"),
+	Unauthorized: problemResponse("Missing or invalid API key or token", {
+		"WWW-Authenticate": { schema: { type: "string" } },
+	}),
+	Forbidden: problemResponse("The note is shared with the user without the permission needed"),
+	NotFound: problemResponse("The note does not exist or the user has no access to it"),
+	NotAcceptable: problemResponse("None of the media types the resource is available as is acceptable"),
+	PreconditionFailed: problemResponse(
+		"The note is not at a version If-Match allows, the problem has the current note",
+		ETAG_HEADER,
+		"PreconditionFailedProblem",
+	),
+	PayloadTooLarge: problemResponse("The request body is larger than the server accepts"),
+	UnsupportedMediaType: problemResponse("The media type or the charset of the request body is not supported"),
+	UnprocessableEntity: problemResponse("The request is valid but cannot be applied"),
+	TooManyRequests: problemResponse("The rate limit of the user is exceeded", {
+		"Retry-After": { description: "The seconds to wait for", schema: { type: "string" } },
+	}),
+	InternalServerError: problemResponse("Unexpected error"),
+};
+
+const noteListDateTimeParameters = [
+	["createdAfter", "Only notes created at or after"],
+	["createdBefore", "Only notes created before"],
+	["updatedAfter", "Only notes last updated at or after"],
+	["updatedBefore", "Only notes last updated before"],
+].map(([name, description]) => ({
+	name: name,
+	in: "query",
+	description: `${description} the date, or date and time with a UTC offset`,
+	schema: { type: "string", pattern: DATE_TIME_PATTERN },
+}));
+
+const paths = {
+	"/": {
+		get: authenticated({
+			operationId: "checkAlive",
+			summary: "Check the API is reachable with the credentials",
+			responses: { [StatusCodes.OK]: jsonResponse("The API is alive", "Alive") },
+		}),
+	},
+	"/notes": {
+		get: authenticated({
+			operationId: "listNotes",
+			summary: "List a page of notes, or the notes with the given ids",
+			parameters: [
+				{
+					name: "id",
+					in: "query",
+					description:
+						"Return the notes with these ids instead of a page, once each in the order of their first occurrence, cannot be combined with other parameters",
+					schema: { type: "array", maxItems: NoteService.MAX_BATCH_SIZE, items: schemaRef("UuidV4") },
+				},
+				...parameterRefs("PageSize", "Cursor"),
+				{ name: "tag", in: "query", schema: { type: "array", items: schemaRef("TagName") } },
+				{ name: "tagMatch", in: "query", schema: { enum: [TagFilter.ANY, TagFilter.ALL] } },
+				...noteListDateTimeParameters,
+				{
+					name: "sharedWithMe",
+					in: "query",
+					description: "List the notes shared with the user instead of their own",
+					schema: { type: "boolean", default: false },
+				},
+				{
+					name: "sort",
+					in: "query",
+					schema: {
+						enum: [NoteListSort.CREATION_DATE_TIME, NoteListSort.LAST_UPDATED_DATE_TIME, NoteListSort.CONTENT_LENGTH],
+					},
+				},
+				{ name: "order", in: "query", schema: { enum: [NoteListSort.ASC, NoteListSort.DESC] } },
+			],
+			responses: {
+				[StatusCodes.OK]: {
+					description: "The page of notes, or the notes with the ids which exist",
+					headers: PAGE_LINK_HEADER,
+					content: {
+						...jsonContent({ oneOf: [schemaRef("NoteListPage"), schemaRef("NoteList")] }),
+						"text/csv": {
+							schema: {
+								type: "string",
+								description:
+									"A header and a record per note, of its id, version, creationDateTime, lastUpdatedDateTime, " +
+									"tags as a JSON array and content",
+							},
+						},
+					},
+				},
+				...errorResponses(StatusCodes.BAD_REQUEST, StatusCodes.NOT_ACCEPTABLE),
+			},
+		}),
+		post: authenticated({
+			operationId: "createNote",
+			summary: "Create a note",
+			requestBody: {
+				required: true,
+				content: {
+					...jsonContent(schemaRef("NoteInput")),
+					"text/markdown": { schema: NOTE_TEXT_INPUT_SCHEMA },
+					"text/plain": { schema: NOTE_TEXT_INPUT_SCHEMA },
+				},
+			},
+			responses: {
+				[StatusCodes.CREATED]: jsonResponse("The note was created", "CreatedNote"),
+				...errorResponses(StatusCodes.BAD_REQUEST),
+			},
+		}),
+	},
+	"/notes/search": {
+		get: authenticated({
+			operationId: "searchNotes",
+			summary: "Search the content of notes, most relevant first",
+			parameters: [
+				{ name: "q", in: "query", required: true, schema: { type: "string", pattern: "\\S" } },
+				...parameterRefs("PageSize", "Cursor"),
+			],
+			responses: {
+				[StatusCodes.OK]: jsonResponse("The page of matching notes", "NoteSearchResultPage", PAGE_LINK_HEADER),
+				...errorResponses(StatusCodes.BAD_REQUEST),
+			},
+		}),
+	},
+	"/notes/trash": {
+		get: authenticated({
+			operationId: "listTrash",
+			summary: "List a page of notes in the trash, most recently deleted first",
+			parameters: parameterRefs("PageSize", "Cursor"),
+			responses: {
+				[StatusCodes.OK]: jsonResponse("The page of notes in the trash", "NoteListPage", PAGE_LINK_HEADER),
+				...errorResponses(StatusCodes.BAD_REQUEST),
+			},
+		}),
+	},
+	"/notes/batch": {
+		post: authenticated({
+			operationId: "batchNotes",
+			summary: "Apply a batch of create, update and delete operations",
+			requestBody: { required: true, content: jsonContent(schemaRef("NoteBatch")) },
+			responses: {
+				[StatusCodes.OK]: jsonResponse("Every operation was applied", "NoteBatchResults"),
+				[StatusCodes.MULTI_STATUS]: jsonResponse("Some operations were not applied", "NoteBatchResults"),
+				...errorResponses(StatusCodes.BAD_REQUEST),
+			},
+		}),
+	},
+	"/notes/export": {
+		get: authenticated({
+			operationId: "exportNotes",
+			summary: "Export every note, including the notes in the trash, as a note as JSON on each line",
+			responses: {
+				[StatusCodes.OK]: {
+					description: "The notes in id order, a connection closed before the end is an incomplete export",
+					headers: { "Content-Disposition": { schema: { type: "string" } } },
+					content: { [NoteRoutes.NDJSON_MEDIA_TYPE]: {} },
+				},
+			},
+		}),
+	},
+	"/notes/import": {
+		post: authenticated({
+			operationId: "importNotes",
+			summary: "Import notes as exported, keeping their ids, date times and versions",
+			description:
+				"Notes are imported in batches, each in a transaction of its own, and become the user's whoever owned them",
+			parameters: [
+				{
+					name: "conflict",
+					in: "query",
+					description: "What to do with a note whose id is taken, only the user's own notes can be overwritten",
+					schema: { enum: NoteImportConflictPolicy.POLICIES, default: NoteImportConflictPolicy.SKIP },
+				},
+			],
+			requestBody: {
+				required: true,
+				description: "A note as JSON on each line, lines which are not valid notes are reported and left out",
+				content: { [NoteRoutes.NDJSON_MEDIA_TYPE]: {} },
+			},
+			responses: {
+				[StatusCodes.OK]: jsonResponse("The notes were imported", "NoteImportReport"),
+				[StatusCodes.CONFLICT]: problemResponse(
+					"The conflict policy is to fail and the id of a note is taken, the notes of the earlier batches " +
+						"were imported as the report of the problem counts",
+					undefined,
+					"NoteImportConflictProblem",
+				),
+				...errorResponses(StatusCodes.BAD_REQUEST),
+			},
+		}),
+	},
+	"/notes/import/enex": {
+		post: authenticated({
+			operationId: "importEvernoteNotes",
+			summary: "Import the notes of an Evernote export, converting their content to Markdown",
+			description:
+				"Each note becomes a note of the user under a heading with its title, keeping its tags and date times. " +
+				"The export is imported in a single transaction, so either all of its notes are imported or none are.",
+			requestBody: {
+				required: true,
+				description: "An ENEX document, as exported by Evernote",
+				content: Object.fromEntries(NoteRoutes.ENEX_MEDIA_TYPES.map((mediaType) => [mediaType, {}])),
+			},
+			responses: {
+				[StatusCodes.OK]: jsonResponse("The notes were imported", "NoteConversionReport"),
+				...errorResponses(StatusCodes.BAD_REQUEST),
+			},
+		}),
+	},
+	"/notes/import/markdown": {
+		post: authenticated({
+			operationId: "importMarkdownNotes",
+			summary: "Import the Markdown files of a zip archive",
+			description:
+				`Each file ending with ${MARKDOWN_EXTENSIONS.join(" or ")} becomes a note of the user, its title, ` +
+				"tags and date times read from its YAML front matter, its title defaulting to its file name. " +
+				"The archive is imported in a single transaction, so either all of its notes are imported or none are.",
+			requestBody: {
+				required: true,
+				description: "A zip archive of Markdown files, other files are reported and left out",
+				content: { [NoteRoutes.ZIP_MEDIA_TYPE]: {} },
+			},
+			responses: {
+				[StatusCodes.OK]: jsonResponse("The notes were imported", "NoteConversionReport"),
+				...errorResponses(StatusCodes.BAD_REQUEST),
+			},
+		}),
+	},
+	"/notes/{id}": {
+		parameters: parameterRefs("NoteId"),
+		get: authenticated({
+			operationId: "getNote",
+			summary: "Get a note, as JSON, Markdown or plain text",
+			responses: {
+				[StatusCodes.OK]: {
+					description: "The note",
+					headers: ETAG_HEADER,
+					content: {
+						...jsonContent(schemaRef("Note")),
+						"text/markdown": { schema: NOTE_TEXT_SCHEMA },
+						"text/plain": { schema: NOTE_TEXT_SCHEMA },
+					},
+				},
+				...errorResponses(StatusCodes.BAD_REQUEST, StatusCodes.NOT_FOUND, StatusCodes.NOT_ACCEPTABLE),
+			},
+		}),
+		put: authenticated({
+			operationId: "updateNote",
+			summary: "Replace the content and tags of a note",
+			parameters: parameterRefs("IfMatch"),
+			requestBody: {
+				required: true,
+				content: {
+					...jsonContent(schemaRef("NoteReplacement")),
+					"text/markdown": { schema: NOTE_TEXT_REPLACEMENT_SCHEMA },
+					"text/plain": { schema: NOTE_TEXT_REPLACEMENT_SCHEMA },
+				},
+			},
+			responses: {
+				[StatusCodes.NO_CONTENT]: { description: "The note was updated", headers: ETAG_HEADER },
+				...errorResponses(
+					StatusCodes.BAD_REQUEST,
+					StatusCodes.FORBIDDEN,
+					StatusCodes.NOT_FOUND,
+					StatusCodes.PRECONDITION_FAILED,
+				),
+			},
+		}),
+		patch: authenticated({
+			operationId: "patchNote",
+			summary: "Update fields of a note with a JSON Merge Patch or JSON Patch document",
+			parameters: parameterRefs("IfMatch"),
+			requestBody: {
+				required: true,
+				content: {
+					"application/merge-patch+json": { schema: schemaRef("NoteMergePatch") },
+					"application/json-patch+json": { schema: schemaRef("JsonPatch") },
+				},
+			},
+			responses: {
+				[StatusCodes.OK]: jsonResponse("The patched note", "Note", ETAG_HEADER),
+				[StatusCodes.CONFLICT]: problemResponse("A test operation of the patch failed"),
+				[StatusCodes.UNSUPPORTED_MEDIA_TYPE]: problemResponse("The patch document is not of a supported type", {
+					"Accept-Patch": { schema: { type: "string" } },
+				}),
+				...errorResponses(
+					StatusCodes.BAD_REQUEST,
+					StatusCodes.FORBIDDEN,
+					StatusCodes.NOT_FOUND,
+					StatusCodes.PRECONDITION_FAILED,
+					StatusCodes.UNPROCESSABLE_ENTITY,
+				),
+			},
+		}),
+		delete: authenticated({
+			operationId: "deleteNote",
+			summary: "Move a note to the trash, or delete it permanently",
+			parameters: [
+				...parameterRefs("IfMatch"),
+				{ name: "permanent", in: "query", schema: { type: "boolean", default: false } },
+			],
+			responses: {
+				[StatusCodes.NO_CONTENT]: { description: "The note was deleted" },
+				...errorResponses(
+					StatusCodes.BAD_REQUEST,
+					StatusCodes.FORBIDDEN,
+					StatusCodes.NOT_FOUND,
+					StatusCodes.PRECONDITION_FAILED,
+				),
+			},
+		}),
+	},
+	"/notes/{id}/restore": {
+		parameters: parameterRefs("NoteId"),
+		post: authenticated({
+			operationId: "restoreNote",
+			summary: "Restore a note from the trash",
+			responses: {
+				[StatusCodes.OK]: jsonResponse("The restored note", "Note", ETAG_HEADER),
+				...errorResponses(StatusCodes.BAD_REQUEST, StatusCodes.NOT_FOUND),
+			},
+		}),
+	},
+	"/notes/{id}/revisions": {
+		parameters: parameterRefs("NoteId"),
+		get: authenticated({
+			operationId: "listNoteRevisions",
+			summary: "List a page of the revisions of a note, most recent first",
+			parameters: [
+				...parameterRefs("PageSize"),
+				{ name: "beforeRevision", in: "query", schema: { type: "integer", minimum: 1 } },
+			],
+			responses: {
+				[StatusCodes.OK]: jsonResponse("The page of revisions", "NoteRevisionListPage"),
+				...errorResponses(StatusCodes.BAD_REQUEST, StatusCodes.NOT_FOUND),
+			},
+		}),
+	},
+	"/notes/{id}/revisions/{revision}": {
+		parameters: parameterRefs("NoteId", "Revision"),
+		get: authenticated({
+			operationId: "getNoteRevision",
+			summary: "Get a revision of a note",
+			responses: {
+				[StatusCodes.OK]: jsonResponse("The revision", "NoteRevision"),
+				...errorResponses(StatusCodes.BAD_REQUEST, StatusCodes.NOT_FOUND),
+			},
+		}),
+	},
+	"/notes/{id}/revisions/{fromRevision}/diff/{toRevision}": {
+		parameters: [
+			...parameterRefs("NoteId"),
+			{ name: "fromRevision", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+			{ name: "toRevision", in: "path", required: true, schema: { type: "integer", minimum: 1 } },
+		],
+		get: authenticated({
+			operationId: "diffNoteRevisions",
+			summary: "Get the line changes from one revision of a note to another",
+			responses: {
+				[StatusCodes.OK]: jsonResponse("The changes", "NoteRevisionDiff"),
+				...errorResponses(StatusCodes.BAD_REQUEST, StatusCodes.NOT_FOUND),
+			},
+		}),
+	},
+	"/notes/{id}/revisions/{revision}/revert": {
+		parameters: parameterRefs("NoteId", "Revision"),
+		post: authenticated({
+			operationId: "revertNote",
+			summary: "Revert a note to the content and tags of a revision",
+			parameters: parameterRefs("IfMatch"),
+			responses: {
+				[StatusCodes.OK]: jsonResponse("The reverted note", "Note", ETAG_HEADER),
+				...errorResponses(
+					StatusCodes.BAD_REQUEST,
+					StatusCodes.FORBIDDEN,
+					StatusCodes.NOT_FOUND,
+					StatusCodes.PRECONDITION_FAILED,
+				),
+			},
+		}),
+	},
+	"/notes/{id}/shares": {
+		parameters: parameterRefs("NoteId"),
+		get: authenticated({
+			operationId: "listNoteShares",
+			summary: "List the users a note is shared with",
+			responses: {
+				[StatusCodes.OK]: jsonResponse("The shares of the note", "NoteShareList"),
+				...errorResponses(StatusCodes.BAD_REQUEST, StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND),
+			},
+		}),
+		post: authenticated({
+			operationId: "shareNote",
+			summary: "Share a note with a user, replacing the permission granted before",
+			requestBody: { required: true, content: jsonContent(schemaRef("NoteShareInput")) },
+			responses: {
+				[StatusCodes.OK]: jsonResponse("The share", "NoteShare"),
+				...errorResponses(
+					StatusCodes.BAD_REQUEST,
+					StatusCodes.FORBIDDEN,
+					StatusCodes.NOT_FOUND,
+					StatusCodes.UNPROCESSABLE_ENTITY,
+				),
+			},
+		}),
+	},
+	"/notes/{id}/shares/{userId}": {
+		parameters: [
+			...parameterRefs("NoteId"),
+			{ name: "userId", in: "path", required: true, schema: schemaRef("UuidV4") },
+		],
+		delete: authenticated({
+			operationId: "unshareNote",
+			summary: "Stop sharing a note with a user",
+			responses: {
+				[StatusCodes.NO_CONTENT]: { description: "The note is no longer shared with the user" },
+				...errorResponses(StatusCodes.BAD_REQUEST, StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND),
+			},
+		}),
+	},
+	"/notes/{id}/public-links": {
+		parameters: parameterRefs("NoteId"),
+		get: authenticated({
+			operationId: "listNotePublicLinks",
+			summary: "List the public links to a note, most recently created first",
+			responses: {
+				[StatusCodes.OK]: jsonResponse("The public links of the note", "NotePublicLinkList"),
+				...errorResponses(StatusCodes.BAD_REQUEST, StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND),
+			},
+		}),
+		post: authenticated({
+			operationId: "createNotePublicLink",
+			summary: "Create a link anyone holding its token can read a note with",
+			requestBody: { content: jsonContent(schemaRef("NotePublicLinkInput")) },
+			responses: {
+				[StatusCodes.CREATED]: jsonResponse("The link, with its token", "CreatedNotePublicLink"),
+				...errorResponses(
+					StatusCodes.BAD_REQUEST,
+					StatusCodes.FORBIDDEN,
+					StatusCodes.NOT_FOUND,
+					StatusCodes.UNPROCESSABLE_ENTITY,
+				),
+			},
+		}),
+	},
+	"/notes/{id}/public-links/{linkId}": {
+		parameters: [
+			...parameterRefs("NoteId"),
+			{ name: "linkId", in: "path", required: true, schema: schemaRef("UuidV4") },
+		],
+		delete: authenticated({
+			operationId: "revokeNotePublicLink",
+			summary: "Revoke a public link to a note",
+			responses: {
+				[StatusCodes.NO_CONTENT]: { description: "The link was revoked" },
+				...errorResponses(StatusCodes.BAD_REQUEST, StatusCodes.FORBIDDEN, StatusCodes.NOT_FOUND),
+			},
+		}),
+	},
+	"/tags": {
+		get: authenticated({
+			operationId: "listTags",
+			summary: "List the tags of the user's notes, with the number of notes having each",
+			responses: { [StatusCodes.OK]: jsonResponse("The tags ordered by name", "TagUsageList") },
+		}),
+	},
+	"/tags/merge": {
+		post: authenticated({
+			operationId: "mergeTags",
+			summary: "Replace tags with a target tag on every note",
+			requestBody: { required: true, content: jsonContent(schemaRef("TagMerge")) },
+			responses: {
+				[StatusCodes.NO_CONTENT]: { description: "The tags were merged" },
+				...errorResponses(StatusCodes.BAD_REQUEST, StatusCodes.NOT_FOUND),
+			},
+		}),
+	},
+	"/tags/{name}/rename": {
+		parameters: [{ name: "name", in: "path", required: true, schema: schemaRef("TagName") }],
+		post: authenticated({
+			operationId: "renameTag",
+			summary: "Rename a tag, merging it if the new name already exists",
+			requestBody: { required: true, content: jsonContent(schemaRef("TagRename")) },
+			responses: {
+				[StatusCodes.NO_CONTENT]: { description: "The tag was renamed" },
+				...errorResponses(StatusCodes.BAD_REQUEST, StatusCodes.NOT_FOUND),
+			},
+		}),
+	},
+	"/public/{token}": {
+		get: {
+			operationId: "getPublicNote",
+			summary: "Read a note through a public link, as JSON or as an HTML page",
+			security: [{}, { publicLinkPassword: [] }],
+			parameters: [{ name: "token", in: "path", required: true, schema: { type: "string" } }],
+			responses: {
+				[StatusCodes.OK]: {
+					description: "The note, without who owns it",
+					content: { ...jsonContent(schemaRef("Note")), "text/html": { schema: { type: "string" } } },
+				},
+				[StatusCodes.UNAUTHORIZED]: problemResponse("The link requires a password", {
+					"WWW-Authenticate": { schema: { type: "string" } },
+				}),
+				[StatusCodes.NOT_ACCEPTABLE]: problemResponse("Neither JSON nor HTML is acceptable"),
+				...errorResponses(StatusCodes.NOT_FOUND, StatusCodes.TOO_MANY_REQUESTS, StatusCodes.INTERNAL_SERVER_ERROR),
+			},
+		},
+	},
+	"/openapi.json": {
+		get: {
+			operationId: "getOpenApiDocument",
+			summary: "Get this description of the API",
+			security: [],
+			responses: { [StatusCodes.OK]: { description: "The OpenAPI document", content: jsonContent({}) } },
+		},
+	},
+	"/docs": {
+		get: {
+			operationId: "getDocs",
+			summary: "Read the documentation of the API",
+			security: [],
+			responses: {
+				[StatusCodes.OK]: {
+					description: "The documentation page",
+					content: { "text/html": { schema: { type: "string" } } },
+				},
+			},
+		},
+	},
+};
+
+const openApiDocument = {
+	openapi: "3.1.0",
+	info: {
+		title: "Notes API",
+		version: "1.0.0",
+		description: "Create, share and search notes",
+	},
+	servers: [{ url: "/api/v1" }],
+	security: [{ bearerAuth: [] }],
+	paths: paths,
+	components: {
+		securitySchemes: {
+			bearerAuth: { type: "http", scheme: "bearer", description: "An API key of the user, or a JWT" },
+			publicLinkPassword: {
+				type: "http",
+				scheme: "basic",
+				description: "The password of a public link, the user name is ignored",
+			},
+		},
+		schemas: schemas,
+		parameters: parameters,
+		responses: responses,
+	},
+};
+
+export default openApiDocument;
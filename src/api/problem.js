@@ -0,0 +1,336 @@
+import express from "express";
+import { StatusCodes } from "http-status-codes";
+import {
+	ConflictError,
+	EntityNotFoundError,
+	ForbiddenError,
+	InvalidEntityError,
+	InvalidQueryError,
+	PreconditionFailedError,
+	UnauthorizedError,
+} from "../service/service-error.js";
+import { formatVersionEtag } from "../util/etag.js";
+
+/**
+ * The media type of problem details
+ */
+export const PROBLEM_JSON = "application/problem+json";
+
+/**
+ * A kind of error, identified by a stable code clients can act on
+ * Reference:
+ * https://www.rfc-editor.org/rfc/rfc9457#section-3.1.1
+ */
+export class ProblemType {
+	/**
+	 * Problem type URIs resolve to the description of the problem on the documentation page of the API
+	 */
+	static BASE_URI = "/api/v1/docs#problem-";
+
+	static INVALID_REQUEST = new ProblemType(
+		"invalid-request",
+		StatusCodes.BAD_REQUEST,
+		"The request parameters or body are not valid",
+	);
+	static MALFORMED_BODY = new ProblemType(
+		"malformed-body",
+		StatusCodes.BAD_REQUEST,
+		"The request body is not valid JSON",
+	);
+	static UNAUTHORIZED = new ProblemType("unauthorized", StatusCodes.UNAUTHORIZED, "Authentication is required");
+	static FORBIDDEN = new ProblemType("forbidden", StatusCodes.FORBIDDEN, "The permission needed was not granted");
+	static NOT_FOUND = new ProblemType("not-found", StatusCodes.NOT_FOUND, "The resource does not exist");
+	static NOT_ACCEPTABLE = new ProblemType(
+		"not-acceptable",
+		StatusCodes.NOT_ACCEPTABLE,
+		"No representation of the resource is acceptable",
+	);
+	static CONFLICT = new ProblemType("conflict", StatusCodes.CONFLICT, "The request conflicts with the resource");
+	static PRECONDITION_FAILED = new ProblemType(
+		"precondition-failed",
+		StatusCodes.PRECONDITION_FAILED,
+		"The resource is not at a version the request allows",
+	);
+	static PAYLOAD_TOO_LARGE = new ProblemType(
+		"payload-too-large",
+		StatusCodes.REQUEST_TOO_LONG,
+		"The request body is too large",
+	);
+	static UNSUPPORTED_MEDIA_TYPE = new ProblemType(
+		"unsupported-media-type",
+		StatusCodes.UNSUPPORTED_MEDIA_TYPE,
+		"The media type of the request body is not supported",
+	);
+	static UNPROCESSABLE_ENTITY = new ProblemType(
+		"unprocessable-entity",
+		StatusCodes.UNPROCESSABLE_ENTITY,
+		"The request is valid but cannot be applied",
+	);
+	static RATE_LIMITED = new ProblemType("rate-limited", StatusCodes.TOO_MANY_REQUESTS, "Too many requests");
+	static INTERNAL_ERROR = new ProblemType(
+		"internal-error",
+		StatusCodes.INTERNAL_SERVER_ERROR,
+		"An unexpected error occurred",
+	);
+
+	/**
+	 * Every problem type, in the order of their status codes
+	 */
+	static TYPES = Object.freeze([
+		ProblemType.INVALID_REQUEST,
+		ProblemType.MALFORMED_BODY,
+		ProblemType.UNAUTHORIZED,
+		ProblemType.FORBIDDEN,
+		ProblemType.NOT_FOUND,
+		ProblemType.NOT_ACCEPTABLE,
+		ProblemType.CONFLICT,
+		ProblemType.PRECONDITION_FAILED,
+		ProblemType.PAYLOAD_TOO_LARGE,
+		ProblemType.UNSUPPORTED_MEDIA_TYPE,
+		ProblemType.UNPROCESSABLE_ENTITY,
+		ProblemType.RATE_LIMITED,
+		ProblemType.INTERNAL_ERROR,
+	]);
+
+	/**
+	 * @type {string}
+	 */
+	#code;
+
+	/**
+	 * @type {number}
+	 */
+	#status;
+
+	/**
+	 * @type {string}
+	 */
+	#title;
+
+	/**
+	 * @param {string} code
+	 * @param {number} status the HTTP status code of the problem
+	 * @param {string} title a summary of the problem type, the same for every occurrence of it
+	 */
+	constructor(code, status, title) {
+		this.#code = code;
+		this.#status = status;
+		this.#title = title;
+	}
+
+	/**
+	 * @return {string} the machine readable code of the problem type
+	 */
+	get code() {
+		return this.#code;
+	}
+
+	/**
+	 * @return {number}
+	 */
+	get status() {
+		return this.#status;
+	}
+
+	/**
+	 * @return {string}
+	 */
+	get title() {
+		return this.#title;
+	}
+
+	/**
+	 * @return {string} the URI identifying the problem type
+	 */
+	get uri() {
+		return `${ProblemType.BASE_URI}${this.#code}`;
+	}
+
+	toString() {
+		return `${ProblemType.name} ${this.#code}`;
+	}
+}
+
+/**
+ * An error to respond to a request with, as problem details
+ * The message of a problem is its detail, sent to the client, so it must not reveal anything about the server
+ * Reference:
+ * https://www.rfc-editor.org/rfc/rfc9457
+ */
+export class Problem extends Error {
+	/**
+	 * @type {ProblemType}
+	 */
+	#type;
+
+	/**
+	 * @type {Object<string, string>}
+	 */
+	#headers;
+
+	/**
+	 * @type {object}
+	 */
+	#extensions;
+
+	/**
+	 * @param {ProblemType} type
+	 * @param {string} detail what went wrong with this occurrence of the problem
+	 * @param {object} [options]
+	 * @param {Object<string, string>} [options.headers] the headers to respond with along with the problem
+	 * @param {object} [options.extensions] further members of the problem details
+	 * @param {*} [options.cause] the error which caused the problem
+	 */
+	constructor(type, detail, { headers = {}, extensions = {}, cause } = {}) {
+		if (!(type instanceof ProblemType)) {
+			throw new TypeError(
+				`type must be an instance of ${ProblemType.name}, was type ${typeof type} with value ${type}`,
+			);
+		}
+
+		super(detail, { cause: cause });
+
+		this.#type = type;
+		this.#headers = headers;
+		this.#extensions = extensions;
+	}
+
+	/**
+	 * @return {ProblemType}
+	 */
+	get type() {
+		return this.#type;
+	}
+
+	/**
+	 * @return {number}
+	 */
+	get status() {
+		return this.#type.status;
+	}
+
+	/**
+	 * @return {Object<string, string>}
+	 */
+	get headers() {
+		return { ...this.#headers };
+	}
+
+	/**
+	 * The problem for a body the body parser could not read
+	 * Reference:
+	 * https://github.com/expressjs/body-parser#errors
+	 * @param {Error} err
+	 * @return {?Problem} null if the error is not one of the body parser
+	 */
+	static #fromBodyParserError(err) {
+		switch (err.type) {
+			case "entity.parse.failed":
+				return new Problem(ProblemType.MALFORMED_BODY, "The request body could not be parsed as JSON", {
+					cause: err,
+				});
+			case "entity.too.large":
+				return new Problem(ProblemType.PAYLOAD_TOO_LARGE, `The request body is larger than ${err.limit} bytes`, {
+					cause: err,
+				});
+			case "charset.unsupported":
+			case "encoding.unsupported":
+				return new Problem(ProblemType.UNSUPPORTED_MEDIA_TYPE, err.message, { cause: err });
+			default:
+				// Other client errors of the body parser, such as a request aborted while its body was read
+				return err.expose && err.status >= 400 && err.status < 500
+					? new Problem(ProblemType.INVALID_REQUEST, err.message, { cause: err })
+					: null;
+		}
+	}
+
+	/**
+	 * Map any error thrown while handling a request to the problem to respond with
+	 * The errors of the services are mapped to the problems of the client they stand for, the routes wrap the
+	 * arguments they find not valid in problems themselves, so that every other error, such as a TypeError of a bug,
+	 * is an internal error whose details are logged rather than revealed
+	 * @param {*} err
+	 * @return {Problem}
+	 */
+	static from(err) {
+		if (err instanceof Problem) {
+			return err;
+		}
+
+		const bodyParserProblem = typeof err?.type === "string" ? Problem.#fromBodyParserError(err) : null;
+		if (bodyParserProblem) {
+			return bodyParserProblem;
+		}
+
+		if (err instanceof EntityNotFoundError) {
+			return new Problem(ProblemType.NOT_FOUND, err.message, { cause: err });
+		}
+
+		if (err instanceof UnauthorizedError) {
+			return new Problem(ProblemType.UNAUTHORIZED, err.message, { cause: err });
+		}
+
+		if (err instanceof ForbiddenError) {
+			return new Problem(ProblemType.FORBIDDEN, err.message, { cause: err });
+		}
+
+		if (err instanceof PreconditionFailedError) {
+			// The current note lets the client merge its changes without fetching the note again
+			const currentNote = err.currentEntity;
+
+			return new Problem(ProblemType.PRECONDITION_FAILED, err.message, {
+				headers: { ETag: formatVersionEtag(currentNote.version) },
+				extensions: { currentNote: currentNote },
+				cause: err,
+			});
+		}
+
+		if (err instanceof ConflictError) {
+			return new Problem(ProblemType.CONFLICT, err.message, { cause: err });
+		}
+
+		if (err instanceof InvalidEntityError) {
+			return new Problem(ProblemType.UNPROCESSABLE_ENTITY, err.message, { cause: err });
+		}
+
+		if (err instanceof InvalidQueryError) {
+			return new Problem(ProblemType.INVALID_REQUEST, err.message, { cause: err });
+		}
+
+		return new Problem(ProblemType.INTERNAL_ERROR, "The request could not be handled, retrying it may succeed", {
+			cause: err,
+		});
+	}
+
+	/**
+	 * @param {express.Request} req the request the problem occurred for
+	 * @param {express.Response} res
+	 * @return {object} the problem details, with the members identifying the request
+	 */
+	toProblemDetails(req, res) {
+		return {
+			type: this.#type.uri,
+			title: this.#type.title,
+			status: this.#type.status,
+			detail: this.message,
+			instance: req.originalUrl,
+			code: this.#type.code,
+			requestId: res.locals.requestContext?.requestId ?? null,
+			...this.#extensions,
+		};
+	}
+
+	toString() {
+		return `${Problem.name} ${this.#type.code}: ${this.message}`;
+	}
+}
+
+/**
+ * Respond to a request with a problem
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {Problem} problem
+ */
+export function sendProblem(req, res, problem) {
+	res.status(problem.status).set(problem.headers).type(PROBLEM_JSON).json(problem.toProblemDetails(req, res));
+}
@@ -1,9 +1,26 @@
 import compression from "compression";
 import express from "express";
+import { StatusCodes } from "http-status-codes";
 import NoteService from "../service/note-service.js";
+import UserService from "../service/user-service.js";
+import RateLimitService from "../service/rate-limit-service.js";
+import HealthService from "../service/health-service.js";
+import { Principal } from "../model/principal.js";
+import { JwtVerificationError, JwtVerifier, isJwt } from "../util/jwt.js";
 import NoteRoutes from "../routes/note-routes.js";
-import morgan from "morgan";
+import TagRoutes from "../routes/tag-routes.js";
+import PublicRoutes from "../routes/public-routes.js";
+import HealthRoutes from "../routes/health-routes.js";
+import MetricsRoutes from "../routes/metrics-routes.js";
+import OpenApiRoutes from "../routes/openapi-routes.js";
+import OpenApiValidator from "./openapi-validator.js";
+import openApiDocument from "./openapi.js";
+import { Problem, ProblemType, sendProblem } from "./problem.js";
+import ClusterMetrics from "../util/cluster-metrics.js";
+import { httpRequestDurationSeconds, httpRequestsTotal } from "../util/metrics.js";
 import logger from "../util/logger.js";
+import { RequestContext, generateRequestId, isRequestId, runInRequestContext } from "../util/request-context.js";
+import config from "../config.js";
 
 export default class Server {
 	/**
@@ -11,43 +28,461 @@ export default class Server {
 	 */
 	#noteService;
 
+	/**
+	 * @type {UserService}
+	 */
+	#userService;
+
+	/**
+	 * @type {?JwtVerifier}
+	 */
+	#jwtVerifier;
+
+	/**
+	 * @type {?RateLimitService}
+	 */
+	#rateLimitService;
+
+	/**
+	 * @type {?HealthService}
+	 */
+	#healthService;
+
+	/**
+	 * @type {?ClusterMetrics}
+	 */
+	#clusterMetrics;
+
+	/**
+	 * @type {OpenApiValidator}
+	 */
+	#openApiValidator;
+
+	/**
+	 * @type {object}
+	 */
+	#noteRoutesOptions;
+
+	/**
+	 * @type {number}
+	 */
+	#bodyLimitBytes;
+
+	/**
+	 * @type {number}
+	 */
+	#compressionThresholdBytes;
+
+	/**
+	 * @type {boolean|number|string[]}
+	 */
+	#trustProxy;
+
 	/**
 	 *
 	 * @param {NoteService} noteService
+	 * @param {UserService} userService the UserService to authenticate API keys with
+	 * @param {object} [options]
+	 * @param {object} [options.cacheControl] Cache-Control policies for the note routes, see {@link NoteRoutes}
+	 * @param {JwtVerifier} [options.jwtVerifier] verifies JWTs from the identity provider sent as Bearer tokens,
+	 * only API keys are accepted if not provided
+	 * @param {RateLimitService} [options.rateLimitService] limits the rate of requests of each user,
+	 * and of each IP address for public links and failed authentication, requests are not limited if not provided
+	 * @param {HealthService} [options.healthService] checks the readiness of the process for the /healthz and /readyz
+	 * probes, the probes are not served if not provided
+	 * @param {ClusterMetrics} [options.clusterMetrics] collects the metrics of the server for the /metrics endpoint,
+	 * the endpoint is not served if not provided
+	 * @param {number} [options.bodyLimitBytes] the maximum size of request bodies, {@link config} by default
+	 * @param {number} [options.importBodyLimitBytes] the maximum size of the exports of other tools imported as notes,
+	 * {@link config} by default
+	 * @param {?string} [options.publicBaseUrl] the URL clients reach the server at, which public links are built from,
+	 * {@link config} by default
+	 * @param {number} [options.compressionThresholdBytes] the minimum size of responses to compress,
+	 * {@link config} by default
+	 * @param {boolean|number|string[]} [options.trustProxy] the trust proxy setting of express, which proxies are
+	 * trusted to send the address of the client, whose rate is limited by it, {@link config} by default
+	 * @param {boolean} [options.validateResponses] whether to check responses against the OpenAPI document,
+	 * answering 500 Internal Server Error for those which do not match it, by default everywhere but in production
 	 */
-	constructor(noteService) {
+	constructor(
+		noteService,
+		userService,
+		{
+			cacheControl,
+			jwtVerifier,
+			rateLimitService,
+			healthService,
+			clusterMetrics,
+			bodyLimitBytes = config.bodyLimitBytes,
+			importBodyLimitBytes = config.importBodyLimitBytes,
+			publicBaseUrl = config.publicBaseUrl,
+			compressionThresholdBytes = config.compressionThresholdBytes,
+			trustProxy = config.trustProxy,
+			validateResponses = config.environment !== "production",
+		} = {},
+	) {
+		if (jwtVerifier !== undefined && !(jwtVerifier instanceof JwtVerifier)) {
+			throw new TypeError(
+				`if provided, jwtVerifier must be an instance of ${JwtVerifier.name}, was type ${typeof jwtVerifier} with value ${jwtVerifier}`,
+			);
+		}
+
+		if (rateLimitService !== undefined && !(rateLimitService instanceof RateLimitService)) {
+			throw new TypeError(
+				`if provided, rateLimitService must be an instance of ${RateLimitService.name}, was type ${typeof rateLimitService} with value ${rateLimitService}`,
+			);
+		}
+
+		if (healthService !== undefined && !(healthService instanceof HealthService)) {
+			throw new TypeError(
+				`if provided, healthService must be an instance of ${HealthService.name}, was type ${typeof healthService} with value ${healthService}`,
+			);
+		}
+
+		if (clusterMetrics !== undefined && !(clusterMetrics instanceof ClusterMetrics)) {
+			throw new TypeError(
+				`if provided, clusterMetrics must be an instance of ${ClusterMetrics.name}, was type ${typeof clusterMetrics} with value ${clusterMetrics}`,
+			);
+		}
+
+		if (!Number.isInteger(bodyLimitBytes) || bodyLimitBytes < 1) {
+			throw new TypeError(
+				`bodyLimitBytes must be an integer > 0, was type ${typeof bodyLimitBytes} with value ${bodyLimitBytes}`,
+			);
+		}
+
+		if (!Number.isInteger(importBodyLimitBytes) || importBodyLimitBytes < 1) {
+			throw new TypeError(
+				`importBodyLimitBytes must be an integer > 0, was type ${typeof importBodyLimitBytes} with value ${importBodyLimitBytes}`,
+			);
+		}
+
+		if (!Number.isInteger(compressionThresholdBytes) || compressionThresholdBytes < 0) {
+			throw new TypeError(
+				`compressionThresholdBytes must be an integer >= 0, was type ${typeof compressionThresholdBytes} with value ${compressionThresholdBytes}`,
+			);
+		}
+
+		if (
+			typeof trustProxy !== "boolean" &&
+			!(Number.isInteger(trustProxy) && trustProxy >= 0) &&
+			!(Array.isArray(trustProxy) && trustProxy.every((address) => typeof address === "string"))
+		) {
+			throw new TypeError(
+				`trustProxy must be a boolean, an integer >= 0 or an array of strings, was type ${typeof trustProxy} with value ${trustProxy}`,
+			);
+		}
+
 		this.#noteService = noteService;
+		this.#userService = userService;
+		this.#jwtVerifier = jwtVerifier ?? null;
+		this.#rateLimitService = rateLimitService ?? null;
+		this.#healthService = healthService ?? null;
+		this.#clusterMetrics = clusterMetrics ?? null;
+		this.#openApiValidator = new OpenApiValidator(openApiDocument, { validateResponses: validateResponses });
+		this.#noteRoutesOptions = {
+			cacheControl: cacheControl,
+			importBodyLimitBytes: importBodyLimitBytes,
+			publicBaseUrl: publicBaseUrl,
+		};
+		this.#bodyLimitBytes = bodyLimitBytes;
+		this.#compressionThresholdBytes = compressionThresholdBytes;
+		this.#trustProxy = trustProxy;
+	}
+
+	/**
+	 * @param {string} token a Bearer token
+	 * @return {?Principal} the principal the token authenticates, null if the token is not valid
+	 */
+	#authenticateToken(token) {
+		// API keys never contain dots, so tokens shaped like a JWT can only be one
+		if (this.#jwtVerifier && isJwt(token)) {
+			let claims;
+			try {
+				claims = this.#jwtVerifier.verify(token);
+			} catch (err) {
+				if (err instanceof JwtVerificationError) {
+					logger.info(`Rejected JWT: ${err.message}`);
+					return null;
+				}
+
+				throw err;
+			}
+
+			const preferredName = [claims.preferred_username, claims.email, claims.sub].find(
+				(name) => typeof name === "string" && name.trim().length > 0,
+			);
+			const user = this.#userService.findOrCreateByIdentity(claims.iss, claims.sub, preferredName);
+
+			return new Principal(user, Principal.JWT, claims);
+		}
+
+		const user = this.#userService.authenticate(token);
+
+		return user && new Principal(user, Principal.API_KEY);
+	}
+
+	/**
+	 * Authenticate the API key or JWT sent as a Bearer token, setting req.principal to the caller
+	 * Reference:
+	 * https://www.rfc-editor.org/rfc/rfc6750
+	 * @param {express.Request} req
+	 * @param {express.Response} res
+	 * @param {express.NextFunction} next
+	 */
+	#authenticate(req, res, next) {
+		const authorization = req.get("Authorization");
+		if (authorization === undefined) {
+			return this.#rejectAuthentication(
+				req,
+				res,
+				next,
+				new Problem(ProblemType.UNAUTHORIZED, "Missing Authorization header with Bearer API key or token", {
+					headers: { "WWW-Authenticate": 'Bearer realm="notes"' },
+				}),
+			);
+		}
+
+		const match = /^Bearer +(\S+) *$/i.exec(authorization);
+
+		let principal;
+		try {
+			principal = match ? this.#authenticateToken(match[1]) : null;
+		} catch (err) {
+			return next(err);
+		}
+
+		if (!principal) {
+			return this.#rejectAuthentication(
+				req,
+				res,
+				next,
+				new Problem(ProblemType.UNAUTHORIZED, "Invalid API key or token", {
+					headers: { "WWW-Authenticate": 'Bearer realm="notes", error="invalid_token"' },
+				}),
+			);
+		}
+
+		req.principal = principal;
+		next();
+	}
+
+	/**
+	 * Reject a request which failed to authenticate, with 429 Too Many Requests rather than 401 Unauthorized once
+	 * its IP address has used up its budget
+	 * Only failed attempts draw from the budget of the IP address, so guessing credentials is slowed down
+	 * without the users sharing an address limiting each other
+	 * @param {express.Request} req
+	 * @param {express.Response} res
+	 * @param {express.NextFunction} next
+	 * @param {Problem} problem the 401 Unauthorized problem to answer with while within the budget
+	 */
+	#rejectAuthentication(req, res, next, problem) {
+		if (!this.#rateLimitService) {
+			return next(problem);
+		}
+
+		this.#rateLimit(`ip:${req.ip}`, req, res, (err) => next(err ?? problem));
+	}
+
+	/**
+	 * Take a token from the caller's read or write budget, rejecting the request if the budget is used up
+	 * Reference:
+	 * https://datatracker.ietf.org/doc/html/draft-ietf-httpapi-ratelimit-headers-07
+	 * @param {string} key who to limit the request as
+	 * @param {express.Request} req
+	 * @param {express.Response} res
+	 * @param {express.NextFunction} next
+	 */
+	#rateLimit(key, req, res, next) {
+		const budget = ["GET", "HEAD", "OPTIONS"].includes(req.method) ? RateLimitService.READ : RateLimitService.WRITE;
+
+		let result;
+		try {
+			result = this.#rateLimitService.consume(key, budget);
+		} catch (err) {
+			return next(err);
+		}
+
+		res.set({
+			"RateLimit-Policy": `${result.policy.capacity};w=${result.policy.windowSeconds};comment="${budget}"`,
+			"RateLimit-Limit": `${result.policy.capacity}`,
+			"RateLimit-Remaining": `${result.remaining}`,
+			"RateLimit-Reset": `${result.resetSeconds}`,
+		});
+
+		if (!result.allowed) {
+			return next(
+				new Problem(
+					ProblemType.RATE_LIMITED,
+					`Too many ${budget} requests, retry after ${result.retryAfterSeconds} second(s)`,
+					{ headers: { "Retry-After": `${result.retryAfterSeconds}` } },
+				),
+			);
+		}
+
+		next();
+	}
+
+	/**
+	 * Give the request an id, the one sent by the client or a new one, echoing it in the X-Request-Id header
+	 * and making it current for the logs of everything done to handle the request
+	 * @param {express.Request} req
+	 * @param {express.Response} res
+	 * @param {express.NextFunction} next
+	 */
+	static #correlateRequest(req, res, next) {
+		const requestId = req.get("X-Request-Id");
+		const context = new RequestContext(isRequestId(requestId) ? requestId : generateRequestId());
+
+		res.locals.requestContext = context;
+		res.set("X-Request-Id", context.requestId);
+		// Compressed responses have no Content-Length, so what was sent is measured on the connection
+		const socketBytesWritten = req.socket.bytesWritten;
+		res.once("close", () =>
+			runInRequestContext(context, () => {
+				Server.#logAccess(req, res, req.socket.bytesWritten - socketBytesWritten);
+				Server.#observeRequest(req, res, context.latencyMs / 1000);
+			}),
+		);
+
+		runInRequestContext(context, next);
+	}
+
+	/**
+	 * Log one structured line for a request once its response is sent, or once the client goes away
+	 * @param {express.Request} req
+	 * @param {express.Response} res
+	 * @param {number} bytesSent the bytes of the response sent, including its headers
+	 */
+	static #logAccess(req, res, bytesSent) {
+		// Logged at info rather than http, as the http level is below the default info level
+		logger.info(`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+			method: req.method,
+			url: req.originalUrl,
+			httpVersion: req.httpVersion,
+			status: res.statusCode,
+			bytesSent: bytesSent,
+			remoteAddress: req.ip,
+			userAgent: req.get("User-Agent") ?? null,
+			referrer: req.get("Referer") ?? null,
+			userId: req.principal?.user.id.value ?? null,
+			completed: res.writableFinished,
+		});
+	}
+
+	/**
+	 * Count and time the request by the route it matched, rather than its URL which would make a series per note
+	 * @param {express.Request} req
+	 * @param {express.Response} res
+	 * @param {number} durationSeconds
+	 */
+	static #observeRequest(req, res, durationSeconds) {
+		const labels = {
+			method: req.method,
+			route: req.route ? `${req.baseUrl}${req.route.path}` : "unmatched",
+			status: res.statusCode,
+		};
+
+		httpRequestsTotal.inc(labels);
+		httpRequestDurationSeconds.observe(labels, durationSeconds);
 	}
 
 	#registerMiddleware(app) {
-		app.use(express.json());
+		app.use((req, res, next) => Server.#correlateRequest(req, res, next));
+		app.use(
+			express.json({
+				limit: this.#bodyLimitBytes,
+				type: ["application/json", ...Object.keys(NoteRoutes.PATCH_MEDIA_TYPES)],
+			}),
+		);
+		// Markdown and plain text bodies are the content of a note
+		app.use(express.text({ limit: this.#bodyLimitBytes, type: NoteRoutes.NOTE_TEXT_MEDIA_TYPES }));
+		// The body is parsed in the context of the connection's stream, so the request's context is entered again
+		app.use((req, res, next) => runInRequestContext(res.locals.requestContext, next));
 		// threshold is the byte threshold for the response body size
 		// before compression is considered, the default is 1kb
-		app.use(compression({ threshold: 0 }));
-		app.use(morgan("combined"));
+		app.use(compression({ threshold: this.#compressionThresholdBytes }));
 	}
 
 	#registerRoutes(app) {
 		const apiV1Router = express.Router();
 
+		const validateRequest = (req, res, next) => this.#openApiValidator.validate(req, res, next);
+
+		// The description of the API is reachable without authentication
+		apiV1Router.use(new OpenApiRoutes(openApiDocument).buildRouter());
+
+		const publicRoutes = new PublicRoutes(this.#noteService);
+
+		// Public links are the only other routes reachable without authentication, so they are registered first
+		// and limited by IP address rather than by user
+		if (this.#rateLimitService) {
+			apiV1Router.use("/public", (req, res, next) => this.#rateLimit(`ip:${req.ip}`, req, res, next));
+		}
+
+		apiV1Router.use("/public", validateRequest, publicRoutes.buildRouter());
+
+		apiV1Router.use((req, res, next) => this.#authenticate(req, res, next));
+
+		// Every API key and token of a user draws from the same budgets
+		if (this.#rateLimitService) {
+			apiV1Router.use((req, res, next) => this.#rateLimit(`user:${req.principal.user.id.value}`, req, res, next));
+		}
+
+		// Validated once authenticated, so only users of the API learn what it expects
+		apiV1Router.use(validateRequest);
+
 		apiV1Router.get("/", (req, res) => {
 			res.json({ message: "alive" });
 		});
 
-		const noteRoutes = new NoteRoutes(this.#noteService);
+		const noteRoutes = new NoteRoutes(this.#noteService, this.#userService, this.#noteRoutesOptions);
 
 		apiV1Router.use("/notes", noteRoutes.buildRouter());
 
+		const tagRoutes = new TagRoutes(this.#noteService);
+
+		apiV1Router.use("/tags", tagRoutes.buildRouter());
+
 		const apiBaseRouter = express.Router();
 		apiBaseRouter.use("/v1", apiV1Router);
 
 		app.use("/api", apiBaseRouter);
+
+		// Probes and metrics are outside of the API so they are neither authenticated nor rate limited
+		if (this.#healthService) {
+			app.use(new HealthRoutes(this.#healthService).buildRouter());
+		}
+
+		if (this.#clusterMetrics) {
+			app.use(new MetricsRoutes(this.#clusterMetrics).buildRouter());
+		}
 	}
 
+	/**
+	 * Answer every error, and requests no route handled, with problem details
+	 * Only the errors of the server are logged, the access log records those of the clients
+	 * @param {express.Express} app
+	 */
 	#registerErrorHandler(app) {
+		app.use((req, res, next) => {
+			next(new Problem(ProblemType.NOT_FOUND, `There is no resource at ${req.method} ${req.path}`));
+		});
+
 		app.use((err, req, res, next) => {
-			logger.error(err.stack || err);
-			return res.status(500).json(err.message || err);
+			const problem = Problem.from(err);
+
+			if (problem.status >= StatusCodes.INTERNAL_SERVER_ERROR) {
+				logger.error(err?.stack ?? err);
+			}
+
+			// Express ends the connection of a response already being sent
+			if (res.headersSent) {
+				return next(err);
+			}
+
+			sendProblem(req, res, problem);
 		});
 	}
 
@@ -56,6 +491,8 @@ export default class Server {
 	 */
 	buildApp() {
 		const app = express();
+		// req.ip, which requests are rate limited by, is otherwise the address of the proxy in front of the app
+		app.set("trust proxy", this.#trustProxy);
 
 		this.#registerMiddleware(app);
 		this.#registerRoutes(app);
@@ -1,58 +1,155 @@
-import os from "node:os";
 import cluster from "node:cluster";
 import process from "node:process";
 import NoteDao from "./dao/note-dao.js";
+import TagDao from "./dao/tag-dao.js";
+import NoteRevisionDao from "./dao/note-revision-dao.js";
+import NoteShareDao from "./dao/note-share-dao.js";
+import NotePublicLinkDao from "./dao/note-public-link-dao.js";
+import UserDao from "./dao/user-dao.js";
+import RateLimitDao from "./dao/rate-limit-dao.js";
 import NoteService from "./service/note-service.js";
+import UserService from "./service/user-service.js";
+import RateLimitService from "./service/rate-limit-service.js";
+import HealthService from "./service/health-service.js";
 import Server from "./api/server.js";
 import SqliteConnectionFactory from "./dao/sqlite-connection-factory.js";
+import MigrationRunner from "./dao/migration-runner.js";
 import logger from "./util/logger.js";
+import { JwksKeySet, JwtVerifier } from "./util/jwt.js";
+import { TokenBucketPolicy } from "./model/rate-limit.js";
+import ClusterMetrics from "./util/cluster-metrics.js";
+import { setNoteCounter } from "./util/metrics.js";
+import config from "./config.js";
 
-const port = 3000 || process.env.PORT;
+// The buckets are kept in the database so the limits apply across all workers rather than per worker
+const rateLimitPolicies = {
+	[RateLimitService.READ]: TokenBucketPolicy.perMinute(config.rateLimit.readsPerMinute),
+	[RateLimitService.WRITE]: TokenBucketPolicy.perMinute(config.rateLimit.writesPerMinute),
+};
 
-const databaseConnection = SqliteConnectionFactory.createConnection("./notes.db");
-const noteDao = new NoteDao(databaseConnection);
-const noteService = new NoteService(databaseConnection, noteDao);
+const trashPurgeIntervalMs = 60 * 60 * 1000;
+// Buckets refill completely within a minute, purging the idle ones every few minutes keeps their table small
+const idleRateLimitBucketPurgeIntervalMs = 10 * 60 * 1000;
 
-const numCpus = os.availableParallelism();
+const databaseConnection = SqliteConnectionFactory.createConnection(config.databasePath);
+const noteDao = new NoteDao(databaseConnection);
+const tagDao = new TagDao(databaseConnection);
+const noteRevisionDao = new NoteRevisionDao(databaseConnection);
+const noteShareDao = new NoteShareDao(databaseConnection);
+const notePublicLinkDao = new NotePublicLinkDao(databaseConnection);
+const noteService = new NoteService(
+	databaseConnection,
+	noteDao,
+	tagDao,
+	noteRevisionDao,
+	noteShareDao,
+	notePublicLinkDao,
+);
+const userService = new UserService(databaseConnection, new UserDao(databaseConnection));
+const rateLimitService = new RateLimitService(
+	databaseConnection,
+	new RateLimitDao(databaseConnection),
+	rateLimitPolicies,
+);
+// Created in the primary and every worker, as they exchange metrics over IPC
+const clusterMetrics = new ClusterMetrics();
 
 if (cluster.isPrimary) {
 	logger.info(`Primary ${process.pid} is running`);
 
+	// Notes are counted once per scrape by the primary rather than by every worker
+	setNoteCounter(() => noteService.countAll());
+
 	// Fork workers
-	for (let i = 0; i < numCpus; i++) {
+	for (let i = 0; i < config.workers; i++) {
 		cluster.fork();
 	}
 
+	// Only the primary purges the trash so workers do not contend for the write lock
+	const purgeTrash = () => {
+		try {
+			const purgedCount = noteService.purgeTrash(config.trashRetentionDays * 24 * 60 * 60 * 1000);
+			if (purgedCount > 0) {
+				logger.info(`Purged ${purgedCount} note(s) from the trash older than ${config.trashRetentionDays} day(s)`);
+			}
+		} catch (err) {
+			logger.error(err.stack || err);
+		}
+	};
+
+	purgeTrash();
+	setInterval(purgeTrash, trashPurgeIntervalMs).unref();
+
+	// Buckets which have refilled since they were last used are the same as missing ones
+	setInterval(() => {
+		try {
+			rateLimitService.purgeIdleBuckets();
+		} catch (err) {
+			logger.error(err.stack || err);
+		}
+	}, idleRateLimitBucketPurgeIntervalMs).unref();
+
+	let terminating = false;
+
 	cluster.on("exit", (worker, code, signal) => {
 		logger.info(`worker ${worker.process.pid} died`);
+
+		// Workers drain before they exit, so the primary waits for the last of them
+		if (terminating && Object.keys(cluster.workers).length === 0) {
+			process.exit(0);
+		}
 	});
 
 	// Handle termination signal
 	process.on("SIGTERM", () => {
 		logger.info("Master received SIGTERM signal. Terminating workers...");
+		terminating = true;
 
+		// worker.kill() would disconnect the worker first, closing its server at once rather than after draining
 		for (const worker of Object.values(cluster.workers)) {
-			worker.kill();
+			worker.process.kill("SIGTERM");
 		}
-
-		process.exit(0);
 	});
 } else {
 	// Worker process
 
-	const app = new Server(noteService).buildApp();
+	const jwtVerifier = config.jwt
+		? new JwtVerifier(await JwksKeySet.load(config.jwt.jwks), {
+				issuer: config.jwt.issuer,
+				audience: config.jwt.audience,
+				clockToleranceSeconds: config.jwt.clockToleranceSeconds,
+			})
+		: undefined;
 
-	const server = app.listen(port, () => {
-		logger.info(`Notes app worker ${process.pid} listening at http://localhost:${port}/api`);
+	const healthService = new HealthService(databaseConnection, new MigrationRunner(databaseConnection), {
+		maxWalBytes: config.maxWalBytes,
 	});
 
-	process.on("SIGTERM", () => {
-		logger.info("Worker received SIGTERM signal. Closing server...");
-		server.close(() => {
-			databaseConnection.close();
-			logger.info("Server closed");
-			process.exit(0);
-		});
+	const app = new Server(noteService, userService, {
+		jwtVerifier: jwtVerifier,
+		rateLimitService: rateLimitService,
+		healthService: healthService,
+		clusterMetrics: clusterMetrics,
+	}).buildApp();
+
+	const server = app.listen(config.port, () => {
+		logger.info(`Notes app worker ${process.pid} listening at http://localhost:${config.port}/api`);
+	});
+
+	// The signal may come from both the primary and the orchestrator, the worker drains once
+	process.once("SIGTERM", () => {
+		logger.info(`Worker received SIGTERM signal. Draining for ${config.shutdownDrainSeconds} second(s)...`);
+		// Requests are still served while draining, only /readyz changes so traffic is routed elsewhere
+		healthService.startDraining();
+
+		setTimeout(() => {
+			logger.info("Closing server...");
+			server.close(() => {
+				databaseConnection.close();
+				logger.info("Server closed");
+				process.exit(0);
+			});
+		}, config.shutdownDrainSeconds * 1000);
 	});
 
 	logger.info(`Worker ${process.pid} started`);
@@ -0,0 +1,338 @@
+import net from "node:net";
+import os from "node:os";
+import process from "node:process";
+import dotenv from "dotenv";
+import { JwtVerifier } from "./util/jwt.js";
+
+/**
+ * Thrown when the environment holds a setting which is missing or not valid
+ */
+export class ConfigError extends Error {}
+
+/**
+ * The levels the logger accepts, from most to least severe
+ * Reference:
+ * https://github.com/winstonjs/winston#logging-levels
+ */
+export const LOG_LEVELS = Object.freeze(["error", "warn", "info", "http", "verbose", "debug", "silly"]);
+
+/**
+ * The environments the app runs in, responses are only checked against the API description outside of production
+ */
+export const ENVIRONMENTS = Object.freeze(["development", "test", "production"]);
+
+const BYTE_UNITS = Object.freeze({ b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 });
+
+/**
+ * The names express accepts for the addresses of the proxies to trust on top of IP addresses and subnets
+ * Reference:
+ * https://expressjs.com/en/guide/behind-proxies.html
+ */
+const PROXY_ADDRESS_PRESETS = Object.freeze(["loopback", "linklocal", "uniquelocal"]);
+
+/**
+ * Reads settings from environment variables, collecting every problem so they can all be reported at once
+ */
+class EnvironmentReader {
+	/**
+	 * @type {Object<string, string>}
+	 */
+	#env;
+
+	/**
+	 * @type {string[]}
+	 */
+	#problems = [];
+
+	/**
+	 * @param {Object<string, string>} env
+	 */
+	constructor(env) {
+		this.#env = env;
+	}
+
+	/**
+	 * @return {string[]} the problems found while reading
+	 */
+	get problems() {
+		return this.#problems;
+	}
+
+	/**
+	 * @param {string} name
+	 * @return {?string} the trimmed value of the variable, undefined if it is not set or empty
+	 */
+	#value(name) {
+		const value = this.#env[name]?.trim();
+
+		return value ? value : undefined;
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {?string} defaultValue
+	 * @return {?string}
+	 */
+	string(name, defaultValue) {
+		return this.#value(name) ?? defaultValue;
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {number} defaultValue
+	 * @param {object} range
+	 * @param {number} range.min
+	 * @param {number} [range.max]
+	 * @return {number}
+	 */
+	integer(name, defaultValue, { min, max = Number.MAX_SAFE_INTEGER }) {
+		const value = this.#value(name);
+		if (value === undefined) {
+			return defaultValue;
+		}
+
+		const number = /^[+-]?\d+$/.test(value) ? Number(value) : NaN;
+		if (!Number.isSafeInteger(number) || number < min || number > max) {
+			this.#problems.push(
+				`${name} must be an integer >= ${min}${max === Number.MAX_SAFE_INTEGER ? "" : ` and <= ${max}`}, was "${value}"`,
+			);
+			return defaultValue;
+		}
+
+		return number;
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {string} defaultValue
+	 * @param {string[]} allowedValues
+	 * @return {string}
+	 */
+	oneOf(name, defaultValue, allowedValues) {
+		const value = this.#value(name)?.toLowerCase();
+		if (value === undefined) {
+			return defaultValue;
+		}
+
+		if (!allowedValues.includes(value)) {
+			this.#problems.push(`${name} must be one of ${allowedValues.join(", ")}, was "${value}"`);
+			return defaultValue;
+		}
+
+		return value;
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {number} defaultValue the default number of bytes
+	 * @return {number} the number of bytes, the value may be a number of bytes or have a b, kb, mb or gb unit
+	 */
+	bytes(name, defaultValue) {
+		const value = this.#value(name);
+		if (value === undefined) {
+			return defaultValue;
+		}
+
+		const match = /^(\d+)\s*(b|kb|mb|gb)?$/i.exec(value);
+		const bytes = match ? Number(match[1]) * BYTE_UNITS[(match[2] ?? "b").toLowerCase()] : NaN;
+		if (!Number.isSafeInteger(bytes) || bytes < 1) {
+			this.#problems.push(`${name} must be a size > 0 such as 512kb or 5mb, was "${value}"`);
+			return defaultValue;
+		}
+
+		return bytes;
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {?string} defaultValue
+	 * @return {?string} the http or https URL without a trailing slash, it may have a path but no query or fragment
+	 */
+	url(name, defaultValue) {
+		const value = this.#value(name);
+		if (value === undefined) {
+			return defaultValue;
+		}
+
+		const url = URL.canParse(value) ? new URL(value) : null;
+		if (!url || !["http:", "https:"].includes(url.protocol) || url.search || url.hash) {
+			this.#problems.push(`${name} must be an http or https URL without a query or fragment, was "${value}"`);
+			return defaultValue;
+		}
+
+		return url.href.replace(/\/+$/, "");
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {boolean|number|string[]} defaultValue
+	 * @return {boolean|number|string[]} the trust proxy setting of express, whether to trust every proxy, the number
+	 * of proxies in front of the app, or the addresses and subnets of the proxies to trust
+	 */
+	trustProxy(name, defaultValue) {
+		const value = this.#value(name)?.toLowerCase();
+		if (value === undefined) {
+			return defaultValue;
+		}
+
+		if (value === "true" || value === "false") {
+			return value === "true";
+		}
+
+		if (/^\d+$/.test(value)) {
+			return this.integer(name, defaultValue, { min: 0 });
+		}
+
+		const addresses = value.split(",").map((address) => address.trim());
+		const isProxyAddress = (address) => {
+			const [ip, prefixLength, ...rest] = address.split("/");
+			const maxPrefixLength = net.isIPv4(ip) ? 32 : 128;
+
+			return (
+				net.isIP(ip) !== 0 &&
+				rest.length === 0 &&
+				(prefixLength === undefined || (/^\d+$/.test(prefixLength) && Number(prefixLength) <= maxPrefixLength))
+			);
+		};
+		if (!addresses.every((address) => PROXY_ADDRESS_PRESETS.includes(address) || isProxyAddress(address))) {
+			this.#problems.push(
+				`${name} must be true, false, a number of proxies or a comma separated list of IP addresses, subnets and ${PROXY_ADDRESS_PRESETS.join(", ")}, was "${value}"`,
+			);
+			return defaultValue;
+		}
+
+		return addresses;
+	}
+
+	/**
+	 * @param {string} problem
+	 */
+	addProblem(problem) {
+		this.#problems.push(problem);
+	}
+}
+
+/**
+ * @param {object} object
+ * @return {object} the object with it and every object within it frozen
+ */
+function deepFreeze(object) {
+	for (const value of Object.values(object)) {
+		if (typeof value === "object" && value !== null) {
+			deepFreeze(value);
+		}
+	}
+
+	return Object.freeze(object);
+}
+
+/**
+ * Build the settings of the app from environment variables, unset or empty variables take their default values
+ * @param {Object<string, string>} env the environment variables
+ * @return {Readonly<{
+ *   environment: string,
+ *   port: number,
+ *   databasePath: string,
+ *   workers: number,
+ *   logLevel: string,
+ *   defaultPageSize: number,
+ *   maxPageSize: number,
+ *   bodyLimitBytes: number,
+ *   importBodyLimitBytes: number,
+ *   publicBaseUrl: ?string,
+ *   compressionThresholdBytes: number,
+ *   trashRetentionDays: number,
+ *   jwt: ?{jwks: string, issuer: string, audience: string, clockToleranceSeconds: number},
+ *   rateLimit: {readsPerMinute: number, writesPerMinute: number},
+ *   trustProxy: (boolean|number|string[]),
+ *   maxWalBytes: number,
+ *   shutdownDrainSeconds: number,
+ * }>} the settings
+ * @throws {ConfigError} listing every variable which is not valid
+ */
+export function loadConfig(env) {
+	if (typeof env !== "object" || env === null) {
+		throw new TypeError(`env must be an object, was type ${typeof env} with value ${env}`);
+	}
+
+	const reader = new EnvironmentReader(env);
+
+	const config = {
+		environment: reader.oneOf("NODE_ENV", "development", ENVIRONMENTS),
+		port: reader.integer("PORT", 3000, { min: 0, max: 65535 }),
+		databasePath: reader.string("DATABASE_PATH", "./notes.db"),
+		workers: reader.integer("WORKERS", os.availableParallelism(), { min: 1 }),
+		logLevel: reader.oneOf("LOG_LEVEL", "info", LOG_LEVELS),
+		defaultPageSize: reader.integer("DEFAULT_PAGE_SIZE", 20, { min: 1 }),
+		maxPageSize: reader.integer("MAX_PAGE_SIZE", 100, { min: 1 }),
+		// The default is raised from the 100kb of express to fit batches of notes
+		bodyLimitBytes: reader.bytes("BODY_LIMIT", 5 * BYTE_UNITS.mb),
+		// Exports of other tools are imported in one request, so they may be far larger than other bodies
+		importBodyLimitBytes: reader.bytes("IMPORT_BODY_LIMIT", 100 * BYTE_UNITS.mb),
+		// Public links are built from the URL clients reach the app at, they are relative paths when it is not set
+		publicBaseUrl: reader.url("PUBLIC_BASE_URL", null),
+		// Responses at least this large are compressed, by default all of them are
+		compressionThresholdBytes: reader.integer("COMPRESSION_THRESHOLD", 0, { min: 0 }),
+		// Notes are permanently deleted once they have been in the trash for longer than the retention period
+		trashRetentionDays: reader.integer("TRASH_RETENTION_DAYS", 30, { min: 0 }),
+		// JWTs from an identity provider are accepted as Bearer tokens when a JWKS file or URL to verify them is set
+		jwt: null,
+		// Each user, or IP address when unauthenticated, may burst a minute's requests then continue at the sustained rate
+		rateLimit: {
+			readsPerMinute: reader.integer("RATE_LIMIT_READS_PER_MINUTE", 600, { min: 1 }),
+			writesPerMinute: reader.integer("RATE_LIMIT_WRITES_PER_MINUTE", 120, { min: 1 }),
+		},
+		// Behind a reverse proxy every request comes from the proxy, the client address is then read from
+		// X-Forwarded-For for the proxies trusted to set it
+		trustProxy: reader.trustProxy("TRUST_PROXY", false),
+		// Workers report not ready while the write-ahead log is larger, as checkpoints are then falling behind
+		maxWalBytes: reader.bytes("MAX_WAL_SIZE", 64 * BYTE_UNITS.mb),
+		// On shutdown workers keep serving while reporting not ready, giving load balancers time to stop routing to them
+		shutdownDrainSeconds: reader.integer("SHUTDOWN_DRAIN_SECONDS", 5, { min: 0 }),
+	};
+
+	if (config.defaultPageSize > config.maxPageSize) {
+		reader.addProblem(
+			`DEFAULT_PAGE_SIZE must be <= MAX_PAGE_SIZE, was ${config.defaultPageSize} > ${config.maxPageSize}`,
+		);
+	}
+
+	const jwks = reader.string("JWT_JWKS", null);
+	if (jwks !== null) {
+		config.jwt = {
+			jwks: jwks,
+			issuer: reader.string("JWT_ISSUER", null),
+			audience: reader.string("JWT_AUDIENCE", null),
+			clockToleranceSeconds: reader.integer(
+				"JWT_CLOCK_TOLERANCE_SECONDS",
+				JwtVerifier.DEFAULT_CLOCK_TOLERANCE_SECONDS,
+				{ min: 0 },
+			),
+		};
+
+		for (const [name, value] of [
+			["JWT_ISSUER", config.jwt.issuer],
+			["JWT_AUDIENCE", config.jwt.audience],
+		]) {
+			if (value === null) {
+				reader.addProblem(`${name} must be set when JWT_JWKS is set`);
+			}
+		}
+	}
+
+	if (reader.problems.length > 0) {
+		throw new ConfigError(`Invalid configuration:\n${reader.problems.map((problem) => `- ${problem}`).join("\n")}`);
+	}
+
+	return deepFreeze(config);
+}
+
+// Variables already set in the environment take precedence over the .env file
+dotenv.config();
+
+/**
+ * The settings of the app, loaded from the environment and the .env file in the working directory
+ */
+const config = loadConfig(process.env);
+
+export default config;
@@ -0,0 +1,57 @@
+import { busyErrorsTotal, transactionRetriesTotal } from "../util/metrics.js";
+
+/**
+ * The attempts made at a transaction before giving up, each attempt already waits for the lock up to the busy timeout
+ * of the connection
+ */
+export const MAX_ATTEMPTS = 3;
+
+/**
+ * @param {*} err
+ * @return {boolean} true if the error, or an error which caused it, is a SQLITE_BUSY error
+ * Reference:
+ * https://www.sqlite.org/rescode.html#busy
+ */
+export function isBusyError(err) {
+	for (let cause = err; cause instanceof Error; cause = cause.cause) {
+		if (typeof cause.code === "string" && cause.code.startsWith("SQLITE_BUSY")) {
+			return true;
+		}
+	}
+
+	return false;
+}
+
+/**
+ * Run a transaction function as an immediate transaction, taking the write lock when it begins,
+ * retrying it while the database is too busy for the lock to be taken
+ * A busy transaction is rolled back, so retrying runs it from the start
+ * @param {function(...*): *} transaction a function created with the transaction method of a database connection
+ * @param {...*} args the arguments of the transaction function
+ * @return {*} the result of the transaction function
+ */
+export function runImmediate(transaction, ...args) {
+	if (typeof transaction?.immediate !== "function") {
+		throw new TypeError(
+			`transaction must be a transaction function, was type ${typeof transaction} with value ${transaction}`,
+		);
+	}
+
+	for (let attempt = 1; ; attempt++) {
+		try {
+			return transaction.immediate(...args);
+		} catch (err) {
+			if (!isBusyError(err)) {
+				throw err;
+			}
+
+			busyErrorsTotal.inc();
+
+			if (attempt >= MAX_ATTEMPTS) {
+				throw err;
+			}
+
+			transactionRetriesTotal.inc();
+		}
+	}
+}
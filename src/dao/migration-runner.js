@@ -0,0 +1,318 @@
+import { fileURLToPath } from "url";
+import { createHash } from "node:crypto";
+import { createRequire } from "node:module";
+import BetterSqlite3 from "better-sqlite3";
+import Database from "better-sqlite3";
+import fs from "node:fs";
+import path, { dirname } from "path";
+import { isString } from "../util/validation.js";
+import DaoError from "./dao-error.js";
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Migration files are named NNN_description.sql or NNN_description.cjs where NNN is the zero padded version.
+ * A SQL migration can be rolled back if a matching NNN_description.down.sql file exists,
+ * a CommonJS migration exports an up(db) function and optionally a down(db) function.
+ */
+const MIGRATION_FILENAME_PATTERN = /^(\d{3})_([A-Za-z0-9_-]+?)(\.down)?\.(sql|cjs)$/;
+
+export default class MigrationRunner {
+	static DEFAULT_MIGRATIONS_DIRECTORY = path.resolve(dirname(fileURLToPath(import.meta.url)), "./migrations");
+
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	#databaseConnection;
+
+	/**
+	 * @type {string}
+	 */
+	#migrationsDirectory;
+
+	/**
+	 * @param {BetterSqlite3.Database} databaseConnection the database connection to run migrations against
+	 * @param {string} migrationsDirectory the directory containing the migration files
+	 */
+	constructor(databaseConnection, migrationsDirectory = MigrationRunner.DEFAULT_MIGRATIONS_DIRECTORY) {
+		if (!(databaseConnection instanceof Database)) {
+			throw new TypeError(
+				`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+			);
+		}
+
+		if (!isString(migrationsDirectory)) {
+			throw new TypeError(
+				`migrationsDirectory must be a string, was type ${typeof migrationsDirectory} with value ${migrationsDirectory}`,
+			);
+		}
+
+		this.#databaseConnection = databaseConnection;
+		this.#migrationsDirectory = migrationsDirectory;
+	}
+
+	static #checksum(contents) {
+		return createHash("sha256").update(contents).digest("hex");
+	}
+
+	#loadMigrations() {
+		let filenames;
+		try {
+			filenames = fs.readdirSync(this.#migrationsDirectory);
+		} catch (err) {
+			throw new DaoError(`Failed to read migrations directory ${this.#migrationsDirectory}: ${err.message}`, {
+				cause: err,
+			});
+		}
+
+		const migrationsByVersion = new Map();
+		const downScriptsByVersion = new Map();
+
+		for (const filename of filenames.sort()) {
+			const match = filename.match(MIGRATION_FILENAME_PATTERN);
+			if (!match) {
+				continue;
+			}
+
+			const [, versionString, name, isDown, extension] = match;
+			const version = parseInt(versionString, 10);
+			const filepath = path.resolve(this.#migrationsDirectory, filename);
+
+			if (isDown) {
+				if (extension !== "sql") {
+					throw new DaoError(`Rollback migration ${filename} must be a .sql file`);
+				}
+
+				downScriptsByVersion.set(version, fs.readFileSync(filepath, "utf8"));
+				continue;
+			}
+
+			if (migrationsByVersion.has(version)) {
+				throw new DaoError(
+					`Duplicate migration version ${version}: ${migrationsByVersion.get(version).filename} and ${filename}`,
+				);
+			}
+
+			const contents = fs.readFileSync(filepath, "utf8");
+			const migration = { version, name, filename, checksum: MigrationRunner.#checksum(contents) };
+
+			if (extension === "sql") {
+				migration.up = (db) => db.exec(contents);
+			} else {
+				const module = require(filepath);
+				if (typeof module.up !== "function") {
+					throw new DaoError(`Migration ${filename} must export an up(db) function`);
+				}
+
+				migration.up = module.up;
+				migration.down = typeof module.down === "function" ? module.down : undefined;
+			}
+
+			migrationsByVersion.set(version, migration);
+		}
+
+		for (const [version, script] of downScriptsByVersion) {
+			const migration = migrationsByVersion.get(version);
+			if (!migration) {
+				throw new DaoError(`Rollback migration for version ${version} has no matching migration`);
+			}
+
+			migration.down = (db) => db.exec(script);
+		}
+
+		return Array.from(migrationsByVersion.values()).sort((a, b) => a.version - b.version);
+	}
+
+	#ensureMigrationsTable() {
+		this.#databaseConnection.exec(
+			`CREATE TABLE IF NOT EXISTS schema_migrations (
+				version INT PRIMARY KEY,
+				name TEXT NOT NULL,
+				checksum TEXT NOT NULL,
+				appliedDateTime INT NOT NULL DEFAULT (CAST((unixepoch('subsec') * 1000) AS INTEGER))
+			) STRICT`,
+		);
+	}
+
+	#findAppliedMigrations() {
+		return this.#databaseConnection
+			.prepare(
+				`SELECT
+					version,
+					name,
+					checksum,
+					appliedDateTime
+				FROM
+					schema_migrations
+				ORDER BY
+					version ASC`,
+			)
+			.all();
+	}
+
+	/**
+	 * Checks that every applied migration still has an unmodified migration file
+	 * @param {object[]} migrations the migrations loaded from the migrations directory
+	 * @param {object[]} appliedMigrations the migration rows recorded in the schema_migrations table
+	 */
+	static #verifyAppliedMigrations(migrations, appliedMigrations) {
+		const migrationsByVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+
+		for (const applied of appliedMigrations) {
+			const migration = migrationsByVersion.get(applied.version);
+			if (!migration) {
+				throw new DaoError(
+					`Migration ${applied.version} (${applied.name}) has been applied to the database but its migration file no longer exists`,
+				);
+			}
+
+			if (migration.checksum !== applied.checksum) {
+				throw new DaoError(
+					`Migration ${migration.filename} has been modified after it was applied, expected checksum ${applied.checksum} but was ${migration.checksum}`,
+				);
+			}
+		}
+	}
+
+	/**
+	 * Apply all pending migrations in version order, each inside its own transaction
+	 * @return {{version: number, name: string}[]} the migrations that were applied
+	 * @throws {DaoError} if a migration fails or an applied migration file was modified
+	 */
+	migrate() {
+		const migrations = this.#loadMigrations();
+
+		const applyIfPending = this.#databaseConnection.transaction((migration) => {
+			// Re-check inside the write lock since another process may have applied the migration concurrently
+			const alreadyApplied = this.#databaseConnection
+				.prepare(`SELECT 1 FROM schema_migrations WHERE version = :version`)
+				.get({ version: migration.version });
+			if (alreadyApplied) {
+				return false;
+			}
+
+			migration.up(this.#databaseConnection);
+
+			this.#databaseConnection
+				.prepare(
+					`INSERT INTO schema_migrations (
+						version,
+						name,
+						checksum
+					)
+					VALUES
+					(
+						:version,
+						:name,
+						:checksum
+					)`,
+				)
+				.run({ version: migration.version, name: migration.name, checksum: migration.checksum });
+
+			return true;
+		});
+
+		const applied = [];
+
+		try {
+			this.#ensureMigrationsTable();
+			MigrationRunner.#verifyAppliedMigrations(migrations, this.#findAppliedMigrations());
+
+			for (const migration of migrations) {
+				if (applyIfPending.immediate(migration)) {
+					applied.push({ version: migration.version, name: migration.name });
+				}
+			}
+		} catch (err) {
+			if (err instanceof DaoError) {
+				throw err;
+			}
+
+			throw new DaoError(`Failed to apply migrations: ${err.message}`, { cause: err });
+		}
+
+		return applied;
+	}
+
+	/**
+	 * Roll back the most recently applied migrations, each inside its own transaction
+	 * @param {number} steps the number of migrations to roll back
+	 * @return {{version: number, name: string}[]} the migrations that were rolled back
+	 * @throws {DaoError} if a migration has no rollback or the rollback fails
+	 */
+	rollback(steps = 1) {
+		if (!Number.isInteger(steps) || steps < 1) {
+			throw new RangeError(`steps must be an integer >= 1, was type ${typeof steps} with value ${steps}`);
+		}
+
+		const migrations = this.#loadMigrations();
+		const migrationsByVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+
+		const rollbackMigration = this.#databaseConnection.transaction((migration) => {
+			migration.down(this.#databaseConnection);
+
+			this.#databaseConnection
+				.prepare(`DELETE FROM schema_migrations WHERE version = :version`)
+				.run({ version: migration.version });
+		});
+
+		const rolledBack = [];
+
+		try {
+			this.#ensureMigrationsTable();
+
+			const appliedMigrations = this.#findAppliedMigrations();
+			MigrationRunner.#verifyAppliedMigrations(migrations, appliedMigrations);
+
+			for (const applied of appliedMigrations.reverse().slice(0, steps)) {
+				const migration = migrationsByVersion.get(applied.version);
+				if (!migration.down) {
+					throw new DaoError(`Migration ${migration.filename} has no rollback`);
+				}
+
+				rollbackMigration.immediate(migration);
+				rolledBack.push({ version: migration.version, name: migration.name });
+			}
+		} catch (err) {
+			if (err instanceof DaoError) {
+				throw err;
+			}
+
+			throw new DaoError(`Failed to roll back migrations: ${err.message}`, { cause: err });
+		}
+
+		return rolledBack;
+	}
+
+	/**
+	 * Get the status of every known migration
+	 * @return {{version: number, name: string, appliedDateTime: ?Date}[]} the migrations in version order,
+	 * appliedDateTime is null for pending migrations
+	 * @throws {DaoError} if an applied migration file was modified
+	 */
+	status() {
+		const migrations = this.#loadMigrations();
+
+		let appliedMigrations;
+		try {
+			this.#ensureMigrationsTable();
+			appliedMigrations = this.#findAppliedMigrations();
+		} catch (err) {
+			throw new DaoError(`Failed to query for applied migrations: ${err.message}`, { cause: err });
+		}
+
+		MigrationRunner.#verifyAppliedMigrations(migrations, appliedMigrations);
+
+		const appliedByVersion = new Map(appliedMigrations.map((applied) => [applied.version, applied]));
+
+		return migrations.map((migration) => {
+			const applied = appliedByVersion.get(migration.version);
+
+			return {
+				version: migration.version,
+				name: migration.name,
+				appliedDateTime: applied ? new Date(applied.appliedDateTime) : null,
+			};
+		});
+	}
+}
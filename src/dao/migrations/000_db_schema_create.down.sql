@@ -0,0 +1,3 @@
+DROP TRIGGER IF EXISTS tr_Note_update_lastUpdatedDateTime_au;
+DROP INDEX IF EXISTS idx_Note_creationDateTime;
+DROP TABLE IF EXISTS Note;
@@ -1,34 +1,7 @@
 /*
-Reference:
-Optimizing SQLite for servers
-https://kerkour.com/sqlite-for-servers
-
-PRAGMA Statements
-https://www.sqlite.org/pragma.html
-*/
-PRAGMA encoding = 'UTF-8';
-PRAGMA foreign_keys = ON;
-PRAGMA busy_timeout = 5000;
-PRAGMA temp_store = memory;
-/*
-Cache size set to a negative number to indicate a size in kibibytes
-SQLite will calculate the proportional number of cache pages for the given number
-Denoting this value in kibibytes feels more intuitive than using the number of pages
-Reference:
-https://www.sqlite.org/pragma.html#pragma_cache_size
+Tables are created with IF NOT EXISTS so that databases created before
+schema_migrations existed are adopted by this migration instead of failing
 */
-PRAGMA busy_timeout = -100000; -- ~102.4 MB
-
-/*
-Use write-ahead log
-References:
-https://github.com/WiseLibs/better-sqlite3/blob/master/docs/performance.md
-https://www.sqlite.org/pragma.html#pragma_journal_mode
-https://www.sqlite.org/wal.html
-*/
-PRAGMA journal_mode = WAL;
-PRAGMA synchronous = NORMAL;
-
 CREATE TABLE IF NOT EXISTS Note (
 	id BLOB PRIMARY KEY,
 	content TEXT NOT NULL,
@@ -0,0 +1,4 @@
+DROP TRIGGER IF EXISTS tr_Note_delete_NoteFts_ad;
+DROP TRIGGER IF EXISTS tr_Note_update_NoteFts_au;
+DROP TRIGGER IF EXISTS tr_Note_insert_NoteFts_ai;
+DROP TABLE IF EXISTS NoteFts;
@@ -0,0 +1,29 @@
+/*
+Full-text index over note content
+Note is a WITHOUT ROWID table so it cannot be used as an external content table,
+instead the indexed content is kept in sync by the triggers below
+References:
+https://www.sqlite.org/fts5.html
+*/
+CREATE VIRTUAL TABLE NoteFts USING fts5 (
+	id UNINDEXED,
+	content,
+	tokenize = 'unicode61 remove_diacritics 2'
+);
+
+INSERT INTO NoteFts (id, content) SELECT id, content FROM Note;
+
+CREATE TRIGGER tr_Note_insert_NoteFts_ai AFTER INSERT ON Note
+BEGIN
+	INSERT INTO NoteFts (id, content) VALUES (new.id, new.content);
+END;
+
+CREATE TRIGGER tr_Note_update_NoteFts_au AFTER UPDATE OF content ON Note
+BEGIN
+	UPDATE NoteFts SET content = new.content WHERE id = old.id;
+END;
+
+CREATE TRIGGER tr_Note_delete_NoteFts_ad AFTER DELETE ON Note
+BEGIN
+	DELETE FROM NoteFts WHERE id = old.id;
+END;
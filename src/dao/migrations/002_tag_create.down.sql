@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_NoteTag_tagId;
+DROP TABLE IF EXISTS NoteTag;
+DROP TABLE IF EXISTS Tag;
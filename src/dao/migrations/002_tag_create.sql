@@ -0,0 +1,11 @@
+CREATE TABLE Tag (
+	id INTEGER PRIMARY KEY,
+	name TEXT NOT NULL UNIQUE
+) STRICT;
+
+CREATE TABLE NoteTag (
+	noteId BLOB NOT NULL REFERENCES Note (id) ON DELETE CASCADE,
+	tagId INT NOT NULL REFERENCES Tag (id) ON DELETE CASCADE,
+	PRIMARY KEY (noteId, tagId)
+) WITHOUT ROWID, STRICT;
+CREATE INDEX idx_NoteTag_tagId ON NoteTag (tagId);
@@ -0,0 +1 @@
+ALTER TABLE Note DROP COLUMN version;
@@ -0,0 +1,4 @@
+/*
+Version of the note incremented on every update, used for optimistic concurrency control
+*/
+ALTER TABLE Note ADD COLUMN version INT NOT NULL DEFAULT 1;
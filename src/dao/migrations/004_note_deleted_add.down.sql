@@ -0,0 +1,8 @@
+/*
+Notes in the trash would reappear once the column is dropped
+*/
+DELETE FROM Note WHERE deletedDateTime IS NOT NULL;
+
+DROP INDEX idx_Note_deletedDateTime;
+
+ALTER TABLE Note DROP COLUMN deletedDateTime;
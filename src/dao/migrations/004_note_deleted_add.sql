@@ -0,0 +1,7 @@
+/*
+When the note was moved to the trash, NULL for notes which are not in the trash
+Notes in the trash are permanently deleted once they are older than the retention period
+*/
+ALTER TABLE Note ADD COLUMN deletedDateTime INT;
+
+CREATE INDEX idx_Note_deletedDateTime ON Note (deletedDateTime) WHERE deletedDateTime IS NOT NULL;
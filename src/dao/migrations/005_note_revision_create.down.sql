@@ -0,0 +1,3 @@
+DROP TRIGGER tr_Note_update_NoteRevision_au;
+
+DROP TABLE NoteRevision;
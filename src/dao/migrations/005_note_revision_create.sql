@@ -0,0 +1,27 @@
+/*
+Previous content of notes, recorded whenever the content of a note changes
+Revisions are numbered from 1 per note and are deleted along with the note
+*/
+CREATE TABLE NoteRevision (
+	noteId BLOB NOT NULL REFERENCES Note (id) ON DELETE CASCADE,
+	revision INT NOT NULL,
+	content TEXT NOT NULL,
+	creationDateTime INT NOT NULL DEFAULT (CAST((unixepoch('subsec') * 1000) AS INTEGER)),
+	PRIMARY KEY (noteId, revision)
+) WITHOUT ROWID, STRICT;
+
+CREATE TRIGGER tr_Note_update_NoteRevision_au AFTER UPDATE OF content ON Note
+WHEN old.content IS NOT new.content
+BEGIN
+	INSERT INTO NoteRevision (
+		noteId,
+		revision,
+		content
+	)
+	VALUES
+	(
+		old.id,
+		(SELECT COALESCE(MAX(revision), 0) + 1 FROM NoteRevision WHERE noteId = old.id),
+		old.content
+	);
+END;
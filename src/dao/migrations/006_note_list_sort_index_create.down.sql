@@ -0,0 +1,3 @@
+DROP INDEX idx_Note_contentLength;
+
+DROP INDEX idx_Note_lastUpdatedDateTime;
@@ -0,0 +1,7 @@
+/*
+Indexes for the sort orders of the notes list, creationDateTime is indexed by idx_Note_creationDateTime
+Being WITHOUT ROWID tables, the indexes include the id primary key used to order notes with equal values
+*/
+CREATE INDEX idx_Note_lastUpdatedDateTime ON Note (lastUpdatedDateTime);
+
+CREATE INDEX idx_Note_contentLength ON Note (length(content));
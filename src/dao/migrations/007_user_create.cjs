@@ -0,0 +1,45 @@
+const { v4: uuidv4, parse: parseUuid } = require("uuid");
+
+/**
+ * Notes belong to the user who created them
+ * Notes created before there were users are given to a "default" user, who can be issued an API key to access them
+ */
+exports.up = (db) => {
+	db.exec(`
+		CREATE TABLE User (
+			id BLOB PRIMARY KEY,
+			name TEXT NOT NULL UNIQUE,
+			creationDateTime INT NOT NULL DEFAULT (CAST((unixepoch('subsec') * 1000) AS INTEGER))
+		) WITHOUT ROWID, STRICT;
+
+		/*
+		Only the SHA-256 hash of each key is stored, the key itself is shown once when it is issued
+		*/
+		CREATE TABLE ApiKey (
+			keyHash BLOB PRIMARY KEY,
+			userId BLOB NOT NULL REFERENCES User(id) ON DELETE CASCADE,
+			creationDateTime INT NOT NULL DEFAULT (CAST((unixepoch('subsec') * 1000) AS INTEGER))
+		) WITHOUT ROWID, STRICT;
+		CREATE INDEX idx_ApiKey_userId ON ApiKey (userId);
+
+		ALTER TABLE Note ADD COLUMN ownerId BLOB REFERENCES User(id) ON DELETE CASCADE;
+		CREATE INDEX idx_Note_ownerId ON Note (ownerId);
+	`);
+
+	if (db.prepare(`SELECT 1 FROM Note LIMIT 1`).get()) {
+		const defaultUserId = Buffer.from(parseUuid(uuidv4()));
+
+		db.prepare(`INSERT INTO User (id, name) VALUES (:id, 'default')`).run({ id: defaultUserId });
+		db.prepare(`UPDATE Note SET ownerId = :ownerId`).run({ ownerId: defaultUserId });
+	}
+};
+
+exports.down = (db) => {
+	db.exec(`
+		DROP INDEX idx_Note_ownerId;
+		ALTER TABLE Note DROP COLUMN ownerId;
+
+		DROP TABLE ApiKey;
+		DROP TABLE User;
+	`);
+};
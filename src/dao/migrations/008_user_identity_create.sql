@@ -0,0 +1,12 @@
+/*
+Links users to the identity provider subjects they were created for when first presenting a JWT
+*/
+CREATE TABLE UserIdentity (
+	issuer TEXT NOT NULL,
+	subject TEXT NOT NULL,
+	userId BLOB NOT NULL REFERENCES User(id) ON DELETE CASCADE,
+	creationDateTime INT NOT NULL DEFAULT (CAST((unixepoch('subsec') * 1000) AS INTEGER)),
+	PRIMARY KEY (issuer, subject)
+) WITHOUT ROWID, STRICT;
+
+CREATE INDEX idx_UserIdentity_userId ON UserIdentity (userId);
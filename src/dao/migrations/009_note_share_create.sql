@@ -0,0 +1,13 @@
+/*
+Access to a note granted by its owner to another user
+Write access includes read access, shares are deleted along with the note or the user
+*/
+CREATE TABLE NoteShare (
+	noteId BLOB NOT NULL REFERENCES Note(id) ON DELETE CASCADE,
+	userId BLOB NOT NULL REFERENCES User(id) ON DELETE CASCADE,
+	permission TEXT NOT NULL CHECK (permission IN ('read', 'write')),
+	creationDateTime INT NOT NULL DEFAULT (CAST((unixepoch('subsec') * 1000) AS INTEGER)),
+	PRIMARY KEY (noteId, userId)
+) WITHOUT ROWID, STRICT;
+
+CREATE INDEX idx_NoteShare_userId ON NoteShare (userId);
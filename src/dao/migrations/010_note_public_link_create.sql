@@ -0,0 +1,14 @@
+/*
+Links giving anyone with the token read access to a note, until the link expires or is revoked
+Only the SHA-256 hash of each token and the scrypt hash of each password are stored
+*/
+CREATE TABLE NotePublicLink (
+	id BLOB PRIMARY KEY,
+	noteId BLOB NOT NULL REFERENCES Note(id) ON DELETE CASCADE,
+	tokenHash BLOB NOT NULL UNIQUE,
+	passwordHash TEXT,
+	expiryDateTime INT,
+	creationDateTime INT NOT NULL DEFAULT (CAST((unixepoch('subsec') * 1000) AS INTEGER))
+) WITHOUT ROWID, STRICT;
+
+CREATE INDEX idx_NotePublicLink_noteId ON NotePublicLink (noteId);
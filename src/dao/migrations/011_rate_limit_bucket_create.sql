@@ -0,0 +1,11 @@
+/*
+Token buckets of the rate limiter, stored in the database so every worker process draws from the same budgets
+A missing bucket is a full one, so idle buckets can be deleted at any time
+*/
+CREATE TABLE RateLimitBucket (
+	key TEXT NOT NULL,
+	budget TEXT NOT NULL,
+	tokens REAL NOT NULL,
+	updatedDateTime INT NOT NULL,
+	PRIMARY KEY (key, budget)
+) WITHOUT ROWID, STRICT;
@@ -0,0 +1,6 @@
+DROP TRIGGER tr_Note_update_lastUpdatedDateTime_au;
+
+CREATE TRIGGER tr_Note_update_lastUpdatedDateTime_au AFTER UPDATE ON Note
+BEGIN
+	UPDATE Note SET lastUpdatedDateTime = CAST((unixepoch('subsec') * 1000) AS INTEGER) WHERE id = new.id;
+END;
@@ -0,0 +1,11 @@
+/*
+Updates which set lastUpdatedDateTime themselves keep it, so that imported notes keep the date and time they were
+last updated at, every other update still sets it to now
+*/
+DROP TRIGGER tr_Note_update_lastUpdatedDateTime_au;
+
+CREATE TRIGGER tr_Note_update_lastUpdatedDateTime_au AFTER UPDATE ON Note
+WHEN new.lastUpdatedDateTime IS old.lastUpdatedDateTime
+BEGIN
+	UPDATE Note SET lastUpdatedDateTime = CAST((unixepoch('subsec') * 1000) AS INTEGER) WHERE id = new.id;
+END;
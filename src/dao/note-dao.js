@@ -1,22 +1,71 @@
 import BetterSqlite3 from "better-sqlite3";
 import Database from "better-sqlite3";
 import { parse as parseUuid, v4 as uuidv4 } from "uuid";
-import { Note, NoteForCreate, NoteForUpdate, NoteListPage } from "../model/note.js";
+import {
+	Note,
+	NoteForCreate,
+	NoteForUpdate,
+	NoteListCursor,
+	NoteListPage,
+	NoteSearchResult,
+	NoteSearchResultPage,
+} from "../model/note.js";
+import { NoteForImport } from "../model/note-import.js";
 import UuidV4 from "../model/uuidv4.js";
+import { TagFilter } from "../model/tag.js";
+import { NoteListFilter, NoteListSort } from "../model/note-list-query.js";
+import { isDate, isString } from "../util/validation.js";
+import { noteDaoQueryDurationSeconds } from "../util/metrics.js";
 import DaoError from "./dao-error.js";
+import config from "../config.js";
+import SqlFilter from "./sql-filter.js";
 
-function dedent(str) {
-	const lines = str.split("\n");
+/**
+ * Selects the sorted tag names of the Note in the current row as a JSON array
+ */
+const TAGS_COLUMN = `(
+	SELECT json_group_array(name) FROM (
+		SELECT Tag.name FROM NoteTag JOIN Tag ON Tag.id = NoteTag.tagId WHERE NoteTag.noteId = Note.id ORDER BY Tag.name
+	)
+) AS tags`;
 
-	const smallestIndent = Math.min(...lines.filter((line) => line.trim()).map((line) => line.match(/^\s*/)[0].length));
-
-	return lines.map((line) => line.slice(smallestIndent)).join("\n");
-}
+/**
+ * Matches the Note in the current row if its owner shared it with the user whose id is the userId parameter
+ */
+const SHARED_WITH_USER_CONDITION = `EXISTS (
+	SELECT 1 FROM NoteShare WHERE NoteShare.noteId = Note.id AND NoteShare.userId = :userId
+)`;
 
 export default class NoteDao {
 	static MIN_PAGE_SIZE = 1;
-	static MAX_PAGE_SIZE = 100;
-	static DEFAULT_PAGE_SIZE = 20;
+	static MAX_PAGE_SIZE = config.maxPageSize;
+	static DEFAULT_PAGE_SIZE = config.defaultPageSize;
+	static SNIPPET_HIGHLIGHT_START = "<mark>";
+	static SNIPPET_HIGHLIGHT_END = "</mark>";
+	static SNIPPET_ELLIPSIS = "…";
+	static SNIPPET_TOKENS = 16;
+
+	/**
+	 * The order of the notes in the trash
+	 */
+	static TRASH_SORT = new NoteListSort(NoteListSort.DELETED_DATE_TIME, NoteListSort.DESC);
+
+	/**
+	 * The order of search results
+	 */
+	static SEARCH_SORT = new NoteListSort(NoteListSort.RELEVANCE, NoteListSort.DESC);
+
+	/**
+	 * The expression selecting the value of each sort field, each has a matching index except the relevance
+	 * FTS5 ranks the best matches lowest, so the relevance is the negated rank
+	 */
+	static #SORT_KEYS = Object.freeze({
+		[NoteListSort.CREATION_DATE_TIME]: "Note.creationDateTime",
+		[NoteListSort.LAST_UPDATED_DATE_TIME]: "Note.lastUpdatedDateTime",
+		[NoteListSort.CONTENT_LENGTH]: "length(Note.content)",
+		[NoteListSort.DELETED_DATE_TIME]: "Note.deletedDateTime",
+		[NoteListSort.RELEVANCE]: "-NoteFts.rank",
+	});
 
 	/**
 	 * @type {BetterSqlite3.Database}
@@ -36,6 +85,76 @@ export default class NoteDao {
 		this.#databaseConnection = databaseConnection;
 	}
 
+	/**
+	 * @param {?number} pageSize
+	 * @return {number} the pageSize or the default page size if not provided
+	 */
+	static #validatePageSize(pageSize) {
+		if (pageSize === undefined) {
+			return NoteDao.DEFAULT_PAGE_SIZE;
+		} else if (!Number.isInteger(pageSize)) {
+			throw new TypeError(
+				`if provided, pageSize must be an integer, was type ${typeof pageSize} with value ${pageSize}`,
+			);
+		} else if (pageSize < NoteDao.MIN_PAGE_SIZE || pageSize > NoteDao.MAX_PAGE_SIZE) {
+			throw new RangeError(
+				`if provided, pageSize must be >= ${NoteDao.MIN_PAGE_SIZE} and <= ${NoteDao.MAX_PAGE_SIZE}, was ${pageSize}`,
+			);
+		}
+
+		return pageSize;
+	}
+
+	/**
+	 * @param {?NoteListCursor} cursor
+	 * @param {NoteListSort} sort the order of the list the cursor must be from
+	 * @throws {RangeError} if the cursor is from a list with a different sort
+	 */
+	static #validateCursor(cursor, sort) {
+		if (cursor !== undefined && !(cursor instanceof NoteListCursor)) {
+			throw new TypeError(
+				`if provided, cursor must be an instance of ${NoteListCursor.name}, was type ${typeof cursor} with value ${cursor}`,
+			);
+		}
+
+		if (cursor && !cursor.sort.equals(sort)) {
+			throw new RangeError(`cursor is for a list sorted by ${cursor.sort}, not ${sort}`);
+		}
+	}
+
+	/**
+	 * @param {?UuidV4} afterId
+	 */
+	static #validateAfterId(afterId) {
+		if (afterId !== undefined && !(afterId instanceof UuidV4)) {
+			throw new TypeError(
+				`if provided, afterId must be an instance of ${UuidV4.name}, was type ${typeof afterId} with value ${afterId}`,
+			);
+		}
+	}
+
+	/**
+	 * @param {UuidV4} userId
+	 */
+	static #validateUserId(userId) {
+		if (!(userId instanceof UuidV4)) {
+			throw new TypeError(
+				`userId must be an instance of ${UuidV4.name}, was type ${typeof userId} with value ${userId}`,
+			);
+		}
+	}
+
+	/**
+	 * @param {UuidV4} ownerId
+	 */
+	static #validateOwnerId(ownerId) {
+		if (!(ownerId instanceof UuidV4)) {
+			throw new TypeError(
+				`ownerId must be an instance of ${UuidV4.name}, was type ${typeof ownerId} with value ${ownerId}`,
+			);
+		}
+	}
+
 	static #mapRowToNote(row) {
 		return new Note(
 			new UuidV4(
@@ -46,16 +165,62 @@ export default class NoteDao {
 			row.content,
 			new Date(row.creationDateTime),
 			new Date(row.lastUpdatedDateTime),
+			JSON.parse(row.tags),
+			row.version,
+			row.deletedDateTime === null ? null : new Date(row.deletedDateTime),
+			row.ownerId === null ? null : new UuidV4(uuidv4({ random: row.ownerId })),
 		);
 	}
 
+	/**
+	 * Replace the tags of a note, creating any tags which do not exist yet
+	 * @param {Uint8Array} noteId the parsed id of the note
+	 * @param {string[]} tags the normalized tag names
+	 */
+	#replaceTags(noteId, tags) {
+		this.#databaseConnection.prepare(`DELETE FROM NoteTag WHERE noteId = :noteId`).run({ noteId: noteId });
+
+		const insertTagStatement = this.#databaseConnection.prepare(
+			`INSERT INTO Tag (
+				name
+			)
+			VALUES
+			(
+				:name
+			)
+			ON CONFLICT (name) DO NOTHING`,
+		);
+
+		const insertNoteTagStatement = this.#databaseConnection.prepare(
+			`INSERT INTO NoteTag (
+				noteId,
+				tagId
+			)
+			SELECT
+				:noteId,
+				id
+			FROM
+				Tag
+			WHERE
+				name = :name`,
+		);
+
+		for (const name of tags) {
+			insertTagStatement.run({ name: name });
+			insertNoteTagStatement.run({ noteId: noteId, name: name });
+		}
+	}
+
 	/**
 	 * Create a note
-	 * @param {NoteForCreate} note
+	 * @param {UuidV4} ownerId the id of the user who owns the note
+	 * @param {NoteForCreate} note the note, a {@link NoteForImport} keeps the date times it has
 	 * @return {UuidV4} the id of the new note
 	 * @throws {DaoError} if an error occurred while creating the note
 	 */
-	create(note) {
+	create(ownerId, note) {
+		NoteDao.#validateOwnerId(ownerId);
+
 		if (!(note instanceof NoteForCreate)) {
 			throw new TypeError(
 				`note must be an instance of ${NoteForCreate.name}, was type ${typeof note} with value ${note}`,
@@ -64,54 +229,166 @@ export default class NoteDao {
 
 		const id = new UuidV4(uuidv4());
 
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "create" });
+
 		try {
+			// Date times which are not set default to now, the last updated date time to the creation date time
 			const insertStatment = this.#databaseConnection.prepare(
 				`INSERT INTO Note (
 					id,
-					content
+					content,
+					creationDateTime,
+					lastUpdatedDateTime,
+					ownerId
 				)
 				VALUES
 				(
 					:id,
-					:content
+					:content,
+					coalesce(:creationDateTime, CAST((unixepoch('subsec') * 1000) AS INTEGER)),
+					coalesce(:lastUpdatedDateTime, :creationDateTime, CAST((unixepoch('subsec') * 1000) AS INTEGER)),
+					:ownerId
 				)`,
 			);
 
-			insertStatment.run({ id: parseUuid(id.value), content: note.content });
+			const dateTimes = note instanceof NoteForImport ? note : {};
+
+			// Nested transactions become savepoints, so this is also safe within a service transaction
+			this.#databaseConnection.transaction(() => {
+				insertStatment.run({
+					id: parseUuid(id.value),
+					content: note.content,
+					creationDateTime: dateTimes.creationDateTime?.getTime() ?? null,
+					lastUpdatedDateTime: dateTimes.lastUpdatedDateTime?.getTime() ?? null,
+					ownerId: parseUuid(ownerId.value),
+				});
+				this.#replaceTags(parseUuid(id.value), note.tags);
+			})();
 
 			return id;
 		} catch (err) {
 			throw new DaoError(`Failed to insert new note ${note} due to a database error: ${err.message}`, {
 				cause: err,
 			});
+		} finally {
+			stopTimer();
+		}
+	}
+
+	/**
+	 * @param {Note} note
+	 */
+	static #validateNote(note) {
+		if (!(note instanceof Note)) {
+			throw new TypeError(`note must be an instance of ${Note.name}, was type ${typeof note} with value ${note}`);
+		}
+	}
+
+	/**
+	 * @param {Note} note
+	 * @return {object} the parameters setting every column of the note but its owner
+	 */
+	static #noteParams(note) {
+		return {
+			id: parseUuid(note.id.value),
+			content: note.content,
+			creationDateTime: note.creationDateTime.getTime(),
+			lastUpdatedDateTime: note.lastUpdatedDateTime.getTime(),
+			version: note.version,
+			deletedDateTime: note.deletedDateTime?.getTime() ?? null,
+		};
+	}
+
+	/**
+	 * Insert a note as it is, keeping its id, date times and version, such as a note which is imported
+	 * @param {UuidV4} ownerId the id of the user who owns the note, the owner of the note itself is ignored
+	 * @param {Note} note
+	 * @throws {DaoError} if an error occurred while inserting the note, such as a note with its id existing
+	 */
+	insert(ownerId, note) {
+		NoteDao.#validateOwnerId(ownerId);
+		NoteDao.#validateNote(note);
+
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "insert" });
+
+		try {
+			const insertStatement = this.#databaseConnection.prepare(
+				`INSERT INTO Note (
+					id,
+					content,
+					creationDateTime,
+					lastUpdatedDateTime,
+					version,
+					deletedDateTime,
+					ownerId
+				)
+				VALUES
+				(
+					:id,
+					:content,
+					:creationDateTime,
+					:lastUpdatedDateTime,
+					:version,
+					:deletedDateTime,
+					:ownerId
+				)`,
+			);
+
+			this.#databaseConnection.transaction(() => {
+				insertStatement.run({ ...NoteDao.#noteParams(note), ownerId: parseUuid(ownerId.value) });
+				this.#replaceTags(parseUuid(note.id.value), note.tags);
+			})();
+		} catch (err) {
+			throw new DaoError(`Failed to insert note ${note} due to a database error: ${err.message}`, { cause: err });
+		} finally {
+			stopTimer();
 		}
 	}
 
 	/**
 	 * Find a note by id
+	 * @param {UuidV4} userId the id of the user who owns the note or it is shared with
 	 * @param {UuidV4} id
-	 * @return {?Note} the note matching the id or null if it does not exist
+	 * @param {boolean} includeTrashed whether to also find the note if it is in the owner's trash,
+	 * notes in the trash are never found for the users they are shared with
+	 * @return {?Note} the note matching the id or null if it does not exist or the user has no access to it
 	 * @throws {DaoError} if an error occurred while querying for the note
 	 */
-	findById(id) {
+	findById(userId, id, includeTrashed = false) {
+		NoteDao.#validateUserId(userId);
+
 		if (!(id instanceof UuidV4)) {
 			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
 		}
 
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "findById" });
+
 		try {
 			const selectStatement = this.#databaseConnection.prepare(
 				`SELECT
 					id,
 					content,
 					creationDateTime,
-					lastUpdatedDateTime
+					lastUpdatedDateTime,
+					version,
+					deletedDateTime,
+					ownerId,
+					${TAGS_COLUMN}
 				FROM
 					Note
 				WHERE
-					id = :id`,
+					id = :id
+					AND (
+						(ownerId = :userId AND (:includeTrashed OR deletedDateTime IS NULL))
+						OR (deletedDateTime IS NULL AND ${SHARED_WITH_USER_CONDITION})
+					)`,
 			);
 
-			const row = selectStatement.get({ id: parseUuid(id.value) });
+			const row = selectStatement.get({
+				id: parseUuid(id.value),
+				userId: parseUuid(userId.value),
+				includeTrashed: includeTrashed ? 1 : 0,
+			});
 			if (!row) {
 				return null;
 			}
@@ -121,153 +398,757 @@ export default class NoteDao {
 			throw new DaoError(`Failed to query for note with id ${id} due to a database error: ${err.message}`, {
 				cause: err,
 			});
+		} finally {
+			stopTimer();
+		}
+	}
+
+	/**
+	 * Find notes by id
+	 * @param {UuidV4} userId the id of the user who owns the notes or they are shared with
+	 * @param {UuidV4[]} ids
+	 * @return {Note[]} the notes matching the ids in the order of the ids, ids without a note the user has access to
+	 * are skipped and repeated ones only found once
+	 * @throws {DaoError} if an error occurred while querying for the notes
+	 */
+	findByIds(userId, ids) {
+		NoteDao.#validateUserId(userId);
+
+		if (!Array.isArray(ids) || !ids.every((id) => id instanceof UuidV4)) {
+			throw new TypeError(`ids must be an array of ${UuidV4.name}, was type ${typeof ids} with value ${ids}`);
+		}
+
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "findByIds" });
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					id,
+					content,
+					creationDateTime,
+					lastUpdatedDateTime,
+					version,
+					deletedDateTime,
+					ownerId,
+					${TAGS_COLUMN}
+				FROM
+					Note
+				WHERE
+					id IN (SELECT unhex(replace(value, '-', '')) FROM json_each(:ids))
+					AND (ownerId = :userId OR ${SHARED_WITH_USER_CONDITION})
+					AND deletedDateTime IS NULL`,
+			);
+
+			const notesById = new Map(
+				selectStatement
+					.all({ ids: JSON.stringify(ids.map((id) => id.value)), userId: parseUuid(userId.value) })
+					.map(NoteDao.#mapRowToNote)
+					.map((note) => [note.id.value, note]),
+			);
+
+			// A set keeps the order in which each id first occurs
+			const uniqueIds = new Set(ids.map((id) => id.value));
+
+			return [...uniqueIds].filter((id) => notesById.has(id)).map((id) => notesById.get(id));
+		} catch (err) {
+			throw new DaoError(`Failed to query for notes with ids ${ids} due to a database error: ${err.message}`, {
+				cause: err,
+			});
+		} finally {
+			stopTimer();
 		}
 	}
 
+	/**
+	 * Find the owner of a note, whoever the note is shared with and whether or not it is in the trash
+	 * @param {UuidV4} id
+	 * @return {?UuidV4} the id of the user who owns the note, null if no note has the id
+	 * @throws {DaoError} if an error occurred while querying for the note
+	 */
+	findOwnerIdById(id) {
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "findOwnerIdById" });
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(`SELECT ownerId FROM Note WHERE id = :id`);
+
+			const row = selectStatement.get({ id: parseUuid(id.value) });
+			if (!row) {
+				return null;
+			}
+
+			return new UuidV4(uuidv4({ random: row.ownerId }));
+		} catch (err) {
+			throw new DaoError(
+				`Failed to query for the owner of note with id ${id} due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		} finally {
+			stopTimer();
+		}
+	}
+
+	/**
+	 * @param {UuidV4} userId
+	 * @param {NoteListFilter} filter
+	 * @return {SqlFilter} the conditions matching the user's notes, or the notes shared with the user,
+	 * the filter lists, excluding notes in the trash
+	 */
+	static #buildListFilter(userId, filter) {
+		const sqlFilter = new SqlFilter()
+			.and(filter.sharedWithMe ? SHARED_WITH_USER_CONDITION : `ownerId = :userId`, {
+				userId: parseUuid(userId.value),
+			})
+			.and(`deletedDateTime IS NULL`);
+
+		const tagFilter = filter.tagFilter;
+		if (tagFilter) {
+			const matchingTagCount = `(
+				SELECT
+					COUNT(*)
+				FROM
+					NoteTag
+					JOIN Tag ON Tag.id = NoteTag.tagId
+				WHERE
+					NoteTag.noteId = Note.id
+					AND Tag.name IN (SELECT value FROM json_each(:tags))
+			)`;
+
+			if (tagFilter.match === TagFilter.ALL) {
+				sqlFilter.and(`${matchingTagCount} = :tagCount`, {
+					tags: JSON.stringify(tagFilter.tags),
+					tagCount: tagFilter.tags.length,
+				});
+			} else {
+				sqlFilter.and(`${matchingTagCount} > 0`, { tags: JSON.stringify(tagFilter.tags) });
+			}
+		}
+
+		for (const [column, operator, name, dateTime] of [
+			["creationDateTime", ">=", "createdAfter", filter.createdAfter],
+			["creationDateTime", "<", "createdBefore", filter.createdBefore],
+			["lastUpdatedDateTime", ">=", "updatedAfter", filter.updatedAfter],
+			["lastUpdatedDateTime", "<", "updatedBefore", filter.updatedBefore],
+		]) {
+			if (dateTime) {
+				sqlFilter.and(`${column} ${operator} :${name}`, { [name]: dateTime.getTime() });
+			}
+		}
+
+		return sqlFilter;
+	}
+
 	/**
 	 * Get paginated Note list
+	 * @param {UuidV4} userId the id of the user whose notes to list, or who the listed notes are shared with
 	 * @param {?number} pageSize
-	 * @param {?UuidV4} afterId
+	 * @param {?NoteListCursor} cursor the position to list the notes after or before, the first page if not provided
+	 * @param {?NoteListFilter} filter only list the notes matching the filter
+	 * @param {?NoteListSort} sort the order of the notes, newest first if not provided
 	 * @return {NoteListPage} the Note list page
+	 * @throws {RangeError} if the cursor is from a list with a different sort
 	 * @throws {DaoError} if an error occurred while querying for notes
 	 */
-	list(pageSize, afterId) {
-		if (pageSize === undefined) {
-			pageSize = NoteDao.DEFAULT_PAGE_SIZE;
-		} else if (!Number.isInteger(pageSize)) {
+	list(userId, pageSize, cursor, filter = new NoteListFilter(), sort = new NoteListSort()) {
+		NoteDao.#validateUserId(userId);
+		pageSize = NoteDao.#validatePageSize(pageSize);
+
+		if (!(filter instanceof NoteListFilter)) {
 			throw new TypeError(
-				`if provided, pageSize must be an integer, was type ${typeof pageSize} with value ${pageSize}`,
-			);
-		} else if (pageSize < NoteDao.MIN_PAGE_SIZE || pageSize > NoteDao.MAX_PAGE_SIZE) {
-			throw new RangeError(
-				`if provided, pageSize must be >= ${NoteDao.MIN_PAGE_SIZE} and <= ${NoteDao.MAX_PAGE_SIZE}, was ${pageSize}`,
+				`if provided, filter must be an instance of ${NoteListFilter.name}, was type ${typeof filter} with value ${filter}`,
 			);
 		}
 
-		if (afterId !== undefined && !(afterId instanceof UuidV4)) {
+		if (!(sort instanceof NoteListSort)) {
 			throw new TypeError(
-				`if provided, afterId must be an instance of ${UuidV4.name}, was type ${typeof afterId} with value ${afterId}`,
+				`if provided, sort must be an instance of ${NoteListSort.name}, was type ${typeof sort} with value ${sort}`,
 			);
 		}
 
-		const clauses = [];
+		if (!NoteListSort.LIST_FIELDS.includes(sort.field)) {
+			throw new RangeError(`sort field must be one of ${NoteListSort.LIST_FIELDS.join(", ")}, was ${sort.field}`);
+		}
 
-		clauses.push(`
-			SELECT
-				id,
-				content,
-				creationDateTime,
-				lastUpdatedDateTime
-			FROM
-				Note`);
+		NoteDao.#validateCursor(cursor, sort);
 
-		if (afterId) {
-			clauses.push(`
-				WHERE
-					id > :afterId`);
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "list" });
+
+		try {
+			const { rows, nextCursor, prevCursor } = this.#selectPage(
+				"Note",
+				NoteDao.#buildListFilter(userId, filter),
+				sort,
+				cursor,
+				pageSize,
+			);
+
+			return new NoteListPage(pageSize, rows.map(NoteDao.#mapRowToNote), nextCursor, prevCursor);
+		} catch (err) {
+			throw new DaoError(`Failed to query for notes list page due to a database error: ${err.message}`, { cause: err });
+		} finally {
+			stopTimer();
+		}
+	}
+
+	/**
+	 * Select a page of notes in sort order, notes with the same value for the sort field being in id order
+	 * @param {string} source the FROM clause, in which the notes are the rows of Note
+	 * @param {SqlFilter} sqlFilter the conditions the notes must match
+	 * @param {NoteListSort} sort
+	 * @param {?NoteListCursor} cursor the position to select the notes after or before, the first page if not provided
+	 * @param {number} pageSize
+	 * @param {object} [options]
+	 * @param {string[]} [options.columns] the columns to select besides those of the notes
+	 * @param {Object<string, *>} [options.params] the values of the named parameters of the columns
+	 * @return {{rows: object[], nextCursor: ?NoteListCursor, prevCursor: ?NoteListCursor}} the rows of the page in
+	 * order, and the cursors of the pages on either side of it
+	 */
+	#selectPage(source, sqlFilter, sort, cursor, pageSize, { columns = [], params = {} } = {}) {
+		const sortKey = NoteDao.#SORT_KEYS[sort.field];
+
+		// Pages before the cursor are selected in reverse order, so that the notes closest to the cursor are kept
+		const backward = cursor?.direction === NoteListCursor.BEFORE;
+		const descending = (sort.order === NoteListSort.DESC) !== backward;
+
+		if (cursor) {
+			sqlFilter.and(
+				`${sortKey} ${descending ? "<" : ">"} :cursorKey OR (${sortKey} = :cursorKey AND Note.id ${backward ? "<" : ">"} :cursorId)`,
+				{ cursorKey: cursor.key, cursorId: parseUuid(cursor.id.value) },
+			);
 		}
 
-		clauses.push(`
+		// One extra note is selected to find out whether there is another page in the same direction
+		const query = `
+			SELECT
+				Note.id,
+				Note.content,
+				Note.creationDateTime,
+				Note.lastUpdatedDateTime,
+				Note.version,
+				Note.deletedDateTime,
+				Note.ownerId,
+				${TAGS_COLUMN},
+				${[...columns, `${sortKey} AS sortKey`].join(",\n\t\t\t\t")}
+			FROM
+				${source}
+			WHERE
+				${sqlFilter.sql}
 			ORDER BY
-				creationDateTime DESC, id ASC
+				${sortKey} ${descending ? "DESC" : "ASC"}, Note.id ${backward ? "DESC" : "ASC"}
 			LIMIT
-				:pageSize`);
+				:pageSize + 1`;
+
+		const rows = this.#databaseConnection.prepare(query).all({ ...params, ...sqlFilter.params, pageSize: pageSize });
+
+		const hasMore = rows.length > pageSize;
+		if (hasMore) {
+			rows.pop();
+		}
+
+		if (backward) {
+			rows.reverse();
+		}
 
-		const query = clauses.map(dedent).join("\n");
+		if (rows.length === 0) {
+			return { rows: rows, nextCursor: null, prevCursor: null };
+		}
+
+		// A page reached through a cursor has the page the cursor came from on its other side
+		const hasNext = backward || hasMore;
+		const hasPrev = backward ? hasMore : cursor !== undefined;
+
+		const cursorAt = (direction, row) =>
+			new NoteListCursor(direction, sort, row.sortKey, new UuidV4(uuidv4({ random: row.id })));
 
-		const params = {};
+		return {
+			rows: rows,
+			nextCursor: hasNext ? cursorAt(NoteListCursor.AFTER, rows[rows.length - 1]) : null,
+			prevCursor: hasPrev ? cursorAt(NoteListCursor.BEFORE, rows[0]) : null,
+		};
+	}
+
+	/**
+	 * Search note content using the full-text index, supports the FTS5 query syntax
+	 * including prefix (term*), phrase ("some words") and boolean (AND, OR, NOT) queries
+	 * @param {UuidV4} ownerId the id of the user whose notes to search
+	 * @param {string} query the full-text search query
+	 * @param {?number} pageSize
+	 * @param {?NoteListCursor} cursor the nextCursor or prevCursor of another page of the results, the first page if
+	 * not provided
+	 * @return {NoteSearchResultPage} the page of matching notes ordered by relevance
+	 * @throws {RangeError} if the query is not a valid full-text search query, or the cursor is not from search results
+	 * @throws {DaoError} if an error occurred while searching for notes
+	 */
+	search(ownerId, query, pageSize, cursor) {
+		NoteDao.#validateOwnerId(ownerId);
 
-		if (afterId) {
-			params.afterId = parseUuid(afterId.value);
+		if (!isString(query)) {
+			throw new TypeError(`query must be a string, was type ${typeof query} with value ${query}`);
 		}
 
-		params.pageSize = pageSize;
+		pageSize = NoteDao.#validatePageSize(pageSize);
+		NoteDao.#validateCursor(cursor, NoteDao.SEARCH_SORT);
+
+		const sqlFilter = new SqlFilter()
+			.and(`NoteFts MATCH :query`, { query: query })
+			.and(`Note.ownerId = :ownerId`, { ownerId: parseUuid(ownerId.value) })
+			.and(`Note.deletedDateTime IS NULL`);
+
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "search" });
 
 		try {
-			const selectStatement = this.#databaseConnection.prepare(query);
+			const { rows, nextCursor, prevCursor } = this.#selectPage(
+				"NoteFts JOIN Note ON Note.id = NoteFts.id",
+				sqlFilter,
+				NoteDao.SEARCH_SORT,
+				cursor,
+				pageSize,
+				{
+					columns: [`snippet(NoteFts, 1, :highlightStart, :highlightEnd, :ellipsis, :snippetTokens) AS snippet`],
+					params: {
+						highlightStart: NoteDao.SNIPPET_HIGHLIGHT_START,
+						highlightEnd: NoteDao.SNIPPET_HIGHLIGHT_END,
+						ellipsis: NoteDao.SNIPPET_ELLIPSIS,
+						snippetTokens: NoteDao.SNIPPET_TOKENS,
+					},
+				},
+			);
 
-			const notes = selectStatement.all(params).map(NoteDao.#mapRowToNote);
+			const results = rows.map((row) => new NoteSearchResult(NoteDao.#mapRowToNote(row), row.snippet));
 
-			return new NoteListPage(pageSize, notes);
+			return new NoteSearchResultPage(pageSize, results, nextCursor, prevCursor);
 		} catch (err) {
-			throw new DaoError(`Failed to query for notes list page due to a database error: ${err.message}`, { cause: err });
+			// Malformed queries are reported by FTS5 as a generic SQLITE_ERROR
+			if (
+				err.code === "SQLITE_ERROR" &&
+				/^(fts5:|no such column|unknown special query|unterminated string)/.test(err.message)
+			) {
+				throw new RangeError(`query "${query}" is not a valid full-text search query: ${err.message}`, {
+					cause: err,
+				});
+			}
+
+			throw new DaoError(`Failed to search for notes due to a database error: ${err.message}`, { cause: err });
+		} finally {
+			stopTimer();
+		}
+	}
+
+	/**
+	 * Get paginated list of notes in the trash
+	 * @param {UuidV4} ownerId the id of the user whose trash to list
+	 * @param {?number} pageSize
+	 * @param {?NoteListCursor} cursor the nextCursor or prevCursor of another page of the trash, the first page if not
+	 * provided
+	 * @return {NoteListPage} the page of notes in the trash, most recently deleted first
+	 * @throws {RangeError} if the cursor is not from the trash
+	 * @throws {DaoError} if an error occurred while querying for notes
+	 */
+	listTrash(ownerId, pageSize, cursor) {
+		NoteDao.#validateOwnerId(ownerId);
+		pageSize = NoteDao.#validatePageSize(pageSize);
+		NoteDao.#validateCursor(cursor, NoteDao.TRASH_SORT);
+
+		const sqlFilter = new SqlFilter()
+			.and(`ownerId = :ownerId`, { ownerId: parseUuid(ownerId.value) })
+			.and(`deletedDateTime IS NOT NULL`);
+
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "listTrash" });
+
+		try {
+			const { rows, nextCursor, prevCursor } = this.#selectPage(
+				"Note",
+				sqlFilter,
+				NoteDao.TRASH_SORT,
+				cursor,
+				pageSize,
+			);
+
+			return new NoteListPage(pageSize, rows.map(NoteDao.#mapRowToNote), nextCursor, prevCursor);
+		} catch (err) {
+			throw new DaoError(`Failed to query for trash list page due to a database error: ${err.message}`, {
+				cause: err,
+			});
+		} finally {
+			stopTimer();
 		}
 	}
 
 	/**
-	 * Find all notes
-	 * @return {Note[]} the array of all notes
+	 * Find all notes of a user
+	 * @param {UuidV4} ownerId the id of the user who owns the notes
+	 * @return {Note[]} the array of all notes of the user
 	 * @throws {DaoError} if an error occurred while querying for all notes
 	 */
-	findAll() {
+	findAll(ownerId) {
+		NoteDao.#validateOwnerId(ownerId);
+
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "findAll" });
+
 		try {
 			const selectStatement = this.#databaseConnection.prepare(
 				`SELECT
 					id,
 					content,
 					creationDateTime,
-					lastUpdatedDateTime
+					lastUpdatedDateTime,
+					version,
+					deletedDateTime,
+					ownerId,
+					${TAGS_COLUMN}
 				FROM
-					Note`,
+					Note
+				WHERE
+					ownerId = :ownerId
+					AND deletedDateTime IS NULL`,
 			);
 
-			return selectStatement.all().map(NoteDao.#mapRowToNote);
+			return selectStatement.all({ ownerId: parseUuid(ownerId.value) }).map(NoteDao.#mapRowToNote);
 		} catch (err) {
 			throw new DaoError(`Failed to query for all notes due to a database error: ${err.message}`, { cause: err });
+		} finally {
+			stopTimer();
 		}
 	}
 
 	/**
-	 * Update a note
+	 * Iterate over all notes of a user in id order, including the notes in the trash
+	 * Rows are read from the database as the iterator is advanced, so the notes are never all in memory at once.
+	 * No other statement can write through the connection until the iterator is done or returned, so it must not be
+	 * kept open across asynchronous work, instead iteration can be resumed after the last note seen
+	 * @param {UuidV4} ownerId the id of the user who owns the notes
+	 * @param {?UuidV4} afterId the id of the note to resume after, from the first note if not provided
+	 * @return {Generator<Note, void, void>} the notes of the user
+	 */
+	iterateAll(ownerId, afterId) {
+		NoteDao.#validateOwnerId(ownerId);
+		NoteDao.#validateAfterId(afterId);
+
+		return this.#iterateAllRows(ownerId, afterId);
+	}
+
+	/**
+	 * @param {UuidV4} ownerId
+	 * @param {?UuidV4} afterId
+	 * @return {Generator<Note, void, void>}
+	 * @throws {DaoError} if an error occurred while querying for the notes
+	 */
+	*#iterateAllRows(ownerId, afterId) {
+		// Timed until the iterator is done, so this includes the time taken by the consumer between notes
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "iterateAll" });
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					id,
+					content,
+					creationDateTime,
+					lastUpdatedDateTime,
+					version,
+					deletedDateTime,
+					ownerId,
+					${TAGS_COLUMN}
+				FROM
+					Note
+				WHERE
+					ownerId = :ownerId
+					AND id > :afterId
+				ORDER BY
+					id ASC`,
+			);
+
+			// Every id is greater than the empty blob
+			const rows = selectStatement.iterate({
+				ownerId: parseUuid(ownerId.value),
+				afterId: afterId ? parseUuid(afterId.value) : new Uint8Array(0),
+			});
+
+			for (const row of rows) {
+				yield NoteDao.#mapRowToNote(row);
+			}
+		} catch (err) {
+			throw new DaoError(`Failed to iterate over all notes due to a database error: ${err.message}`, { cause: err });
+		} finally {
+			stopTimer();
+		}
+	}
+
+	/**
+	 * Update a note, incrementing its version
+	 * @param {UuidV4} ownerId the id of the user who owns the note
 	 * @param {NoteForUpdate} note
 	 * @throws {DaoError} if an error occurred while updating the note
 	 */
-	update(note) {
+	update(ownerId, note) {
+		NoteDao.#validateOwnerId(ownerId);
+
 		if (!(note instanceof NoteForUpdate)) {
 			throw new TypeError(
 				`note must be an instance of ${NoteForUpdate.name}, was type ${typeof note} with value ${note}`,
 			);
 		}
 
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "update" });
+
 		try {
 			const updateStatement = this.#databaseConnection.prepare(
 				`UPDATE
 					Note
 				SET
-					content = :content
+					content = :content,
+					version = version + 1
 				WHERE
-					id = :id`,
+					id = :id
+					AND ownerId = :ownerId`,
 			);
 
-			updateStatement.run({ content: note.content, id: parseUuid(note.id.value) });
+			this.#databaseConnection.transaction(() => {
+				const { changes } = updateStatement.run({
+					content: note.content,
+					id: parseUuid(note.id.value),
+					ownerId: parseUuid(ownerId.value),
+				});
+
+				// The tags of another user's note must be left alone
+				if (changes > 0) {
+					this.#replaceTags(parseUuid(note.id.value), note.tags);
+				}
+			})();
 		} catch (err) {
 			throw new DaoError(`Failed to update note ${note} due to a database error: ${err.message}`, { cause: err });
+		} finally {
+			stopTimer();
 		}
 	}
 
 	/**
-	 * Delete a note by id
+	 * Replace a note with another as it is, keeping its date times, such as a note which is imported
+	 * The version is that of the other note unless it would not be greater than the current version, so that clients
+	 * holding the ETag of the note being replaced cannot update it by mistake
+	 * @param {UuidV4} ownerId the id of the user who owns the note
+	 * @param {Note} note
+	 * @throws {DaoError} if an error occurred while replacing the note
+	 */
+	replace(ownerId, note) {
+		NoteDao.#validateOwnerId(ownerId);
+		NoteDao.#validateNote(note);
+
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "replace" });
+
+		try {
+			const updateStatement = this.#databaseConnection.prepare(
+				`UPDATE
+					Note
+				SET
+					content = :content,
+					creationDateTime = :creationDateTime,
+					version = max(version + 1, :version),
+					deletedDateTime = :deletedDateTime
+				WHERE
+					id = :id
+					AND ownerId = :ownerId`,
+			);
+
+			// Set on its own, the trigger setting it to now would otherwise fire if it was already at the date time
+			const updateLastUpdatedStatement = this.#databaseConnection.prepare(
+				`UPDATE
+					Note
+				SET
+					lastUpdatedDateTime = :lastUpdatedDateTime
+				WHERE
+					id = :id`,
+			);
+
+			this.#databaseConnection.transaction(() => {
+				const params = NoteDao.#noteParams(note);
+				const { changes } = updateStatement.run({ ...params, ownerId: parseUuid(ownerId.value) });
+
+				// The tags of another user's note must be left alone
+				if (changes > 0) {
+					updateLastUpdatedStatement.run({ id: params.id, lastUpdatedDateTime: params.lastUpdatedDateTime });
+					this.#replaceTags(params.id, note.tags);
+				}
+			})();
+		} catch (err) {
+			throw new DaoError(`Failed to replace note ${note} due to a database error: ${err.message}`, { cause: err });
+		} finally {
+			stopTimer();
+		}
+	}
+
+	/**
+	 * Move a note to the trash, incrementing its version
+	 * @param {UuidV4} ownerId the id of the user who owns the note
+	 * @param {UuidV4} id
+	 * @throws {DaoError} if an error occurred while moving the note to the trash
+	 */
+	trashById(ownerId, id) {
+		NoteDao.#validateOwnerId(ownerId);
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "trashById" });
+
+		try {
+			const updateStatement = this.#databaseConnection.prepare(
+				`UPDATE
+					Note
+				SET
+					deletedDateTime = CAST((unixepoch('subsec') * 1000) AS INTEGER),
+					version = version + 1
+				WHERE
+					id = :id
+					AND ownerId = :ownerId
+					AND deletedDateTime IS NULL`,
+			);
+
+			updateStatement.run({ id: parseUuid(id.value), ownerId: parseUuid(ownerId.value) });
+		} catch (err) {
+			throw new DaoError(`Failed to move note with id ${id} to the trash due to a database error: ${err.message}`, {
+				cause: err,
+			});
+		} finally {
+			stopTimer();
+		}
+	}
+
+	/**
+	 * Restore a note from the trash, incrementing its version
+	 * @param {UuidV4} ownerId the id of the user who owns the note
+	 * @param {UuidV4} id
+	 * @throws {DaoError} if an error occurred while restoring the note
+	 */
+	restoreById(ownerId, id) {
+		NoteDao.#validateOwnerId(ownerId);
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "restoreById" });
+
+		try {
+			const updateStatement = this.#databaseConnection.prepare(
+				`UPDATE
+					Note
+				SET
+					deletedDateTime = NULL,
+					version = version + 1
+				WHERE
+					id = :id
+					AND ownerId = :ownerId
+					AND deletedDateTime IS NOT NULL`,
+			);
+
+			updateStatement.run({ id: parseUuid(id.value), ownerId: parseUuid(ownerId.value) });
+		} catch (err) {
+			throw new DaoError(
+				`Failed to restore note with id ${id} from the trash due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		} finally {
+			stopTimer();
+		}
+	}
+
+	/**
+	 * Permanently delete the notes of every user which were moved to the trash before a point in time
+	 * @param {Date} deletedBefore
+	 * @return {number} the number of notes deleted
+	 * @throws {DaoError} if an error occurred while deleting the notes
+	 */
+	purgeTrash(deletedBefore) {
+		if (!isDate(deletedBefore)) {
+			throw new TypeError(
+				`deletedBefore must be a Date object, was type ${typeof deletedBefore} with value ${deletedBefore}`,
+			);
+		}
+
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "purgeTrash" });
+
+		try {
+			const deleteStatement = this.#databaseConnection.prepare(
+				`DELETE FROM
+					Note
+				WHERE
+					deletedDateTime < :deletedBefore`,
+			);
+
+			return deleteStatement.run({ deletedBefore: deletedBefore.getTime() }).changes;
+		} catch (err) {
+			throw new DaoError(`Failed to purge the trash due to a database error: ${err.message}`, { cause: err });
+		} finally {
+			stopTimer();
+		}
+	}
+
+	/**
+	 * Count the notes of every user
+	 * @return {{active: number, trashed: number}} the number of notes outside of and in the trash
+	 * @throws {DaoError} if an error occurred while counting the notes
+	 */
+	countAll() {
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "countAll" });
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					count(*) FILTER (WHERE deletedDateTime IS NULL) AS active,
+					count(*) FILTER (WHERE deletedDateTime IS NOT NULL) AS trashed
+				FROM
+					Note`,
+			);
+
+			const { active, trashed } = selectStatement.get();
+
+			return { active: active, trashed: trashed };
+		} catch (err) {
+			throw new DaoError(`Failed to count notes due to a database error: ${err.message}`, { cause: err });
+		} finally {
+			stopTimer();
+		}
+	}
+
+	/**
+	 * Permanently delete a note by id, whether or not it is in the trash
+	 * @param {UuidV4} ownerId the id of the user who owns the note
 	 * @param {UuidV4} id
 	 * @throws {DaoError} if an error occurred while deleting the note
 	 */
-	deleteById(id) {
+	deleteById(ownerId, id) {
+		NoteDao.#validateOwnerId(ownerId);
+
 		if (!(id instanceof UuidV4)) {
 			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
 		}
 
+		const stopTimer = noteDaoQueryDurationSeconds.startTimer({ operation: "deleteById" });
+
 		try {
 			const deleteStatement = this.#databaseConnection.prepare(
 				`DELETE FROM
 					Note
 				WHERE
-					id = :id`,
+					id = :id
+					AND ownerId = :ownerId`,
 			);
 
-			deleteStatement.run({ id: parseUuid(id.value) });
+			deleteStatement.run({ id: parseUuid(id.value), ownerId: parseUuid(ownerId.value) });
 		} catch (err) {
 			throw new DaoError(`Failed to delete note with id ${id} due to a database error: ${err.message}`, {
 				cause: err,
 			});
+		} finally {
+			stopTimer();
 		}
 	}
 }
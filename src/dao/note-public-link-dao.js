@@ -0,0 +1,281 @@
+import BetterSqlite3 from "better-sqlite3";
+import Database from "better-sqlite3";
+import { parse as parseUuid, v4 as uuidv4 } from "uuid";
+import { NotePublicLink } from "../model/note-public-link.js";
+import UuidV4 from "../model/uuidv4.js";
+import { isDate, isString } from "../util/validation.js";
+import DaoError from "./dao-error.js";
+
+/**
+ * Stores the public links of notes, whether the caller owns the note is checked by the service
+ */
+export default class NotePublicLinkDao {
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	#databaseConnection;
+
+	/**
+	 * @param {BetterSqlite3.Database} databaseConnection the database connection to use for performing queries
+	 */
+	constructor(databaseConnection) {
+		if (!(databaseConnection instanceof Database)) {
+			throw new TypeError(
+				`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+			);
+		}
+
+		this.#databaseConnection = databaseConnection;
+	}
+
+	/**
+	 * @param {UuidV4} noteId
+	 */
+	static #validateNoteId(noteId) {
+		if (!(noteId instanceof UuidV4)) {
+			throw new TypeError(
+				`noteId must be an instance of ${UuidV4.name}, was type ${typeof noteId} with value ${noteId}`,
+			);
+		}
+	}
+
+	/**
+	 * @param {UuidV4} id
+	 */
+	static #validateId(id) {
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+	}
+
+	/**
+	 * @param {Buffer} tokenHash
+	 */
+	static #validateTokenHash(tokenHash) {
+		if (!Buffer.isBuffer(tokenHash)) {
+			throw new TypeError(`tokenHash must be a Buffer, was type ${typeof tokenHash}`);
+		}
+	}
+
+	static #mapRowToNotePublicLink(row) {
+		return new NotePublicLink(
+			new UuidV4(uuidv4({ random: row.id })),
+			new UuidV4(uuidv4({ random: row.noteId })),
+			row.expiryDateTime === null ? null : new Date(row.expiryDateTime),
+			row.passwordHash !== null,
+			new Date(row.creationDateTime),
+		);
+	}
+
+	/**
+	 * Create a public link to a note
+	 * @param {UuidV4} noteId
+	 * @param {Buffer} tokenHash the hash of the link's token
+	 * @param {?string} passwordHash the hash of the link's password, null if the link has no password
+	 * @param {?Date} expiryDateTime when the link stops working, null if it works until revoked
+	 * @return {UuidV4} the id of the new link
+	 * @throws {DaoError} if an error occurred while creating the link
+	 */
+	create(noteId, tokenHash, passwordHash, expiryDateTime) {
+		NotePublicLinkDao.#validateNoteId(noteId);
+		NotePublicLinkDao.#validateTokenHash(tokenHash);
+
+		if (passwordHash !== null && !isString(passwordHash)) {
+			throw new TypeError(`passwordHash must be a string or null, was type ${typeof passwordHash}`);
+		}
+
+		if (expiryDateTime !== null && !isDate(expiryDateTime)) {
+			throw new TypeError(
+				`expiryDateTime must be a Date object or null, was type ${typeof expiryDateTime} with value ${expiryDateTime}`,
+			);
+		}
+
+		const id = new UuidV4(uuidv4());
+
+		try {
+			const insertStatement = this.#databaseConnection.prepare(
+				`INSERT INTO NotePublicLink (
+					id,
+					noteId,
+					tokenHash,
+					passwordHash,
+					expiryDateTime
+				)
+				VALUES
+				(
+					:id,
+					:noteId,
+					:tokenHash,
+					:passwordHash,
+					:expiryDateTime
+				)`,
+			);
+
+			insertStatement.run({
+				id: parseUuid(id.value),
+				noteId: parseUuid(noteId.value),
+				tokenHash: tokenHash,
+				passwordHash: passwordHash,
+				expiryDateTime: expiryDateTime === null ? null : expiryDateTime.getTime(),
+			});
+
+			return id;
+		} catch (err) {
+			throw new DaoError(
+				`Failed to create public link to note with id ${noteId} due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+
+	/**
+	 * Find a public link of a note
+	 * @param {UuidV4} noteId
+	 * @param {UuidV4} id the id of the link
+	 * @return {?NotePublicLink} the link or null if the note does not have it
+	 * @throws {DaoError} if an error occurred while querying for the link
+	 */
+	find(noteId, id) {
+		NotePublicLinkDao.#validateNoteId(noteId);
+		NotePublicLinkDao.#validateId(id);
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					id,
+					noteId,
+					passwordHash,
+					expiryDateTime,
+					creationDateTime
+				FROM
+					NotePublicLink
+				WHERE
+					id = :id
+					AND noteId = :noteId`,
+			);
+
+			const row = selectStatement.get({ id: parseUuid(id.value), noteId: parseUuid(noteId.value) });
+
+			return row ? NotePublicLinkDao.#mapRowToNotePublicLink(row) : null;
+		} catch (err) {
+			throw new DaoError(
+				`Failed to query for public link with id ${id} of note with id ${noteId} due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+
+	/**
+	 * Find a public link by the hash of its token, along with what is needed to check it and read the note
+	 * @param {Buffer} tokenHash
+	 * @return {?{link: NotePublicLink, ownerId: UuidV4, passwordHash: ?string}} the link, the id of the owner
+	 * of the note and the hash of the link's password, or null if no link has the token
+	 * @throws {DaoError} if an error occurred while querying for the link
+	 */
+	findByTokenHash(tokenHash) {
+		NotePublicLinkDao.#validateTokenHash(tokenHash);
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					NotePublicLink.id,
+					NotePublicLink.noteId,
+					NotePublicLink.passwordHash,
+					NotePublicLink.expiryDateTime,
+					NotePublicLink.creationDateTime,
+					Note.ownerId
+				FROM
+					NotePublicLink
+					JOIN Note ON Note.id = NotePublicLink.noteId
+				WHERE
+					NotePublicLink.tokenHash = :tokenHash`,
+			);
+
+			const row = selectStatement.get({ tokenHash: tokenHash });
+			if (!row) {
+				return null;
+			}
+
+			return {
+				link: NotePublicLinkDao.#mapRowToNotePublicLink(row),
+				ownerId: new UuidV4(uuidv4({ random: row.ownerId })),
+				passwordHash: row.passwordHash,
+			};
+		} catch (err) {
+			throw new DaoError(`Failed to query for public link by token due to a database error: ${err.message}`, {
+				cause: err,
+			});
+		}
+	}
+
+	/**
+	 * List the public links of a note
+	 * @param {UuidV4} noteId
+	 * @return {NotePublicLink[]} the links of the note, most recently created first
+	 * @throws {DaoError} if an error occurred while querying for the links
+	 */
+	listByNote(noteId) {
+		NotePublicLinkDao.#validateNoteId(noteId);
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					id,
+					noteId,
+					passwordHash,
+					expiryDateTime,
+					creationDateTime
+				FROM
+					NotePublicLink
+				WHERE
+					noteId = :noteId
+				ORDER BY
+					creationDateTime DESC, id DESC`,
+			);
+
+			return selectStatement.all({ noteId: parseUuid(noteId.value) }).map(NotePublicLinkDao.#mapRowToNotePublicLink);
+		} catch (err) {
+			throw new DaoError(
+				`Failed to query for public links of note with id ${noteId} due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+
+	/**
+	 * Revoke a public link of a note
+	 * @param {UuidV4} noteId
+	 * @param {UuidV4} id the id of the link
+	 * @return {boolean} true if the note had the link
+	 * @throws {DaoError} if an error occurred while deleting the link
+	 */
+	delete(noteId, id) {
+		NotePublicLinkDao.#validateNoteId(noteId);
+		NotePublicLinkDao.#validateId(id);
+
+		try {
+			const deleteStatement = this.#databaseConnection.prepare(
+				`DELETE FROM
+					NotePublicLink
+				WHERE
+					id = :id
+					AND noteId = :noteId`,
+			);
+
+			return deleteStatement.run({ id: parseUuid(id.value), noteId: parseUuid(noteId.value) }).changes > 0;
+		} catch (err) {
+			throw new DaoError(
+				`Failed to delete public link with id ${id} of note with id ${noteId} due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+}
@@ -0,0 +1,158 @@
+import BetterSqlite3 from "better-sqlite3";
+import Database from "better-sqlite3";
+import { parse as parseUuid } from "uuid";
+import { NoteRevision, NoteRevisionListPage } from "../model/note-revision.js";
+import UuidV4 from "../model/uuidv4.js";
+import NoteDao from "./note-dao.js";
+import DaoError from "./dao-error.js";
+
+/**
+ * Reads the revisions recorded by the tr_Note_update_NoteRevision_au trigger whenever note content changes
+ */
+export default class NoteRevisionDao {
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	#databaseConnection;
+
+	/**
+	 * @param {BetterSqlite3.Database} databaseConnection the database connection to use for performing queries
+	 */
+	constructor(databaseConnection) {
+		if (!(databaseConnection instanceof Database)) {
+			throw new TypeError(
+				`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+			);
+		}
+
+		this.#databaseConnection = databaseConnection;
+	}
+
+	/**
+	 * @param {UuidV4} noteId
+	 */
+	static #validateNoteId(noteId) {
+		if (!(noteId instanceof UuidV4)) {
+			throw new TypeError(
+				`noteId must be an instance of ${UuidV4.name}, was type ${typeof noteId} with value ${noteId}`,
+			);
+		}
+	}
+
+	/**
+	 * @param {?number} pageSize
+	 * @return {number} the pageSize or the default page size if not provided
+	 */
+	static #validatePageSize(pageSize) {
+		if (pageSize === undefined) {
+			return NoteDao.DEFAULT_PAGE_SIZE;
+		} else if (!Number.isInteger(pageSize)) {
+			throw new TypeError(
+				`if provided, pageSize must be an integer, was type ${typeof pageSize} with value ${pageSize}`,
+			);
+		} else if (pageSize < NoteDao.MIN_PAGE_SIZE || pageSize > NoteDao.MAX_PAGE_SIZE) {
+			throw new RangeError(
+				`if provided, pageSize must be >= ${NoteDao.MIN_PAGE_SIZE} and <= ${NoteDao.MAX_PAGE_SIZE}, was ${pageSize}`,
+			);
+		}
+
+		return pageSize;
+	}
+
+	static #mapRowToNoteRevision(noteId, row) {
+		return new NoteRevision(noteId, row.revision, row.content, new Date(row.creationDateTime));
+	}
+
+	/**
+	 * Get paginated list of the revisions of a note
+	 * @param {UuidV4} noteId
+	 * @param {?number} pageSize
+	 * @param {?number} beforeRevision the revision number of the last revision of the previous page
+	 * @return {NoteRevisionListPage} the page of revisions, most recent first
+	 * @throws {DaoError} if an error occurred while querying for revisions
+	 */
+	list(noteId, pageSize, beforeRevision) {
+		NoteRevisionDao.#validateNoteId(noteId);
+		pageSize = NoteRevisionDao.#validatePageSize(pageSize);
+
+		if (beforeRevision !== undefined && !Number.isInteger(beforeRevision)) {
+			throw new TypeError(
+				`if provided, beforeRevision must be an integer, was type ${typeof beforeRevision} with value ${beforeRevision}`,
+			);
+		}
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					revision,
+					content,
+					creationDateTime
+				FROM
+					NoteRevision
+				WHERE
+					noteId = :noteId
+					AND revision < :beforeRevision
+				ORDER BY
+					revision DESC
+				LIMIT
+					:pageSize`,
+			);
+
+			const revisions = selectStatement
+				.all({
+					noteId: parseUuid(noteId.value),
+					beforeRevision: beforeRevision ?? Number.MAX_SAFE_INTEGER,
+					pageSize: pageSize,
+				})
+				.map((row) => NoteRevisionDao.#mapRowToNoteRevision(noteId, row));
+
+			return new NoteRevisionListPage(pageSize, revisions);
+		} catch (err) {
+			throw new DaoError(
+				`Failed to query for revisions of note with id ${noteId} due to a database error: ${err.message}`,
+				{ cause: err },
+			);
+		}
+	}
+
+	/**
+	 * Find a revision of a note
+	 * @param {UuidV4} noteId
+	 * @param {number} revision
+	 * @return {?NoteRevision} the revision or null if it does not exist
+	 * @throws {DaoError} if an error occurred while querying for the revision
+	 */
+	findByRevision(noteId, revision) {
+		NoteRevisionDao.#validateNoteId(noteId);
+
+		if (!Number.isInteger(revision)) {
+			throw new TypeError(`revision must be an integer, was type ${typeof revision} with value ${revision}`);
+		}
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					revision,
+					content,
+					creationDateTime
+				FROM
+					NoteRevision
+				WHERE
+					noteId = :noteId
+					AND revision = :revision`,
+			);
+
+			const row = selectStatement.get({ noteId: parseUuid(noteId.value), revision: revision });
+			if (!row) {
+				return null;
+			}
+
+			return NoteRevisionDao.#mapRowToNoteRevision(noteId, row);
+		} catch (err) {
+			throw new DaoError(
+				`Failed to query for revision ${revision} of note with id ${noteId} due to a database error: ${err.message}`,
+				{ cause: err },
+			);
+		}
+	}
+}
@@ -0,0 +1,207 @@
+import BetterSqlite3 from "better-sqlite3";
+import Database from "better-sqlite3";
+import { parse as parseUuid, v4 as uuidv4 } from "uuid";
+import { NoteShare } from "../model/note-share.js";
+import UuidV4 from "../model/uuidv4.js";
+import DaoError from "./dao-error.js";
+
+/**
+ * Stores the access note owners grant other users, whether the caller owns the note is checked by the service
+ */
+export default class NoteShareDao {
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	#databaseConnection;
+
+	/**
+	 * @param {BetterSqlite3.Database} databaseConnection the database connection to use for performing queries
+	 */
+	constructor(databaseConnection) {
+		if (!(databaseConnection instanceof Database)) {
+			throw new TypeError(
+				`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+			);
+		}
+
+		this.#databaseConnection = databaseConnection;
+	}
+
+	/**
+	 * @param {UuidV4} noteId
+	 * @param {UuidV4} userId
+	 */
+	static #validateIds(noteId, userId) {
+		for (const [name, id] of [
+			["noteId", noteId],
+			["userId", userId],
+		]) {
+			if (!(id instanceof UuidV4)) {
+				throw new TypeError(`${name} must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+			}
+		}
+	}
+
+	static #mapRowToNoteShare(row) {
+		return new NoteShare(
+			new UuidV4(uuidv4({ random: row.noteId })),
+			new UuidV4(uuidv4({ random: row.userId })),
+			row.userName,
+			row.permission,
+			new Date(row.creationDateTime),
+		);
+	}
+
+	/**
+	 * Share a note with a user, replacing the permission if the note is already shared with them
+	 * @param {UuidV4} noteId
+	 * @param {UuidV4} userId
+	 * @param {string} permission {@link NoteShare.READ} or {@link NoteShare.WRITE}
+	 * @throws {DaoError} if an error occurred while sharing the note
+	 */
+	save(noteId, userId, permission) {
+		NoteShareDao.#validateIds(noteId, userId);
+		NoteShare.validatePermission(permission);
+
+		try {
+			const upsertStatement = this.#databaseConnection.prepare(
+				`INSERT INTO NoteShare (
+					noteId,
+					userId,
+					permission
+				)
+				VALUES
+				(
+					:noteId,
+					:userId,
+					:permission
+				)
+				ON CONFLICT (noteId, userId) DO UPDATE SET
+					permission = excluded.permission`,
+			);
+
+			upsertStatement.run({
+				noteId: parseUuid(noteId.value),
+				userId: parseUuid(userId.value),
+				permission: permission,
+			});
+		} catch (err) {
+			throw new DaoError(
+				`Failed to share note with id ${noteId} with user with id ${userId} due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+
+	/**
+	 * Find the access a user was granted to a note
+	 * @param {UuidV4} noteId
+	 * @param {UuidV4} userId
+	 * @return {?NoteShare} the share or null if the note is not shared with the user
+	 * @throws {DaoError} if an error occurred while querying for the share
+	 */
+	find(noteId, userId) {
+		NoteShareDao.#validateIds(noteId, userId);
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					NoteShare.noteId,
+					NoteShare.userId,
+					User.name AS userName,
+					NoteShare.permission,
+					NoteShare.creationDateTime
+				FROM
+					NoteShare
+					JOIN User ON User.id = NoteShare.userId
+				WHERE
+					NoteShare.noteId = :noteId
+					AND NoteShare.userId = :userId`,
+			);
+
+			const row = selectStatement.get({ noteId: parseUuid(noteId.value), userId: parseUuid(userId.value) });
+
+			return row ? NoteShareDao.#mapRowToNoteShare(row) : null;
+		} catch (err) {
+			throw new DaoError(
+				`Failed to query for share of note with id ${noteId} with user with id ${userId} due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+
+	/**
+	 * List the users a note is shared with
+	 * @param {UuidV4} noteId
+	 * @return {NoteShare[]} the shares of the note ordered by user name
+	 * @throws {DaoError} if an error occurred while querying for the shares
+	 */
+	listByNote(noteId) {
+		if (!(noteId instanceof UuidV4)) {
+			throw new TypeError(
+				`noteId must be an instance of ${UuidV4.name}, was type ${typeof noteId} with value ${noteId}`,
+			);
+		}
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					NoteShare.noteId,
+					NoteShare.userId,
+					User.name AS userName,
+					NoteShare.permission,
+					NoteShare.creationDateTime
+				FROM
+					NoteShare
+					JOIN User ON User.id = NoteShare.userId
+				WHERE
+					NoteShare.noteId = :noteId
+				ORDER BY
+					User.name`,
+			);
+
+			return selectStatement.all({ noteId: parseUuid(noteId.value) }).map(NoteShareDao.#mapRowToNoteShare);
+		} catch (err) {
+			throw new DaoError(
+				`Failed to query for shares of note with id ${noteId} due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+
+	/**
+	 * Stop sharing a note with a user
+	 * @param {UuidV4} noteId
+	 * @param {UuidV4} userId
+	 * @return {boolean} true if the note was shared with the user
+	 * @throws {DaoError} if an error occurred while deleting the share
+	 */
+	delete(noteId, userId) {
+		NoteShareDao.#validateIds(noteId, userId);
+
+		try {
+			const deleteStatement = this.#databaseConnection.prepare(
+				`DELETE FROM
+					NoteShare
+				WHERE
+					noteId = :noteId
+					AND userId = :userId`,
+			);
+
+			return deleteStatement.run({ noteId: parseUuid(noteId.value), userId: parseUuid(userId.value) }).changes > 0;
+		} catch (err) {
+			throw new DaoError(
+				`Failed to delete share of note with id ${noteId} with user with id ${userId} due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+}
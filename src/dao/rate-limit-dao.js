@@ -0,0 +1,165 @@
+import BetterSqlite3 from "better-sqlite3";
+import Database from "better-sqlite3";
+import { isDate, isString } from "../util/validation.js";
+import DaoError from "./dao-error.js";
+
+/**
+ * Stores the token buckets of the rate limiter, the refilling and taking of tokens is done by the service
+ */
+export default class RateLimitDao {
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	#databaseConnection;
+
+	/**
+	 * @param {BetterSqlite3.Database} databaseConnection the database connection to use for performing queries
+	 */
+	constructor(databaseConnection) {
+		if (!(databaseConnection instanceof Database)) {
+			throw new TypeError(
+				`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+			);
+		}
+
+		this.#databaseConnection = databaseConnection;
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {string} budget
+	 */
+	static #validateBucketId(key, budget) {
+		for (const [name, value] of [
+			["key", key],
+			["budget", budget],
+		]) {
+			if (!isString(value) || value.length === 0) {
+				throw new TypeError(`${name} must be a non empty string, was type ${typeof value} with value ${value}`);
+			}
+		}
+	}
+
+	/**
+	 * Find a token bucket
+	 * @param {string} key who the bucket limits, such as a user or an IP address
+	 * @param {string} budget which of the budgets of the key the bucket holds
+	 * @return {?{tokens: number, updatedDateTime: Date}} the tokens in the bucket when it was last updated,
+	 * or null if there is no bucket, which means it is full
+	 * @throws {DaoError} if an error occurred while querying for the bucket
+	 */
+	find(key, budget) {
+		RateLimitDao.#validateBucketId(key, budget);
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					tokens,
+					updatedDateTime
+				FROM
+					RateLimitBucket
+				WHERE
+					key = :key
+					AND budget = :budget`,
+			);
+
+			const row = selectStatement.get({ key: key, budget: budget });
+
+			return row ? { tokens: row.tokens, updatedDateTime: new Date(row.updatedDateTime) } : null;
+		} catch (err) {
+			throw new DaoError(
+				`Failed to query for ${budget} rate limit bucket of ${key} due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+
+	/**
+	 * Create or replace a token bucket
+	 * @param {string} key who the bucket limits, such as a user or an IP address
+	 * @param {string} budget which of the budgets of the key the bucket holds
+	 * @param {number} tokens the tokens in the bucket
+	 * @param {Date} updatedDateTime when the bucket held the tokens
+	 * @throws {DaoError} if an error occurred while saving the bucket
+	 */
+	save(key, budget, tokens, updatedDateTime) {
+		RateLimitDao.#validateBucketId(key, budget);
+
+		if (typeof tokens !== "number" || !Number.isFinite(tokens) || tokens < 0) {
+			throw new TypeError(`tokens must be a finite number >= 0, was type ${typeof tokens} with value ${tokens}`);
+		}
+
+		if (!isDate(updatedDateTime)) {
+			throw new TypeError(
+				`updatedDateTime must be a Date object, was type ${typeof updatedDateTime} with value ${updatedDateTime}`,
+			);
+		}
+
+		try {
+			const upsertStatement = this.#databaseConnection.prepare(
+				`INSERT INTO RateLimitBucket (
+					key,
+					budget,
+					tokens,
+					updatedDateTime
+				)
+				VALUES
+				(
+					:key,
+					:budget,
+					:tokens,
+					:updatedDateTime
+				)
+				ON CONFLICT (key, budget) DO UPDATE SET
+					tokens = excluded.tokens,
+					updatedDateTime = excluded.updatedDateTime`,
+			);
+
+			upsertStatement.run({ key: key, budget: budget, tokens: tokens, updatedDateTime: updatedDateTime.getTime() });
+		} catch (err) {
+			throw new DaoError(
+				`Failed to save ${budget} rate limit bucket of ${key} due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+
+	/**
+	 * Delete the buckets of a budget which have not been used since a date and time
+	 * @param {string} budget
+	 * @param {Date} updatedBefore
+	 * @return {number} the number of buckets deleted
+	 * @throws {DaoError} if an error occurred while deleting the buckets
+	 */
+	deleteUpdatedBefore(budget, updatedBefore) {
+		if (!isString(budget) || budget.length === 0) {
+			throw new TypeError(`budget must be a non empty string, was type ${typeof budget} with value ${budget}`);
+		}
+
+		if (!isDate(updatedBefore)) {
+			throw new TypeError(
+				`updatedBefore must be a Date object, was type ${typeof updatedBefore} with value ${updatedBefore}`,
+			);
+		}
+
+		try {
+			const deleteStatement = this.#databaseConnection.prepare(
+				`DELETE FROM
+					RateLimitBucket
+				WHERE
+					budget = :budget
+					AND updatedDateTime < :updatedBefore`,
+			);
+
+			return deleteStatement.run({ budget: budget, updatedBefore: updatedBefore.getTime() }).changes;
+		} catch (err) {
+			throw new DaoError(`Failed to delete idle ${budget} rate limit buckets due to a database error: ${err.message}`, {
+				cause: err,
+			});
+		}
+	}
+}
@@ -0,0 +1,52 @@
+/**
+ * Composes the conditions of a WHERE clause along with the values of their named parameters
+ */
+export default class SqlFilter {
+	/**
+	 * @type {string[]}
+	 */
+	#conditions = [];
+
+	/**
+	 * @type {Object<string, *>}
+	 */
+	#params = {};
+
+	/**
+	 * Add a condition that rows must also match
+	 * @param {string} condition an SQL boolean expression, only using named parameters
+	 * @param {Object<string, *>} params the values of the named parameters of the condition
+	 * @return {SqlFilter} this filter
+	 * @throws {RangeError} if a parameter was already added by another condition
+	 */
+	and(condition, params = {}) {
+		for (const name of Object.keys(params)) {
+			if (Object.hasOwn(this.#params, name)) {
+				throw new RangeError(`parameter ${name} was already added by another condition`);
+			}
+		}
+
+		this.#conditions.push(condition);
+		Object.assign(this.#params, params);
+
+		return this;
+	}
+
+	/**
+	 * @return {string} the conditions for a WHERE clause, TRUE if there are none
+	 */
+	get sql() {
+		return this.#conditions.length === 0 ? "TRUE" : this.#conditions.map((condition) => `(${condition})`).join(" AND ");
+	}
+
+	/**
+	 * @return {Object<string, *>} the values of the named parameters of all conditions
+	 */
+	get params() {
+		return { ...this.#params };
+	}
+
+	toString() {
+		return `${SqlFilter.name} ${JSON.stringify({ sql: this.sql, params: this.#params })}`;
+	}
+}
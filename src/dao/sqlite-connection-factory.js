@@ -1,24 +1,56 @@
-import { fileURLToPath } from "url";
 import BetterSqlite3 from "better-sqlite3";
 import Database from "better-sqlite3";
-import fs from "node:fs";
-import path, { dirname } from "path";
 import { isString } from "../util/validation.js";
 import DaoError from "./dao-error.js";
+import MigrationRunner from "./migration-runner.js";
 
 export default class SqliteConnectionFactory {
-	static #loadCreateSchemaSqlScript() {
-		const filename = fileURLToPath(import.meta.url);
-		const dir = dirname(filename);
-		return fs.readFileSync(path.resolve(dir, "./migrations/000_db_schema_create.sql"), "utf8");
+	/**
+	 * Applies the per connection settings, these cannot be part of a migration
+	 * since migrations run inside a transaction and some pragmas are ignored or rejected there
+	 *
+	 * References:
+	 * Optimizing SQLite for servers
+	 * https://kerkour.com/sqlite-for-servers
+	 *
+	 * PRAGMA Statements
+	 * https://www.sqlite.org/pragma.html
+	 * @param {BetterSqlite3.Database} db
+	 */
+	static #configureConnection(db) {
+		db.pragma("encoding = 'UTF-8'");
+		db.pragma("foreign_keys = ON");
+		db.pragma("busy_timeout = 5000");
+		db.pragma("temp_store = memory");
+		/*
+		Cache size set to a negative number to indicate a size in kibibytes
+		SQLite will calculate the proportional number of cache pages for the given number
+		Denoting this value in kibibytes feels more intuitive than using the number of pages
+		Reference:
+		https://www.sqlite.org/pragma.html#pragma_cache_size
+		*/
+		db.pragma("cache_size = -100000"); // ~102.4 MB
+
+		/*
+		Use write-ahead log
+		References:
+		https://github.com/WiseLibs/better-sqlite3/blob/master/docs/performance.md
+		https://www.sqlite.org/pragma.html#pragma_journal_mode
+		https://www.sqlite.org/wal.html
+		*/
+		db.pragma("journal_mode = WAL");
+		db.pragma("synchronous = NORMAL");
 	}
 
 	/**
 	 * Creates a connection to the database
 	 * @param {string} databaseFilename the path to the database file
+	 * @param {object} [options]
+	 * @param {boolean} [options.migrate=true] whether to apply pending schema migrations,
+	 * disable this when migrations are run separately with the migrate command
 	 * @returns {BetterSqlite3.Database} the database connection
 	 */
-	static createConnection(databaseFilename) {
+	static createConnection(databaseFilename, { migrate = true } = {}) {
 		if (!isString(databaseFilename)) {
 			throw new TypeError(
 				`databaseFilename must be a string, was type ${typeof databaseFilename} with value ${databaseFilename}`,
@@ -28,19 +60,22 @@ export default class SqliteConnectionFactory {
 		let db;
 		try {
 			db = new Database(databaseFilename);
+			SqliteConnectionFactory.#configureConnection(db);
 		} catch (err) {
 			throw new DaoError(`Failed to create connection to SQLite database ${databaseFilename}`, { cause: err });
 		}
 
-		try {
-			db.exec(SqliteConnectionFactory.#loadCreateSchemaSqlScript());
-		} catch (err) {
-			throw new DaoError(
-				`Failed to execute schema create script for connection to SQLite database ${databaseFilename}: ${err.message}`,
-				{
-					cause: err,
-				},
-			);
+		if (migrate) {
+			try {
+				new MigrationRunner(db).migrate();
+			} catch (err) {
+				throw new DaoError(
+					`Failed to migrate schema for connection to SQLite database ${databaseFilename}: ${err.message}`,
+					{
+						cause: err,
+					},
+				);
+			}
 		}
 
 		return db;
@@ -0,0 +1,207 @@
+import BetterSqlite3 from "better-sqlite3";
+import Database from "better-sqlite3";
+import { parse as parseUuid } from "uuid";
+import { TagUsage, normalizeTagName } from "../model/tag.js";
+import UuidV4 from "../model/uuidv4.js";
+import DaoError from "./dao-error.js";
+
+/**
+ * Tags are shared by name between users, each user only sees and changes the tags of their own notes
+ */
+export default class TagDao {
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	#databaseConnection;
+
+	/**
+	 * @param {BetterSqlite3.Database} databaseConnection the database connection to use for performing queries
+	 */
+	constructor(databaseConnection) {
+		if (!(databaseConnection instanceof Database)) {
+			throw new TypeError(
+				`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+			);
+		}
+
+		this.#databaseConnection = databaseConnection;
+	}
+
+	/**
+	 * @param {UuidV4} ownerId
+	 */
+	static #validateOwnerId(ownerId) {
+		if (!(ownerId instanceof UuidV4)) {
+			throw new TypeError(
+				`ownerId must be an instance of ${UuidV4.name}, was type ${typeof ownerId} with value ${ownerId}`,
+			);
+		}
+	}
+
+	/**
+	 * List the tags in use along with the number of notes having each tag, notes in the trash are not counted
+	 * @param {UuidV4} ownerId the id of the user whose notes to count
+	 * @return {TagUsage[]} the tags of the user's notes ordered by name
+	 * @throws {DaoError} if an error occurred while querying for tags
+	 */
+	listUsage(ownerId) {
+		TagDao.#validateOwnerId(ownerId);
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					Tag.name,
+					COUNT(*) AS noteCount
+				FROM
+					Tag
+					JOIN NoteTag ON NoteTag.tagId = Tag.id
+					JOIN Note ON Note.id = NoteTag.noteId
+				WHERE
+					Note.ownerId = :ownerId
+					AND Note.deletedDateTime IS NULL
+				GROUP BY
+					Tag.id
+				ORDER BY
+					Tag.name ASC`,
+			);
+
+			return selectStatement
+				.all({ ownerId: parseUuid(ownerId.value) })
+				.map((row) => new TagUsage(row.name, row.noteCount));
+		} catch (err) {
+			throw new DaoError(`Failed to query for tag usage due to a database error: ${err.message}`, { cause: err });
+		}
+	}
+
+	/**
+	 * Check whether a tag is on any note of a user, including notes in the trash
+	 * @param {UuidV4} ownerId the id of the user whose notes to check
+	 * @param {string} name
+	 * @return {boolean} true if the tag exists
+	 * @throws {DaoError} if an error occurred while querying for the tag
+	 */
+	existsByName(ownerId, name) {
+		TagDao.#validateOwnerId(ownerId);
+		name = normalizeTagName(name);
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					1
+				FROM
+					Tag
+					JOIN NoteTag ON NoteTag.tagId = Tag.id
+					JOIN Note ON Note.id = NoteTag.noteId
+				WHERE
+					Tag.name = :name
+					AND Note.ownerId = :ownerId`,
+			);
+
+			return selectStatement.get({ name: name, ownerId: parseUuid(ownerId.value) }) !== undefined;
+		} catch (err) {
+			throw new DaoError(`Failed to query for tag "${name}" due to a database error: ${err.message}`, { cause: err });
+		}
+	}
+
+	/**
+	 * Increment the version of every note of a user with the tag since its representation is about to change
+	 * @param {Uint8Array} ownerId the parsed id of the user
+	 * @param {string} name the normalized tag name
+	 */
+	#incrementNoteVersions(ownerId, name) {
+		this.#databaseConnection
+			.prepare(
+				`UPDATE
+					Note
+				SET
+					version = version + 1
+				WHERE
+					ownerId = :ownerId
+					AND id IN (SELECT NoteTag.noteId FROM NoteTag JOIN Tag ON Tag.id = NoteTag.tagId WHERE Tag.name = :name)`,
+			)
+			.run({ ownerId: ownerId, name: name });
+	}
+
+	/**
+	 * Merge a tag into another on every note of a user, moving the notes to the target tag
+	 * The source tag is deleted once no note of any user has it
+	 * @param {UuidV4} ownerId the id of the user whose notes to change
+	 * @param {string} sourceName the tag to merge
+	 * @param {string} targetName the tag to merge into, created if it does not exist
+	 * @throws {DaoError} if an error occurred while merging the tags
+	 */
+	merge(ownerId, sourceName, targetName) {
+		TagDao.#validateOwnerId(ownerId);
+		sourceName = normalizeTagName(sourceName);
+		targetName = normalizeTagName(targetName);
+
+		if (sourceName === targetName) {
+			return;
+		}
+
+		const params = { ownerId: parseUuid(ownerId.value), sourceName: sourceName };
+
+		// The owner's notes with the source tag
+		const sourceNoteIds = `
+			SELECT
+				NoteTag.noteId
+			FROM
+				NoteTag
+				JOIN Tag ON Tag.id = NoteTag.tagId
+				JOIN Note ON Note.id = NoteTag.noteId
+			WHERE
+				Tag.name = :sourceName
+				AND Note.ownerId = :ownerId`;
+
+		try {
+			this.#databaseConnection.transaction(() => {
+				this.#incrementNoteVersions(params.ownerId, sourceName);
+
+				this.#databaseConnection
+					.prepare(`INSERT INTO Tag (name) VALUES (:name) ON CONFLICT (name) DO NOTHING`)
+					.run({ name: targetName });
+
+				this.#databaseConnection
+					.prepare(
+						`INSERT OR IGNORE INTO NoteTag (
+							noteId,
+							tagId
+						)
+						SELECT
+							noteId,
+							(SELECT id FROM Tag WHERE name = :targetName)
+						FROM
+							(${sourceNoteIds})`,
+					)
+					.run({ ...params, targetName: targetName });
+
+				this.#databaseConnection
+					.prepare(
+						`DELETE FROM
+							NoteTag
+						WHERE
+							tagId = (SELECT id FROM Tag WHERE name = :sourceName)
+							AND noteId IN (${sourceNoteIds})`,
+					)
+					.run(params);
+
+				this.#databaseConnection
+					.prepare(
+						`DELETE FROM
+							Tag
+						WHERE
+							name = :name
+							AND NOT EXISTS (SELECT 1 FROM NoteTag WHERE NoteTag.tagId = Tag.id)`,
+					)
+					.run({ name: sourceName });
+			})();
+		} catch (err) {
+			throw new DaoError(
+				`Failed to merge tag "${sourceName}" into "${targetName}" due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+}
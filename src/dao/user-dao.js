@@ -0,0 +1,364 @@
+import BetterSqlite3 from "better-sqlite3";
+import Database from "better-sqlite3";
+import { parse as parseUuid, v4 as uuidv4 } from "uuid";
+import { User, normalizeUserName } from "../model/user.js";
+import UuidV4 from "../model/uuidv4.js";
+import { isString } from "../util/validation.js";
+import DaoError from "./dao-error.js";
+
+export default class UserDao {
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	#databaseConnection;
+
+	/**
+	 * @param {BetterSqlite3.Database} databaseConnection the database connection to use for performing queries
+	 */
+	constructor(databaseConnection) {
+		if (!(databaseConnection instanceof Database)) {
+			throw new TypeError(
+				`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+			);
+		}
+
+		this.#databaseConnection = databaseConnection;
+	}
+
+	/**
+	 * @param {UuidV4} userId
+	 */
+	static #validateUserId(userId) {
+		if (!(userId instanceof UuidV4)) {
+			throw new TypeError(
+				`userId must be an instance of ${UuidV4.name}, was type ${typeof userId} with value ${userId}`,
+			);
+		}
+	}
+
+	/**
+	 * @param {Buffer} keyHash
+	 */
+	static #validateKeyHash(keyHash) {
+		if (!Buffer.isBuffer(keyHash)) {
+			throw new TypeError(`keyHash must be a Buffer, was type ${typeof keyHash}`);
+		}
+	}
+
+	/**
+	 * @param {string} issuer
+	 * @param {string} subject
+	 */
+	static #validateIdentity(issuer, subject) {
+		for (const [name, value] of [
+			["issuer", issuer],
+			["subject", subject],
+		]) {
+			if (!isString(value) || value.length === 0) {
+				throw new TypeError(`${name} must be a non-empty string, was type ${typeof value} with value ${value}`);
+			}
+		}
+	}
+
+	static #mapRowToUser(row) {
+		return new User(
+			new UuidV4(
+				uuidv4({
+					random: row.id,
+				}),
+			),
+			row.name,
+			new Date(row.creationDateTime),
+		);
+	}
+
+	/**
+	 * Create a user
+	 * @param {string} name the unique name of the user
+	 * @return {UuidV4} the id of the new user
+	 * @throws {DaoError} if an error occurred while creating the user, including when the name is taken
+	 */
+	create(name) {
+		name = normalizeUserName(name);
+
+		const id = new UuidV4(uuidv4());
+
+		try {
+			const insertStatement = this.#databaseConnection.prepare(
+				`INSERT INTO User (
+					id,
+					name
+				)
+				VALUES
+				(
+					:id,
+					:name
+				)`,
+			);
+
+			insertStatement.run({ id: parseUuid(id.value), name: name });
+
+			return id;
+		} catch (err) {
+			throw new DaoError(`Failed to insert new user "${name}" due to a database error: ${err.message}`, {
+				cause: err,
+			});
+		}
+	}
+
+	/**
+	 * Find a user by id
+	 * @param {UuidV4} id
+	 * @return {?User} the user matching the id or null if it does not exist
+	 * @throws {DaoError} if an error occurred while querying for the user
+	 */
+	findById(id) {
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					id,
+					name,
+					creationDateTime
+				FROM
+					User
+				WHERE
+					id = :id`,
+			);
+
+			const row = selectStatement.get({ id: parseUuid(id.value) });
+
+			return row ? UserDao.#mapRowToUser(row) : null;
+		} catch (err) {
+			throw new DaoError(`Failed to query for user with id ${id} due to a database error: ${err.message}`, {
+				cause: err,
+			});
+		}
+	}
+
+	/**
+	 * Find a user by name
+	 * @param {string} name
+	 * @return {?User} the user matching the name or null if it does not exist
+	 * @throws {DaoError} if an error occurred while querying for the user
+	 */
+	findByName(name) {
+		name = normalizeUserName(name);
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					id,
+					name,
+					creationDateTime
+				FROM
+					User
+				WHERE
+					name = :name`,
+			);
+
+			const row = selectStatement.get({ name: name });
+
+			return row ? UserDao.#mapRowToUser(row) : null;
+		} catch (err) {
+			throw new DaoError(`Failed to query for user "${name}" due to a database error: ${err.message}`, {
+				cause: err,
+			});
+		}
+	}
+
+	/**
+	 * List all users
+	 * @return {User[]} the users ordered by name
+	 * @throws {DaoError} if an error occurred while querying for users
+	 */
+	list() {
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					id,
+					name,
+					creationDateTime
+				FROM
+					User
+				ORDER BY
+					name ASC`,
+			);
+
+			return selectStatement.all().map(UserDao.#mapRowToUser);
+		} catch (err) {
+			throw new DaoError(`Failed to query for users due to a database error: ${err.message}`, { cause: err });
+		}
+	}
+
+	/**
+	 * Store the hash of a new API key for a user
+	 * @param {UuidV4} userId
+	 * @param {Buffer} keyHash the hash of the API key
+	 * @throws {DaoError} if an error occurred while storing the API key
+	 */
+	createApiKey(userId, keyHash) {
+		UserDao.#validateUserId(userId);
+		UserDao.#validateKeyHash(keyHash);
+
+		try {
+			const insertStatement = this.#databaseConnection.prepare(
+				`INSERT INTO ApiKey (
+					keyHash,
+					userId
+				)
+				VALUES
+				(
+					:keyHash,
+					:userId
+				)`,
+			);
+
+			insertStatement.run({ keyHash: keyHash, userId: parseUuid(userId.value) });
+		} catch (err) {
+			throw new DaoError(
+				`Failed to insert API key for user with id ${userId} due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+
+	/**
+	 * Find the user an API key was issued to
+	 * @param {Buffer} keyHash the hash of the API key
+	 * @return {?User} the user or null if no API key has the hash
+	 * @throws {DaoError} if an error occurred while querying for the user
+	 */
+	findByApiKeyHash(keyHash) {
+		UserDao.#validateKeyHash(keyHash);
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					User.id,
+					User.name,
+					User.creationDateTime
+				FROM
+					ApiKey
+					JOIN User ON User.id = ApiKey.userId
+				WHERE
+					ApiKey.keyHash = :keyHash`,
+			);
+
+			const row = selectStatement.get({ keyHash: keyHash });
+
+			return row ? UserDao.#mapRowToUser(row) : null;
+		} catch (err) {
+			throw new DaoError(`Failed to query for user by API key due to a database error: ${err.message}`, {
+				cause: err,
+			});
+		}
+	}
+
+	/**
+	 * Delete every API key of a user
+	 * @param {UuidV4} userId
+	 * @return {number} the number of API keys deleted
+	 * @throws {DaoError} if an error occurred while deleting the API keys
+	 */
+	deleteApiKeys(userId) {
+		UserDao.#validateUserId(userId);
+
+		try {
+			const deleteStatement = this.#databaseConnection.prepare(
+				`DELETE FROM
+					ApiKey
+				WHERE
+					userId = :userId`,
+			);
+
+			return deleteStatement.run({ userId: parseUuid(userId.value) }).changes;
+		} catch (err) {
+			throw new DaoError(
+				`Failed to delete API keys of user with id ${userId} due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+
+	/**
+	 * Link a user to the subject of an identity provider
+	 * @param {UuidV4} userId
+	 * @param {string} issuer the issuer of the identity provider's tokens
+	 * @param {string} subject the subject the identity provider identifies the user by
+	 * @throws {DaoError} if an error occurred while linking the user, including when the subject is already linked
+	 */
+	createIdentity(userId, issuer, subject) {
+		UserDao.#validateUserId(userId);
+		UserDao.#validateIdentity(issuer, subject);
+
+		try {
+			const insertStatement = this.#databaseConnection.prepare(
+				`INSERT INTO UserIdentity (
+					issuer,
+					subject,
+					userId
+				)
+				VALUES
+				(
+					:issuer,
+					:subject,
+					:userId
+				)`,
+			);
+
+			insertStatement.run({ issuer: issuer, subject: subject, userId: parseUuid(userId.value) });
+		} catch (err) {
+			throw new DaoError(
+				`Failed to link user with id ${userId} to subject "${subject}" of issuer "${issuer}" due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+
+	/**
+	 * Find the user linked to the subject of an identity provider
+	 * @param {string} issuer the issuer of the identity provider's tokens
+	 * @param {string} subject the subject the identity provider identifies the user by
+	 * @return {?User} the user or null if no user is linked to the subject
+	 * @throws {DaoError} if an error occurred while querying for the user
+	 */
+	findByIdentity(issuer, subject) {
+		UserDao.#validateIdentity(issuer, subject);
+
+		try {
+			const selectStatement = this.#databaseConnection.prepare(
+				`SELECT
+					User.id,
+					User.name,
+					User.creationDateTime
+				FROM
+					UserIdentity
+					JOIN User ON User.id = UserIdentity.userId
+				WHERE
+					UserIdentity.issuer = :issuer
+					AND UserIdentity.subject = :subject`,
+			);
+
+			const row = selectStatement.get({ issuer: issuer, subject: subject });
+
+			return row ? UserDao.#mapRowToUser(row) : null;
+		} catch (err) {
+			throw new DaoError(
+				`Failed to query for user by subject "${subject}" of issuer "${issuer}" due to a database error: ${err.message}`,
+				{
+					cause: err,
+				},
+			);
+		}
+	}
+}
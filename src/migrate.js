@@ -0,0 +1,51 @@
+import process from "node:process";
+import { parseArgs } from "node:util";
+import SqliteConnectionFactory from "./dao/sqlite-connection-factory.js";
+import MigrationRunner from "./dao/migration-runner.js";
+import logger from "./util/logger.js";
+import config from "./config.js";
+
+const usage = `Usage: node ./src/migrate.js [up | down [steps] | status] [--database <filename>]`;
+
+const { values, positionals } = parseArgs({
+	options: {
+		database: { type: "string", default: config.databasePath },
+	},
+	allowPositionals: true,
+});
+
+const [command = "up", stepsArg] = positionals;
+
+const databaseConnection = SqliteConnectionFactory.createConnection(values.database, { migrate: false });
+const migrationRunner = new MigrationRunner(databaseConnection);
+
+try {
+	switch (command) {
+		case "up": {
+			const applied = migrationRunner.migrate();
+			logger.info(`Applied ${applied.length} migration(s)`, { migrations: applied });
+			break;
+		}
+		case "down": {
+			const steps = stepsArg === undefined ? 1 : parseInt(stepsArg, 10);
+			const rolledBack = migrationRunner.rollback(steps);
+			logger.info(`Rolled back ${rolledBack.length} migration(s)`, { migrations: rolledBack });
+			break;
+		}
+		case "status": {
+			for (const migration of migrationRunner.status()) {
+				const state = migration.appliedDateTime ? `applied ${migration.appliedDateTime.toISOString()}` : "pending";
+				console.log(`${String(migration.version).padStart(3, "0")} ${migration.name} ${state}`);
+			}
+			break;
+		}
+		default:
+			console.error(usage);
+			process.exitCode = 1;
+	}
+} catch (err) {
+	logger.error(err.stack || err);
+	process.exitCode = 1;
+} finally {
+	databaseConnection.close();
+}
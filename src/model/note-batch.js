@@ -0,0 +1,232 @@
+import { NoteForCreate, NoteForUpdate } from "./note.js";
+import UuidV4 from "./uuidv4.js";
+
+/**
+ * @param {?number[]} expectedVersions
+ */
+function validateExpectedVersions(expectedVersions) {
+	if (
+		expectedVersions !== undefined &&
+		!(Array.isArray(expectedVersions) && expectedVersions.every((version) => Number.isInteger(version)))
+	) {
+		throw new TypeError(
+			`if provided, expectedVersions must be an array of integers, was type ${typeof expectedVersions} with value ${expectedVersions}`,
+		);
+	}
+}
+
+export class NoteBatchOperation {
+	static CREATE = "create";
+	static UPDATE = "update";
+	static DELETE = "delete";
+
+	#type;
+	#note;
+	#id;
+	#expectedVersions;
+	#permanent;
+
+	/**
+	 * Use the static factory methods instead
+	 * @param {string} type
+	 * @param {object} fields
+	 */
+	constructor(type, { note, id, expectedVersions, permanent }) {
+		this.#type = type;
+		this.#note = note;
+		this.#id = id;
+		this.#expectedVersions = expectedVersions;
+		this.#permanent = permanent;
+	}
+
+	/**
+	 * @param {NoteForCreate} note
+	 * @return {NoteBatchOperation} the operation creating the note
+	 */
+	static create(note) {
+		if (!(note instanceof NoteForCreate)) {
+			throw new TypeError(
+				`note must be an instance of ${NoteForCreate.name}, was type ${typeof note} with value ${note}`,
+			);
+		}
+
+		return new NoteBatchOperation(NoteBatchOperation.CREATE, { note: note });
+	}
+
+	/**
+	 * @param {NoteForUpdate} note
+	 * @param {?number[]} expectedVersions if provided, only update the note if it is currently at one of these versions
+	 * @return {NoteBatchOperation} the operation updating the note
+	 */
+	static update(note, expectedVersions) {
+		if (!(note instanceof NoteForUpdate)) {
+			throw new TypeError(
+				`note must be an instance of ${NoteForUpdate.name}, was type ${typeof note} with value ${note}`,
+			);
+		}
+
+		validateExpectedVersions(expectedVersions);
+
+		return new NoteBatchOperation(NoteBatchOperation.UPDATE, { note: note, expectedVersions: expectedVersions });
+	}
+
+	/**
+	 * @param {UuidV4} id
+	 * @param {?number[]} expectedVersions if provided, only delete the note if it is currently at one of these versions
+	 * @param {boolean} permanent whether to permanently delete the note instead of moving it to the trash
+	 * @return {NoteBatchOperation} the operation deleting the note
+	 */
+	static delete(id, expectedVersions, permanent = false) {
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		validateExpectedVersions(expectedVersions);
+
+		if (typeof permanent !== "boolean") {
+			throw new TypeError(`permanent must be a boolean, was type ${typeof permanent} with value ${permanent}`);
+		}
+
+		return new NoteBatchOperation(NoteBatchOperation.DELETE, {
+			id: id,
+			expectedVersions: expectedVersions,
+			permanent: permanent,
+		});
+	}
+
+	/**
+	 * @return {string} one of {@link NoteBatchOperation.CREATE}, {@link NoteBatchOperation.UPDATE}
+	 * or {@link NoteBatchOperation.DELETE}
+	 */
+	get type() {
+		return this.#type;
+	}
+
+	/**
+	 * @return {?(NoteForCreate|NoteForUpdate)} the note to create or update
+	 */
+	get note() {
+		return this.#note;
+	}
+
+	/**
+	 * @return {?UuidV4} the id of the note to delete
+	 */
+	get id() {
+		return this.#id;
+	}
+
+	/**
+	 * @return {?number[]} the versions the note must be at for the operation to apply
+	 */
+	get expectedVersions() {
+		return this.#expectedVersions && Array.from(this.#expectedVersions);
+	}
+
+	/**
+	 * @return {?boolean} whether the note is permanently deleted
+	 */
+	get permanent() {
+		return this.#permanent;
+	}
+
+	toJSON() {
+		return {
+			type: this.#type,
+			note: this.#note,
+			id: this.#id,
+			expectedVersions: this.#expectedVersions,
+			permanent: this.#permanent,
+		};
+	}
+
+	toString() {
+		return `${NoteBatchOperation.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
+
+export class NoteBatchResult {
+	/**
+	 * The operation was applied and committed
+	 */
+	static APPLIED = "applied";
+
+	/**
+	 * The operation failed and was not applied
+	 */
+	static FAILED = "failed";
+
+	/**
+	 * The operation succeeded but was rolled back because another operation of an all-or-nothing batch failed
+	 */
+	static ROLLED_BACK = "rolledBack";
+
+	/**
+	 * The operation was not attempted because an earlier operation of an all-or-nothing batch failed
+	 */
+	static SKIPPED = "skipped";
+
+	#operation;
+	#state;
+	#value;
+	#error;
+
+	/**
+	 * @param {NoteBatchOperation} operation the operation the result is for
+	 * @param {string} state the outcome of the operation, one of the NoteBatchResult states
+	 * @param {?(UuidV4|Note)} value the id of the created note or the updated note, if the operation succeeded
+	 * @param {?Error} error the reason the operation failed
+	 */
+	constructor(operation, state, value, error) {
+		if (!(operation instanceof NoteBatchOperation)) {
+			throw new TypeError(
+				`operation must be an instance of ${NoteBatchOperation.name}, was type ${typeof operation} with value ${operation}`,
+			);
+		}
+
+		this.#operation = operation;
+		this.#state = state;
+		this.#value = value;
+		this.#error = error;
+	}
+
+	/**
+	 * @return {NoteBatchOperation} the operation the result is for
+	 */
+	get operation() {
+		return this.#operation;
+	}
+
+	/**
+	 * @return {string} the outcome of the operation, one of the NoteBatchResult states
+	 */
+	get state() {
+		return this.#state;
+	}
+
+	/**
+	 * @return {?(UuidV4|Note)} the id of the created note or the updated note, if the operation succeeded
+	 */
+	get value() {
+		return this.#value;
+	}
+
+	/**
+	 * @return {?Error} the reason the operation failed
+	 */
+	get error() {
+		return this.#error;
+	}
+
+	toJSON() {
+		return {
+			state: this.#state,
+			value: this.#value,
+			error: this.#error?.message,
+		};
+	}
+
+	toString() {
+		return `${NoteBatchResult.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
@@ -0,0 +1,390 @@
+import { NoteForCreate } from "./note.js";
+import UuidV4 from "./uuidv4.js";
+import { isDate, isString } from "../util/validation.js";
+
+/**
+ * What to do with an imported note whose id is already taken by an existing note
+ */
+export class NoteImportConflictPolicy {
+	/**
+	 * Keep the existing note and leave the imported one out
+	 */
+	static SKIP = "skip";
+
+	/**
+	 * Replace the existing note with the imported one, only the user's own notes can be replaced
+	 */
+	static OVERWRITE = "overwrite";
+
+	/**
+	 * Stop the import, rolling back the batch of notes being imported
+	 */
+	static FAIL = "fail";
+
+	static POLICIES = Object.freeze([
+		NoteImportConflictPolicy.SKIP,
+		NoteImportConflictPolicy.OVERWRITE,
+		NoteImportConflictPolicy.FAIL,
+	]);
+}
+
+export class NoteImportResult {
+	/**
+	 * No note had the id of the imported note, which was created
+	 */
+	static CREATED = "created";
+
+	/**
+	 * The user's note with the id of the imported note was replaced by it
+	 */
+	static OVERWRITTEN = "overwritten";
+
+	/**
+	 * A note with the id of the imported note exists and was kept
+	 */
+	static SKIPPED = "skipped";
+
+	/**
+	 * The imported note could not be imported
+	 */
+	static FAILED = "failed";
+
+	#id;
+	#state;
+	#error;
+
+	/**
+	 * @param {UuidV4} id the id of the imported note
+	 * @param {string} state the outcome of the import of the note, one of the NoteImportResult states
+	 * @param {?Error} error the reason the note could not be imported
+	 */
+	constructor(id, state, error) {
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		this.#id = id;
+		this.#state = state;
+		this.#error = error;
+	}
+
+	/**
+	 * @return {UuidV4} the id of the imported note
+	 */
+	get id() {
+		return this.#id;
+	}
+
+	/**
+	 * @return {string} the outcome of the import of the note, one of the NoteImportResult states
+	 */
+	get state() {
+		return this.#state;
+	}
+
+	/**
+	 * @return {?Error} the reason the note could not be imported
+	 */
+	get error() {
+		return this.#error;
+	}
+
+	toJSON() {
+		return { id: this.#id, state: this.#state, ...(this.#error && { error: this.#error.message }) };
+	}
+
+	toString() {
+		return `${NoteImportResult.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
+
+/**
+ * The outcome of an import, counting the notes by their outcome and listing the first errors
+ */
+export class NoteImportReport {
+	/**
+	 * The most errors listed, importing a file of another format would otherwise list an error for every line of it
+	 */
+	static MAX_ERRORS = 100;
+
+	#created = 0;
+	#overwritten = 0;
+	#skipped = 0;
+	#failed = 0;
+
+	/**
+	 * @type {{line: number, id: ?UuidV4, error: string}[]}
+	 */
+	#errors = [];
+
+	/**
+	 * Count the result of a note
+	 * @param {number} line the line the note was read from
+	 * @param {NoteImportResult} result
+	 */
+	addResult(line, result) {
+		if (!(result instanceof NoteImportResult)) {
+			throw new TypeError(
+				`result must be an instance of ${NoteImportResult.name}, was type ${typeof result} with value ${result}`,
+			);
+		}
+
+		switch (result.state) {
+			case NoteImportResult.CREATED:
+				this.#created++;
+				break;
+			case NoteImportResult.OVERWRITTEN:
+				this.#overwritten++;
+				break;
+			case NoteImportResult.SKIPPED:
+				this.#skipped++;
+				break;
+			default:
+				this.addError(line, result.error?.message ?? "The note could not be imported", result.id);
+		}
+	}
+
+	/**
+	 * Count a line which could not be imported
+	 * @param {number} line
+	 * @param {string} error what was wrong with the line
+	 * @param {?UuidV4} id the id of the note on the line, if it could be read
+	 */
+	addError(line, error, id = null) {
+		this.#failed++;
+
+		if (this.#errors.length < NoteImportReport.MAX_ERRORS) {
+			this.#errors.push({ line: line, id: id, error: error });
+		}
+	}
+
+	/**
+	 * @return {number} the number of notes created
+	 */
+	get created() {
+		return this.#created;
+	}
+
+	/**
+	 * @return {number} the number of notes which replaced existing notes
+	 */
+	get overwritten() {
+		return this.#overwritten;
+	}
+
+	/**
+	 * @return {number} the number of notes left out as their ids were taken
+	 */
+	get skipped() {
+		return this.#skipped;
+	}
+
+	/**
+	 * @return {number} the number of lines which could not be imported, listed or not
+	 */
+	get failed() {
+		return this.#failed;
+	}
+
+	/**
+	 * @return {{line: number, id: ?UuidV4, error: string}[]} the first {@link NoteImportReport.MAX_ERRORS} errors
+	 */
+	get errors() {
+		return this.#errors.map((error) => ({ ...error }));
+	}
+
+	toJSON() {
+		return {
+			created: this.#created,
+			overwritten: this.#overwritten,
+			skipped: this.#skipped,
+			failed: this.#failed,
+			errors: this.#errors,
+		};
+	}
+
+	toString() {
+		return `${NoteImportReport.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
+
+/**
+ * A note converted from another tool, keeping the date times it had there
+ */
+export class NoteForImport extends NoteForCreate {
+	#creationDateTime;
+	#lastUpdatedDateTime;
+
+	/**
+	 * @param {string} content the content of the note
+	 * @param {string[]} tags the tag names of the note
+	 * @param {?Date} creationDateTime the creation date and time of the note, null for the time it is imported
+	 * @param {?Date} lastUpdatedDateTime the last update date and time of the note, null for its creation date and time
+	 */
+	constructor(content, tags = [], creationDateTime = null, lastUpdatedDateTime = null) {
+		super(content, tags);
+
+		if (creationDateTime !== null && !isDate(creationDateTime)) {
+			throw new TypeError(
+				`if provided, creationDateTime must be a Date object, was ${typeof creationDateTime} ${creationDateTime}`,
+			);
+		}
+
+		if (lastUpdatedDateTime !== null && !isDate(lastUpdatedDateTime)) {
+			throw new TypeError(
+				`if provided, lastUpdatedDateTime must be a Date object, was ${typeof lastUpdatedDateTime} ${lastUpdatedDateTime}`,
+			);
+		}
+
+		this.#creationDateTime = creationDateTime;
+		this.#lastUpdatedDateTime = lastUpdatedDateTime;
+	}
+
+	/**
+	 * @return {?Date} the creation date and time of the note, null for the time it is imported
+	 */
+	get creationDateTime() {
+		return this.#creationDateTime && new Date(this.#creationDateTime);
+	}
+
+	/**
+	 * @return {?Date} the last update date and time of the note, null for its creation date and time
+	 */
+	get lastUpdatedDateTime() {
+		return this.#lastUpdatedDateTime && new Date(this.#lastUpdatedDateTime);
+	}
+
+	toJSON() {
+		return {
+			...super.toJSON(),
+			...(this.#creationDateTime && { creationDateTime: this.#creationDateTime }),
+			...(this.#lastUpdatedDateTime && { lastUpdatedDateTime: this.#lastUpdatedDateTime }),
+		};
+	}
+
+	toString() {
+		return `${NoteForImport.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
+
+/**
+ * An item of an export of another tool, such as a note of an Evernote export or a file of a Markdown archive,
+ * and the note it was converted to
+ */
+export class ConvertedNote {
+	#source;
+	#note;
+	#warnings;
+
+	/**
+	 * @param {string} source what the item is in the export, such as the title of the note or the path of the file
+	 * @param {?NoteForImport} note the note the item was converted to, null if it could not be converted
+	 * @param {string[]} warnings what was lost converting the item, or why it could not be converted
+	 */
+	constructor(source, note, warnings = []) {
+		if (!isString(source)) {
+			throw new TypeError(`source must be a string, was type ${typeof source} with value ${source}`);
+		}
+
+		if (note !== null && !(note instanceof NoteForImport)) {
+			throw new TypeError(
+				`note must be an instance of ${NoteForImport.name} or null, was type ${typeof note} with value ${note}`,
+			);
+		}
+
+		if (!Array.isArray(warnings) || !warnings.every(isString)) {
+			throw new TypeError(`warnings must be an array of strings, was type ${typeof warnings} with value ${warnings}`);
+		}
+
+		this.#source = source;
+		this.#note = note;
+		this.#warnings = Array.from(warnings);
+	}
+
+	/**
+	 * @return {string} what the item is in the export
+	 */
+	get source() {
+		return this.#source;
+	}
+
+	/**
+	 * @return {?NoteForImport} the note the item was converted to, null if it could not be converted
+	 */
+	get note() {
+		return this.#note;
+	}
+
+	/**
+	 * @return {string[]} what was lost converting the item, or why it could not be converted
+	 */
+	get warnings() {
+		return Array.from(this.#warnings);
+	}
+
+	toJSON() {
+		return { source: this.#source, note: this.#note, warnings: this.#warnings };
+	}
+
+	toString() {
+		return `${ConvertedNote.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
+
+/**
+ * The outcome of importing the notes converted from an export of another tool, listing every item of the export
+ * with the id of the note created from it and its warnings
+ */
+export class NoteConversionReport {
+	/**
+	 * @type {{source: string, id: ?UuidV4, warnings: string[]}[]}
+	 */
+	#items = [];
+
+	/**
+	 * @param {ConvertedNote} convertedNote
+	 * @param {?UuidV4} id the id of the note created from the item, null if the item could not be converted
+	 */
+	addItem(convertedNote, id) {
+		if (!(convertedNote instanceof ConvertedNote)) {
+			throw new TypeError(
+				`convertedNote must be an instance of ${ConvertedNote.name}, was type ${typeof convertedNote} with value ${convertedNote}`,
+			);
+		}
+
+		if (id !== null && !(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name} or null, was type ${typeof id} with value ${id}`);
+		}
+
+		this.#items.push({ source: convertedNote.source, id: id, warnings: convertedNote.warnings });
+	}
+
+	/**
+	 * @return {number} the number of notes created
+	 */
+	get created() {
+		return this.#items.filter((item) => item.id !== null).length;
+	}
+
+	/**
+	 * @return {number} the number of items which could not be converted to notes
+	 */
+	get skipped() {
+		return this.#items.filter((item) => item.id === null).length;
+	}
+
+	/**
+	 * @return {{source: string, id: ?UuidV4, warnings: string[]}[]} every item in the order of the export
+	 */
+	get items() {
+		return this.#items.map((item) => ({ ...item, warnings: Array.from(item.warnings) }));
+	}
+
+	toJSON() {
+		return { created: this.created, skipped: this.skipped, items: this.#items };
+	}
+
+	toString() {
+		return `${NoteConversionReport.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
@@ -0,0 +1,214 @@
+import { isDate } from "../util/validation.js";
+import { TagFilter } from "./tag.js";
+
+export class NoteListSort {
+	static CREATION_DATE_TIME = "creationDateTime";
+	static LAST_UPDATED_DATE_TIME = "lastUpdatedDateTime";
+	static CONTENT_LENGTH = "contentLength";
+	static DELETED_DATE_TIME = "deletedDateTime";
+	static RELEVANCE = "relevance";
+
+	static ASC = "asc";
+	static DESC = "desc";
+
+	/**
+	 * The fields the note list can be sorted by, the other fields order the trash and the search results
+	 */
+	static LIST_FIELDS = Object.freeze([
+		NoteListSort.CREATION_DATE_TIME,
+		NoteListSort.LAST_UPDATED_DATE_TIME,
+		NoteListSort.CONTENT_LENGTH,
+	]);
+
+	static #FIELDS = [...NoteListSort.LIST_FIELDS, NoteListSort.DELETED_DATE_TIME, NoteListSort.RELEVANCE];
+
+	/**
+	 * @type {string}
+	 */
+	#field;
+
+	/**
+	 * @type {string}
+	 */
+	#order;
+
+	/**
+	 * Notes with the same value for the field are always listed in id order
+	 * @param {string} field one of {@link NoteListSort.LIST_FIELDS}, {@link NoteListSort.DELETED_DATE_TIME}
+	 * or {@link NoteListSort.RELEVANCE}
+	 * @param {string} order either {@link NoteListSort.ASC} or {@link NoteListSort.DESC}
+	 */
+	constructor(field = NoteListSort.CREATION_DATE_TIME, order = NoteListSort.DESC) {
+		if (!NoteListSort.#FIELDS.includes(field)) {
+			throw new RangeError(`field must be one of ${NoteListSort.#FIELDS.join(", ")}, was ${field}`);
+		}
+
+		if (order !== NoteListSort.ASC && order !== NoteListSort.DESC) {
+			throw new RangeError(`order must be "${NoteListSort.ASC}" or "${NoteListSort.DESC}", was ${order}`);
+		}
+
+		this.#field = field;
+		this.#order = order;
+	}
+
+	/**
+	 * @return {string} the field the notes are ordered by
+	 */
+	get field() {
+		return this.#field;
+	}
+
+	/**
+	 * @return {string} either {@link NoteListSort.ASC} or {@link NoteListSort.DESC}
+	 */
+	get order() {
+		return this.#order;
+	}
+
+	/**
+	 * @param {NoteListSort} other
+	 * @return {boolean} true if both sort the notes the same way
+	 */
+	equals(other) {
+		return other instanceof NoteListSort && other.field === this.#field && other.order === this.#order;
+	}
+
+	toJSON() {
+		return { field: this.#field, order: this.#order };
+	}
+
+	toString() {
+		return `${NoteListSort.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
+
+export class NoteListFilter {
+	/**
+	 * @type {?TagFilter}
+	 */
+	#tagFilter;
+
+	/**
+	 * @type {?Date}
+	 */
+	#createdAfter;
+
+	/**
+	 * @type {?Date}
+	 */
+	#createdBefore;
+
+	/**
+	 * @type {?Date}
+	 */
+	#updatedAfter;
+
+	/**
+	 * @type {?Date}
+	 */
+	#updatedBefore;
+
+	/**
+	 * @type {boolean}
+	 */
+	#sharedWithMe;
+
+	/**
+	 * Every provided criterion must match, date ranges include their start and exclude their end
+	 * @param {object} criteria
+	 * @param {?TagFilter} criteria.tagFilter only match notes with any or all of the tags
+	 * @param {?Date} criteria.createdAfter only match notes created at or after this date and time
+	 * @param {?Date} criteria.createdBefore only match notes created before this date and time
+	 * @param {?Date} criteria.updatedAfter only match notes last updated at or after this date and time
+	 * @param {?Date} criteria.updatedBefore only match notes last updated before this date and time
+	 * @param {boolean} criteria.sharedWithMe match the notes other users shared with the user instead of their own
+	 */
+	constructor({ tagFilter, createdAfter, createdBefore, updatedAfter, updatedBefore, sharedWithMe = false } = {}) {
+		if (tagFilter !== undefined && !(tagFilter instanceof TagFilter)) {
+			throw new TypeError(
+				`if provided, tagFilter must be an instance of ${TagFilter.name}, was type ${typeof tagFilter} with value ${tagFilter}`,
+			);
+		}
+
+		for (const [name, dateTime] of [
+			["createdAfter", createdAfter],
+			["createdBefore", createdBefore],
+			["updatedAfter", updatedAfter],
+			["updatedBefore", updatedBefore],
+		]) {
+			if (dateTime !== undefined && (!isDate(dateTime) || isNaN(dateTime.getTime()))) {
+				throw new TypeError(`if provided, ${name} must be a valid Date object, was ${typeof dateTime} ${dateTime}`);
+			}
+		}
+
+		if (typeof sharedWithMe !== "boolean") {
+			throw new TypeError(
+				`if provided, sharedWithMe must be a boolean, was type ${typeof sharedWithMe} with value ${sharedWithMe}`,
+			);
+		}
+
+		this.#tagFilter = tagFilter ?? null;
+		this.#createdAfter = createdAfter ? new Date(createdAfter) : null;
+		this.#createdBefore = createdBefore ? new Date(createdBefore) : null;
+		this.#updatedAfter = updatedAfter ? new Date(updatedAfter) : null;
+		this.#updatedBefore = updatedBefore ? new Date(updatedBefore) : null;
+		this.#sharedWithMe = sharedWithMe;
+	}
+
+	/**
+	 * @return {?TagFilter} only match notes with any or all of the tags
+	 */
+	get tagFilter() {
+		return this.#tagFilter;
+	}
+
+	/**
+	 * @return {?Date} only match notes created at or after this date and time
+	 */
+	get createdAfter() {
+		return this.#createdAfter && new Date(this.#createdAfter);
+	}
+
+	/**
+	 * @return {?Date} only match notes created before this date and time
+	 */
+	get createdBefore() {
+		return this.#createdBefore && new Date(this.#createdBefore);
+	}
+
+	/**
+	 * @return {?Date} only match notes last updated at or after this date and time
+	 */
+	get updatedAfter() {
+		return this.#updatedAfter && new Date(this.#updatedAfter);
+	}
+
+	/**
+	 * @return {?Date} only match notes last updated before this date and time
+	 */
+	get updatedBefore() {
+		return this.#updatedBefore && new Date(this.#updatedBefore);
+	}
+
+	/**
+	 * @return {boolean} whether to match the notes other users shared with the user instead of their own
+	 */
+	get sharedWithMe() {
+		return this.#sharedWithMe;
+	}
+
+	toJSON() {
+		return {
+			tagFilter: this.#tagFilter,
+			createdAfter: this.#createdAfter,
+			createdBefore: this.#createdBefore,
+			updatedAfter: this.#updatedAfter,
+			updatedBefore: this.#updatedBefore,
+			sharedWithMe: this.#sharedWithMe,
+		};
+	}
+
+	toString() {
+		return `${NoteListFilter.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
@@ -0,0 +1,112 @@
+import UuidV4 from "./uuidv4.js";
+import { isDate } from "../util/validation.js";
+
+/**
+ * A link giving anyone with its token read access to a note, the token itself is only known when the link is created
+ */
+export class NotePublicLink {
+	#id;
+	#noteId;
+	#expiryDateTime;
+	#passwordProtected;
+	#creationDateTime;
+
+	/**
+	 * @param {UuidV4} id the id of the link
+	 * @param {UuidV4} noteId the id of the linked note
+	 * @param {?Date} expiryDateTime when the link stops working, null if it works until revoked
+	 * @param {boolean} passwordProtected whether the link only works along with a password
+	 * @param {Date} creationDateTime when the link was created
+	 */
+	constructor(id, noteId, expiryDateTime, passwordProtected, creationDateTime) {
+		for (const [name, value] of [
+			["id", id],
+			["noteId", noteId],
+		]) {
+			if (!(value instanceof UuidV4)) {
+				throw new TypeError(
+					`${name} must be an instance of ${UuidV4.name}, was type ${typeof value} with value ${value}`,
+				);
+			}
+		}
+
+		if (expiryDateTime !== null && !isDate(expiryDateTime)) {
+			throw new TypeError(
+				`expiryDateTime must be a Date object or null, was ${typeof expiryDateTime} ${expiryDateTime}`,
+			);
+		}
+
+		if (typeof passwordProtected !== "boolean") {
+			throw new TypeError(
+				`passwordProtected must be a boolean, was type ${typeof passwordProtected} with value ${passwordProtected}`,
+			);
+		}
+
+		if (!isDate(creationDateTime)) {
+			throw new TypeError(`creationDateTime must be a Date object, was ${typeof creationDateTime} ${creationDateTime}`);
+		}
+
+		this.#id = id;
+		this.#noteId = noteId;
+		this.#expiryDateTime = expiryDateTime;
+		this.#passwordProtected = passwordProtected;
+		this.#creationDateTime = creationDateTime;
+	}
+
+	/**
+	 * @return {UuidV4} the id of the link
+	 */
+	get id() {
+		return this.#id;
+	}
+
+	/**
+	 * @return {UuidV4} the id of the linked note
+	 */
+	get noteId() {
+		return this.#noteId;
+	}
+
+	/**
+	 * @return {?Date} when the link stops working, null if it works until revoked
+	 */
+	get expiryDateTime() {
+		return this.#expiryDateTime && new Date(this.#expiryDateTime);
+	}
+
+	/**
+	 * @return {boolean} whether the link only works along with a password
+	 */
+	get passwordProtected() {
+		return this.#passwordProtected;
+	}
+
+	/**
+	 * @return {Date} when the link was created
+	 */
+	get creationDateTime() {
+		return new Date(this.#creationDateTime);
+	}
+
+	/**
+	 * @param {Date} now
+	 * @return {boolean} true if the link has stopped working
+	 */
+	isExpired(now = new Date()) {
+		return this.#expiryDateTime !== null && this.#expiryDateTime <= now;
+	}
+
+	toJSON() {
+		return {
+			id: this.#id,
+			noteId: this.#noteId,
+			expiryDateTime: this.#expiryDateTime,
+			passwordProtected: this.#passwordProtected,
+			creationDateTime: this.#creationDateTime,
+		};
+	}
+
+	toString() {
+		return `${NotePublicLink.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
@@ -0,0 +1,201 @@
+import { isDate, isString } from "../util/validation.js";
+import UuidV4 from "./uuidv4.js";
+
+export class NoteRevision {
+	#noteId;
+	#revision;
+	#content;
+	#creationDateTime;
+
+	/**
+	 * @param {UuidV4} noteId the id of the note the revision belongs to
+	 * @param {number} revision the revision number, starting from 1 for each note
+	 * @param {string} content the content of the note before it was changed
+	 * @param {Date} creationDateTime the date and time the content was replaced
+	 */
+	constructor(noteId, revision, content, creationDateTime) {
+		if (!(noteId instanceof UuidV4)) {
+			throw new TypeError(
+				`noteId must be an instance of ${UuidV4.name}, was type ${typeof noteId} with value ${noteId}`,
+			);
+		}
+
+		if (!Number.isInteger(revision) || revision < 1) {
+			throw new TypeError(`revision must be an integer >= 1, was type ${typeof revision} with value ${revision}`);
+		}
+
+		if (!isString(content)) {
+			throw new TypeError(`content must be a string, was type ${typeof content} with value ${content}`);
+		}
+
+		if (!isDate(creationDateTime)) {
+			throw new TypeError(`creationDateTime must be a Date object, was ${typeof creationDateTime} ${creationDateTime}`);
+		}
+
+		this.#noteId = noteId;
+		this.#revision = revision;
+		this.#content = content;
+		this.#creationDateTime = creationDateTime;
+	}
+
+	/**
+	 * @return {UuidV4} the id of the note the revision belongs to
+	 */
+	get noteId() {
+		return this.#noteId;
+	}
+
+	/**
+	 * @return {number} the revision number, starting from 1 for each note
+	 */
+	get revision() {
+		return this.#revision;
+	}
+
+	/**
+	 * @return {string} the content of the note before it was changed
+	 */
+	get content() {
+		return this.#content;
+	}
+
+	/**
+	 * @return {Date} the date and time the content was replaced
+	 */
+	get creationDateTime() {
+		return new Date(this.#creationDateTime);
+	}
+
+	toJSON() {
+		return {
+			noteId: this.#noteId,
+			revision: this.#revision,
+			content: this.#content,
+			creationDateTime: this.#creationDateTime,
+		};
+	}
+
+	toString() {
+		return `${NoteRevision.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
+
+export class NoteRevisionListPage {
+	/**
+	 * @type {number} the size of the page
+	 */
+	#pageSize;
+
+	/**
+	 * @type {NoteRevision[]} the revisions in the page, most recent first
+	 */
+	#revisions;
+
+	constructor(pageSize, revisions) {
+		if (!Number.isInteger(pageSize)) {
+			throw new TypeError(`pageSize must be an integer, was type ${typeof pageSize} with value ${pageSize}`);
+		}
+
+		if (!Array.isArray(revisions) || !revisions.every((revision) => revision instanceof NoteRevision)) {
+			throw new TypeError(
+				`revisions must be an array of ${NoteRevision.name}, was type ${typeof revisions} with value ${revisions}`,
+			);
+		}
+
+		this.#pageSize = pageSize;
+		this.#revisions = Array.from(revisions);
+	}
+
+	/**
+	 * @type {number} the size of the page
+	 */
+	get pageSize() {
+		return this.#pageSize;
+	}
+
+	/**
+	 * @type {NoteRevision[]} the revisions in the page, most recent first
+	 */
+	get revisions() {
+		return Array.from(this.#revisions);
+	}
+
+	toJSON() {
+		return {
+			pageSize: this.#pageSize,
+			revisions: this.#revisions,
+		};
+	}
+
+	toString() {
+		return `${NoteRevisionListPage.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
+
+export class NoteRevisionDiff {
+	#from;
+	#to;
+	#changes;
+
+	/**
+	 * @param {NoteRevision} from the revision the changes are relative to
+	 * @param {NoteRevision} to the revision the changes lead to
+	 * @param {{type: ("equal"|"delete"|"insert"), line: string}[]} changes the line changes between the revisions
+	 */
+	constructor(from, to, changes) {
+		for (const [name, revision] of [
+			["from", from],
+			["to", to],
+		]) {
+			if (!(revision instanceof NoteRevision)) {
+				throw new TypeError(
+					`${name} must be an instance of ${NoteRevision.name}, was type ${typeof revision} with value ${revision}`,
+				);
+			}
+		}
+
+		if (!Array.isArray(changes)) {
+			throw new TypeError(
+				`changes must be an instance of ${Array.name}, was type ${typeof changes} with value ${changes}`,
+			);
+		}
+
+		this.#from = from;
+		this.#to = to;
+		this.#changes = changes;
+	}
+
+	/**
+	 * @return {NoteRevision} the revision the changes are relative to
+	 */
+	get from() {
+		return this.#from;
+	}
+
+	/**
+	 * @return {NoteRevision} the revision the changes lead to
+	 */
+	get to() {
+		return this.#to;
+	}
+
+	/**
+	 * @return {{type: ("equal"|"delete"|"insert"), line: string}[]} the line changes between the revisions
+	 */
+	get changes() {
+		return Array.from(this.#changes);
+	}
+
+	toJSON() {
+		return {
+			noteId: this.#from.noteId,
+			fromRevision: this.#from.revision,
+			toRevision: this.#to.revision,
+			changes: this.#changes,
+		};
+	}
+
+	toString() {
+		return `${NoteRevisionDiff.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
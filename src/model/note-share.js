@@ -0,0 +1,123 @@
+import UuidV4 from "./uuidv4.js";
+import { isDate } from "../util/validation.js";
+
+/**
+ * Access to a note granted by its owner to another user
+ */
+export class NoteShare {
+	/**
+	 * The user can read the note and its revisions
+	 */
+	static READ = "read";
+
+	/**
+	 * The user can also update the note and move it to the trash
+	 */
+	static WRITE = "write";
+
+	static #PERMISSIONS = [NoteShare.READ, NoteShare.WRITE];
+
+	#noteId;
+	#userId;
+	#userName;
+	#permission;
+	#creationDateTime;
+
+	/**
+	 * @param {UuidV4} noteId the id of the shared note
+	 * @param {UuidV4} userId the id of the user the note is shared with
+	 * @param {string} userName the name of the user the note is shared with
+	 * @param {string} permission {@link NoteShare.READ} or {@link NoteShare.WRITE}
+	 * @param {Date} creationDateTime when the note was shared with the user
+	 */
+	constructor(noteId, userId, userName, permission, creationDateTime) {
+		for (const [name, id] of [
+			["noteId", noteId],
+			["userId", userId],
+		]) {
+			if (!(id instanceof UuidV4)) {
+				throw new TypeError(`${name} must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+			}
+		}
+
+		NoteShare.validatePermission(permission);
+
+		if (!isDate(creationDateTime)) {
+			throw new TypeError(`creationDateTime must be a Date object, was ${typeof creationDateTime} ${creationDateTime}`);
+		}
+
+		this.#noteId = noteId;
+		this.#userId = userId;
+		this.#userName = userName;
+		this.#permission = permission;
+		this.#creationDateTime = creationDateTime;
+	}
+
+	/**
+	 * @param {string} permission
+	 * @throws {RangeError} if the permission is not {@link NoteShare.READ} or {@link NoteShare.WRITE}
+	 */
+	static validatePermission(permission) {
+		if (!NoteShare.#PERMISSIONS.includes(permission)) {
+			throw new RangeError(`permission must be "${NoteShare.READ}" or "${NoteShare.WRITE}", was ${permission}`);
+		}
+	}
+
+	/**
+	 * @param {?string} grantedPermission the permission a user was granted, null if none
+	 * @param {string} requiredPermission the permission an action needs
+	 * @return {boolean} true if the granted permission allows the action, write access includes read access
+	 */
+	static allows(grantedPermission, requiredPermission) {
+		return grantedPermission === NoteShare.WRITE || grantedPermission === requiredPermission;
+	}
+
+	/**
+	 * @return {UuidV4} the id of the shared note
+	 */
+	get noteId() {
+		return this.#noteId;
+	}
+
+	/**
+	 * @return {UuidV4} the id of the user the note is shared with
+	 */
+	get userId() {
+		return this.#userId;
+	}
+
+	/**
+	 * @return {string} the name of the user the note is shared with
+	 */
+	get userName() {
+		return this.#userName;
+	}
+
+	/**
+	 * @return {string} {@link NoteShare.READ} or {@link NoteShare.WRITE}
+	 */
+	get permission() {
+		return this.#permission;
+	}
+
+	/**
+	 * @return {Date} when the note was shared with the user
+	 */
+	get creationDateTime() {
+		return new Date(this.#creationDateTime);
+	}
+
+	toJSON() {
+		return {
+			noteId: this.#noteId,
+			userId: this.#userId,
+			userName: this.#userName,
+			permission: this.#permission,
+			creationDateTime: this.#creationDateTime,
+		};
+	}
+
+	toString() {
+		return `${NoteShare.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
@@ -1,18 +1,23 @@
 import { isDate, isString } from "../util/validation.js";
 import UuidV4 from "./uuidv4.js";
+import { normalizeTagNames } from "./tag.js";
+import { NoteListSort } from "./note-list-query.js";
 
 export class NoteForCreate {
 	#content;
+	#tags;
 
 	/**
 	 * @param {string} content the content of the note
+	 * @param {string[]} tags the tag names of the note
 	 */
-	constructor(content) {
+	constructor(content, tags = []) {
 		if (!isString(content)) {
 			throw new TypeError(`content must be a string, was type ${typeof content} with value ${content}`);
 		}
 
 		this.#content = content;
+		this.#tags = normalizeTagNames(tags);
 	}
 
 	/**
@@ -22,8 +27,15 @@ export class NoteForCreate {
 		return this.#content;
 	}
 
+	/**
+	 * @return {string[]} the normalized and sorted tag names of the note
+	 */
+	get tags() {
+		return Array.from(this.#tags);
+	}
+
 	toJSON() {
-		return { content: this.#content };
+		return { content: this.#content, tags: this.#tags };
 	}
 
 	toString() {
@@ -37,13 +49,14 @@ export class NoteForUpdate extends NoteForCreate {
 	/**
 	 * @param {UuidV4} id the id of the note
 	 * @param {string} content the content of the note
+	 * @param {string[]} tags the tag names of the note
 	 */
-	constructor(id, content) {
+	constructor(id, content, tags = []) {
 		if (!(id instanceof UuidV4)) {
 			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
 		}
 
-		super(content);
+		super(content, tags);
 
 		this.#id = id;
 	}
@@ -67,15 +80,31 @@ export class NoteForUpdate extends NoteForCreate {
 export class Note extends NoteForUpdate {
 	#creationDateTime;
 	#lastUpdatedDateTime;
+	#version;
+	#deletedDateTime;
+	#ownerId;
 
 	/**
 	 * @param {UuidV4} id the UUIDv4 id of the note
 	 * @param {string} content the content of the note
 	 * @param {Date} creationDateTime the creation date and time of the note
 	 * @param {Date} lastUpdatedDateTime the last update date and time of the note
+	 * @param {string[]} tags the tag names of the note
+	 * @param {number} version the version of the note, incremented on every update
+	 * @param {?Date} deletedDateTime the date and time the note was moved to the trash, null if it is not in the trash
+	 * @param {?UuidV4} ownerId the id of the user who owns the note
 	 */
-	constructor(id, content, creationDateTime, lastUpdatedDateTime) {
-		super(id, content);
+	constructor(
+		id,
+		content,
+		creationDateTime,
+		lastUpdatedDateTime,
+		tags = [],
+		version = 1,
+		deletedDateTime = null,
+		ownerId = null,
+	) {
+		super(id, content, tags);
 
 		if (!isDate(creationDateTime)) {
 			throw new TypeError(`creationDateTime must be a Date object, was ${typeof creationDateTime} ${creationDateTime}`);
@@ -87,8 +116,27 @@ export class Note extends NoteForUpdate {
 			);
 		}
 
+		if (!Number.isInteger(version) || version < 1) {
+			throw new TypeError(`version must be an integer >= 1, was type ${typeof version} with value ${version}`);
+		}
+
+		if (deletedDateTime !== null && !isDate(deletedDateTime)) {
+			throw new TypeError(
+				`if provided, deletedDateTime must be a Date object, was ${typeof deletedDateTime} ${deletedDateTime}`,
+			);
+		}
+
+		if (ownerId !== null && !(ownerId instanceof UuidV4)) {
+			throw new TypeError(
+				`if provided, ownerId must be an instance of ${UuidV4.name}, was type ${typeof ownerId} with value ${ownerId}`,
+			);
+		}
+
 		this.#creationDateTime = creationDateTime;
 		this.#lastUpdatedDateTime = lastUpdatedDateTime;
+		this.#version = version;
+		this.#deletedDateTime = deletedDateTime;
+		this.#ownerId = ownerId;
 	}
 
 	/**
@@ -105,11 +153,36 @@ export class Note extends NoteForUpdate {
 		return new Date(this.#lastUpdatedDateTime);
 	}
 
+	/**
+	 * @return {number} the version of the note, incremented on every update
+	 */
+	get version() {
+		return this.#version;
+	}
+
+	/**
+	 * @return {?Date} the date and time the note was moved to the trash, null if it is not in the trash
+	 */
+	get deletedDateTime() {
+		return this.#deletedDateTime && new Date(this.#deletedDateTime);
+	}
+
+	/**
+	 * @return {?UuidV4} the id of the user who owns the note
+	 */
+	get ownerId() {
+		return this.#ownerId;
+	}
+
 	toJSON() {
 		return {
 			...super.toJSON(),
 			creationDateTime: this.#creationDateTime,
 			lastUpdatedDateTime: this.#lastUpdatedDateTime,
+			version: this.#version,
+			// Only notes in the trash have a deletedDateTime
+			...(this.#deletedDateTime && { deletedDateTime: this.#deletedDateTime }),
+			...(this.#ownerId && { ownerId: this.#ownerId }),
 		};
 	}
 
@@ -118,6 +191,126 @@ export class Note extends NoteForUpdate {
 	}
 }
 
+/**
+ * Position in a Note list, which is ordered by the sort field then by id
+ * Clients receive cursors as opaque strings and should not depend on their encoding
+ */
+export class NoteListCursor {
+	/**
+	 * The cursor selects the notes listed after the position
+	 */
+	static AFTER = "after";
+
+	/**
+	 * The cursor selects the notes listed before the position
+	 */
+	static BEFORE = "before";
+
+	#direction;
+	#sort;
+	#key;
+	#id;
+
+	/**
+	 * @param {string} direction {@link NoteListCursor.AFTER} or {@link NoteListCursor.BEFORE}
+	 * @param {NoteListSort} sort the order of the list the position is in
+	 * @param {number} key the value of the sort field for the note at the position
+	 * @param {UuidV4} id the id of the note at the position
+	 */
+	constructor(direction, sort, key, id) {
+		if (![NoteListCursor.AFTER, NoteListCursor.BEFORE].includes(direction)) {
+			throw new TypeError(
+				`direction must be "${NoteListCursor.AFTER}" or "${NoteListCursor.BEFORE}", was type ${typeof direction} with value ${direction}`,
+			);
+		}
+
+		if (!(sort instanceof NoteListSort)) {
+			throw new TypeError(
+				`sort must be an instance of ${NoteListSort.name}, was type ${typeof sort} with value ${sort}`,
+			);
+		}
+
+		// Keys are integers except for the relevance of search results
+		if (!Number.isFinite(key)) {
+			throw new TypeError(`key must be a finite number, was type ${typeof key} with value ${key}`);
+		}
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		this.#direction = direction;
+		this.#sort = sort;
+		this.#key = key;
+		this.#id = id;
+	}
+
+	/**
+	 * @param {string} value a cursor previously returned by {@link NoteListCursor#encode}
+	 * @return {NoteListCursor} the decoded cursor
+	 * @throws {RangeError} if the value is not a valid cursor
+	 */
+	static decode(value) {
+		if (!isString(value)) {
+			throw new TypeError(`value must be a string, was type ${typeof value} with value ${value}`);
+		}
+
+		try {
+			const [direction, field, order, key, id] = JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+
+			return new NoteListCursor(direction, new NoteListSort(field, order), key, new UuidV4(id));
+		} catch (err) {
+			throw new RangeError(`value "${value}" is not a valid cursor`, { cause: err });
+		}
+	}
+
+	/**
+	 * @return {string} the direction, {@link NoteListCursor.AFTER} or {@link NoteListCursor.BEFORE}
+	 */
+	get direction() {
+		return this.#direction;
+	}
+
+	/**
+	 * @return {NoteListSort} the order of the list the position is in
+	 */
+	get sort() {
+		return this.#sort;
+	}
+
+	/**
+	 * @return {number} the value of the sort field for the note at the position
+	 */
+	get key() {
+		return this.#key;
+	}
+
+	/**
+	 * @return {UuidV4} the id of the note at the position
+	 */
+	get id() {
+		return this.#id;
+	}
+
+	/**
+	 * @return {string} the cursor as an opaque URL safe string
+	 */
+	encode() {
+		return Buffer.from(
+			JSON.stringify([this.#direction, this.#sort.field, this.#sort.order, this.#key, this.#id.value]),
+			"utf8",
+		).toString("base64url");
+	}
+
+	toJSON() {
+		return this.encode();
+	}
+
+	toString() {
+		return `${NoteListCursor.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
+
 export class NoteListPage {
 	/**
 	 * @type {number} the size of the page
@@ -129,7 +322,17 @@ export class NoteListPage {
 	 */
 	#notes;
 
-	constructor(pageSize, notes) {
+	/**
+	 * @type {?NoteListCursor} the cursor of the following page, null if this is the last page
+	 */
+	#nextCursor;
+
+	/**
+	 * @type {?NoteListCursor} the cursor of the preceding page, null if this is the first page
+	 */
+	#prevCursor;
+
+	constructor(pageSize, notes, nextCursor = null, prevCursor = null) {
 		if (!Number.isInteger(pageSize)) {
 			throw new TypeError(`pageSize must be an integer, was type ${typeof pageSize} with value ${pageSize}`);
 		}
@@ -151,8 +354,21 @@ export class NoteListPage {
 			notesCopy.push(note);
 		}
 
+		for (const [name, cursor] of [
+			["nextCursor", nextCursor],
+			["prevCursor", prevCursor],
+		]) {
+			if (cursor !== null && !(cursor instanceof NoteListCursor)) {
+				throw new TypeError(
+					`if provided, ${name} must be an instance of ${NoteListCursor.name}, was type ${typeof cursor} with value ${cursor}`,
+				);
+			}
+		}
+
 		this.#pageSize = pageSize;
 		this.#notes = notesCopy;
+		this.#nextCursor = nextCursor;
+		this.#prevCursor = prevCursor;
 	}
 
 	/**
@@ -169,10 +385,26 @@ export class NoteListPage {
 		return Array.from(this.#notes);
 	}
 
+	/**
+	 * @type {?NoteListCursor} the cursor of the following page, null if this is the last page
+	 */
+	get nextCursor() {
+		return this.#nextCursor;
+	}
+
+	/**
+	 * @type {?NoteListCursor} the cursor of the preceding page, null if this is the first page
+	 */
+	get prevCursor() {
+		return this.#prevCursor;
+	}
+
 	toJSON() {
 		return {
 			pageSize: this.#pageSize,
 			notes: this.#notes,
+			nextCursor: this.#nextCursor,
+			prevCursor: this.#prevCursor,
 		};
 	}
 
@@ -180,3 +412,161 @@ export class NoteListPage {
 		return `${NoteListPage.name} ${JSON.stringify(this.toJSON())}`;
 	}
 }
+
+export class NoteSearchResult {
+	/**
+	 * @type {Note} the matching note
+	 */
+	#note;
+
+	/**
+	 * @type {string} the excerpt of the note content around the matched terms
+	 */
+	#snippet;
+
+	/**
+	 * @param {Note} note the matching note
+	 * @param {string} snippet the excerpt of the note content around the matched terms
+	 */
+	constructor(note, snippet) {
+		if (!(note instanceof Note)) {
+			throw new TypeError(`note must be an instance of ${Note.name}, was type ${typeof note} with value ${note}`);
+		}
+
+		if (!isString(snippet)) {
+			throw new TypeError(`snippet must be a string, was type ${typeof snippet} with value ${snippet}`);
+		}
+
+		this.#note = note;
+		this.#snippet = snippet;
+	}
+
+	/**
+	 * @return {Note} the matching note
+	 */
+	get note() {
+		return this.#note;
+	}
+
+	/**
+	 * @return {string} the excerpt of the note content around the matched terms
+	 */
+	get snippet() {
+		return this.#snippet;
+	}
+
+	toJSON() {
+		return {
+			note: this.#note,
+			snippet: this.#snippet,
+		};
+	}
+
+	toString() {
+		return `${NoteSearchResult.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
+
+export class NoteSearchResultPage {
+	/**
+	 * @type {number} the size of the page
+	 */
+	#pageSize;
+
+	/**
+	 * @type {NoteSearchResult[]} the search results in the page ordered by relevance
+	 */
+	#results;
+
+	/**
+	 * @type {?NoteListCursor} the cursor of the following page, null if this is the last page
+	 */
+	#nextCursor;
+
+	/**
+	 * @type {?NoteListCursor} the cursor of the preceding page, null if this is the first page
+	 */
+	#prevCursor;
+
+	constructor(pageSize, results, nextCursor = null, prevCursor = null) {
+		if (!Number.isInteger(pageSize)) {
+			throw new TypeError(`pageSize must be an integer, was type ${typeof pageSize} with value ${pageSize}`);
+		}
+
+		if (!Array.isArray(results)) {
+			throw new TypeError(
+				`results must be an instance of ${Array.name}, was type ${typeof results} with value ${results}`,
+			);
+		}
+
+		const resultsCopy = [];
+		for (let i = 0; i < results.length; i++) {
+			const result = results[i];
+
+			if (!(result instanceof NoteSearchResult)) {
+				throw new TypeError(
+					`each element in the results list must be an instance of ${NoteSearchResult.name}, element ${i} was type ${typeof result} with value ${result}`,
+				);
+			}
+
+			resultsCopy.push(result);
+		}
+
+		for (const [name, cursor] of [
+			["nextCursor", nextCursor],
+			["prevCursor", prevCursor],
+		]) {
+			if (cursor !== null && !(cursor instanceof NoteListCursor)) {
+				throw new TypeError(
+					`if provided, ${name} must be an instance of ${NoteListCursor.name}, was type ${typeof cursor} with value ${cursor}`,
+				);
+			}
+		}
+
+		this.#pageSize = pageSize;
+		this.#results = resultsCopy;
+		this.#nextCursor = nextCursor;
+		this.#prevCursor = prevCursor;
+	}
+
+	/**
+	 * @type {number} the size of the page
+	 */
+	get pageSize() {
+		return this.#pageSize;
+	}
+
+	/**
+	 * @type {NoteSearchResult[]} the search results in the page ordered by relevance
+	 */
+	get results() {
+		return Array.from(this.#results);
+	}
+
+	/**
+	 * @type {?NoteListCursor} the cursor of the following page, null if this is the last page
+	 */
+	get nextCursor() {
+		return this.#nextCursor;
+	}
+
+	/**
+	 * @type {?NoteListCursor} the cursor of the preceding page, null if this is the first page
+	 */
+	get prevCursor() {
+		return this.#prevCursor;
+	}
+
+	toJSON() {
+		return {
+			pageSize: this.#pageSize,
+			results: this.#results,
+			nextCursor: this.#nextCursor,
+			prevCursor: this.#prevCursor,
+		};
+	}
+
+	toString() {
+		return `${NoteSearchResultPage.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
@@ -0,0 +1,74 @@
+import { User } from "./user.js";
+
+/**
+ * The authenticated caller of a request
+ */
+export class Principal {
+	/**
+	 * Authenticated with an API key issued to the user
+	 */
+	static API_KEY = "apiKey";
+
+	/**
+	 * Authenticated with a JWT issued by the identity provider
+	 */
+	static JWT = "jwt";
+
+	#user;
+	#authenticationMethod;
+	#claims;
+
+	/**
+	 * @param {User} user the user the request acts as
+	 * @param {string} authenticationMethod {@link Principal.API_KEY} or {@link Principal.JWT}
+	 * @param {?object} claims the claims of the JWT the request was authenticated with
+	 */
+	constructor(user, authenticationMethod, claims = null) {
+		if (!(user instanceof User)) {
+			throw new TypeError(`user must be an instance of ${User.name}, was type ${typeof user} with value ${user}`);
+		}
+
+		if (![Principal.API_KEY, Principal.JWT].includes(authenticationMethod)) {
+			throw new RangeError(
+				`authenticationMethod must be "${Principal.API_KEY}" or "${Principal.JWT}", was ${authenticationMethod}`,
+			);
+		}
+
+		if (claims !== null && (typeof claims !== "object" || Array.isArray(claims))) {
+			throw new TypeError(`if provided, claims must be an object, was type ${typeof claims} with value ${claims}`);
+		}
+
+		this.#user = user;
+		this.#authenticationMethod = authenticationMethod;
+		this.#claims = claims && Object.freeze({ ...claims });
+	}
+
+	/**
+	 * @return {User} the user the request acts as
+	 */
+	get user() {
+		return this.#user;
+	}
+
+	/**
+	 * @return {string} {@link Principal.API_KEY} or {@link Principal.JWT}
+	 */
+	get authenticationMethod() {
+		return this.#authenticationMethod;
+	}
+
+	/**
+	 * @return {?object} the claims of the JWT the request was authenticated with, frozen
+	 */
+	get claims() {
+		return this.#claims;
+	}
+
+	toJSON() {
+		return { user: this.#user, authenticationMethod: this.#authenticationMethod, claims: this.#claims };
+	}
+
+	toString() {
+		return `${Principal.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
@@ -0,0 +1,161 @@
+/**
+ * A token bucket holding up to capacity tokens, refilled continuously at a fixed rate
+ * Each request takes a token, so a client can burst up to the capacity then continue at the refill rate
+ * Reference:
+ * https://en.wikipedia.org/wiki/Token_bucket
+ */
+export class TokenBucketPolicy {
+	#capacity;
+	#refillPerSecond;
+
+	/**
+	 * @param {number} capacity the maximum number of tokens, an integer > 0
+	 * @param {number} refillPerSecond the number of tokens added per second, > 0
+	 */
+	constructor(capacity, refillPerSecond) {
+		if (!Number.isInteger(capacity) || capacity < 1) {
+			throw new TypeError(`capacity must be an integer > 0, was type ${typeof capacity} with value ${capacity}`);
+		}
+
+		if (typeof refillPerSecond !== "number" || !Number.isFinite(refillPerSecond) || refillPerSecond <= 0) {
+			throw new TypeError(
+				`refillPerSecond must be a finite number > 0, was type ${typeof refillPerSecond} with value ${refillPerSecond}`,
+			);
+		}
+
+		this.#capacity = capacity;
+		this.#refillPerSecond = refillPerSecond;
+	}
+
+	/**
+	 * @param {number} requestsPerMinute the sustained number of requests allowed per minute, an integer > 0
+	 * @return {TokenBucketPolicy} a policy allowing a burst of a minute's requests at once
+	 */
+	static perMinute(requestsPerMinute) {
+		return new TokenBucketPolicy(requestsPerMinute, requestsPerMinute / 60);
+	}
+
+	/**
+	 * @return {number} the maximum number of tokens
+	 */
+	get capacity() {
+		return this.#capacity;
+	}
+
+	/**
+	 * @return {number} the number of tokens added per second
+	 */
+	get refillPerSecond() {
+		return this.#refillPerSecond;
+	}
+
+	/**
+	 * @return {number} the number of seconds an empty bucket takes to fill up
+	 */
+	get windowSeconds() {
+		return Math.ceil(this.#capacity / this.#refillPerSecond);
+	}
+
+	toJSON() {
+		return { capacity: this.#capacity, refillPerSecond: this.#refillPerSecond };
+	}
+
+	toString() {
+		return `${TokenBucketPolicy.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
+
+/**
+ * The outcome of taking a token from a bucket, with the values of the RateLimit response headers
+ */
+export class RateLimitResult {
+	#allowed;
+	#policy;
+	#remaining;
+	#resetSeconds;
+	#retryAfterSeconds;
+
+	/**
+	 * @param {boolean} allowed whether a token was taken and the request may proceed
+	 * @param {TokenBucketPolicy} policy the policy of the bucket
+	 * @param {number} remaining the number of whole tokens left in the bucket
+	 * @param {number} resetSeconds the number of seconds until the bucket is full again
+	 * @param {number} retryAfterSeconds the number of seconds until a token is available, 0 if one is
+	 */
+	constructor(allowed, policy, remaining, resetSeconds, retryAfterSeconds) {
+		if (typeof allowed !== "boolean") {
+			throw new TypeError(`allowed must be a boolean, was type ${typeof allowed} with value ${allowed}`);
+		}
+
+		if (!(policy instanceof TokenBucketPolicy)) {
+			throw new TypeError(
+				`policy must be an instance of ${TokenBucketPolicy.name}, was type ${typeof policy} with value ${policy}`,
+			);
+		}
+
+		for (const [name, value] of [
+			["remaining", remaining],
+			["resetSeconds", resetSeconds],
+			["retryAfterSeconds", retryAfterSeconds],
+		]) {
+			if (!Number.isInteger(value) || value < 0) {
+				throw new TypeError(`${name} must be an integer >= 0, was type ${typeof value} with value ${value}`);
+			}
+		}
+
+		this.#allowed = allowed;
+		this.#policy = policy;
+		this.#remaining = remaining;
+		this.#resetSeconds = resetSeconds;
+		this.#retryAfterSeconds = retryAfterSeconds;
+	}
+
+	/**
+	 * @return {boolean} whether a token was taken and the request may proceed
+	 */
+	get allowed() {
+		return this.#allowed;
+	}
+
+	/**
+	 * @return {TokenBucketPolicy} the policy of the bucket
+	 */
+	get policy() {
+		return this.#policy;
+	}
+
+	/**
+	 * @return {number} the number of whole tokens left in the bucket
+	 */
+	get remaining() {
+		return this.#remaining;
+	}
+
+	/**
+	 * @return {number} the number of seconds until the bucket is full again
+	 */
+	get resetSeconds() {
+		return this.#resetSeconds;
+	}
+
+	/**
+	 * @return {number} the number of seconds until a token is available, 0 if one is
+	 */
+	get retryAfterSeconds() {
+		return this.#retryAfterSeconds;
+	}
+
+	toJSON() {
+		return {
+			allowed: this.#allowed,
+			policy: this.#policy,
+			remaining: this.#remaining,
+			resetSeconds: this.#resetSeconds,
+			retryAfterSeconds: this.#retryAfterSeconds,
+		};
+	}
+
+	toString() {
+		return `${RateLimitResult.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
@@ -0,0 +1,153 @@
+import { isString } from "../util/validation.js";
+
+export const MAX_TAG_NAME_LENGTH = 64;
+
+/**
+ * Normalizes a tag name so that "#Work", "work" and " WORK " are the same tag
+ * @param {string} name the tag name
+ * @return {string} the trimmed, lower cased tag name without a leading #
+ * @throws {TypeError} if the name is not a string
+ * @throws {RangeError} if the normalized name is empty or too long
+ */
+export function normalizeTagName(name) {
+	if (!isString(name)) {
+		throw new TypeError(`tag name must be a string, was type ${typeof name} with value ${name}`);
+	}
+
+	const normalizedName = name.trim().replace(/^#/, "").trim().toLowerCase();
+
+	if (normalizedName.length === 0 || normalizedName.length > MAX_TAG_NAME_LENGTH) {
+		throw new RangeError(
+			`tag name must be between 1 and ${MAX_TAG_NAME_LENGTH} characters long after normalization, was "${name}"`,
+		);
+	}
+
+	return normalizedName;
+}
+
+/**
+ * Normalizes a list of tag names, removing duplicates
+ * @param {string[]} tags the tag names
+ * @return {string[]} the normalized, de-duplicated and sorted tag names
+ */
+export function normalizeTagNames(tags) {
+	if (!Array.isArray(tags)) {
+		throw new TypeError(`tags must be an instance of ${Array.name}, was type ${typeof tags} with value ${tags}`);
+	}
+
+	return Array.from(new Set(tags.map(normalizeTagName))).sort();
+}
+
+export class TagUsage {
+	/**
+	 * @type {string}
+	 */
+	#name;
+
+	/**
+	 * @type {number}
+	 */
+	#noteCount;
+
+	/**
+	 * @param {string} name the tag name
+	 * @param {number} noteCount the number of notes with the tag
+	 */
+	constructor(name, noteCount) {
+		if (!isString(name)) {
+			throw new TypeError(`name must be a string, was type ${typeof name} with value ${name}`);
+		}
+
+		if (!Number.isInteger(noteCount)) {
+			throw new TypeError(`noteCount must be an integer, was type ${typeof noteCount} with value ${noteCount}`);
+		}
+
+		this.#name = name;
+		this.#noteCount = noteCount;
+	}
+
+	/**
+	 * @return {string} the tag name
+	 */
+	get name() {
+		return this.#name;
+	}
+
+	/**
+	 * @return {number} the number of notes with the tag
+	 */
+	get noteCount() {
+		return this.#noteCount;
+	}
+
+	toJSON() {
+		return { name: this.#name, noteCount: this.#noteCount };
+	}
+
+	toString() {
+		return `${TagUsage.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
+
+export class TagFilter {
+	/**
+	 * Match notes having at least one of the tags
+	 */
+	static ANY = "any";
+
+	/**
+	 * Match notes having every one of the tags
+	 */
+	static ALL = "all";
+
+	/**
+	 * @type {string[]}
+	 */
+	#tags;
+
+	/**
+	 * @type {string}
+	 */
+	#match;
+
+	/**
+	 * @param {string[]} tags the tag names to filter by
+	 * @param {string} match either {@link TagFilter.ANY} or {@link TagFilter.ALL}
+	 */
+	constructor(tags, match = TagFilter.ANY) {
+		const normalizedTags = normalizeTagNames(tags);
+
+		if (normalizedTags.length === 0) {
+			throw new RangeError(`tags must contain at least one tag name`);
+		}
+
+		if (match !== TagFilter.ANY && match !== TagFilter.ALL) {
+			throw new RangeError(`match must be "${TagFilter.ANY}" or "${TagFilter.ALL}", was ${match}`);
+		}
+
+		this.#tags = normalizedTags;
+		this.#match = match;
+	}
+
+	/**
+	 * @return {string[]} the normalized tag names to filter by
+	 */
+	get tags() {
+		return Array.from(this.#tags);
+	}
+
+	/**
+	 * @return {string} either {@link TagFilter.ANY} or {@link TagFilter.ALL}
+	 */
+	get match() {
+		return this.#match;
+	}
+
+	toJSON() {
+		return { tags: this.#tags, match: this.#match };
+	}
+
+	toString() {
+		return `${TagFilter.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
@@ -0,0 +1,80 @@
+import { isDate, isString } from "../util/validation.js";
+import UuidV4 from "./uuidv4.js";
+
+export const MAX_USER_NAME_LENGTH = 64;
+
+/**
+ * @param {string} name the user name
+ * @return {string} the trimmed user name
+ * @throws {TypeError} if the name is not a string
+ * @throws {RangeError} if the trimmed name is empty or too long
+ */
+export function normalizeUserName(name) {
+	if (!isString(name)) {
+		throw new TypeError(`user name must be a string, was type ${typeof name} with value ${name}`);
+	}
+
+	const normalizedName = name.trim();
+
+	if (normalizedName.length === 0 || normalizedName.length > MAX_USER_NAME_LENGTH) {
+		throw new RangeError(
+			`user name must be between 1 and ${MAX_USER_NAME_LENGTH} characters long after trimming, was "${name}"`,
+		);
+	}
+
+	return normalizedName;
+}
+
+export class User {
+	#id;
+	#name;
+	#creationDateTime;
+
+	/**
+	 * @param {UuidV4} id the UUIDv4 id of the user
+	 * @param {string} name the unique name of the user
+	 * @param {Date} creationDateTime the creation date and time of the user
+	 */
+	constructor(id, name, creationDateTime) {
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		if (!isDate(creationDateTime)) {
+			throw new TypeError(`creationDateTime must be a Date object, was ${typeof creationDateTime} ${creationDateTime}`);
+		}
+
+		this.#id = id;
+		this.#name = normalizeUserName(name);
+		this.#creationDateTime = creationDateTime;
+	}
+
+	/**
+	 * @return {UuidV4} the UUIDv4 id of the user
+	 */
+	get id() {
+		return this.#id;
+	}
+
+	/**
+	 * @return {string} the unique name of the user
+	 */
+	get name() {
+		return this.#name;
+	}
+
+	/**
+	 * @return {Date} the creation date and time of the user
+	 */
+	get creationDateTime() {
+		return new Date(this.#creationDateTime);
+	}
+
+	toJSON() {
+		return { id: this.#id, name: this.#name, creationDateTime: this.#creationDateTime };
+	}
+
+	toString() {
+		return `${User.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
@@ -0,0 +1,56 @@
+import express, { Router } from "express";
+import { StatusCodes } from "http-status-codes";
+import HealthService from "../service/health-service.js";
+
+/**
+ * Probes for orchestrators, reachable without authentication and outside of the versioned API
+ */
+export default class HealthRoutes {
+	/**
+	 * @type {HealthService}
+	 */
+	#healthService;
+
+	/**
+	 * @param {HealthService} healthService the HealthService to use with the router
+	 */
+	constructor(healthService) {
+		this.#healthService = healthService;
+	}
+
+	/**
+	 * @param {Router} router
+	 */
+	#registerRoutes(router) {
+		/* GET liveness, the process is running and its event loop is responding */
+		router.get("/healthz", (req, res) => {
+			// Probes must always see the current state, never a cached one
+			res.set("Cache-Control", "no-store").json({
+				status: HealthService.PASS,
+				pid: process.pid,
+				uptimeSeconds: Math.floor(process.uptime()),
+			});
+		});
+
+		/* GET readiness, with the result of each check so failures can be told apart */
+		router.get("/readyz", (req, res) => {
+			const readiness = this.#healthService.checkReadiness();
+
+			res
+				.set("Cache-Control", "no-store")
+				.status(readiness.status === HealthService.PASS ? StatusCodes.OK : StatusCodes.SERVICE_UNAVAILABLE)
+				.json({ ...readiness, pid: process.pid });
+		});
+	}
+
+	/**
+	 * @return {Router} the configured router
+	 */
+	buildRouter() {
+		const router = express.Router();
+
+		this.#registerRoutes(router);
+
+		return router;
+	}
+}
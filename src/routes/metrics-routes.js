@@ -0,0 +1,49 @@
+import express, { Router } from "express";
+import ClusterMetrics from "../util/cluster-metrics.js";
+import logger from "../util/logger.js";
+
+/**
+ * The metrics of the server for Prometheus to scrape, reachable without authentication and outside of the versioned API
+ */
+export default class MetricsRoutes {
+	/**
+	 * @type {ClusterMetrics}
+	 */
+	#clusterMetrics;
+
+	/**
+	 * @param {ClusterMetrics} clusterMetrics the ClusterMetrics to collect the metrics with
+	 */
+	constructor(clusterMetrics) {
+		this.#clusterMetrics = clusterMetrics;
+	}
+
+	/**
+	 * @param {Router} router
+	 */
+	#registerRoutes(router) {
+		/* GET the metrics of every worker of the server, in the Prometheus text format */
+		router.get("/metrics", async (req, res, next) => {
+			let metrics;
+			try {
+				metrics = await this.#clusterMetrics.collect();
+			} catch (err) {
+				logger.error("Error while handling request to get metrics", err.message);
+				return next(err);
+			}
+
+			res.set("Cache-Control", "no-store").type(this.#clusterMetrics.contentType).send(metrics);
+		});
+	}
+
+	/**
+	 * @return {Router} the configured router
+	 */
+	buildRouter() {
+		const router = express.Router();
+
+		this.#registerRoutes(router);
+
+		return router;
+	}
+}
@@ -1,156 +1,1248 @@
+import path from "node:path";
+import readline from "node:readline";
+import { setImmediate as nextTurn } from "node:timers/promises";
 import express, { Router } from "express";
 import { StatusCodes } from "http-status-codes";
 import NoteService from "../service/note-service.js";
-import { EntityNotFoundError } from "../service/service-error.js";
-import { NoteForCreate, NoteForUpdate } from "../model/note.js";
+import { convertEnex, convertMarkdownArchive } from "../service/note-converters.js";
+import UserService from "../service/user-service.js";
+import { ConflictError, PreconditionFailedError } from "../service/service-error.js";
+import { Note, NoteForCreate, NoteForUpdate, NoteListCursor } from "../model/note.js";
+import { NoteBatchOperation, NoteBatchResult } from "../model/note-batch.js";
+import { ConvertedNote, NoteImportConflictPolicy, NoteImportReport } from "../model/note-import.js";
 import UuidV4 from "../model/uuidv4.js";
+import { TagFilter } from "../model/tag.js";
+import { NoteListFilter, NoteListSort } from "../model/note-list-query.js";
 import { isString } from "../util/validation.js";
+import { formatVersionEtag, parseIfMatch } from "../util/etag.js";
+import { formatFrontMatter, parseFrontMatter } from "../util/front-matter.js";
+import { formatCsv } from "../util/csv.js";
+import { JsonPatch, MergePatch } from "../util/json-patch.js";
 import logger from "../util/logger.js";
+import { asyncRouter } from "../util/async-handler.js";
+import { Problem, ProblemType } from "../api/problem.js";
 
 export default class NoteRoutes {
+	/**
+	 * The patch document media types accepted by PATCH, and the patch each is parsed into
+	 */
+	static PATCH_MEDIA_TYPES = Object.freeze({
+		"application/merge-patch+json": MergePatch,
+		"application/json-patch+json": JsonPatch,
+	});
+
+	/**
+	 * The media types a note is represented as, the first is sent when the client accepts any
+	 */
+	static NOTE_MEDIA_TYPES = Object.freeze(["application/json", "text/markdown", "text/plain"]);
+
+	/**
+	 * The media types lists of notes are represented as, the first is sent when the client accepts any
+	 */
+	static NOTE_LIST_MEDIA_TYPES = Object.freeze(["application/json", "text/csv"]);
+
+	/**
+	 * The media types of note bodies whose text is the content, with the tags in an optional front matter block
+	 */
+	static NOTE_TEXT_MEDIA_TYPES = Object.freeze(["text/markdown", "text/plain"]);
+
+	/**
+	 * The columns of lists of notes as CSV, the tags are a JSON array as tag names may contain any character
+	 */
+	static #CSV_COLUMNS = Object.freeze(["id", "version", "creationDateTime", "lastUpdatedDateTime", "tags", "content"]);
+
+	/**
+	 * The media type of exports, a note as JSON on each line
+	 * Reference:
+	 * https://github.com/ndjson/ndjson-spec
+	 */
+	static NDJSON_MEDIA_TYPE = "application/x-ndjson";
+
+	/**
+	 * The most notes exported before other requests get a turn, the notes of a chunk are read in one go
+	 */
+	static #EXPORT_CHUNK_SIZE = 500;
+
+	/**
+	 * The notes imported in each transaction, the notes of earlier batches stay imported when a batch fails
+	 */
+	static #IMPORT_BATCH_SIZE = 500;
+
+	/**
+	 * The media types of Evernote exports, which have no registered media type and are sent as XML
+	 * Reference:
+	 * http://xml.evernote.com/pub/evernote-export3.dtd
+	 */
+	static ENEX_MEDIA_TYPES = Object.freeze(["application/enex+xml", "application/xml", "text/xml"]);
+
+	/**
+	 * The media type of archives of Markdown files
+	 */
+	static ZIP_MEDIA_TYPE = "application/zip";
+
+	/**
+	 * The default maximum size of the exports of other tools imported as notes
+	 */
+	static DEFAULT_IMPORT_BODY_LIMIT_BYTES = 100 * 1024 * 1024;
+
+	/**
+	 * The default Cache-Control policy for each cacheable route
+	 * Responses may be stored by the client but must be revalidated with a conditional request before reuse
+	 */
+	static DEFAULT_CACHE_CONTROL = Object.freeze({
+		list: "private, no-cache",
+		search: "private, no-cache",
+		note: "private, no-cache",
+	});
+
 	/**
 	 * @type {NoteService}
 	 */
 	#noteService;
 
+	/**
+	 * @type {UserService}
+	 */
+	#userService;
+
+	/**
+	 * @type {{list: string, search: string, note: string}}
+	 */
+	#cacheControl;
+
+	/**
+	 * @type {number}
+	 */
+	#importBodyLimitBytes;
+
+	/**
+	 * @type {?string}
+	 */
+	#publicBaseUrl;
+
 	/**
 	 * @param {NoteService} noteService the NoteService to use with the router
+	 * @param {UserService} userService the UserService to find the users notes are shared with
+	 * @param {object} [options]
+	 * @param {object} [options.cacheControl] Cache-Control header values keyed by route,
+	 * any route not given uses its {@link NoteRoutes.DEFAULT_CACHE_CONTROL} policy
+	 * @param {number} [options.importBodyLimitBytes] the maximum size of the exports of other tools imported as notes
+	 * @param {?string} [options.publicBaseUrl] the URL clients reach the app at, such as https://notes.example.com,
+	 * public links are relative paths if not provided, as the Host header of requests cannot be trusted
 	 */
-	constructor(noteService) {
+	constructor(
+		noteService,
+		userService,
+		{ cacheControl = {}, importBodyLimitBytes = NoteRoutes.DEFAULT_IMPORT_BODY_LIMIT_BYTES, publicBaseUrl = null } = {},
+	) {
+		for (const [route, policy] of Object.entries(cacheControl)) {
+			if (!Object.hasOwn(NoteRoutes.DEFAULT_CACHE_CONTROL, route)) {
+				throw new RangeError(
+					`cacheControl route must be one of ${Object.keys(NoteRoutes.DEFAULT_CACHE_CONTROL)}, was ${route}`,
+				);
+			}
+
+			if (!isString(policy)) {
+				throw new TypeError(
+					`cacheControl policy for route ${route} must be a string, was type ${typeof policy} with value ${policy}`,
+				);
+			}
+		}
+
+		if (publicBaseUrl !== null && !isString(publicBaseUrl)) {
+			throw new TypeError(
+				`if provided, publicBaseUrl must be a string, was type ${typeof publicBaseUrl} with value ${publicBaseUrl}`,
+			);
+		}
+
 		this.#noteService = noteService;
+		this.#userService = userService;
+		this.#cacheControl = { ...NoteRoutes.DEFAULT_CACHE_CONTROL, ...cacheControl };
+		this.#importBodyLimitBytes = importBodyLimitBytes;
+		this.#publicBaseUrl = publicBaseUrl?.replace(/\/+$/, "") ?? null;
+	}
+
+	/**
+	 * @param {express.Request} req
+	 * @return {?number[]} the note versions the If-Match header allows, undefined if any version is allowed
+	 */
+	static #expectedVersions(req) {
+		const ifMatch = parseIfMatch(req.get("If-Match"));
+
+		return ifMatch === "*" ? undefined : ifMatch;
+	}
+
+	/**
+	 * Build a batch operation from its JSON representation
+	 * @param {object} operation the operation with an op of create, update or delete and the fields for it
+	 * @return {NoteBatchOperation}
+	 * @throws {TypeError|RangeError} if the operation is invalid
+	 */
+	static #parseBatchOperation(operation) {
+		const { op, id, content, tags, version, permanent = false } = operation;
+		const expectedVersions = version === undefined ? undefined : [version];
+
+		switch (op) {
+			case NoteBatchOperation.CREATE:
+				return NoteBatchOperation.create(new NoteForCreate(content, tags));
+			case NoteBatchOperation.UPDATE:
+				return NoteBatchOperation.update(new NoteForUpdate(new UuidV4(id), content, tags), expectedVersions);
+			case NoteBatchOperation.DELETE:
+				return NoteBatchOperation.delete(new UuidV4(id), expectedVersions, permanent);
+			default:
+				throw new RangeError(
+					`op must be one of ${NoteBatchOperation.CREATE}, ${NoteBatchOperation.UPDATE} or ${NoteBatchOperation.DELETE}, was ${JSON.stringify(op)}`,
+				);
+		}
+	}
+
+	/**
+	 * Build the JSON representation of a batch operation result, with the status code the operation
+	 * would have had as a separate request
+	 * @param {NoteBatchResult} result
+	 * @param {number} index the index of the operation in the batch
+	 * @return {object}
+	 */
+	static #formatBatchResult(result, index) {
+		const { operation, error } = result;
+
+		switch (result.state) {
+			case NoteBatchResult.APPLIED:
+				switch (operation.type) {
+					case NoteBatchOperation.CREATE:
+						return { status: StatusCodes.CREATED, id: result.value };
+					case NoteBatchOperation.UPDATE:
+						return { status: StatusCodes.OK, note: result.value };
+					default:
+						return { status: StatusCodes.NO_CONTENT };
+				}
+			case NoteBatchResult.FAILED: {
+				const problem = Problem.from(error);
+
+				if (problem.status >= StatusCodes.INTERNAL_SERVER_ERROR) {
+					logger.error(`Error while applying batch operation ${index} ${operation}`, error.stack);
+				}
+
+				return {
+					status: problem.status,
+					code: problem.type.code,
+					error: problem.message,
+					...(error instanceof PreconditionFailedError && { note: error.currentEntity }),
+				};
+			}
+			case NoteBatchResult.ROLLED_BACK:
+				return { status: StatusCodes.FAILED_DEPENDENCY, error: "Rolled back because another operation failed" };
+			default:
+				return { status: StatusCodes.FAILED_DEPENDENCY, error: "Skipped because an earlier operation failed" };
+		}
+	}
+
+	/**
+	 * Choose the representation to respond with from the Accept header
+	 * @param {express.Request} req
+	 * @param {express.Response} res
+	 * @param {string[]} mediaTypes the media types the resource is available as
+	 * @return {string|false} the media type to respond with, false if the client accepts none of them
+	 */
+	static #negotiate(req, res, mediaTypes) {
+		// Caches must not answer a request for one representation with another
+		res.vary("Accept");
+
+		return req.accepts(mediaTypes);
+	}
+
+	/**
+	 * @param {string[]} mediaTypes
+	 * @return {Problem} the problem of a client accepting none of the media types
+	 */
+	static #notAcceptable(mediaTypes) {
+		return new Problem(ProblemType.NOT_ACCEPTABLE, `Only ${mediaTypes.join(", ")} representations are available`);
+	}
+
+	/**
+	 * The content of the note after a YAML front matter block with the rest of its fields, as editors of Markdown read it
+	 * @param {Note} note
+	 * @return {string}
+	 */
+	static #formatNoteText(note) {
+		const { content, ...metadata } = JSON.parse(JSON.stringify(note));
+
+		return formatFrontMatter(metadata, content);
+	}
+
+	/**
+	 * Respond with a list of notes as CSV, or as JSON
+	 * @param {express.Response} res
+	 * @param {string} mediaType the negotiated media type
+	 * @param {object} body the JSON body of the list
+	 * @param {Note[]} notes the notes of the list
+	 */
+	static #sendNotes(res, mediaType, body, notes) {
+		if (mediaType !== "text/csv") {
+			return res.json(body);
+		}
+
+		const rows = notes.map((note) => {
+			const fields = JSON.parse(JSON.stringify(note));
+
+			return { ...fields, tags: JSON.stringify(fields.tags) };
+		});
+
+		res.type(mediaType).send(formatCsv(NoteRoutes.#CSV_COLUMNS, rows));
+	}
+
+	/**
+	 * @param {express.Request} req a request creating or replacing a note
+	 * @param {boolean} [replacing] whether the note replaces another, whose tags must then be given
+	 * @return {{content: *, tags: *}} the fields of a JSON body, or those of a Markdown or plain text body
+	 * @throws {RangeError} if the front matter of a text body is not valid, or a text body replacing a note has no tags
+	 */
+	static #parseNoteFields(req, replacing = false) {
+		if (typeof req.body !== "string") {
+			return { content: req.body.content, tags: req.body.tags };
+		}
+
+		// Every other field of the front matter is ignored, so a note fetched as text can be sent back as it is
+		const { metadata, text } = parseFrontMatter(req.body);
+
+		if (replacing && metadata.tags === undefined) {
+			throw new RangeError(
+				"front matter must have a tags field when replacing a note, an empty list removing the tags of the note",
+			);
+		}
+
+		return { content: text, tags: metadata.tags ?? [] };
+	}
+
+	/**
+	 * Build a note to import from a line of an export
+	 * @param {string} line a note as JSON, as exported
+	 * @param {UuidV4} ownerId the id of the user importing the note, whoever owned it before
+	 * @return {Note}
+	 * @throws {SyntaxError|TypeError|RangeError} if the line is not a valid note
+	 */
+	static #parseImportedNote(line, ownerId) {
+		const fields = JSON.parse(line);
+		if (typeof fields !== "object" || fields === null || Array.isArray(fields)) {
+			throw new TypeError(`a note must be a JSON object, was ${Array.isArray(fields) ? "an array" : typeof fields}`);
+		}
+
+		const parseDateTime = (name) => {
+			const dateTime = NoteRoutes.#parseDateTime(fields[name]);
+			if (dateTime === undefined) {
+				throw new RangeError(`${name} must be an ISO 8601 date and time, was ${JSON.stringify(fields[name])}`);
+			}
+
+			return dateTime;
+		};
+
+		const { id, content, tags = [], version = 1, deletedDateTime = null } = fields;
+
+		return new Note(
+			new UuidV4(id),
+			content,
+			parseDateTime("creationDateTime"),
+			parseDateTime("lastUpdatedDateTime"),
+			tags,
+			version,
+			deletedDateTime === null ? null : parseDateTime("deletedDateTime"),
+			ownerId,
+		);
+	}
+
+	/**
+	 * Wait until more of the export can be written, giving other requests a turn
+	 * @param {express.Response} res
+	 * @return {Promise<boolean>} false if the client went away instead
+	 */
+	static async #waitToWrite(res) {
+		if (res.writableNeedDrain) {
+			await new Promise((resolve) => {
+				const done = () => {
+					res.off("drain", done);
+					res.off("close", done);
+					resolve();
+				};
+
+				res.on("drain", done);
+				res.on("close", done);
+			});
+		} else {
+			await nextTurn();
+		}
+
+		return !res.destroyed;
+	}
+
+	/**
+	 * Stream every note of the user as NDJSON, including the notes in the trash
+	 * Notes are read a chunk at a time, the iterator reading them is closed before waiting for the client
+	 * so that other requests can write to the database in the meantime
+	 * @param {express.Request} req
+	 * @param {express.Response} res
+	 * @param {express.NextFunction} next
+	 */
+	async #exportNotes(req, res, next) {
+		const userId = req.principal.user.id;
+
+		res
+			.attachment("notes.ndjson")
+			.type(`${NoteRoutes.NDJSON_MEDIA_TYPE}; charset=utf-8`)
+			.set("Cache-Control", "no-store");
+
+		try {
+			let afterId = undefined;
+			let done = false;
+
+			while (!done) {
+				done = true;
+
+				let count = 0;
+				for (const note of this.#noteService.exportNotes(userId, afterId)) {
+					const flushed = res.write(`${JSON.stringify(note)}\n`);
+					afterId = note.id;
+
+					if (!flushed || ++count === NoteRoutes.#EXPORT_CHUNK_SIZE) {
+						done = false;
+						break;
+					}
+				}
+
+				if (!done && !(await NoteRoutes.#waitToWrite(res))) {
+					return;
+				}
+			}
+		} catch (err) {
+			// Once the export has started the connection is closed instead, so that the client sees it is incomplete
+			return next(err);
+		}
+
+		res.end();
+	}
+
+	/**
+	 * Import the notes of an NDJSON export, in batches of a transaction each
+	 * Lines which are not valid notes are reported and left out, along with blank lines
+	 * @param {express.Request} req
+	 * @param {express.Response} res
+	 * @param {express.NextFunction} next
+	 */
+	async #importNotes(req, res, next) {
+		if (!req.is(NoteRoutes.NDJSON_MEDIA_TYPE)) {
+			return next(
+				new Problem(
+					ProblemType.UNSUPPORTED_MEDIA_TYPE,
+					`Unsupported import media type ${req.get("Content-Type")}, notes are imported as ${NoteRoutes.NDJSON_MEDIA_TYPE}`,
+				),
+			);
+		}
+
+		const userId = req.principal.user.id;
+		const conflictPolicy = req.query.conflict ?? NoteImportConflictPolicy.SKIP;
+
+		const report = new NoteImportReport();
+
+		/**
+		 * @type {{line: number, note: Note}[]}
+		 */
+		let batch = [];
+
+		const importBatch = () => {
+			const results = this.#noteService.importNotes(
+				userId,
+				batch.map(({ note }) => note),
+				conflictPolicy,
+			);
+
+			results.forEach((result, index) => report.addResult(batch[index].line, result));
+			batch = [];
+		};
+
+		let lineNumber = 0;
+		try {
+			for await (const line of readline.createInterface({ input: req, crlfDelay: Infinity })) {
+				lineNumber++;
+
+				if (line.trim() === "") {
+					continue;
+				}
+
+				try {
+					batch.push({ line: lineNumber, note: NoteRoutes.#parseImportedNote(line, userId) });
+				} catch (err) {
+					report.addError(lineNumber, err.message);
+					continue;
+				}
+
+				if (batch.length === NoteRoutes.#IMPORT_BATCH_SIZE) {
+					importBatch();
+				}
+			}
+
+			if (batch.length > 0) {
+				importBatch();
+			}
+		} catch (err) {
+			// The rest of the body is discarded, so that the connection can be reused
+			req.resume();
+
+			if (err instanceof ConflictError) {
+				return next(
+					new Problem(
+						ProblemType.CONFLICT,
+						`${err.message}, the notes from line ${batch[0].line} on were not imported`,
+						{ extensions: { report: report }, cause: err },
+					),
+				);
+			}
+
+			return next(err);
+		}
+
+		res.json(report);
+	}
+
+	/**
+	 * Import the notes converted from an export of another tool, in a single transaction
+	 * @param {express.Request} req
+	 * @param {express.Response} res
+	 * @param {express.NextFunction} next
+	 * @param {string[]} mediaTypes the media types the export may be sent as
+	 * @param {function(*): ConvertedNote[]} convert converts the parsed body to notes
+	 */
+	#importConvertedNotes(req, res, next, mediaTypes, convert) {
+		if (!req.is(mediaTypes)) {
+			return next(
+				new Problem(
+					ProblemType.UNSUPPORTED_MEDIA_TYPE,
+					`Unsupported import media type ${req.get("Content-Type")}, the export is imported as ${mediaTypes.join(" or ")}`,
+				),
+			);
+		}
+
+		let report;
+		try {
+			report = this.#noteService.importConvertedNotes(req.principal.user.id, convert(req.body));
+		} catch (err) {
+			// The export cannot be read, or has more notes than are imported at once
+			if (err instanceof RangeError) {
+				return next(new Problem(ProblemType.INVALID_REQUEST, err.message, { cause: err }));
+			}
+
+			return next(err);
+		}
+
+		res.json(report);
+	}
+
+	/**
+	 * Parameters are validated against the OpenAPI document before reaching the routes, and checked again here for
+	 * requests whose operation the validator does not find
+	 * @param {?string} value an integer parameter
+	 * @return {?number} the integer, undefined if the parameter was not sent
+	 * @throws {Problem} if the parameter is not a decimal integer
+	 */
+	static #parseInteger(value) {
+		if (value === undefined) {
+			return undefined;
+		}
+
+		if (!isString(value) || !/^[+-]?\d+$/.test(value)) {
+			throw new Problem(ProblemType.INVALID_REQUEST, `Invalid integer ${value}`);
+		}
+
+		return Number(value);
+	}
+
+	/**
+	 * @param {*} value an id parameter
+	 * @param {string} name the name of the parameter
+	 * @return {UuidV4} the id
+	 * @throws {Problem} if the parameter is not a UUIDv4
+	 */
+	static #parseId(value, name) {
+		try {
+			return new UuidV4(value);
+		} catch (err) {
+			throw new Problem(ProblemType.INVALID_REQUEST, `Invalid ${name} ${value}`, { cause: err });
+		}
+	}
+
+	/**
+	 * @param {*} value an ISO 8601 date, such as 2024-03-22, or date and time with a UTC offset,
+	 * such as 2024-03-22T02:23:00Z or 2024-03-22T04:23:00.000+02:00
+	 * @return {?Date} the date and time, dates are at midnight UTC, or undefined if the value is not valid
+	 */
+	static #parseDateTime(value) {
+		if (!isString(value) || !/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2}))?$/.test(value)) {
+			return undefined;
+		}
+
+		const dateTime = new Date(value);
+		return isNaN(dateTime.getTime()) ? undefined : dateTime;
+	}
+
+	/**
+	 * Set the caching headers for a response
+	 * Express handles If-None-Match and If-Modified-Since against these headers and replies 304 Not Modified
+	 * when the client's copy is fresh, generating a weak ETag from the body when none was set
+	 * @param {express.Response} res
+	 * @param {string} policy the Cache-Control header value
+	 * @param {?Date} lastModified when the represented notes were last changed, if known
+	 */
+	static #setCacheHeaders(res, policy, lastModified) {
+		res.set("Cache-Control", policy);
+
+		if (lastModified) {
+			res.set("Last-Modified", lastModified.toUTCString());
+		}
+	}
+
+	/**
+	 * Respond with the notes matching the repeated id query parameter
+	 * @param {express.Request} req
+	 * @param {express.Response} res
+	 * @param {express.NextFunction} next
+	 */
+	#getNotesByIds(req, res, next) {
+		const otherParameters = Object.keys(req.query).filter((name) => name !== "id");
+		if (otherParameters.length > 0) {
+			return next(
+				new Problem(
+					ProblemType.INVALID_REQUEST,
+					`id cannot be combined with the ${otherParameters.join(", ")} parameters`,
+				),
+			);
+		}
+
+		const mediaType = NoteRoutes.#negotiate(req, res, NoteRoutes.NOTE_LIST_MEDIA_TYPES);
+		if (!mediaType) {
+			return next(NoteRoutes.#notAcceptable(NoteRoutes.NOTE_LIST_MEDIA_TYPES));
+		}
+
+		const ids = [req.query.id].flat().map((idValue) => NoteRoutes.#parseId(idValue, "id"));
+
+		try {
+			const notes = this.#noteService.findByIds(req.principal.user.id, ids);
+			const lastModified = notes.reduce(
+				(latest, note) => (latest && latest >= note.lastUpdatedDateTime ? latest : note.lastUpdatedDateTime),
+				undefined,
+			);
+
+			NoteRoutes.#setCacheHeaders(res, this.#cacheControl.list, lastModified);
+			NoteRoutes.#sendNotes(res, mediaType, { notes: notes }, notes);
+		} catch (err) {
+			// More ids than are read at once
+			if (err instanceof RangeError) {
+				return next(new Problem(ProblemType.INVALID_REQUEST, err.message, { cause: err }));
+			}
+
+			next(err);
+		}
+	}
+
+	/**
+	 * Build the target of an RFC 8288 Link header to another page of the same list
+	 * Reference:
+	 * https://www.rfc-editor.org/rfc/rfc8288
+	 * @param {express.Request} req the request for the current page
+	 * @param {NoteListCursor} cursor the cursor of the other page
+	 * @return {string} the URI reference of the other page, keeping all other query parameters
+	 */
+	static #pageLink(req, cursor) {
+		// The host is only needed to parse the URL, the reference is relative to the request URI
+		const url = new URL(req.originalUrl, "http://localhost");
+		url.searchParams.set("cursor", cursor.encode());
+
+		return `${url.pathname}${url.search}`;
+	}
+
+	/**
+	 * @param {express.Request} req a request for a page of a list
+	 * @return {?NoteListCursor} the cursor of the page, undefined for the first page
+	 * @throws {Problem} if the cursor is not valid
+	 */
+	static #parseCursor(req) {
+		// Ignoring afterId would send clients paging with it back to the first page forever
+		if (req.query.afterId !== undefined) {
+			throw new Problem(
+				ProblemType.INVALID_REQUEST,
+				"afterId is not supported, use the nextCursor or prevCursor of a page as cursor",
+			);
+		}
+
+		if (req.query.cursor === undefined) {
+			return undefined;
+		}
+
+		try {
+			return NoteListCursor.decode(req.query.cursor);
+		} catch (err) {
+			throw new Problem(ProblemType.INVALID_REQUEST, `Invalid cursor ${req.query.cursor}`);
+		}
+	}
+
+	/**
+	 * Link the pages on either side of a page with an RFC 8288 Link header
+	 * @param {express.Request} req the request for the page
+	 * @param {express.Response} res
+	 * @param {{nextCursor: ?NoteListCursor, prevCursor: ?NoteListCursor}} page
+	 */
+	static #setPageLinks(req, res, page) {
+		const links = {};
+		if (page.nextCursor) {
+			links.next = NoteRoutes.#pageLink(req, page.nextCursor);
+		}
+		if (page.prevCursor) {
+			links.prev = NoteRoutes.#pageLink(req, page.prevCursor);
+		}
+		if (Object.keys(links).length > 0) {
+			res.links(links);
+		}
 	}
 
 	/**
 	 * @param {Router} router
 	 */
 	#registerRoutes(router) {
-		/* GET list page of notes */
-		router.get("/", async (req, res, next) => {
-			let pageSize = undefined;
-			if (req.query.pageSize !== undefined) {
-				pageSize = parseInt(req.query.pageSize, 10);
-				if (!Number.isInteger(pageSize)) {
-					return res.status(StatusCodes.BAD_REQUEST).json({ error: `Invalid pageSize ${req.query.pageSize}` });
+		// Ids are checked again for requests whose operation the validator does not find
+		for (const name of ["id", "userId", "linkId"]) {
+			router.param(name, (req, res, next, value) => {
+				try {
+					NoteRoutes.#parseId(value, name);
+				} catch (err) {
+					return next(err);
 				}
+
+				next();
+			});
+		}
+
+		/* GET list page of notes, or the notes with the given ids */
+		router.get("/", async (req, res, next) => {
+			if (req.query.id !== undefined) {
+				return this.#getNotesByIds(req, res, next);
 			}
 
-			let afterId = undefined;
-			if (req.query.afterId !== undefined) {
+			const mediaType = NoteRoutes.#negotiate(req, res, NoteRoutes.NOTE_LIST_MEDIA_TYPES);
+			if (!mediaType) {
+				return next(NoteRoutes.#notAcceptable(NoteRoutes.NOTE_LIST_MEDIA_TYPES));
+			}
+
+			const pageSize = NoteRoutes.#parseInteger(req.query.pageSize);
+
+			let cursor;
+			try {
+				cursor = NoteRoutes.#parseCursor(req);
+			} catch (err) {
+				return next(err);
+			}
+
+			let tagFilter = undefined;
+			if (req.query.tag !== undefined) {
 				try {
-					afterId = new UuidV4(req.query.afterId);
+					tagFilter = new TagFilter([req.query.tag].flat(), req.query.tagMatch);
 				} catch (err) {
-					return res.status(StatusCodes.BAD_REQUEST).json({ error: `Invalid afterId ${req.query.afterId}` });
+					return next(new Problem(ProblemType.INVALID_REQUEST, `Invalid tag filter: ${err.message}`, { cause: err }));
+				}
+			}
+
+			const dateTimes = {};
+			for (const name of ["createdAfter", "createdBefore", "updatedAfter", "updatedBefore"]) {
+				if (req.query[name] !== undefined) {
+					dateTimes[name] = NoteRoutes.#parseDateTime(req.query[name]);
+					if (dateTimes[name] === undefined) {
+						return next(new Problem(ProblemType.INVALID_REQUEST, `Invalid ${name} ${req.query[name]}`));
+					}
+				}
+			}
+
+			let sort;
+			try {
+				sort = new NoteListSort(req.query.sort, req.query.order);
+			} catch (err) {
+				return next(new Problem(ProblemType.INVALID_REQUEST, `Invalid sort: ${err.message}`, { cause: err }));
+			}
+
+			try {
+				const page = this.#noteService.list(
+					req.principal.user.id,
+					pageSize,
+					cursor,
+					new NoteListFilter({ tagFilter: tagFilter, ...dateTimes, sharedWithMe: req.query.sharedWithMe === "true" }),
+					sort,
+				);
+
+				NoteRoutes.#setPageLinks(req, res, page);
+
+				// A note leaving the page does not move this forward, clients sending both validators
+				// still see the change since the body based ETag must match as well
+				const lastModified = page.notes.reduce(
+					(latest, note) => (latest && latest >= note.lastUpdatedDateTime ? latest : note.lastUpdatedDateTime),
+					undefined,
+				);
+
+				NoteRoutes.#setCacheHeaders(res, this.#cacheControl.list, lastModified);
+				NoteRoutes.#sendNotes(res, mediaType, page, page.notes);
+			} catch (err) {
+				// A page size out of bounds, or a cursor from a list with another sort
+				if (err instanceof RangeError) {
+					return next(new Problem(ProblemType.INVALID_REQUEST, err.message, { cause: err }));
 				}
+
+				next(err);
+			}
+		});
+
+		/* GET search notes by content */
+		router.get("/search", async (req, res, next) => {
+			const query = req.query.q;
+			const pageSize = NoteRoutes.#parseInteger(req.query.pageSize);
+
+			let cursor;
+			try {
+				cursor = NoteRoutes.#parseCursor(req);
+			} catch (err) {
+				return next(err);
 			}
 
 			try {
-				res.json(this.#noteService.list(pageSize, afterId));
+				const resultPage = this.#noteService.search(req.principal.user.id, query, pageSize, cursor);
+
+				NoteRoutes.#setPageLinks(req, res, resultPage);
+				NoteRoutes.#setCacheHeaders(res, this.#cacheControl.search);
+				res.json(resultPage);
 			} catch (err) {
-				logger.error(`Error while handling request to get notes page`, err.message);
+				// A blank query, a page size out of bounds, or a cursor from another list
+				if (err instanceof RangeError) {
+					return next(new Problem(ProblemType.INVALID_REQUEST, err.message, { cause: err }));
+				}
+
 				next(err);
 			}
 		});
 
-		/* GET quote by id */
-		router.get("/:id", async (req, res, next) => {
-			let id;
+		/* GET every note as NDJSON, for backups and moving notes between instances */
+		router.get("/export", (req, res, next) => this.#exportNotes(req, res, next));
+
+		/* GET list page of notes in the trash */
+		router.get("/trash", async (req, res, next) => {
+			const pageSize = NoteRoutes.#parseInteger(req.query.pageSize);
+
+			let cursor;
 			try {
-				id = new UuidV4(req.params.id);
+				cursor = NoteRoutes.#parseCursor(req);
 			} catch (err) {
-				return res.status(StatusCodes.BAD_REQUEST).json({ error: `Invalid id ${req.params.id}` });
+				return next(err);
 			}
 
 			try {
-				const note = this.#noteService.findById(id);
+				const page = this.#noteService.listTrash(req.principal.user.id, pageSize, cursor);
+
+				NoteRoutes.#setPageLinks(req, res, page);
+				res.json(page);
+			} catch (err) {
+				// A page size out of bounds, or a cursor from another list
+				if (err instanceof RangeError) {
+					return next(new Problem(ProblemType.INVALID_REQUEST, err.message, { cause: err }));
+				}
+
+				next(err);
+			}
+		});
+
+		/* GET quote by id, as JSON, Markdown or plain text */
+		router.get("/:id", async (req, res, next) => {
+			const id = new UuidV4(req.params.id);
+
+			const mediaType = NoteRoutes.#negotiate(req, res, NoteRoutes.NOTE_MEDIA_TYPES);
+			if (!mediaType) {
+				return next(NoteRoutes.#notAcceptable(NoteRoutes.NOTE_MEDIA_TYPES));
+			}
+
+			try {
+				const note = this.#noteService.findById(req.principal.user.id, id);
 				if (!note) {
-					return res.status(StatusCodes.NOT_FOUND).send();
+					return next(new Problem(ProblemType.NOT_FOUND, `No note with id ${id.value}`));
+				}
+
+				NoteRoutes.#setCacheHeaders(res, this.#cacheControl.note, note.lastUpdatedDateTime);
+				res.set("ETag", formatVersionEtag(note.version, mediaType));
+
+				if (mediaType === "application/json") {
+					return res.json(note);
 				}
 
-				res.json(note);
+				res.type(mediaType).send(NoteRoutes.#formatNoteText(note));
 			} catch (err) {
-				logger.error(`Error while handling request to get note for id ${idValue}`, err.message);
 				next(err);
 			}
 		});
 
-		/* POST new quote */
+		/* POST new quote, from JSON or from Markdown or plain text */
 		router.post("/", async (req, res, next) => {
-			const content = req.body.content;
-			if (content === undefined) {
-				return res.status(StatusCodes.BAD_REQUEST).json({ error: "Missing content field" });
+			let fields;
+			try {
+				fields = NoteRoutes.#parseNoteFields(req);
+			} catch (err) {
+				return next(new Problem(ProblemType.INVALID_REQUEST, err.message, { cause: err }));
 			}
 
-			if (!isString(content)) {
-				return res.status(StatusCodes.BAD_REQUEST).json({
-					error: `Invalid content field value, was type ${typeof content} value "${content}"`,
-				});
+			let note;
+			try {
+				note = new NoteForCreate(fields.content, fields.tags);
+			} catch (err) {
+				return next(
+					new Problem(ProblemType.INVALID_REQUEST, `Invalid tags field value: ${err.message}`, { cause: err }),
+				);
 			}
 
 			let id;
 			try {
-				id = this.#noteService.create(new NoteForCreate(content));
+				id = this.#noteService.create(req.principal.user.id, note);
 			} catch (err) {
-				logger.error(`Error while handling request to create note with content "${content}"`, err.message);
-				next(err);
-				return;
+				return next(err);
 			}
 
 			res.status(StatusCodes.CREATED).json({ id: id });
 		});
 
-		/* PUT update quote */
+		/* POST batch of create, update and delete operations */
+		router.post("/batch", async (req, res, next) => {
+			const { operations, atomic = true } = req.body;
+			if (!Array.isArray(operations)) {
+				return next(new Problem(ProblemType.INVALID_REQUEST, "Invalid operations, must be an array"));
+			}
+
+			const batchOperations = [];
+			for (const [index, operation] of operations.entries()) {
+				try {
+					batchOperations.push(NoteRoutes.#parseBatchOperation(operation));
+				} catch (err) {
+					return next(
+						new Problem(ProblemType.INVALID_REQUEST, `Invalid operation ${index}: ${err.message}`, { cause: err }),
+					);
+				}
+			}
+
+			let results;
+			try {
+				results = this.#noteService.batch(req.principal.user.id, batchOperations, atomic);
+			} catch (err) {
+				// More operations than are applied at once
+				if (err instanceof RangeError) {
+					return next(new Problem(ProblemType.INVALID_REQUEST, err.message, { cause: err }));
+				}
+
+				return next(err);
+			}
+
+			const allApplied = results.every((result) => result.state === NoteBatchResult.APPLIED);
+
+			res.status(allApplied ? StatusCodes.OK : StatusCodes.MULTI_STATUS).json({
+				atomic: atomic,
+				results: results.map(NoteRoutes.#formatBatchResult),
+			});
+		});
+
+		/* POST NDJSON export of notes to import, keeping their ids and date times */
+		router.post("/import", (req, res, next) => this.#importNotes(req, res, next));
+
+		/* POST Evernote export to import, converting its notes to Markdown */
+		router.post(
+			"/import/enex",
+			express.text({ limit: this.#importBodyLimitBytes, type: NoteRoutes.ENEX_MEDIA_TYPES }),
+			(req, res, next) => this.#importConvertedNotes(req, res, next, NoteRoutes.ENEX_MEDIA_TYPES, convertEnex),
+		);
+
+		/* POST zip archive of Markdown files to import, reading their metadata from their front matter */
+		router.post(
+			"/import/markdown",
+			express.raw({ limit: this.#importBodyLimitBytes, type: NoteRoutes.ZIP_MEDIA_TYPE }),
+			(req, res, next) =>
+				this.#importConvertedNotes(req, res, next, [NoteRoutes.ZIP_MEDIA_TYPE], convertMarkdownArchive),
+		);
+
+		/* PUT update quote, from JSON or from Markdown or plain text */
 		router.put("/:id", async (req, res, next) => {
-			let id;
+			const id = new UuidV4(req.params.id);
+
+			let fields;
 			try {
-				id = new UuidV4(req.params.id);
+				fields = NoteRoutes.#parseNoteFields(req, true);
 			} catch (err) {
-				return res.status(StatusCodes.BAD_REQUEST).json({ error: `Invalid id ${req.params.id}` });
+				return next(new Problem(ProblemType.INVALID_REQUEST, err.message, { cause: err }));
 			}
 
-			const content = req.body.content;
-			if (content === undefined) {
-				return res.status(StatusCodes.BAD_REQUEST).json({ error: "Missing content field" });
+			let note;
+			try {
+				note = new NoteForUpdate(id, fields.content, fields.tags);
+			} catch (err) {
+				return next(
+					new Problem(ProblemType.INVALID_REQUEST, `Invalid tags field value: ${err.message}`, { cause: err }),
+				);
 			}
 
-			if (!isString(content)) {
-				return res.status(StatusCodes.BAD_REQUEST).json({
-					error: `Invalid content field value, was type ${typeof content} value "${content}"`,
-				});
+			let updatedNote;
+			try {
+				updatedNote = this.#noteService.update(req.principal.user.id, note, NoteRoutes.#expectedVersions(req));
+			} catch (err) {
+				return next(err);
+			}
+
+			res.set("ETag", formatVersionEtag(updatedNote.version)).status(StatusCodes.NO_CONTENT).send();
+		});
+
+		/* PATCH update quote fields */
+		router.patch("/:id", async (req, res, next) => {
+			const id = new UuidV4(req.params.id);
+
+			const mediaTypes = Object.keys(NoteRoutes.PATCH_MEDIA_TYPES);
+			const mediaType = req.is(mediaTypes);
+			if (!mediaType) {
+				return next(
+					new Problem(ProblemType.UNSUPPORTED_MEDIA_TYPE, `Unsupported patch media type ${req.get("Content-Type")}`, {
+						headers: { "Accept-Patch": mediaTypes.join(", ") },
+					}),
+				);
+			}
+
+			let patch;
+			try {
+				patch = new NoteRoutes.PATCH_MEDIA_TYPES[mediaType](req.body);
+			} catch (err) {
+				return next(new Problem(ProblemType.INVALID_REQUEST, `Invalid patch document: ${err.message}`, { cause: err }));
+			}
+
+			let patchedNote;
+			try {
+				patchedNote = this.#noteService.patch(req.principal.user.id, id, patch, NoteRoutes.#expectedVersions(req));
+			} catch (err) {
+				return next(err);
+			}
+
+			res.set("ETag", formatVersionEtag(patchedNote.version)).json(patchedNote);
+		});
+
+		/* POST restore quote from the trash */
+		router.post("/:id/restore", async (req, res, next) => {
+			const id = new UuidV4(req.params.id);
+
+			let restoredNote;
+			try {
+				restoredNote = this.#noteService.restoreById(req.principal.user.id, id);
+			} catch (err) {
+				return next(err);
 			}
 
+			res.set("ETag", formatVersionEtag(restoredNote.version)).json(restoredNote);
+		});
+
+		/* GET list page of quote revisions */
+		router.get("/:id/revisions", async (req, res, next) => {
+			const id = new UuidV4(req.params.id);
+
+			const pageSize = NoteRoutes.#parseInteger(req.query.pageSize);
+
+			const beforeRevision = NoteRoutes.#parseInteger(req.query.beforeRevision);
+
 			try {
-				this.#noteService.update(new NoteForUpdate(id, content));
+				res.json(this.#noteService.listRevisions(req.principal.user.id, id, pageSize, beforeRevision));
 			} catch (err) {
-				if (err instanceof EntityNotFoundError) {
-					return res.status(StatusCodes.NOT_FOUND).send();
+				// A page size or revision out of bounds
+				if (err instanceof RangeError) {
+					return next(new Problem(ProblemType.INVALID_REQUEST, err.message, { cause: err }));
 				}
 
-				logger.error(`Error while handling request to update note with id ${id.value}`, err.message);
 				next(err);
 			}
+		});
 
-			res.status(StatusCodes.NO_CONTENT).send();
+		/* GET quote revision */
+		router.get("/:id/revisions/:revision", async (req, res, next) => {
+			const id = new UuidV4(req.params.id);
+
+			const revision = NoteRoutes.#parseInteger(req.params.revision);
+
+			try {
+				res.json(this.#noteService.findRevision(req.principal.user.id, id, revision));
+			} catch (err) {
+				next(err);
+			}
 		});
 
-		/* DELETE quote by id */
-		router.delete("/:id", async (req, res, next) => {
-			let id;
+		/* GET line diff between quote revisions */
+		router.get("/:id/revisions/:fromRevision/diff/:toRevision", async (req, res, next) => {
+			const id = new UuidV4(req.params.id);
+
+			const fromRevision = NoteRoutes.#parseInteger(req.params.fromRevision);
+			const toRevision = NoteRoutes.#parseInteger(req.params.toRevision);
+
 			try {
-				id = new UuidV4(req.params.id);
+				res.json(this.#noteService.diffRevisions(req.principal.user.id, id, fromRevision, toRevision));
 			} catch (err) {
-				return res.status(StatusCodes.BAD_REQUEST).json({ error: `Invalid id ${req.params.id}` });
+				next(err);
 			}
+		});
+
+		/* POST revert quote to a revision */
+		router.post("/:id/revisions/:revision/revert", async (req, res, next) => {
+			const id = new UuidV4(req.params.id);
+
+			const revision = NoteRoutes.#parseInteger(req.params.revision);
+
+			let revertedNote;
+			try {
+				revertedNote = this.#noteService.revertToRevision(
+					req.principal.user.id,
+					id,
+					revision,
+					NoteRoutes.#expectedVersions(req),
+				);
+			} catch (err) {
+				return next(err);
+			}
+
+			res.set("ETag", formatVersionEtag(revertedNote.version)).json(revertedNote);
+		});
+
+		/* GET users quote is shared with */
+		router.get("/:id/shares", async (req, res, next) => {
+			const id = new UuidV4(req.params.id);
 
 			try {
-				this.#noteService.deleteById(id);
+				res.json({ shares: this.#noteService.listShares(req.principal.user.id, id) });
 			} catch (err) {
-				if (err instanceof EntityNotFoundError) {
-					return res.status(StatusCodes.NOT_FOUND).send();
+				next(err);
+			}
+		});
+
+		/* POST share quote with a user, replacing the permission they were granted before */
+		router.post("/:id/shares", async (req, res, next) => {
+			const id = new UuidV4(req.params.id);
+
+			const { userName, permission } = req.body;
+
+			let share;
+			try {
+				// The grantee is only looked up for the owner, so that no one else finds out which user names exist
+				const note = this.#noteService.findById(req.principal.user.id, id);
+				if (!note) {
+					return next(new Problem(ProblemType.NOT_FOUND, `No note with id ${id.value}`));
 				}
 
-				logger.error(`Error while handling request to delete note with id ${id}`, err.message);
+				if (note.ownerId.value !== req.principal.user.id.value) {
+					return next(new Problem(ProblemType.FORBIDDEN, `Only the owner can share the note with id ${id.value}`));
+				}
+
+				const grantee = this.#userService.findByName(userName);
+				if (!grantee) {
+					return next(new Problem(ProblemType.UNPROCESSABLE_ENTITY, `No user named "${userName}" exists`));
+				}
+
+				share = this.#noteService.shareNote(req.principal.user.id, id, grantee.id, permission);
+			} catch (err) {
+				// A permission the model rejects is well-formed but cannot be granted
+				if (err instanceof RangeError) {
+					return next(new Problem(ProblemType.UNPROCESSABLE_ENTITY, err.message, { cause: err }));
+				}
+
+				return next(err);
+			}
+
+			res.json(share);
+		});
+
+		/* DELETE share of quote with a user */
+		router.delete("/:id/shares/:userId", async (req, res, next) => {
+			const id = new UuidV4(req.params.id);
+
+			const granteeId = new UuidV4(req.params.userId);
+
+			try {
+				this.#noteService.unshareNote(req.principal.user.id, id, granteeId);
+			} catch (err) {
+				return next(err);
+			}
+
+			res.status(StatusCodes.NO_CONTENT).send();
+		});
+
+		/* GET public links to quote */
+		router.get("/:id/public-links", async (req, res, next) => {
+			const id = new UuidV4(req.params.id);
+
+			try {
+				res.json({ publicLinks: this.#noteService.listPublicLinks(req.principal.user.id, id) });
+			} catch (err) {
 				next(err);
 			}
+		});
+
+		/* POST create a public link to quote, the response is the only time its token is revealed */
+		router.post("/:id/public-links", async (req, res, next) => {
+			const id = new UuidV4(req.params.id);
+
+			const { expiryDateTime, password } = req.body ?? {};
+
+			let expiry;
+			if (expiryDateTime !== undefined && expiryDateTime !== null) {
+				expiry = NoteRoutes.#parseDateTime(expiryDateTime);
+				if (expiry === undefined) {
+					return next(new Problem(ProblemType.INVALID_REQUEST, `Invalid expiryDateTime field value ${expiryDateTime}`));
+				}
+			}
+
+			let created;
+			try {
+				created = await this.#noteService.createPublicLink(req.principal.user.id, id, {
+					expiryDateTime: expiry,
+					password: password ?? undefined,
+				});
+			} catch (err) {
+				// An expiry in the past or a password out of bounds is well-formed but cannot be applied
+				if (err instanceof RangeError) {
+					return next(new Problem(ProblemType.UNPROCESSABLE_ENTITY, err.message, { cause: err }));
+				}
+
+				return next(err);
+			}
+
+			// The public route is a sibling of the notes route, under the same API version
+			const url = `${this.#publicBaseUrl ?? ""}${path.posix.dirname(req.baseUrl)}/public/${created.token}`;
+
+			res.status(StatusCodes.CREATED).json({ ...created.link.toJSON(), token: created.token, url: url });
+		});
+
+		/* DELETE revoke a public link to quote */
+		router.delete("/:id/public-links/:linkId", async (req, res, next) => {
+			const id = new UuidV4(req.params.id);
+
+			const linkId = new UuidV4(req.params.linkId);
+
+			try {
+				this.#noteService.revokePublicLink(req.principal.user.id, id, linkId);
+			} catch (err) {
+				return next(err);
+			}
+
+			res.status(StatusCodes.NO_CONTENT).send();
+		});
+
+		/* DELETE quote by id, moving it to the trash unless permanent=true */
+		router.delete("/:id", async (req, res, next) => {
+			const id = new UuidV4(req.params.id);
+
+			try {
+				this.#noteService.deleteById(
+					req.principal.user.id,
+					id,
+					NoteRoutes.#expectedVersions(req),
+					req.query.permanent === "true",
+				);
+			} catch (err) {
+				return next(err);
+			}
 
 			res.status(StatusCodes.NO_CONTENT).send();
 		});
@@ -162,7 +1254,7 @@ export default class NoteRoutes {
 	buildRouter() {
 		const router = express.Router();
 
-		this.#registerRoutes(router);
+		this.#registerRoutes(asyncRouter(router));
 
 		return router;
 	}
@@ -0,0 +1,172 @@
+import { createHash } from "node:crypto";
+import express, { Router } from "express";
+import { ProblemType } from "../api/problem.js";
+import { escapeHtml } from "../util/html.js";
+
+const PAGE_STYLE =
+	"body{margin:2rem auto;max-width:64rem;padding:0 1rem;font-family:system-ui,sans-serif;color:#222}" +
+	"section{border-top:1px solid #ddd;padding:.5rem 0}" +
+	"h2{font-size:1.125rem}code{font-size:.9375rem}" +
+	"table{border-collapse:collapse}th,td{padding:.25rem 1rem .25rem 0;text-align:left;vertical-align:top}" +
+	".method{text-transform:uppercase;font-weight:bold}";
+
+/**
+ * The page has no scripts, it only allows its own inline style
+ * Reference:
+ * https://www.w3.org/TR/CSP3/#grammardef-hash-source
+ */
+const PAGE_CONTENT_SECURITY_POLICY = [
+	"default-src 'none'",
+	`style-src 'sha256-${createHash("sha256").update(PAGE_STYLE).digest("base64")}'`,
+	"frame-ancestors 'none'",
+	"base-uri 'none'",
+	"form-action 'none'",
+].join("; ");
+
+/**
+ * Routes serving the OpenAPI document of the API and its documentation, reachable without authentication
+ */
+export default class OpenApiRoutes {
+	/**
+	 * @type {object}
+	 */
+	#document;
+
+	/**
+	 * @type {string}
+	 */
+	#docsHtml;
+
+	/**
+	 * @param {object} document the OpenAPI document of the API the routes are mounted in
+	 */
+	constructor(document) {
+		if (typeof document !== "object" || document === null || typeof document.paths !== "object") {
+			throw new TypeError(`document must be an OpenAPI document, was type ${typeof document} with value ${document}`);
+		}
+
+		this.#document = document;
+		this.#docsHtml = OpenApiRoutes.#renderHtml(document);
+	}
+
+	/**
+	 * @param {object} document
+	 * @param {object} object an object of the document which may be a reference to a component
+	 * @return {object} the object, or the component it references
+	 */
+	static #resolve(document, object) {
+		if (typeof object?.$ref !== "string") {
+			return object;
+		}
+
+		return object.$ref
+			.slice(2)
+			.split("/")
+			.reduce((parent, name) => parent?.[name], document);
+	}
+
+	/**
+	 * @param {object} document
+	 * @return {string} a standalone HTML page listing every operation of the document with its parameters,
+	 * and the problem types errors are sent as, which their type URIs link to
+	 */
+	static #renderHtml(document) {
+		const sections = [];
+
+		for (const [path, pathItem] of Object.entries(document.paths)) {
+			for (const [method, operation] of Object.entries(pathItem).filter(([key]) => key !== "parameters")) {
+				const parameters = [...(pathItem.parameters ?? []), ...(operation.parameters ?? [])].map((parameter) =>
+					OpenApiRoutes.#resolve(document, parameter),
+				);
+				const statusCodes = Object.keys(operation.responses ?? {});
+
+				sections.push(
+					`<section id="${escapeHtml(operation.operationId)}">`,
+					`<h2><span class="method">${escapeHtml(method)}</span> <code>${escapeHtml(path)}</code></h2>`,
+					`<p>${escapeHtml(operation.summary ?? "")}</p>`,
+					...(parameters.length > 0
+						? [
+								"<table>",
+								"<tr><th>Parameter</th><th>In</th><th>Required</th><th>Description</th></tr>",
+								...parameters.map(
+									(parameter) =>
+										`<tr><td><code>${escapeHtml(parameter.name)}</code></td><td>${escapeHtml(parameter.in)}</td>` +
+										`<td>${parameter.required ? "yes" : "no"}</td><td>${escapeHtml(parameter.description ?? "")}</td></tr>`,
+								),
+								"</table>",
+							]
+						: []),
+					`<p>Responses: ${statusCodes.map(escapeHtml).join(", ")}</p>`,
+					"</section>",
+				);
+			}
+		}
+
+		const problemTypes = [
+			'<section id="problem-types">',
+			"<h2>Problem types</h2>",
+			`<p>Errors are sent as <code>application/problem+json</code>, their <code>code</code> identifies the problem.</p>`,
+			"<table>",
+			"<tr><th>Code</th><th>Status</th><th>Title</th></tr>",
+			...ProblemType.TYPES.map(
+				(type) =>
+					`<tr id="problem-${escapeHtml(type.code)}"><td><code>${escapeHtml(type.code)}</code></td>` +
+					`<td>${type.status}</td><td>${escapeHtml(type.title)}</td></tr>`,
+			),
+			"</table>",
+			"</section>",
+		];
+
+		return [
+			"<!DOCTYPE html>",
+			'<html lang="en">',
+			"<head>",
+			'<meta charset="utf-8">',
+			'<meta name="viewport" content="width=device-width, initial-scale=1">',
+			`<title>${escapeHtml(document.info.title)}</title>`,
+			`<style>${PAGE_STYLE}</style>`,
+			"</head>",
+			"<body>",
+			"<header>",
+			`<h1>${escapeHtml(document.info.title)} ${escapeHtml(document.info.version)}</h1>`,
+			`<p>${escapeHtml(document.info.description ?? "")}</p>`,
+			'<p>The <a href="openapi.json">OpenAPI document</a> describes every schema, clients can be generated from it.</p>',
+			"</header>",
+			"<main>",
+			...sections,
+			...problemTypes,
+			"</main>",
+			"</body>",
+			"</html>",
+		].join("\n");
+	}
+
+	/**
+	 * @param {Router} router
+	 */
+	#registerRoutes(router) {
+		/* GET the OpenAPI document */
+		router.get("/openapi.json", (req, res) => {
+			res.set("Cache-Control", "no-cache").json(this.#document);
+		});
+
+		/* GET the documentation page */
+		router.get("/docs", (req, res) => {
+			res
+				.set({ "Cache-Control": "no-cache", "Content-Security-Policy": PAGE_CONTENT_SECURITY_POLICY })
+				.type("html")
+				.send(this.#docsHtml);
+		});
+	}
+
+	/**
+	 * @return {Router} the configured router
+	 */
+	buildRouter() {
+		const router = express.Router();
+
+		this.#registerRoutes(router);
+
+		return router;
+	}
+}
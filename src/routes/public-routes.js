@@ -0,0 +1,156 @@
+import { createHash } from "node:crypto";
+import express, { Router } from "express";
+import NoteService from "../service/note-service.js";
+import { EntityNotFoundError, UnauthorizedError } from "../service/service-error.js";
+import { Note } from "../model/note.js";
+import { escapeHtml } from "../util/html.js";
+import { asyncRouter } from "../util/async-handler.js";
+import { Problem, ProblemType } from "../api/problem.js";
+
+const PAGE_STYLE =
+	"body{margin:2rem auto;max-width:48rem;padding:0 1rem;font-family:system-ui,sans-serif;color:#222}" +
+	"pre{white-space:pre-wrap;overflow-wrap:anywhere;font:inherit;line-height:1.5}" +
+	"footer{margin-top:2rem;color:#666;font-size:.875rem}";
+
+/**
+ * The page allows nothing but its own inline style, so even if escaping were bypassed no script could run
+ * Reference:
+ * https://www.w3.org/TR/CSP3/#grammardef-hash-source
+ */
+const PAGE_CONTENT_SECURITY_POLICY = [
+	"default-src 'none'",
+	`style-src 'sha256-${createHash("sha256").update(PAGE_STYLE).digest("base64")}'`,
+	"frame-ancestors 'none'",
+	"base-uri 'none'",
+	"form-action 'none'",
+].join("; ");
+
+/**
+ * Routes reachable without authentication, anyone holding the token of a public link can read the linked note
+ */
+export default class PublicRoutes {
+	/**
+	 * @type {NoteService}
+	 */
+	#noteService;
+
+	/**
+	 * @param {NoteService} noteService the NoteService to use with the router
+	 */
+	constructor(noteService) {
+		this.#noteService = noteService;
+	}
+
+	/**
+	 * Links are protected with a password alone, so the user name of Basic credentials is ignored
+	 * Reference:
+	 * https://www.rfc-editor.org/rfc/rfc7617
+	 * @param {express.Request} req
+	 * @return {?string} the password of the Basic credentials, null if none were sent
+	 */
+	static #parsePassword(req) {
+		const match = /^Basic +([A-Za-z0-9+/]+=*) *$/i.exec(req.get("Authorization") ?? "");
+		if (!match) {
+			return null;
+		}
+
+		const credentials = Buffer.from(match[1], "base64").toString("utf8");
+		const separatorIndex = credentials.indexOf(":");
+
+		return separatorIndex === -1 ? null : credentials.slice(separatorIndex + 1);
+	}
+
+	/**
+	 * @param {Note} note
+	 * @return {string} a standalone HTML page showing the content of the note as plain text
+	 */
+	static #renderHtml(note) {
+		const title = note.content.split("\n", 1)[0].trim() || "Shared note";
+
+		return [
+			"<!DOCTYPE html>",
+			'<html lang="en">',
+			"<head>",
+			'<meta charset="utf-8">',
+			'<meta name="viewport" content="width=device-width, initial-scale=1">',
+			`<title>${escapeHtml(title)}</title>`,
+			`<style>${PAGE_STYLE}</style>`,
+			"</head>",
+			"<body>",
+			"<main>",
+			`<pre>${escapeHtml(note.content)}</pre>`,
+			"</main>",
+			"<footer>",
+			`Last updated <time datetime="${note.lastUpdatedDateTime.toISOString()}">${note.lastUpdatedDateTime.toISOString()}</time>`,
+			"</footer>",
+			"</body>",
+			"</html>",
+		].join("\n");
+	}
+
+	/**
+	 * @param {Router} router
+	 */
+	#registerRoutes(router) {
+		/* GET quote by the token of a public link, as JSON or as an HTML page */
+		router.get("/:token", async (req, res, next) => {
+			// Tokens are secrets, responses for them must not be stored or leak the URL onwards
+			res.set({
+				"Cache-Control": "no-store",
+				"Referrer-Policy": "no-referrer",
+				"X-Content-Type-Options": "nosniff",
+				"X-Robots-Tag": "noindex",
+				Vary: "Accept, Authorization",
+			});
+
+			const format = req.accepts(["json", "html"]);
+			if (!format) {
+				return next(new Problem(ProblemType.NOT_ACCEPTABLE, "Only JSON and HTML are available"));
+			}
+
+			let note;
+			try {
+				note = await this.#noteService.findByPublicLink(req.params.token, PublicRoutes.#parsePassword(req));
+			} catch (err) {
+				// Whether the link never existed, expired or was revoked is not revealed
+				if (err instanceof EntityNotFoundError) {
+					return next(new Problem(ProblemType.NOT_FOUND, "No note is shared with this link", { cause: err }));
+				}
+
+				if (err instanceof UnauthorizedError) {
+					return next(
+						new Problem(ProblemType.UNAUTHORIZED, "This link requires a password", {
+							headers: { "WWW-Authenticate": 'Basic realm="note", charset="UTF-8"' },
+							cause: err,
+						}),
+					);
+				}
+
+				return next(err);
+			}
+
+			if (format === "html") {
+				return res
+					.set("Content-Security-Policy", PAGE_CONTENT_SECURITY_POLICY)
+					.type("html")
+					.send(PublicRoutes.#renderHtml(note));
+			}
+
+			// Who owns the note is not for the holders of the link to know
+			const { ownerId, ...publicNote } = note.toJSON();
+
+			res.json(publicNote);
+		});
+	}
+
+	/**
+	 * @return {Router} the configured router
+	 */
+	buildRouter() {
+		const router = express.Router();
+
+		this.#registerRoutes(asyncRouter(router));
+
+		return router;
+	}
+}
@@ -0,0 +1,91 @@
+import express, { Router } from "express";
+import { StatusCodes } from "http-status-codes";
+import NoteService from "../service/note-service.js";
+import { normalizeTagName } from "../model/tag.js";
+import { asyncRouter } from "../util/async-handler.js";
+import { Problem, ProblemType } from "../api/problem.js";
+
+export default class TagRoutes {
+	/**
+	 * @type {NoteService}
+	 */
+	#noteService;
+
+	/**
+	 * @param {NoteService} noteService the NoteService to use with the router
+	 */
+	constructor(noteService) {
+		this.#noteService = noteService;
+	}
+
+	/**
+	 * @param {Router} router
+	 */
+	#registerRoutes(router) {
+		/* GET tags with usage counts */
+		router.get("/", async (req, res, next) => {
+			try {
+				res.json({ tags: this.#noteService.listTags(req.principal.user.id) });
+			} catch (err) {
+				next(err);
+			}
+		});
+
+		/* POST merge tags into a target tag */
+		router.post("/merge", async (req, res, next) => {
+			const { sources, target } = req.body;
+
+			try {
+				sources.forEach(normalizeTagName);
+				normalizeTagName(target);
+			} catch (err) {
+				return next(new Problem(ProblemType.INVALID_REQUEST, err.message, { cause: err }));
+			}
+
+			try {
+				this.#noteService.mergeTags(req.principal.user.id, sources, target);
+			} catch (err) {
+				// No tags to merge
+				if (err instanceof RangeError) {
+					return next(new Problem(ProblemType.INVALID_REQUEST, err.message, { cause: err }));
+				}
+
+				return next(err);
+			}
+
+			res.status(StatusCodes.NO_CONTENT).send();
+		});
+
+		/* POST rename tag, merging it if the new name already exists */
+		router.post("/:name/rename", async (req, res, next) => {
+			const name = req.params.name;
+			const newName = req.body.name;
+
+			try {
+				normalizeTagName(name);
+				normalizeTagName(newName);
+			} catch (err) {
+				return next(new Problem(ProblemType.INVALID_REQUEST, err.message, { cause: err }));
+			}
+
+			try {
+				this.#noteService.renameTag(req.principal.user.id, name, newName);
+			} catch (err) {
+				return next(err);
+			}
+
+			res.status(StatusCodes.NO_CONTENT).send();
+		});
+	}
+
+	/**
+	 * @return {Router} the configured router
+	 */
+	buildRouter() {
+		const router = express.Router();
+
+		this.#registerRoutes(asyncRouter(router));
+
+		return router;
+	}
+}
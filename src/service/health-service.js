@@ -0,0 +1,174 @@
+import fs from "node:fs";
+import BetterSqlite3 from "better-sqlite3";
+import Database from "better-sqlite3";
+import MigrationRunner from "../dao/migration-runner.js";
+import logger from "../util/logger.js";
+
+/**
+ * The result of one readiness check, along with details of what was checked
+ * Reference:
+ * https://datatracker.ietf.org/doc/html/draft-inadarei-api-health-check-06
+ * @typedef {{status: "pass"|"fail", durationMs: number, error?: string} & Object<string, *>} HealthCheckResult
+ */
+
+/**
+ * Checks whether the process can serve requests, so an orchestrator only routes traffic to workers which can
+ */
+export default class HealthService {
+	static PASS = "pass";
+	static FAIL = "fail";
+
+	/**
+	 * The default size above which the write-ahead log is considered too large, a WAL this large means
+	 * checkpoints are not keeping up and reads are slowing down
+	 */
+	static DEFAULT_MAX_WAL_BYTES = 64 * 1024 * 1024;
+
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	#databaseConnection;
+
+	/**
+	 * @type {MigrationRunner}
+	 */
+	#migrationRunner;
+
+	/**
+	 * @type {number}
+	 */
+	#maxWalBytes;
+
+	/**
+	 * @type {boolean}
+	 */
+	#draining = false;
+
+	/**
+	 * @param {BetterSqlite3.Database} databaseConnection the database connection the process serves requests with
+	 * @param {MigrationRunner} migrationRunner the migrationRunner to check for pending migrations with
+	 * (needs to use the same database connection)
+	 * @param {object} [options]
+	 * @param {number} [options.maxWalBytes] the largest size of the write-ahead log which is still ready,
+	 * defaults to {@link HealthService.DEFAULT_MAX_WAL_BYTES}
+	 */
+	constructor(databaseConnection, migrationRunner, { maxWalBytes = HealthService.DEFAULT_MAX_WAL_BYTES } = {}) {
+		if (!(databaseConnection instanceof Database)) {
+			throw new TypeError(
+				`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+			);
+		}
+
+		if (!(migrationRunner instanceof MigrationRunner)) {
+			throw new TypeError(
+				`migrationRunner must be an instance of ${MigrationRunner.name}, was type ${typeof migrationRunner} with value ${migrationRunner}`,
+			);
+		}
+
+		if (!Number.isSafeInteger(maxWalBytes) || maxWalBytes < 1) {
+			throw new RangeError(
+				`maxWalBytes must be an integer >= 1, was type ${typeof maxWalBytes} with value ${maxWalBytes}`,
+			);
+		}
+
+		this.#databaseConnection = databaseConnection;
+		this.#migrationRunner = migrationRunner;
+		this.#maxWalBytes = maxWalBytes;
+	}
+
+	/**
+	 * @return {boolean} true once the process has started shutting down
+	 */
+	get draining() {
+		return this.#draining;
+	}
+
+	/**
+	 * Report the process as not ready from now on, so no new traffic is routed to it while it shuts down
+	 */
+	startDraining() {
+		this.#draining = true;
+	}
+
+	/**
+	 * Run a check, timing it and turning any error it throws into a failed result
+	 * @param {string} name
+	 * @param {function(): {passed: boolean}} check returns whether the check passed along with its details
+	 * @return {HealthCheckResult}
+	 */
+	static #runCheck(name, check) {
+		const startTime = process.hrtime.bigint();
+
+		let passed;
+		let details;
+		try {
+			({ passed, ...details } = check());
+		} catch (err) {
+			logger.warn(`Readiness check ${name} failed: ${err.message}`);
+
+			passed = false;
+			details = { error: err.message };
+		}
+
+		return {
+			status: passed ? HealthService.PASS : HealthService.FAIL,
+			durationMs: Number((process.hrtime.bigint() - startTime) / 1000n) / 1000,
+			...details,
+		};
+	}
+
+	/**
+	 * @return {number} the size of the write-ahead log in bytes, 0 if the database has none
+	 */
+	#walSizeBytes() {
+		// In memory and temporary databases do not have a write-ahead log file
+		if (this.#databaseConnection.memory || this.#databaseConnection.name === "") {
+			return 0;
+		}
+
+		try {
+			return fs.statSync(`${this.#databaseConnection.name}-wal`).size;
+		} catch (err) {
+			// The log is removed when the last connection to the database closes
+			if (err.code === "ENOENT") {
+				return 0;
+			}
+
+			throw err;
+		}
+	}
+
+	/**
+	 * Check whether the process is ready to serve requests
+	 * @return {{status: "pass"|"fail", checks: Object<string, HealthCheckResult>}} fail if any check failed
+	 */
+	checkReadiness() {
+		const checks = {
+			shutdown: HealthService.#runCheck("shutdown", () => ({
+				passed: !this.#draining,
+				draining: this.#draining,
+			})),
+			database: HealthService.#runCheck("database", () => ({
+				passed: this.#databaseConnection.prepare("SELECT 1").pluck().get() === 1,
+			})),
+			wal: HealthService.#runCheck("wal", () => {
+				const sizeBytes = this.#walSizeBytes();
+
+				return { passed: sizeBytes <= this.#maxWalBytes, sizeBytes: sizeBytes, maxSizeBytes: this.#maxWalBytes };
+			}),
+			migrations: HealthService.#runCheck("migrations", () => {
+				const migrations = this.#migrationRunner.status();
+				const pending = migrations
+					.filter((migration) => migration.appliedDateTime === null)
+					// Named as the migration files are, so pending ones are easy to find
+					.map((migration) => `${String(migration.version).padStart(3, "0")}_${migration.name}`);
+
+				return { passed: pending.length === 0, applied: migrations.length - pending.length, pending: pending };
+			}),
+		};
+
+		const passed = Object.values(checks).every((check) => check.status === HealthService.PASS);
+
+		return { status: passed ? HealthService.PASS : HealthService.FAIL, checks: checks };
+	}
+}
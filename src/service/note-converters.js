@@ -0,0 +1,262 @@
+import path from "node:path";
+import { unzipSync } from "fflate";
+import { ConvertedNote, NoteForImport } from "../model/note-import.js";
+import { normalizeTagName } from "../model/tag.js";
+import { parseEnex, parseEnexDateTime } from "../util/enex.js";
+import { parseFrontMatter } from "../util/front-matter.js";
+import { htmlToMarkdown } from "../util/html-to-markdown.js";
+import { isDate, isString } from "../util/validation.js";
+
+/**
+ * The extensions of the files of a Markdown archive which are imported as notes, other files are left out
+ */
+export const MARKDOWN_EXTENSIONS = Object.freeze([".md", ".markdown"]);
+
+/**
+ * The most bytes the Markdown files of an archive may decompress to, so that a small archive cannot exhaust memory
+ */
+export const MAX_MARKDOWN_ARCHIVE_BYTES = 256 * 1024 * 1024;
+
+/**
+ * The front matter fields the date times of a Markdown file are read from, the first one set is used
+ * Besides the fields of the notes of this app, these are the fields used by static site generators and note apps
+ */
+const CREATED_FIELDS = Object.freeze(["creationDateTime", "created", "date"]);
+const UPDATED_FIELDS = Object.freeze(["lastUpdatedDateTime", "updated", "modified", "lastmod"]);
+
+/**
+ * @param {*[]} names the tag names of an item of an export
+ * @param {string[]} warnings the warnings of the item, tag names which are not valid are reported there
+ * @return {string[]} the valid tag names
+ */
+function convertTags(names, warnings) {
+	return names.flatMap((name) => {
+		try {
+			return [normalizeTagName(String(name))];
+		} catch (err) {
+			warnings.push(`The tag "${name}" was left out as it is not valid: ${err.message}`);
+			return [];
+		}
+	});
+}
+
+/**
+ * @param {string} title
+ * @param {string} markdown
+ * @return {string} the Markdown under a heading with the title, unless it already starts with a heading
+ */
+function withTitle(title, markdown) {
+	if (/^\s*# /.test(markdown) || title === "") {
+		return markdown;
+	}
+
+	return markdown.trim() === "" ? `# ${title}\n` : `# ${title}\n\n${markdown}`;
+}
+
+/**
+ * @param {?Date} creationDateTime
+ * @param {?Date} lastUpdatedDateTime
+ * @return {Date[]} the date times, a note with only one of them being created and last updated at the same time
+ */
+function completeDateTimes(creationDateTime, lastUpdatedDateTime) {
+	return [creationDateTime ?? lastUpdatedDateTime, lastUpdatedDateTime ?? creationDateTime];
+}
+
+/**
+ * @param {{created: ?string, updated: ?string}} enexNote
+ * @param {string} field created or updated
+ * @param {string[]} warnings
+ * @return {?Date}
+ */
+function convertEnexDateTime(enexNote, field, warnings) {
+	const value = enexNote[field];
+	if (value === null) {
+		return null;
+	}
+
+	const dateTime = parseEnexDateTime(value);
+	if (dateTime === null) {
+		warnings.push(`The ${field} date "${value}" was left out as it is not valid`);
+	}
+
+	return dateTime;
+}
+
+/**
+ * Convert the notes of an Evernote export, their ENML content to Markdown under a heading with their title
+ * @param {string} xml the ENEX document
+ * @return {ConvertedNote[]} the notes in the order of the export
+ * @throws {RangeError} if the document is not an Evernote export
+ */
+export function convertEnex(xml) {
+	return parseEnex(xml).map((enexNote, index) => {
+		const source = enexNote.title || `Untitled note ${index + 1}`;
+
+		const { markdown, warnings } = htmlToMarkdown(enexNote.content);
+		const [creationDateTime, lastUpdatedDateTime] = completeDateTimes(
+			convertEnexDateTime(enexNote, "created", warnings),
+			convertEnexDateTime(enexNote, "updated", warnings),
+		);
+
+		const note = new NoteForImport(
+			withTitle(enexNote.title, markdown),
+			convertTags(enexNote.tags, warnings),
+			creationDateTime,
+			lastUpdatedDateTime,
+		);
+
+		return new ConvertedNote(source, note, warnings);
+	});
+}
+
+/**
+ * @param {object} metadata the front matter of a Markdown file
+ * @param {string[]} fields the fields the date time may be in
+ * @param {string[]} warnings
+ * @return {?Date}
+ */
+function convertFrontMatterDateTime(metadata, fields, warnings) {
+	const field = fields.find((name) => metadata[name] !== undefined && metadata[name] !== null);
+	if (field === undefined) {
+		return null;
+	}
+
+	// YAML reads unquoted timestamps as dates, while quoted ones stay strings
+	const value = metadata[field];
+	const dateTime = isDate(value) ? value : isString(value) ? new Date(value) : null;
+	if (dateTime === null || isNaN(dateTime.getTime())) {
+		warnings.push(`The ${field} date ${JSON.stringify(value)} was left out as it is not valid`);
+		return null;
+	}
+
+	return dateTime;
+}
+
+/**
+ * @param {object} metadata the front matter of a Markdown file
+ * @param {string[]} warnings
+ * @return {string[]}
+ */
+function convertFrontMatterTags(metadata, warnings) {
+	const tags = metadata.tags ?? [];
+
+	if (isString(tags)) {
+		// Tags may be a list written on one line, separated by commas or spaces
+		return convertTags(
+			tags.split(/[\s,]+/).filter((name) => name !== ""),
+			warnings,
+		);
+	}
+
+	if (!Array.isArray(tags)) {
+		warnings.push(`The tags ${JSON.stringify(tags)} were left out as they are not a list`);
+		return [];
+	}
+
+	return convertTags(tags, warnings);
+}
+
+/**
+ * @param {string} name the path of the file in the archive
+ * @param {Uint8Array} bytes
+ * @return {ConvertedNote}
+ */
+function convertMarkdownFile(name, bytes) {
+	let text;
+	try {
+		text = new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+	} catch (err) {
+		return new ConvertedNote(name, null, [`The file was left out as it is not UTF-8 text: ${err.message}`]);
+	}
+
+	const warnings = [];
+
+	let metadata = {};
+	let markdown = text;
+	try {
+		({ metadata, text: markdown } = parseFrontMatter(text));
+	} catch (err) {
+		warnings.push(`The front matter was kept in the content as it is not valid: ${err.message}`);
+	}
+
+	const title =
+		isString(metadata.title) && metadata.title.trim() !== ""
+			? metadata.title.trim()
+			: path.posix.basename(name, path.posix.extname(name));
+
+	const [creationDateTime, lastUpdatedDateTime] = completeDateTimes(
+		convertFrontMatterDateTime(metadata, CREATED_FIELDS, warnings),
+		convertFrontMatterDateTime(metadata, UPDATED_FIELDS, warnings),
+	);
+
+	const note = new NoteForImport(
+		withTitle(title, markdown),
+		convertFrontMatterTags(metadata, warnings),
+		creationDateTime,
+		lastUpdatedDateTime,
+	);
+
+	return new ConvertedNote(name, note, warnings);
+}
+
+/**
+ * Convert the Markdown files of a zip archive, reading the title, date times and tags of each from its YAML front
+ * matter, its title defaulting to its file name
+ * Folders and hidden files, such as the metadata macOS adds to archives, are left out without a warning
+ * Reference:
+ * https://jekyllrb.com/docs/front-matter/
+ * @param {Uint8Array} archive the zip archive
+ * @return {ConvertedNote[]} the files in the order of the archive
+ * @throws {RangeError} if the archive is not a zip archive, or its Markdown files are too large
+ */
+export function convertMarkdownArchive(archive) {
+	if (!(archive instanceof Uint8Array)) {
+		throw new TypeError(
+			`archive must be an instance of ${Uint8Array.name}, was type ${typeof archive} with value ${archive}`,
+		);
+	}
+
+	/**
+	 * @type {{name: string, markdown: boolean}[]}
+	 */
+	const entries = [];
+	let markdownBytes = 0;
+
+	let files;
+	try {
+		files = unzipSync(archive, {
+			filter: (file) => {
+				const isHidden = file.name.split("/").some((segment) => /^\.[^.]/.test(segment) || segment === "__MACOSX");
+				if (file.name.endsWith("/") || isHidden) {
+					return false;
+				}
+
+				const markdown = MARKDOWN_EXTENSIONS.includes(path.posix.extname(file.name).toLowerCase());
+				entries.push({ name: file.name, markdown: markdown });
+
+				if (markdown) {
+					markdownBytes += file.originalSize;
+				}
+
+				// Nothing more is decompressed once the archive is known to be too large
+				return markdown && markdownBytes <= MAX_MARKDOWN_ARCHIVE_BYTES;
+			},
+		});
+	} catch (err) {
+		throw new RangeError(`archive must be a zip archive: ${err.message}`, { cause: err });
+	}
+
+	if (markdownBytes > MAX_MARKDOWN_ARCHIVE_BYTES) {
+		throw new RangeError(
+			`archive must decompress to at most ${MAX_MARKDOWN_ARCHIVE_BYTES} bytes of Markdown files, was ${markdownBytes}`,
+		);
+	}
+
+	return entries.map(({ name, markdown }) =>
+		markdown
+			? convertMarkdownFile(name, files[name])
+			: new ConvertedNote(name, null, [
+					`The file was left out as only Markdown files, ending with ${MARKDOWN_EXTENSIONS.join(" or ")}, are imported`,
+				]),
+	);
+}
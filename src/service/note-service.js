@@ -1,11 +1,61 @@
 import BetterSqlite3 from "better-sqlite3";
 import Database from "better-sqlite3";
-import { NoteForCreate, NoteForUpdate, Note } from "../model/note.js";
+import { v4 as uuidv4 } from "uuid";
+import {
+	NoteForCreate,
+	NoteForUpdate,
+	Note,
+	NoteListCursor,
+	NoteListPage,
+	NoteSearchResultPage,
+} from "../model/note.js";
 import UuidV4 from "../model/uuidv4.js";
-import { ServiceError, EntityNotFoundError } from "./service-error.js";
+import {
+	ServiceError,
+	ConflictError,
+	EntityNotFoundError,
+	ForbiddenError,
+	InvalidEntityError,
+	InvalidQueryError,
+	PreconditionFailedError,
+	UnauthorizedError,
+} from "./service-error.js";
 import NoteDao from "../dao/note-dao.js";
+import TagDao from "../dao/tag-dao.js";
+import NoteRevisionDao from "../dao/note-revision-dao.js";
+import NoteShareDao from "../dao/note-share-dao.js";
+import NotePublicLinkDao from "../dao/note-public-link-dao.js";
+import { runImmediate } from "../dao/immediate-transaction.js";
+import { NotePublicLink } from "../model/note-public-link.js";
+import { NoteShare } from "../model/note-share.js";
+import { NoteRevision, NoteRevisionDiff, NoteRevisionListPage } from "../model/note-revision.js";
+import { NoteBatchOperation, NoteBatchResult } from "../model/note-batch.js";
+import {
+	ConvertedNote,
+	NoteConversionReport,
+	NoteImportConflictPolicy,
+	NoteImportResult,
+} from "../model/note-import.js";
+import { diffLines } from "../util/diff.js";
+import { TagUsage, normalizeTagName, normalizeTagNames } from "../model/tag.js";
+import { NoteListFilter, NoteListSort } from "../model/note-list-query.js";
+import { isString } from "../util/validation.js";
+import { JsonPatch, MergePatch, PatchConflictError } from "../util/json-patch.js";
+import { generatePublicLinkToken, hashPublicLinkToken, isPublicLinkToken } from "../util/public-link-token.js";
+import { hashPassword, verifyPassword } from "../util/password.js";
 
 export default class NoteService {
+	/**
+	 * The maximum number of notes which can be read or written in a single batch
+	 */
+	static MAX_BATCH_SIZE = 1000;
+
+	/**
+	 * The maximum number of items of an export of another tool which can be imported at once,
+	 * an export is imported in a single transaction which holds the write lock until it ends
+	 */
+	static MAX_CONVERTED_NOTES = 10000;
+
 	/**
 	 * @type {BetterSqlite3.Database}
 	 */
@@ -16,11 +66,38 @@ export default class NoteService {
 	 */
 	#noteDao;
 
+	/**
+	 * @type {TagDao}
+	 */
+	#tagDao;
+
+	/**
+	 * @type {NoteRevisionDao}
+	 */
+	#noteRevisionDao;
+
+	/**
+	 * @type {NoteShareDao}
+	 */
+	#noteShareDao;
+
+	/**
+	 * @type {NotePublicLinkDao}
+	 */
+	#notePublicLinkDao;
+
 	/**
 	 * @param {BetterSqlite3.Database} databaseConnection the database connection for the service to use
 	 * @param {NoteDao} noteDao the noteDao to use for Note CRUD operations (needs to use the same database connection)
+	 * @param {TagDao} tagDao the tagDao to use for Tag operations (needs to use the same database connection)
+	 * @param {NoteRevisionDao} noteRevisionDao the noteRevisionDao to use for reading note revisions
+	 * (needs to use the same database connection)
+	 * @param {NoteShareDao} noteShareDao the noteShareDao to use for sharing notes with other users
+	 * (needs to use the same database connection)
+	 * @param {NotePublicLinkDao} notePublicLinkDao the notePublicLinkDao to use for public links to notes
+	 * (needs to use the same database connection)
 	 */
-	constructor(databaseConnection, noteDao) {
+	constructor(databaseConnection, noteDao, tagDao, noteRevisionDao, noteShareDao, notePublicLinkDao) {
 		if (!(databaseConnection instanceof Database)) {
 			throw new TypeError(
 				`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
@@ -33,16 +110,107 @@ export default class NoteService {
 			);
 		}
 
+		if (!(tagDao instanceof TagDao)) {
+			throw new TypeError(
+				`tagDao must be an instance of ${TagDao.name}, was type ${typeof tagDao} with value ${tagDao}`,
+			);
+		}
+
+		if (!(noteRevisionDao instanceof NoteRevisionDao)) {
+			throw new TypeError(
+				`noteRevisionDao must be an instance of ${NoteRevisionDao.name}, was type ${typeof noteRevisionDao} with value ${noteRevisionDao}`,
+			);
+		}
+
+		if (!(noteShareDao instanceof NoteShareDao)) {
+			throw new TypeError(
+				`noteShareDao must be an instance of ${NoteShareDao.name}, was type ${typeof noteShareDao} with value ${noteShareDao}`,
+			);
+		}
+
+		if (!(notePublicLinkDao instanceof NotePublicLinkDao)) {
+			throw new TypeError(
+				`notePublicLinkDao must be an instance of ${NotePublicLinkDao.name}, was type ${typeof notePublicLinkDao} with value ${notePublicLinkDao}`,
+			);
+		}
+
 		this.#databaseConnection = databaseConnection;
 		this.#noteDao = noteDao;
+		this.#tagDao = tagDao;
+		this.#noteRevisionDao = noteRevisionDao;
+		this.#noteShareDao = noteShareDao;
+		this.#notePublicLinkDao = notePublicLinkDao;
+	}
+
+	/**
+	 * @param {?number} pageSize
+	 * @return {number} the pageSize or the default page size if not provided
+	 */
+	static #validatePageSize(pageSize) {
+		if (pageSize === undefined) {
+			return NoteDao.DEFAULT_PAGE_SIZE;
+		} else if (!Number.isInteger(pageSize)) {
+			throw new TypeError(
+				`if provided, pageSize must be an integer, was type ${typeof pageSize} with value ${pageSize}`,
+			);
+		} else if (pageSize < NoteDao.MIN_PAGE_SIZE || pageSize > NoteDao.MAX_PAGE_SIZE) {
+			throw new RangeError(
+				`if provided, pageSize must be >= ${NoteDao.MIN_PAGE_SIZE} and <= ${NoteDao.MAX_PAGE_SIZE}, was ${pageSize}`,
+			);
+		}
+
+		return pageSize;
+	}
+
+	/**
+	 * @param {UuidV4} userId
+	 */
+	static #validateUserId(userId) {
+		if (!(userId instanceof UuidV4)) {
+			throw new TypeError(
+				`userId must be an instance of ${UuidV4.name}, was type ${typeof userId} with value ${userId}`,
+			);
+		}
+	}
+
+	/**
+	 * @param {?NoteListCursor} cursor
+	 * @param {NoteListSort} sort the order of the list the cursor must be from
+	 * @throws {RangeError} if the cursor is from a list with a different sort
+	 */
+	static #validateCursor(cursor, sort) {
+		if (cursor !== undefined && !(cursor instanceof NoteListCursor)) {
+			throw new TypeError(
+				`if provided, cursor must be an instance of ${NoteListCursor.name}, was type ${typeof cursor} with value ${cursor}`,
+			);
+		}
+
+		// Keyset values of one sort field mean nothing in the order of another
+		if (cursor && !cursor.sort.equals(sort)) {
+			throw new RangeError(`cursor is for a list sorted by ${cursor.sort}, not ${sort}`);
+		}
+	}
+
+	/**
+	 * @param {?UuidV4} afterId
+	 */
+	static #validateAfterId(afterId) {
+		if (afterId !== undefined && !(afterId instanceof UuidV4)) {
+			throw new TypeError(
+				`if provided, afterId must be an instance of ${UuidV4.name}, was type ${typeof afterId} with value ${afterId}`,
+			);
+		}
 	}
 
 	/**
 	 * Create a note
+	 * @param {UuidV4} userId the id of the calling user
 	 * @param {NoteForCreate} note
 	 * @return {UuidV4} the id of the new note
 	 */
-	create(note) {
+	create(userId, note) {
+		NoteService.#validateUserId(userId);
+
 		if (!(note instanceof NoteForCreate)) {
 			throw new TypeError(
 				`note must be an instance of ${NoteForCreate.name}, was type ${typeof note} with value ${note}`,
@@ -50,7 +218,7 @@ export default class NoteService {
 		}
 
 		try {
-			return this.#noteDao.create(note);
+			return this.#noteDao.create(userId, note);
 		} catch (err) {
 			throw new ServiceError(`Failed to create note ${note}`, { cause: err });
 		}
@@ -58,81 +226,249 @@ export default class NoteService {
 
 	/**
 	 * Find a note by id
+	 * @param {UuidV4} userId the id of the calling user
 	 * @param {UuidV4} id
-	 * @return {?Note} the note matching the id or null if it does not exist
+	 * @return {?Note} the note matching the id or null if it does not exist or the user has no access to it
 	 */
-	findById(id) {
+	findById(userId, id) {
+		NoteService.#validateUserId(userId);
+
 		if (!(id instanceof UuidV4)) {
 			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
 		}
 
 		try {
-			return this.#noteDao.findById(id);
+			return this.#noteDao.findById(userId, id);
 		} catch (err) {
 			throw new ServiceError(`Failed while finding note by id ${id}`, { cause: err });
 		}
 	}
 
+	/**
+	 * Find notes by id
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {UuidV4[]} ids
+	 * @return {Note[]} the notes matching the ids in the order of the ids, ids without a note the user has access to
+	 * are skipped and repeated ones only found once
+	 */
+	findByIds(userId, ids) {
+		NoteService.#validateUserId(userId);
+
+		if (!Array.isArray(ids) || !ids.every((id) => id instanceof UuidV4)) {
+			throw new TypeError(`ids must be an array of ${UuidV4.name}, was type ${typeof ids} with value ${ids}`);
+		}
+
+		if (ids.length > NoteService.MAX_BATCH_SIZE) {
+			throw new RangeError(`ids must contain at most ${NoteService.MAX_BATCH_SIZE} ids, was ${ids.length}`);
+		}
+
+		try {
+			return this.#noteDao.findByIds(userId, ids);
+		} catch (err) {
+			throw new ServiceError(`Failed while finding notes by ids`, { cause: err });
+		}
+	}
+
 	/**
 	 * Get paginated Note list
+	 * @param {UuidV4} userId the id of the calling user
 	 * @param {?number} pageSize
-	 * @param {?UuidV4} afterId
+	 * @param {?NoteListCursor} cursor the nextCursor or prevCursor of another page, the first page if not provided
+	 * @param {?NoteListFilter} filter only list the notes matching the filter
+	 * @param {?NoteListSort} sort the order of the notes, newest first if not provided
 	 * @return {NoteListPage} the Note list page
+	 * @throws {RangeError} if the cursor is from a list with a different sort
 	 * @throws {DaoError} if an error occurred while querying for notes
 	 */
-	list(pageSize, afterId) {
-		if (pageSize === undefined) {
-			pageSize = NoteDao.DEFAULT_PAGE_SIZE;
-		} else if (!Number.isInteger(pageSize)) {
+	list(userId, pageSize, cursor, filter = new NoteListFilter(), sort = new NoteListSort()) {
+		NoteService.#validateUserId(userId);
+
+		pageSize = NoteService.#validatePageSize(pageSize);
+
+		if (!(filter instanceof NoteListFilter)) {
 			throw new TypeError(
-				`if provided, pageSize must be an integer, was type ${typeof pageSize} with value ${pageSize}`,
-			);
-		} else if (pageSize < NoteDao.MIN_PAGE_SIZE || pageSize > NoteDao.MAX_PAGE_SIZE) {
-			throw new RangeError(
-				`if provided, pageSize must be >= ${NoteDao.MIN_PAGE_SIZE} and <= ${NoteDao.MAX_PAGE_SIZE}, was ${pageSize}`,
+				`if provided, filter must be an instance of ${NoteListFilter.name}, was type ${typeof filter} with value ${filter}`,
 			);
 		}
 
-		if (afterId !== undefined && !(afterId instanceof UuidV4)) {
+		if (!(sort instanceof NoteListSort)) {
 			throw new TypeError(
-				`if provided, afterId must be an instance of ${UuidV4.name}, was type ${typeof afterId} with value ${afterId}`,
+				`if provided, sort must be an instance of ${NoteListSort.name}, was type ${typeof sort} with value ${sort}`,
 			);
 		}
 
+		if (!NoteListSort.LIST_FIELDS.includes(sort.field)) {
+			throw new RangeError(`sort field must be one of ${NoteListSort.LIST_FIELDS.join(", ")}, was ${sort.field}`);
+		}
+
+		NoteService.#validateCursor(cursor, sort);
+
 		try {
-			return this.#noteDao.list(pageSize, afterId);
+			return this.#noteDao.list(userId, pageSize, cursor, filter, sort);
 		} catch (err) {
 			throw new ServiceError("Failed while finding all notes", { cause: err });
 		}
 	}
 
 	/**
-	 * Find all notes
-	 * @return {Note[]} the array of all notes
+	 * Search note content
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {string} query the full-text search query, supporting prefix, phrase and boolean queries
+	 * @param {?number} pageSize
+	 * @param {?NoteListCursor} cursor the nextCursor or prevCursor of another page of the results, the first page if
+	 * not provided
+	 * @return {NoteSearchResultPage} the page of matching notes ordered by relevance
+	 * @throws {InvalidQueryError} if the query is not a valid full-text search query
+	 * @throws {RangeError} if the cursor is not from search results
+	 */
+	search(userId, query, pageSize, cursor) {
+		NoteService.#validateUserId(userId);
+
+		if (!isString(query)) {
+			throw new TypeError(`query must be a string, was type ${typeof query} with value ${query}`);
+		}
+
+		if (query.trim().length === 0) {
+			throw new RangeError(`query must not be blank, was "${query}"`);
+		}
+
+		pageSize = NoteService.#validatePageSize(pageSize);
+		NoteService.#validateCursor(cursor, NoteDao.SEARCH_SORT);
+
+		try {
+			return this.#noteDao.search(userId, query, pageSize, cursor);
+		} catch (err) {
+			if (err instanceof RangeError) {
+				throw new InvalidQueryError(err.message, { cause: err });
+			}
+
+			throw new ServiceError(`Failed while searching notes for query "${query}"`, { cause: err });
+		}
+	}
+
+	/**
+	 * Find all notes of the user
+	 * @param {UuidV4} userId the id of the calling user
+	 * @return {Note[]} the array of all notes of the user
 	 */
-	findAll() {
+	findAll(userId) {
+		NoteService.#validateUserId(userId);
+
 		try {
-			return this.#noteDao.findAll();
+			return this.#noteDao.findAll(userId);
 		} catch (err) {
 			throw new ServiceError("Failed while finding all notes", { cause: err });
 		}
 	}
 
+	/**
+	 * Iterate over all notes of the user in id order, including the notes in the trash, reading them as needed
+	 * No other statement can write through the database connection until the iterator is done or returned,
+	 * so it must not be kept open across asynchronous work, instead iteration can be resumed after the last note seen
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {?UuidV4} afterId the id of the note to resume after, from the first note if not provided
+	 * @return {Generator<Note, void, void>} the notes of the user
+	 */
+	exportNotes(userId, afterId) {
+		NoteService.#validateUserId(userId);
+		NoteService.#validateAfterId(afterId);
+
+		return this.#iterateNotes(userId, afterId);
+	}
+
+	/**
+	 * @param {UuidV4} userId
+	 * @param {?UuidV4} afterId
+	 * @return {Generator<Note, void, void>}
+	 */
+	*#iterateNotes(userId, afterId) {
+		try {
+			yield* this.#noteDao.iterateAll(userId, afterId);
+		} catch (err) {
+			throw new ServiceError("Failed while exporting all notes", { cause: err });
+		}
+	}
+
+	/**
+	 * @param {?number[]} expectedVersions
+	 */
+	static #validateExpectedVersions(expectedVersions) {
+		if (
+			expectedVersions !== undefined &&
+			!(Array.isArray(expectedVersions) && expectedVersions.every((version) => Number.isInteger(version)))
+		) {
+			throw new TypeError(
+				`if provided, expectedVersions must be an array of integers, was type ${typeof expectedVersions} with value ${expectedVersions}`,
+			);
+		}
+	}
+
+	/**
+	 * Checks the current version of a note against the expected versions
+	 * @param {Note} existingNote
+	 * @param {?number[]} expectedVersions
+	 * @throws {PreconditionFailedError} if expected versions were provided and the note is at none of them
+	 */
+	static #checkExpectedVersions(existingNote, expectedVersions) {
+		if (expectedVersions !== undefined && !expectedVersions.includes(existingNote.version)) {
+			throw new PreconditionFailedError(
+				`${Note.name} with id ${existingNote.id.value} is at version ${existingNote.version}, expected one of [${expectedVersions}]`,
+				existingNote,
+			);
+		}
+	}
+
+	/**
+	 * Checks the access of a user to a note they own or which was shared with them
+	 * @param {UuidV4} userId
+	 * @param {Note} existingNote
+	 * @param {string} permission the permission the action needs, {@link NoteShare.READ} or {@link NoteShare.WRITE}
+	 * @throws {ForbiddenError} if the user does not own the note and was not granted the permission
+	 */
+	#checkPermission(userId, existingNote, permission) {
+		if (existingNote.ownerId.value === userId.value) {
+			return;
+		}
+
+		let share;
+		try {
+			share = this.#noteShareDao.find(existingNote.id, userId);
+		} catch (err) {
+			throw new ServiceError(`Failed while checking access to note by id ${existingNote.id.value}`, { cause: err });
+		}
+
+		if (!NoteShare.allows(share?.permission ?? null, permission)) {
+			throw new ForbiddenError(
+				`User with id ${userId.value} has no ${permission} access to ${Note.name} with id ${existingNote.id.value}`,
+			);
+		}
+	}
+
 	/**
 	 * Update a note
+	 * @param {UuidV4} userId the id of the calling user
 	 * @param {NoteForUpdate} note
+	 * @param {?number[]} expectedVersions if provided, only update the note if it is currently at one of these versions
+	 * @return {Note} the updated note
+	 * @throws {EntityNotFoundError} if the note does not exist
+	 * @throws {ForbiddenError} if the note was shared with the user without write access
+	 * @throws {PreconditionFailedError} if the note is not at one of the expected versions
 	 */
-	update(note) {
+	update(userId, note, expectedVersions) {
+		NoteService.#validateUserId(userId);
+
 		if (!(note instanceof NoteForUpdate)) {
 			throw new TypeError(
 				`note must be an instance of ${NoteForUpdate.name}, was type ${typeof note} with value ${note}`,
 			);
 		}
 
+		NoteService.#validateExpectedVersions(expectedVersions);
+
 		const updateIfExists = this.#databaseConnection.transaction((note) => {
 			let existingNote;
 			try {
-				existingNote = this.#noteDao.findById(note.id);
+				existingNote = this.#noteDao.findById(userId, note.id);
 			} catch (err) {
 				throw new ServiceError(`Failed while checking for existing note by id ${note.id.value}`, {
 					cause: err,
@@ -143,29 +479,155 @@ export default class NoteService {
 				throw new EntityNotFoundError(`No ${Note.name} with id ${note.id.value} exists`);
 			}
 
+			this.#checkPermission(userId, existingNote, NoteShare.WRITE);
+			NoteService.#checkExpectedVersions(existingNote, expectedVersions);
+
 			try {
-				return this.#noteDao.update(note);
+				this.#noteDao.update(existingNote.ownerId, note);
+
+				return this.#noteDao.findById(userId, note.id);
 			} catch (err) {
 				throw new ServiceError(`Failed while updating note ${note}`, { cause: err });
 			}
 		});
 
-		updateIfExists.immediate(note);
+		return runImmediate(updateIfExists, note);
+	}
+
+	/**
+	 * The fields of a note's JSON representation which a patch may not change
+	 */
+	static #READ_ONLY_FIELDS = ["id", "creationDateTime", "lastUpdatedDateTime", "version", "ownerId"];
+
+	/**
+	 * Build the update for a note from its patched JSON representation
+	 * @param {Note} existingNote
+	 * @param {*} patchedDocument
+	 * @return {NoteForUpdate}
+	 * @throws {InvalidEntityError} if the patched document is not a valid note
+	 */
+	static #noteForPatchedDocument(existingNote, patchedDocument) {
+		if (typeof patchedDocument !== "object" || patchedDocument === null || Array.isArray(patchedDocument)) {
+			throw new InvalidEntityError(`Patched ${Note.name} must be an object, was ${JSON.stringify(patchedDocument)}`);
+		}
+
+		const existingDocument = JSON.parse(JSON.stringify(existingNote));
+
+		for (const field of Object.keys(patchedDocument)) {
+			if (!Object.hasOwn(existingDocument, field)) {
+				throw new InvalidEntityError(`Patched ${Note.name} has unknown field ${field}`);
+			}
+		}
+
+		for (const field of NoteService.#READ_ONLY_FIELDS) {
+			if (patchedDocument[field] !== existingDocument[field]) {
+				throw new InvalidEntityError(`Patched ${Note.name} field ${field} is read only`);
+			}
+		}
+
+		try {
+			return new NoteForUpdate(existingNote.id, patchedDocument.content, patchedDocument.tags);
+		} catch (err) {
+			throw new InvalidEntityError(`Patched ${Note.name} is invalid: ${err.message}`, { cause: err });
+		}
+	}
+
+	/**
+	 * Patch a note, applying the patch to the note's JSON representation
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {UuidV4} id
+	 * @param {MergePatch|JsonPatch} patch
+	 * @param {?number[]} expectedVersions if provided, only patch the note if it is currently at one of these versions
+	 * @return {Note} the patched note
+	 * @throws {EntityNotFoundError} if the note does not exist
+	 * @throws {ForbiddenError} if the note was shared with the user without write access
+	 * @throws {PreconditionFailedError} if the note is not at one of the expected versions
+	 * @throws {ConflictError} if the patch cannot be applied to the current note
+	 * @throws {InvalidEntityError} if the patched note is invalid or changes read only fields
+	 */
+	patch(userId, id, patch, expectedVersions) {
+		NoteService.#validateUserId(userId);
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		if (!(patch instanceof MergePatch || patch instanceof JsonPatch)) {
+			throw new TypeError(
+				`patch must be an instance of ${MergePatch.name} or ${JsonPatch.name}, was type ${typeof patch} with value ${patch}`,
+			);
+		}
+
+		NoteService.#validateExpectedVersions(expectedVersions);
+
+		const patchIfExists = this.#databaseConnection.transaction((id, patch) => {
+			let existingNote;
+			try {
+				existingNote = this.#noteDao.findById(userId, id);
+			} catch (err) {
+				throw new ServiceError(`Failed while checking for existing note by id ${id.value}`, { cause: err });
+			}
+
+			if (!existingNote) {
+				throw new EntityNotFoundError(`No ${Note.name} with id ${id.value} exists`);
+			}
+
+			this.#checkPermission(userId, existingNote, NoteShare.WRITE);
+			NoteService.#checkExpectedVersions(existingNote, expectedVersions);
+
+			let patchedDocument;
+			try {
+				patchedDocument = patch.apply(JSON.parse(JSON.stringify(existingNote)));
+			} catch (err) {
+				if (err instanceof PatchConflictError) {
+					throw new ConflictError(err.message, { cause: err });
+				}
+
+				throw err;
+			}
+
+			const note = NoteService.#noteForPatchedDocument(existingNote, patchedDocument);
+
+			try {
+				this.#noteDao.update(existingNote.ownerId, note);
+
+				return this.#noteDao.findById(userId, id);
+			} catch (err) {
+				throw new ServiceError(`Failed while patching note ${note}`, { cause: err });
+			}
+		});
+
+		return runImmediate(patchIfExists, id, patch);
 	}
 
 	/**
-	 * Delete a note by id
+	 * Delete a note by id, moving it to the owner's trash unless the deletion is permanent
+	 * Users the note was shared with need write access to move it to the trash, only the owner can delete it permanently
+	 * @param {UuidV4} userId the id of the calling user
 	 * @param {UuidV4} id
+	 * @param {?number[]} expectedVersions if provided, only delete the note if it is currently at one of these versions
+	 * @param {boolean} permanent whether to permanently delete the note, which may already be in the trash
+	 * @throws {EntityNotFoundError} if the note does not exist
+	 * @throws {ForbiddenError} if the user may not delete the note
+	 * @throws {PreconditionFailedError} if the note is not at one of the expected versions
 	 */
-	deleteById(id) {
+	deleteById(userId, id, expectedVersions, permanent = false) {
+		NoteService.#validateUserId(userId);
+
 		if (!(id instanceof UuidV4)) {
 			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
 		}
 
+		NoteService.#validateExpectedVersions(expectedVersions);
+
+		if (typeof permanent !== "boolean") {
+			throw new TypeError(`permanent must be a boolean, was type ${typeof permanent} with value ${permanent}`);
+		}
+
 		const deleteIfExists = this.#databaseConnection.transaction((id) => {
 			let existingNote;
 			try {
-				existingNote = this.#noteDao.findById(id);
+				existingNote = this.#noteDao.findById(userId, id, permanent);
 			} catch (err) {
 				throw new ServiceError(`Failed while checking for existing note by id ${id.value}`, { cause: err });
 			}
@@ -174,13 +636,923 @@ export default class NoteService {
 				throw new EntityNotFoundError(`No ${Note.name} with id ${id.value} exists`);
 			}
 
+			this.#checkPermission(userId, existingNote, NoteShare.WRITE);
+
+			if (permanent && existingNote.ownerId.value !== userId.value) {
+				throw new ForbiddenError(`Only the owner can permanently delete ${Note.name} with id ${id.value}`);
+			}
+
+			NoteService.#checkExpectedVersions(existingNote, expectedVersions);
+
 			try {
-				return this.#noteDao.deleteById(id);
+				if (permanent) {
+					this.#noteDao.deleteById(existingNote.ownerId, id);
+				} else {
+					this.#noteDao.trashById(existingNote.ownerId, id);
+				}
 			} catch (err) {
 				throw new ServiceError(`Failed while deleting note by id ${id}`, { cause: err });
 			}
 		});
 
-		deleteIfExists.immediate(id);
+		runImmediate(deleteIfExists, id);
+	}
+
+	/**
+	 * @param {UuidV4} userId
+	 * @param {NoteBatchOperation} operation
+	 * @return {?(UuidV4|Note)} the id of the created note or the updated note
+	 */
+	#applyBatchOperation(userId, operation) {
+		switch (operation.type) {
+			case NoteBatchOperation.CREATE:
+				return this.create(userId, operation.note);
+			case NoteBatchOperation.UPDATE:
+				return this.update(userId, operation.note, operation.expectedVersions);
+			case NoteBatchOperation.DELETE:
+				return this.deleteById(userId, operation.id, operation.expectedVersions, operation.permanent);
+		}
+	}
+
+	/**
+	 * Apply a batch of operations in a single transaction
+	 * In an all-or-nothing batch the first failing operation rolls back the whole batch and the remaining
+	 * operations are skipped, otherwise only the failing operations are rolled back
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {NoteBatchOperation[]} operations the operations to apply in order
+	 * @param {boolean} atomic whether the batch is all-or-nothing rather than best-effort
+	 * @return {NoteBatchResult[]} the result of each operation in order
+	 */
+	batch(userId, operations, atomic = true) {
+		NoteService.#validateUserId(userId);
+
+		if (!Array.isArray(operations) || !operations.every((operation) => operation instanceof NoteBatchOperation)) {
+			throw new TypeError(
+				`operations must be an array of ${NoteBatchOperation.name}, was type ${typeof operations} with value ${operations}`,
+			);
+		}
+
+		if (operations.length > NoteService.MAX_BATCH_SIZE) {
+			throw new RangeError(
+				`operations must contain at most ${NoteService.MAX_BATCH_SIZE} operations, was ${operations.length}`,
+			);
+		}
+
+		if (typeof atomic !== "boolean") {
+			throw new TypeError(`atomic must be a boolean, was type ${typeof atomic} with value ${atomic}`);
+		}
+
+		const results = [];
+		let failed = false;
+
+		const applyOperations = this.#databaseConnection.transaction(() => {
+			for (const operation of operations) {
+				try {
+					// Nested transactions become savepoints, so a failing operation only rolls back its own changes
+					const value = this.#databaseConnection.transaction(() => this.#applyBatchOperation(userId, operation))();
+
+					results.push(new NoteBatchResult(operation, NoteBatchResult.APPLIED, value));
+				} catch (err) {
+					results.push(new NoteBatchResult(operation, NoteBatchResult.FAILED, undefined, err));
+
+					if (atomic) {
+						failed = true;
+						throw err;
+					}
+				}
+			}
+		});
+
+		try {
+			runImmediate(applyOperations);
+		} catch (err) {
+			if (!failed) {
+				throw new ServiceError("Failed while applying batch of operations", { cause: err });
+			}
+		}
+
+		if (!failed) {
+			return results;
+		}
+
+		return operations.map((operation, index) => {
+			const result = results[index];
+			if (result === undefined) {
+				return new NoteBatchResult(operation, NoteBatchResult.SKIPPED);
+			}
+
+			return result.state === NoteBatchResult.APPLIED
+				? new NoteBatchResult(operation, NoteBatchResult.ROLLED_BACK)
+				: result;
+		});
+	}
+
+	/**
+	 * @param {UuidV4} userId
+	 * @param {Note} note
+	 * @param {string} conflictPolicy
+	 * @return {NoteImportResult}
+	 * @throws {ConflictError} if the policy is to fail and a note of the user with the id of the note exists
+	 */
+	#importNote(userId, note, conflictPolicy) {
+		let ownerId;
+		try {
+			ownerId = this.#noteDao.findOwnerIdById(note.id);
+		} catch (err) {
+			throw new ServiceError(`Failed while checking for existing note by id ${note.id.value}`, { cause: err });
+		}
+
+		// The id of a note of another user is treated as unknown, so that importing does not reveal which ids exist,
+		// the note is then created with a new id as the id is taken
+		if (ownerId === null || ownerId.value !== userId.value) {
+			const importedNote =
+				ownerId === null
+					? note
+					: new Note(
+							new UuidV4(uuidv4()),
+							note.content,
+							note.creationDateTime,
+							note.lastUpdatedDateTime,
+							note.tags,
+							note.version,
+							note.deletedDateTime,
+							note.ownerId,
+						);
+
+			try {
+				this.#noteDao.insert(userId, importedNote);
+			} catch (err) {
+				throw new ServiceError(`Failed while importing note ${note}`, { cause: err });
+			}
+
+			return new NoteImportResult(importedNote.id, NoteImportResult.CREATED);
+		}
+
+		switch (conflictPolicy) {
+			case NoteImportConflictPolicy.FAIL:
+				throw new ConflictError(`A ${Note.name} with id ${note.id.value} already exists`);
+			case NoteImportConflictPolicy.SKIP:
+				return new NoteImportResult(note.id, NoteImportResult.SKIPPED);
+		}
+
+		try {
+			this.#noteDao.replace(userId, note);
+		} catch (err) {
+			throw new ServiceError(`Failed while overwriting note ${note}`, { cause: err });
+		}
+
+		return new NoteImportResult(note.id, NoteImportResult.OVERWRITTEN);
+	}
+
+	/**
+	 * Import a batch of notes in a single transaction, keeping their ids, date times and versions,
+	 * a note whose id is taken by a note of another user is created with a new id instead
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {Note[]} notes the notes to import in order
+	 * @param {string} conflictPolicy what to do with a note whose id is taken by a note of the user, one of the
+	 * NoteImportConflictPolicy policies
+	 * @return {NoteImportResult[]} the result of each note in order
+	 * @throws {ConflictError} if the policy is to fail and the id of a note is taken by a note of the user,
+	 * no note of the batch is imported
+	 */
+	importNotes(userId, notes, conflictPolicy = NoteImportConflictPolicy.SKIP) {
+		NoteService.#validateUserId(userId);
+
+		if (!Array.isArray(notes) || !notes.every((note) => note instanceof Note)) {
+			throw new TypeError(`notes must be an array of ${Note.name}, was type ${typeof notes} with value ${notes}`);
+		}
+
+		if (notes.length > NoteService.MAX_BATCH_SIZE) {
+			throw new RangeError(`notes must contain at most ${NoteService.MAX_BATCH_SIZE} notes, was ${notes.length}`);
+		}
+
+		if (!NoteImportConflictPolicy.POLICIES.includes(conflictPolicy)) {
+			throw new RangeError(
+				`conflictPolicy must be one of ${NoteImportConflictPolicy.POLICIES.join(", ")}, was ${conflictPolicy}`,
+			);
+		}
+
+		// A note repeated within the batch conflicts with its first occurrence
+		const importAll = this.#databaseConnection.transaction(() =>
+			notes.map((note) => this.#importNote(userId, note, conflictPolicy)),
+		);
+
+		return runImmediate(importAll);
+	}
+
+	/**
+	 * Create the notes converted from an export of another tool in a single transaction, so that the export is either
+	 * imported in full or not at all, the notes keeping the date times they had there
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {ConvertedNote[]} convertedNotes the items of the export in order, those which could not be converted
+	 * are only reported
+	 * @return {NoteConversionReport} the id of the note created from each item and the warnings of the item
+	 */
+	importConvertedNotes(userId, convertedNotes) {
+		NoteService.#validateUserId(userId);
+
+		if (!Array.isArray(convertedNotes) || !convertedNotes.every((item) => item instanceof ConvertedNote)) {
+			throw new TypeError(
+				`convertedNotes must be an array of ${ConvertedNote.name}, was type ${typeof convertedNotes} with value ${convertedNotes}`,
+			);
+		}
+
+		if (convertedNotes.length > NoteService.MAX_CONVERTED_NOTES) {
+			throw new RangeError(
+				`convertedNotes must contain at most ${NoteService.MAX_CONVERTED_NOTES} items, was ${convertedNotes.length}`,
+			);
+		}
+
+		const createAll = this.#databaseConnection.transaction(() => {
+			const report = new NoteConversionReport();
+
+			for (const convertedNote of convertedNotes) {
+				if (convertedNote.note === null) {
+					report.addItem(convertedNote, null);
+					continue;
+				}
+
+				try {
+					report.addItem(convertedNote, this.#noteDao.create(userId, convertedNote.note));
+				} catch (err) {
+					throw new ServiceError(`Failed while importing ${convertedNote}`, { cause: err });
+				}
+			}
+
+			return report;
+		});
+
+		return runImmediate(createAll);
+	}
+
+	/**
+	 * Get paginated list of notes in the trash
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {?number} pageSize
+	 * @param {?NoteListCursor} cursor the nextCursor or prevCursor of another page of the trash, the first page if not
+	 * provided
+	 * @return {NoteListPage} the page of notes in the trash, most recently deleted first
+	 * @throws {RangeError} if the cursor is not from the trash
+	 */
+	listTrash(userId, pageSize, cursor) {
+		NoteService.#validateUserId(userId);
+
+		pageSize = NoteService.#validatePageSize(pageSize);
+		NoteService.#validateCursor(cursor, NoteDao.TRASH_SORT);
+
+		try {
+			return this.#noteDao.listTrash(userId, pageSize, cursor);
+		} catch (err) {
+			throw new ServiceError("Failed while listing notes in the trash", { cause: err });
+		}
+	}
+
+	/**
+	 * Restore a note from the trash
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {UuidV4} id
+	 * @return {Note} the restored note
+	 * @throws {EntityNotFoundError} if the note is not in the user's trash
+	 */
+	restoreById(userId, id) {
+		NoteService.#validateUserId(userId);
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		const restoreIfTrashed = this.#databaseConnection.transaction((id) => {
+			let existingNote;
+			try {
+				existingNote = this.#noteDao.findById(userId, id, true);
+			} catch (err) {
+				throw new ServiceError(`Failed while checking for existing note by id ${id.value}`, { cause: err });
+			}
+
+			if (!existingNote || existingNote.deletedDateTime === null) {
+				throw new EntityNotFoundError(`No ${Note.name} with id ${id.value} exists in the trash`);
+			}
+
+			try {
+				this.#noteDao.restoreById(userId, id);
+
+				return this.#noteDao.findById(userId, id);
+			} catch (err) {
+				throw new ServiceError(`Failed while restoring note by id ${id}`, { cause: err });
+			}
+		});
+
+		return runImmediate(restoreIfTrashed, id);
+	}
+
+	/**
+	 * Permanently delete the notes which have been in the trash for longer than the retention period
+	 * @param {number} retentionPeriodMs how long notes are kept in the trash, in milliseconds
+	 * @return {number} the number of notes deleted
+	 */
+	purgeTrash(retentionPeriodMs) {
+		if (!Number.isInteger(retentionPeriodMs)) {
+			throw new TypeError(
+				`retentionPeriodMs must be an integer, was type ${typeof retentionPeriodMs} with value ${retentionPeriodMs}`,
+			);
+		} else if (retentionPeriodMs < 0) {
+			throw new RangeError(`retentionPeriodMs must be >= 0, was ${retentionPeriodMs}`);
+		}
+
+		try {
+			return this.#noteDao.purgeTrash(new Date(Date.now() - retentionPeriodMs));
+		} catch (err) {
+			throw new ServiceError("Failed while purging the trash", { cause: err });
+		}
+	}
+
+	/**
+	 * Count the notes of every user
+	 * @return {{active: number, trashed: number}} the number of notes outside of and in the trash
+	 */
+	countAll() {
+		try {
+			return this.#noteDao.countAll();
+		} catch (err) {
+			throw new ServiceError("Failed while counting notes", { cause: err });
+		}
+	}
+
+	/**
+	 * @param {UuidV4} userId
+	 * @param {UuidV4} id
+	 * @return {Note} the note
+	 * @throws {EntityNotFoundError} if the note does not exist or the user has no access to it
+	 */
+	#findExistingById(userId, id) {
+		let existingNote;
+		try {
+			existingNote = this.#noteDao.findById(userId, id);
+		} catch (err) {
+			throw new ServiceError(`Failed while checking for existing note by id ${id.value}`, { cause: err });
+		}
+
+		if (!existingNote) {
+			throw new EntityNotFoundError(`No ${Note.name} with id ${id.value} exists`);
+		}
+
+		return existingNote;
+	}
+
+	/**
+	 * @param {UuidV4} id
+	 * @param {number} revision
+	 * @return {NoteRevision} the revision
+	 * @throws {EntityNotFoundError} if the revision does not exist
+	 */
+	#findExistingRevision(id, revision) {
+		let noteRevision;
+		try {
+			noteRevision = this.#noteRevisionDao.findByRevision(id, revision);
+		} catch (err) {
+			throw new ServiceError(`Failed while finding revision ${revision} of note by id ${id.value}`, { cause: err });
+		}
+
+		if (!noteRevision) {
+			throw new EntityNotFoundError(`No ${NoteRevision.name} ${revision} of note with id ${id.value} exists`);
+		}
+
+		return noteRevision;
+	}
+
+	/**
+	 * @param {number} revision
+	 * @param {string} name the name of the parameter
+	 */
+	static #validateRevision(revision, name = "revision") {
+		if (!Number.isInteger(revision) || revision < 1) {
+			throw new TypeError(`${name} must be an integer >= 1, was type ${typeof revision} with value ${revision}`);
+		}
+	}
+
+	/**
+	 * Get paginated list of the previous contents of a note
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {UuidV4} id
+	 * @param {?number} pageSize
+	 * @param {?number} beforeRevision the revision number of the last revision of the previous page
+	 * @return {NoteRevisionListPage} the page of revisions, most recent first
+	 * @throws {EntityNotFoundError} if the note does not exist
+	 */
+	listRevisions(userId, id, pageSize, beforeRevision) {
+		NoteService.#validateUserId(userId);
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		pageSize = NoteService.#validatePageSize(pageSize);
+
+		if (beforeRevision !== undefined) {
+			NoteService.#validateRevision(beforeRevision, "if provided, beforeRevision");
+		}
+
+		return this.#databaseConnection.transaction(() => {
+			this.#findExistingById(userId, id);
+
+			try {
+				return this.#noteRevisionDao.list(id, pageSize, beforeRevision);
+			} catch (err) {
+				throw new ServiceError(`Failed while listing revisions of note by id ${id.value}`, { cause: err });
+			}
+		})();
+	}
+
+	/**
+	 * Find a previous content of a note
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {UuidV4} id
+	 * @param {number} revision
+	 * @return {NoteRevision} the revision
+	 * @throws {EntityNotFoundError} if the note or the revision does not exist
+	 */
+	findRevision(userId, id, revision) {
+		NoteService.#validateUserId(userId);
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		NoteService.#validateRevision(revision);
+
+		return this.#databaseConnection.transaction(() => {
+			this.#findExistingById(userId, id);
+
+			return this.#findExistingRevision(id, revision);
+		})();
+	}
+
+	/**
+	 * Compare two previous contents of a note line by line
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {UuidV4} id
+	 * @param {number} fromRevision
+	 * @param {number} toRevision
+	 * @return {NoteRevisionDiff} the changes from one revision to the other
+	 * @throws {EntityNotFoundError} if the note or either revision does not exist
+	 */
+	diffRevisions(userId, id, fromRevision, toRevision) {
+		NoteService.#validateUserId(userId);
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		NoteService.#validateRevision(fromRevision, "fromRevision");
+		NoteService.#validateRevision(toRevision, "toRevision");
+
+		const [from, to] = this.#databaseConnection.transaction(() => {
+			this.#findExistingById(userId, id);
+
+			return [this.#findExistingRevision(id, fromRevision), this.#findExistingRevision(id, toRevision)];
+		})();
+
+		return new NoteRevisionDiff(from, to, diffLines(from.content, to.content));
+	}
+
+	/**
+	 * Revert the content of a note to a previous revision, which records the current content as a new revision
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {UuidV4} id
+	 * @param {number} revision
+	 * @param {?number[]} expectedVersions if provided, only revert the note if it is currently at one of these versions
+	 * @return {Note} the reverted note
+	 * @throws {EntityNotFoundError} if the note or the revision does not exist
+	 * @throws {ForbiddenError} if the note was shared with the user without write access
+	 * @throws {PreconditionFailedError} if the note is not at one of the expected versions
+	 */
+	revertToRevision(userId, id, revision, expectedVersions) {
+		NoteService.#validateUserId(userId);
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		NoteService.#validateRevision(revision);
+		NoteService.#validateExpectedVersions(expectedVersions);
+
+		const revertIfExists = this.#databaseConnection.transaction((id, revision) => {
+			const existingNote = this.#findExistingById(userId, id);
+
+			this.#checkPermission(userId, existingNote, NoteShare.WRITE);
+			NoteService.#checkExpectedVersions(existingNote, expectedVersions);
+
+			const noteRevision = this.#findExistingRevision(id, revision);
+			const note = new NoteForUpdate(id, noteRevision.content, existingNote.tags);
+
+			try {
+				this.#noteDao.update(existingNote.ownerId, note);
+
+				return this.#noteDao.findById(userId, id);
+			} catch (err) {
+				throw new ServiceError(`Failed while reverting note ${note} to revision ${revision}`, { cause: err });
+			}
+		});
+
+		return runImmediate(revertIfExists, id, revision);
+	}
+
+	/**
+	 * @param {UuidV4} userId
+	 * @param {UuidV4} id
+	 * @return {Note} the note
+	 * @throws {EntityNotFoundError} if the note does not exist or the user has no access to it
+	 * @throws {ForbiddenError} if the note was shared with the user rather than owned by them
+	 */
+	#findOwnedById(userId, id) {
+		const existingNote = this.#findExistingById(userId, id);
+
+		if (existingNote.ownerId.value !== userId.value) {
+			throw new ForbiddenError(`Only the owner can share ${Note.name} with id ${id.value}`);
+		}
+
+		return existingNote;
+	}
+
+	/**
+	 * List the users a note is shared with
+	 * @param {UuidV4} userId the id of the calling user, who must own the note
+	 * @param {UuidV4} id
+	 * @return {NoteShare[]} the shares of the note ordered by user name
+	 * @throws {EntityNotFoundError} if the note does not exist
+	 * @throws {ForbiddenError} if the user does not own the note
+	 */
+	listShares(userId, id) {
+		NoteService.#validateUserId(userId);
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		return this.#databaseConnection.transaction(() => {
+			this.#findOwnedById(userId, id);
+
+			try {
+				return this.#noteShareDao.listByNote(id);
+			} catch (err) {
+				throw new ServiceError(`Failed while listing shares of note by id ${id.value}`, { cause: err });
+			}
+		})();
+	}
+
+	/**
+	 * Grant another user access to a note, replacing the access they were granted before
+	 * @param {UuidV4} userId the id of the calling user, who must own the note
+	 * @param {UuidV4} id
+	 * @param {UuidV4} granteeId the id of the user to share the note with
+	 * @param {string} permission {@link NoteShare.READ} or {@link NoteShare.WRITE}
+	 * @return {NoteShare} the share
+	 * @throws {EntityNotFoundError} if the note does not exist
+	 * @throws {ForbiddenError} if the user does not own the note
+	 * @throws {InvalidEntityError} if the grantee is the owner
+	 */
+	shareNote(userId, id, granteeId, permission) {
+		NoteService.#validateUserId(userId);
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		if (!(granteeId instanceof UuidV4)) {
+			throw new TypeError(
+				`granteeId must be an instance of ${UuidV4.name}, was type ${typeof granteeId} with value ${granteeId}`,
+			);
+		}
+
+		NoteShare.validatePermission(permission);
+
+		const shareIfOwned = this.#databaseConnection.transaction(() => {
+			this.#findOwnedById(userId, id);
+
+			if (granteeId.value === userId.value) {
+				throw new InvalidEntityError(`${Note.name} with id ${id.value} cannot be shared with its owner`);
+			}
+
+			try {
+				this.#noteShareDao.save(id, granteeId, permission);
+
+				return this.#noteShareDao.find(id, granteeId);
+			} catch (err) {
+				throw new ServiceError(`Failed while sharing note by id ${id.value} with user ${granteeId.value}`, {
+					cause: err,
+				});
+			}
+		});
+
+		return runImmediate(shareIfOwned);
+	}
+
+	/**
+	 * Revoke the access another user was granted to a note
+	 * @param {UuidV4} userId the id of the calling user, who must own the note
+	 * @param {UuidV4} id
+	 * @param {UuidV4} granteeId the id of the user the note is shared with
+	 * @throws {EntityNotFoundError} if the note does not exist or is not shared with the grantee
+	 * @throws {ForbiddenError} if the user does not own the note
+	 */
+	unshareNote(userId, id, granteeId) {
+		NoteService.#validateUserId(userId);
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		if (!(granteeId instanceof UuidV4)) {
+			throw new TypeError(
+				`granteeId must be an instance of ${UuidV4.name}, was type ${typeof granteeId} with value ${granteeId}`,
+			);
+		}
+
+		const unshareIfShared = this.#databaseConnection.transaction(() => {
+			this.#findOwnedById(userId, id);
+
+			let deleted;
+			try {
+				deleted = this.#noteShareDao.delete(id, granteeId);
+			} catch (err) {
+				throw new ServiceError(`Failed while unsharing note by id ${id.value} with user ${granteeId.value}`, {
+					cause: err,
+				});
+			}
+
+			if (!deleted) {
+				throw new EntityNotFoundError(`${Note.name} with id ${id.value} is not shared with user ${granteeId.value}`);
+			}
+		});
+
+		runImmediate(unshareIfShared);
+	}
+
+	/**
+	 * Create a link giving anyone with its token read access to a note
+	 * @param {UuidV4} userId the id of the calling user, who must own the note
+	 * @param {UuidV4} id
+	 * @param {object} [options]
+	 * @param {Date} [options.expiryDateTime] when the link stops working, by default it works until revoked
+	 * @param {string} [options.password] a password which must be given along with the token
+	 * @return {Promise<{link: NotePublicLink, token: string}>} the link and its token, the token cannot be retrieved
+	 * later as only its hash is stored
+	 * @throws {EntityNotFoundError} if the note does not exist
+	 * @throws {ForbiddenError} if the user does not own the note
+	 */
+	async createPublicLink(userId, id, { expiryDateTime, password } = {}) {
+		NoteService.#validateUserId(userId);
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		if (expiryDateTime !== undefined) {
+			if (!(expiryDateTime instanceof Date) || Number.isNaN(expiryDateTime.getTime())) {
+				throw new TypeError(
+					`expiryDateTime must be a valid Date object, was ${typeof expiryDateTime} ${expiryDateTime}`,
+				);
+			}
+
+			if (expiryDateTime <= new Date()) {
+				throw new RangeError(`expiryDateTime must be in the future, was ${expiryDateTime.toISOString()}`);
+			}
+		}
+
+		// Hashing is slow on purpose, so it is done before the transaction rather than while holding the write lock
+		const passwordHash = password === undefined ? null : await hashPassword(password);
+		const token = generatePublicLinkToken();
+
+		const createIfOwned = this.#databaseConnection.transaction(() => {
+			this.#findOwnedById(userId, id);
+
+			try {
+				const linkId = this.#notePublicLinkDao.create(
+					id,
+					hashPublicLinkToken(token),
+					passwordHash,
+					expiryDateTime ?? null,
+				);
+
+				return this.#notePublicLinkDao.find(id, linkId);
+			} catch (err) {
+				throw new ServiceError(`Failed while creating public link to note by id ${id.value}`, { cause: err });
+			}
+		});
+
+		return { link: runImmediate(createIfOwned), token: token };
+	}
+
+	/**
+	 * List the public links of a note, including expired ones
+	 * @param {UuidV4} userId the id of the calling user, who must own the note
+	 * @param {UuidV4} id
+	 * @return {NotePublicLink[]} the links of the note, most recently created first
+	 * @throws {EntityNotFoundError} if the note does not exist
+	 * @throws {ForbiddenError} if the user does not own the note
+	 */
+	listPublicLinks(userId, id) {
+		NoteService.#validateUserId(userId);
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		return this.#databaseConnection.transaction(() => {
+			this.#findOwnedById(userId, id);
+
+			try {
+				return this.#notePublicLinkDao.listByNote(id);
+			} catch (err) {
+				throw new ServiceError(`Failed while listing public links of note by id ${id.value}`, { cause: err });
+			}
+		})();
+	}
+
+	/**
+	 * Revoke a public link of a note, after which its token no longer works
+	 * @param {UuidV4} userId the id of the calling user, who must own the note
+	 * @param {UuidV4} id
+	 * @param {UuidV4} linkId the id of the link
+	 * @throws {EntityNotFoundError} if the note does not exist or does not have the link
+	 * @throws {ForbiddenError} if the user does not own the note
+	 */
+	revokePublicLink(userId, id, linkId) {
+		NoteService.#validateUserId(userId);
+
+		if (!(id instanceof UuidV4)) {
+			throw new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`);
+		}
+
+		if (!(linkId instanceof UuidV4)) {
+			throw new TypeError(
+				`linkId must be an instance of ${UuidV4.name}, was type ${typeof linkId} with value ${linkId}`,
+			);
+		}
+
+		const revokeIfExists = this.#databaseConnection.transaction(() => {
+			this.#findOwnedById(userId, id);
+
+			let deleted;
+			try {
+				deleted = this.#notePublicLinkDao.delete(id, linkId);
+			} catch (err) {
+				throw new ServiceError(`Failed while revoking public link ${linkId.value} of note by id ${id.value}`, {
+					cause: err,
+				});
+			}
+
+			if (!deleted) {
+				throw new EntityNotFoundError(`${Note.name} with id ${id.value} has no public link with id ${linkId.value}`);
+			}
+		});
+
+		runImmediate(revokeIfExists);
+	}
+
+	/**
+	 * Find a note by the token of one of its public links, without a calling user
+	 * @param {string} token the token of the link
+	 * @param {?string} password the password of the link, null if none was given
+	 * @return {Promise<Note>} the note
+	 * @throws {EntityNotFoundError} if no link has the token, the link expired or the note is in the trash
+	 * @throws {UnauthorizedError} if the link has a password and it was not given or is wrong
+	 */
+	async findByPublicLink(token, password) {
+		if (password !== null && !isString(password)) {
+			throw new TypeError(`password must be a string or null, was type ${typeof password}`);
+		}
+
+		// Tokens which are not of the right format cannot match a link, and are not worth hashing
+		if (!isPublicLinkToken(token)) {
+			throw new EntityNotFoundError("No public link with the token exists");
+		}
+
+		let found;
+		try {
+			found = this.#notePublicLinkDao.findByTokenHash(hashPublicLinkToken(token));
+		} catch (err) {
+			throw new ServiceError("Failed while finding public link by token", { cause: err });
+		}
+
+		// Expired links are reported like unknown ones, so they reveal nothing about the note
+		if (!found || found.link.isExpired()) {
+			throw new EntityNotFoundError("No public link with the token exists");
+		}
+
+		if (found.passwordHash !== null) {
+			if (password === null) {
+				throw new UnauthorizedError(`${NotePublicLink.name} with id ${found.link.id.value} requires a password`);
+			}
+
+			if (!(await verifyPassword(password, found.passwordHash))) {
+				throw new UnauthorizedError(`Wrong password for ${NotePublicLink.name} with id ${found.link.id.value}`);
+			}
+		}
+
+		let note;
+		try {
+			note = this.#noteDao.findById(found.ownerId, found.link.noteId);
+		} catch (err) {
+			throw new ServiceError(`Failed while finding note by public link ${found.link.id.value}`, { cause: err });
+		}
+
+		if (!note) {
+			throw new EntityNotFoundError("No public link with the token exists");
+		}
+
+		return note;
+	}
+
+	/**
+	 * List the tags in use along with the number of notes having each tag
+	 * @param {UuidV4} userId the id of the calling user
+	 * @return {TagUsage[]} the tags of the user's notes ordered by name
+	 */
+	listTags(userId) {
+		NoteService.#validateUserId(userId);
+
+		try {
+			return this.#tagDao.listUsage(userId);
+		} catch (err) {
+			throw new ServiceError("Failed while listing tags", { cause: err });
+		}
+	}
+
+	/**
+	 * Rename a tag on every note of the user, if the user already has a tag with the new name the tags are merged
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {string} name the current tag name
+	 * @param {string} newName the new tag name
+	 * @throws {EntityNotFoundError} if no tag with the current name exists
+	 */
+	renameTag(userId, name, newName) {
+		NoteService.#validateUserId(userId);
+
+		name = normalizeTagName(name);
+		newName = normalizeTagName(newName);
+
+		const renameIfExists = this.#databaseConnection.transaction((name, newName) => {
+			let exists;
+			try {
+				exists = this.#tagDao.existsByName(userId, name);
+			} catch (err) {
+				throw new ServiceError(`Failed while checking for existing tag "${name}"`, { cause: err });
+			}
+
+			if (!exists) {
+				throw new EntityNotFoundError(`No tag with name "${name}" exists`);
+			}
+
+			// Tag names are shared between users, so renaming one user's tag moves their notes to the new name
+			try {
+				this.#tagDao.merge(userId, name, newName);
+			} catch (err) {
+				throw new ServiceError(`Failed while renaming tag "${name}" to "${newName}"`, { cause: err });
+			}
+		});
+
+		runImmediate(renameIfExists, name, newName);
+	}
+
+	/**
+	 * Merge tags into a target tag on every note of the user, removing the merged tags
+	 * @param {UuidV4} userId the id of the calling user
+	 * @param {string[]} sourceNames the tags to merge
+	 * @param {string} targetName the tag to merge into, created if it does not exist
+	 * @throws {EntityNotFoundError} if any of the source tags does not exist
+	 */
+	mergeTags(userId, sourceNames, targetName) {
+		NoteService.#validateUserId(userId);
+
+		sourceNames = normalizeTagNames(sourceNames);
+		targetName = normalizeTagName(targetName);
+
+		if (sourceNames.length === 0) {
+			throw new RangeError("sourceNames must contain at least one tag name");
+		}
+
+		const mergeIfExists = this.#databaseConnection.transaction((sourceNames, targetName) => {
+			for (const sourceName of sourceNames) {
+				let exists;
+				try {
+					exists = this.#tagDao.existsByName(userId, sourceName);
+				} catch (err) {
+					throw new ServiceError(`Failed while checking for existing tag "${sourceName}"`, { cause: err });
+				}
+
+				if (!exists) {
+					throw new EntityNotFoundError(`No tag with name "${sourceName}" exists`);
+				}
+
+				try {
+					this.#tagDao.merge(userId, sourceName, targetName);
+				} catch (err) {
+					throw new ServiceError(`Failed while merging tag "${sourceName}" into "${targetName}"`, { cause: err });
+				}
+			}
+		});
+
+		runImmediate(mergeIfExists, sourceNames, targetName);
 	}
 }
@@ -0,0 +1,170 @@
+import BetterSqlite3 from "better-sqlite3";
+import Database from "better-sqlite3";
+import RateLimitDao from "../dao/rate-limit-dao.js";
+import { runImmediate } from "../dao/immediate-transaction.js";
+import { RateLimitResult, TokenBucketPolicy } from "../model/rate-limit.js";
+import { isDate, isString } from "../util/validation.js";
+import { ServiceError } from "./service-error.js";
+
+export default class RateLimitService {
+	/**
+	 * The budget of requests which only read, such as GET requests
+	 */
+	static READ = "read";
+
+	/**
+	 * The budget of requests which may change something, such as POST requests
+	 */
+	static WRITE = "write";
+
+	/**
+	 * The default policies, batch scripts get a one minute burst then must slow to the sustained rate
+	 */
+	static DEFAULT_POLICIES = Object.freeze({
+		[RateLimitService.READ]: TokenBucketPolicy.perMinute(600),
+		[RateLimitService.WRITE]: TokenBucketPolicy.perMinute(120),
+	});
+
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	#databaseConnection;
+
+	/**
+	 * @type {RateLimitDao}
+	 */
+	#rateLimitDao;
+
+	/**
+	 * @type {Object<string, TokenBucketPolicy>}
+	 */
+	#policies;
+
+	/**
+	 * @param {BetterSqlite3.Database} databaseConnection the database connection for the service to use,
+	 * every worker process must connect to the same database for the limits to apply across them
+	 * @param {RateLimitDao} rateLimitDao the rateLimitDao to use for storing the token buckets
+	 * (needs to use the same database connection)
+	 * @param {object} [policies] the policy of each budget, any budget not given uses its
+	 * {@link RateLimitService.DEFAULT_POLICIES} policy
+	 * @param {TokenBucketPolicy} [policies.read] the policy of the {@link RateLimitService.READ} budget
+	 * @param {TokenBucketPolicy} [policies.write] the policy of the {@link RateLimitService.WRITE} budget
+	 */
+	constructor(databaseConnection, rateLimitDao, policies = {}) {
+		if (!(databaseConnection instanceof Database)) {
+			throw new TypeError(
+				`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+			);
+		}
+
+		if (!(rateLimitDao instanceof RateLimitDao)) {
+			throw new TypeError(
+				`rateLimitDao must be an instance of ${RateLimitDao.name}, was type ${typeof rateLimitDao} with value ${rateLimitDao}`,
+			);
+		}
+
+		for (const [budget, policy] of Object.entries(policies)) {
+			RateLimitService.#validateBudget(budget);
+
+			if (!(policy instanceof TokenBucketPolicy)) {
+				throw new TypeError(
+					`policy of budget ${budget} must be an instance of ${TokenBucketPolicy.name}, was type ${typeof policy} with value ${policy}`,
+				);
+			}
+		}
+
+		this.#databaseConnection = databaseConnection;
+		this.#rateLimitDao = rateLimitDao;
+		this.#policies = { ...RateLimitService.DEFAULT_POLICIES, ...policies };
+	}
+
+	/**
+	 * @param {string} budget
+	 */
+	static #validateBudget(budget) {
+		if (!Object.hasOwn(RateLimitService.DEFAULT_POLICIES, budget)) {
+			throw new RangeError(`budget must be "${RateLimitService.READ}" or "${RateLimitService.WRITE}", was ${budget}`);
+		}
+	}
+
+	/**
+	 * Take a token from the bucket of a key's budget, refilling it for the time since it was last used
+	 * The bucket is read and written in one immediate transaction, so concurrent requests in other processes
+	 * cannot both take the last token
+	 * @param {string} key who to limit, such as a user or an IP address
+	 * @param {string} budget {@link RateLimitService.READ} or {@link RateLimitService.WRITE}
+	 * @param {Date} [now] the current date and time
+	 * @return {RateLimitResult} whether a token was taken, along with the state of the bucket
+	 */
+	consume(key, budget, now = new Date()) {
+		if (!isString(key) || key.length === 0) {
+			throw new TypeError(`key must be a non empty string, was type ${typeof key} with value ${key}`);
+		}
+
+		RateLimitService.#validateBudget(budget);
+
+		if (!isDate(now)) {
+			throw new TypeError(`now must be a Date object, was type ${typeof now} with value ${now}`);
+		}
+
+		const policy = this.#policies[budget];
+
+		const takeToken = this.#databaseConnection.transaction(() => {
+			let bucket;
+			try {
+				bucket = this.#rateLimitDao.find(key, budget);
+			} catch (err) {
+				throw new ServiceError(`Failed while finding ${budget} rate limit bucket of ${key}`, { cause: err });
+			}
+
+			let tokens = policy.capacity;
+			if (bucket) {
+				// Clocks of the processes may differ slightly, a bucket is never refilled for negative time
+				const elapsedSeconds = Math.max(0, now.getTime() - bucket.updatedDateTime.getTime()) / 1000;
+				tokens = Math.min(policy.capacity, bucket.tokens + elapsedSeconds * policy.refillPerSecond);
+			}
+
+			const allowed = tokens >= 1;
+			if (allowed) {
+				tokens -= 1;
+			}
+
+			try {
+				this.#rateLimitDao.save(key, budget, tokens, now);
+			} catch (err) {
+				throw new ServiceError(`Failed while saving ${budget} rate limit bucket of ${key}`, { cause: err });
+			}
+
+			return new RateLimitResult(
+				allowed,
+				policy,
+				Math.floor(tokens),
+				Math.ceil((policy.capacity - tokens) / policy.refillPerSecond),
+				allowed ? 0 : Math.ceil((1 - tokens) / policy.refillPerSecond),
+			);
+		});
+
+		return runImmediate(takeToken);
+	}
+
+	/**
+	 * Delete the buckets which have refilled completely since they were last used, as a missing bucket is a full one
+	 * @param {Date} [now] the current date and time
+	 * @return {number} the number of buckets deleted
+	 */
+	purgeIdleBuckets(now = new Date()) {
+		if (!isDate(now)) {
+			throw new TypeError(`now must be a Date object, was type ${typeof now} with value ${now}`);
+		}
+
+		try {
+			return Object.entries(this.#policies).reduce(
+				(count, [budget, policy]) =>
+					count + this.#rateLimitDao.deleteUpdatedBefore(budget, new Date(now.getTime() - policy.windowSeconds * 1000)),
+				0,
+			);
+		} catch (err) {
+			throw new ServiceError("Failed while purging idle rate limit buckets", { cause: err });
+		}
+	}
+}
@@ -1,2 +1,20 @@
 export class ServiceError extends Error {}
 export class EntityNotFoundError extends ServiceError {}
+export class InvalidQueryError extends ServiceError {}
+export class ConflictError extends ServiceError {}
+export class InvalidEntityError extends ServiceError {}
+export class ForbiddenError extends ServiceError {}
+export class UnauthorizedError extends ServiceError {}
+
+export class PreconditionFailedError extends ServiceError {
+	/**
+	 * @param {string} message
+	 * @param {object} currentEntity the current state of the entity which did not meet the precondition
+	 * @param {object} [options] the error options
+	 */
+	constructor(message, currentEntity, options) {
+		super(message, options);
+
+		this.currentEntity = currentEntity;
+	}
+}
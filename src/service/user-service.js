@@ -0,0 +1,248 @@
+import BetterSqlite3 from "better-sqlite3";
+import Database from "better-sqlite3";
+import { MAX_USER_NAME_LENGTH, User, normalizeUserName } from "../model/user.js";
+import UuidV4 from "../model/uuidv4.js";
+import UserDao from "../dao/user-dao.js";
+import { runImmediate } from "../dao/immediate-transaction.js";
+import { ServiceError, ConflictError, EntityNotFoundError } from "./service-error.js";
+import { generateApiKey, hashApiKey, isApiKey } from "../util/api-key.js";
+import { isString } from "../util/validation.js";
+
+export default class UserService {
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	#databaseConnection;
+
+	/**
+	 * @type {UserDao}
+	 */
+	#userDao;
+
+	/**
+	 * @param {BetterSqlite3.Database} databaseConnection the database connection for the service to use
+	 * @param {UserDao} userDao the userDao to use for User operations (needs to use the same database connection)
+	 */
+	constructor(databaseConnection, userDao) {
+		if (!(databaseConnection instanceof Database)) {
+			throw new TypeError(
+				`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+			);
+		}
+
+		if (!(userDao instanceof UserDao)) {
+			throw new TypeError(
+				`userDao must be an instance of ${UserDao.name}, was type ${typeof userDao} with value ${userDao}`,
+			);
+		}
+
+		this.#databaseConnection = databaseConnection;
+		this.#userDao = userDao;
+	}
+
+	/**
+	 * Create a user
+	 * @param {string} name the unique name of the user
+	 * @return {User} the new user
+	 * @throws {ConflictError} if a user with the name already exists
+	 */
+	create(name) {
+		name = normalizeUserName(name);
+
+		const createIfAbsent = this.#databaseConnection.transaction((name) => {
+			let existingUser;
+			try {
+				existingUser = this.#userDao.findByName(name);
+			} catch (err) {
+				throw new ServiceError(`Failed while checking for existing user "${name}"`, { cause: err });
+			}
+
+			if (existingUser) {
+				throw new ConflictError(`A ${User.name} with name "${name}" already exists`);
+			}
+
+			try {
+				return this.#userDao.findById(this.#userDao.create(name));
+			} catch (err) {
+				throw new ServiceError(`Failed to create user "${name}"`, { cause: err });
+			}
+		});
+
+		return runImmediate(createIfAbsent, name);
+	}
+
+	/**
+	 * Find a user by name
+	 * @param {string} name
+	 * @return {?User} the user matching the name or null if it does not exist
+	 */
+	findByName(name) {
+		name = normalizeUserName(name);
+
+		try {
+			return this.#userDao.findByName(name);
+		} catch (err) {
+			throw new ServiceError(`Failed while finding user "${name}"`, { cause: err });
+		}
+	}
+
+	/**
+	 * List all users
+	 * @return {User[]} the users ordered by name
+	 */
+	list() {
+		try {
+			return this.#userDao.list();
+		} catch (err) {
+			throw new ServiceError("Failed while listing users", { cause: err });
+		}
+	}
+
+	/**
+	 * Issue a new API key to a user, only its hash is kept so it cannot be shown again
+	 * @param {UuidV4} userId
+	 * @return {string} the API key
+	 * @throws {EntityNotFoundError} if the user does not exist
+	 */
+	issueApiKey(userId) {
+		if (!(userId instanceof UuidV4)) {
+			throw new TypeError(
+				`userId must be an instance of ${UuidV4.name}, was type ${typeof userId} with value ${userId}`,
+			);
+		}
+
+		const issueIfExists = this.#databaseConnection.transaction((userId) => {
+			let existingUser;
+			try {
+				existingUser = this.#userDao.findById(userId);
+			} catch (err) {
+				throw new ServiceError(`Failed while checking for existing user by id ${userId.value}`, { cause: err });
+			}
+
+			if (!existingUser) {
+				throw new EntityNotFoundError(`No ${User.name} with id ${userId.value} exists`);
+			}
+
+			const apiKey = generateApiKey();
+
+			try {
+				this.#userDao.createApiKey(userId, hashApiKey(apiKey));
+			} catch (err) {
+				throw new ServiceError(`Failed while issuing API key to user by id ${userId.value}`, { cause: err });
+			}
+
+			return apiKey;
+		});
+
+		return runImmediate(issueIfExists, userId);
+	}
+
+	/**
+	 * Revoke every API key of a user
+	 * @param {UuidV4} userId
+	 * @return {number} the number of API keys revoked
+	 */
+	revokeApiKeys(userId) {
+		if (!(userId instanceof UuidV4)) {
+			throw new TypeError(
+				`userId must be an instance of ${UuidV4.name}, was type ${typeof userId} with value ${userId}`,
+			);
+		}
+
+		try {
+			return this.#userDao.deleteApiKeys(userId);
+		} catch (err) {
+			throw new ServiceError(`Failed while revoking API keys of user by id ${userId.value}`, { cause: err });
+		}
+	}
+
+	/**
+	 * Find the user an API key was issued to
+	 * @param {string} apiKey
+	 * @return {?User} the user or null if the API key is not valid
+	 */
+	authenticate(apiKey) {
+		// Values which could never have been issued are rejected without a query
+		if (!isApiKey(apiKey)) {
+			return null;
+		}
+
+		try {
+			return this.#userDao.findByApiKeyHash(hashApiKey(apiKey));
+		} catch (err) {
+			throw new ServiceError("Failed while authenticating API key", { cause: err });
+		}
+	}
+
+	/**
+	 * Pick a name no user has yet, adding a numeric suffix to the preferred name if it is taken
+	 * @param {string} preferredName
+	 * @return {string} the available name
+	 */
+	#availableName(preferredName) {
+		const baseName = preferredName.trim().slice(0, MAX_USER_NAME_LENGTH);
+
+		for (let suffix = 1; ; suffix++) {
+			const suffixText = suffix === 1 ? "" : `-${suffix}`;
+			const name = `${baseName.slice(0, MAX_USER_NAME_LENGTH - suffixText.length)}${suffixText}`;
+
+			if (!this.#userDao.findByName(name)) {
+				return name;
+			}
+		}
+	}
+
+	/**
+	 * Find the user linked to the subject of an identity provider, creating the user on first sight
+	 * @param {string} issuer the issuer of the identity provider's tokens
+	 * @param {string} subject the subject the identity provider identifies the user by
+	 * @param {string} preferredName the name to give a new user, a suffix is added if the name is taken
+	 * @return {User} the linked user
+	 */
+	findOrCreateByIdentity(issuer, subject, preferredName) {
+		for (const [name, value] of [
+			["issuer", issuer],
+			["subject", subject],
+		]) {
+			if (!isString(value) || value.length === 0) {
+				throw new TypeError(`${name} must be a non-empty string, was type ${typeof value} with value ${value}`);
+			}
+		}
+
+		if (!isString(preferredName) || preferredName.trim().length === 0) {
+			throw new TypeError(
+				`preferredName must be a non-blank string, was type ${typeof preferredName} with value ${preferredName}`,
+			);
+		}
+
+		const findOrCreate = this.#databaseConnection.transaction(() => {
+			try {
+				const existingUser = this.#userDao.findByIdentity(issuer, subject);
+				if (existingUser) {
+					return existingUser;
+				}
+
+				const userId = this.#userDao.create(this.#availableName(preferredName));
+				this.#userDao.createIdentity(userId, issuer, subject);
+
+				return this.#userDao.findById(userId);
+			} catch (err) {
+				throw new ServiceError(`Failed while finding or creating user for subject "${subject}" of issuer "${issuer}"`, {
+					cause: err,
+				});
+			}
+		});
+
+		// Most requests find the user, so only take the write lock when the user has to be created
+		let existingUser;
+		try {
+			existingUser = this.#userDao.findByIdentity(issuer, subject);
+		} catch (err) {
+			throw new ServiceError(`Failed while finding user for subject "${subject}" of issuer "${issuer}"`, {
+				cause: err,
+			});
+		}
+
+		return existingUser ?? runImmediate(findOrCreate);
+	}
+}
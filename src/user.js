@@ -0,0 +1,74 @@
+import process from "node:process";
+import { parseArgs } from "node:util";
+import SqliteConnectionFactory from "./dao/sqlite-connection-factory.js";
+import UserDao from "./dao/user-dao.js";
+import UserService from "./service/user-service.js";
+import logger from "./util/logger.js";
+import config from "./config.js";
+
+const usage = `Usage: node ./src/user.js [create <name> | list | issue-key <name> | revoke-keys <name>] [--database <filename>]`;
+
+const { values, positionals } = parseArgs({
+	options: {
+		database: { type: "string", default: config.databasePath },
+	},
+	allowPositionals: true,
+});
+
+const [command, name] = positionals;
+
+const databaseConnection = SqliteConnectionFactory.createConnection(values.database);
+const userService = new UserService(databaseConnection, new UserDao(databaseConnection));
+
+/**
+ * @param {string} name
+ * @return {User} the user with the name
+ */
+function findExistingUser(name) {
+	const user = userService.findByName(name);
+	if (!user) {
+		throw new Error(`No user with name "${name}" exists`);
+	}
+
+	return user;
+}
+
+try {
+	if (command !== "list" && name === undefined) {
+		console.error(usage);
+		process.exitCode = 1;
+	} else {
+		switch (command) {
+			case "create": {
+				const user = userService.create(name);
+				logger.info(`Created user "${user.name}" with id ${user.id.value}`);
+				break;
+			}
+			case "list": {
+				for (const user of userService.list()) {
+					console.log(`${user.id.value} ${user.name} created ${user.creationDateTime.toISOString()}`);
+				}
+				break;
+			}
+			case "issue-key": {
+				const user = findExistingUser(name);
+				// The key is only printed, it cannot be recovered from the stored hash
+				console.log(userService.issueApiKey(user.id));
+				break;
+			}
+			case "revoke-keys": {
+				const revokedCount = userService.revokeApiKeys(findExistingUser(name).id);
+				logger.info(`Revoked ${revokedCount} API key(s) of user "${name}"`);
+				break;
+			}
+			default:
+				console.error(usage);
+				process.exitCode = 1;
+		}
+	}
+} catch (err) {
+	logger.error(err.stack || err);
+	process.exitCode = 1;
+} finally {
+	databaseConnection.close();
+}
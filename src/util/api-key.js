@@ -0,0 +1,37 @@
+import { createHash, randomBytes } from "node:crypto";
+import { isString } from "./validation.js";
+
+/**
+ * Prefix of every API key, so leaked keys are easy to recognize
+ */
+export const API_KEY_PREFIX = "nk_";
+
+const API_KEY_PATTERN = /^nk_[A-Za-z0-9_-]{43}$/;
+
+/**
+ * @return {string} a new random API key with 256 bits of entropy
+ */
+export function generateApiKey() {
+	return `${API_KEY_PREFIX}${randomBytes(32).toString("base64url")}`;
+}
+
+/**
+ * @param {*} value
+ * @return {boolean} true if the value has the format of an API key
+ */
+export function isApiKey(value) {
+	return isString(value) && API_KEY_PATTERN.test(value);
+}
+
+/**
+ * API keys are random enough that a fast unsalted hash is sufficient, unlike passwords
+ * @param {string} apiKey
+ * @return {Buffer} the SHA-256 hash of the API key, which is what gets stored
+ */
+export function hashApiKey(apiKey) {
+	if (!isString(apiKey)) {
+		throw new TypeError(`apiKey must be a string, was type ${typeof apiKey}`);
+	}
+
+	return createHash("sha256").update(apiKey, "utf8").digest();
+}
@@ -0,0 +1,42 @@
+import express from "express";
+
+/**
+ * The methods of a router registering routes, whose handlers {@link asyncRouter} wraps
+ */
+const ROUTE_METHODS = Object.freeze(["all", "get", "post", "put", "patch", "delete"]);
+
+/**
+ * Wrap a route handler so that what it throws, or the promise it returns rejects with, is passed on to the error
+ * handlers, as Express 4 ignores the promises of async handlers, leaving the request hanging and the rejection
+ * unhandled, which stops the process
+ * @param {function(express.Request, express.Response, express.NextFunction): (Promise<void>|void)} handler
+ * @return {function(express.Request, express.Response, express.NextFunction): void} the wrapped handler
+ */
+export function asyncHandler(handler) {
+	return (req, res, next) => {
+		Promise.resolve()
+			.then(() => handler(req, res, next))
+			.catch(next);
+	};
+}
+
+/**
+ * @param {express.Router} router
+ * @return {express.Router} the router, the handlers of the routes registered through it wrapped with
+ * {@link asyncHandler}
+ */
+export function asyncRouter(router) {
+	return new Proxy(router, {
+		get(target, property, receiver) {
+			if (!ROUTE_METHODS.includes(property)) {
+				return Reflect.get(target, property, receiver);
+			}
+
+			return (path, ...handlers) => {
+				target[property](path, ...handlers.map(asyncHandler));
+
+				return receiver;
+			};
+		},
+	});
+}
@@ -0,0 +1,124 @@
+import cluster from "node:cluster";
+import { AggregatorRegistry } from "prom-client";
+import { databaseRegistry, registry } from "./metrics.js";
+
+/**
+ * Collects the metrics of the whole server, whichever worker a scrape reaches
+ * A worker asks the primary over IPC, the primary then gathers the metrics of every worker, aggregates them
+ * and adds the metrics of the database, which are the same for all of them
+ */
+export default class ClusterMetrics {
+	static #REQUEST = "notes:metrics-request";
+	static #RESPONSE = "notes:metrics-response";
+
+	/**
+	 * How long a worker waits for the primary, which itself waits up to 5 seconds for the other workers
+	 */
+	static TIMEOUT_MS = 10000;
+
+	/**
+	 * @type {?AggregatorRegistry}
+	 */
+	#aggregatorRegistry = null;
+
+	/**
+	 * The requests of this worker waiting for the primary to respond, by request id
+	 * @type {Map<number, {resolve: function(string), reject: function(Error), timeout: NodeJS.Timeout}>}
+	 */
+	#pendingRequests = new Map();
+
+	/**
+	 * @type {number}
+	 */
+	#nextRequestId = 0;
+
+	/**
+	 * Must be created in the primary and in every worker, it listens for the messages of the others
+	 */
+	constructor() {
+		if (cluster.isPrimary) {
+			// Listens for the metrics workers send in response to clusterMetrics()
+			this.#aggregatorRegistry = new AggregatorRegistry();
+
+			cluster.on("message", (worker, message) => {
+				if (message?.type === ClusterMetrics.#REQUEST) {
+					this.collect().then(
+						(metrics) => worker.send({ type: ClusterMetrics.#RESPONSE, requestId: message.requestId, metrics }),
+						(err) => worker.send({ type: ClusterMetrics.#RESPONSE, requestId: message.requestId, error: err.message }),
+					);
+				}
+			});
+		} else {
+			// Workers respond to the primary with their own metrics
+			AggregatorRegistry.setRegistries([registry]);
+			new AggregatorRegistry();
+
+			process.on("message", (message) => {
+				if (message?.type === ClusterMetrics.#RESPONSE) {
+					this.#settle(message);
+				}
+			});
+		}
+	}
+
+	/**
+	 * @return {string} the content type of the metrics
+	 */
+	get contentType() {
+		return registry.contentType;
+	}
+
+	/**
+	 * @param {{requestId: number, metrics?: string, error?: string}} message a response of the primary
+	 */
+	#settle(message) {
+		const request = this.#pendingRequests.get(message.requestId);
+		if (!request) {
+			return;
+		}
+
+		this.#pendingRequests.delete(message.requestId);
+		clearTimeout(request.timeout);
+
+		if (message.error !== undefined) {
+			request.reject(new Error(`The primary failed to collect the metrics: ${message.error}`));
+		} else {
+			request.resolve(message.metrics);
+		}
+	}
+
+	/**
+	 * @return {Promise<string>} the metrics collected by the primary
+	 */
+	#requestFromPrimary() {
+		const requestId = this.#nextRequestId++;
+
+		return new Promise((resolve, reject) => {
+			const timeout = setTimeout(() => {
+				this.#pendingRequests.delete(requestId);
+				reject(new Error(`The primary did not respond with the metrics within ${ClusterMetrics.TIMEOUT_MS}ms`));
+			}, ClusterMetrics.TIMEOUT_MS);
+
+			this.#pendingRequests.set(requestId, { resolve, reject, timeout });
+			process.send({ type: ClusterMetrics.#REQUEST, requestId: requestId });
+		});
+	}
+
+	/**
+	 * Collect the metrics of the whole server
+	 * @return {Promise<string>} the metrics in the Prometheus text format
+	 */
+	async collect() {
+		if (cluster.isWorker) {
+			return this.#requestFromPrimary();
+		}
+
+		// A primary without workers, such as the tests, serves requests itself so its own metrics are the server's
+		const processMetrics =
+			Object.keys(cluster.workers ?? {}).length > 0
+				? await this.#aggregatorRegistry.clusterMetrics()
+				: await registry.metrics();
+
+		return [processMetrics, await databaseRegistry.metrics()].join("\n");
+	}
+}
@@ -0,0 +1,23 @@
+/**
+ * @param {*} value
+ * @return {string} the value as a CSV field, quoted if it contains a delimiter, a quote or a line break
+ */
+function formatField(value) {
+	const text = value === null || value === undefined ? "" : String(value);
+
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV with a header record, lines ending with CRLF
+ * Reference:
+ * https://www.rfc-editor.org/rfc/rfc4180
+ * @param {string[]} columns the names of the columns, in order
+ * @param {object[]} rows the rows, each keyed by column name
+ * @return {string}
+ */
+export function formatCsv(columns, rows) {
+	return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+		.map((fields) => `${fields.map(formatField).join(",")}\r\n`)
+		.join("");
+}
@@ -0,0 +1,70 @@
+/**
+ * Compute the shortest line based diff between two texts using Myers' algorithm
+ * Reference:
+ * http://www.xmailserver.org/diff2.pdf
+ * @param {string} oldText
+ * @param {string} newText
+ * @return {{type: ("equal"|"delete"|"insert"), line: string}[]} the lines of both texts in order,
+ * marking whether each line is in both texts, only in the old text or only in the new text
+ */
+export function diffLines(oldText, newText) {
+	const oldLines = oldText.split("\n");
+	const newLines = newText.split("\n");
+
+	const maxEdits = oldLines.length + newLines.length;
+	const offset = maxEdits + 1;
+	// Furthest reaching x position on each diagonal k = x - y, indexed by k + offset
+	const furthest = new Array(2 * maxEdits + 3).fill(0);
+	// The furthest positions before each number of edits, for walking back through the edit path
+	const trace = [];
+
+	const stepsDown = (k, edits, positions) =>
+		k === -edits || (k !== edits && positions[k - 1 + offset] < positions[k + 1 + offset]);
+
+	search: for (let edits = 0; edits <= maxEdits; edits++) {
+		trace.push(furthest.slice());
+
+		for (let k = -edits; k <= edits; k += 2) {
+			let x = stepsDown(k, edits, furthest) ? furthest[k + 1 + offset] : furthest[k - 1 + offset] + 1;
+			let y = x - k;
+
+			while (x < oldLines.length && y < newLines.length && oldLines[x] === newLines[y]) {
+				x++;
+				y++;
+			}
+
+			furthest[k + offset] = x;
+
+			if (x >= oldLines.length && y >= newLines.length) {
+				break search;
+			}
+		}
+	}
+
+	const changes = [];
+	let x = oldLines.length;
+	let y = newLines.length;
+
+	for (let edits = trace.length - 1; edits >= 0; edits--) {
+		const positions = trace[edits];
+		const k = x - y;
+		const previousK = stepsDown(k, edits, positions) ? k + 1 : k - 1;
+		const previousX = positions[previousK + offset];
+		const previousY = previousX - previousK;
+
+		while (x > previousX && y > previousY) {
+			changes.push({ type: "equal", line: oldLines[--x] });
+			y--;
+		}
+
+		if (edits > 0) {
+			if (x === previousX) {
+				changes.push({ type: "insert", line: newLines[--y] });
+			} else {
+				changes.push({ type: "delete", line: oldLines[--x] });
+			}
+		}
+	}
+
+	return changes.reverse();
+}
@@ -0,0 +1,79 @@
+import { DomUtils, parseDocument } from "htmlparser2";
+import { isString } from "./validation.js";
+
+/**
+ * Matches a date and time of an Evernote export, such as 20240322T022300Z, which is always in UTC
+ */
+const ENEX_DATE_TIME_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/;
+
+/**
+ * @param {string} value
+ * @return {?Date} the date and time, null if the value is not a valid date and time of an Evernote export
+ */
+export function parseEnexDateTime(value) {
+	const match = ENEX_DATE_TIME_PATTERN.exec(value.trim());
+	if (!match) {
+		return null;
+	}
+
+	const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+	const dateTime = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+
+	// Date.UTC rolls values which are out of range over, such as the 32nd of a month, instead of rejecting them
+	return dateTime.getUTCMonth() === month - 1 && dateTime.getUTCDate() === day && dateTime.getUTCHours() === hours
+		? dateTime
+		: null;
+}
+
+/**
+ * @param {object} element
+ * @param {string} name
+ * @return {object[]} the child elements of the element with the name
+ */
+function childElements(element, name) {
+	return element.children.filter((child) => child.type === "tag" && child.name === name);
+}
+
+/**
+ * @param {object} element
+ * @param {string} name
+ * @return {?string} the text of the first child element of the element with the name, null if it has none
+ */
+function childText(element, name) {
+	const [child] = childElements(element, name);
+
+	return child ? DomUtils.textContent(child) : null;
+}
+
+/**
+ * Read the notes of an Evernote export, an ENEX document
+ * The content of each note is left as the ENML it is in, and its date times as they are written in the export
+ * Reference:
+ * http://xml.evernote.com/pub/evernote-export3.dtd
+ * @param {string} xml the ENEX document
+ * @return {{title: string, content: string, created: ?string, updated: ?string, tags: string[]}[]} the notes
+ * in the order of the export
+ * @throws {RangeError} if the document is not an Evernote export
+ */
+export function parseEnex(xml) {
+	if (!isString(xml)) {
+		throw new TypeError(`xml must be a string, was type ${typeof xml} with value ${xml}`);
+	}
+
+	const document = parseDocument(xml, { xmlMode: true });
+
+	const [root, ...otherRoots] = document.children.filter((child) => child.type === "tag");
+	if (root?.name !== "en-export" || otherRoots.length > 0) {
+		throw new RangeError(
+			`xml must be an Evernote export with a single en-export root element, had ${root ? `a ${root.name}` : "no"} root element`,
+		);
+	}
+
+	return childElements(root, "note").map((note) => ({
+		title: (childText(note, "title") ?? "").trim(),
+		content: childText(note, "content") ?? "",
+		created: childText(note, "created")?.trim() ?? null,
+		updated: childText(note, "updated")?.trim() ?? null,
+		tags: childElements(note, "tag").map((tag) => DomUtils.textContent(tag)),
+	}));
+}
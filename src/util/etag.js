@@ -0,0 +1,48 @@
+/**
+ * The media type of the representation entity tags have no suffix for, as every response changing a note is in it
+ */
+const DEFAULT_MEDIA_TYPE = "application/json";
+
+/**
+ * Format a version number as a strong entity tag
+ * Representations other than JSON have the subtype of their media type appended, such as "3-markdown",
+ * as a strong entity tag is only shared by byte for byte identical representations
+ * Reference:
+ * https://www.rfc-editor.org/rfc/rfc9110#field.etag
+ * @param {number} version
+ * @param {string} [mediaType] the media type of the representation, application/json by default
+ * @return {string} the entity tag
+ */
+export function formatVersionEtag(version, mediaType = DEFAULT_MEDIA_TYPE) {
+	return mediaType === DEFAULT_MEDIA_TYPE ? `"${version}"` : `"${version}-${mediaType.split("/")[1]}"`;
+}
+
+/**
+ * Parse the versions out of an If-Match header
+ * The entity tag of any representation of a version matches it, as the version is what a change is applied to
+ * Weak and malformed entity tags are ignored since If-Match uses strong comparison
+ * Reference:
+ * https://www.rfc-editor.org/rfc/rfc9110#field.if-match
+ * @param {?string} header the If-Match header value
+ * @return {undefined|"*"|number[]} undefined if there is no header, "*" to match any version,
+ * otherwise the list of matching versions
+ */
+export function parseIfMatch(header) {
+	if (header === undefined) {
+		return undefined;
+	}
+
+	if (header.trim() === "*") {
+		return "*";
+	}
+
+	const versions = [];
+	for (const entityTag of header.split(",")) {
+		const match = entityTag.trim().match(/^"(\d+)(-[a-z0-9.+-]+)?"$/);
+		if (match) {
+			versions.push(parseInt(match[1], 10));
+		}
+	}
+
+	return versions;
+}
@@ -0,0 +1,47 @@
+import yaml from "js-yaml";
+
+const DELIMITER = "---";
+
+/**
+ * Matches a YAML front matter block at the start of a text, and the line break after its closing delimiter
+ */
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?\r?\n)?---(?:\r?\n|$)/;
+
+/**
+ * Prefix a text with its metadata as a YAML front matter block, as read by static site generators and editors
+ * Reference:
+ * https://jekyllrb.com/docs/front-matter/
+ * @param {object} metadata the metadata, of values YAML can represent
+ * @param {string} text
+ * @return {string} the text with the front matter block
+ */
+export function formatFrontMatter(metadata, text) {
+	return `${DELIMITER}\n${yaml.safeDump(metadata)}${DELIMITER}\n${text}`;
+}
+
+/**
+ * Split the YAML front matter block off the start of a text
+ * @param {string} text
+ * @return {{metadata: object, text: string}} the metadata of the block, empty if the text has none,
+ * and the text after it
+ * @throws {RangeError} if the block is not valid YAML or not a mapping
+ */
+export function parseFrontMatter(text) {
+	const match = FRONT_MATTER_PATTERN.exec(text);
+	if (!match) {
+		return { metadata: {}, text: text };
+	}
+
+	let metadata;
+	try {
+		metadata = yaml.safeLoad(match[1] ?? "") ?? {};
+	} catch (err) {
+		throw new RangeError(`front matter must be valid YAML: ${err.reason ?? err.message}`, { cause: err });
+	}
+
+	if (typeof metadata !== "object" || Array.isArray(metadata)) {
+		throw new RangeError(`front matter must be a mapping, was ${JSON.stringify(metadata)}`);
+	}
+
+	return { metadata: metadata, text: text.slice(match[0].length) };
+}
@@ -0,0 +1,536 @@
+import { parseDocument } from "htmlparser2";
+import { isString } from "./validation.js";
+
+/**
+ * Elements whose content is a block of its own, separated from the blocks around it by a blank line
+ */
+const BLOCK_ELEMENTS = new Set([
+	"address",
+	"article",
+	"aside",
+	"body",
+	"center",
+	"dd",
+	"details",
+	"div",
+	"dl",
+	"dt",
+	"en-note",
+	"figcaption",
+	"figure",
+	"footer",
+	"header",
+	"html",
+	"main",
+	"nav",
+	"p",
+	"section",
+	"summary",
+]);
+
+/**
+ * Elements which hold no content of a note, left out without a warning
+ */
+const IGNORED_ELEMENTS = new Set(["head", "link", "meta", "noscript", "script", "style", "template", "title"]);
+
+/**
+ * Elements whose content cannot be represented in Markdown, left out with a warning
+ */
+const UNSUPPORTED_ELEMENTS = new Set([
+	"audio",
+	"button",
+	"canvas",
+	"embed",
+	"form",
+	"iframe",
+	"input",
+	"map",
+	"object",
+	"select",
+	"svg",
+	"textarea",
+	"video",
+]);
+
+const INLINE_MARKERS = Object.freeze({
+	b: "**",
+	strong: "**",
+	// Unlike underscores, asterisks also emphasize part of a word
+	i: "*",
+	em: "*",
+	s: "~~",
+	strike: "~~",
+	del: "~~",
+});
+
+/**
+ * Matches a block which is a single task list item, as converted from a paragraph starting with an Evernote to-do
+ */
+const TASK_PATTERN = /^- \[[ x]\] (?![\s\S]*\n\n)/;
+
+/**
+ * Markdown blocks of a container, joined by blank lines once the container is converted
+ */
+class BlockWriter {
+	/**
+	 * @type {{text: string, tight: boolean}[]}
+	 */
+	#blocks = [];
+	#inline = "";
+
+	/**
+	 * @return {boolean} true if nothing was written on the current line of inline content yet
+	 */
+	get atLineStart() {
+		return this.#inline.trim() === "" || this.#inline.endsWith("\n");
+	}
+
+	/**
+	 * @param {string} markdown inline Markdown, added to the paragraph being written
+	 */
+	inline(markdown) {
+		this.#inline += markdown;
+	}
+
+	/**
+	 * End the current line of inline content with a hard line break
+	 */
+	lineBreak() {
+		this.#inline += "\n";
+	}
+
+	/**
+	 * @param {string} markdown a block of Markdown, empty blocks are left out
+	 * @param {boolean} tight whether the block follows a previous tight block on the next line, as list items do,
+	 * by default only task list items are
+	 */
+	block(markdown, tight = TASK_PATTERN.test(markdown)) {
+		this.#flush();
+
+		if (markdown.trim() !== "") {
+			this.#blocks.push({ text: markdown, tight: tight });
+		}
+	}
+
+	#flush() {
+		const lines = this.#inline.split("\n").map((line) => line.trim());
+		while (lines.length > 0 && lines.at(-1) === "") {
+			lines.pop();
+		}
+
+		const paragraph = lines.join("  \n").trim();
+		this.#inline = "";
+
+		if (paragraph !== "") {
+			// A paragraph starting with a to-do checkbox becomes a task list item
+			const isTask = /^\[[ x]\] /.test(paragraph);
+			this.#blocks.push({ text: isTask ? `- ${paragraph}` : paragraph, tight: isTask });
+		}
+	}
+
+	toString() {
+		this.#flush();
+
+		return this.#blocks
+			.map((block, index) => {
+				if (index === 0) {
+					return block.text;
+				}
+
+				return `${block.tight && this.#blocks[index - 1].tight ? "\n" : "\n\n"}${block.text}`;
+			})
+			.join("");
+	}
+}
+
+/**
+ * @param {string} text
+ * @return {string} the text with the characters Markdown would read as formatting escaped
+ */
+function escapeMarkdown(text) {
+	return text.replace(/[\\`*_[\]]/g, "\\$&");
+}
+
+/**
+ * @param {string} text
+ * @return {string} the text with a leading character which would start a heading, quote or list escaped
+ */
+function escapeLineStart(text) {
+	return text.replace(/^(\s*)([#>+-](?=\s|$)|\d+(?=[.)](\s|$)))/, (match, space, marker) =>
+		/^\d/.test(marker) ? `${space}${marker}\\` : `${space}\\${marker}`,
+	);
+}
+
+/**
+ * @param {string} markdown
+ * @param {string} marker the emphasis marker to wrap the Markdown in
+ * @return {string} the Markdown wrapped in the marker, with its surrounding whitespace kept outside the marker
+ */
+function wrapInline(markdown, marker) {
+	const [, leading, content, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(markdown);
+
+	return content === "" ? markdown : `${leading}${marker}${content}${marker}${trailing}`;
+}
+
+/**
+ * @param {string} text
+ * @param {number} minLength the shortest run to return
+ * @return {string} a run of backticks longer than any in the text
+ */
+function fenceFor(text, minLength) {
+	const longestRun = Math.max(0, ...(text.match(/`+/g) ?? []).map((run) => run.length));
+
+	return "`".repeat(Math.max(minLength, longestRun + 1));
+}
+
+/**
+ * @param {object} node
+ * @return {string} the text of the node and its descendants, as it is
+ */
+function textOf(node) {
+	if (node.type === "text") {
+		return node.data;
+	}
+
+	if (node.name === "br") {
+		return "\n";
+	}
+
+	return (node.children ?? []).map(textOf).join("");
+}
+
+/**
+ * @param {string} url
+ * @return {string} the URL with the characters which would end a Markdown link destination encoded
+ */
+function formatLinkDestination(url) {
+	return url.trim().replace(/[\s()<>]/g, (character) => encodeURIComponent(character));
+}
+
+class MarkdownConverter {
+	/**
+	 * @type {Set<string>}
+	 */
+	#warnings = new Set();
+
+	/**
+	 * @return {string[]} the warnings of the conversion, each once
+	 */
+	get warnings() {
+		return Array.from(this.#warnings);
+	}
+
+	/**
+	 * @param {object[]} nodes
+	 * @return {string} the nodes as blocks of Markdown
+	 */
+	convertBlocks(nodes) {
+		const writer = new BlockWriter();
+
+		for (const node of nodes) {
+			this.#convertNode(node, writer);
+		}
+
+		return writer.toString();
+	}
+
+	/**
+	 * @param {object[]} nodes
+	 * @return {string} the nodes as inline Markdown on a single line
+	 */
+	#convertInline(nodes) {
+		const text = nodes.map(textOf).join("");
+		const markdown = this.convertBlocks(nodes).replace(/\s*\n\s*/g, " ");
+
+		// Converting the nodes as blocks trims them, while the whitespace around them separates them from their siblings
+		return markdown === "" ? markdown : `${/^\s/.test(text) ? " " : ""}${markdown}${/\s$/.test(text) ? " " : ""}`;
+	}
+
+	/**
+	 * @param {object} node
+	 * @param {BlockWriter} writer
+	 */
+	#convertNode(node, writer) {
+		switch (node.type) {
+			case "text": {
+				const text = escapeMarkdown(node.data.replace(/\s+/g, " "));
+				writer.inline(writer.atLineStart ? escapeLineStart(text) : text);
+				return;
+			}
+			case "tag":
+			case "script":
+			case "style":
+				this.#convertElement(node, writer);
+				return;
+			case "cdata":
+				for (const child of node.children) {
+					this.#convertNode(child, writer);
+				}
+				return;
+			default:
+				// Comments, the XML declaration and the doctype hold no content
+				return;
+		}
+	}
+
+	/**
+	 * @param {object} element
+	 * @param {BlockWriter} writer
+	 */
+	#convertElement(element, writer) {
+		const name = element.name.toLowerCase();
+
+		if (IGNORED_ELEMENTS.has(name)) {
+			return;
+		}
+
+		if (UNSUPPORTED_ELEMENTS.has(name)) {
+			this.#warnings.add(`<${name}> elements cannot be converted to Markdown and were left out`);
+			return;
+		}
+
+		if (BLOCK_ELEMENTS.has(name)) {
+			writer.block(this.convertBlocks(element.children));
+			return;
+		}
+
+		if (Object.hasOwn(INLINE_MARKERS, name)) {
+			writer.inline(wrapInline(this.#convertInline(element.children), INLINE_MARKERS[name]));
+			return;
+		}
+
+		const headingLevel = /^h([1-6])$/.exec(name)?.[1];
+		if (headingLevel) {
+			const heading = this.#convertInline(element.children).trim();
+			writer.block(heading && `${"#".repeat(Number(headingLevel))} ${heading}`);
+			return;
+		}
+
+		switch (name) {
+			case "br":
+				writer.lineBreak();
+				return;
+			case "hr":
+				writer.block("---");
+				return;
+			case "ul":
+			case "ol":
+				writer.block(this.#convertList(element, name === "ol"));
+				return;
+			case "li":
+				// An item outside of a list is converted as an item of a list of its own
+				writer.block(this.#convertListItem(element, "- "), true);
+				return;
+			case "blockquote": {
+				const quote = this.convertBlocks(element.children);
+				writer.block(
+					quote
+						.split("\n")
+						.map((line) => (line === "" ? ">" : `> ${line}`))
+						.join("\n"),
+				);
+				return;
+			}
+			case "pre": {
+				const code = textOf(element).replace(/\n$/, "");
+				const fence = fenceFor(code, 3);
+				writer.block(`${fence}\n${code}\n${fence}`);
+				return;
+			}
+			case "code":
+			case "kbd":
+			case "samp":
+			case "tt": {
+				const code = textOf(element).replace(/\s+/g, " ");
+				if (code.trim() !== "") {
+					const fence = fenceFor(code, 1);
+					const padding = code.startsWith("`") || code.endsWith("`") ? " " : "";
+					writer.inline(`${fence}${padding}${code}${padding}${fence}`);
+				}
+				return;
+			}
+			case "a":
+				writer.inline(this.#convertLink(element));
+				return;
+			case "img":
+				writer.inline(this.#convertImage(element));
+				return;
+			case "table":
+				writer.block(this.#convertTable(element));
+				return;
+			case "en-todo":
+				writer.inline(element.attribs.checked === "true" ? "[x] " : "[ ] ");
+				return;
+			case "en-media":
+				this.#warnings.add(
+					`Attachments are not imported, an attachment of type ${element.attribs.type ?? "unknown"} was left out`,
+				);
+				return;
+			case "en-crypt":
+				this.#warnings.add("Encrypted text cannot be imported and was left out, decrypt it before exporting");
+				return;
+			default:
+				// Other elements, such as span and font, only style their content
+				for (const child of element.children) {
+					this.#convertNode(child, writer);
+				}
+		}
+	}
+
+	/**
+	 * @param {object} list
+	 * @param {boolean} ordered
+	 * @return {string}
+	 */
+	#convertList(list, ordered) {
+		const start = Number.parseInt(list.attribs.start, 10);
+		let number = Number.isInteger(start) ? start : 1;
+
+		const items = [];
+		for (const child of list.children) {
+			if (child.type !== "tag") {
+				continue;
+			}
+
+			if (child.name.toLowerCase() === "li") {
+				items.push(this.#convertListItem(child, ordered ? `${number++}. ` : "- "));
+			} else {
+				// Evernote nests a sub-list directly in its parent list, after the item it belongs to
+				const nested = this.convertBlocks([child]);
+				if (nested !== "") {
+					const indent = " ".repeat(items.length > 0 ? items.at(-1).indexOf(" ") + 1 : 2);
+					items.push(nested.replace(/^(?=.)/gm, indent));
+				}
+			}
+		}
+
+		return items.join("\n");
+	}
+
+	/**
+	 * @param {object} item
+	 * @param {string} marker the list marker of the item
+	 * @return {string}
+	 */
+	#convertListItem(item, marker) {
+		// Nested lists follow the content before them on the next line, keeping the list tight
+		const parts = [];
+		let nodes = [];
+		for (const child of [...item.children, null]) {
+			if (child === null || (child.type === "tag" && ["ol", "ul"].includes(child.name.toLowerCase()))) {
+				parts.push(this.convertBlocks(nodes));
+				nodes = [];
+			}
+
+			if (child !== null) {
+				nodes.push(child);
+			}
+		}
+
+		const content = parts.filter((part) => part !== "").join("\n");
+		const indent = " ".repeat(marker.length);
+
+		return `${marker}${content.replace(/\n(?=.)/g, `\n${indent}`)}`.trimEnd();
+	}
+
+	/**
+	 * @param {object} link
+	 * @return {string}
+	 */
+	#convertLink(link) {
+		const text = this.#convertInline(link.children);
+		const href = link.attribs.href?.trim();
+
+		if (!href || href.startsWith("#")) {
+			return text;
+		}
+
+		if (href.startsWith("evernote:")) {
+			this.#warnings.add("Links to other Evernote notes cannot be followed once imported and were kept as text");
+			return text;
+		}
+
+		const [, leading, label, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+		if (label === "" || label === escapeMarkdown(href)) {
+			return `${leading}<${formatLinkDestination(href)}>${trailing}`;
+		}
+
+		return `${leading}[${label}](${formatLinkDestination(href)})${trailing}`;
+	}
+
+	/**
+	 * @param {object} image
+	 * @return {string}
+	 */
+	#convertImage(image) {
+		const alt = escapeMarkdown(image.attribs.alt ?? "");
+		const src = image.attribs.src?.trim();
+
+		if (!src || src.startsWith("data:")) {
+			this.#warnings.add("Embedded images are not imported and were left out");
+			return alt;
+		}
+
+		return `![${alt}](${formatLinkDestination(src)})`;
+	}
+
+	/**
+	 * @param {object} table
+	 * @return {string} the table as a GitHub Flavored Markdown table, its first row being the header row
+	 */
+	#convertTable(table) {
+		const rows = [];
+		const collectRows = (nodes) => {
+			for (const node of nodes) {
+				if (node.type !== "tag") {
+					continue;
+				}
+
+				const name = node.name.toLowerCase();
+				if (name === "tr") {
+					rows.push(
+						node.children
+							.filter((cell) => cell.type === "tag" && ["td", "th"].includes(cell.name.toLowerCase()))
+							.map((cell) => this.#convertInline(cell.children).trim().replace(/\|/g, "\\|")),
+					);
+				} else if (["thead", "tbody", "tfoot"].includes(name)) {
+					collectRows(node.children);
+				}
+			}
+		};
+		collectRows(table.children);
+
+		const columnCount = Math.max(0, ...rows.map((row) => row.length));
+		if (columnCount === 0) {
+			return "";
+		}
+
+		const formatRow = (row) => `| ${Array.from({ length: columnCount }, (_, index) => row[index] ?? "").join(" | ")} |`;
+
+		return [formatRow(rows[0]), formatRow(Array(columnCount).fill("---")), ...rows.slice(1).map(formatRow)].join("\n");
+	}
+}
+
+/**
+ * Convert HTML, or the ENML of Evernote notes, to Markdown
+ * Formatting Markdown cannot represent, such as colors and fonts, is dropped silently, while content which is left out,
+ * such as attachments and encrypted text, is reported as a warning
+ * Reference:
+ * https://spec.commonmark.org/
+ * https://dev.evernote.com/doc/articles/enml.php
+ * @param {string} html
+ * @return {{markdown: string, warnings: string[]}} the Markdown and the warnings of the conversion
+ */
+export function htmlToMarkdown(html) {
+	if (!isString(html)) {
+		throw new TypeError(`html must be a string, was type ${typeof html} with value ${html}`);
+	}
+
+	// ENML is XHTML, so elements such as <en-todo/> are closed by their own tag
+	const document = parseDocument(html, { recognizeSelfClosing: true, recognizeCDATA: true });
+
+	const converter = new MarkdownConverter();
+	const markdown = converter.convertBlocks(document.children);
+
+	return { markdown: markdown, warnings: converter.warnings };
+}
@@ -0,0 +1,15 @@
+const HTML_ESCAPES = Object.freeze({
+	"&": "&amp;",
+	"<": "&lt;",
+	">": "&gt;",
+	'"': "&quot;",
+	"'": "&#39;",
+});
+
+/**
+ * @param {string} text
+ * @return {string} the text with the characters which are special in HTML content and attribute values escaped
+ */
+export function escapeHtml(text) {
+	return String(text).replace(/[&<>"']/g, (character) => HTML_ESCAPES[character]);
+}
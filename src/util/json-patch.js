@@ -0,0 +1,303 @@
+import { isDeepStrictEqual } from "node:util";
+import { isString } from "./validation.js";
+
+/**
+ * Thrown when a patch is well formed but cannot be applied to the document,
+ * such as an operation targeting a missing location or a failed test operation
+ */
+export class PatchConflictError extends Error {}
+
+/**
+ * @param {*} value
+ * @return {boolean} true if the value is a JSON object, not an array or null
+ */
+function isJsonObject(value) {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Parse a JSON Pointer into its reference tokens
+ * Reference:
+ * https://www.rfc-editor.org/rfc/rfc6901
+ * @param {string} pointer
+ * @return {string[]} the unescaped reference tokens, empty for the whole document
+ * @throws {TypeError} if the pointer is not a valid JSON Pointer
+ */
+function parsePointer(pointer) {
+	if (!isString(pointer) || (pointer !== "" && !pointer.startsWith("/"))) {
+		throw new TypeError(`JSON Pointer must be a string that is empty or starts with "/", was ${pointer}`);
+	}
+
+	if (pointer === "") {
+		return [];
+	}
+
+	return pointer
+		.substring(1)
+		.split("/")
+		.map((token) => token.replaceAll("~1", "/").replaceAll("~0", "~"));
+}
+
+/**
+ * @param {Array} array
+ * @param {string} token
+ * @param {string} pointer
+ * @param {boolean} allowEnd whether "-" or an index one past the last element may be used to append
+ * @return {number} the array index the token refers to
+ */
+function resolveArrayIndex(array, token, pointer, allowEnd) {
+	if (allowEnd && token === "-") {
+		return array.length;
+	}
+
+	if (!/^(0|[1-9]\d*)$/.test(token)) {
+		throw new PatchConflictError(`Invalid array index "${token}" in path ${pointer}`);
+	}
+
+	const index = parseInt(token, 10);
+	if (index > array.length || (!allowEnd && index === array.length)) {
+		throw new PatchConflictError(`Array index ${index} is out of bounds in path ${pointer}`);
+	}
+
+	return index;
+}
+
+/**
+ * Find the container holding the location a pointer refers to
+ * @param {*} document
+ * @param {string} pointer
+ * @return {{parent: (Object|Array), key: string}} the parent container and the last reference token
+ */
+function resolveParent(document, pointer) {
+	const tokens = parsePointer(pointer);
+	const key = tokens.pop();
+
+	let parent = document;
+	for (const token of tokens) {
+		if (Array.isArray(parent)) {
+			parent = parent[resolveArrayIndex(parent, token, pointer, false)];
+		} else if (isJsonObject(parent) && Object.hasOwn(parent, token)) {
+			parent = parent[token];
+		} else {
+			throw new PatchConflictError(`Path ${pointer} does not exist`);
+		}
+	}
+
+	if (!Array.isArray(parent) && !isJsonObject(parent)) {
+		throw new PatchConflictError(`Path ${pointer} does not exist`);
+	}
+
+	return { parent, key };
+}
+
+/**
+ * @param {*} document
+ * @param {string} pointer
+ * @return {*} the value at the location
+ */
+function getValue(document, pointer) {
+	if (pointer === "") {
+		return document;
+	}
+
+	const { parent, key } = resolveParent(document, pointer);
+	if (Array.isArray(parent)) {
+		return parent[resolveArrayIndex(parent, key, pointer, false)];
+	}
+
+	if (!Object.hasOwn(parent, key)) {
+		throw new PatchConflictError(`Path ${pointer} does not exist`);
+	}
+
+	return parent[key];
+}
+
+/**
+ * @return {*} the document with the value added at the location
+ */
+function addValue(document, pointer, value) {
+	if (pointer === "") {
+		return value;
+	}
+
+	const { parent, key } = resolveParent(document, pointer);
+	if (Array.isArray(parent)) {
+		parent.splice(resolveArrayIndex(parent, key, pointer, true), 0, value);
+	} else {
+		parent[key] = value;
+	}
+
+	return document;
+}
+
+/**
+ * @return {*} the document with the value at the location removed
+ */
+function removeValue(document, pointer) {
+	if (pointer === "") {
+		throw new PatchConflictError("The whole document cannot be removed");
+	}
+
+	const { parent, key } = resolveParent(document, pointer);
+	if (Array.isArray(parent)) {
+		parent.splice(resolveArrayIndex(parent, key, pointer, false), 1);
+	} else if (Object.hasOwn(parent, key)) {
+		delete parent[key];
+	} else {
+		throw new PatchConflictError(`Path ${pointer} does not exist`);
+	}
+
+	return document;
+}
+
+export class MergePatch {
+	/**
+	 * @type {*}
+	 */
+	#patch;
+
+	/**
+	 * @param {*} patch a JSON Merge Patch document
+	 * Reference:
+	 * https://www.rfc-editor.org/rfc/rfc7396
+	 */
+	constructor(patch) {
+		if (patch === undefined) {
+			throw new TypeError(`patch must be a JSON value, was type ${typeof patch} with value ${patch}`);
+		}
+
+		this.#patch = structuredClone(patch);
+	}
+
+	/**
+	 * @param {*} target
+	 * @param {*} patch
+	 * @return {*} the patched target
+	 */
+	static #merge(target, patch) {
+		if (!isJsonObject(patch)) {
+			return structuredClone(patch);
+		}
+
+		const result = isJsonObject(target) ? { ...target } : {};
+		for (const [name, value] of Object.entries(patch)) {
+			if (value === null) {
+				delete result[name];
+			} else {
+				result[name] = MergePatch.#merge(result[name], value);
+			}
+		}
+
+		return result;
+	}
+
+	/**
+	 * Apply the patch, leaving the document unmodified
+	 * @param {*} document the JSON document to patch
+	 * @return {*} the patched copy of the document
+	 */
+	apply(document) {
+		return MergePatch.#merge(document, this.#patch);
+	}
+
+	toJSON() {
+		return this.#patch;
+	}
+
+	toString() {
+		return `${MergePatch.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
+
+export class JsonPatch {
+	static #OPERATIONS = ["add", "remove", "replace", "move", "copy", "test"];
+
+	/**
+	 * @type {object[]}
+	 */
+	#operations;
+
+	/**
+	 * @param {object[]} operations a JSON Patch document
+	 * Reference:
+	 * https://www.rfc-editor.org/rfc/rfc6902
+	 * @throws {TypeError} if the patch is not a well formed JSON Patch document
+	 */
+	constructor(operations) {
+		if (!Array.isArray(operations)) {
+			throw new TypeError(
+				`operations must be an instance of ${Array.name}, was type ${typeof operations} with value ${operations}`,
+			);
+		}
+
+		operations.forEach((operation, index) => {
+			if (!isJsonObject(operation) || !JsonPatch.#OPERATIONS.includes(operation.op)) {
+				throw new TypeError(`operation ${index} must have an op of ${JsonPatch.#OPERATIONS.join(", ")}`);
+			}
+
+			parsePointer(operation.path);
+
+			if (["move", "copy"].includes(operation.op)) {
+				parsePointer(operation.from);
+			}
+
+			if (["add", "replace", "test"].includes(operation.op) && !Object.hasOwn(operation, "value")) {
+				throw new TypeError(`operation ${index} with op ${operation.op} must have a value`);
+			}
+		});
+
+		this.#operations = structuredClone(operations);
+	}
+
+	/**
+	 * Apply every operation in order, leaving the document unmodified
+	 * @param {*} document the JSON document to patch
+	 * @return {*} the patched copy of the document
+	 * @throws {PatchConflictError} if any operation cannot be applied
+	 */
+	apply(document) {
+		let result = structuredClone(document);
+
+		for (const { op, path, from, value } of this.#operations) {
+			switch (op) {
+				case "add":
+					result = addValue(result, path, structuredClone(value));
+					break;
+				case "remove":
+					result = removeValue(result, path);
+					break;
+				case "replace":
+					result =
+						path === "" ? structuredClone(value) : addValue(removeValue(result, path), path, structuredClone(value));
+					break;
+				case "move": {
+					if (path !== from && path.startsWith(`${from}/`)) {
+						throw new PatchConflictError(`Cannot move ${from} into its own child ${path}`);
+					}
+
+					const movedValue = getValue(result, from);
+					result = addValue(removeValue(result, from), path, movedValue);
+					break;
+				}
+				case "copy":
+					result = addValue(result, path, structuredClone(getValue(result, from)));
+					break;
+				case "test":
+					if (!isDeepStrictEqual(getValue(result, path), value)) {
+						throw new PatchConflictError(`Test failed, value at ${path} is not ${JSON.stringify(value)}`);
+					}
+					break;
+			}
+		}
+
+		return result;
+	}
+
+	toJSON() {
+		return this.#operations;
+	}
+
+	toString() {
+		return `${JsonPatch.name} ${JSON.stringify(this.toJSON())}`;
+	}
+}
@@ -0,0 +1,318 @@
+import fs from "node:fs/promises";
+import { createPublicKey, verify as verifySignature } from "node:crypto";
+import { isString } from "./validation.js";
+
+/**
+ * Thrown when a token is malformed, its signature does not verify or its claims are not acceptable
+ */
+export class JwtVerificationError extends Error {}
+
+/**
+ * The supported signature algorithms, with the key type they need and how their signatures are verified
+ * Reference:
+ * https://www.rfc-editor.org/rfc/rfc7518#section-3.1
+ */
+const ALGORITHMS = Object.freeze({
+	RS256: Object.freeze({ kty: "RSA", digest: "sha256" }),
+	// JWS encodes ECDSA signatures as the concatenated r and s values rather than DER
+	ES256: Object.freeze({ kty: "EC", crv: "P-256", digest: "sha256", dsaEncoding: "ieee-p1363" }),
+});
+
+/**
+ * @param {*} value
+ * @return {boolean} true if the value is a JSON object, not an array or null
+ */
+function isObject(value) {
+	return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {*} value
+ * @return {boolean} true if the value has the shape of a JWS compact serialization
+ */
+export function isJwt(value) {
+	return isString(value) && /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(value);
+}
+
+/**
+ * The public keys of a JSON Web Key Set, only keys for the supported signature algorithms are kept
+ * Reference:
+ * https://www.rfc-editor.org/rfc/rfc7517#section-5
+ */
+export class JwksKeySet {
+	/**
+	 * @type {{kid: ?string, alg: ?string, kty: string, crv: ?string, key: KeyObject}[]}
+	 */
+	#keys;
+
+	/**
+	 * @param {object} jwks the parsed JWKS document
+	 * @throws {RangeError} if a key for a supported algorithm is not a valid public key
+	 */
+	constructor(jwks) {
+		if (!isObject(jwks) || !Array.isArray(jwks.keys)) {
+			throw new TypeError(`jwks must be an object with a keys array, was type ${typeof jwks} with value ${jwks}`);
+		}
+
+		this.#keys = jwks.keys
+			.filter((jwk) => isObject(jwk) && (jwk.use === undefined || jwk.use === "sig"))
+			.filter((jwk) => Object.values(ALGORITHMS).some((algorithm) => algorithm.kty === jwk.kty))
+			.map((jwk, index) => {
+				let key;
+				try {
+					// Only the public parameters are used, even if a private key was published by mistake
+					key = createPublicKey({ key: jwk, format: "jwk" });
+				} catch (err) {
+					throw new RangeError(`jwks key ${jwk.kid ?? index} is not a valid public key: ${err.message}`, {
+						cause: err,
+					});
+				}
+
+				return { kid: jwk.kid ?? null, alg: jwk.alg ?? null, kty: jwk.kty, crv: jwk.crv ?? null, key: key };
+			});
+	}
+
+	/**
+	 * Load a key set from a JWKS file or URL
+	 * @param {string} source the path of a JWKS file, or an http or https URL serving one
+	 * @return {Promise<JwksKeySet>} the key set
+	 */
+	static async load(source) {
+		if (!isString(source)) {
+			throw new TypeError(`source must be a string, was type ${typeof source} with value ${source}`);
+		}
+
+		if (/^https?:\/\//.test(source)) {
+			const response = await fetch(source, { headers: { Accept: "application/json" } });
+			if (!response.ok) {
+				throw new Error(`Failed to fetch JWKS from ${source}, status ${response.status}`);
+			}
+
+			return new JwksKeySet(await response.json());
+		}
+
+		return new JwksKeySet(JSON.parse(await fs.readFile(source, "utf8")));
+	}
+
+	/**
+	 * @return {number} the number of usable keys
+	 */
+	get size() {
+		return this.#keys.length;
+	}
+
+	/**
+	 * @param {string} alg the signature algorithm of a token
+	 * @param {?string} kid the key id of a token, any key for the algorithm may have signed it if not provided
+	 * @return {KeyObject[]} the keys which may have signed the token
+	 */
+	findKeys(alg, kid) {
+		const algorithm = ALGORITHMS[alg];
+		if (!algorithm) {
+			return [];
+		}
+
+		return this.#keys
+			.filter(
+				(jwk) =>
+					jwk.kty === algorithm.kty &&
+					(algorithm.crv === undefined || jwk.crv === algorithm.crv) &&
+					(jwk.alg === null || jwk.alg === alg) &&
+					(kid === undefined || jwk.kid === kid),
+			)
+			.map((jwk) => jwk.key);
+	}
+}
+
+export class JwtVerifier {
+	static SUPPORTED_ALGORITHMS = Object.freeze(Object.keys(ALGORITHMS));
+	static DEFAULT_CLOCK_TOLERANCE_SECONDS = 60;
+
+	/**
+	 * @type {JwksKeySet}
+	 */
+	#keySet;
+
+	/**
+	 * @type {string}
+	 */
+	#issuer;
+
+	/**
+	 * @type {string}
+	 */
+	#audience;
+
+	/**
+	 * @type {string[]}
+	 */
+	#algorithms;
+
+	/**
+	 * @type {number}
+	 */
+	#clockToleranceSeconds;
+
+	/**
+	 * @param {JwksKeySet} keySet the keys tokens may be signed with
+	 * @param {object} options
+	 * @param {string} options.issuer the iss claim tokens must have
+	 * @param {string} options.audience the value the aud claim of tokens must have or contain
+	 * @param {string[]} [options.algorithms] the accepted signature algorithms, all supported algorithms by default
+	 * @param {number} [options.clockToleranceSeconds] how far the clocks of the issuer and the server may differ
+	 * when checking the exp, nbf and iat claims
+	 */
+	constructor(
+		keySet,
+		{
+			issuer,
+			audience,
+			algorithms = JwtVerifier.SUPPORTED_ALGORITHMS,
+			clockToleranceSeconds = JwtVerifier.DEFAULT_CLOCK_TOLERANCE_SECONDS,
+		} = {},
+	) {
+		if (!(keySet instanceof JwksKeySet)) {
+			throw new TypeError(
+				`keySet must be an instance of ${JwksKeySet.name}, was type ${typeof keySet} with value ${keySet}`,
+			);
+		}
+
+		for (const [name, value] of [
+			["issuer", issuer],
+			["audience", audience],
+		]) {
+			if (!isString(value) || value.length === 0) {
+				throw new TypeError(`${name} must be a non-empty string, was type ${typeof value} with value ${value}`);
+			}
+		}
+
+		if (
+			!Array.isArray(algorithms) ||
+			algorithms.length === 0 ||
+			!algorithms.every((algorithm) => JwtVerifier.SUPPORTED_ALGORITHMS.includes(algorithm))
+		) {
+			throw new RangeError(
+				`algorithms must be a non-empty array of ${JwtVerifier.SUPPORTED_ALGORITHMS.join(", ")}, was ${algorithms}`,
+			);
+		}
+
+		if (!Number.isInteger(clockToleranceSeconds) || clockToleranceSeconds < 0) {
+			throw new TypeError(
+				`clockToleranceSeconds must be an integer >= 0, was type ${typeof clockToleranceSeconds} with value ${clockToleranceSeconds}`,
+			);
+		}
+
+		this.#keySet = keySet;
+		this.#issuer = issuer;
+		this.#audience = audience;
+		this.#algorithms = Array.from(algorithms);
+		this.#clockToleranceSeconds = clockToleranceSeconds;
+	}
+
+	/**
+	 * @param {string} segment a base64url encoded segment of a token
+	 * @param {string} name the name of the segment, for error messages
+	 * @return {object} the decoded JSON object
+	 * @throws {JwtVerificationError} if the segment is not a base64url encoded JSON object
+	 */
+	static #decodeSegment(segment, name) {
+		let value;
+		try {
+			value = JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+		} catch (err) {
+			throw new JwtVerificationError(`token ${name} is not valid JSON`, { cause: err });
+		}
+
+		if (!isObject(value)) {
+			throw new JwtVerificationError(`token ${name} must be a JSON object`);
+		}
+
+		return value;
+	}
+
+	/**
+	 * @param {object} claims
+	 * @param {number} nowSeconds
+	 * @throws {JwtVerificationError} if the claims are not acceptable
+	 */
+	#checkClaims(claims, nowSeconds) {
+		const tolerance = this.#clockToleranceSeconds;
+
+		if (!Number.isFinite(claims.exp)) {
+			throw new JwtVerificationError("token has no exp claim");
+		}
+
+		if (nowSeconds - tolerance >= claims.exp) {
+			throw new JwtVerificationError("token has expired");
+		}
+
+		if (claims.nbf !== undefined && !(Number.isFinite(claims.nbf) && nowSeconds + tolerance >= claims.nbf)) {
+			throw new JwtVerificationError("token is not valid yet");
+		}
+
+		if (claims.iat !== undefined && !(Number.isFinite(claims.iat) && nowSeconds + tolerance >= claims.iat)) {
+			throw new JwtVerificationError("token was issued in the future");
+		}
+
+		if (claims.iss !== this.#issuer) {
+			throw new JwtVerificationError(`token issuer ${claims.iss} is not accepted`);
+		}
+
+		const audiences = [claims.aud].flat();
+		if (!audiences.includes(this.#audience)) {
+			throw new JwtVerificationError(`token audience ${claims.aud} is not accepted`);
+		}
+
+		if (!isString(claims.sub) || claims.sub.length === 0) {
+			throw new JwtVerificationError("token has no sub claim");
+		}
+	}
+
+	/**
+	 * Verify the signature and claims of a token
+	 * Reference:
+	 * https://www.rfc-editor.org/rfc/rfc7519#section-7.2
+	 * @param {string} token the JWS compact serialization of the token
+	 * @param {Date} now the time to check the token's validity period against
+	 * @return {object} the claims of the token
+	 * @throws {JwtVerificationError} if the token is malformed, its signature does not verify
+	 * or its claims are not acceptable
+	 */
+	verify(token, now = new Date()) {
+		if (!isJwt(token)) {
+			throw new JwtVerificationError("token is not a JWS compact serialization");
+		}
+
+		const [encodedHeader, encodedPayload, encodedSignature] = token.split(".");
+
+		const header = JwtVerifier.#decodeSegment(encodedHeader, "header");
+
+		// Accepting the algorithm a token names without restriction allows "none" and key confusion attacks
+		if (!this.#algorithms.includes(header.alg)) {
+			throw new JwtVerificationError(`token algorithm ${header.alg} is not accepted`);
+		}
+
+		if (header.crit !== undefined) {
+			throw new JwtVerificationError(`token has unsupported critical header parameters ${header.crit}`);
+		}
+
+		const keys = this.#keySet.findKeys(header.alg, header.kid);
+		if (keys.length === 0) {
+			throw new JwtVerificationError(`no key matches token key id ${header.kid} and algorithm ${header.alg}`);
+		}
+
+		const { digest, dsaEncoding } = ALGORITHMS[header.alg];
+		const signedData = Buffer.from(`${encodedHeader}.${encodedPayload}`, "ascii");
+		const signature = Buffer.from(encodedSignature, "base64url");
+
+		if (!keys.some((key) => verifySignature(digest, signedData, { key: key, dsaEncoding: dsaEncoding }, signature))) {
+			throw new JwtVerificationError("token signature is not valid");
+		}
+
+		const claims = JwtVerifier.#decodeSegment(encodedPayload, "payload");
+
+		this.#checkClaims(claims, Math.floor(now.getTime() / 1000));
+
+		return claims;
+	}
+}
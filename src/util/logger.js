@@ -1,7 +1,26 @@
+import process from "node:process";
 import winston from "winston";
+import config from "../config.js";
+import { currentRequestContext } from "./request-context.js";
+
+/**
+ * Adds the id and latency of the request being handled, so every log line of a request can be joined
+ * with its access log line, fields given in the log call take precedence
+ */
+const requestContext = winston.format((info) => {
+	const context = currentRequestContext();
+	if (context) {
+		info.requestId ??= context.requestId;
+		info.latencyMs ??= context.latencyMs;
+	}
+
+	return info;
+});
 
 export default winston.createLogger({
-	level: "info",
-	format: winston.format.json(),
+	level: config.logLevel,
+	// Each worker is a separate process, the pid tells which one logged
+	defaultMeta: { pid: process.pid },
+	format: winston.format.combine(requestContext(), winston.format.json()),
 	transports: [new winston.transports.Console()],
 });
@@ -0,0 +1,83 @@
+import { Counter, Gauge, Histogram, Registry, collectDefaultMetrics } from "prom-client";
+
+/**
+ * The metrics of this process, in a cluster the primary aggregates those of every worker
+ * Reference:
+ * https://github.com/siimon/prom-client#usage-with-nodejs-cluster-module
+ */
+export const registry = new Registry();
+
+/**
+ * The metrics of the whole database rather than of one process, only collected once per scrape by the primary
+ */
+export const databaseRegistry = new Registry();
+
+// Event loop lag, heap usage, garbage collection and the other recommended metrics of Node.js processes
+collectDefaultMetrics({ register: registry });
+
+export const httpRequestsTotal = new Counter({
+	name: "notes_http_requests_total",
+	help: "Number of HTTP requests handled",
+	labelNames: ["method", "route", "status"],
+	registers: [registry],
+});
+
+export const httpRequestDurationSeconds = new Histogram({
+	name: "notes_http_request_duration_seconds",
+	help: "Time from receiving an HTTP request to sending the end of its response",
+	labelNames: ["method", "route", "status"],
+	registers: [registry],
+});
+
+export const noteDaoQueryDurationSeconds = new Histogram({
+	name: "notes_note_dao_query_duration_seconds",
+	help: "Time taken by the queries of each NoteDao operation",
+	labelNames: ["operation"],
+	// Queries of a local SQLite database mostly take well under a millisecond
+	buckets: [0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 1],
+	registers: [registry],
+});
+
+export const transactionRetriesTotal = new Counter({
+	name: "notes_db_transaction_retries_total",
+	help: "Number of times a write transaction was retried because the database was busy",
+	registers: [registry],
+});
+
+export const busyErrorsTotal = new Counter({
+	name: "notes_db_busy_errors_total",
+	help: "Number of SQLITE_BUSY errors, each one a write which waited the whole busy timeout for the lock",
+	registers: [registry],
+});
+
+/**
+ * @type {?function(): {active: number, trashed: number}}
+ */
+let countNotes = null;
+
+export const notes = new Gauge({
+	name: "notes_notes",
+	help: "Number of notes of every user, by whether they are in the trash",
+	labelNames: ["state"],
+	registers: [databaseRegistry],
+	collect() {
+		if (countNotes) {
+			const { active, trashed } = countNotes();
+
+			this.set({ state: "active" }, active);
+			this.set({ state: "trashed" }, trashed);
+		}
+	},
+});
+
+/**
+ * Set how the notes are counted when the metrics are collected
+ * @param {function(): {active: number, trashed: number}} callback
+ */
+export function setNoteCounter(callback) {
+	if (typeof callback !== "function") {
+		throw new TypeError(`callback must be a function, was type ${typeof callback} with value ${callback}`);
+	}
+
+	countNotes = callback;
+}
@@ -0,0 +1,73 @@
+import { randomBytes, scrypt, timingSafeEqual } from "node:crypto";
+import { promisify } from "node:util";
+import { isString } from "./validation.js";
+
+const scryptAsync = promisify(scrypt);
+
+export const MAX_PASSWORD_LENGTH = 1024;
+
+/**
+ * The scrypt cost parameters of new hashes, stored along with each hash so they can be raised later
+ * Reference:
+ * https://www.rfc-editor.org/rfc/rfc7914#section-2
+ */
+const SCRYPT_PARAMETERS = Object.freeze({ N: 16384, r: 8, p: 1 });
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+/**
+ * @param {string} password
+ */
+function validatePassword(password) {
+	if (!isString(password)) {
+		throw new TypeError(`password must be a string, was type ${typeof password}`);
+	}
+
+	if (password.length === 0 || password.length > MAX_PASSWORD_LENGTH) {
+		throw new RangeError(`password must be between 1 and ${MAX_PASSWORD_LENGTH} characters long`);
+	}
+}
+
+/**
+ * Hash a password with a random salt, unlike tokens passwords may be guessable so a slow hash is used
+ * @param {string} password
+ * @return {Promise<string>} the hash in the form scrypt$N$r$p$salt$key, which is what gets stored
+ */
+export async function hashPassword(password) {
+	validatePassword(password);
+
+	const { N, r, p } = SCRYPT_PARAMETERS;
+	const salt = randomBytes(SALT_LENGTH);
+	const key = await scryptAsync(password.normalize("NFC"), salt, KEY_LENGTH, { N: N, r: r, p: p });
+
+	return ["scrypt", N, r, p, salt.toString("base64url"), key.toString("base64url")].join("$");
+}
+
+/**
+ * @param {string} password the password to check
+ * @param {string} passwordHash a hash created by {@link hashPassword}
+ * @return {Promise<boolean>} true if the password matches the hash
+ */
+export async function verifyPassword(password, passwordHash) {
+	if (!isString(passwordHash)) {
+		throw new TypeError(`passwordHash must be a string, was type ${typeof passwordHash}`);
+	}
+
+	const [algorithm, N, r, p, salt, key] = passwordHash.split("$");
+	if (algorithm !== "scrypt" || key === undefined) {
+		throw new RangeError("passwordHash is not a scrypt hash");
+	}
+
+	if (!isString(password) || password.length === 0 || password.length > MAX_PASSWORD_LENGTH) {
+		return false;
+	}
+
+	const expectedKey = Buffer.from(key, "base64url");
+	const actualKey = await scryptAsync(password.normalize("NFC"), Buffer.from(salt, "base64url"), expectedKey.length, {
+		N: Number(N),
+		r: Number(r),
+		p: Number(p),
+	});
+
+	return timingSafeEqual(actualKey, expectedKey);
+}
@@ -0,0 +1,37 @@
+import { createHash, randomBytes } from "node:crypto";
+import { isString } from "./validation.js";
+
+/**
+ * Prefix of every public link token, so leaked tokens are easy to recognize
+ */
+export const PUBLIC_LINK_TOKEN_PREFIX = "pl_";
+
+const PUBLIC_LINK_TOKEN_PATTERN = /^pl_[A-Za-z0-9_-]{43}$/;
+
+/**
+ * @return {string} a new random public link token with 256 bits of entropy
+ */
+export function generatePublicLinkToken() {
+	return `${PUBLIC_LINK_TOKEN_PREFIX}${randomBytes(32).toString("base64url")}`;
+}
+
+/**
+ * @param {*} value
+ * @return {boolean} true if the value has the format of a public link token
+ */
+export function isPublicLinkToken(value) {
+	return isString(value) && PUBLIC_LINK_TOKEN_PATTERN.test(value);
+}
+
+/**
+ * Like API keys, tokens are random enough that a fast unsalted hash is sufficient
+ * @param {string} token
+ * @return {Buffer} the SHA-256 hash of the token, which is what gets stored
+ */
+export function hashPublicLinkToken(token) {
+	if (!isString(token)) {
+		throw new TypeError(`token must be a string, was type ${typeof token}`);
+	}
+
+	return createHash("sha256").update(token, "utf8").digest();
+}
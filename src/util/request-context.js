@@ -0,0 +1,88 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { v4 as uuidv4 } from "uuid";
+import { isString } from "./validation.js";
+
+/**
+ * Request ids from clients are echoed in headers and logs, so only short ids of safe characters are accepted
+ */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * What is known about the request being handled, wherever in the app the code handling it runs
+ */
+export class RequestContext {
+	#requestId;
+	#startTime;
+
+	/**
+	 * @param {string} requestId the id correlating the logs of the request
+	 * @param {bigint} [startTime] when handling of the request started, from process.hrtime.bigint()
+	 */
+	constructor(requestId, startTime = process.hrtime.bigint()) {
+		if (!isRequestId(requestId)) {
+			throw new TypeError(`requestId must be a valid request id, was type ${typeof requestId} with value ${requestId}`);
+		}
+
+		if (typeof startTime !== "bigint") {
+			throw new TypeError(`startTime must be a bigint, was type ${typeof startTime} with value ${startTime}`);
+		}
+
+		this.#requestId = requestId;
+		this.#startTime = startTime;
+	}
+
+	/**
+	 * @return {string} the id correlating the logs of the request
+	 */
+	get requestId() {
+		return this.#requestId;
+	}
+
+	/**
+	 * @return {number} the milliseconds since handling of the request started, to microsecond precision
+	 */
+	get latencyMs() {
+		return Number((process.hrtime.bigint() - this.#startTime) / 1000n) / 1000;
+	}
+}
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * @param {*} value
+ * @return {boolean} true if the value can be used as a request id
+ */
+export function isRequestId(value) {
+	return isString(value) && REQUEST_ID_PATTERN.test(value);
+}
+
+/**
+ * @return {string} a new random request id
+ */
+export function generateRequestId() {
+	return uuidv4();
+}
+
+/**
+ * Run a function in the context of a request, the context is also current in everything the function awaits
+ * or schedules
+ * @param {RequestContext} context
+ * @param {function(): *} callback
+ * @return {*} the result of the callback
+ */
+export function runInRequestContext(context, callback) {
+	if (!(context instanceof RequestContext)) {
+		throw new TypeError(
+			`context must be an instance of ${RequestContext.name}, was type ${typeof context} with value ${context}`,
+		);
+	}
+
+	return storage.run(context, callback);
+}
+
+/**
+ * @return {?RequestContext} the context of the request being handled, null if not handling a request
+ */
+export function currentRequestContext() {
+	return storage.getStore() ?? null;
+}
@@ -0,0 +1,235 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import { StatusCodes } from "http-status-codes";
+import OpenApiValidator from "../../src/api/openapi-validator.js";
+import openApiDocument from "../../src/api/openapi.js";
+import { PROBLEM_JSON, Problem, ProblemType } from "../../src/api/problem.js";
+
+const document = {
+	openapi: "3.1.0",
+	info: { title: "Test", version: "1" },
+	servers: [{ url: "/api/v1" }],
+	paths: {
+		"/items/{id}": {
+			parameters: [{ $ref: "#/components/parameters/ItemId" }],
+			get: {
+				operationId: "getItem",
+				parameters: [{ name: "expand", in: "query", schema: { type: "boolean" } }],
+				responses: {
+					200: { description: "", content: { "application/json": { schema: { $ref: "#/components/schemas/Item" } } } },
+					404: { description: "" },
+				},
+			},
+			put: {
+				operationId: "putItem",
+				requestBody: {
+					required: true,
+					content: { "application/json": { schema: { $ref: "#/components/schemas/Item" } } },
+				},
+				responses: { 204: { description: "" } },
+			},
+		},
+		"/items/latest": {
+			get: {
+				operationId: "getLatestItem",
+				parameters: [{ name: "count", in: "query", required: true, schema: { type: "integer", minimum: 1 } }],
+				responses: { 200: { description: "" } },
+			},
+		},
+	},
+	components: {
+		parameters: { ItemId: { name: "id", in: "path", required: true, schema: { type: "integer" } } },
+		schemas: {
+			Item: {
+				type: "object",
+				required: ["name"],
+				properties: { name: { type: "string" } },
+				additionalProperties: false,
+			},
+		},
+	},
+};
+
+/**
+ * @param {object} request the parts of an express request the validator reads
+ * @param {boolean} [validateResponses]
+ * @return {{passed: boolean, error: *, res: object, sent: {status: number, body: *}[]}} whether the request was
+ * passed on, with the error it was passed on with, and what was sent for it
+ */
+function validate({ method = "GET", path, query = {}, body = {}, mediaType = null }, validateResponses = false) {
+	const sent = [];
+	const req = {
+		method: method,
+		baseUrl: "/api/v1",
+		path: path,
+		originalUrl: `/api/v1${path}`,
+		query: query,
+		body: body,
+		is: (types) => (mediaType === null ? null : types.find((type) => type === mediaType) ?? false),
+	};
+	const res = {
+		statusCode: StatusCodes.OK,
+		headers: {},
+		locals: { requestContext: { requestId: "request-id" } },
+		get(name) {
+			return this.headers[name.toLowerCase()];
+		},
+		set(headers) {
+			for (const [name, value] of Object.entries(headers)) {
+				this.headers[name.toLowerCase()] = value;
+			}
+			return this;
+		},
+		type(type) {
+			return this.set({ "Content-Type": type });
+		},
+		status(statusCode) {
+			this.statusCode = statusCode;
+			return this;
+		},
+		json(body) {
+			sent.push({ status: this.statusCode, contentType: this.get("Content-Type"), body: body });
+			return this;
+		},
+	};
+
+	let passed = false;
+	let error = undefined;
+	new OpenApiValidator(document, { validateResponses: validateResponses }).validate(req, res, (err) => {
+		passed = err === undefined;
+		error = err;
+	});
+
+	return { passed: passed, error: error, res: res, sent: sent };
+}
+
+describe(`${OpenApiValidator.name}`, () => {
+	describe("constructor", () => {
+		test("rejects invalid document parameter value", () => {
+			for (const invalidDocument of [undefined, null, "openapi", {}]) {
+				throws(() => new OpenApiValidator(invalidDocument), TypeError);
+			}
+		});
+
+		test("rejects invalid validateResponses option value", () => {
+			for (const validateResponses of [null, "true", 1]) {
+				throws(() => new OpenApiValidator(document, { validateResponses: validateResponses }), TypeError);
+			}
+		});
+
+		test("compiles the OpenAPI document of the API", () => {
+			new OpenApiValidator(openApiDocument, { validateResponses: true });
+		});
+	});
+
+	describe(`${OpenApiValidator.prototype.validate.name} method`, () => {
+		test("passes on valid requests, converting parameters only for validation", () => {
+			const query = { expand: "true" };
+			const { passed, res, sent } = validate({ path: "/items/12", query: query });
+
+			ok(passed);
+			deepStrictEqual(sent, []);
+			deepStrictEqual(query, { expand: "true" });
+			strictEqual(res.locals.openApiOperationId, "getItem");
+		});
+
+		test("prefers literal path segments over parameters", () => {
+			const { passed, error } = validate({ path: "/items/latest" });
+
+			ok(!passed);
+			ok(error instanceof Problem);
+			strictEqual(error.message, "Invalid request: query must have required property 'count'");
+		});
+
+		test("passes on invalid parameters and bodies as invalid request problems", () => {
+			for (const [request, expectedError] of [
+				[{ path: "/items/a" }, "path.id must be integer"],
+				[{ path: "/items/1", query: { expand: "yes" } }, "query.expand must be boolean"],
+				[{ path: "/items/latest", query: { count: "0" } }, "query.count must be >= 1"],
+				[{ path: "/items/latest", query: { count: "1e2" } }, "query.count must be integer"],
+				[{ path: "/items/latest", query: { count: "0x10" } }, "query.count must be integer"],
+				[{ path: "/items/latest", query: { count: " 1" } }, "query.count must be integer"],
+				[{ path: "/items/latest", query: { count: ["1", "2"] } }, "query.count must be integer"],
+				[
+					{ method: "PUT", path: "/items/1", body: { name: 1 }, mediaType: "application/json" },
+					"body.name must be string",
+				],
+				[{ method: "PUT", path: "/items/1" }, "body must have required property 'name'"],
+			]) {
+				const { passed, error, sent } = validate(request);
+
+				ok(!passed, JSON.stringify(request));
+				strictEqual(error.type, ProblemType.INVALID_REQUEST);
+				strictEqual(error.message, `Invalid request: ${expectedError}`);
+				deepStrictEqual(sent, []);
+			}
+		});
+
+		test("validates requests whose paths differ from the document only in ways Express ignores", () => {
+			for (const path of ["/ITEMS/a", "/Items//a", "//items/a"]) {
+				const { passed, error } = validate({ path: path });
+
+				ok(!passed, path);
+				strictEqual(error.message, "Invalid request: path.id must be integer", path);
+			}
+		});
+
+		test("passes on integer parameters sent as decimal digits", () => {
+			for (const count of ["1", "+2", "0300"]) {
+				ok(validate({ path: "/items/latest", query: { count: count } }).passed, count);
+			}
+		});
+
+		test("passes on requests the document does not describe", () => {
+			for (const request of [{ path: "/other" }, { method: "DELETE", path: "/items/1" }, { path: "/items/%E0" }]) {
+				const { passed, res } = validate(request);
+
+				ok(passed, JSON.stringify(request));
+				strictEqual(res.locals.openApiOperationId, undefined);
+			}
+		});
+
+		test("passes on requests already validated by another router", () => {
+			const sent = [];
+			const res = { locals: { openApiOperationId: "getItem" }, json: (body) => sent.push(body) };
+
+			let passed = false;
+			new OpenApiValidator(document).validate({ method: "GET", path: "/items/a", baseUrl: "/api/v1" }, res, () => {
+				passed = true;
+			});
+
+			ok(passed);
+			deepStrictEqual(sent, []);
+		});
+
+		test("replaces responses not matching the document with an internal error problem", () => {
+			for (const [statusCode, body, expectedError] of [
+				[StatusCodes.OK, { name: "item", extra: true }, "response must NOT have additional properties"],
+				[StatusCodes.CONFLICT, { error: "conflict" }, "status 409 is not a documented response"],
+			]) {
+				const { res, sent } = validate({ path: "/items/1" }, true);
+
+				res.status(statusCode).json(body);
+
+				strictEqual(sent.length, 1);
+				strictEqual(sent[0].status, StatusCodes.INTERNAL_SERVER_ERROR);
+				strictEqual(sent[0].contentType, PROBLEM_JSON);
+				strictEqual(sent[0].body.code, ProblemType.INTERNAL_ERROR.code);
+				strictEqual(sent[0].body.requestId, "request-id");
+				ok(sent[0].body.detail.includes(expectedError), sent[0].body.detail);
+			}
+		});
+
+		test("sends responses matching the document as they are", () => {
+			const { res, sent } = validate({ path: "/items/1" }, true);
+
+			res.json({ name: "item" });
+			res.status(StatusCodes.NOT_FOUND).type(PROBLEM_JSON).json({ code: "not-found" });
+
+			deepStrictEqual(sent, [
+				{ status: StatusCodes.OK, contentType: undefined, body: { name: "item" } },
+				{ status: StatusCodes.NOT_FOUND, contentType: PROBLEM_JSON, body: { code: "not-found" } },
+			]);
+		});
+	});
+});
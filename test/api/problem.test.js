@@ -0,0 +1,165 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import { StatusCodes } from "http-status-codes";
+import { PROBLEM_JSON, Problem, ProblemType, sendProblem } from "../../src/api/problem.js";
+import {
+	ConflictError,
+	EntityNotFoundError,
+	ForbiddenError,
+	InvalidEntityError,
+	InvalidQueryError,
+	PreconditionFailedError,
+	ServiceError,
+	UnauthorizedError,
+} from "../../src/service/service-error.js";
+import DaoError from "../../src/dao/dao-error.js";
+
+/**
+ * @param {string} type the type of a body parser error
+ * @param {object} [properties] further properties of the error
+ * @return {Error} an error as the body parser passes on
+ */
+function bodyParserError(type, properties = {}) {
+	return Object.assign(new Error(`body parser ${type}`), { type: type, expose: true, status: 400 }, properties);
+}
+
+describe(`${Problem.name}`, () => {
+	describe("constructor", () => {
+		test("rejects invalid type parameter value", () => {
+			for (const invalidType of [undefined, null, "not-found", StatusCodes.NOT_FOUND]) {
+				throws(() => new Problem(invalidType, "detail"), TypeError);
+			}
+		});
+
+		test("keeps the status of the type, headers and cause", () => {
+			const cause = new Error("cause");
+			const problem = new Problem(ProblemType.RATE_LIMITED, "slow down", {
+				headers: { "Retry-After": "1" },
+				cause: cause,
+			});
+
+			strictEqual(problem.status, StatusCodes.TOO_MANY_REQUESTS);
+			strictEqual(problem.message, "slow down");
+			deepStrictEqual(problem.headers, { "Retry-After": "1" });
+			strictEqual(problem.cause, cause);
+		});
+	});
+
+	describe(`${Problem.from.name} method`, () => {
+		test("returns problems as they are", () => {
+			const problem = new Problem(ProblemType.CONFLICT, "conflict");
+
+			strictEqual(Problem.from(problem), problem);
+		});
+
+		test("maps the errors of the services to the problems of the client", () => {
+			for (const [err, expectedType] of [
+				[new EntityNotFoundError("missing"), ProblemType.NOT_FOUND],
+				[new UnauthorizedError("password"), ProblemType.UNAUTHORIZED],
+				[new ForbiddenError("read only"), ProblemType.FORBIDDEN],
+				[new ConflictError("test failed"), ProblemType.CONFLICT],
+				[new InvalidEntityError("blank content"), ProblemType.UNPROCESSABLE_ENTITY],
+				[new InvalidQueryError("unterminated phrase"), ProblemType.INVALID_REQUEST],
+			]) {
+				const problem = Problem.from(err);
+
+				strictEqual(problem.type, expectedType, `${err}`);
+				strictEqual(problem.message, err.message);
+				strictEqual(problem.cause, err);
+			}
+		});
+
+		test("maps failed preconditions to a problem with the current note and its ETag", () => {
+			const currentNote = { id: "id", version: 3 };
+			const problem = Problem.from(new PreconditionFailedError("stale", currentNote));
+
+			strictEqual(problem.type, ProblemType.PRECONDITION_FAILED);
+			deepStrictEqual(problem.headers, { ETag: '"3"' });
+			strictEqual(problem.toProblemDetails({ originalUrl: "/" }, { locals: {} }).currentNote, currentNote);
+		});
+
+		test("maps the errors of the body parser", () => {
+			for (const [err, expectedType] of [
+				[bodyParserError("entity.parse.failed"), ProblemType.MALFORMED_BODY],
+				[bodyParserError("entity.too.large", { status: 413, limit: 16 }), ProblemType.PAYLOAD_TOO_LARGE],
+				[bodyParserError("charset.unsupported", { status: 415 }), ProblemType.UNSUPPORTED_MEDIA_TYPE],
+				[bodyParserError("encoding.unsupported", { status: 415 }), ProblemType.UNSUPPORTED_MEDIA_TYPE],
+				[bodyParserError("request.aborted"), ProblemType.INVALID_REQUEST],
+			]) {
+				strictEqual(Problem.from(err).type, expectedType, err.type);
+			}
+		});
+
+		test("maps every other error to an internal error without revealing its message", () => {
+			for (const err of [
+				new ServiceError("service"),
+				new DaoError("SQLITE_BUSY"),
+				new Error("secret"),
+				new TypeError("Cannot read properties of undefined"),
+				new RangeError("Invalid array length"),
+				bodyParserError("stream.not.readable", { expose: false, status: 500 }),
+				"thrown string",
+				undefined,
+			]) {
+				const problem = Problem.from(err);
+
+				strictEqual(problem.type, ProblemType.INTERNAL_ERROR, `${err}`);
+				ok(!problem.message.includes(err?.message ?? err), problem.message);
+			}
+		});
+	});
+
+	describe(`${sendProblem.name} function`, () => {
+		test("sends the problem details with the headers of the problem", () => {
+			const sent = {};
+			const res = {
+				locals: { requestContext: { requestId: "request-id" } },
+				status(statusCode) {
+					sent.status = statusCode;
+					return this;
+				},
+				set(headers) {
+					sent.headers = headers;
+					return this;
+				},
+				type(type) {
+					sent.type = type;
+					return this;
+				},
+				json(body) {
+					sent.body = body;
+					return this;
+				},
+			};
+
+			sendProblem(
+				{ originalUrl: "/api/v1/notes?q=a" },
+				res,
+				new Problem(ProblemType.UNAUTHORIZED, "no key", { headers: { "WWW-Authenticate": "Bearer" } }),
+			);
+
+			deepStrictEqual(sent, {
+				status: StatusCodes.UNAUTHORIZED,
+				headers: { "WWW-Authenticate": "Bearer" },
+				type: PROBLEM_JSON,
+				body: {
+					type: "/api/v1/docs#problem-unauthorized",
+					title: ProblemType.UNAUTHORIZED.title,
+					status: StatusCodes.UNAUTHORIZED,
+					detail: "no key",
+					instance: "/api/v1/notes?q=a",
+					code: "unauthorized",
+					requestId: "request-id",
+				},
+			});
+		});
+	});
+});
+
+describe(`${ProblemType.name}`, () => {
+	test("codes are unique", () => {
+		const codes = ProblemType.TYPES.map((type) => type.code);
+
+		strictEqual(new Set(codes).size, codes.length);
+	});
+});
@@ -1,27 +1,80 @@
 import { after, afterEach, before, describe, test } from "node:test";
-import { deepStrictEqual, ok, strictEqual } from "node:assert";
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
 import * as http from "http";
 import { v4 as uuidv4 } from "uuid";
+import { strToU8, zipSync } from "fflate";
 import SqliteConnectionFactory from "../../src/dao/sqlite-connection-factory.js";
 import NoteDao from "../../src/dao/note-dao.js";
+import TagDao from "../../src/dao/tag-dao.js";
+import NoteRevisionDao from "../../src/dao/note-revision-dao.js";
+import NoteShareDao from "../../src/dao/note-share-dao.js";
+import NotePublicLinkDao from "../../src/dao/note-public-link-dao.js";
+import UserDao from "../../src/dao/user-dao.js";
+import RateLimitDao from "../../src/dao/rate-limit-dao.js";
+import DaoError from "../../src/dao/dao-error.js";
 import NoteService from "../../src/service/note-service.js";
+import UserService from "../../src/service/user-service.js";
+import RateLimitService from "../../src/service/rate-limit-service.js";
+import HealthService from "../../src/service/health-service.js";
+import MigrationRunner from "../../src/dao/migration-runner.js";
+import ClusterMetrics from "../../src/util/cluster-metrics.js";
+import { setNoteCounter } from "../../src/util/metrics.js";
 import Server from "../../src/api/server.js";
+import openApiDocument from "../../src/api/openapi.js";
+import { generateKeyPairSync, sign } from "node:crypto";
 import { StatusCodes } from "http-status-codes";
-import { NoteForCreate } from "../../src/model/note.js";
+import { NoteForCreate, NoteForUpdate } from "../../src/model/note.js";
 import UuidV4 from "../../src/model/uuidv4.js";
 import logger from "../../src/util/logger.js";
+import winston from "winston";
+import { Writable } from "node:stream";
+import { setTimeout as sleep } from "node:timers/promises";
+import { JwksKeySet, JwtVerifier } from "../../src/util/jwt.js";
+import { TokenBucketPolicy } from "../../src/model/rate-limit.js";
 
 class HeaderFieldNames {
 	static ACCEPT = "Accept";
 	static ACCEPT_ENCODING = "Accept-Encoding";
 	static CONTENT_TYPE = "Content-Type";
 	static CONTENT_ENCODING = "Content-Encoding";
+	static ETAG = "ETag";
+	static IF_MATCH = "If-Match";
+	static IF_NONE_MATCH = "If-None-Match";
+	static IF_MODIFIED_SINCE = "If-Modified-Since";
+	static LAST_MODIFIED = "Last-Modified";
+	static CACHE_CONTROL = "Cache-Control";
+	static LINK = "Link";
+	static AUTHORIZATION = "Authorization";
+	static WWW_AUTHENTICATE = "WWW-Authenticate";
+	static CONTENT_SECURITY_POLICY = "Content-Security-Policy";
+	static REFERRER_POLICY = "Referrer-Policy";
+	static RETRY_AFTER = "Retry-After";
+	static RATE_LIMIT_LIMIT = "RateLimit-Limit";
+	static RATE_LIMIT_REMAINING = "RateLimit-Remaining";
+	static RATE_LIMIT_RESET = "RateLimit-Reset";
+	static RATE_LIMIT_POLICY = "RateLimit-Policy";
+	static X_REQUEST_ID = "X-Request-Id";
+	static X_FORWARDED_FOR = "X-Forwarded-For";
 }
 
 class ContentTypes {
 	static APPLICATION_JSON = "application/json";
 	static APPLICATION_JSON_UTF8 = "application/json; charset=utf-8";
+	static TEXT_PLAIN = "text/plain";
 	static TEXT_PLAIN_UTF8 = "text/plain; charset=utf-8";
+	static TEXT_MARKDOWN = "text/markdown";
+	static TEXT_MARKDOWN_UTF8 = "text/markdown; charset=utf-8";
+	static TEXT_CSV = "text/csv";
+	static TEXT_CSV_UTF8 = "text/csv; charset=utf-8";
+	static TEXT_HTML = "text/html";
+	static TEXT_HTML_UTF8 = "text/html; charset=utf-8";
+	static APPLICATION_MERGE_PATCH_JSON = "application/merge-patch+json";
+	static APPLICATION_JSON_PATCH_JSON = "application/json-patch+json";
+	static APPLICATION_PROBLEM_JSON_UTF8 = "application/problem+json; charset=utf-8";
+	static APPLICATION_X_NDJSON = "application/x-ndjson";
+	static APPLICATION_X_NDJSON_UTF8 = "application/x-ndjson; charset=utf-8";
+	static APPLICATION_ENEX_XML = "application/enex+xml";
+	static APPLICATION_ZIP = "application/zip";
 }
 
 class EncodingTypes {
@@ -30,6 +83,40 @@ class EncodingTypes {
 	static BROTLI = "br";
 }
 
+/**
+ * The API key requests are authenticated with, issued to the test user before the tests run
+ * @type {string}
+ */
+let apiKey;
+
+/**
+ * fetch authenticated with the API key as a Bearer token, unless the request sets its own Authorization header
+ */
+function authenticatedFetch(url, init = {}) {
+	return fetch(url, { ...init, headers: { [HeaderFieldNames.AUTHORIZATION]: `Bearer ${apiKey}`, ...init.headers } });
+}
+
+/**
+ * fetch adds "Cache-Control: no-cache" to requests with conditional headers unless one is given,
+ * which would make the server ignore the conditions, so revalidate the way a browser cache does
+ */
+function conditionalFetch(url, headers) {
+	return authenticatedFetch(url, { headers: { [HeaderFieldNames.CACHE_CONTROL]: "max-age=0", ...headers } });
+}
+
+/**
+ * @param {?string} value the value of a Link header
+ * @return {Object<string, string>} the target of each link by relation type
+ */
+function parseLinkHeader(value) {
+	return Object.fromEntries(
+		(value ? value.split(", ") : []).map((link) => {
+			const [, target, rel] = link.match(/^<([^>]*)>; rel="([^"]*)"$/);
+			return [rel, target];
+		}),
+	);
+}
+
 function buildNoteForCreateArray(count) {
 	const noteForCreateArray = [];
 	for (let i = 0; i < count; i++) {
@@ -43,22 +130,57 @@ describe("Server HTTP API", () => {
 	const port = 3001;
 	const baseUrl = `http://localhost:${port}/api/v1`;
 
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	let databaseConnection;
+
 	/**
 	 * @type {NoteService}
 	 */
 	let noteService;
 
+	/**
+	 * @type {UserService}
+	 */
+	let userService;
+
+	/**
+	 * The id of the user the requests are authenticated as
+	 * @type {UuidV4}
+	 */
+	let userId;
+
 	/**
 	 * @type {http.Server}
 	 */
 	let server;
 
 	before(() => {
-		const databaseConnection = SqliteConnectionFactory.createConnection(":memory:");
+		databaseConnection = SqliteConnectionFactory.createConnection(":memory:");
 		const noteDao = new NoteDao(databaseConnection);
-
-		noteService = new NoteService(databaseConnection, noteDao);
-		server = new Server(noteService).buildApp().listen(port);
+		const tagDao = new TagDao(databaseConnection);
+		const noteRevisionDao = new NoteRevisionDao(databaseConnection);
+
+		const noteShareDao = new NoteShareDao(databaseConnection);
+		const notePublicLinkDao = new NotePublicLinkDao(databaseConnection);
+
+		noteService = new NoteService(
+			databaseConnection,
+			noteDao,
+			tagDao,
+			noteRevisionDao,
+			noteShareDao,
+			notePublicLinkDao,
+		);
+		userService = new UserService(databaseConnection, new UserDao(databaseConnection));
+
+		userId = userService.create("test").id;
+		apiKey = userService.issueApiKey(userId);
+
+		server = new Server(noteService, userService, { publicBaseUrl: `http://localhost:${port}` })
+			.buildApp()
+			.listen(port);
 	});
 
 	after(() => {
@@ -66,12 +188,15 @@ describe("Server HTTP API", () => {
 	});
 
 	afterEach(() => {
-		noteService.findAll().forEach((note) => noteService.deleteById(note.id));
+		noteService.findAll(userId).forEach((note) => noteService.deleteById(userId, note.id, undefined, true));
+		noteService
+			.listTrash(userId, NoteDao.MAX_PAGE_SIZE)
+			.notes.forEach((note) => noteService.deleteById(userId, note.id, undefined, true));
 	});
 
 	describe("root /api/v1", () => {
 		test("GET to / path returns alive response", async () => {
-			const response = await fetch(`${baseUrl}/`, {
+			const response = await authenticatedFetch(`${baseUrl}/`, {
 				headers: {
 					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
 					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
@@ -87,286 +212,3058 @@ describe("Server HTTP API", () => {
 		});
 	});
 
-	describe("NoteRoutes /api/v1/notes", () => {
-		test("GET /notes returns empty list when no notes exist", async () => {
-			const response = await fetch(`${baseUrl}/notes`, {
-				headers: {
-					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
-					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
-				},
+	describe("request correlation", () => {
+		/**
+		 * The lines logged while the tests run, parsed from JSON
+		 * @type {object[]}
+		 */
+		const logEntries = [];
+
+		/**
+		 * @type {winston.transport}
+		 */
+		let transport;
+
+		before(() => {
+			transport = new winston.transports.Stream({
+				stream: new Writable({
+					write(chunk, encoding, callback) {
+						logEntries.push(JSON.parse(chunk));
+						callback();
+					},
+				}),
 			});
+			logger.add(transport);
+		});
 
-			strictEqual(response.status, StatusCodes.OK);
-			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+		after(() => {
+			logger.remove(transport);
+		});
 
-			const body = await response.json();
+		/**
+		 * The access log is written once the connection is done with the response, which may be after
+		 * the client has read it
+		 * @param {string} requestId
+		 * @return {Promise<object>} the access log entry of the request
+		 */
+		async function findAccessLogEntry(requestId) {
+			for (let attempt = 0; attempt < 100; attempt++) {
+				const entry = logEntries.find((logEntry) => logEntry.requestId === requestId && "status" in logEntry);
+				if (entry) {
+					return entry;
+				}
+
+				await sleep(10);
+			}
 
-			deepStrictEqual(body.notes, []);
+			throw new Error(`No access log entry for request ${requestId}`);
+		}
+
+		test("a valid X-Request-Id is echoed back", async () => {
+			const response = await authenticatedFetch(`${baseUrl}/`, {
+				headers: { [HeaderFieldNames.X_REQUEST_ID]: "client-trace:42" },
+			});
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.X_REQUEST_ID), "client-trace:42");
 		});
 
-		test("GET /notes returns list with one note when one note exists", async () => {
-			const expectedNoteId = noteService.create(new NoteForCreate("testContent"));
-			const expectedNote = noteService.findById(expectedNoteId);
+		test("a request id is generated when none or an invalid one is sent", async () => {
+			for (const headers of [{}, { [HeaderFieldNames.X_REQUEST_ID]: "has spaces in it" }]) {
+				const response = await authenticatedFetch(`${baseUrl}/`, { headers: headers });
 
-			const response = await fetch(`${baseUrl}/notes`, {
+				strictEqual(response.status, StatusCodes.OK);
+				ok(
+					/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(
+						response.headers.get(HeaderFieldNames.X_REQUEST_ID),
+					),
+				);
+			}
+		});
+
+		test("every request is logged as a structured access log entry carrying its request id", async () => {
+			const response = await authenticatedFetch(`${baseUrl}/notes`, {
+				method: "POST",
 				headers: {
-					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
-					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
+					[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
+					[HeaderFieldNames.X_REQUEST_ID]: "access-log-test",
+					"User-Agent": "server-test",
 				},
+				body: JSON.stringify({ content: "logged" }),
 			});
 
-			strictEqual(response.status, StatusCodes.OK);
-			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
-
-			const body = await response.json();
+			strictEqual(response.status, StatusCodes.CREATED);
 
-			deepStrictEqual(body.notes, [
-				{
-					content: expectedNote.content,
-					creationDateTime: expectedNote.creationDateTime.toISOString(),
-					id: expectedNote.id.value,
-					lastUpdatedDateTime: expectedNote.lastUpdatedDateTime.toISOString(),
-				},
-			]);
+			const entry = await findAccessLogEntry("access-log-test");
+
+			strictEqual(entry.level, "info");
+			strictEqual(entry.message, "POST /api/v1/notes 201");
+			strictEqual(entry.method, "POST");
+			strictEqual(entry.url, "/api/v1/notes");
+			strictEqual(entry.status, StatusCodes.CREATED);
+			strictEqual(entry.userAgent, "server-test");
+			strictEqual(entry.referrer, null);
+			strictEqual(entry.userId, userId.value);
+			strictEqual(entry.pid, process.pid);
+			strictEqual(entry.completed, true);
+			ok(entry.bytesSent > 0);
+			ok(typeof entry.remoteAddress === "string");
+			ok(typeof entry.latencyMs === "number" && entry.latencyMs >= 0);
 		});
 
-		test("GET /notes?pageSize=10 returns list with first page of notes when more than page size notes exist", async () => {
-			const pageSize = 10;
+		test("requests rejected before authentication are logged without a user", async () => {
+			await fetch(`${baseUrl}/`, { headers: { [HeaderFieldNames.X_REQUEST_ID]: "unauthenticated-test" } });
 
-			buildNoteForCreateArray(pageSize + 1).forEach((noteForCreate) => noteService.create(noteForCreate));
+			const entry = await findAccessLogEntry("unauthenticated-test");
 
-			const expectedNotes = noteService.list(pageSize).notes.map((note) => {
-				return {
-					id: note.id.value,
-					content: note.content,
-					creationDateTime: note.creationDateTime.toISOString(),
-					lastUpdatedDateTime: note.lastUpdatedDateTime.toISOString(),
-				};
-			});
+			strictEqual(entry.status, StatusCodes.UNAUTHORIZED);
+			strictEqual(entry.userId, null);
+		});
+	});
 
-			const url = new URL(`${baseUrl}/notes`);
-			url.searchParams.append("pageSize", pageSize);
+	describe("authentication", () => {
+		/**
+		 * The id of another user
+		 * @type {UuidV4}
+		 */
+		let otherUserId;
+
+		/**
+		 * The API key of another user
+		 * @type {string}
+		 */
+		let otherApiKey;
+
+		before(() => {
+			otherUserId = userService.create("other").id;
+			otherApiKey = userService.issueApiKey(otherUserId);
+		});
 
-			const response = await fetch(url, {
-				headers: {
-					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
-					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
-				},
-			});
+		test("requests without an API key return 401 status with a Bearer challenge", async () => {
+			for (const path of ["/", "/notes", `/notes/${uuidv4()}`, `/notes/${uuidv4()}/public-links`, "/tags"]) {
+				const response = await fetch(`${baseUrl}${path}`);
 
-			strictEqual(response.status, StatusCodes.OK);
-			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+				strictEqual(response.status, StatusCodes.UNAUTHORIZED, path);
+				strictEqual(response.headers.get(HeaderFieldNames.WWW_AUTHENTICATE), 'Bearer realm="notes"', path);
+			}
+		});
 
-			const body = await response.json();
+		test("requests with an invalid API key return 401 status with an invalid_token challenge", async () => {
+			for (const authorization of [
+				"Bearer",
+				"Bearer nk_unknown",
+				`Bearer nk_${"a".repeat(43)}`,
+				`Basic ${Buffer.from(`test:${apiKey}`).toString("base64")}`,
+				apiKey,
+			]) {
+				const response = await authenticatedFetch(`${baseUrl}/notes`, {
+					headers: { [HeaderFieldNames.AUTHORIZATION]: authorization },
+				});
 
-			deepStrictEqual(body.notes, expectedNotes);
+				strictEqual(response.status, StatusCodes.UNAUTHORIZED, authorization);
+				strictEqual(
+					response.headers.get(HeaderFieldNames.WWW_AUTHENTICATE),
+					'Bearer realm="notes", error="invalid_token"',
+					authorization,
+				);
+			}
 		});
 
-		test("GET /notes?pageSize=10&afterId={id} returns list with next page of notes when more than page size notes exist", async () => {
-			const pageSize = 10;
+		test("revoked API keys return 401 status", async () => {
+			const revokedUserId = userService.create("revoked").id;
+			const revokedApiKey = userService.issueApiKey(revokedUserId);
+			const headers = { [HeaderFieldNames.AUTHORIZATION]: `Bearer ${revokedApiKey}` };
 
-			buildNoteForCreateArray(pageSize + 1).forEach((noteForCreate) => noteService.create(noteForCreate));
+			strictEqual((await authenticatedFetch(`${baseUrl}/notes`, { headers: headers })).status, StatusCodes.OK);
 
-			const expectedFirstPageNotes = noteService.list(pageSize).notes.map((note) => {
-				return {
-					id: note.id.value,
-					content: note.content,
-					creationDateTime: note.creationDateTime.toISOString(),
-					lastUpdatedDateTime: note.lastUpdatedDateTime.toISOString(),
-				};
-			});
+			userService.revokeApiKeys(revokedUserId);
 
-			const firstPageUrl = new URL(`${baseUrl}/notes`);
-			firstPageUrl.searchParams.append("pageSize", pageSize);
+			strictEqual(
+				(await authenticatedFetch(`${baseUrl}/notes`, { headers: headers })).status,
+				StatusCodes.UNAUTHORIZED,
+			);
+		});
 
-			const firstPageResponse = await fetch(firstPageUrl, {
-				headers: {
-					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
-					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
-				},
-			});
+		test("notes of other users are not listed and return 404 status", async () => {
+			const otherNoteId = noteService.create(otherUserId, new NoteForCreate("otherContent", ["other"]));
+			const otherHeaders = { [HeaderFieldNames.AUTHORIZATION]: `Bearer ${otherApiKey}` };
 
-			strictEqual(firstPageResponse.status, StatusCodes.OK);
-			strictEqual(firstPageResponse.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+			try {
+				const listResponse = await authenticatedFetch(`${baseUrl}/notes`);
+				deepStrictEqual((await listResponse.json()).notes, []);
+
+				const tagsResponse = await authenticatedFetch(`${baseUrl}/tags`);
+				deepStrictEqual((await tagsResponse.json()).tags, []);
+
+				for (const [method, path, body] of [
+					["GET", `/notes/${otherNoteId.value}`],
+					["PUT", `/notes/${otherNoteId.value}`, { content: "changed", tags: [] }],
+					["DELETE", `/notes/${otherNoteId.value}`],
+					["GET", `/notes/${otherNoteId.value}/revisions`],
+				]) {
+					const response = await authenticatedFetch(`${baseUrl}${path}`, {
+						method: method,
+						headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON },
+						body: body && JSON.stringify(body),
+					});
+
+					strictEqual(response.status, StatusCodes.NOT_FOUND, `${method} ${path}`);
+				}
+
+				const ownerResponse = await authenticatedFetch(`${baseUrl}/notes/${otherNoteId.value}`, {
+					headers: otherHeaders,
+				});
 
-			const firstPageBody = await firstPageResponse.json();
+				strictEqual(ownerResponse.status, StatusCodes.OK);
+				strictEqual((await ownerResponse.json()).content, "otherContent");
+			} finally {
+				noteService.deleteById(otherUserId, otherNoteId, undefined, true);
+			}
+		});
+	});
 
-			deepStrictEqual(firstPageBody.notes, expectedFirstPageNotes);
+	describe("JWT authentication", () => {
+		const jwtPort = port + 2;
+		const jwtBaseUrl = `http://localhost:${jwtPort}/api/v1`;
+		const issuer = "https://idp.example.com/";
+		const audience = "notes-api";
+		const { publicKey, privateKey } = generateKeyPairSync("ec", { namedCurve: "P-256" });
+
+		/**
+		 * @type {http.Server}
+		 */
+		let jwtServer;
+
+		/**
+		 * Sign a token with the identity provider's key
+		 * @param {object} claims overrides of the default claims
+		 * @return {string} the token
+		 */
+		function signToken(claims = {}) {
+			const nowSeconds = Math.floor(Date.now() / 1000);
+			const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+			const signingInput = `${encode({ alg: "ES256", typ: "JWT", kid: "idp" })}.${encode({
+				iss: issuer,
+				aud: audience,
+				sub: "jwt-subject",
+				preferred_username: "jwt-user",
+				iat: nowSeconds,
+				exp: nowSeconds + 300,
+				...claims,
+			})}`;
+			const signature = sign("sha256", Buffer.from(signingInput), { key: privateKey, dsaEncoding: "ieee-p1363" });
+
+			return `${signingInput}.${signature.toString("base64url")}`;
+		}
+
+		before(() => {
+			const jwks = { keys: [{ ...publicKey.export({ format: "jwk" }), kid: "idp", use: "sig" }] };
+			const jwtVerifier = new JwtVerifier(new JwksKeySet(jwks), { issuer: issuer, audience: audience });
+
+			jwtServer = new Server(noteService, userService, { jwtVerifier: jwtVerifier }).buildApp().listen(jwtPort);
+		});
 
-			const afterId = firstPageBody.notes[firstPageBody.notes.length - 1].id;
+		after(() => {
+			jwtServer.close();
+		});
 
-			const expectedSecondPageNotes = noteService.list(pageSize, new UuidV4(afterId)).notes.map((note) => {
-				return {
-					id: note.id.value,
-					content: note.content,
-					creationDateTime: note.creationDateTime.toISOString(),
-					lastUpdatedDateTime: note.lastUpdatedDateTime.toISOString(),
-				};
-			});
+		test("constructor rejects invalid jwtVerifier option", () => {
+			for (const jwtVerifier of [null, {}, "verifier"]) {
+				throws(() => new Server(noteService, userService, { jwtVerifier: jwtVerifier }), TypeError);
+			}
+		});
 
-			const secondPageUrl = new URL(`${baseUrl}/notes`);
-			secondPageUrl.searchParams.append("pageSize", pageSize);
-			secondPageUrl.searchParams.append("afterId", afterId);
-			console.log(`secondPageUrl: ${secondPageUrl}`);
+		test("valid tokens create the user on first use and act as that user", async () => {
+			const headers = { [HeaderFieldNames.AUTHORIZATION]: `Bearer ${signToken()}` };
 
-			const secondPageResponse = await fetch(secondPageUrl, {
-				headers: {
-					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
-					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
-				},
+			const createResponse = await fetch(`${jwtBaseUrl}/notes`, {
+				method: "POST",
+				headers: { ...headers, [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON },
+				body: JSON.stringify({ content: "jwtContent" }),
 			});
 
-			const secondPageBody = await secondPageResponse.json();
-			console.log(secondPageBody);
+			strictEqual(createResponse.status, StatusCodes.CREATED);
+
+			const jwtUser = userService.findByName("jwt-user");
+			ok(jwtUser);
+
+			const { id } = await createResponse.json();
+
+			try {
+				const response = await fetch(`${jwtBaseUrl}/notes/${id}`, {
+					headers: { [HeaderFieldNames.AUTHORIZATION]: `Bearer ${signToken({ preferred_username: "renamed" })}` },
+				});
 
-			strictEqual(secondPageResponse.status, StatusCodes.OK);
-			strictEqual(secondPageResponse.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+				strictEqual(response.status, StatusCodes.OK);
+				strictEqual((await response.json()).ownerId, jwtUser.id.value);
+				strictEqual(userService.findByName("renamed"), null);
 
-			deepStrictEqual(secondPageBody.notes, expectedSecondPageNotes);
+				const apiKeyResponse = await authenticatedFetch(`${jwtBaseUrl}/notes/${id}`);
+				strictEqual(apiKeyResponse.status, StatusCodes.NOT_FOUND);
+			} finally {
+				noteService.deleteById(jwtUser.id, new UuidV4(id), undefined, true);
+			}
 		});
 
-		test("GET /notes/:id returns 404 status when no corresponding note exists", async () => {
-			const id = uuidv4();
+		test("invalid tokens return 401 status with an invalid_token challenge", async () => {
+			const nowSeconds = Math.floor(Date.now() / 1000);
+			const validToken = signToken();
+
+			for (const token of [
+				signToken({ exp: nowSeconds - 3600 }),
+				signToken({ iss: "https://other.example.com/" }),
+				signToken({ aud: "other" }),
+				`${validToken.slice(0, validToken.lastIndexOf(".") + 1)}${Buffer.alloc(64).toString("base64url")}`,
+			]) {
+				const response = await fetch(`${jwtBaseUrl}/notes`, {
+					headers: { [HeaderFieldNames.AUTHORIZATION]: `Bearer ${token}` },
+				});
 
-			const response = await fetch(`${baseUrl}/notes/${id}`, {
-				headers: {
-					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
-					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
-				},
+				strictEqual(response.status, StatusCodes.UNAUTHORIZED);
+				strictEqual(
+					response.headers.get(HeaderFieldNames.WWW_AUTHENTICATE),
+					'Bearer realm="notes", error="invalid_token"',
+				);
+			}
+		});
+
+		test("tokens are not accepted by servers without a verifier", async () => {
+			const response = await fetch(`${baseUrl}/notes`, {
+				headers: { [HeaderFieldNames.AUTHORIZATION]: `Bearer ${signToken()}` },
 			});
 
-			strictEqual(response.status, StatusCodes.NOT_FOUND);
-			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), null);
+			strictEqual(response.status, StatusCodes.UNAUTHORIZED);
+		});
+	});
 
-			const body = await response.text();
+	describe("rate limiting", () => {
+		const rateLimitPort = port + 3;
+		const rateLimitBaseUrl = `http://localhost:${rateLimitPort}/api/v1`;
+
+		/**
+		 * @type {http.Server}
+		 */
+		let rateLimitServer;
+
+		const proxiedPort = port + 6;
+		const proxiedBaseUrl = `http://localhost:${proxiedPort}/api/v1`;
+
+		/**
+		 * @type {http.Server}
+		 */
+		let proxiedServer;
+
+		before(() => {
+			const rateLimitConnection = SqliteConnectionFactory.createConnection(":memory:");
+			// Budgets refill so slowly that they do not refill during the tests
+			const rateLimitService = new RateLimitService(rateLimitConnection, new RateLimitDao(rateLimitConnection), {
+				read: new TokenBucketPolicy(3, 0.001),
+				write: new TokenBucketPolicy(1, 0.001),
+			});
 
-			deepStrictEqual(body, "");
+			rateLimitServer = new Server(noteService, userService, { rateLimitService: rateLimitService })
+				.buildApp()
+				.listen(rateLimitPort);
+			proxiedServer = new Server(noteService, userService, {
+				rateLimitService: rateLimitService,
+				trustProxy: ["loopback"],
+			})
+				.buildApp()
+				.listen(proxiedPort);
 		});
 
-		test("GET /notes/:id returns note when corresponding note exists", async () => {
-			const expectedNoteId = noteService.create(new NoteForCreate("testContent"));
-			const expectedNote = noteService.findById(expectedNoteId);
+		after(() => {
+			rateLimitServer.close();
+			proxiedServer.close();
+		});
 
-			const response = await fetch(`${baseUrl}/notes/${expectedNoteId.value}`, {
-				headers: {
-					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
-					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
-				},
-			});
+		/**
+		 * @param {string} name
+		 * @return {Object<string, string>} headers authenticating requests as a new user
+		 */
+		function newUserHeaders(name) {
+			return {
+				[HeaderFieldNames.AUTHORIZATION]: `Bearer ${userService.issueApiKey(userService.create(name).id)}`,
+				[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
+			};
+		}
+
+		test("constructor rejects invalid rateLimitService option", () => {
+			for (const rateLimitService of [null, {}, "limiter"]) {
+				throws(() => new Server(noteService, userService, { rateLimitService: rateLimitService }), TypeError);
+			}
+		});
 
-			strictEqual(response.status, StatusCodes.OK);
-			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+		test("requests over the read budget return 429 status with Retry-After and RateLimit headers", async () => {
+			const headers = newUserHeaders("rate-limited-reader");
 
-			const body = await response.json();
+			for (const expectedRemaining of ["2", "1", "0"]) {
+				const response = await fetch(`${rateLimitBaseUrl}/notes`, { headers: headers });
 
-			deepStrictEqual(body, {
-				id: expectedNote.id.value,
-				content: expectedNote.content,
-				creationDateTime: expectedNote.creationDateTime.toISOString(),
-				lastUpdatedDateTime: expectedNote.lastUpdatedDateTime.toISOString(),
-			});
+				strictEqual(response.status, StatusCodes.OK);
+				strictEqual(response.headers.get(HeaderFieldNames.RATE_LIMIT_LIMIT), "3");
+				strictEqual(response.headers.get(HeaderFieldNames.RATE_LIMIT_REMAINING), expectedRemaining);
+				strictEqual(response.headers.get(HeaderFieldNames.RATE_LIMIT_POLICY), '3;w=3000;comment="read"');
+			}
+
+			const limitedResponse = await fetch(`${rateLimitBaseUrl}/notes`, { headers: headers });
+
+			strictEqual(limitedResponse.status, StatusCodes.TOO_MANY_REQUESTS);
+			strictEqual(limitedResponse.headers.get(HeaderFieldNames.RATE_LIMIT_REMAINING), "0");
+			ok(parseInt(limitedResponse.headers.get(HeaderFieldNames.RETRY_AFTER), 10) > 0);
+			ok(parseInt(limitedResponse.headers.get(HeaderFieldNames.RATE_LIMIT_RESET), 10) > 0);
+			strictEqual((await limitedResponse.json()).code, "rate-limited");
 		});
 
-		test("POST /notes creates note", async () => {
-			const note = { content: "testContent" };
+		test("reads and writes have separate budgets", async () => {
+			const headers = newUserHeaders("rate-limited-writer");
 
-			const response = await fetch(`${baseUrl}/notes`, {
-				body: JSON.stringify(note),
-				headers: {
-					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
-					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
-					[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
-				},
+			const createResponse = await fetch(`${rateLimitBaseUrl}/notes`, {
 				method: "POST",
+				headers: headers,
+				body: JSON.stringify({ content: "rateLimitedContent" }),
 			});
+			strictEqual(createResponse.status, StatusCodes.CREATED);
+			strictEqual(createResponse.headers.get(HeaderFieldNames.RATE_LIMIT_LIMIT), "1");
 
-			strictEqual(response.status, StatusCodes.CREATED);
-			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+			const limitedResponse = await fetch(`${rateLimitBaseUrl}/notes`, {
+				method: "POST",
+				headers: headers,
+				body: JSON.stringify({ content: "rateLimitedContent" }),
+			});
+			strictEqual(limitedResponse.status, StatusCodes.TOO_MANY_REQUESTS);
 
-			const body = await response.json();
+			const readResponse = await fetch(`${rateLimitBaseUrl}/notes`, { headers: headers });
+			strictEqual(readResponse.status, StatusCodes.OK);
+		});
 
-			ok(new UuidV4(body.id));
+		test("each user has their own budgets", async () => {
+			const headers = newUserHeaders("rate-limited-user");
+			const otherHeaders = newUserHeaders("rate-limited-other-user");
+
+			for (let i = 0; i < 4; i++) {
+				await fetch(`${rateLimitBaseUrl}/tags`, { headers: headers });
+			}
+
+			strictEqual(
+				(await fetch(`${rateLimitBaseUrl}/tags`, { headers: headers })).status,
+				StatusCodes.TOO_MANY_REQUESTS,
+			);
+			strictEqual((await fetch(`${rateLimitBaseUrl}/tags`, { headers: otherHeaders })).status, StatusCodes.OK);
 		});
 
-		test("PUT /notes/:id returns 404 status when no corresponding note exists", async () => {
-			try {
-				const id = uuidv4();
+		test("public link requests are limited by IP address", async () => {
+			const url = `${rateLimitBaseUrl}/public/pl_${"a".repeat(43)}`;
 
-				const response = await fetch(`${baseUrl}/notes/${id}`, {
-					headers: {
-						[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
-						[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
-						[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
-					},
-					body: JSON.stringify({ id: id, content: "testContent" }),
-					method: "PUT",
-				});
+			for (let i = 0; i < 3; i++) {
+				strictEqual((await fetch(url)).status, StatusCodes.NOT_FOUND);
+			}
 
-				strictEqual(response.status, StatusCodes.NOT_FOUND);
-				strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), null);
+			strictEqual((await fetch(url)).status, StatusCodes.TOO_MANY_REQUESTS);
+		});
 
-				const body = await response.text();
+		test("constructor rejects invalid trustProxy option", () => {
+			for (const trustProxy of [null, "loopback", -1, 1.5, [1]]) {
+				throws(() => new Server(noteService, userService, { trustProxy: trustProxy }), TypeError);
+			}
+		});
 
-				deepStrictEqual(body, "");
-			} catch (err) {
-				logger.error("failed to PUT note", err);
+		test("requests through trusted proxies are limited by the client IP address they forward", async () => {
+			const url = `${proxiedBaseUrl}/public/pl_${"b".repeat(43)}`;
+			const clientHeaders = { [HeaderFieldNames.X_FORWARDED_FOR]: "203.0.113.1" };
+
+			for (let i = 0; i < 3; i++) {
+				strictEqual((await fetch(url, { headers: clientHeaders })).status, StatusCodes.NOT_FOUND);
 			}
+
+			strictEqual((await fetch(url, { headers: clientHeaders })).status, StatusCodes.TOO_MANY_REQUESTS);
+
+			const otherClientHeaders = { [HeaderFieldNames.X_FORWARDED_FOR]: "203.0.113.2" };
+			strictEqual((await fetch(url, { headers: otherClientHeaders })).status, StatusCodes.NOT_FOUND);
 		});
 
-		test("PUT /notes/:id updates existing note", async () => {
-			const id = noteService.create(new NoteForCreate("testContent"));
-			const note = { id: id, content: "testContent" };
+		test("repeated failed authentication is limited by IP address", async () => {
+			// Writes have a budget of one request, and no other test writes without authenticating
+			const invalidResponse = await fetch(`${rateLimitBaseUrl}/notes`, {
+				method: "POST",
+				headers: { [HeaderFieldNames.AUTHORIZATION]: "Bearer guessedKey" },
+			});
 
-			const response = await fetch(`${baseUrl}/notes/${id.value}`, {
-				body: JSON.stringify(note),
-				headers: {
-					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
-					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
-					[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
-				},
-				method: "PUT",
+			strictEqual(invalidResponse.status, StatusCodes.UNAUTHORIZED);
+			strictEqual(invalidResponse.headers.get(HeaderFieldNames.RATE_LIMIT_REMAINING), "0");
+
+			for (const headers of [{ [HeaderFieldNames.AUTHORIZATION]: "Bearer otherGuessedKey" }, {}]) {
+				const limitedResponse = await fetch(`${rateLimitBaseUrl}/notes`, { method: "POST", headers: headers });
+
+				strictEqual(limitedResponse.status, StatusCodes.TOO_MANY_REQUESTS);
+				ok(parseInt(limitedResponse.headers.get(HeaderFieldNames.RETRY_AFTER), 10) > 0);
+				strictEqual((await limitedResponse.json()).code, "rate-limited");
+			}
+
+			// Users sharing the IP address are still limited by their own budgets
+			const response = await fetch(`${rateLimitBaseUrl}/notes`, {
+				method: "POST",
+				headers: newUserHeaders("rate-limited-neighbour"),
+				body: JSON.stringify({ content: "rateLimitedContent" }),
 			});
+			strictEqual(response.status, StatusCodes.CREATED);
+		});
 
-			strictEqual(response.status, StatusCodes.NO_CONTENT);
-			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), null);
+		test("servers without a rateLimitService do not limit requests", async () => {
+			const response = await authenticatedFetch(`${baseUrl}/notes`);
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.RATE_LIMIT_LIMIT), null);
 		});
+	});
 
-		test("DELETE /notes/:id returns 404 status when no corresponding note exists", async () => {
-			const id = uuidv4();
+	describe("health probes", () => {
+		const healthPort = port + 4;
+		const healthBaseUrl = `http://localhost:${healthPort}`;
 
-			const response = await fetch(`${baseUrl}/notes/${id}`, {
-				headers: {
-					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
-					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
-				},
-				method: "DELETE",
-			});
+		/**
+		 * @type {HealthService}
+		 */
+		let healthService;
 
-			strictEqual(response.status, StatusCodes.NOT_FOUND);
-			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), null);
+		/**
+		 * @type {http.Server}
+		 */
+		let healthServer;
 
-			const body = await response.text();
+		before(() => {
+			const healthConnection = SqliteConnectionFactory.createConnection(":memory:");
+			healthService = new HealthService(healthConnection, new MigrationRunner(healthConnection));
 
-			deepStrictEqual(body, "");
+			healthServer = new Server(noteService, userService, { healthService: healthService })
+				.buildApp()
+				.listen(healthPort);
 		});
 
-		test("DELETE /notes/:id deletes existing note", async () => {
-			const id = noteService.create(new NoteForCreate("testContent"));
+		after(() => {
+			healthServer.close();
+		});
 
-			const response = await fetch(`${baseUrl}/notes/${id.value}`, {
-				headers: {
-					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
-					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
-				},
-				method: "DELETE",
-			});
+		test("constructor rejects invalid healthService option", () => {
+			for (const invalidHealthService of [null, {}, "health"]) {
+				throws(() => new Server(noteService, userService, { healthService: invalidHealthService }), TypeError);
+			}
+		});
 
-			strictEqual(response.status, StatusCodes.NO_CONTENT);
-			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), null);
+		test("GET /healthz reports the process is alive without authentication", async () => {
+			const response = await fetch(`${healthBaseUrl}/healthz`);
 
-			const body = await response.text();
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.CACHE_CONTROL), "no-store");
 
-			deepStrictEqual(body, "");
+			const body = await response.json();
+
+			strictEqual(body.status, HealthService.PASS);
+			strictEqual(body.pid, process.pid);
+			ok(Number.isInteger(body.uptimeSeconds));
+		});
+
+		test("GET /readyz reports each check, then not ready once draining", async () => {
+			const readyResponse = await fetch(`${healthBaseUrl}/readyz`);
+
+			strictEqual(readyResponse.status, StatusCodes.OK);
+			strictEqual(readyResponse.headers.get(HeaderFieldNames.CACHE_CONTROL), "no-store");
+
+			const readyBody = await readyResponse.json();
+
+			strictEqual(readyBody.status, HealthService.PASS);
+			deepStrictEqual(Object.keys(readyBody.checks), ["shutdown", "database", "wal", "migrations"]);
+
+			healthService.startDraining();
+
+			const drainingResponse = await fetch(`${healthBaseUrl}/readyz`);
+
+			strictEqual(drainingResponse.status, StatusCodes.SERVICE_UNAVAILABLE);
+
+			const drainingBody = await drainingResponse.json();
+
+			strictEqual(drainingBody.status, HealthService.FAIL);
+			strictEqual(drainingBody.checks.shutdown.status, HealthService.FAIL);
+			strictEqual(drainingBody.checks.database.status, HealthService.PASS);
+		});
+
+		test("probes are not served without a health service", async () => {
+			const response = await fetch(`http://localhost:${port}/readyz`);
+
+			strictEqual(response.status, StatusCodes.NOT_FOUND);
+		});
+	});
+
+	describe("metrics", () => {
+		const metricsPort = port + 5;
+		const metricsUrl = `http://localhost:${metricsPort}/metrics`;
+
+		/**
+		 * @type {http.Server}
+		 */
+		let metricsServer;
+
+		before(() => {
+			setNoteCounter(() => noteService.countAll());
+
+			metricsServer = new Server(noteService, userService, { clusterMetrics: new ClusterMetrics() })
+				.buildApp()
+				.listen(metricsPort);
+		});
+
+		after(() => {
+			metricsServer.close();
+		});
+
+		/**
+		 * Requests are observed once the connection is done with the response, which may be after the client has read it
+		 * @param {string} expectedLine
+		 * @return {Promise<string>} the metrics, once they include the line
+		 */
+		async function fetchMetricsIncluding(expectedLine) {
+			for (let attempt = 0; attempt < 100; attempt++) {
+				const response = await fetch(metricsUrl);
+				const metrics = await response.text();
+				if (metrics.split("\n").some((line) => line.startsWith(expectedLine))) {
+					return metrics;
+				}
+
+				await sleep(10);
+			}
+
+			throw new Error(`The metrics do not include ${expectedLine}`);
+		}
+
+		test("constructor rejects invalid clusterMetrics option", () => {
+			for (const invalidClusterMetrics of [null, {}, "metrics"]) {
+				throws(() => new Server(noteService, userService, { clusterMetrics: invalidClusterMetrics }), TypeError);
+			}
+		});
+
+		test("GET /metrics serves the metrics in the Prometheus text format without authentication", async () => {
+			const response = await fetch(metricsUrl);
+
+			strictEqual(response.status, StatusCodes.OK);
+			ok(response.headers.get(HeaderFieldNames.CONTENT_TYPE).includes("version=0.0.4"));
+			strictEqual(response.headers.get(HeaderFieldNames.CACHE_CONTROL), "no-store");
+
+			const metrics = await response.text();
+
+			for (const name of [
+				"nodejs_eventloop_lag_seconds",
+				"nodejs_heap_size_used_bytes",
+				"notes_db_transaction_retries_total",
+				"notes_db_busy_errors_total",
+			]) {
+				ok(metrics.includes(`# TYPE ${name} `), name);
+			}
+		});
+
+		test("requests are counted and timed by route and status", async () => {
+			const noteId = noteService.create(userId, new NoteForCreate("measured"));
+
+			strictEqual((await authenticatedFetch(`${baseUrl}/notes/${noteId.value}`)).status, StatusCodes.OK);
+			strictEqual((await fetch(`${baseUrl}/notes/${noteId.value}`)).status, StatusCodes.UNAUTHORIZED);
+
+			const metrics = await fetchMetricsIncluding(
+				'notes_http_requests_total{method="GET",route="unmatched",status="401"}',
+			);
+
+			ok(metrics.includes('notes_http_requests_total{method="GET",route="/api/v1/notes/:id",status="200"}'));
+			ok(
+				metrics.includes(
+					'notes_http_request_duration_seconds_count{method="GET",route="/api/v1/notes/:id",status="200"}',
+				),
+			);
+			ok(metrics.includes('notes_note_dao_query_duration_seconds_count{operation="findById"}'));
+			ok(!metrics.includes(noteId.value));
+		});
+
+		test("the notes of every user are counted", async () => {
+			noteService.create(userId, new NoteForCreate("kept"));
+			noteService.deleteById(userId, noteService.create(userId, new NoteForCreate("trashed")));
+
+			// Other tests leave notes of other users behind
+			const { active, trashed } = noteService.countAll();
+			ok(active >= 1 && trashed >= 1);
+
+			const metrics = await (await fetch(metricsUrl)).text();
+
+			ok(metrics.includes(`notes_notes{state="active"} ${active}\n`));
+			ok(metrics.includes(`notes_notes{state="trashed"} ${trashed}\n`));
+		});
+	});
+
+	describe("OpenAPI document", () => {
+		test("constructor rejects invalid validateResponses option", () => {
+			for (const validateResponses of [null, "true", 1]) {
+				throws(() => new Server(noteService, userService, { validateResponses: validateResponses }), TypeError);
+			}
+		});
+
+		test("GET /openapi.json serves the document without authentication", async () => {
+			const response = await fetch(`${baseUrl}/openapi.json`);
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+			deepStrictEqual(await response.json(), JSON.parse(JSON.stringify(openApiDocument)));
+		});
+
+		test("GET /docs serves a page describing every operation without authentication", async () => {
+			const response = await fetch(`${baseUrl}/docs`);
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.TEXT_HTML_UTF8);
+			ok(response.headers.get(HeaderFieldNames.CONTENT_SECURITY_POLICY).startsWith("default-src 'none'"));
+
+			const html = await response.text();
+
+			for (const pathItem of Object.values(openApiDocument.paths)) {
+				for (const operation of Object.values(pathItem).filter((operation) => operation.operationId)) {
+					ok(html.includes(`<section id="${operation.operationId}">`), operation.operationId);
+				}
+			}
+
+			// Problem type URIs link to their description on the page
+			for (const code of openApiDocument.components.schemas.Problem.properties.code.enum) {
+				ok(html.includes(`id="problem-${code}"`), code);
+			}
+		});
+
+		test("requests not matching the document are rejected before reaching the routes", async () => {
+			for (const [url, init, expectedError] of [
+				[`${baseUrl}/notes/trash?pageSize=0`, {}, "query.pageSize must be >= 1"],
+				[`${baseUrl}/notes?pageSize=1e1`, {}, "query.pageSize must be integer"],
+				[`${baseUrl}/notes/search?q=%20`, {}, "query.q must match pattern"],
+				[`${baseUrl}/notes/${uuidv4()}/revisions/first`, {}, "path.revision must be integer"],
+				[`${baseUrl}/NOTES/abc`, {}, "path.id must match pattern"],
+				[`${baseUrl}/notes//abc`, {}, "path.id must match pattern"],
+				[`${baseUrl}/notes/abc/Revisions`, {}, "path.id must match pattern"],
+				[
+					`${baseUrl}/notes/Batch`,
+					{
+						method: "POST",
+						headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON },
+						body: JSON.stringify({}),
+					},
+					"body must have required property 'operations'",
+				],
+				[
+					`${baseUrl}/notes`,
+					{
+						method: "POST",
+						headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON },
+						body: JSON.stringify({ tags: [] }),
+					},
+					"body must have required property 'content'",
+				],
+			]) {
+				const response = await authenticatedFetch(url, init);
+
+				strictEqual(response.status, StatusCodes.BAD_REQUEST, url);
+				ok((await response.json()).detail.includes(expectedError), url);
+			}
+		});
+
+		test("requests are authenticated before they are validated", async () => {
+			const response = await fetch(`${baseUrl}/notes/trash?pageSize=0`);
+
+			strictEqual(response.status, StatusCodes.UNAUTHORIZED);
+		});
+	});
+
+	describe("problem details", () => {
+		test("malformed JSON bodies return 400 status with a malformed-body problem carrying the request id", async () => {
+			const response = await authenticatedFetch(`${baseUrl}/notes`, {
+				method: "POST",
+				headers: {
+					[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
+					[HeaderFieldNames.X_REQUEST_ID]: "malformed-body-test",
+				},
+				body: '{"content": ',
+			});
+
+			strictEqual(response.status, StatusCodes.BAD_REQUEST);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_PROBLEM_JSON_UTF8);
+			deepStrictEqual(await response.json(), {
+				type: "/api/v1/docs#problem-malformed-body",
+				title: "The request body is not valid JSON",
+				status: StatusCodes.BAD_REQUEST,
+				detail: "The request body could not be parsed as JSON",
+				instance: "/api/v1/notes",
+				code: "malformed-body",
+				requestId: "malformed-body-test",
+			});
+		});
+
+		test("bodies over the limit return 413 status with a payload-too-large problem", async () => {
+			const limitedPort = 3007;
+			const limitedServer = new Server(noteService, userService, { bodyLimitBytes: 16 }).buildApp().listen(limitedPort);
+
+			try {
+				const response = await authenticatedFetch(`http://localhost:${limitedPort}/api/v1/notes`, {
+					method: "POST",
+					headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON },
+					body: JSON.stringify({ content: "longer than sixteen bytes" }),
+				});
+
+				strictEqual(response.status, StatusCodes.REQUEST_TOO_LONG);
+				strictEqual((await response.json()).code, "payload-too-large");
+			} finally {
+				limitedServer.close();
+			}
+		});
+
+		test("unexpected errors return 500 status without revealing their message", async () => {
+			noteService.listTags = () => {
+				throw new DaoError("SQLITE_CORRUPT: database disk image is malformed");
+			};
+
+			try {
+				const response = await authenticatedFetch(`${baseUrl}/tags`);
+
+				strictEqual(response.status, StatusCodes.INTERNAL_SERVER_ERROR);
+				strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_PROBLEM_JSON_UTF8);
+
+				const body = await response.json();
+
+				strictEqual(body.code, "internal-error");
+				ok(!body.detail.includes("SQLITE"), body.detail);
+				strictEqual(body.requestId, response.headers.get(HeaderFieldNames.X_REQUEST_ID));
+			} finally {
+				delete noteService.listTags;
+			}
+		});
+
+		test("requests no route handles return 404 status with a not-found problem", async () => {
+			for (const [url, init] of [
+				[`${baseUrl}/nothing-here`, { headers: { [HeaderFieldNames.AUTHORIZATION]: `Bearer ${apiKey}` } }],
+				[`http://localhost:${port}/nothing-here`, {}],
+			]) {
+				const response = await fetch(url, init);
+
+				strictEqual(response.status, StatusCodes.NOT_FOUND, url);
+				strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_PROBLEM_JSON_UTF8);
+				strictEqual((await response.json()).code, "not-found", url);
+			}
+		});
+
+		test("unauthenticated requests return 401 status with an unauthorized problem and a challenge", async () => {
+			const response = await fetch(`${baseUrl}/notes`);
+
+			strictEqual(response.status, StatusCodes.UNAUTHORIZED);
+			strictEqual(response.headers.get("WWW-Authenticate"), 'Bearer realm="notes"');
+			strictEqual((await response.json()).code, "unauthorized");
+		});
+	});
+
+	describe("sharing /api/v1/notes/:id/shares", () => {
+		/**
+		 * The id of the user notes are shared with
+		 * @type {UuidV4}
+		 */
+		let granteeId;
+
+		/**
+		 * The headers authenticating requests as the user notes are shared with
+		 * @type {Object<string, string>}
+		 */
+		let granteeHeaders;
+
+		before(() => {
+			granteeId = userService.create("grantee").id;
+			granteeHeaders = {
+				[HeaderFieldNames.AUTHORIZATION]: `Bearer ${userService.issueApiKey(granteeId)}`,
+				[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
+			};
+		});
+
+		/**
+		 * @param {UuidV4} id
+		 * @param {object} body
+		 * @param {Object<string, string>} headers
+		 * @return {Promise<Response>}
+		 */
+		function postShare(id, body, headers = {}) {
+			return authenticatedFetch(`${baseUrl}/notes/${id.value}/shares`, {
+				method: "POST",
+				headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON, ...headers },
+				body: JSON.stringify(body),
+			});
+		}
+
+		test("POST /notes/:id/shares shares a note and GET lists its shares", async () => {
+			const id = noteService.create(userId, new NoteForCreate("sharedContent"));
+
+			const response = await postShare(id, { userName: "grantee", permission: "read" });
+
+			strictEqual(response.status, StatusCodes.OK);
+
+			const share = await response.json();
+			strictEqual(share.noteId, id.value);
+			strictEqual(share.userId, granteeId.value);
+			strictEqual(share.userName, "grantee");
+			strictEqual(share.permission, "read");
+
+			const upgradeResponse = await postShare(id, { userName: "grantee", permission: "write" });
+			strictEqual((await upgradeResponse.json()).permission, "write");
+
+			const listResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}/shares`);
+
+			strictEqual(listResponse.status, StatusCodes.OK);
+			deepStrictEqual(
+				(await listResponse.json()).shares.map((share) => [share.userName, share.permission]),
+				[["grantee", "write"]],
+			);
+		});
+
+		test("POST /notes/:id/shares rejects invalid shares", async () => {
+			const id = noteService.create(userId, new NoteForCreate("sharedContent"));
+
+			for (const [body, expectedStatus] of [
+				[{ permission: "read" }, StatusCodes.BAD_REQUEST],
+				[{ userName: "grantee" }, StatusCodes.BAD_REQUEST],
+				[{ userName: "grantee", permission: "admin" }, StatusCodes.BAD_REQUEST],
+				[{ userName: "nobody", permission: "read" }, StatusCodes.UNPROCESSABLE_ENTITY],
+				[{ userName: "test", permission: "read" }, StatusCodes.UNPROCESSABLE_ENTITY],
+			]) {
+				const response = await postShare(id, body);
+
+				strictEqual(response.status, expectedStatus, JSON.stringify(body));
+			}
+
+			strictEqual(
+				(await postShare(new UuidV4(uuidv4()), { userName: "grantee", permission: "read" })).status,
+				StatusCodes.NOT_FOUND,
+			);
+		});
+
+		test("POST /notes/:id/shares does not reveal which user names exist to users other than the owner", async () => {
+			const id = noteService.create(userId, new NoteForCreate("sharedContent"));
+			const outsiderHeaders = {
+				[HeaderFieldNames.AUTHORIZATION]: `Bearer ${userService.issueApiKey(userService.create("outsider").id)}`,
+			};
+
+			for (const userName of ["grantee", "test", "nobody"]) {
+				const response = await postShare(id, { userName: userName, permission: "read" }, outsiderHeaders);
+
+				strictEqual(response.status, StatusCodes.NOT_FOUND, userName);
+			}
+
+			await postShare(id, { userName: "grantee", permission: "read" });
+
+			for (const userName of ["outsider", "nobody"]) {
+				const response = await fetch(`${baseUrl}/notes/${id.value}/shares`, {
+					method: "POST",
+					headers: granteeHeaders,
+					body: JSON.stringify({ userName: userName, permission: "write" }),
+				});
+
+				strictEqual(response.status, StatusCodes.FORBIDDEN, userName);
+			}
+		});
+
+		test("read shares allow reading but not changing the note", async () => {
+			const id = noteService.create(userId, new NoteForCreate("sharedContent", ["shared"]));
+			noteService.update(userId, new NoteForUpdate(id, "updatedSharedContent", ["shared"]));
+			await postShare(id, { userName: "grantee", permission: "read" });
+
+			const getResponse = await fetch(`${baseUrl}/notes/${id.value}`, { headers: granteeHeaders });
+			strictEqual(getResponse.status, StatusCodes.OK);
+			strictEqual((await getResponse.json()).ownerId, userId.value);
+
+			const revisionsResponse = await fetch(`${baseUrl}/notes/${id.value}/revisions`, { headers: granteeHeaders });
+			strictEqual(revisionsResponse.status, StatusCodes.OK);
+
+			const listResponse = await fetch(`${baseUrl}/notes?sharedWithMe=true`, { headers: granteeHeaders });
+			deepStrictEqual(
+				(await listResponse.json()).notes.map((note) => note.id),
+				[id.value],
+			);
+
+			const ownListResponse = await fetch(`${baseUrl}/notes`, { headers: granteeHeaders });
+			deepStrictEqual((await ownListResponse.json()).notes, []);
+
+			for (const [method, path, body, contentType] of [
+				["PUT", `/notes/${id.value}`, { content: "changed", tags: [] }, ContentTypes.APPLICATION_JSON],
+				["PATCH", `/notes/${id.value}`, { content: "changed" }, ContentTypes.APPLICATION_MERGE_PATCH_JSON],
+				["POST", `/notes/${id.value}/revisions/1/revert`],
+				["DELETE", `/notes/${id.value}`],
+				["GET", `/notes/${id.value}/shares`],
+				["POST", `/notes/${id.value}/shares`, { userName: "grantee", permission: "write" }],
+				["DELETE", `/notes/${id.value}/shares/${granteeId.value}`],
+				["GET", `/notes/${id.value}/public-links`],
+				["POST", `/notes/${id.value}/public-links`, {}],
+				["DELETE", `/notes/${id.value}/public-links/${uuidv4()}`],
+			]) {
+				const response = await fetch(`${baseUrl}${path}`, {
+					method: method,
+					headers: { ...granteeHeaders, [HeaderFieldNames.CONTENT_TYPE]: contentType ?? ContentTypes.APPLICATION_JSON },
+					body: body && JSON.stringify(body),
+				});
+
+				strictEqual(response.status, StatusCodes.FORBIDDEN, `${method} ${path}`);
+			}
+
+			const batchResponse = await fetch(`${baseUrl}/notes/batch`, {
+				method: "POST",
+				headers: granteeHeaders,
+				body: JSON.stringify({ operations: [{ op: "update", id: id.value, content: "changed" }] }),
+			});
+
+			strictEqual(batchResponse.status, StatusCodes.MULTI_STATUS);
+			strictEqual((await batchResponse.json()).results[0].status, StatusCodes.FORBIDDEN);
+			strictEqual(noteService.findById(userId, id).content, "updatedSharedContent");
+		});
+
+		test("write shares allow changing the note and moving it to the trash", async () => {
+			const id = noteService.create(userId, new NoteForCreate("sharedContent", ["shared"]));
+			await postShare(id, { userName: "grantee", permission: "write" });
+
+			const putResponse = await fetch(`${baseUrl}/notes/${id.value}`, {
+				method: "PUT",
+				headers: { ...granteeHeaders, [HeaderFieldNames.IF_MATCH]: '"1"' },
+				body: JSON.stringify({ content: "changedByGrantee", tags: ["shared", "edited"] }),
+			});
+
+			strictEqual(putResponse.status, StatusCodes.NO_CONTENT);
+
+			const updatedNote = noteService.findById(userId, id);
+			strictEqual(updatedNote.content, "changedByGrantee");
+			deepStrictEqual(updatedNote.tags, ["edited", "shared"]);
+			deepStrictEqual(updatedNote.ownerId, userId);
+
+			const permanentDeleteResponse = await fetch(`${baseUrl}/notes/${id.value}?permanent=true`, {
+				method: "DELETE",
+				headers: granteeHeaders,
+			});
+			strictEqual(permanentDeleteResponse.status, StatusCodes.FORBIDDEN);
+
+			const deleteResponse = await fetch(`${baseUrl}/notes/${id.value}`, {
+				method: "DELETE",
+				headers: granteeHeaders,
+			});
+			strictEqual(deleteResponse.status, StatusCodes.NO_CONTENT);
+
+			strictEqual(noteService.findById(userId, id), null);
+			deepStrictEqual(
+				noteService.listTrash(userId).notes.map((note) => note.id),
+				[id],
+			);
+
+			const trashedResponse = await fetch(`${baseUrl}/notes/${id.value}`, { headers: granteeHeaders });
+			strictEqual(trashedResponse.status, StatusCodes.NOT_FOUND);
+		});
+
+		test("DELETE /notes/:id/shares/:userId revokes access", async () => {
+			const id = noteService.create(userId, new NoteForCreate("sharedContent"));
+			await postShare(id, { userName: "grantee", permission: "read" });
+
+			const deleteResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}/shares/${granteeId.value}`, {
+				method: "DELETE",
+			});
+			strictEqual(deleteResponse.status, StatusCodes.NO_CONTENT);
+
+			const getResponse = await fetch(`${baseUrl}/notes/${id.value}`, { headers: granteeHeaders });
+			strictEqual(getResponse.status, StatusCodes.NOT_FOUND);
+
+			const repeatedResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}/shares/${granteeId.value}`, {
+				method: "DELETE",
+			});
+			strictEqual(repeatedResponse.status, StatusCodes.NOT_FOUND);
+
+			const invalidResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}/shares/grantee`, {
+				method: "DELETE",
+			});
+			strictEqual(invalidResponse.status, StatusCodes.BAD_REQUEST);
+		});
+
+		test("GET /notes rejects invalid sharedWithMe", async () => {
+			const response = await authenticatedFetch(`${baseUrl}/notes?sharedWithMe=yes`);
+
+			strictEqual(response.status, StatusCodes.BAD_REQUEST);
+		});
+	});
+
+	describe("public links /api/v1/notes/:id/public-links", () => {
+		/**
+		 * @param {UuidV4} id
+		 * @param {object} body
+		 * @return {Promise<Response>}
+		 */
+		function postPublicLink(id, body = {}, url = baseUrl) {
+			return authenticatedFetch(`${url}/notes/${id.value}/public-links`, {
+				method: "POST",
+				headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON },
+				body: JSON.stringify(body),
+			});
+		}
+
+		/**
+		 * @param {string} password
+		 * @return {string} an Authorization header value with Basic credentials for a public link
+		 */
+		function basicAuthorization(password) {
+			return `Basic ${Buffer.from(`anyone:${password}`).toString("base64")}`;
+		}
+
+		test("POST /notes/:id/public-links creates a link anyone can read the note with", async () => {
+			const id = noteService.create(userId, new NoteForCreate("publicContent", ["shared"]));
+
+			const response = await postPublicLink(id);
+
+			strictEqual(response.status, StatusCodes.CREATED);
+
+			const link = await response.json();
+			strictEqual(link.noteId, id.value);
+			strictEqual(link.expiryDateTime, null);
+			strictEqual(link.passwordProtected, false);
+			ok(/^pl_[A-Za-z0-9_-]{43}$/.test(link.token), link.token);
+			strictEqual(link.url, `${baseUrl}/public/${link.token}`);
+
+			const publicResponse = await fetch(link.url, {
+				headers: { [HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON },
+			});
+
+			strictEqual(publicResponse.status, StatusCodes.OK);
+			strictEqual(publicResponse.headers.get(HeaderFieldNames.CACHE_CONTROL), "no-store");
+			strictEqual(publicResponse.headers.get(HeaderFieldNames.REFERRER_POLICY), "no-referrer");
+
+			const note = await publicResponse.json();
+			strictEqual(note.id, id.value);
+			strictEqual(note.content, "publicContent");
+			deepStrictEqual(note.tags, ["shared"]);
+			strictEqual(note.ownerId, undefined);
+
+			const listResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}/public-links`);
+
+			strictEqual(listResponse.status, StatusCodes.OK);
+
+			const { publicLinks } = await listResponse.json();
+			deepStrictEqual(
+				publicLinks.map((publicLink) => publicLink.id),
+				[link.id],
+			);
+			strictEqual(publicLinks[0].token, undefined);
+		});
+
+		test("POST /notes/:id/public-links returns the path of the link without a public base URL", async () => {
+			const relativePort = 3009;
+			const relativeServer = new Server(noteService, userService, { publicBaseUrl: null })
+				.buildApp()
+				.listen(relativePort);
+
+			try {
+				const id = noteService.create(userId, new NoteForCreate("publicContent"));
+
+				const response = await postPublicLink(id, {}, `http://localhost:${relativePort}/api/v1`);
+
+				strictEqual(response.status, StatusCodes.CREATED);
+
+				const link = await response.json();
+				strictEqual(link.url, `/api/v1/public/${link.token}`);
+				strictEqual((await fetch(`http://localhost:${relativePort}${link.url}`)).status, StatusCodes.OK);
+			} finally {
+				relativeServer.close();
+			}
+		});
+
+		test("Server rejects a public base URL which is not a string", () => {
+			throws(() => new Server(noteService, userService, { publicBaseUrl: new URL(baseUrl) }).buildApp(), TypeError);
+		});
+
+		test("GET /public/:token renders the note as an HTML page with escaped content", async () => {
+			const id = noteService.create(userId, new NoteForCreate(`<script>alert("title")</script>\n& more`));
+			const { url } = await (await postPublicLink(id)).json();
+
+			const response = await fetch(url, { headers: { [HeaderFieldNames.ACCEPT]: ContentTypes.TEXT_HTML } });
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.TEXT_HTML_UTF8);
+			ok(
+				/^default-src 'none'; style-src 'sha256-[A-Za-z0-9+/]+=*'; /.test(
+					response.headers.get(HeaderFieldNames.CONTENT_SECURITY_POLICY),
+				),
+			);
+
+			const html = await response.text();
+			ok(html.includes("<pre>&lt;script&gt;alert(&quot;title&quot;)&lt;/script&gt;\n&amp; more</pre>"), html);
+			ok(!html.includes("<script>"), html);
+
+			const notAcceptableResponse = await fetch(url, { headers: { [HeaderFieldNames.ACCEPT]: "image/png" } });
+			strictEqual(notAcceptableResponse.status, StatusCodes.NOT_ACCEPTABLE);
+		});
+
+		test("GET /public/:token requires the password of password protected links", async () => {
+			const id = noteService.create(userId, new NoteForCreate("protectedContent"));
+			const link = await (await postPublicLink(id, { password: "open sesame" })).json();
+
+			strictEqual(link.passwordProtected, true);
+
+			for (const authorization of [undefined, basicAuthorization("wrong"), `Bearer ${apiKey}`]) {
+				const response = await fetch(link.url, {
+					headers: authorization && { [HeaderFieldNames.AUTHORIZATION]: authorization },
+				});
+
+				strictEqual(response.status, StatusCodes.UNAUTHORIZED, authorization);
+				strictEqual(
+					response.headers.get(HeaderFieldNames.WWW_AUTHENTICATE),
+					'Basic realm="note", charset="UTF-8"',
+					authorization,
+				);
+			}
+
+			const response = await fetch(link.url, {
+				headers: { [HeaderFieldNames.AUTHORIZATION]: basicAuthorization("open sesame") },
+			});
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual((await response.json()).content, "protectedContent");
+		});
+
+		test("GET /public/:token returns 404 status for unknown, expired, revoked and trashed links", async () => {
+			const id = noteService.create(userId, new NoteForCreate("publicContent"));
+			const expiringLink = await (
+				await postPublicLink(id, { expiryDateTime: new Date(Date.now() + 1000).toISOString() })
+			).json();
+			const revokedLink = await (await postPublicLink(id)).json();
+			const trashedId = noteService.create(userId, new NoteForCreate("trashedContent"));
+			const trashedLink = await (await postPublicLink(trashedId)).json();
+
+			strictEqual((await fetch(expiringLink.url)).status, StatusCodes.OK);
+
+			const revokeResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}/public-links/${revokedLink.id}`, {
+				method: "DELETE",
+			});
+			strictEqual(revokeResponse.status, StatusCodes.NO_CONTENT);
+			noteService.deleteById(userId, trashedId);
+
+			await new Promise((resolve) => setTimeout(resolve, 1000));
+
+			for (const url of [
+				`${baseUrl}/public/unknown`,
+				`${baseUrl}/public/pl_${"a".repeat(43)}`,
+				expiringLink.url,
+				revokedLink.url,
+				trashedLink.url,
+			]) {
+				strictEqual((await fetch(url)).status, StatusCodes.NOT_FOUND, url);
+			}
+
+			const repeatedRevokeResponse = await authenticatedFetch(
+				`${baseUrl}/notes/${id.value}/public-links/${revokedLink.id}`,
+				{ method: "DELETE" },
+			);
+			strictEqual(repeatedRevokeResponse.status, StatusCodes.NOT_FOUND);
+		});
+
+		test("POST /notes/:id/public-links rejects invalid links", async () => {
+			const id = noteService.create(userId, new NoteForCreate("publicContent"));
+
+			for (const [body, expectedStatus] of [
+				[{ expiryDateTime: "tomorrow" }, StatusCodes.BAD_REQUEST],
+				[{ expiryDateTime: 1234 }, StatusCodes.BAD_REQUEST],
+				[{ password: "" }, StatusCodes.BAD_REQUEST],
+				[{ password: 1234 }, StatusCodes.BAD_REQUEST],
+				[{ expiryDateTime: "2000-01-01T00:00:00Z" }, StatusCodes.UNPROCESSABLE_ENTITY],
+			]) {
+				const response = await postPublicLink(id, body);
+
+				strictEqual(response.status, expectedStatus, JSON.stringify(body));
+			}
+
+			strictEqual((await postPublicLink(new UuidV4(uuidv4()))).status, StatusCodes.NOT_FOUND);
+			deepStrictEqual(noteService.listPublicLinks(userId, id), []);
+		});
+	});
+
+	describe("export and import /api/v1/notes/export and /api/v1/notes/import", () => {
+		/**
+		 * @param {string} body
+		 * @param {string} [conflict] the conflict policy
+		 * @return {Promise<Response>}
+		 */
+		function postImport(body, conflict) {
+			return authenticatedFetch(`${baseUrl}/notes/import${conflict ? `?conflict=${conflict}` : ""}`, {
+				body: body,
+				headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_X_NDJSON },
+				method: "POST",
+			});
+		}
+
+		/**
+		 * @param {object[]} notes
+		 * @return {string} the notes as NDJSON
+		 */
+		function toNdjson(notes) {
+			return notes.map((note) => `${JSON.stringify(note)}\n`).join("");
+		}
+
+		/**
+		 * @return {object[]} every note of the user as serialized, in id order
+		 */
+		function exportedNotes() {
+			return JSON.parse(JSON.stringify([...noteService.exportNotes(userId)]));
+		}
+
+		/**
+		 * @param {string} content
+		 * @param {object} [fields] the other fields of the note
+		 * @return {object} a note as exported by another instance
+		 */
+		function buildExportedNote(content, fields = {}) {
+			return {
+				id: uuidv4(),
+				content: content,
+				tags: ["imported"],
+				creationDateTime: "2020-01-02T03:04:05.006Z",
+				lastUpdatedDateTime: "2021-02-03T04:05:06.007Z",
+				version: 4,
+				...fields,
+			};
+		}
+
+		test("GET /notes/export streams every note as NDJSON, including the notes in the trash", async () => {
+			// More notes than are read in one go, so that the export is resumed after the last note sent
+			const noteIds = buildNoteForCreateArray(501).map((noteForCreate) => noteService.create(userId, noteForCreate));
+			noteService.update(userId, new NoteForUpdate(noteIds[0], "updatedContent", ["tag"]));
+			noteService.deleteById(userId, noteIds[1]);
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/export`);
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_X_NDJSON_UTF8);
+			strictEqual(response.headers.get("Content-Disposition"), 'attachment; filename="notes.ndjson"');
+
+			const lines = (await response.text()).split("\n");
+
+			strictEqual(lines.pop(), "");
+			deepStrictEqual(
+				lines.map((line) => JSON.parse(line)),
+				exportedNotes(),
+			);
+			strictEqual(lines.length, 501);
+		});
+
+		test("POST /notes/import restores an export, keeping ids, date times, versions and tags", async () => {
+			const noteId = noteService.create(userId, new NoteForCreate("firstContent", ["first"]));
+			noteService.update(userId, new NoteForUpdate(noteId, "updatedContent", ["first"]));
+			noteService.deleteById(userId, noteService.create(userId, new NoteForCreate("trashedContent")));
+
+			const exportResponse = await authenticatedFetch(`${baseUrl}/notes/export`);
+			const expectedNotes = exportedNotes();
+
+			// The notes are read before they are deleted, no write can go through the connection during the export
+			[...noteService.exportNotes(userId)].forEach((note) => noteService.deleteById(userId, note.id, undefined, true));
+
+			const response = await postImport(await exportResponse.text());
+
+			strictEqual(response.status, StatusCodes.OK);
+			deepStrictEqual(await response.json(), { created: 2, overwritten: 0, skipped: 0, failed: 0, errors: [] });
+			deepStrictEqual(exportedNotes(), expectedNotes);
+		});
+
+		test("POST /notes/import skips, overwrites or fails on notes whose ids are taken", async () => {
+			const existingId = noteService.create(userId, new NoteForCreate("existingContent"));
+			const existingNote = noteService.findById(userId, existingId);
+			const conflictingNote = buildExportedNote("importedContent", { id: existingId.value, version: 1 });
+
+			let response = await postImport(toNdjson([conflictingNote, buildExportedNote("newContent")]));
+
+			strictEqual(response.status, StatusCodes.OK);
+			deepStrictEqual(await response.json(), { created: 1, overwritten: 0, skipped: 1, failed: 0, errors: [] });
+			deepStrictEqual(noteService.findById(userId, existingId), existingNote);
+
+			const newNote = buildExportedNote("otherNewContent");
+			response = await postImport(toNdjson([newNote, conflictingNote]), "fail");
+
+			strictEqual(response.status, StatusCodes.CONFLICT);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_PROBLEM_JSON_UTF8);
+
+			const problem = await response.json();
+
+			strictEqual(problem.code, "conflict");
+			deepStrictEqual(problem.report, { created: 0, overwritten: 0, skipped: 0, failed: 0, errors: [] });
+			strictEqual(noteService.findById(userId, new UuidV4(newNote.id)), null);
+
+			response = await postImport(toNdjson([conflictingNote]), "overwrite");
+
+			strictEqual(response.status, StatusCodes.OK);
+			deepStrictEqual(await response.json(), { created: 0, overwritten: 1, skipped: 0, failed: 0, errors: [] });
+
+			const overwrittenNote = noteService.findById(userId, existingId);
+
+			strictEqual(overwrittenNote.content, "importedContent");
+			deepStrictEqual(overwrittenNote.tags, ["imported"]);
+			strictEqual(overwrittenNote.lastUpdatedDateTime.toISOString(), conflictingNote.lastUpdatedDateTime);
+			// Kept ahead of the version the note was at, so that its ETag does not match the imported note
+			strictEqual(overwrittenNote.version, existingNote.version + 1);
+		});
+
+		test("POST /notes/import reports the lines which could not be imported", async () => {
+			const response = await postImport(
+				[
+					JSON.stringify(buildExportedNote("firstContent")),
+					"",
+					"not json",
+					JSON.stringify([]),
+					JSON.stringify(buildExportedNote("invalidId", { id: "invalid" })),
+					JSON.stringify(buildExportedNote("invalidDateTime", { creationDateTime: "yesterday" })),
+					JSON.stringify(buildExportedNote("lastContent")),
+				].join("\r\n"),
+				"overwrite",
+			);
+
+			strictEqual(response.status, StatusCodes.OK);
+
+			const report = await response.json();
+
+			deepStrictEqual(
+				{ ...report, errors: report.errors.map(({ line, id }) => ({ line: line, id: id })) },
+				{
+					created: 2,
+					overwritten: 0,
+					skipped: 0,
+					failed: 4,
+					errors: [
+						{ line: 3, id: null },
+						{ line: 4, id: null },
+						{ line: 5, id: null },
+						{ line: 6, id: null },
+					],
+				},
+			);
+			ok(report.errors[3].error.includes("creationDateTime"), report.errors[3].error);
+		});
+
+		test("POST /notes/import creates notes with the ids of notes of other users as new notes, whatever the policy", async () => {
+			const otherUserId = userService.create("exporter").id;
+			const otherNoteId = noteService.create(otherUserId, new NoteForCreate("otherContent"));
+
+			try {
+				for (const conflict of ["skip", "overwrite", "fail"]) {
+					const response = await postImport(
+						toNdjson([buildExportedNote(`${conflict}Content`, { id: otherNoteId.value })]),
+						conflict,
+					);
+
+					strictEqual(response.status, StatusCodes.OK, conflict);
+					// Reported as a note with an unknown id would be, so importing does not reveal which ids exist
+					deepStrictEqual(
+						await response.json(),
+						{ created: 1, overwritten: 0, skipped: 0, failed: 0, errors: [] },
+						conflict,
+					);
+				}
+
+				const importedNotes = exportedNotes();
+
+				deepStrictEqual(importedNotes.map((note) => note.content).sort(), [
+					"failContent",
+					"overwriteContent",
+					"skipContent",
+				]);
+				ok(importedNotes.every((note) => note.id !== otherNoteId.value && note.version === 4));
+				strictEqual(noteService.findById(otherUserId, otherNoteId).content, "otherContent");
+			} finally {
+				noteService.deleteById(otherUserId, otherNoteId, undefined, true);
+			}
+		});
+
+		test("POST /notes/import returns 415 status for bodies which are not NDJSON and 400 for unknown policies", async () => {
+			const body = toNdjson([buildExportedNote("content")]);
+
+			let response = await authenticatedFetch(`${baseUrl}/notes/import`, {
+				body: body,
+				headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON },
+				method: "POST",
+			});
+
+			strictEqual(response.status, StatusCodes.UNSUPPORTED_MEDIA_TYPE);
+			strictEqual((await response.json()).code, "unsupported-media-type");
+
+			response = await postImport(body, "replace");
+
+			strictEqual(response.status, StatusCodes.BAD_REQUEST);
+			deepStrictEqual(exportedNotes(), []);
+		});
+	});
+
+	describe("import from other tools /api/v1/notes/import/enex and /api/v1/notes/import/markdown", () => {
+		/**
+		 * @param {string} path the path of the import under /notes/import
+		 * @param {string|Uint8Array} body
+		 * @param {string} contentType
+		 * @param {string} [url] the base URL of the server
+		 * @return {Promise<Response>}
+		 */
+		function postImport(path, body, contentType, url = baseUrl) {
+			return authenticatedFetch(`${url}/notes/import/${path}`, {
+				body: body,
+				headers: { [HeaderFieldNames.CONTENT_TYPE]: contentType },
+				method: "POST",
+			});
+		}
+
+		/**
+		 * @param {string} notes the note elements of the export
+		 * @return {string} an Evernote export of the notes
+		 */
+		function enex(notes) {
+			return (
+				'<?xml version="1.0" encoding="UTF-8"?>\n' +
+				'<!DOCTYPE en-export SYSTEM "http://xml.evernote.com/pub/evernote-export3.dtd">\n' +
+				`<en-export export-date="20240322T022300Z" application="Evernote" version="10">${notes}</en-export>`
+			);
+		}
+
+		test("POST /notes/import/enex creates a note of each Evernote note, converted to Markdown", async () => {
+			const response = await postImport(
+				"enex",
+				enex(
+					"<note><title>Trip</title><content><![CDATA[" +
+						'<?xml version="1.0" encoding="UTF-8"?>' +
+						'<!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd">' +
+						'<en-note><div>Pack <b>light</b></div><div><en-todo checked="true"/>Passport</div>' +
+						'<en-media type="image/jpeg" hash="0123456789abcdef"/></en-note>' +
+						"]]></content><created>20230401T080000Z</created><updated>20230402T090000Z</updated>" +
+						"<tag>Travel</tag></note>" +
+						"<note><title>Empty</title><content><![CDATA[<en-note/>]]></content></note>",
+				),
+				ContentTypes.APPLICATION_ENEX_XML,
+			);
+
+			strictEqual(response.status, StatusCodes.OK);
+
+			const report = await response.json();
+
+			strictEqual(report.created, 2);
+			strictEqual(report.skipped, 0);
+			deepStrictEqual(
+				report.items.map(({ source, warnings }) => ({ source: source, warnings: warnings.length })),
+				[
+					{ source: "Trip", warnings: 1 },
+					{ source: "Empty", warnings: 0 },
+				],
+			);
+
+			const trip = noteService.findById(userId, new UuidV4(report.items[0].id));
+
+			strictEqual(trip.content, "# Trip\n\nPack **light**\n\n- [x] Passport");
+			deepStrictEqual(trip.tags, ["travel"]);
+			strictEqual(trip.creationDateTime.toISOString(), "2023-04-01T08:00:00.000Z");
+			strictEqual(trip.lastUpdatedDateTime.toISOString(), "2023-04-02T09:00:00.000Z");
+			strictEqual(noteService.findById(userId, new UuidV4(report.items[1].id)).content, "# Empty\n");
+		});
+
+		test("POST /notes/import/markdown creates a note of each Markdown file, reporting the other files", async () => {
+			const archive = zipSync({
+				"Projects/launch.md": strToU8("---\ntags: [work]\ncreated: 2022-05-06T07:08:09Z\n---\nShip it"),
+				"Projects/diagram.png": new Uint8Array([137, 80, 78, 71]),
+			});
+
+			const response = await postImport("markdown", archive, ContentTypes.APPLICATION_ZIP);
+
+			strictEqual(response.status, StatusCodes.OK);
+
+			const report = await response.json();
+
+			strictEqual(report.created, 1);
+			strictEqual(report.skipped, 1);
+			strictEqual(report.items[1].source, "Projects/diagram.png");
+			strictEqual(report.items[1].id, null);
+			strictEqual(report.items[1].warnings.length, 1);
+
+			const launch = noteService.findById(userId, new UuidV4(report.items[0].id));
+
+			strictEqual(launch.content, "# launch\n\nShip it");
+			deepStrictEqual(launch.tags, ["work"]);
+			strictEqual(launch.creationDateTime.toISOString(), "2022-05-06T07:08:09.000Z");
+			deepStrictEqual(launch.lastUpdatedDateTime, launch.creationDateTime);
+		});
+
+		test("imports run in a single transaction, creating no note if any fails", async () => {
+			const create = NoteDao.prototype.create;
+			let calls = 0;
+			NoteDao.prototype.create = function (...args) {
+				if (++calls === 2) {
+					throw new DaoError("SQLITE_FULL: database or disk is full");
+				}
+
+				return create.apply(this, args);
+			};
+
+			try {
+				const archive = zipSync({ "a.md": strToU8("a"), "b.md": strToU8("b") });
+				const response = await postImport("markdown", archive, ContentTypes.APPLICATION_ZIP);
+
+				strictEqual(response.status, StatusCodes.INTERNAL_SERVER_ERROR);
+				strictEqual(calls, 2);
+				deepStrictEqual(noteService.findAll(userId), []);
+			} finally {
+				NoteDao.prototype.create = create;
+			}
+		});
+
+		test("returns 415 status for other media types and 400 for exports which cannot be read", async () => {
+			let response = await postImport("enex", enex(""), ContentTypes.TEXT_HTML);
+
+			strictEqual(response.status, StatusCodes.UNSUPPORTED_MEDIA_TYPE);
+			strictEqual((await response.json()).code, "unsupported-media-type");
+
+			response = await postImport("markdown", enex(""), ContentTypes.APPLICATION_ENEX_XML);
+
+			strictEqual(response.status, StatusCodes.UNSUPPORTED_MEDIA_TYPE);
+
+			response = await postImport("enex", "<html><body>not an export</body></html>", "text/xml");
+
+			strictEqual(response.status, StatusCodes.BAD_REQUEST);
+			strictEqual((await response.json()).code, "invalid-request");
+
+			response = await postImport("markdown", "not a zip archive", ContentTypes.APPLICATION_ZIP);
+
+			strictEqual(response.status, StatusCodes.BAD_REQUEST);
+			deepStrictEqual(noteService.findAll(userId), []);
+		});
+
+		test("exports over the import limit return 413 status, while other bodies keep their own limit", async () => {
+			const limitedPort = 3008;
+			const limitedServer = new Server(noteService, userService, { bodyLimitBytes: 16, importBodyLimitBytes: 256 })
+				.buildApp()
+				.listen(limitedPort);
+
+			try {
+				const limitedUrl = `http://localhost:${limitedPort}/api/v1`;
+
+				let response = await postImport("enex", enex(""), ContentTypes.APPLICATION_ENEX_XML, limitedUrl);
+
+				strictEqual(response.status, StatusCodes.OK);
+
+				response = await postImport(
+					"enex",
+					enex(`<note><title>${"long ".repeat(50)}</title></note>`),
+					ContentTypes.APPLICATION_ENEX_XML,
+					limitedUrl,
+				);
+
+				strictEqual(response.status, StatusCodes.REQUEST_TOO_LONG);
+				strictEqual((await response.json()).code, "payload-too-large");
+			} finally {
+				limitedServer.close();
+			}
+		});
+	});
+
+	describe("NoteRoutes /api/v1/notes", () => {
+		test("GET /notes returns empty list when no notes exist", async () => {
+			const response = await authenticatedFetch(`${baseUrl}/notes`, {
+				headers: {
+					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
+				},
+			});
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+
+			const body = await response.json();
+
+			deepStrictEqual(body.notes, []);
+		});
+
+		test("GET /notes returns list with one note when one note exists", async () => {
+			const expectedNoteId = noteService.create(userId, new NoteForCreate("testContent"));
+			const expectedNote = noteService.findById(userId, expectedNoteId);
+
+			const response = await authenticatedFetch(`${baseUrl}/notes`, {
+				headers: {
+					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
+				},
+			});
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+
+			const body = await response.json();
+
+			deepStrictEqual(body.notes, [
+				{
+					content: expectedNote.content,
+					creationDateTime: expectedNote.creationDateTime.toISOString(),
+					id: expectedNote.id.value,
+					lastUpdatedDateTime: expectedNote.lastUpdatedDateTime.toISOString(),
+					version: expectedNote.version,
+					ownerId: userId.value,
+					tags: [],
+				},
+			]);
+		});
+
+		test("GET /notes?pageSize=10 returns list with first page of notes when more than page size notes exist", async () => {
+			const pageSize = 10;
+
+			buildNoteForCreateArray(pageSize + 1).forEach((noteForCreate) => noteService.create(userId, noteForCreate));
+
+			const expectedNotes = noteService.list(userId, pageSize).notes.map((note) => {
+				return {
+					id: note.id.value,
+					content: note.content,
+					tags: note.tags,
+					creationDateTime: note.creationDateTime.toISOString(),
+					lastUpdatedDateTime: note.lastUpdatedDateTime.toISOString(),
+					version: note.version,
+					ownerId: userId.value,
+				};
+			});
+
+			const url = new URL(`${baseUrl}/notes`);
+			url.searchParams.append("pageSize", pageSize);
+
+			const response = await authenticatedFetch(url, {
+				headers: {
+					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
+				},
+			});
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+
+			const body = await response.json();
+
+			deepStrictEqual(body.notes, expectedNotes);
+		});
+
+		test("GET /notes?pageSize=10&cursor={cursor} pages through all notes in both directions using the Link header", async () => {
+			const pageSize = 10;
+
+			buildNoteForCreateArray(pageSize * 2 + 1).forEach((noteForCreate) => noteService.create(userId, noteForCreate));
+
+			const expectedNoteIds = noteService.list(userId, NoteDao.MAX_PAGE_SIZE).notes.map((note) => note.id.value);
+
+			const fetchPage = async (url) => {
+				const response = await authenticatedFetch(url, {
+					headers: {
+						[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+						[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
+					},
+				});
+
+				strictEqual(response.status, StatusCodes.OK);
+				strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+
+				return { links: parseLinkHeader(response.headers.get(HeaderFieldNames.LINK)), body: await response.json() };
+			};
+
+			const firstPageUrl = new URL(`${baseUrl}/notes`);
+			firstPageUrl.searchParams.append("pageSize", pageSize);
+
+			const firstPage = await fetchPage(firstPageUrl);
+			strictEqual(firstPage.body.prevCursor, null);
+			strictEqual(firstPage.links.prev, undefined);
+			ok(firstPage.body.nextCursor);
+
+			const secondPageUrl = new URL(firstPage.links.next, baseUrl);
+			strictEqual(secondPageUrl.searchParams.get("pageSize"), `${pageSize}`);
+			strictEqual(secondPageUrl.searchParams.get("cursor"), firstPage.body.nextCursor);
+
+			const secondPage = await fetchPage(secondPageUrl);
+			ok(secondPage.links.prev);
+			ok(secondPage.links.next);
+
+			const thirdPage = await fetchPage(new URL(secondPage.links.next, baseUrl));
+			strictEqual(thirdPage.body.nextCursor, null);
+			strictEqual(thirdPage.links.next, undefined);
+
+			const pages = [firstPage, secondPage, thirdPage];
+			deepStrictEqual(
+				pages.map((page) => page.body.notes.length),
+				[pageSize, pageSize, 1],
+			);
+			deepStrictEqual(
+				pages.flatMap((page) => page.body.notes.map((note) => note.id)),
+				expectedNoteIds,
+			);
+
+			const secondPageAgain = await fetchPage(new URL(thirdPage.links.prev, baseUrl));
+			deepStrictEqual(secondPageAgain.body.notes, secondPage.body.notes);
+
+			const firstPageAgain = await fetchPage(new URL(secondPageAgain.links.prev, baseUrl));
+			deepStrictEqual(firstPageAgain.body.notes, firstPage.body.notes);
+			strictEqual(firstPageAgain.body.prevCursor, null);
+		});
+
+		test("GET /notes?cursor={cursor} returns bad request when the cursor is invalid", async () => {
+			for (const cursor of [
+				"notACursor",
+				Buffer.from(JSON.stringify(["sideways", 0, uuidv4()])).toString("base64url"),
+			]) {
+				const url = new URL(`${baseUrl}/notes`);
+				url.searchParams.append("cursor", cursor);
+
+				const response = await authenticatedFetch(url, {
+					headers: { [HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON },
+				});
+
+				strictEqual(response.status, StatusCodes.BAD_REQUEST, `cursor ${cursor}`);
+			}
+		});
+
+		test("GET /notes?afterId={id} returns bad request since paging is done with cursors", async () => {
+			const url = new URL(`${baseUrl}/notes`);
+			url.searchParams.append("afterId", uuidv4());
+
+			const response = await authenticatedFetch(url, {
+				headers: { [HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON },
+			});
+
+			strictEqual(response.status, StatusCodes.BAD_REQUEST);
+		});
+
+		test("GET /notes?sort={field}&order={order} pages through notes in the sort order", async () => {
+			for (const content of ["ccc", "a", "bbbb", "dd"]) {
+				noteService.create(userId, new NoteForCreate(content));
+			}
+
+			const contents = [];
+
+			let url = new URL(`${baseUrl}/notes`);
+			url.searchParams.append("pageSize", 3);
+			url.searchParams.append("sort", "contentLength");
+			url.searchParams.append("order", "asc");
+
+			while (url) {
+				const response = await authenticatedFetch(url, {
+					headers: { [HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON },
+				});
+				strictEqual(response.status, StatusCodes.OK);
+
+				const body = await response.json();
+				contents.push(...body.notes.map((note) => note.content));
+
+				const next = parseLinkHeader(response.headers.get(HeaderFieldNames.LINK)).next;
+				url = next && new URL(next, baseUrl);
+			}
+
+			deepStrictEqual(contents, ["a", "dd", "ccc", "bbbb"]);
+		});
+
+		test("GET /notes?createdAfter={dateTime}&createdBefore={dateTime} returns notes created in the range", async () => {
+			const noteId = noteService.create(userId, new NoteForCreate("testContent"));
+			const { creationDateTime } = noteService.findById(userId, noteId);
+
+			const listIds = async (createdAfter, createdBefore) => {
+				const url = new URL(`${baseUrl}/notes`);
+				url.searchParams.append("createdAfter", createdAfter.toISOString());
+				url.searchParams.append("createdBefore", createdBefore.toISOString());
+
+				const response = await authenticatedFetch(url, {
+					headers: { [HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON },
+				});
+				strictEqual(response.status, StatusCodes.OK);
+
+				return (await response.json()).notes.map((note) => note.id);
+			};
+
+			const after = (ms) => new Date(creationDateTime.getTime() + ms);
+
+			deepStrictEqual(await listIds(creationDateTime, after(1)), [noteId.value]);
+			deepStrictEqual(await listIds(after(1), after(2)), []);
+		});
+
+		test("GET /notes returns bad request for invalid sort, order and date time parameters", async () => {
+			noteService.create(userId, new NoteForCreate("testContent"));
+			noteService.create(userId, new NoteForCreate("testContent"));
+			const creationDateTimeCursor = noteService.list(userId, 1).nextCursor.encode();
+
+			for (const query of [
+				"sort=title",
+				"order=up",
+				"sort=contentLength&order=DESC",
+				"createdAfter=yesterday",
+				"createdBefore=2024-13-01",
+				"updatedAfter=2024-01-01T00:00:00",
+				"updatedBefore=1704067200000",
+				`sort=contentLength&cursor=${creationDateTimeCursor}`,
+			]) {
+				const response = await authenticatedFetch(`${baseUrl}/notes?${query}`, {
+					headers: { [HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON },
+				});
+
+				strictEqual(response.status, StatusCodes.BAD_REQUEST, query);
+			}
+		});
+
+		test("GET /notes/search?q={query} returns matching notes with highlighted snippets", async () => {
+			const expectedNoteId = noteService.create(userId, new NoteForCreate("the quick brown fox"));
+			noteService.create(userId, new NoteForCreate("the lazy dog"));
+			const expectedNote = noteService.findById(userId, expectedNoteId);
+
+			const url = new URL(`${baseUrl}/notes/search`);
+			url.searchParams.append("q", "qui*");
+
+			const response = await authenticatedFetch(url, {
+				headers: {
+					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
+				},
+			});
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+
+			const body = await response.json();
+
+			deepStrictEqual(body, {
+				pageSize: NoteDao.DEFAULT_PAGE_SIZE,
+				results: [
+					{
+						note: {
+							id: expectedNote.id.value,
+							content: expectedNote.content,
+							tags: expectedNote.tags,
+							creationDateTime: expectedNote.creationDateTime.toISOString(),
+							lastUpdatedDateTime: expectedNote.lastUpdatedDateTime.toISOString(),
+							version: expectedNote.version,
+							ownerId: userId.value,
+						},
+						snippet: "the <mark>quick</mark> brown fox",
+					},
+				],
+				nextCursor: null,
+				prevCursor: null,
+			});
+		});
+
+		test("GET /notes/search returns 400 status for missing or invalid query", async (t) => {
+			for (const query of [undefined, " ", "AND", '"unterminated']) {
+				await t.test(`q "${query}"`, async () => {
+					const url = new URL(`${baseUrl}/notes/search`);
+					if (query !== undefined) {
+						url.searchParams.append("q", query);
+					}
+
+					const response = await authenticatedFetch(url, {
+						headers: {
+							[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+						},
+					});
+
+					strictEqual(response.status, StatusCodes.BAD_REQUEST);
+					strictEqual((await response.json()).code, "invalid-request");
+				});
+			}
+		});
+
+		test("GET /notes/search and /notes/trash page through their notes with cursors", async () => {
+			const ids = buildNoteForCreateArray(5).map((noteForCreate) => noteService.create(userId, noteForCreate));
+			ids.slice(0, 3).forEach((id) => noteService.deleteById(userId, id));
+
+			for (const [path, expectedCount, idsOf] of [
+				["/notes/search?q=testNoteContent*&pageSize=2", 2, (body) => body.results.map((result) => result.note.id)],
+				["/notes/trash?pageSize=2", 3, (body) => body.notes.map((note) => note.id)],
+			]) {
+				const listedIds = [];
+				let lastCursor;
+
+				let url = new URL(`${baseUrl}${path}`);
+				while (url) {
+					const response = await authenticatedFetch(url);
+					strictEqual(response.status, StatusCodes.OK, path);
+
+					const body = await response.json();
+					listedIds.push(...idsOf(body));
+					lastCursor = body.nextCursor;
+
+					const next = parseLinkHeader(response.headers.get(HeaderFieldNames.LINK)).next;
+					url = next && new URL(next, baseUrl);
+				}
+
+				strictEqual(new Set(listedIds).size, expectedCount, path);
+				strictEqual(lastCursor, null, path);
+
+				const afterIdResponse = await authenticatedFetch(`${baseUrl}${path}&afterId=${ids[0].value}`);
+				strictEqual(afterIdResponse.status, StatusCodes.BAD_REQUEST, path);
+			}
+
+			// A cursor of the trash does not page the search results
+			const trashPage = await (await authenticatedFetch(`${baseUrl}/notes/trash?pageSize=1`)).json();
+			const searchResponse = await authenticatedFetch(
+				`${baseUrl}/notes/search?q=testNoteContent*&cursor=${trashPage.nextCursor}`,
+			);
+
+			strictEqual(searchResponse.status, StatusCodes.BAD_REQUEST);
+		});
+
+		test("GET /notes/:id returns 404 status with problem details when no corresponding note exists", async () => {
+			const id = uuidv4();
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id}`, {
+				headers: {
+					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
+				},
+			});
+
+			strictEqual(response.status, StatusCodes.NOT_FOUND);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_PROBLEM_JSON_UTF8);
+
+			const body = await response.json();
+
+			strictEqual(body.code, "not-found");
+			strictEqual(body.status, StatusCodes.NOT_FOUND);
+			strictEqual(body.instance, `/api/v1/notes/${id}`);
+		});
+
+		test("GET /notes/:id returns note when corresponding note exists", async () => {
+			const expectedNoteId = noteService.create(userId, new NoteForCreate("testContent"));
+			const expectedNote = noteService.findById(userId, expectedNoteId);
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${expectedNoteId.value}`, {
+				headers: {
+					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
+				},
+			});
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+
+			const body = await response.json();
+
+			deepStrictEqual(body, {
+				id: expectedNote.id.value,
+				content: expectedNote.content,
+				tags: expectedNote.tags,
+				creationDateTime: expectedNote.creationDateTime.toISOString(),
+				lastUpdatedDateTime: expectedNote.lastUpdatedDateTime.toISOString(),
+				version: expectedNote.version,
+				ownerId: userId.value,
+			});
+		});
+
+		test("GET /notes/:id returns note as Markdown or plain text with its fields in front matter", async () => {
+			const id = noteService.create(userId, new NoteForCreate("# Title\n\nBody", ["work"]));
+			const note = noteService.findById(userId, id);
+
+			for (const [accept, expectedContentType, expectedEtag] of [
+				[ContentTypes.TEXT_MARKDOWN, ContentTypes.TEXT_MARKDOWN_UTF8, '"1-markdown"'],
+				[
+					`${ContentTypes.TEXT_PLAIN}, ${ContentTypes.APPLICATION_JSON};q=0.5`,
+					ContentTypes.TEXT_PLAIN_UTF8,
+					'"1-plain"',
+				],
+			]) {
+				const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, {
+					headers: { [HeaderFieldNames.ACCEPT]: accept },
+				});
+
+				strictEqual(response.status, StatusCodes.OK, accept);
+				strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), expectedContentType);
+				strictEqual(response.headers.get(HeaderFieldNames.ETAG), expectedEtag);
+				ok(response.headers.get("Vary").includes(HeaderFieldNames.ACCEPT));
+				strictEqual(
+					await response.text(),
+					[
+						"---",
+						`id: ${id.value}`,
+						"tags:",
+						"  - work",
+						`creationDateTime: '${note.creationDateTime.toISOString()}'`,
+						`lastUpdatedDateTime: '${note.lastUpdatedDateTime.toISOString()}'`,
+						"version: 1",
+						`ownerId: ${userId.value}`,
+						"---",
+						"# Title",
+						"",
+						"Body",
+					].join("\n"),
+				);
+			}
+		});
+
+		test("GET /notes/:id and GET /notes return 406 status for representations which are not available", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+
+			for (const [url, accept] of [
+				[`${baseUrl}/notes/${id.value}`, ContentTypes.TEXT_CSV],
+				[`${baseUrl}/notes`, ContentTypes.TEXT_MARKDOWN],
+				[`${baseUrl}/notes?id=${id.value}`, "image/png"],
+			]) {
+				const response = await authenticatedFetch(url, { headers: { [HeaderFieldNames.ACCEPT]: accept } });
+
+				strictEqual(response.status, StatusCodes.NOT_ACCEPTABLE, url);
+				strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_PROBLEM_JSON_UTF8);
+				strictEqual((await response.json()).code, "not-acceptable");
+			}
+		});
+
+		test("GET /notes returns list pages and notes by ids as CSV", async () => {
+			const firstId = noteService.create(userId, new NoteForCreate('first, "quoted"', ["a", "b"]));
+			const secondId = noteService.create(userId, new NoteForCreate("second\nline"));
+
+			// The notes are listed by creation date time, which is set apart so their order does not depend on timing
+			const updateStatement = databaseConnection.prepare(
+				`UPDATE Note
+				SET creationDateTime = :dateTime, lastUpdatedDateTime = :dateTime
+				WHERE id = unhex(replace(:id, '-', ''))`,
+			);
+			updateStatement.run({ dateTime: Date.UTC(2024, 0, 1), id: firstId.value });
+			updateStatement.run({ dateTime: Date.UTC(2024, 0, 2), id: secondId.value });
+
+			const [first, second] = noteService.findByIds(userId, [firstId, secondId]);
+
+			const expectedCsv = [
+				"id,version,creationDateTime,lastUpdatedDateTime,tags,content",
+				`${first.id.value},1,${first.creationDateTime.toISOString()},${first.lastUpdatedDateTime.toISOString()},"[""a"",""b""]","first, ""quoted"""`,
+				`${second.id.value},1,${second.creationDateTime.toISOString()},${second.lastUpdatedDateTime.toISOString()},[],"second\nline"`,
+				"",
+			].join("\r\n");
+
+			for (const url of [
+				`${baseUrl}/notes?sort=creationDateTime&order=asc`,
+				`${baseUrl}/notes?id=${firstId.value}&id=${secondId.value}`,
+			]) {
+				const response = await authenticatedFetch(url, {
+					headers: { [HeaderFieldNames.ACCEPT]: ContentTypes.TEXT_CSV },
+				});
+
+				strictEqual(response.status, StatusCodes.OK, url);
+				strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.TEXT_CSV_UTF8);
+				strictEqual(await response.text(), expectedCsv, url);
+			}
+		});
+
+		test("POST /notes and PUT /notes/:id take Markdown and plain text bodies with tags in front matter", async () => {
+			const createResponse = await authenticatedFetch(`${baseUrl}/notes`, {
+				body: "---\ntags: [Work, home]\n---\n# Title\n",
+				headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.TEXT_MARKDOWN },
+				method: "POST",
+			});
+
+			strictEqual(createResponse.status, StatusCodes.CREATED);
+
+			const id = new UuidV4((await createResponse.json()).id);
+			const created = noteService.findById(userId, id);
+
+			strictEqual(created.content, "# Title\n");
+			deepStrictEqual(created.tags, ["home", "work"]);
+
+			// A note fetched as text is sent back as it is, fields other than the tags are ignored
+			const getResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, {
+				headers: { [HeaderFieldNames.ACCEPT]: ContentTypes.TEXT_PLAIN },
+			});
+			const text = (await getResponse.text()).replace("# Title", "# Edited title").replace("version: 1", "version: 9");
+
+			// The ETag of the text representation matches the version it is of
+			const putResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, {
+				body: text,
+				headers: {
+					[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.TEXT_PLAIN,
+					[HeaderFieldNames.IF_MATCH]: getResponse.headers.get(HeaderFieldNames.ETAG),
+				},
+				method: "PUT",
+			});
+
+			strictEqual(putResponse.status, StatusCodes.NO_CONTENT);
+
+			const updated = noteService.findById(userId, id);
+
+			strictEqual(updated.content, "# Edited title\n");
+			deepStrictEqual(updated.tags, ["home", "work"]);
+			strictEqual(updated.version, 2);
+		});
+
+		test("POST /notes returns 400 status for text bodies with invalid front matter", async () => {
+			for (const body of ["---\ntags: [unclosed\n---\ntext", "---\ntags: work\n---\ntext"]) {
+				const response = await authenticatedFetch(`${baseUrl}/notes`, {
+					body: body,
+					headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.TEXT_MARKDOWN },
+					method: "POST",
+				});
+
+				strictEqual(response.status, StatusCodes.BAD_REQUEST, body);
+				strictEqual((await response.json()).code, "invalid-request");
+			}
+		});
+
+		test("POST /notes creates note", async () => {
+			const note = { content: "testContent" };
+
+			const response = await authenticatedFetch(`${baseUrl}/notes`, {
+				body: JSON.stringify(note),
+				headers: {
+					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
+					[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
+				},
+				method: "POST",
+			});
+
+			strictEqual(response.status, StatusCodes.CREATED);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+
+			const body = await response.json();
+
+			ok(new UuidV4(body.id));
+		});
+
+		test("PUT /notes/:id returns 404 status when no corresponding note exists", async () => {
+			try {
+				const id = uuidv4();
+
+				const response = await authenticatedFetch(`${baseUrl}/notes/${id}`, {
+					headers: {
+						[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+						[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
+						[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
+					},
+					body: JSON.stringify({ id: id, content: "testContent", tags: [] }),
+					method: "PUT",
+				});
+
+				strictEqual(response.status, StatusCodes.NOT_FOUND);
+				strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), null);
+
+				const body = await response.text();
+
+				deepStrictEqual(body, "");
+			} catch (err) {
+				logger.error("failed to PUT note", err);
+			}
+		});
+
+		test("PUT /notes/:id updates existing note", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+			const note = { id: id, content: "testContent", tags: [] };
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, {
+				body: JSON.stringify(note),
+				headers: {
+					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
+					[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
+				},
+				method: "PUT",
+			});
+
+			strictEqual(response.status, StatusCodes.NO_CONTENT);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), null);
+		});
+
+		test("PUT /notes/:id returns 400 status when the tags replacing those of the note are left out", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent", ["kept"]));
+
+			for (const [contentType, body] of [
+				[ContentTypes.APPLICATION_JSON, JSON.stringify({ content: "updatedTestContent" })],
+				[ContentTypes.TEXT_MARKDOWN, "updatedTestContent"],
+				[ContentTypes.TEXT_PLAIN, "---\ntitle: ignored\n---\nupdatedTestContent"],
+			]) {
+				const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, {
+					body: body,
+					headers: { [HeaderFieldNames.CONTENT_TYPE]: contentType },
+					method: "PUT",
+				});
+
+				strictEqual(response.status, StatusCodes.BAD_REQUEST, contentType);
+			}
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, {
+				body: JSON.stringify({ content: "updatedTestContent", tags: [] }),
+				headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON },
+				method: "PUT",
+			});
+
+			strictEqual(response.status, StatusCodes.NO_CONTENT);
+
+			const note = noteService.findById(userId, id);
+
+			strictEqual(note.content, "updatedTestContent");
+			deepStrictEqual(note.tags, []);
+		});
+
+		test("GET /notes/:id returns version ETag", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`);
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.ETAG), '"1"');
+		});
+
+		test("GET /notes/:id returns caching headers", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+			const note = noteService.findById(userId, id);
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`);
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.LAST_MODIFIED), note.lastUpdatedDateTime.toUTCString());
+			strictEqual(response.headers.get(HeaderFieldNames.CACHE_CONTROL), "private, no-cache");
+		});
+
+		test("GET /notes/:id returns 304 status while the client copy is unchanged", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`);
+			const etag = response.headers.get(HeaderFieldNames.ETAG);
+			const lastModified = response.headers.get(HeaderFieldNames.LAST_MODIFIED);
+
+			for (const headers of [
+				{ [HeaderFieldNames.IF_NONE_MATCH]: etag },
+				{ [HeaderFieldNames.IF_NONE_MATCH]: `W/${etag}` },
+				{ [HeaderFieldNames.IF_MODIFIED_SINCE]: lastModified },
+				{ [HeaderFieldNames.IF_NONE_MATCH]: etag, [HeaderFieldNames.IF_MODIFIED_SINCE]: lastModified },
+			]) {
+				const conditionalResponse = await conditionalFetch(`${baseUrl}/notes/${id.value}`, headers);
+
+				strictEqual(
+					conditionalResponse.status,
+					StatusCodes.NOT_MODIFIED,
+					`unexpected status for ${JSON.stringify(headers)}`,
+				);
+				strictEqual(await conditionalResponse.text(), "");
+			}
+
+			noteService.update(userId, new NoteForUpdate(id, "updatedTestContent"));
+
+			const changedResponse = await conditionalFetch(`${baseUrl}/notes/${id.value}`, {
+				[HeaderFieldNames.IF_NONE_MATCH]: etag,
+			});
+
+			strictEqual(changedResponse.status, StatusCodes.OK);
+			strictEqual(changedResponse.headers.get(HeaderFieldNames.ETAG), '"2"');
+			strictEqual((await changedResponse.json()).content, "updatedTestContent");
+		});
+
+		test("GET /notes/:id only returns 304 status for the ETag of the representation the client accepts", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, {
+				headers: { [HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON },
+			});
+			const etag = response.headers.get(HeaderFieldNames.ETAG);
+
+			for (const [accept, expectedStatus] of [
+				[ContentTypes.APPLICATION_JSON, StatusCodes.NOT_MODIFIED],
+				[ContentTypes.TEXT_MARKDOWN, StatusCodes.OK],
+				[ContentTypes.TEXT_PLAIN, StatusCodes.OK],
+			]) {
+				const conditionalResponse = await conditionalFetch(`${baseUrl}/notes/${id.value}`, {
+					[HeaderFieldNames.ACCEPT]: accept,
+					[HeaderFieldNames.IF_NONE_MATCH]: etag,
+				});
+
+				strictEqual(conditionalResponse.status, expectedStatus, accept);
+				ok(conditionalResponse.headers.get("Vary").includes(HeaderFieldNames.ACCEPT), accept);
+			}
+
+			// Responses which are not the note vary by Accept too, as the note is what they would be with another one
+			for (const [url, accept, expectedStatus] of [
+				[`${baseUrl}/notes/${id.value}`, ContentTypes.TEXT_CSV, StatusCodes.NOT_ACCEPTABLE],
+				[`${baseUrl}/notes/${uuidv4()}`, ContentTypes.TEXT_MARKDOWN, StatusCodes.NOT_FOUND],
+			]) {
+				const errorResponse = await authenticatedFetch(url, { headers: { [HeaderFieldNames.ACCEPT]: accept } });
+
+				strictEqual(errorResponse.status, expectedStatus, url);
+				ok(errorResponse.headers.get("Vary").includes(HeaderFieldNames.ACCEPT), url);
+			}
+		});
+
+		test("GET /notes returns 304 status while the page is unchanged", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+			const note = noteService.findById(userId, id);
+
+			const response = await authenticatedFetch(`${baseUrl}/notes`);
+			const etag = response.headers.get(HeaderFieldNames.ETAG);
+
+			strictEqual(response.status, StatusCodes.OK);
+			ok(etag);
+			strictEqual(response.headers.get(HeaderFieldNames.LAST_MODIFIED), note.lastUpdatedDateTime.toUTCString());
+			strictEqual(response.headers.get(HeaderFieldNames.CACHE_CONTROL), "private, no-cache");
+
+			const unchangedResponse = await conditionalFetch(`${baseUrl}/notes`, { [HeaderFieldNames.IF_NONE_MATCH]: etag });
+
+			strictEqual(unchangedResponse.status, StatusCodes.NOT_MODIFIED);
+
+			noteService.deleteById(userId, id);
+
+			const changedResponse = await conditionalFetch(`${baseUrl}/notes`, { [HeaderFieldNames.IF_NONE_MATCH]: etag });
+
+			strictEqual(changedResponse.status, StatusCodes.OK);
+			strictEqual(changedResponse.headers.get(HeaderFieldNames.LAST_MODIFIED), null);
+			deepStrictEqual((await changedResponse.json()).notes, []);
+		});
+
+		test("GET /notes routes use configured Cache-Control policies", async () => {
+			const customPort = port + 1;
+			const customServer = new Server(noteService, userService, {
+				cacheControl: { list: "no-store", note: "private, max-age=60" },
+			})
+				.buildApp()
+				.listen(customPort);
+
+			try {
+				const id = noteService.create(userId, new NoteForCreate("testContent"));
+				const customBaseUrl = `http://localhost:${customPort}/api/v1`;
+
+				for (const [path, expectedCacheControl] of [
+					["/notes", "no-store"],
+					[`/notes/${id.value}`, "private, max-age=60"],
+					["/notes/search?q=test", "private, no-cache"],
+				]) {
+					const response = await authenticatedFetch(`${customBaseUrl}${path}`);
+
+					strictEqual(response.status, StatusCodes.OK);
+					strictEqual(response.headers.get(HeaderFieldNames.CACHE_CONTROL), expectedCacheControl, path);
+				}
+			} finally {
+				customServer.close();
+			}
+		});
+
+		test("PUT /notes/:id with matching If-Match updates note and returns new ETag", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+
+			for (const [ifMatch, expectedEtag] of [
+				['"1"', '"2"'],
+				['"1", "2"', '"3"'],
+				["*", '"4"'],
+			]) {
+				const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, {
+					body: JSON.stringify({ content: "updatedTestContent", tags: [] }),
+					headers: {
+						[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
+						[HeaderFieldNames.IF_MATCH]: ifMatch,
+					},
+					method: "PUT",
+				});
+
+				strictEqual(response.status, StatusCodes.NO_CONTENT, `unexpected status for If-Match ${ifMatch}`);
+				strictEqual(response.headers.get(HeaderFieldNames.ETAG), expectedEtag);
+			}
+		});
+
+		test("PUT /notes/:id with stale If-Match returns 412 status with current note", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+			const currentNote = noteService.update(userId, new NoteForUpdate(id, "concurrentContent"));
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, {
+				body: JSON.stringify({ content: "staleContent", tags: [] }),
+				headers: {
+					[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
+					[HeaderFieldNames.IF_MATCH]: '"1"',
+				},
+				method: "PUT",
+			});
+
+			strictEqual(response.status, StatusCodes.PRECONDITION_FAILED);
+			strictEqual(response.headers.get(HeaderFieldNames.ETAG), '"2"');
+
+			const body = await response.json();
+
+			strictEqual(body.code, "precondition-failed");
+			strictEqual(body.currentNote.content, "concurrentContent");
+			strictEqual(body.currentNote.version, currentNote.version);
+			strictEqual(noteService.findById(userId, id).content, "concurrentContent");
+		});
+
+		test("PATCH /notes/:id applies merge and JSON patches and returns patched note", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent", ["home"]));
+
+			for (const [contentType, patch, expectedContent, expectedTags] of [
+				[ContentTypes.APPLICATION_MERGE_PATCH_JSON, { content: "mergedContent" }, "mergedContent", ["home"]],
+				[ContentTypes.APPLICATION_MERGE_PATCH_JSON, { tags: ["work"] }, "mergedContent", ["work"]],
+				[
+					ContentTypes.APPLICATION_JSON_PATCH_JSON,
+					[
+						{ op: "test", path: "/version", value: 3 },
+						{ op: "add", path: "/tags/-", value: "play" },
+					],
+					"mergedContent",
+					["play", "work"],
+				],
+				[ContentTypes.APPLICATION_MERGE_PATCH_JSON, { tags: null }, "mergedContent", []],
+			]) {
+				const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, {
+					body: JSON.stringify(patch),
+					headers: { [HeaderFieldNames.CONTENT_TYPE]: contentType },
+					method: "PATCH",
+				});
+
+				strictEqual(response.status, StatusCodes.OK, `unexpected status for patch ${JSON.stringify(patch)}`);
+
+				const expectedNote = noteService.findById(userId, id);
+				const body = await response.json();
+
+				strictEqual(response.headers.get(HeaderFieldNames.ETAG), `"${expectedNote.version}"`);
+				deepStrictEqual(body, JSON.parse(JSON.stringify(expectedNote)));
+				strictEqual(body.content, expectedContent);
+				deepStrictEqual(body.tags, expectedTags);
+			}
+		});
+
+		test("PATCH /notes/:id returns error status for unusable patches and keeps note", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+
+			for (const [contentType, patch, expectedStatus] of [
+				[ContentTypes.APPLICATION_JSON, { content: "patchedContent" }, StatusCodes.UNSUPPORTED_MEDIA_TYPE],
+				[ContentTypes.APPLICATION_JSON_PATCH_JSON, { content: "patchedContent" }, StatusCodes.BAD_REQUEST],
+				[ContentTypes.APPLICATION_JSON_PATCH_JSON, [{ op: "replace", path: "content" }], StatusCodes.BAD_REQUEST],
+				[
+					ContentTypes.APPLICATION_JSON_PATCH_JSON,
+					[{ op: "test", path: "/content", value: "otherContent" }],
+					StatusCodes.CONFLICT,
+				],
+				[ContentTypes.APPLICATION_JSON_PATCH_JSON, [{ op: "remove", path: "/missing" }], StatusCodes.CONFLICT],
+				[ContentTypes.APPLICATION_MERGE_PATCH_JSON, { content: null }, StatusCodes.UNPROCESSABLE_ENTITY],
+				[ContentTypes.APPLICATION_MERGE_PATCH_JSON, { content: 1 }, StatusCodes.UNPROCESSABLE_ENTITY],
+				[ContentTypes.APPLICATION_MERGE_PATCH_JSON, { tags: [""] }, StatusCodes.UNPROCESSABLE_ENTITY],
+				[ContentTypes.APPLICATION_MERGE_PATCH_JSON, { version: 5 }, StatusCodes.UNPROCESSABLE_ENTITY],
+				[ContentTypes.APPLICATION_MERGE_PATCH_JSON, { title: "title" }, StatusCodes.UNPROCESSABLE_ENTITY],
+			]) {
+				const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, {
+					body: JSON.stringify(patch),
+					headers: { [HeaderFieldNames.CONTENT_TYPE]: contentType },
+					method: "PATCH",
+				});
+
+				strictEqual(response.status, expectedStatus, `unexpected status for ${contentType} ${JSON.stringify(patch)}`);
+				strictEqual((await response.json()).status, expectedStatus);
+			}
+
+			const note = noteService.findById(userId, id);
+
+			strictEqual(note.content, "testContent");
+			strictEqual(note.version, 1);
+		});
+
+		test("PATCH /notes/:id with stale If-Match returns 412 status", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, {
+				body: JSON.stringify({ content: "patchedContent" }),
+				headers: {
+					[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_MERGE_PATCH_JSON,
+					[HeaderFieldNames.IF_MATCH]: '"2"',
+				},
+				method: "PATCH",
+			});
+
+			strictEqual(response.status, StatusCodes.PRECONDITION_FAILED);
+			strictEqual(noteService.findById(userId, id).content, "testContent");
+		});
+
+		test("PATCH /notes/:id returns 404 status when no corresponding note exists", async () => {
+			const response = await authenticatedFetch(`${baseUrl}/notes/${uuidv4()}`, {
+				body: JSON.stringify({ content: "patchedContent" }),
+				headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_MERGE_PATCH_JSON },
+				method: "PATCH",
+			});
+
+			strictEqual(response.status, StatusCodes.NOT_FOUND);
+		});
+
+		test("DELETE /notes/:id with stale If-Match returns 412 status and keeps note", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+			noteService.update(userId, new NoteForUpdate(id, "concurrentContent"));
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, {
+				headers: {
+					[HeaderFieldNames.IF_MATCH]: '"1"',
+				},
+				method: "DELETE",
+			});
+
+			strictEqual(response.status, StatusCodes.PRECONDITION_FAILED);
+			strictEqual((await response.json()).currentNote.version, 2);
+			ok(noteService.findById(userId, id));
+		});
+
+		test("DELETE /notes/:id returns 404 status with problem details when no corresponding note exists", async () => {
+			const id = uuidv4();
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id}`, {
+				headers: {
+					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
+				},
+				method: "DELETE",
+			});
+
+			strictEqual(response.status, StatusCodes.NOT_FOUND);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_PROBLEM_JSON_UTF8);
+
+			const body = await response.json();
+
+			strictEqual(body.code, "not-found");
+			strictEqual(body.status, StatusCodes.NOT_FOUND);
+			strictEqual(body.instance, `/api/v1/notes/${id}`);
+		});
+
+		test("DELETE /notes/:id deletes existing note", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, {
+				headers: {
+					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+					[HeaderFieldNames.ACCEPT_ENCODING]: EncodingTypes.GZIP,
+				},
+				method: "DELETE",
+			});
+
+			strictEqual(response.status, StatusCodes.NO_CONTENT);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), null);
+
+			const body = await response.text();
+
+			deepStrictEqual(body, "");
+		});
+
+		test("DELETE /notes/:id moves note to the trash until restored", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+
+			const deleteResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}`, { method: "DELETE" });
+
+			strictEqual(deleteResponse.status, StatusCodes.NO_CONTENT);
+			strictEqual((await authenticatedFetch(`${baseUrl}/notes/${id.value}`)).status, StatusCodes.NOT_FOUND);
+			deepStrictEqual((await (await authenticatedFetch(`${baseUrl}/notes`)).json()).notes, []);
+
+			const trashResponse = await authenticatedFetch(`${baseUrl}/notes/trash`);
+
+			strictEqual(trashResponse.status, StatusCodes.OK);
+
+			const trashBody = await trashResponse.json();
+
+			deepStrictEqual(
+				trashBody.notes.map((note) => note.id),
+				[id.value],
+			);
+			ok(trashBody.notes[0].deletedDateTime);
+
+			const restoreResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}/restore`, { method: "POST" });
+
+			strictEqual(restoreResponse.status, StatusCodes.OK);
+			strictEqual(restoreResponse.headers.get(HeaderFieldNames.ETAG), '"3"');
+
+			const restoredNote = await restoreResponse.json();
+
+			strictEqual(restoredNote.content, "testContent");
+			strictEqual(restoredNote.deletedDateTime, undefined);
+			strictEqual((await authenticatedFetch(`${baseUrl}/notes/${id.value}`)).status, StatusCodes.OK);
+
+			const secondRestoreResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}/restore`, {
+				method: "POST",
+			});
+
+			strictEqual(secondRestoreResponse.status, StatusCodes.NOT_FOUND);
+		});
+
+		test("DELETE /notes/:id?permanent=true permanently deletes note in or out of the trash", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+			const trashedId = noteService.create(userId, new NoteForCreate("trashedContent"));
+			noteService.deleteById(userId, trashedId);
+
+			for (const noteId of [id, trashedId]) {
+				const response = await authenticatedFetch(`${baseUrl}/notes/${noteId.value}?permanent=true`, {
+					method: "DELETE",
+				});
+
+				strictEqual(response.status, StatusCodes.NO_CONTENT);
+			}
+
+			deepStrictEqual((await (await authenticatedFetch(`${baseUrl}/notes/trash`)).json()).notes, []);
+
+			const restoreResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}/restore`, { method: "POST" });
+
+			strictEqual(restoreResponse.status, StatusCodes.NOT_FOUND);
+		});
+
+		test("DELETE /notes/:id returns 400 status for invalid permanent parameter", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}?permanent=yes`, { method: "DELETE" });
+
+			strictEqual(response.status, StatusCodes.BAD_REQUEST);
+			ok(noteService.findById(userId, id));
+		});
+
+		test("GET /notes/:id/revisions lists and fetches previous contents", async () => {
+			const id = noteService.create(userId, new NoteForCreate("first"));
+			noteService.update(userId, new NoteForUpdate(id, "second"));
+			noteService.update(userId, new NoteForUpdate(id, "third"));
+
+			const listResponse = await authenticatedFetch(
+				`${baseUrl}/notes/${id.value}/revisions?pageSize=1&beforeRevision=2`,
+			);
+
+			strictEqual(listResponse.status, StatusCodes.OK);
+
+			const listBody = await listResponse.json();
+
+			strictEqual(listBody.pageSize, 1);
+			deepStrictEqual(
+				listBody.revisions.map((revision) => [revision.noteId, revision.revision, revision.content]),
+				[[id.value, 1, "first"]],
+			);
+
+			const revisionResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}/revisions/2`);
+
+			strictEqual(revisionResponse.status, StatusCodes.OK);
+			strictEqual((await revisionResponse.json()).content, "second");
+
+			for (const [path, expectedStatus] of [
+				[`/notes/${id.value}/revisions/3`, StatusCodes.NOT_FOUND],
+				[`/notes/${id.value}/revisions/0`, StatusCodes.BAD_REQUEST],
+				[`/notes/${id.value}/revisions?beforeRevision=a`, StatusCodes.BAD_REQUEST],
+				[`/notes/${uuidv4()}/revisions`, StatusCodes.NOT_FOUND],
+			]) {
+				strictEqual((await authenticatedFetch(`${baseUrl}${path}`)).status, expectedStatus, path);
+			}
+		});
+
+		test("GET /notes/:id/revisions/:a/diff/:b returns line changes between revisions", async () => {
+			const id = noteService.create(userId, new NoteForCreate("a\nb\nc"));
+			noteService.update(userId, new NoteForUpdate(id, "a\nB\nc\nd"));
+			noteService.update(userId, new NoteForUpdate(id, "current"));
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}/revisions/1/diff/2`);
+
+			strictEqual(response.status, StatusCodes.OK);
+			deepStrictEqual(await response.json(), {
+				noteId: id.value,
+				fromRevision: 1,
+				toRevision: 2,
+				changes: [
+					{ type: "equal", line: "a" },
+					{ type: "delete", line: "b" },
+					{ type: "insert", line: "B" },
+					{ type: "equal", line: "c" },
+					{ type: "insert", line: "d" },
+				],
+			});
+
+			strictEqual(
+				(await authenticatedFetch(`${baseUrl}/notes/${id.value}/revisions/1/diff/3`)).status,
+				StatusCodes.NOT_FOUND,
+			);
+		});
+
+		test("POST /notes/:id/revisions/:rev/revert restores revision content and records the current content", async () => {
+			const id = noteService.create(userId, new NoteForCreate("first", ["tag"]));
+			noteService.update(userId, new NoteForUpdate(id, "second", ["tag"]));
+
+			const staleResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}/revisions/1/revert`, {
+				headers: { [HeaderFieldNames.IF_MATCH]: '"1"' },
+				method: "POST",
+			});
+
+			strictEqual(staleResponse.status, StatusCodes.PRECONDITION_FAILED);
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/${id.value}/revisions/1/revert`, {
+				headers: { [HeaderFieldNames.IF_MATCH]: '"2"' },
+				method: "POST",
+			});
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.ETAG), '"3"');
+
+			const body = await response.json();
+
+			strictEqual(body.content, "first");
+			deepStrictEqual(body.tags, ["tag"]);
+			deepStrictEqual(
+				noteService.listRevisions(userId, id).revisions.map((revision) => revision.content),
+				["second", "first"],
+			);
+
+			const missingResponse = await authenticatedFetch(`${baseUrl}/notes/${id.value}/revisions/5/revert`, {
+				method: "POST",
+			});
+
+			strictEqual(missingResponse.status, StatusCodes.NOT_FOUND);
+		});
+
+		test("POST /notes/batch applies all operations in one transaction", async () => {
+			const updatedId = noteService.create(userId, new NoteForCreate("testContent"));
+			const deletedId = noteService.create(userId, new NoteForCreate("deletedContent"));
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/batch`, {
+				body: JSON.stringify({
+					operations: [
+						{ op: "create", content: "createdContent", tags: ["batch"] },
+						{ op: "update", id: updatedId.value, content: "updatedContent", version: 1 },
+						{ op: "delete", id: deletedId.value },
+					],
+				}),
+				headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON },
+				method: "POST",
+			});
+
+			strictEqual(response.status, StatusCodes.OK);
+
+			const body = await response.json();
+
+			strictEqual(body.atomic, true);
+			deepStrictEqual(
+				body.results.map((result) => result.status),
+				[StatusCodes.CREATED, StatusCodes.OK, StatusCodes.NO_CONTENT],
+			);
+			deepStrictEqual(noteService.findById(userId, new UuidV4(body.results[0].id)).tags, ["batch"]);
+			strictEqual(body.results[1].note.content, "updatedContent");
+			strictEqual(noteService.findById(userId, deletedId), null);
+		});
+
+		test("POST /notes/batch rolls back an all-or-nothing batch when an operation fails", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/batch`, {
+				body: JSON.stringify({
+					operations: [
+						{ op: "update", id: id.value, content: "updatedContent" },
+						{ op: "update", id: id.value, content: "staleContent", version: 1 },
+						{ op: "create", content: "createdContent" },
+					],
+				}),
+				headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON },
+				method: "POST",
+			});
+
+			strictEqual(response.status, StatusCodes.MULTI_STATUS);
+
+			const body = await response.json();
+
+			deepStrictEqual(
+				body.results.map((result) => result.status),
+				[StatusCodes.FAILED_DEPENDENCY, StatusCodes.PRECONDITION_FAILED, StatusCodes.FAILED_DEPENDENCY],
+			);
+			strictEqual(body.results[1].note.version, 2);
+
+			const notes = noteService.findAll(userId);
+
+			strictEqual(notes.length, 1);
+			strictEqual(notes[0].content, "testContent");
+			strictEqual(notes[0].version, 1);
+		});
+
+		test("POST /notes/batch applies the successful operations of a best-effort batch", async () => {
+			const id = noteService.create(userId, new NoteForCreate("testContent"));
+
+			const response = await authenticatedFetch(`${baseUrl}/notes/batch`, {
+				body: JSON.stringify({
+					atomic: false,
+					operations: [
+						{ op: "update", id: id.value, content: "updatedContent" },
+						{ op: "delete", id: uuidv4() },
+						{ op: "create", content: "createdContent" },
+					],
+				}),
+				headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON },
+				method: "POST",
+			});
+
+			strictEqual(response.status, StatusCodes.MULTI_STATUS);
+
+			const body = await response.json();
+
+			strictEqual(body.atomic, false);
+			deepStrictEqual(
+				body.results.map((result) => result.status),
+				[StatusCodes.OK, StatusCodes.NOT_FOUND, StatusCodes.CREATED],
+			);
+			deepStrictEqual(
+				noteService
+					.findAll(userId)
+					.map((note) => note.content)
+					.sort(),
+				["createdContent", "updatedContent"],
+			);
+		});
+
+		test("POST /notes/batch returns 400 status for invalid batches without applying them", async () => {
+			for (const batch of [
+				{},
+				{ operations: [] },
+				{ operations: [{ op: "create", content: "createdContent" }], atomic: "false" },
+				{ operations: [{ op: "create", content: "createdContent" }, { op: "move" }] },
+				{ operations: [{ op: "update", id: "invalid", content: "updatedContent" }] },
+				{ operations: [{ op: "delete", id: uuidv4(), version: "1" }] },
+			]) {
+				const response = await authenticatedFetch(`${baseUrl}/notes/batch`, {
+					body: JSON.stringify(batch),
+					headers: { [HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON },
+					method: "POST",
+				});
+
+				strictEqual(response.status, StatusCodes.BAD_REQUEST, `unexpected status for ${JSON.stringify(batch)}`);
+			}
+
+			deepStrictEqual(noteService.findAll(userId), []);
+		});
+
+		test("GET /notes?id={id}&id={id} returns the existing notes with the ids", async () => {
+			const firstId = noteService.create(userId, new NoteForCreate("firstContent"));
+			const secondId = noteService.create(userId, new NoteForCreate("secondContent"));
+
+			const response = await authenticatedFetch(
+				`${baseUrl}/notes?id=${secondId.value}&id=${uuidv4()}&id=${firstId.value}&id=${secondId.value}`,
+			);
+
+			strictEqual(response.status, StatusCodes.OK);
+			deepStrictEqual(
+				(await response.json()).notes.map((note) => note.content),
+				["secondContent", "firstContent"],
+			);
+
+			for (const query of [`id=invalid`, `id=${firstId.value}&pageSize=1`]) {
+				strictEqual((await authenticatedFetch(`${baseUrl}/notes?${query}`)).status, StatusCodes.BAD_REQUEST, query);
+			}
+		});
+
+		test("POST /notes creates note with tags", async () => {
+			const response = await authenticatedFetch(`${baseUrl}/notes`, {
+				body: JSON.stringify({ content: "testContent", tags: ["Work", "#meeting", "work"] }),
+				headers: {
+					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+					[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
+				},
+				method: "POST",
+			});
+
+			strictEqual(response.status, StatusCodes.CREATED);
+
+			const body = await response.json();
+
+			deepStrictEqual(noteService.findById(userId, new UuidV4(body.id)).tags, ["meeting", "work"]);
+		});
+
+		test("POST /notes returns 400 status for invalid tags", async (t) => {
+			for (const tags of ["work", [1], [""]]) {
+				await t.test(`tags ${JSON.stringify(tags)}`, async () => {
+					const response = await authenticatedFetch(`${baseUrl}/notes`, {
+						body: JSON.stringify({ content: "testContent", tags: tags }),
+						headers: {
+							[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+							[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
+						},
+						method: "POST",
+					});
+
+					strictEqual(response.status, StatusCodes.BAD_REQUEST);
+				});
+			}
+		});
+
+		test("GET /notes?tag={tag} filters notes by any or all of the tags", async () => {
+			const workId = noteService.create(userId, new NoteForCreate("work", ["work"]));
+			const meetingId = noteService.create(userId, new NoteForCreate("meeting", ["meeting"]));
+			const workMeetingId = noteService.create(userId, new NoteForCreate("work meeting", ["work", "meeting"]));
+			noteService.create(userId, new NoteForCreate("untagged"));
+
+			for (const [tagMatch, expectedIds] of [
+				[undefined, [workId, meetingId, workMeetingId]],
+				["any", [workId, meetingId, workMeetingId]],
+				["all", [workMeetingId]],
+			]) {
+				const url = new URL(`${baseUrl}/notes`);
+				url.searchParams.append("tag", "work");
+				url.searchParams.append("tag", "meeting");
+				if (tagMatch) {
+					url.searchParams.append("tagMatch", tagMatch);
+				}
+
+				const response = await authenticatedFetch(url, {
+					headers: {
+						[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+					},
+				});
+
+				strictEqual(response.status, StatusCodes.OK);
+
+				const body = await response.json();
+
+				deepStrictEqual(
+					body.notes.map((note) => note.id).sort(),
+					expectedIds.map((id) => id.value).sort(),
+					`unexpected notes for tagMatch ${tagMatch}`,
+				);
+			}
+
+			const invalidUrl = new URL(`${baseUrl}/notes`);
+			invalidUrl.searchParams.append("tag", "work");
+			invalidUrl.searchParams.append("tagMatch", "some");
+
+			strictEqual((await authenticatedFetch(invalidUrl)).status, StatusCodes.BAD_REQUEST);
+		});
+	});
+
+	describe("TagRoutes /api/v1/tags", () => {
+		test("GET /tags returns tags with usage counts", async () => {
+			noteService.create(userId, new NoteForCreate("one", ["work", "meeting"]));
+			noteService.create(userId, new NoteForCreate("two", ["work"]));
+
+			const response = await authenticatedFetch(`${baseUrl}/tags`, {
+				headers: {
+					[HeaderFieldNames.ACCEPT]: ContentTypes.APPLICATION_JSON,
+				},
+			});
+
+			strictEqual(response.status, StatusCodes.OK);
+			strictEqual(response.headers.get(HeaderFieldNames.CONTENT_TYPE), ContentTypes.APPLICATION_JSON_UTF8);
+
+			deepStrictEqual(await response.json(), {
+				tags: [
+					{ name: "meeting", noteCount: 1 },
+					{ name: "work", noteCount: 2 },
+				],
+			});
+		});
+
+		test("POST /tags/:name/rename renames tag and merges into an existing tag", async () => {
+			const firstId = noteService.create(userId, new NoteForCreate("one", ["wrk"]));
+			const secondId = noteService.create(userId, new NoteForCreate("two", ["wrk", "work"]));
+
+			const response = await authenticatedFetch(`${baseUrl}/tags/wrk/rename`, {
+				body: JSON.stringify({ name: "work" }),
+				headers: {
+					[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
+				},
+				method: "POST",
+			});
+
+			strictEqual(response.status, StatusCodes.NO_CONTENT);
+			deepStrictEqual(noteService.findById(userId, firstId).tags, ["work"]);
+			deepStrictEqual(noteService.findById(userId, secondId).tags, ["work"]);
+			deepStrictEqual(
+				noteService.listTags(userId).map((tag) => tag.toJSON()),
+				[{ name: "work", noteCount: 2 }],
+			);
+
+			const missingResponse = await authenticatedFetch(`${baseUrl}/tags/missing/rename`, {
+				body: JSON.stringify({ name: "work" }),
+				headers: {
+					[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
+				},
+				method: "POST",
+			});
+
+			strictEqual(missingResponse.status, StatusCodes.NOT_FOUND);
+		});
+
+		test("POST /tags/merge merges tags into target tag", async () => {
+			const id = noteService.create(userId, new NoteForCreate("one", ["todo", "to-do", "later"]));
+
+			const response = await authenticatedFetch(`${baseUrl}/tags/merge`, {
+				body: JSON.stringify({ sources: ["todo", "to-do"], target: "tasks" }),
+				headers: {
+					[HeaderFieldNames.CONTENT_TYPE]: ContentTypes.APPLICATION_JSON,
+				},
+				method: "POST",
+			});
+
+			strictEqual(response.status, StatusCodes.NO_CONTENT);
+			deepStrictEqual(noteService.findById(userId, id).tags, ["later", "tasks"]);
 		});
 	});
 });
@@ -0,0 +1,162 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import os from "node:os";
+import config, { ConfigError, loadConfig } from "../src/config.js";
+
+describe("Configuration", () => {
+	test(`${loadConfig.name} uses defaults for unset and empty variables`, () => {
+		const defaults = loadConfig({ PORT: "", LOG_LEVEL: "  " });
+
+		deepStrictEqual(defaults, {
+			environment: "development",
+			port: 3000,
+			databasePath: "./notes.db",
+			workers: os.availableParallelism(),
+			logLevel: "info",
+			defaultPageSize: 20,
+			maxPageSize: 100,
+			bodyLimitBytes: 5 * 1024 * 1024,
+			importBodyLimitBytes: 100 * 1024 * 1024,
+			publicBaseUrl: null,
+			compressionThresholdBytes: 0,
+			trashRetentionDays: 30,
+			jwt: null,
+			rateLimit: { readsPerMinute: 600, writesPerMinute: 120 },
+			trustProxy: false,
+			maxWalBytes: 64 * 1024 * 1024,
+			shutdownDrainSeconds: 5,
+		});
+	});
+
+	test(`${loadConfig.name} reads and converts every variable`, () => {
+		const loaded = loadConfig({
+			NODE_ENV: "Production",
+			PORT: "8080",
+			DATABASE_PATH: "/var/lib/notes/notes.db",
+			WORKERS: "2",
+			LOG_LEVEL: "DEBUG",
+			DEFAULT_PAGE_SIZE: "10",
+			MAX_PAGE_SIZE: "50",
+			BODY_LIMIT: "512kb",
+			IMPORT_BODY_LIMIT: "1gb",
+			PUBLIC_BASE_URL: "https://notes.example.com/app/",
+			COMPRESSION_THRESHOLD: "1024",
+			TRASH_RETENTION_DAYS: "0",
+			JWT_JWKS: "./jwks.json",
+			JWT_ISSUER: "https://idp.example.com/",
+			JWT_AUDIENCE: "notes-api",
+			JWT_CLOCK_TOLERANCE_SECONDS: "5",
+			RATE_LIMIT_READS_PER_MINUTE: "60",
+			RATE_LIMIT_WRITES_PER_MINUTE: "6",
+			TRUST_PROXY: "loopback, 10.0.0.0/8",
+			MAX_WAL_SIZE: "16mb",
+			SHUTDOWN_DRAIN_SECONDS: "0",
+		});
+
+		deepStrictEqual(loaded, {
+			environment: "production",
+			port: 8080,
+			databasePath: "/var/lib/notes/notes.db",
+			workers: 2,
+			logLevel: "debug",
+			defaultPageSize: 10,
+			maxPageSize: 50,
+			bodyLimitBytes: 512 * 1024,
+			importBodyLimitBytes: 1024 * 1024 * 1024,
+			publicBaseUrl: "https://notes.example.com/app",
+			compressionThresholdBytes: 1024,
+			trashRetentionDays: 0,
+			jwt: {
+				jwks: "./jwks.json",
+				issuer: "https://idp.example.com/",
+				audience: "notes-api",
+				clockToleranceSeconds: 5,
+			},
+			rateLimit: { readsPerMinute: 60, writesPerMinute: 6 },
+			trustProxy: ["loopback", "10.0.0.0/8"],
+			maxWalBytes: 16 * 1024 * 1024,
+			shutdownDrainSeconds: 0,
+		});
+		ok(Object.isFrozen(loaded));
+		ok(Object.isFrozen(loaded.jwt));
+	});
+
+	test(`${loadConfig.name} accepts body limits in each unit`, async (t) => {
+		for (const [value, expectedBytes] of [
+			["100", 100],
+			["100b", 100],
+			["2KB", 2048],
+			["1 mb", 1024 * 1024],
+			["1gb", 1024 * 1024 * 1024],
+		]) {
+			await t.test(`"${value}" expecting ${expectedBytes}`, () => {
+				strictEqual(loadConfig({ BODY_LIMIT: value }).bodyLimitBytes, expectedBytes);
+			});
+		}
+	});
+
+	test(`${loadConfig.name} reads whether to trust proxies, how many or which`, async (t) => {
+		for (const [value, expectedTrustProxy] of [
+			["TRUE", true],
+			["false", false],
+			["2", 2],
+			["192.168.1.1", ["192.168.1.1"]],
+			["uniquelocal,fd00::/8", ["uniquelocal", "fd00::/8"]],
+		]) {
+			await t.test(`"${value}" expecting ${JSON.stringify(expectedTrustProxy)}`, () => {
+				deepStrictEqual(loadConfig({ TRUST_PROXY: value }).trustProxy, expectedTrustProxy);
+			});
+		}
+	});
+
+	test(`${loadConfig.name} rejects invalid values`, async (t) => {
+		for (const [env, expectedMessage] of [
+			[{ NODE_ENV: "staging" }, /NODE_ENV must be one of development, test, production, was "staging"/],
+			[{ PORT: "3000abc" }, /PORT must be an integer >= 0 and <= 65535, was "3000abc"/],
+			[{ PORT: "65536" }, /PORT/],
+			[{ WORKERS: "0" }, /WORKERS must be an integer >= 1/],
+			[{ WORKERS: "1.5" }, /WORKERS/],
+			[{ LOG_LEVEL: "verbose!" }, /LOG_LEVEL must be one of error, warn, info/],
+			[{ DEFAULT_PAGE_SIZE: "0" }, /DEFAULT_PAGE_SIZE/],
+			[{ DEFAULT_PAGE_SIZE: "200" }, /DEFAULT_PAGE_SIZE must be <= MAX_PAGE_SIZE, was 200 > 100/],
+			[{ BODY_LIMIT: "5 megabytes" }, /BODY_LIMIT must be a size > 0/],
+			[{ BODY_LIMIT: "0" }, /BODY_LIMIT/],
+			[{ PUBLIC_BASE_URL: "notes.example.com" }, /PUBLIC_BASE_URL must be an http or https URL/],
+			[{ PUBLIC_BASE_URL: "ftp://notes.example.com" }, /PUBLIC_BASE_URL/],
+			[{ PUBLIC_BASE_URL: "https://notes.example.com/?app=notes" }, /PUBLIC_BASE_URL/],
+			[{ COMPRESSION_THRESHOLD: "-1" }, /COMPRESSION_THRESHOLD/],
+			[{ TRASH_RETENTION_DAYS: "thirty" }, /TRASH_RETENTION_DAYS/],
+			[{ JWT_JWKS: "./jwks.json" }, /JWT_ISSUER must be set when JWT_JWKS is set/],
+			[{ JWT_JWKS: "./jwks.json", JWT_ISSUER: "https://idp.example.com/" }, /JWT_AUDIENCE must be set/],
+			[{ RATE_LIMIT_WRITES_PER_MINUTE: "0" }, /RATE_LIMIT_WRITES_PER_MINUTE/],
+			[{ TRUST_PROXY: "yes" }, /TRUST_PROXY must be true, false, a number of proxies/],
+			[{ TRUST_PROXY: "10.0.0.0/33" }, /TRUST_PROXY/],
+			[{ TRUST_PROXY: "loopback,proxy.example.com" }, /TRUST_PROXY/],
+			[{ MAX_WAL_SIZE: "-1mb" }, /MAX_WAL_SIZE must be a size > 0/],
+			[{ SHUTDOWN_DRAIN_SECONDS: "-5" }, /SHUTDOWN_DRAIN_SECONDS must be an integer >= 0/],
+		]) {
+			await t.test(`${JSON.stringify(env)} expecting to throw ${ConfigError.name}`, () => {
+				throws(() => loadConfig(env), ConfigError);
+				throws(() => loadConfig(env), expectedMessage);
+			});
+		}
+	});
+
+	test(`${loadConfig.name} reports every invalid value at once`, () => {
+		throws(
+			() => loadConfig({ PORT: "http", WORKERS: "many" }),
+			(err) => err instanceof ConfigError && /PORT/.test(err.message) && /WORKERS/.test(err.message),
+		);
+	});
+
+	test(`${loadConfig.name} rejects invalid env parameter`, () => {
+		for (const env of [undefined, null, "PORT=3000"]) {
+			throws(() => loadConfig(env), TypeError);
+		}
+	});
+
+	test("the default export is loaded from the environment", () => {
+		ok(Object.isFrozen(config));
+		strictEqual(typeof config.port, "number");
+	});
+});
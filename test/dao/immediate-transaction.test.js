@@ -0,0 +1,114 @@
+import { describe, test } from "node:test";
+import { strictEqual, throws } from "node:assert";
+import Database from "better-sqlite3";
+import { MAX_ATTEMPTS, isBusyError, runImmediate } from "../../src/dao/immediate-transaction.js";
+import DaoError from "../../src/dao/dao-error.js";
+import { ServiceError } from "../../src/service/service-error.js";
+import { busyErrorsTotal, transactionRetriesTotal } from "../../src/util/metrics.js";
+
+/**
+ * @param {string} code
+ * @return {Error} an error like those of better-sqlite3
+ */
+function sqliteError(code) {
+	return Object.assign(new Error(`${code} error`), { code: code });
+}
+
+/**
+ * @param {Counter} counter
+ * @return {Promise<number>} the value of the counter
+ */
+async function counterValue(counter) {
+	return (await counter.get()).values[0]?.value ?? 0;
+}
+
+/**
+ * @param {number} busyAttempts the number of attempts which fail as the database is busy
+ * @return {{immediate: function(...*): *, attempts: number}} a transaction function which succeeds after the busy
+ * attempts, returning its arguments
+ */
+function busyTransaction(busyAttempts) {
+	const transaction = {
+		attempts: 0,
+		immediate: (...args) => {
+			transaction.attempts++;
+			if (transaction.attempts <= busyAttempts) {
+				throw new ServiceError("Failed while saving", {
+					cause: new DaoError("Failed", { cause: sqliteError("SQLITE_BUSY") }),
+				});
+			}
+
+			return args;
+		},
+	};
+
+	return transaction;
+}
+
+describe("immediate transactions", () => {
+	test(`${isBusyError.name} finds SQLITE_BUSY errors among the causes of an error`, () => {
+		strictEqual(isBusyError(sqliteError("SQLITE_BUSY")), true);
+		strictEqual(isBusyError(sqliteError("SQLITE_BUSY_SNAPSHOT")), true);
+		strictEqual(isBusyError(new DaoError("Failed", { cause: sqliteError("SQLITE_BUSY") })), true);
+		strictEqual(isBusyError(sqliteError("SQLITE_CONSTRAINT")), false);
+		strictEqual(isBusyError(new Error("busy")), false);
+		strictEqual(isBusyError(undefined), false);
+	});
+
+	test(`${runImmediate.name} runs the transaction as an immediate transaction`, () => {
+		const databaseConnection = new Database(":memory:");
+
+		try {
+			const transaction = databaseConnection.transaction((value) => [value, databaseConnection.inTransaction]);
+
+			const [value, inTransaction] = runImmediate(transaction, "value");
+
+			strictEqual(value, "value");
+			strictEqual(inTransaction, true);
+		} finally {
+			databaseConnection.close();
+		}
+	});
+
+	test(`${runImmediate.name} retries while the database is busy, counting the errors and retries`, async () => {
+		const busyErrors = await counterValue(busyErrorsTotal);
+		const retries = await counterValue(transactionRetriesTotal);
+		const transaction = busyTransaction(MAX_ATTEMPTS - 1);
+
+		const [first, second] = runImmediate(transaction, 1, 2);
+
+		strictEqual(first, 1);
+		strictEqual(second, 2);
+		strictEqual(transaction.attempts, MAX_ATTEMPTS);
+		strictEqual(await counterValue(busyErrorsTotal), busyErrors + MAX_ATTEMPTS - 1);
+		strictEqual(await counterValue(transactionRetriesTotal), retries + MAX_ATTEMPTS - 1);
+	});
+
+	test(`${runImmediate.name} gives up after ${MAX_ATTEMPTS} attempts`, async () => {
+		const retries = await counterValue(transactionRetriesTotal);
+		const transaction = busyTransaction(MAX_ATTEMPTS);
+
+		throws(() => runImmediate(transaction), ServiceError);
+		strictEqual(transaction.attempts, MAX_ATTEMPTS);
+		strictEqual(await counterValue(transactionRetriesTotal), retries + MAX_ATTEMPTS - 1);
+	});
+
+	test(`${runImmediate.name} does not retry other errors`, () => {
+		const transaction = {
+			attempts: 0,
+			immediate: () => {
+				transaction.attempts++;
+				throw sqliteError("SQLITE_CONSTRAINT");
+			},
+		};
+
+		throws(() => runImmediate(transaction), { code: "SQLITE_CONSTRAINT" });
+		strictEqual(transaction.attempts, 1);
+	});
+
+	test(`${runImmediate.name} rejects values which are not transaction functions`, () => {
+		for (const transaction of [undefined, null, () => {}, {}]) {
+			throws(() => runImmediate(transaction), TypeError);
+		}
+	});
+});
@@ -0,0 +1,200 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import os from "node:os";
+import path from "node:path";
+import fs from "node:fs";
+import Database from "better-sqlite3";
+import MigrationRunner from "../../src/dao/migration-runner.js";
+import DaoError from "../../src/dao/dao-error.js";
+
+function tableNames(db) {
+	return db
+		.prepare(`SELECT name FROM sqlite_schema WHERE type = 'table' AND name != 'schema_migrations' ORDER BY name`)
+		.all()
+		.map((row) => row.name);
+}
+
+describe(`${MigrationRunner.name}`, () => {
+	/**
+	 * @type {string}
+	 */
+	let migrationsDirectory;
+
+	/**
+	 * @type {Database.Database}
+	 */
+	let databaseConnection;
+
+	function writeMigration(filename, contents) {
+		fs.writeFileSync(path.resolve(migrationsDirectory, filename), contents);
+	}
+
+	beforeEach(() => {
+		migrationsDirectory = fs.mkdtempSync(path.resolve(os.tmpdir(), "migrations-"));
+		databaseConnection = new Database(":memory:");
+	});
+
+	afterEach(() => {
+		databaseConnection.close();
+		fs.rmSync(migrationsDirectory, { recursive: true, force: true });
+	});
+
+	test("constructor rejects invalid databaseConnection parameter", async (t) => {
+		for (const databaseConnection of [undefined, null, 0, {}, [], new Set()]) {
+			await t.test(
+				`${typeof databaseConnection} "${databaseConnection}" expecting to throw ${TypeError.name} with descriptive validation message`,
+				() => {
+					throws(
+						() => {
+							new MigrationRunner(databaseConnection);
+						},
+						new TypeError(
+							`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+						),
+					);
+				},
+			);
+		}
+	});
+
+	test("default migrations apply to an empty database", () => {
+		const applied = new MigrationRunner(databaseConnection).migrate();
+
+		ok(applied.length > 0);
+		strictEqual(applied[0].version, 0);
+		ok(tableNames(databaseConnection).includes("Note"));
+	});
+
+	test(`${MigrationRunner.prototype.migrate.name} method applies pending migrations once in version order`, () => {
+		writeMigration("001_second.sql", "CREATE TABLE Second (id INT PRIMARY KEY);");
+		writeMigration("000_first.sql", "CREATE TABLE First (id INT PRIMARY KEY);");
+		writeMigration("README.md", "not a migration");
+
+		const migrationRunner = new MigrationRunner(databaseConnection, migrationsDirectory);
+
+		deepStrictEqual(migrationRunner.migrate(), [
+			{ version: 0, name: "first" },
+			{ version: 1, name: "second" },
+		]);
+		deepStrictEqual(tableNames(databaseConnection), ["First", "Second"]);
+
+		deepStrictEqual(migrationRunner.migrate(), []);
+
+		writeMigration("002_third.sql", "CREATE TABLE Third (id INT PRIMARY KEY);");
+
+		deepStrictEqual(migrationRunner.migrate(), [{ version: 2, name: "third" }]);
+		deepStrictEqual(
+			migrationRunner.status().map((migration) => [migration.version, migration.appliedDateTime instanceof Date]),
+			[
+				[0, true],
+				[1, true],
+				[2, true],
+			],
+		);
+	});
+
+	test(`${MigrationRunner.prototype.migrate.name} method rolls back a failing migration`, () => {
+		writeMigration("000_first.sql", "CREATE TABLE First (id INT PRIMARY KEY);");
+		writeMigration("001_broken.sql", "CREATE TABLE Broken (id INT PRIMARY KEY); INSERT INTO Missing VALUES (1);");
+
+		const migrationRunner = new MigrationRunner(databaseConnection, migrationsDirectory);
+
+		throws(() => migrationRunner.migrate(), DaoError);
+
+		deepStrictEqual(tableNames(databaseConnection), ["First"]);
+		deepStrictEqual(
+			migrationRunner.status().map((migration) => migration.appliedDateTime === null),
+			[false, true],
+		);
+	});
+
+	test(`${MigrationRunner.prototype.migrate.name} method rejects migrations modified after being applied`, () => {
+		writeMigration("000_first.sql", "CREATE TABLE First (id INT PRIMARY KEY);");
+
+		const migrationRunner = new MigrationRunner(databaseConnection, migrationsDirectory);
+		migrationRunner.migrate();
+
+		writeMigration("000_first.sql", "CREATE TABLE First (id INT PRIMARY KEY, name TEXT);");
+
+		throws(
+			() => migrationRunner.migrate(),
+			(err) =>
+				err instanceof DaoError && /Migration 000_first\.sql has been modified after it was applied/.test(err.message),
+		);
+	});
+
+	test(`${MigrationRunner.prototype.migrate.name} method rejects duplicate versions`, () => {
+		writeMigration("000_first.sql", "CREATE TABLE First (id INT PRIMARY KEY);");
+		writeMigration("000_other.sql", "CREATE TABLE Other (id INT PRIMARY KEY);");
+
+		throws(
+			() => new MigrationRunner(databaseConnection, migrationsDirectory).migrate(),
+			(err) => err instanceof DaoError && /Duplicate migration version 0/.test(err.message),
+		);
+	});
+
+	test(`${MigrationRunner.prototype.migrate.name} method runs CommonJS migrations`, () => {
+		writeMigration(
+			"000_seed.cjs",
+			`exports.up = (db) => {
+				db.exec("CREATE TABLE Seeded (value TEXT NOT NULL)");
+				db.prepare("INSERT INTO Seeded (value) VALUES (?)").run("seed");
+			};
+			exports.down = (db) => db.exec("DROP TABLE Seeded");`,
+		);
+
+		const migrationRunner = new MigrationRunner(databaseConnection, migrationsDirectory);
+		migrationRunner.migrate();
+
+		deepStrictEqual(databaseConnection.prepare("SELECT value FROM Seeded").all(), [{ value: "seed" }]);
+
+		migrationRunner.rollback();
+
+		deepStrictEqual(tableNames(databaseConnection), []);
+	});
+
+	describe(`${MigrationRunner.prototype.rollback.name} method`, () => {
+		test("rolls back the most recent migrations using their down scripts", () => {
+			writeMigration("000_first.sql", "CREATE TABLE First (id INT PRIMARY KEY);");
+			writeMigration("000_first.down.sql", "DROP TABLE First;");
+			writeMigration("001_second.sql", "CREATE TABLE Second (id INT PRIMARY KEY);");
+			writeMigration("001_second.down.sql", "DROP TABLE Second;");
+
+			const migrationRunner = new MigrationRunner(databaseConnection, migrationsDirectory);
+			migrationRunner.migrate();
+
+			deepStrictEqual(migrationRunner.rollback(), [{ version: 1, name: "second" }]);
+			deepStrictEqual(tableNames(databaseConnection), ["First"]);
+
+			deepStrictEqual(migrationRunner.migrate(), [{ version: 1, name: "second" }]);
+			deepStrictEqual(migrationRunner.rollback(2), [
+				{ version: 1, name: "second" },
+				{ version: 0, name: "first" },
+			]);
+			deepStrictEqual(tableNames(databaseConnection), []);
+		});
+
+		test("rejects migrations without a down script", () => {
+			writeMigration("000_first.sql", "CREATE TABLE First (id INT PRIMARY KEY);");
+
+			const migrationRunner = new MigrationRunner(databaseConnection, migrationsDirectory);
+			migrationRunner.migrate();
+
+			throws(
+				() => migrationRunner.rollback(),
+				(err) => err instanceof DaoError && /Migration 000_first\.sql has no rollback/.test(err.message),
+			);
+			deepStrictEqual(tableNames(databaseConnection), ["First"]);
+		});
+
+		test("rejects invalid steps parameter", async (t) => {
+			const migrationRunner = new MigrationRunner(databaseConnection, migrationsDirectory);
+
+			for (const steps of [null, 0, -1, 1.5, "1"]) {
+				await t.test(`${typeof steps} "${steps}" expecting to throw ${RangeError.name}`, () => {
+					throws(() => migrationRunner.rollback(steps), RangeError);
+				});
+			}
+		});
+	});
+});
@@ -3,8 +3,15 @@ import { deepStrictEqual, strictEqual, notStrictEqual, ok, throws } from "node:a
 import Database from "better-sqlite3";
 import SqliteDbConnectionFactory from "../../src/dao/sqlite-connection-factory.js";
 import NoteDao from "../../src/dao/note-dao.js";
-import { NoteForCreate, NoteForUpdate, Note } from "../../src/model/note.js";
+import UserDao from "../../src/dao/user-dao.js";
+import NoteShareDao from "../../src/dao/note-share-dao.js";
+import { NoteShare } from "../../src/model/note-share.js";
+import { NoteForCreate, NoteForUpdate, Note, NoteListCursor, NoteListPage } from "../../src/model/note.js";
+import { NoteForImport } from "../../src/model/note-import.js";
 import UuidV4 from "../../src/model/uuidv4.js";
+import { TagFilter } from "../../src/model/tag.js";
+import { NoteListFilter, NoteListSort } from "../../src/model/note-list-query.js";
+import DaoError from "../../src/dao/dao-error.js";
 
 function buildNoteForCreateArray(count) {
 	const noteForCreateArray = [];
@@ -24,11 +31,21 @@ describe(`${NoteDao.constructor.name}`, () => {
 	 * @type {NoteDao}
 	 */
 	let noteDao;
+	/**
+	 * @type {UserDao}
+	 */
+	let userDao;
+	/**
+	 * @type {UuidV4}
+	 */
+	let ownerId;
 
 	beforeEach(() => {
 		databaseConnection = SqliteDbConnectionFactory.createConnection(":memory:");
 
 		noteDao = new NoteDao(databaseConnection);
+		userDao = new UserDao(databaseConnection);
+		ownerId = userDao.create("owner");
 	});
 
 	test("constructor rejects invalid databaseConnection parameter", async (t) => {
@@ -56,7 +73,7 @@ describe(`${NoteDao.constructor.name}`, () => {
 				() => {
 					throws(
 						() => {
-							noteDao.create(note);
+							noteDao.create(ownerId, note);
 						},
 						new TypeError(
 							`note must be an instance of ${NoteForCreate.name}, was type ${typeof note} with value ${note}`,
@@ -74,7 +91,7 @@ describe(`${NoteDao.constructor.name}`, () => {
 				() => {
 					throws(
 						() => {
-							noteDao.findById(id);
+							noteDao.findById(ownerId, id);
 						},
 						new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`),
 					);
@@ -83,6 +100,24 @@ describe(`${NoteDao.constructor.name}`, () => {
 		}
 	});
 
+	test(`${NoteDao.prototype.findById.name} method rejects invalid userId parameter`, async (t) => {
+		for (const userId of [undefined, null, 0, "", {}]) {
+			await t.test(
+				`userId ${typeof userId} "${userId}" expecting to throw ${TypeError.name} with descriptive validation message`,
+				() => {
+					throws(
+						() => {
+							noteDao.findById(userId, new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836"));
+						},
+						new TypeError(
+							`userId must be an instance of ${UuidV4.name}, was type ${typeof userId} with value ${userId}`,
+						),
+					);
+				},
+			);
+		}
+	});
+
 	test(`${NoteDao.prototype.update.name} method rejects invalid note parameter`, async (t) => {
 		for (const note of [undefined, null, 0, {}, [], new Set()]) {
 			await t.test(
@@ -90,7 +125,7 @@ describe(`${NoteDao.constructor.name}`, () => {
 				() => {
 					throws(
 						() => {
-							noteDao.update(note);
+							noteDao.update(ownerId, note);
 						},
 						new TypeError(
 							`note must be an instance of ${NoteForUpdate.name}, was type ${typeof note} with value ${note}`,
@@ -108,7 +143,7 @@ describe(`${NoteDao.constructor.name}`, () => {
 				() => {
 					throws(
 						() => {
-							noteDao.deleteById(id);
+							noteDao.deleteById(ownerId, id);
 						},
 						new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`),
 					);
@@ -121,13 +156,13 @@ describe(`${NoteDao.constructor.name}`, () => {
 		// Create a note
 		const noteForCreate = new NoteForCreate("testNoteContent");
 
-		const noteId = noteDao.create(noteForCreate);
+		const noteId = noteDao.create(ownerId, noteForCreate);
 		const afterCreated = new Date();
 
 		ok(noteId instanceof UuidV4);
 
 		// Check created note can be retrieved by id
-		const foundNote = noteDao.findById(noteId);
+		const foundNote = noteDao.findById(ownerId, noteId);
 
 		ok(foundNote instanceof Note);
 		deepStrictEqual(foundNote.id, noteId);
@@ -136,16 +171,16 @@ describe(`${NoteDao.constructor.name}`, () => {
 		ok(foundNote.lastUpdatedDateTime.getTime() <= afterCreated.getTime());
 
 		// Check that findAll finds created note
-		const allNotes = noteDao.findAll();
+		const allNotes = noteDao.findAll(ownerId);
 		strictEqual(allNotes.length, 1);
 		deepStrictEqual(allNotes[0], foundNote);
 
 		// Update created note
 		const noteForUpdate = new NoteForUpdate(noteId, "testNoteContentUpdated");
-		noteDao.update(noteForUpdate);
+		noteDao.update(ownerId, noteForUpdate);
 
 		// Check that note can be updated correctly
-		const updatedNote = noteDao.findById(noteId);
+		const updatedNote = noteDao.findById(ownerId, noteId);
 		ok(updatedNote instanceof Note);
 		deepStrictEqual(updatedNote.id, noteId);
 		notStrictEqual(updatedNote.content, noteForCreate.content);
@@ -153,12 +188,12 @@ describe(`${NoteDao.constructor.name}`, () => {
 		ok(updatedNote.creationDateTime.getTime() === foundNote.creationDateTime.getTime());
 		ok(updatedNote.lastUpdatedDateTime.getTime() >= foundNote.lastUpdatedDateTime.getTime());
 
-		noteDao.deleteById(noteId);
+		noteDao.deleteById(ownerId, noteId);
 
-		const foundDeletedNote = noteDao.findById(noteId);
+		const foundDeletedNote = noteDao.findById(ownerId, noteId);
 		strictEqual(foundDeletedNote, null);
 
-		const allNotesAfterDelete = noteDao.findAll();
+		const allNotesAfterDelete = noteDao.findAll(ownerId);
 		strictEqual(allNotesAfterDelete.length, 0);
 	});
 
@@ -166,10 +201,10 @@ describe(`${NoteDao.constructor.name}`, () => {
 		// Create multiple notes
 		const noteForCreateArray = buildNoteForCreateArray(3);
 
-		const noteIds = noteForCreateArray.map((noteForCreate) => noteDao.create(noteForCreate));
+		const noteIds = noteForCreateArray.map((noteForCreate) => noteDao.create(ownerId, noteForCreate));
 
 		// Check that created notes can be retrieved by id
-		const foundNotes = noteIds.map((noteId) => noteDao.findById(noteId));
+		const foundNotes = noteIds.map((noteId) => noteDao.findById(ownerId, noteId));
 
 		for (let i = 0; i < noteForCreateArray.length; i++) {
 			const foundNote = foundNotes[i];
@@ -181,7 +216,7 @@ describe(`${NoteDao.constructor.name}`, () => {
 		}
 
 		// Check that findAll finds all created notes
-		const allNotes = noteDao.findAll();
+		const allNotes = noteDao.findAll(ownerId);
 		deepStrictEqual(allNotes, foundNotes);
 
 		// Check that notes can be updated correctly
@@ -189,9 +224,9 @@ describe(`${NoteDao.constructor.name}`, () => {
 			(foundNote) => new NoteForUpdate(foundNote.id, foundNote.content + "Updated"),
 		);
 
-		noteForUpdateArray.forEach((noteForUpdate) => noteDao.update(noteForUpdate));
+		noteForUpdateArray.forEach((noteForUpdate) => noteDao.update(ownerId, noteForUpdate));
 
-		const updatedNotes = noteForUpdateArray.map((noteForUpdate) => noteDao.findById(noteForUpdate.id));
+		const updatedNotes = noteForUpdateArray.map((noteForUpdate) => noteDao.findById(ownerId, noteForUpdate.id));
 
 		for (let i = 0; i < noteForCreateArray.length; i++) {
 			const updatedNote = updatedNotes[i];
@@ -206,37 +241,224 @@ describe(`${NoteDao.constructor.name}`, () => {
 
 		// Delete only middle note
 		const middleNoteId = noteIds[1];
-		noteDao.deleteById(middleNoteId);
-		const foundDeletedMiddleNote = noteDao.findById(middleNoteId);
+		noteDao.deleteById(ownerId, middleNoteId);
+		const foundDeletedMiddleNote = noteDao.findById(ownerId, middleNoteId);
 		strictEqual(foundDeletedMiddleNote, null);
 
 		// Check that surrounding notes still exist
-		const allNotesAfterMiddleDeleted = noteDao.findAll();
+		const allNotesAfterMiddleDeleted = noteDao.findAll(ownerId);
 		strictEqual(allNotesAfterMiddleDeleted.length, 2);
 		deepStrictEqual(allNotesAfterMiddleDeleted[0].id, foundNotes[0].id);
 		deepStrictEqual(allNotesAfterMiddleDeleted[1].id, foundNotes[2].id);
 
 		// Delete remaining notes
-		noteIds.forEach((noteId) => noteDao.deleteById(noteId));
+		noteIds.forEach((noteId) => noteDao.deleteById(ownerId, noteId));
 
-		const foundDeletedNotes = noteIds.map((noteId) => noteDao.findById(noteId)).filter((note) => note instanceof Note);
+		const foundDeletedNotes = noteIds
+			.map((noteId) => noteDao.findById(ownerId, noteId))
+			.filter((note) => note instanceof Note);
 		strictEqual(foundDeletedNotes.length, 0);
 
-		const allNotesAfterAllDeleted = noteDao.findAll();
+		const allNotesAfterAllDeleted = noteDao.findAll(ownerId);
 		strictEqual(allNotesAfterAllDeleted.length, 0);
 	});
 
+	test("crud note tags", () => {
+		const noteId = noteDao.create(ownerId, new NoteForCreate("testNoteContent", ["work", "meeting"]));
+
+		deepStrictEqual(noteDao.findById(ownerId, noteId).tags, ["meeting", "work"]);
+		deepStrictEqual(noteDao.findAll(ownerId)[0].tags, ["meeting", "work"]);
+
+		noteDao.update(ownerId, new NoteForUpdate(noteId, "testNoteContent", ["personal"]));
+
+		deepStrictEqual(noteDao.findById(ownerId, noteId).tags, ["personal"]);
+
+		noteDao.update(ownerId, new NoteForUpdate(noteId, "testNoteContent"));
+
+		deepStrictEqual(noteDao.findById(ownerId, noteId).tags, []);
+	});
+
+	test(`${NoteDao.prototype.update.name} method increments version`, () => {
+		const noteId = noteDao.create(ownerId, new NoteForCreate("testNoteContent"));
+
+		strictEqual(noteDao.findById(ownerId, noteId).version, 1);
+
+		noteDao.update(ownerId, new NoteForUpdate(noteId, "testNoteContentUpdated"));
+		noteDao.update(ownerId, new NoteForUpdate(noteId, "testNoteContentUpdated"));
+
+		strictEqual(noteDao.findById(ownerId, noteId).version, 3);
+	});
+
+	test(`${NoteDao.prototype.findByIds.name} method finds notes in the order of the ids`, () => {
+		const noteIds = buildNoteForCreateArray(3).map((noteForCreate) => noteDao.create(ownerId, noteForCreate));
+		const missingId = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+		noteDao.trashById(ownerId, noteIds[2]);
+
+		deepStrictEqual(
+			noteDao.findByIds(ownerId, [noteIds[1], missingId, noteIds[2], noteIds[0]]).map((note) => note.id),
+			[noteIds[1], noteIds[0]],
+		);
+		deepStrictEqual(noteDao.findByIds(ownerId, []), []);
+	});
+
+	test(`${NoteDao.prototype.findByIds.name} method finds notes with repeated ids once`, () => {
+		const noteIds = buildNoteForCreateArray(2).map((noteForCreate) => noteDao.create(ownerId, noteForCreate));
+
+		deepStrictEqual(
+			noteDao
+				.findByIds(ownerId, [noteIds[1], noteIds[0], new UuidV4(noteIds[1].value), noteIds[0]])
+				.map((note) => note.id),
+			[noteIds[1], noteIds[0]],
+		);
+	});
+
+	describe("trash", () => {
+		test(`${NoteDao.prototype.trashById.name} method hides note from reads until restored`, () => {
+			const noteId = noteDao.create(ownerId, new NoteForCreate("the quick brown fox", ["animal"]));
+			const otherNoteId = noteDao.create(ownerId, new NoteForCreate("the lazy dog"));
+
+			noteDao.trashById(ownerId, noteId);
+
+			strictEqual(noteDao.findById(ownerId, noteId), null);
+			deepStrictEqual(
+				noteDao.findAll(ownerId).map((note) => note.id),
+				[otherNoteId],
+			);
+			deepStrictEqual(
+				noteDao.list(ownerId).notes.map((note) => note.id),
+				[otherNoteId],
+			);
+			strictEqual(
+				noteDao.list(ownerId, undefined, undefined, new NoteListFilter({ tagFilter: new TagFilter(["animal"]) })).notes
+					.length,
+				0,
+			);
+			strictEqual(noteDao.search(ownerId, "fox").results.length, 0);
+
+			const trashedNote = noteDao.findById(ownerId, noteId, true);
+
+			ok(trashedNote.deletedDateTime instanceof Date);
+			strictEqual(trashedNote.version, 2);
+			deepStrictEqual(
+				noteDao.listTrash(ownerId).notes.map((note) => note.id),
+				[noteId],
+			);
+
+			noteDao.restoreById(ownerId, noteId);
+
+			const restoredNote = noteDao.findById(ownerId, noteId);
+
+			strictEqual(restoredNote.deletedDateTime, null);
+			strictEqual(restoredNote.version, 3);
+			deepStrictEqual(restoredNote.tags, ["animal"]);
+			strictEqual(noteDao.search(ownerId, "fox").results.length, 1);
+			strictEqual(noteDao.listTrash(ownerId).notes.length, 0);
+		});
+
+		test(`${NoteDao.prototype.listTrash.name} method pages through notes most recently deleted first`, () => {
+			const noteIds = buildNoteForCreateArray(5).map((noteForCreate) => noteDao.create(ownerId, noteForCreate));
+			noteIds.forEach((noteId) => noteDao.trashById(ownerId, noteId));
+
+			const pageSize = 2;
+			const trashedNotes = [];
+			let cursor = undefined;
+			do {
+				const page = noteDao.listTrash(ownerId, pageSize, cursor);
+				trashedNotes.push(...page.notes);
+
+				cursor = page.nextCursor ?? undefined;
+			} while (cursor);
+
+			deepStrictEqual(trashedNotes.map((note) => note.id.value).sort(), noteIds.map((noteId) => noteId.value).sort());
+
+			for (let i = 1; i < trashedNotes.length; i++) {
+				ok(trashedNotes[i - 1].deletedDateTime >= trashedNotes[i].deletedDateTime);
+			}
+		});
+
+		test(`${NoteDao.prototype.listTrash.name} method pages on after the note a cursor was taken at is purged`, () => {
+			const noteIds = buildNoteForCreateArray(5).map((noteForCreate) => noteDao.create(ownerId, noteForCreate));
+			noteIds.forEach((noteId) => noteDao.trashById(ownerId, noteId));
+
+			const trashedNotes = noteDao.listTrash(ownerId).notes;
+			const firstPage = noteDao.listTrash(ownerId, 2);
+
+			noteDao.deleteById(ownerId, firstPage.notes[1].id);
+
+			deepStrictEqual(
+				noteDao.listTrash(ownerId, 3, firstPage.nextCursor).notes.map((note) => note.id),
+				trashedNotes.slice(2).map((note) => note.id),
+			);
+		});
+
+		test(`${NoteDao.prototype.purgeTrash.name} method permanently deletes notes deleted before the given time`, () => {
+			const trashedNoteId = noteDao.create(ownerId, new NoteForCreate("trashed"));
+			const noteId = noteDao.create(ownerId, new NoteForCreate("kept"));
+
+			noteDao.trashById(ownerId, trashedNoteId);
+
+			strictEqual(noteDao.purgeTrash(new Date(0)), 0);
+			notStrictEqual(noteDao.findById(ownerId, trashedNoteId, true), null);
+
+			strictEqual(noteDao.purgeTrash(new Date(Date.now() + 1000)), 1);
+			strictEqual(noteDao.findById(ownerId, trashedNoteId, true), null);
+			notStrictEqual(noteDao.findById(ownerId, noteId), null);
+		});
+
+		test(`${NoteDao.prototype.purgeTrash.name} method rejects invalid deletedBefore parameter`, async (t) => {
+			for (const deletedBefore of [undefined, null, 0, "2024-01-01", {}]) {
+				await t.test(`${typeof deletedBefore} "${deletedBefore}" expecting to throw ${TypeError.name}`, () => {
+					throws(() => noteDao.purgeTrash(deletedBefore), TypeError);
+				});
+			}
+		});
+	});
+
 	describe(`${NoteDao.prototype.list.name} method`, () => {
+		/**
+		 * Create the notes with increasing creationDateTime, as notes created within the same millisecond
+		 * would otherwise be listed in id order
+		 * @param {NoteForCreate[]} noteForCreateArray
+		 */
+		function createNotesInOrder(noteForCreateArray) {
+			const updateStatement = databaseConnection.prepare(
+				`UPDATE Note SET creationDateTime = :creationDateTime WHERE id = unhex(replace(:id, '-', ''))`,
+			);
+
+			noteForCreateArray.forEach((noteForCreate, i) => {
+				const id = noteDao.create(ownerId, noteForCreate);
+				updateStatement.run({ creationDateTime: Date.UTC(2024, 0, 1) + i, id: id.value });
+			});
+		}
+
+		/**
+		 * Follow the cursors of the pages in one direction until there are no more pages
+		 * @param {number} pageSize
+		 * @param {?NoteListCursor} cursor
+		 * @param {string} cursorName nextCursor or prevCursor
+		 * @return {NoteListPage[]} the pages in the order they were listed
+		 */
+		function listPages(pageSize, cursor, cursorName) {
+			const pages = [];
+			do {
+				const page = noteDao.list(ownerId, pageSize, cursor ?? undefined);
+				pages.push(page);
+				cursor = page[cursorName];
+			} while (cursor && pages.length <= 100);
+
+			return pages;
+		}
+
 		test("no parameters when results smaller than default page size", () => {
 			const pageSize = NoteDao.DEFAULT_PAGE_SIZE;
 
 			// Create multiple notes
 			const noteForCreateArray = buildNoteForCreateArray(pageSize - 1);
 
-			noteForCreateArray.forEach((noteForCreate) => noteDao.create(noteForCreate));
+			createNotesInOrder(noteForCreateArray);
 
 			// Check that list finds all created notes
-			const listNotesPage = noteDao.list();
+			const listNotesPage = noteDao.list(ownerId);
 
 			for (let i = 0; i < noteForCreateArray.length; i++) {
 				const noteForCreate = noteForCreateArray[noteForCreateArray.length - 1 - i];
@@ -244,6 +466,9 @@ describe(`${NoteDao.constructor.name}`, () => {
 
 				strictEqual(noteForCreate.content, note.content);
 			}
+
+			strictEqual(listNotesPage.nextCursor, null);
+			strictEqual(listNotesPage.prevCursor, null);
 		});
 
 		test("no parameters when results greater than page size", () => {
@@ -252,10 +477,10 @@ describe(`${NoteDao.constructor.name}`, () => {
 			// Create multiple notes
 			const noteForCreateArray = buildNoteForCreateArray(pageSize + 1);
 
-			noteForCreateArray.forEach((noteForCreate) => noteDao.create(noteForCreate));
+			createNotesInOrder(noteForCreateArray);
 
 			// Check that list finds all created notes in page
-			const listNotesPage = noteDao.list();
+			const listNotesPage = noteDao.list(ownerId);
 			strictEqual(pageSize, listNotesPage.notes.length);
 
 			for (let i = 0; i < pageSize; i++) {
@@ -264,6 +489,9 @@ describe(`${NoteDao.constructor.name}`, () => {
 
 				strictEqual(noteForCreate.content, note.content);
 			}
+
+			ok(listNotesPage.nextCursor instanceof NoteListCursor);
+			strictEqual(listNotesPage.prevCursor, null);
 		});
 
 		test("pageSize parameter when results less than page size", () => {
@@ -272,10 +500,10 @@ describe(`${NoteDao.constructor.name}`, () => {
 			// Create multiple notes
 			const noteForCreateArray = buildNoteForCreateArray(pageSize - 1);
 
-			noteForCreateArray.forEach((noteForCreate) => noteDao.create(noteForCreate));
+			createNotesInOrder(noteForCreateArray);
 
 			// Check that list finds all created notes in page
-			const listNotesPage = noteDao.list(pageSize);
+			const listNotesPage = noteDao.list(ownerId, pageSize);
 			strictEqual(noteForCreateArray.length, listNotesPage.notes.length);
 
 			for (let i = 0; i < noteForCreateArray.length; i++) {
@@ -292,10 +520,10 @@ describe(`${NoteDao.constructor.name}`, () => {
 			// Create multiple notes
 			const noteForCreateArray = buildNoteForCreateArray(pageSize + 1);
 
-			noteForCreateArray.forEach((noteForCreate) => noteDao.create(noteForCreate));
+			createNotesInOrder(noteForCreateArray);
 
 			// Check that list finds all created notes in page
-			const listNotesPage = noteDao.list(pageSize);
+			const listNotesPage = noteDao.list(ownerId, pageSize);
 			strictEqual(pageSize, listNotesPage.notes.length);
 
 			for (let i = 0; i < pageSize; i++) {
@@ -306,60 +534,612 @@ describe(`${NoteDao.constructor.name}`, () => {
 			}
 		});
 
-		test("pageSize and afterId parameter when results less than page size", () => {
+		test("pageSize parameter when results equal to page size has no next page", () => {
+			const pageSize = 10;
+
+			createNotesInOrder(buildNoteForCreateArray(pageSize));
+
+			const listNotesPage = noteDao.list(ownerId, pageSize);
+			strictEqual(pageSize, listNotesPage.notes.length);
+			strictEqual(listNotesPage.nextCursor, null);
+			strictEqual(listNotesPage.prevCursor, null);
+		});
+
+		test("pageSize and nextCursor parameter when results greater than page size", () => {
 			const pageSize = 10;
 
 			// Create multiple notes
-			const noteForCreateArray = buildNoteForCreateArray(pageSize - 1);
+			const noteForCreateArray = buildNoteForCreateArray(pageSize + 1);
 
-			noteForCreateArray.forEach((noteForCreate) => noteDao.create(noteForCreate));
+			createNotesInOrder(noteForCreateArray);
 
-			// Check that list finds all created notes in page
-			const firstListNotesPage = noteDao.list(pageSize);
-			strictEqual(noteForCreateArray.length, firstListNotesPage.notes.length);
+			const firstListNotesPage = noteDao.list(ownerId, pageSize);
+			strictEqual(pageSize, firstListNotesPage.notes.length);
 
-			for (let i = 0; i < firstListNotesPage.length; i++) {
-				const noteForCreate = noteForCreateArray[noteForCreateArray.length - 1 - i];
-				const note = firstListNotesPage.notes[i];
+			const secondListNotesPage = noteDao.list(ownerId, pageSize, firstListNotesPage.nextCursor);
+			strictEqual(noteForCreateArray.length - pageSize, secondListNotesPage.notes.length);
+
+			for (let i = 0; i < secondListNotesPage.notes.length; i++) {
+				const noteForCreate = noteForCreateArray[noteForCreateArray.length - 1 - pageSize - i];
+				const note = secondListNotesPage.notes[i];
 
 				strictEqual(noteForCreate.content, note.content);
 			}
 
-			const afterId = firstListNotesPage.notes[firstListNotesPage.notes.length - 1].id;
+			strictEqual(secondListNotesPage.nextCursor, null);
+			ok(secondListNotesPage.prevCursor instanceof NoteListCursor);
 
-			const secondListNotesPage = noteDao.list(pageSize, afterId);
-			strictEqual(0, secondListNotesPage.notes.length);
+			// Going back returns the first page again
+			const previousListNotesPage = noteDao.list(ownerId, pageSize, secondListNotesPage.prevCursor);
+			deepStrictEqual(
+				previousListNotesPage.notes.map((note) => note.id),
+				firstListNotesPage.notes.map((note) => note.id),
+			);
+			strictEqual(previousListNotesPage.prevCursor, null);
+			ok(previousListNotesPage.nextCursor instanceof NoteListCursor);
 		});
 
-		test("pageSize and afterId parameter when results greater than page size", () => {
-			const pageSize = 10;
+		test("cursors page through notes with the same creationDateTime without skipping or repeating any", () => {
+			const pageSize = 7;
 
-			// Create multiple notes
-			const noteForCreateArray = buildNoteForCreateArray(pageSize + 1);
+			const ids = buildNoteForCreateArray(pageSize * 3 + 2).map((noteForCreate) =>
+				noteDao.create(ownerId, noteForCreate),
+			);
+			databaseConnection.prepare(`UPDATE Note SET creationDateTime = :creationDateTime`).run({
+				creationDateTime: Date.UTC(2024, 0, 1),
+			});
 
-			noteForCreateArray.forEach((noteForCreate) => noteDao.create(noteForCreate));
+			// Ties are listed in id order
+			const expectedIds = ids.map((id) => id.value).sort();
 
-			// Check that list finds all created notes in page
-			const firstListNotesPage = noteDao.list(pageSize);
-			strictEqual(pageSize, firstListNotesPage.notes.length);
+			const forwardPages = listPages(pageSize, undefined, "nextCursor");
+			deepStrictEqual(
+				forwardPages.map((page) => page.notes.length),
+				[pageSize, pageSize, pageSize, 2],
+			);
+			deepStrictEqual(
+				forwardPages.flatMap((page) => page.notes.map((note) => note.id.value)),
+				expectedIds,
+			);
 
-			for (let i = 0; i < firstListNotesPage.notes.length; i++) {
-				const noteForCreate = noteForCreateArray[noteForCreateArray.length - 1 - i];
-				const note = firstListNotesPage.notes[i];
+			const backwardPages = listPages(pageSize, forwardPages[forwardPages.length - 1].prevCursor, "prevCursor");
+			deepStrictEqual(
+				backwardPages.map((page) => page.notes.map((note) => note.id.value)),
+				forwardPages
+					.slice(0, -1)
+					.reverse()
+					.map((page) => page.notes.map((note) => note.id.value)),
+			);
+		});
 
-				strictEqual(noteForCreate.content, note.content);
+		test("cursor excludes notes in the trash", () => {
+			createNotesInOrder(buildNoteForCreateArray(3));
+
+			const firstListNotesPage = noteDao.list(ownerId, 1);
+			const [trashedNote] = noteDao.list(ownerId, 1, firstListNotesPage.nextCursor).notes;
+			noteDao.trashById(ownerId, trashedNote.id);
+
+			const secondListNotesPage = noteDao.list(ownerId, 1, firstListNotesPage.nextCursor);
+			strictEqual(secondListNotesPage.notes.length, 1);
+			notStrictEqual(secondListNotesPage.notes[0].id.value, trashedNote.id.value);
+			strictEqual(secondListNotesPage.nextCursor, null);
+		});
+
+		test("rejects invalid cursor parameter", async (t) => {
+			for (const cursor of [null, 0, "", {}, []]) {
+				await t.test(`cursor ${typeof cursor} "${cursor}" expecting to throw ${TypeError.name}`, () => {
+					throws(
+						() => noteDao.list(ownerId, undefined, cursor),
+						new TypeError(
+							`if provided, cursor must be an instance of ${NoteListCursor.name}, was type ${typeof cursor} with value ${cursor}`,
+						),
+					);
+				});
 			}
+		});
+	});
 
-			const afterId = firstListNotesPage.notes[firstListNotesPage.notes.length - 1].id;
-			const secondListNotesPage = noteDao.list(pageSize, afterId);
-			strictEqual(noteForCreateArray.length - pageSize, secondListNotesPage.notes.length);
+	describe(`${NoteDao.prototype.list.name} method with filter parameter`, () => {
+		test("matches notes with any or all of the tags", () => {
+			const workId = noteDao.create(ownerId, new NoteForCreate("work", ["work"]));
+			const meetingId = noteDao.create(ownerId, new NoteForCreate("meeting", ["meeting"]));
+			const workMeetingId = noteDao.create(ownerId, new NoteForCreate("work meeting", ["work", "meeting"]));
+			noteDao.create(ownerId, new NoteForCreate("personal", ["personal"]));
+
+			const listIds = (tagFilter) =>
+				noteDao
+					.list(ownerId, undefined, undefined, new NoteListFilter({ tagFilter: tagFilter }))
+					.notes.map((note) => note.id.value)
+					.sort();
+
+			deepStrictEqual(
+				listIds(new TagFilter(["work", "meeting"], TagFilter.ANY)),
+				[workId, meetingId, workMeetingId].map((id) => id.value).sort(),
+			);
+			deepStrictEqual(listIds(new TagFilter(["work", "meeting"], TagFilter.ALL)), [workMeetingId.value]);
+			deepStrictEqual(listIds(new TagFilter(["missing"])), []);
+		});
 
-			for (let i = 0; i < secondListNotesPage.notes.length; i++) {
-				const noteForCreate = noteForCreateArray[noteForCreateArray.length - 1 - pageSize - i];
-				const note = secondListNotesPage.notes[i];
+		test("rejects invalid filter parameter", async (t) => {
+			for (const filter of [null, 0, {}, [], new TagFilter(["work"])]) {
+				await t.test(`${typeof filter} "${filter}" expecting to throw ${TypeError.name}`, () => {
+					throws(
+						() => noteDao.list(ownerId, undefined, undefined, filter),
+						new TypeError(
+							`if provided, filter must be an instance of ${NoteListFilter.name}, was type ${typeof filter} with value ${filter}`,
+						),
+					);
+				});
+			}
+		});
+	});
 
-				strictEqual(noteForCreate.content, note.content);
+	describe(`${NoteDao.prototype.list.name} method with date filters and sort`, () => {
+		const day = 24 * 60 * 60 * 1000;
+		const start = Date.UTC(2024, 0, 1);
+
+		/**
+		 * @type {{id: string, content: string, creationDateTime: number, lastUpdatedDateTime: number}[]}
+		 */
+		let notes;
+
+		beforeEach(() => {
+			// Otherwise the trigger would set lastUpdatedDateTime to now when the test fixes the date times
+			databaseConnection.exec(`DROP TRIGGER tr_Note_update_lastUpdatedDateTime_au`);
+
+			const updateStatement = databaseConnection.prepare(
+				`UPDATE
+					Note
+				SET
+					creationDateTime = :creationDateTime,
+					lastUpdatedDateTime = :lastUpdatedDateTime
+				WHERE
+					id = unhex(replace(:id, '-', ''))`,
+			);
+
+			// Several notes share each value so that ties have to be broken by id
+			notes = [
+				["a", 0, 5],
+				["bb", 0, 4],
+				["cc", 1, 4],
+				["ddd", 1, 3],
+				["e", 2, 3],
+				["ffff", 2, 1],
+				["gg", 3, 0],
+			].map(([content, creationDay, lastUpdatedDay]) => {
+				const note = {
+					id: noteDao.create(ownerId, new NoteForCreate(content)).value,
+					content: content,
+					creationDateTime: start + creationDay * day,
+					lastUpdatedDateTime: start + lastUpdatedDay * day,
+				};
+				updateStatement.run(note);
+
+				return note;
+			});
+		});
+
+		/**
+		 * @param {NoteListSort} sort
+		 * @return {string[]} the ids of all notes in the sort order
+		 */
+		function expectedIds(sort) {
+			const key = (note) => (sort.field === NoteListSort.CONTENT_LENGTH ? note.content.length : note[sort.field]);
+			const sign = sort.order === NoteListSort.ASC ? 1 : -1;
+
+			return notes.toSorted((a, b) => sign * (key(a) - key(b)) || (a.id < b.id ? -1 : 1)).map((note) => note.id);
+		}
+
+		test("pages through every sort order in both directions without skipping or repeating notes", () => {
+			const pageSize = 2;
+
+			for (const field of [
+				NoteListSort.CREATION_DATE_TIME,
+				NoteListSort.LAST_UPDATED_DATE_TIME,
+				NoteListSort.CONTENT_LENGTH,
+			]) {
+				for (const order of [NoteListSort.ASC, NoteListSort.DESC]) {
+					const sort = new NoteListSort(field, order);
+
+					const forwardPages = [noteDao.list(ownerId, pageSize, undefined, undefined, sort)];
+					while (forwardPages.at(-1).nextCursor) {
+						forwardPages.push(noteDao.list(ownerId, pageSize, forwardPages.at(-1).nextCursor, undefined, sort));
+					}
+
+					deepStrictEqual(
+						forwardPages.flatMap((page) => page.notes.map((note) => note.id.value)),
+						expectedIds(sort),
+						`forward ${sort}`,
+					);
+
+					const backwardPages = [forwardPages.at(-1)];
+					while (backwardPages.at(-1).prevCursor) {
+						backwardPages.push(noteDao.list(ownerId, pageSize, backwardPages.at(-1).prevCursor, undefined, sort));
+					}
+
+					deepStrictEqual(
+						backwardPages.map((page) => page.notes.map((note) => note.id.value)),
+						forwardPages.map((page) => page.notes.map((note) => note.id.value)).reverse(),
+						`backward ${sort}`,
+					);
+				}
+			}
+		});
+
+		test("date ranges include their start and exclude their end", () => {
+			const listContents = (criteria) =>
+				noteDao
+					.list(ownerId, undefined, undefined, new NoteListFilter(criteria))
+					.notes.map((note) => note.content)
+					.sort();
+
+			deepStrictEqual(listContents({ createdAfter: new Date(start + day) }), ["cc", "ddd", "e", "ffff", "gg"]);
+			deepStrictEqual(listContents({ createdBefore: new Date(start + day) }), ["a", "bb"]);
+			deepStrictEqual(listContents({ createdAfter: new Date(start + day), createdBefore: new Date(start + 3 * day) }), [
+				"cc",
+				"ddd",
+				"e",
+				"ffff",
+			]);
+			deepStrictEqual(
+				listContents({ updatedAfter: new Date(start + 3 * day), updatedBefore: new Date(start + 5 * day) }),
+				["bb", "cc", "ddd", "e"],
+			);
+			deepStrictEqual(listContents({ createdAfter: new Date(start + day), updatedBefore: new Date(start + 2 * day) }), [
+				"ffff",
+				"gg",
+			]);
+			deepStrictEqual(listContents({ createdAfter: new Date(start + 4 * day) }), []);
+		});
+
+		test("rejects cursor from a list with a different sort", () => {
+			const cursor = noteDao.list(ownerId, 1).nextCursor;
+
+			throws(
+				() => noteDao.list(ownerId, 1, cursor, undefined, new NoteListSort(NoteListSort.CONTENT_LENGTH)),
+				(err) => err instanceof RangeError && /cursor is for a list sorted by/.test(err.message),
+			);
+		});
+
+		test("rejects invalid sort parameter", async (t) => {
+			for (const sort of [null, 0, "creationDateTime", {}]) {
+				await t.test(`${typeof sort} "${sort}" expecting to throw ${TypeError.name}`, () => {
+					throws(
+						() => noteDao.list(ownerId, undefined, undefined, undefined, sort),
+						new TypeError(
+							`if provided, sort must be an instance of ${NoteListSort.name}, was type ${typeof sort} with value ${sort}`,
+						),
+					);
+				});
+			}
+		});
+	});
+
+	describe(`${NoteDao.prototype.search.name} method`, () => {
+		test("finds notes by term, prefix, phrase and boolean queries", () => {
+			noteDao.create(ownerId, new NoteForCreate("the quick brown fox jumps over the lazy dog"));
+			noteDao.create(ownerId, new NoteForCreate("quick thinking saves the day"));
+			noteDao.create(ownerId, new NoteForCreate("nothing to see here"));
+
+			for (const [query, expectedContents] of [
+				["quick", ["quick thinking saves the day", "the quick brown fox jumps over the lazy dog"]],
+				["qui*", ["quick thinking saves the day", "the quick brown fox jumps over the lazy dog"]],
+				['"brown fox"', ["the quick brown fox jumps over the lazy dog"]],
+				['"fox brown"', []],
+				["quick NOT fox", ["quick thinking saves the day"]],
+				["fox OR nothing", ["nothing to see here", "the quick brown fox jumps over the lazy dog"]],
+				["quick AND day", ["quick thinking saves the day"]],
+			]) {
+				const page = noteDao.search(ownerId, query);
+
+				deepStrictEqual(
+					page.results.map((result) => result.note.content).sort(),
+					expectedContents,
+					`unexpected results for query '${query}'`,
+				);
+			}
+		});
+
+		test("highlights matched terms in the snippet", () => {
+			noteDao.create(ownerId, new NoteForCreate("the quick brown fox"));
+
+			const [result] = noteDao.search(ownerId, "fox").results;
+
+			strictEqual(
+				result.snippet,
+				`the quick brown ${NoteDao.SNIPPET_HIGHLIGHT_START}fox${NoteDao.SNIPPET_HIGHLIGHT_END}`,
+			);
+		});
+
+		test("reflects updated and deleted notes", () => {
+			const noteId = noteDao.create(ownerId, new NoteForCreate("the quick brown fox"));
+
+			noteDao.update(ownerId, new NoteForUpdate(noteId, "the slow turtle"));
+
+			strictEqual(noteDao.search(ownerId, "fox").results.length, 0);
+			deepStrictEqual(noteDao.search(ownerId, "turtle").results[0].note.id, noteId);
+
+			noteDao.deleteById(ownerId, noteId);
+
+			strictEqual(noteDao.search(ownerId, "turtle").results.length, 0);
+		});
+
+		test("pageSize and cursor parameters page through results in rank order", () => {
+			const noteForCreateArray = buildNoteForCreateArray(5).map(
+				(noteForCreate) => new NoteForCreate(`match ${noteForCreate.content}`),
+			);
+			noteForCreateArray.forEach((noteForCreate) => noteDao.create(ownerId, noteForCreate));
+
+			const allResults = noteDao.search(ownerId, "match").results;
+			strictEqual(allResults.length, noteForCreateArray.length);
+
+			const firstPage = noteDao.search(ownerId, "match", 3);
+			const secondPage = noteDao.search(ownerId, "match", 3, firstPage.nextCursor);
+
+			deepStrictEqual(
+				[...firstPage.results, ...secondPage.results].map((result) => result.note.id),
+				allResults.map((result) => result.note.id),
+			);
+			strictEqual(secondPage.nextCursor, null);
+
+			const previousPage = noteDao.search(ownerId, "match", 3, secondPage.prevCursor);
+
+			deepStrictEqual(
+				previousPage.results.map((result) => result.note.id),
+				firstPage.results.map((result) => result.note.id),
+			);
+		});
+
+		test("rejects invalid full-text search query", async (t) => {
+			for (const query of ["AND", '"unterminated', "unknownColumn:value", "*"]) {
+				await t.test(`query '${query}' expecting to throw ${RangeError.name}`, () => {
+					throws(() => noteDao.search(ownerId, query), RangeError);
+				});
+			}
+		});
+	});
+
+	describe("import and export", () => {
+		/**
+		 * @param {string} content
+		 * @param {object} [fields] the other fields of the note
+		 * @return {Note} a note as imported from another instance
+		 */
+		function buildImportedNote(content, { tags = [], version = 3, deletedDateTime = null } = {}) {
+			return new Note(
+				new UuidV4("6f0c2b9e-3d4a-4e8b-9c1d-2a3b4c5d6e7f"),
+				content,
+				new Date("2020-01-02T03:04:05.006Z"),
+				new Date("2021-02-03T04:05:06.007Z"),
+				tags,
+				version,
+				deletedDateTime,
+			);
+		}
+
+		test(`${NoteDao.prototype.iterateAll.name} method iterates over all notes in id order, including the trash`, () => {
+			const noteIds = buildNoteForCreateArray(5).map((noteForCreate) => noteDao.create(ownerId, noteForCreate));
+			noteDao.trashById(ownerId, noteIds[0]);
+
+			const sortedIds = noteIds.map((noteId) => noteId.value).sort();
+			const notes = [...noteDao.iterateAll(ownerId)];
+
+			deepStrictEqual(
+				notes.map((note) => note.id.value),
+				sortedIds,
+			);
+			ok(notes.find((note) => note.id.value === noteIds[0].value).deletedDateTime instanceof Date);
+
+			deepStrictEqual(
+				[...noteDao.iterateAll(ownerId, new UuidV4(sortedIds[2]))].map((note) => note.id.value),
+				sortedIds.slice(3),
+			);
+		});
+
+		test(`${NoteDao.prototype.iterateAll.name} method lets the connection write once the iterator is returned`, () => {
+			buildNoteForCreateArray(3).forEach((noteForCreate) => noteDao.create(ownerId, noteForCreate));
+
+			for (const note of noteDao.iterateAll(ownerId)) {
+				throws(() => noteDao.create(ownerId, new NoteForCreate(`after ${note.content}`)), DaoError);
+				break;
 			}
+
+			noteDao.create(ownerId, new NoteForCreate("after the export"));
+			strictEqual([...noteDao.iterateAll(ownerId)].length, 4);
+		});
+
+		test(`${NoteDao.prototype.iterateAll.name} method rejects invalid afterId parameter`, () => {
+			throws(() => noteDao.iterateAll(ownerId, "6f0c2b9e-3d4a-4e8b-9c1d-2a3b4c5d6e7f"), TypeError);
+		});
+
+		test(`${NoteDao.prototype.insert.name} method keeps the id, date times, version and tags of the note`, () => {
+			const note = buildImportedNote("imported", { tags: ["b", "a"], deletedDateTime: new Date("2022-01-01") });
+
+			noteDao.insert(ownerId, note);
+
+			deepStrictEqual(noteDao.findById(ownerId, note.id, true).toJSON(), { ...note.toJSON(), ownerId: ownerId });
+			strictEqual(noteDao.search(ownerId, "imported").results.length, 0);
+			noteDao.restoreById(ownerId, note.id);
+			strictEqual(noteDao.search(ownerId, "imported").results.length, 1);
+		});
+
+		test(`${NoteDao.prototype.insert.name} method throws ${DaoError.name} if the id is taken`, () => {
+			const note = buildImportedNote("imported");
+			noteDao.insert(ownerId, note);
+
+			throws(() => noteDao.insert(ownerId, note), DaoError);
+		});
+
+		test(`${NoteDao.prototype.insert.name} method rejects notes which are not a ${Note.name}`, () => {
+			throws(() => noteDao.insert(ownerId, new NoteForCreate("not imported")), TypeError);
+		});
+
+		test(`${NoteDao.prototype.replace.name} method keeps the date times of the note, its version only if greater`, () => {
+			noteDao.insert(ownerId, buildImportedNote("first", { tags: ["first"] }));
+
+			const note = buildImportedNote("second", { tags: ["second"], version: 7 });
+			noteDao.replace(ownerId, note);
+
+			deepStrictEqual(noteDao.findById(ownerId, note.id).toJSON(), { ...note.toJSON(), ownerId: ownerId });
+
+			noteDao.replace(ownerId, buildImportedNote("third", { version: 1 }));
+
+			const replacedNote = noteDao.findById(ownerId, note.id);
+			strictEqual(replacedNote.content, "third");
+			strictEqual(replacedNote.version, 8);
+			deepStrictEqual(replacedNote.lastUpdatedDateTime, note.lastUpdatedDateTime);
+		});
+
+		test("updates which do not set the last updated date time still set it to now", () => {
+			const note = buildImportedNote("imported");
+			noteDao.insert(ownerId, note);
+
+			noteDao.update(ownerId, new NoteForUpdate(note.id, "updated"));
+
+			ok(noteDao.findById(ownerId, note.id).lastUpdatedDateTime > note.lastUpdatedDateTime);
+		});
+
+		test(`${NoteDao.prototype.create.name} method keeps the date times of a ${NoteForImport.name}`, () => {
+			const creationDateTime = new Date("2020-01-02T03:04:05.006Z");
+			const lastUpdatedDateTime = new Date("2021-02-03T04:05:06.007Z");
+
+			const noteId = noteDao.create(
+				ownerId,
+				new NoteForImport("imported", ["a"], creationDateTime, lastUpdatedDateTime),
+			);
+			const note = noteDao.findById(ownerId, noteId);
+
+			deepStrictEqual(note.creationDateTime, creationDateTime);
+			deepStrictEqual(note.lastUpdatedDateTime, lastUpdatedDateTime);
+			deepStrictEqual(note.tags, ["a"]);
+			strictEqual(note.version, 1);
+
+			// Without a last updated date time the note was last updated when it was created
+			const createdOnlyNote = noteDao.findById(
+				ownerId,
+				noteDao.create(ownerId, new NoteForImport("created only", [], creationDateTime)),
+			);
+			deepStrictEqual(createdOnlyNote.lastUpdatedDateTime, creationDateTime);
+
+			const beforeCreated = new Date();
+			const undatedNote = noteDao.findById(ownerId, noteDao.create(ownerId, new NoteForImport("undated")));
+			ok(undatedNote.creationDateTime >= beforeCreated);
+			deepStrictEqual(undatedNote.lastUpdatedDateTime, undatedNote.creationDateTime);
+		});
+
+		test(`${NoteDao.prototype.findOwnerIdById.name} method finds the owner of any note`, () => {
+			const otherOwnerId = userDao.create("other");
+			const noteId = noteDao.create(otherOwnerId, new NoteForCreate("other note"));
+			noteDao.trashById(otherOwnerId, noteId);
+
+			deepStrictEqual(noteDao.findOwnerIdById(noteId), otherOwnerId);
+			strictEqual(noteDao.findOwnerIdById(new UuidV4("6f0c2b9e-3d4a-4e8b-9c1d-2a3b4c5d6e7f")), null);
+		});
+	});
+
+	describe("owner scoping", () => {
+		/**
+		 * @type {UuidV4}
+		 */
+		let otherOwnerId;
+		/**
+		 * @type {UuidV4}
+		 */
+		let otherNoteId;
+
+		beforeEach(() => {
+			otherOwnerId = userDao.create("other");
+			otherNoteId = noteDao.create(otherOwnerId, new NoteForCreate("other note", ["other"]));
+		});
+
+		test("notes record their owner", () => {
+			deepStrictEqual(noteDao.findById(otherOwnerId, otherNoteId).ownerId, otherOwnerId);
+		});
+
+		test("queries do not find notes of other owners", () => {
+			noteDao.trashById(otherOwnerId, noteDao.create(otherOwnerId, new NoteForCreate("other trashed note")));
+
+			strictEqual(noteDao.findById(ownerId, otherNoteId), null);
+			strictEqual(noteDao.findById(ownerId, otherNoteId, true), null);
+			deepStrictEqual(noteDao.findByIds(ownerId, [otherNoteId]), []);
+			deepStrictEqual(noteDao.list(ownerId).notes, []);
+			deepStrictEqual(noteDao.listTrash(ownerId).notes, []);
+			deepStrictEqual(noteDao.findAll(ownerId), []);
+			deepStrictEqual([...noteDao.iterateAll(ownerId)], []);
+			deepStrictEqual(noteDao.search(ownerId, "other").results, []);
+			deepStrictEqual(
+				noteDao.list(ownerId, undefined, undefined, new NoteListFilter({ tagFilter: new TagFilter(["other"]) })).notes,
+				[],
+			);
+		});
+
+		test("writes do not change notes of other owners", () => {
+			const otherNote = noteDao.findById(otherOwnerId, otherNoteId);
+
+			noteDao.update(ownerId, new NoteForUpdate(otherNoteId, "changed", ["changed"]));
+			noteDao.replace(ownerId, new Note(otherNoteId, "replaced", new Date(0), new Date(0), ["replaced"], 9));
+			noteDao.trashById(ownerId, otherNoteId);
+			noteDao.deleteById(ownerId, otherNoteId);
+
+			deepStrictEqual(noteDao.findById(otherOwnerId, otherNoteId).toJSON(), otherNote.toJSON());
+
+			noteDao.trashById(otherOwnerId, otherNoteId);
+			noteDao.restoreById(ownerId, otherNoteId);
+
+			notStrictEqual(noteDao.findById(otherOwnerId, otherNoteId, true).deletedDateTime, null);
+		});
+
+		test("notes shared with a user are read but not written through the user's id", () => {
+			new NoteShareDao(databaseConnection).save(otherNoteId, ownerId, NoteShare.WRITE);
+			const sharedNote = noteDao.findById(otherOwnerId, otherNoteId);
+
+			deepStrictEqual(noteDao.findById(ownerId, otherNoteId).toJSON(), sharedNote.toJSON());
+			deepStrictEqual(
+				noteDao.findByIds(ownerId, [otherNoteId]).map((note) => note.id),
+				[otherNoteId],
+			);
+			deepStrictEqual(noteDao.list(ownerId).notes, []);
+			deepStrictEqual(
+				noteDao
+					.list(ownerId, undefined, undefined, new NoteListFilter({ sharedWithMe: true }))
+					.notes.map((note) => note.id),
+				[otherNoteId],
+			);
+			deepStrictEqual(
+				noteDao.list(otherOwnerId, undefined, undefined, new NoteListFilter({ sharedWithMe: true })).notes,
+				[],
+			);
+			deepStrictEqual(noteDao.findAll(ownerId), []);
+			deepStrictEqual(noteDao.search(ownerId, "other").results, []);
+
+			noteDao.update(ownerId, new NoteForUpdate(otherNoteId, "changed"));
+			deepStrictEqual(noteDao.findById(otherOwnerId, otherNoteId).toJSON(), sharedNote.toJSON());
+		});
+
+		test("notes in the trash are not found through their shares", () => {
+			new NoteShareDao(databaseConnection).save(otherNoteId, ownerId, NoteShare.READ);
+			noteDao.trashById(otherOwnerId, otherNoteId);
+
+			strictEqual(noteDao.findById(ownerId, otherNoteId, true), null);
+			deepStrictEqual(noteDao.findByIds(ownerId, [otherNoteId]), []);
+			deepStrictEqual(
+				noteDao.list(ownerId, undefined, undefined, new NoteListFilter({ sharedWithMe: true })).notes,
+				[],
+			);
+		});
+
+		test(`${NoteDao.prototype.purgeTrash.name} method purges the trash of every owner`, () => {
+			noteDao.trashById(ownerId, noteDao.create(ownerId, new NoteForCreate("trashed note")));
+			noteDao.trashById(otherOwnerId, otherNoteId);
+
+			strictEqual(noteDao.purgeTrash(new Date(Date.now() + 1000)), 2);
+		});
+
+		test(`${NoteDao.prototype.countAll.name} method counts the notes of every owner`, () => {
+			noteDao.trashById(ownerId, noteDao.create(ownerId, new NoteForCreate("trashed note")));
+			noteDao.create(ownerId, new NoteForCreate("note"));
+
+			deepStrictEqual(noteDao.countAll(), { active: 2, trashed: 1 });
 		});
 	});
 });
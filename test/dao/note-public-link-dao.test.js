@@ -0,0 +1,139 @@
+import { beforeEach, describe, test } from "node:test";
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import Database from "better-sqlite3";
+import SqliteConnectionFactory from "../../src/dao/sqlite-connection-factory.js";
+import NoteDao from "../../src/dao/note-dao.js";
+import NotePublicLinkDao from "../../src/dao/note-public-link-dao.js";
+import UserDao from "../../src/dao/user-dao.js";
+import DaoError from "../../src/dao/dao-error.js";
+import { NoteForCreate } from "../../src/model/note.js";
+import UuidV4 from "../../src/model/uuidv4.js";
+import { hashPublicLinkToken } from "../../src/util/public-link-token.js";
+
+describe(`${NotePublicLinkDao.name}`, () => {
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	let databaseConnection;
+	/**
+	 * @type {NotePublicLinkDao}
+	 */
+	let notePublicLinkDao;
+	/**
+	 * @type {NoteDao}
+	 */
+	let noteDao;
+	/**
+	 * @type {UuidV4}
+	 */
+	let ownerId;
+	/**
+	 * @type {UuidV4}
+	 */
+	let noteId;
+
+	const tokenHash = hashPublicLinkToken("pl_first");
+	const otherTokenHash = hashPublicLinkToken("pl_second");
+	const unknownId = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+
+	beforeEach(() => {
+		databaseConnection = SqliteConnectionFactory.createConnection(":memory:");
+
+		noteDao = new NoteDao(databaseConnection);
+		notePublicLinkDao = new NotePublicLinkDao(databaseConnection);
+
+		ownerId = new UserDao(databaseConnection).create("owner");
+		noteId = noteDao.create(ownerId, new NoteForCreate("content"));
+	});
+
+	test("constructor rejects invalid databaseConnection parameter", async (t) => {
+		for (const databaseConnection of [undefined, null, 0, {}, [], new Set()]) {
+			await t.test(`${typeof databaseConnection} "${databaseConnection}" expecting to throw ${TypeError.name}`, () => {
+				throws(
+					() => {
+						new NotePublicLinkDao(databaseConnection);
+					},
+					new TypeError(
+						`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+					),
+				);
+			});
+		}
+	});
+
+	test("methods reject invalid parameters", () => {
+		throws(() => notePublicLinkDao.create(noteId.value, tokenHash, null, null), TypeError);
+		throws(() => notePublicLinkDao.create(noteId, "pl_first", null, null), TypeError);
+		throws(() => notePublicLinkDao.create(noteId, tokenHash, 1234, null), TypeError);
+		throws(() => notePublicLinkDao.create(noteId, tokenHash, null, Date.now()), TypeError);
+		throws(() => notePublicLinkDao.find(noteId, undefined), TypeError);
+		throws(() => notePublicLinkDao.findByTokenHash(undefined), TypeError);
+		throws(() => notePublicLinkDao.listByNote(undefined), TypeError);
+		throws(() => notePublicLinkDao.delete(noteId, unknownId.value), TypeError);
+	});
+
+	test(`${NotePublicLinkDao.prototype.create.name} method stores links found by id and by token hash`, () => {
+		const expiryDateTime = new Date(Date.UTC(2030, 0, 1));
+		const id = notePublicLinkDao.create(noteId, tokenHash, "scrypt$hash", expiryDateTime);
+
+		const link = notePublicLinkDao.find(noteId, id);
+		deepStrictEqual(link.id, id);
+		deepStrictEqual(link.noteId, noteId);
+		deepStrictEqual(link.expiryDateTime, expiryDateTime);
+		strictEqual(link.passwordProtected, true);
+		ok(link.creationDateTime instanceof Date);
+
+		const found = notePublicLinkDao.findByTokenHash(tokenHash);
+		deepStrictEqual(found.link, link);
+		deepStrictEqual(found.ownerId, ownerId);
+		strictEqual(found.passwordHash, "scrypt$hash");
+
+		strictEqual(notePublicLinkDao.findByTokenHash(otherTokenHash), null);
+		strictEqual(notePublicLinkDao.find(noteId, unknownId), null);
+	});
+
+	test(`${NotePublicLinkDao.prototype.create.name} method stores links without password or expiry`, () => {
+		notePublicLinkDao.create(noteId, tokenHash, null, null);
+
+		const { link, passwordHash } = notePublicLinkDao.findByTokenHash(tokenHash);
+		strictEqual(link.expiryDateTime, null);
+		strictEqual(link.passwordProtected, false);
+		strictEqual(passwordHash, null);
+	});
+
+	test(`${NotePublicLinkDao.prototype.create.name} method rejects unknown notes and reused token hashes`, () => {
+		notePublicLinkDao.create(noteId, tokenHash, null, null);
+
+		throws(() => notePublicLinkDao.create(unknownId, otherTokenHash, null, null), DaoError);
+		throws(() => notePublicLinkDao.create(noteId, tokenHash, null, null), DaoError);
+	});
+
+	test(`${NotePublicLinkDao.prototype.listByNote.name} method lists only the links of the note`, () => {
+		const otherNoteId = noteDao.create(ownerId, new NoteForCreate("other content"));
+		const id = notePublicLinkDao.create(noteId, tokenHash, null, null);
+		notePublicLinkDao.create(otherNoteId, otherTokenHash, null, null);
+
+		deepStrictEqual(
+			notePublicLinkDao.listByNote(noteId).map((link) => link.id),
+			[id],
+		);
+	});
+
+	test(`${NotePublicLinkDao.prototype.delete.name} method reports whether the note had the link`, () => {
+		const otherNoteId = noteDao.create(ownerId, new NoteForCreate("other content"));
+		const id = notePublicLinkDao.create(noteId, tokenHash, null, null);
+
+		strictEqual(notePublicLinkDao.delete(otherNoteId, id), false);
+		strictEqual(notePublicLinkDao.delete(noteId, id), true);
+		strictEqual(notePublicLinkDao.delete(noteId, id), false);
+		strictEqual(notePublicLinkDao.findByTokenHash(tokenHash), null);
+	});
+
+	test("links are deleted along with the note", () => {
+		notePublicLinkDao.create(noteId, tokenHash, null, null);
+
+		noteDao.deleteById(ownerId, noteId);
+
+		strictEqual(databaseConnection.prepare(`SELECT COUNT(*) AS count FROM NotePublicLink`).get().count, 0);
+	});
+});
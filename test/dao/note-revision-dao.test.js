@@ -0,0 +1,105 @@
+import { beforeEach, describe, test } from "node:test";
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import Database from "better-sqlite3";
+import SqliteConnectionFactory from "../../src/dao/sqlite-connection-factory.js";
+import NoteDao from "../../src/dao/note-dao.js";
+import UserDao from "../../src/dao/user-dao.js";
+import NoteRevisionDao from "../../src/dao/note-revision-dao.js";
+import { NoteForCreate, NoteForUpdate } from "../../src/model/note.js";
+import UuidV4 from "../../src/model/uuidv4.js";
+
+describe(`${NoteRevisionDao.name}`, () => {
+	/**
+	 * @type {NoteDao}
+	 */
+	let noteDao;
+	/**
+	 * @type {NoteRevisionDao}
+	 */
+	let noteRevisionDao;
+	/**
+	 * @type {UuidV4}
+	 */
+	let ownerId;
+
+	beforeEach(() => {
+		const databaseConnection = SqliteConnectionFactory.createConnection(":memory:");
+
+		noteDao = new NoteDao(databaseConnection);
+		noteRevisionDao = new NoteRevisionDao(databaseConnection);
+		ownerId = new UserDao(databaseConnection).create("owner");
+	});
+
+	test("constructor rejects invalid databaseConnection parameter", async (t) => {
+		for (const databaseConnection of [undefined, null, 0, {}, [], new Set()]) {
+			await t.test(
+				`${typeof databaseConnection} "${databaseConnection}" expecting to throw ${TypeError.name} with descriptive validation message`,
+				() => {
+					throws(
+						() => {
+							new NoteRevisionDao(databaseConnection);
+						},
+						new TypeError(
+							`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+						),
+					);
+				},
+			);
+		}
+	});
+
+	test("content changes are recorded as numbered revisions", () => {
+		const noteId = noteDao.create(ownerId, new NoteForCreate("first"));
+
+		deepStrictEqual(noteRevisionDao.list(noteId).revisions, []);
+
+		noteDao.update(ownerId, new NoteForUpdate(noteId, "second"));
+		// Changing only the tags does not record a revision
+		noteDao.update(ownerId, new NoteForUpdate(noteId, "second", ["tag"]));
+		noteDao.update(ownerId, new NoteForUpdate(noteId, "third"));
+
+		const revisions = noteRevisionDao.list(noteId).revisions;
+
+		deepStrictEqual(
+			revisions.map((revision) => [revision.revision, revision.content]),
+			[
+				[2, "second"],
+				[1, "first"],
+			],
+		);
+		ok(revisions.every((revision) => revision.noteId === noteId && revision.creationDateTime instanceof Date));
+
+		strictEqual(noteRevisionDao.findByRevision(noteId, 1).content, "first");
+		strictEqual(noteRevisionDao.findByRevision(noteId, 3), null);
+		strictEqual(noteRevisionDao.findByRevision(new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836"), 1), null);
+	});
+
+	test(`${NoteRevisionDao.prototype.list.name} method pages through revisions most recent first`, () => {
+		const noteId = noteDao.create(ownerId, new NoteForCreate("content0"));
+		for (let i = 1; i <= 5; i++) {
+			noteDao.update(ownerId, new NoteForUpdate(noteId, `content${i}`));
+		}
+
+		deepStrictEqual(
+			noteRevisionDao.list(noteId, 2).revisions.map((revision) => revision.revision),
+			[5, 4],
+		);
+		deepStrictEqual(
+			noteRevisionDao.list(noteId, 2, 4).revisions.map((revision) => revision.revision),
+			[3, 2],
+		);
+		deepStrictEqual(
+			noteRevisionDao.list(noteId, 2, 2).revisions.map((revision) => revision.revision),
+			[1],
+		);
+	});
+
+	test("revisions are deleted along with the note", () => {
+		const noteId = noteDao.create(ownerId, new NoteForCreate("first"));
+		noteDao.update(ownerId, new NoteForUpdate(noteId, "second"));
+
+		noteDao.deleteById(ownerId, noteId);
+
+		deepStrictEqual(noteRevisionDao.list(noteId).revisions, []);
+	});
+});
@@ -0,0 +1,122 @@
+import { beforeEach, describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import Database from "better-sqlite3";
+import SqliteConnectionFactory from "../../src/dao/sqlite-connection-factory.js";
+import NoteDao from "../../src/dao/note-dao.js";
+import NoteShareDao from "../../src/dao/note-share-dao.js";
+import UserDao from "../../src/dao/user-dao.js";
+import DaoError from "../../src/dao/dao-error.js";
+import { NoteForCreate } from "../../src/model/note.js";
+import { NoteShare } from "../../src/model/note-share.js";
+import UuidV4 from "../../src/model/uuidv4.js";
+
+describe(`${NoteShareDao.name}`, () => {
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	let databaseConnection;
+	/**
+	 * @type {NoteShareDao}
+	 */
+	let noteShareDao;
+	/**
+	 * @type {NoteDao}
+	 */
+	let noteDao;
+	/**
+	 * @type {UuidV4}
+	 */
+	let ownerId;
+	/**
+	 * @type {UuidV4}
+	 */
+	let aliceId;
+	/**
+	 * @type {UuidV4}
+	 */
+	let bobId;
+	/**
+	 * @type {UuidV4}
+	 */
+	let noteId;
+
+	beforeEach(() => {
+		databaseConnection = SqliteConnectionFactory.createConnection(":memory:");
+
+		const userDao = new UserDao(databaseConnection);
+		noteDao = new NoteDao(databaseConnection);
+		noteShareDao = new NoteShareDao(databaseConnection);
+
+		ownerId = userDao.create("owner");
+		aliceId = userDao.create("alice");
+		bobId = userDao.create("bob");
+		noteId = noteDao.create(ownerId, new NoteForCreate("content"));
+	});
+
+	test("constructor rejects invalid databaseConnection parameter", async (t) => {
+		for (const databaseConnection of [undefined, null, 0, {}, [], new Set()]) {
+			await t.test(`${typeof databaseConnection} "${databaseConnection}" expecting to throw ${TypeError.name}`, () => {
+				throws(
+					() => {
+						new NoteShareDao(databaseConnection);
+					},
+					new TypeError(
+						`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+					),
+				);
+			});
+		}
+	});
+
+	test("methods reject invalid parameters", () => {
+		throws(() => noteShareDao.save(noteId.value, aliceId, NoteShare.READ), TypeError);
+		throws(() => noteShareDao.save(noteId, aliceId, "admin"), RangeError);
+		throws(() => noteShareDao.find(noteId, undefined), TypeError);
+		throws(() => noteShareDao.listByNote(undefined), TypeError);
+		throws(() => noteShareDao.delete(noteId, aliceId.value), TypeError);
+	});
+
+	test(`${NoteShareDao.prototype.save.name} method shares notes and replaces the permission`, () => {
+		noteShareDao.save(noteId, bobId, NoteShare.READ);
+		noteShareDao.save(noteId, aliceId, NoteShare.READ);
+
+		const share = noteShareDao.find(noteId, aliceId);
+		deepStrictEqual(share.noteId, noteId);
+		deepStrictEqual(share.userId, aliceId);
+		strictEqual(share.userName, "alice");
+		strictEqual(share.permission, NoteShare.READ);
+
+		noteShareDao.save(noteId, aliceId, NoteShare.WRITE);
+
+		strictEqual(noteShareDao.find(noteId, aliceId).permission, NoteShare.WRITE);
+		strictEqual(noteShareDao.find(noteId, ownerId), null);
+		deepStrictEqual(
+			noteShareDao.listByNote(noteId).map((share) => [share.userName, share.permission]),
+			[
+				["alice", NoteShare.WRITE],
+				["bob", NoteShare.READ],
+			],
+		);
+	});
+
+	test(`${NoteShareDao.prototype.save.name} method rejects unknown notes and users`, () => {
+		throws(() => noteShareDao.save(new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836"), aliceId, "read"), DaoError);
+		throws(() => noteShareDao.save(noteId, new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836"), "read"), DaoError);
+	});
+
+	test(`${NoteShareDao.prototype.delete.name} method reports whether the note was shared`, () => {
+		noteShareDao.save(noteId, aliceId, NoteShare.READ);
+
+		strictEqual(noteShareDao.delete(noteId, aliceId), true);
+		strictEqual(noteShareDao.delete(noteId, aliceId), false);
+		deepStrictEqual(noteShareDao.listByNote(noteId), []);
+	});
+
+	test("shares are deleted along with the note", () => {
+		noteShareDao.save(noteId, aliceId, NoteShare.READ);
+
+		noteDao.deleteById(ownerId, noteId);
+
+		strictEqual(databaseConnection.prepare(`SELECT COUNT(*) AS count FROM NoteShare`).get().count, 0);
+	});
+});
@@ -0,0 +1,73 @@
+import { beforeEach, describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import Database from "better-sqlite3";
+import SqliteConnectionFactory from "../../src/dao/sqlite-connection-factory.js";
+import RateLimitDao from "../../src/dao/rate-limit-dao.js";
+
+describe(`${RateLimitDao.name}`, () => {
+	/**
+	 * @type {RateLimitDao}
+	 */
+	let rateLimitDao;
+
+	const updatedDateTime = new Date(Date.UTC(2024, 0, 1));
+
+	beforeEach(() => {
+		rateLimitDao = new RateLimitDao(SqliteConnectionFactory.createConnection(":memory:"));
+	});
+
+	test("constructor rejects invalid databaseConnection parameter", async (t) => {
+		for (const databaseConnection of [undefined, null, 0, {}, [], new Set()]) {
+			await t.test(`${typeof databaseConnection} "${databaseConnection}" expecting to throw ${TypeError.name}`, () => {
+				throws(
+					() => {
+						new RateLimitDao(databaseConnection);
+					},
+					new TypeError(
+						`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+					),
+				);
+			});
+		}
+	});
+
+	test("methods reject invalid parameters", () => {
+		throws(() => rateLimitDao.find("", "read"), TypeError);
+		throws(() => rateLimitDao.find("user:a", undefined), TypeError);
+		throws(() => rateLimitDao.save("user:a", "read", -1, updatedDateTime), TypeError);
+		throws(() => rateLimitDao.save("user:a", "read", NaN, updatedDateTime), TypeError);
+		throws(() => rateLimitDao.save("user:a", "read", 1, updatedDateTime.getTime()), TypeError);
+		throws(() => rateLimitDao.deleteUpdatedBefore(undefined, updatedDateTime), TypeError);
+		throws(() => rateLimitDao.deleteUpdatedBefore("read", undefined), TypeError);
+	});
+
+	test(`${RateLimitDao.prototype.save.name} method creates and replaces buckets of each key and budget`, () => {
+		strictEqual(rateLimitDao.find("user:a", "read"), null);
+
+		rateLimitDao.save("user:a", "read", 9.5, updatedDateTime);
+		rateLimitDao.save("user:a", "write", 4, updatedDateTime);
+		rateLimitDao.save("user:b", "read", 3, updatedDateTime);
+
+		deepStrictEqual(rateLimitDao.find("user:a", "read"), { tokens: 9.5, updatedDateTime: updatedDateTime });
+
+		const laterDateTime = new Date(updatedDateTime.getTime() + 1000);
+		rateLimitDao.save("user:a", "read", 0, laterDateTime);
+
+		deepStrictEqual(rateLimitDao.find("user:a", "read"), { tokens: 0, updatedDateTime: laterDateTime });
+		deepStrictEqual(rateLimitDao.find("user:a", "write"), { tokens: 4, updatedDateTime: updatedDateTime });
+		deepStrictEqual(rateLimitDao.find("user:b", "read"), { tokens: 3, updatedDateTime: updatedDateTime });
+	});
+
+	test(`${RateLimitDao.prototype.deleteUpdatedBefore.name} method deletes only idle buckets of the budget`, () => {
+		const laterDateTime = new Date(updatedDateTime.getTime() + 1000);
+		rateLimitDao.save("user:a", "read", 1, updatedDateTime);
+		rateLimitDao.save("user:b", "read", 1, laterDateTime);
+		rateLimitDao.save("user:a", "write", 1, updatedDateTime);
+
+		strictEqual(rateLimitDao.deleteUpdatedBefore("read", laterDateTime), 1);
+
+		strictEqual(rateLimitDao.find("user:a", "read"), null);
+		strictEqual(rateLimitDao.find("user:b", "read").tokens, 1);
+		strictEqual(rateLimitDao.find("user:a", "write").tokens, 1);
+	});
+});
@@ -0,0 +1,26 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import SqlFilter from "../../src/dao/sql-filter.js";
+
+describe(`${SqlFilter.name}`, () => {
+	test("matches every row without conditions", () => {
+		const filter = new SqlFilter();
+
+		strictEqual(filter.sql, "TRUE");
+		deepStrictEqual(filter.params, {});
+	});
+
+	test("combines conditions with AND, keeping each condition's precedence", () => {
+		const filter = new SqlFilter().and("a = :a OR b = :b", { a: 1, b: 2 }).and("c IS NULL");
+
+		strictEqual(filter.sql, "(a = :a OR b = :b) AND (c IS NULL)");
+		deepStrictEqual(filter.params, { a: 1, b: 2 });
+	});
+
+	test("rejects parameters already added by another condition", () => {
+		const filter = new SqlFilter().and("a = :a", { a: 1 });
+
+		throws(() => filter.and("a > :a", { a: 2 }), new RangeError("parameter a was already added by another condition"));
+		strictEqual(filter.sql, "(a = :a)");
+	});
+});
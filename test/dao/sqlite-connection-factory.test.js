@@ -1,5 +1,5 @@
 import { before, describe, test } from "node:test";
-import { ok, throws } from "node:assert";
+import { ok, strictEqual, throws } from "node:assert";
 import os from "node:os";
 import path from "node:path";
 import fs from "node:fs";
@@ -52,5 +52,17 @@ describe(`${SqliteConnectionFactory.name}`, () => {
 
 			ok(fs.existsSync(notesDbFilepath));
 		});
+
+		test(`applies schema migrations by default`, () => {
+			const db = SqliteConnectionFactory.createConnection(":memory:");
+
+			ok(db.prepare(`SELECT 1 FROM sqlite_schema WHERE type = 'table' AND name = 'Note'`).get());
+		});
+
+		test(`skips schema migrations when migrate option is false`, () => {
+			const db = SqliteConnectionFactory.createConnection(":memory:", { migrate: false });
+
+			strictEqual(db.prepare(`SELECT 1 FROM sqlite_schema WHERE type = 'table' AND name = 'Note'`).get(), undefined);
+		});
 	});
 });
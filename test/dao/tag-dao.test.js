@@ -0,0 +1,123 @@
+import { beforeEach, describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import Database from "better-sqlite3";
+import SqliteConnectionFactory from "../../src/dao/sqlite-connection-factory.js";
+import NoteDao from "../../src/dao/note-dao.js";
+import UserDao from "../../src/dao/user-dao.js";
+import TagDao from "../../src/dao/tag-dao.js";
+import { NoteForCreate } from "../../src/model/note.js";
+import UuidV4 from "../../src/model/uuidv4.js";
+
+describe(`${TagDao.name}`, () => {
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	let databaseConnection;
+	/**
+	 * @type {NoteDao}
+	 */
+	let noteDao;
+	/**
+	 * @type {TagDao}
+	 */
+	let tagDao;
+	/**
+	 * @type {UuidV4}
+	 */
+	let ownerId;
+
+	beforeEach(() => {
+		databaseConnection = SqliteConnectionFactory.createConnection(":memory:");
+
+		noteDao = new NoteDao(databaseConnection);
+		tagDao = new TagDao(databaseConnection);
+		ownerId = new UserDao(databaseConnection).create("owner");
+	});
+
+	test("constructor rejects invalid databaseConnection parameter", async (t) => {
+		for (const databaseConnection of [undefined, null, 0, {}, [], new Set()]) {
+			await t.test(
+				`${typeof databaseConnection} "${databaseConnection}" expecting to throw ${TypeError.name} with descriptive validation message`,
+				() => {
+					throws(
+						() => {
+							new TagDao(databaseConnection);
+						},
+						new TypeError(
+							`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+						),
+					);
+				},
+			);
+		}
+	});
+
+	test(`${TagDao.prototype.listUsage.name} method counts notes per tag`, () => {
+		noteDao.create(ownerId, new NoteForCreate("one", ["work", "meeting"]));
+		noteDao.create(ownerId, new NoteForCreate("two", ["work"]));
+		noteDao.create(ownerId, new NoteForCreate("three"));
+
+		deepStrictEqual(
+			tagDao.listUsage(ownerId).map((tag) => tag.toJSON()),
+			[
+				{ name: "meeting", noteCount: 1 },
+				{ name: "work", noteCount: 2 },
+			],
+		);
+	});
+
+	test(`${TagDao.prototype.listUsage.name} method does not count notes in the trash`, () => {
+		noteDao.create(ownerId, new NoteForCreate("one", ["work"]));
+		noteDao.trashById(ownerId, noteDao.create(ownerId, new NoteForCreate("two", ["work", "old"])));
+
+		deepStrictEqual(
+			tagDao.listUsage(ownerId).map((tag) => tag.toJSON()),
+			[{ name: "work", noteCount: 1 }],
+		);
+	});
+
+	test(`${TagDao.prototype.merge.name} method creates target tag which does not exist`, () => {
+		const noteId = noteDao.create(ownerId, new NoteForCreate("one", ["wrk"]));
+
+		tagDao.merge(ownerId, "wrk", "Work");
+
+		strictEqual(tagDao.existsByName(ownerId, "wrk"), false);
+		strictEqual(tagDao.existsByName(ownerId, "work"), true);
+		deepStrictEqual(noteDao.findById(ownerId, noteId).tags, ["work"]);
+		strictEqual(noteDao.findById(ownerId, noteId).version, 2);
+	});
+
+	test(`${TagDao.prototype.merge.name} method moves notes to target tag without duplicates`, () => {
+		const firstId = noteDao.create(ownerId, new NoteForCreate("one", ["todo"]));
+		const secondId = noteDao.create(ownerId, new NoteForCreate("two", ["todo", "tasks"]));
+
+		tagDao.merge(ownerId, "todo", "tasks");
+
+		strictEqual(tagDao.existsByName(ownerId, "todo"), false);
+		deepStrictEqual(noteDao.findById(ownerId, firstId).tags, ["tasks"]);
+		deepStrictEqual(noteDao.findById(ownerId, secondId).tags, ["tasks"]);
+		deepStrictEqual(
+			tagDao.listUsage(ownerId).map((tag) => tag.toJSON()),
+			[{ name: "tasks", noteCount: 2 }],
+		);
+	});
+
+	test("tags of other owners are neither listed nor changed", () => {
+		const otherOwnerId = new UserDao(databaseConnection).create("other");
+		const noteId = noteDao.create(ownerId, new NoteForCreate("one", ["todo"]));
+		const otherNoteId = noteDao.create(otherOwnerId, new NoteForCreate("two", ["todo", "private"]));
+
+		strictEqual(tagDao.existsByName(ownerId, "private"), false);
+		deepStrictEqual(
+			tagDao.listUsage(ownerId).map((tag) => tag.toJSON()),
+			[{ name: "todo", noteCount: 1 }],
+		);
+
+		tagDao.merge(ownerId, "todo", "tasks");
+
+		deepStrictEqual(noteDao.findById(ownerId, noteId).tags, ["tasks"]);
+		deepStrictEqual(noteDao.findById(otherOwnerId, otherNoteId).tags, ["private", "todo"]);
+		strictEqual(noteDao.findById(otherOwnerId, otherNoteId).version, 1);
+		strictEqual(tagDao.existsByName(otherOwnerId, "tasks"), false);
+	});
+});
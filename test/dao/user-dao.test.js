@@ -0,0 +1,112 @@
+import { beforeEach, describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import Database from "better-sqlite3";
+import SqliteConnectionFactory from "../../src/dao/sqlite-connection-factory.js";
+import NoteDao from "../../src/dao/note-dao.js";
+import UserDao from "../../src/dao/user-dao.js";
+import DaoError from "../../src/dao/dao-error.js";
+import { NoteForCreate } from "../../src/model/note.js";
+import { hashApiKey } from "../../src/util/api-key.js";
+
+describe(`${UserDao.name}`, () => {
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	let databaseConnection;
+	/**
+	 * @type {UserDao}
+	 */
+	let userDao;
+
+	beforeEach(() => {
+		databaseConnection = SqliteConnectionFactory.createConnection(":memory:");
+
+		userDao = new UserDao(databaseConnection);
+	});
+
+	test("constructor rejects invalid databaseConnection parameter", async (t) => {
+		for (const databaseConnection of [undefined, null, 0, {}, [], new Set()]) {
+			await t.test(
+				`${typeof databaseConnection} "${databaseConnection}" expecting to throw ${TypeError.name} with descriptive validation message`,
+				() => {
+					throws(
+						() => {
+							new UserDao(databaseConnection);
+						},
+						new TypeError(
+							`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+						),
+					);
+				},
+			);
+		}
+	});
+
+	test(`${UserDao.prototype.create.name} method creates users with unique names`, () => {
+		const id = userDao.create(" alice ");
+
+		const user = userDao.findById(id);
+		deepStrictEqual(user.id, id);
+		strictEqual(user.name, "alice");
+		deepStrictEqual(userDao.findByName("alice").toJSON(), user.toJSON());
+
+		throws(() => userDao.create("alice"), DaoError);
+	});
+
+	test(`${UserDao.prototype.list.name} method lists users by name`, () => {
+		userDao.create("bob");
+		userDao.create("alice");
+
+		deepStrictEqual(
+			userDao.list().map((user) => user.name),
+			["alice", "bob"],
+		);
+	});
+
+	test("API keys are found by hash until they are deleted", () => {
+		const aliceId = userDao.create("alice");
+		const bobId = userDao.create("bob");
+
+		userDao.createApiKey(aliceId, hashApiKey("first"));
+		userDao.createApiKey(aliceId, hashApiKey("second"));
+		userDao.createApiKey(bobId, hashApiKey("third"));
+
+		deepStrictEqual(userDao.findByApiKeyHash(hashApiKey("second")).id, aliceId);
+		deepStrictEqual(userDao.findByApiKeyHash(hashApiKey("third")).id, bobId);
+		strictEqual(userDao.findByApiKeyHash(hashApiKey("unknown")), null);
+
+		strictEqual(userDao.deleteApiKeys(aliceId), 2);
+
+		strictEqual(userDao.findByApiKeyHash(hashApiKey("first")), null);
+		deepStrictEqual(userDao.findByApiKeyHash(hashApiKey("third")).id, bobId);
+	});
+
+	test("identities are found by issuer and subject", () => {
+		const aliceId = userDao.create("alice");
+		const bobId = userDao.create("bob");
+		userDao.createIdentity(aliceId, "https://idp.example.com/", "subject-1");
+		userDao.createIdentity(bobId, "https://other.example.com/", "subject-1");
+
+		strictEqual(userDao.findByIdentity("https://idp.example.com/", "subject-1").name, "alice");
+		strictEqual(userDao.findByIdentity("https://other.example.com/", "subject-1").name, "bob");
+		strictEqual(userDao.findByIdentity("https://idp.example.com/", "subject-2"), null);
+
+		throws(() => userDao.createIdentity(bobId, "https://idp.example.com/", "subject-1"), DaoError);
+		throws(() => userDao.findByIdentity("https://idp.example.com/", ""), TypeError);
+		throws(() => userDao.createIdentity(bobId, undefined, "subject-2"), TypeError);
+	});
+
+	test("deleting a user deletes their notes, API keys and identities", () => {
+		const noteDao = new NoteDao(databaseConnection);
+		const id = userDao.create("alice");
+		noteDao.create(id, new NoteForCreate("content"));
+		userDao.createApiKey(id, hashApiKey("key"));
+		userDao.createIdentity(id, "https://idp.example.com/", "subject-1");
+
+		databaseConnection.prepare(`DELETE FROM User`).run();
+
+		strictEqual(databaseConnection.prepare(`SELECT COUNT(*) AS count FROM Note`).get().count, 0);
+		strictEqual(databaseConnection.prepare(`SELECT COUNT(*) AS count FROM ApiKey`).get().count, 0);
+		strictEqual(databaseConnection.prepare(`SELECT COUNT(*) AS count FROM UserIdentity`).get().count, 0);
+	});
+});
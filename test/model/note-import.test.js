@@ -0,0 +1,112 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import {
+	ConvertedNote,
+	NoteConversionReport,
+	NoteForImport,
+	NoteImportReport,
+	NoteImportResult,
+} from "../../src/model/note-import.js";
+import { ForbiddenError } from "../../src/service/service-error.js";
+import UuidV4 from "../../src/model/uuidv4.js";
+
+describe(`${NoteImportResult.name}`, () => {
+	test("rejects invalid id parameter", () => {
+		throws(() => new NoteImportResult("109156be-c4fb-41ea-b1b4-efe1671c5836", NoteImportResult.CREATED), TypeError);
+	});
+});
+
+describe(`${NoteImportReport.name}`, () => {
+	const id = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+
+	test("counts the notes by their result", () => {
+		const report = new NoteImportReport();
+
+		report.addResult(1, new NoteImportResult(id, NoteImportResult.CREATED));
+		report.addResult(2, new NoteImportResult(id, NoteImportResult.SKIPPED));
+		report.addResult(3, new NoteImportResult(id, NoteImportResult.OVERWRITTEN));
+		report.addResult(4, new NoteImportResult(id, NoteImportResult.FAILED, new ForbiddenError("not yours")));
+		report.addError(5, "not json");
+
+		deepStrictEqual(report.toJSON(), {
+			created: 1,
+			overwritten: 1,
+			skipped: 1,
+			failed: 2,
+			errors: [
+				{ line: 4, id: id, error: "not yours" },
+				{ line: 5, id: null, error: "not json" },
+			],
+		});
+	});
+
+	test(`lists the first ${NoteImportReport.MAX_ERRORS} errors and counts the rest`, () => {
+		const report = new NoteImportReport();
+
+		for (let line = 1; line <= NoteImportReport.MAX_ERRORS + 1; line++) {
+			report.addError(line, "not json");
+		}
+
+		strictEqual(report.failed, NoteImportReport.MAX_ERRORS + 1);
+		strictEqual(report.errors.length, NoteImportReport.MAX_ERRORS);
+		strictEqual(report.errors.at(-1).line, NoteImportReport.MAX_ERRORS);
+	});
+
+	test("rejects results which are not a NoteImportResult", () => {
+		throws(() => new NoteImportReport().addResult(1, { state: NoteImportResult.CREATED }), TypeError);
+	});
+});
+
+describe(`${NoteForImport.name}`, () => {
+	test("rejects invalid date time parameters", () => {
+		throws(() => new NoteForImport("content", [], "2024-01-01"), TypeError);
+		throws(() => new NoteForImport("content", [], null, Date.now()), TypeError);
+	});
+
+	test("leaves the date times which are not set out of its JSON", () => {
+		const creationDateTime = new Date("2024-01-01T00:00:00Z");
+
+		deepStrictEqual(new NoteForImport("content", ["b", "a"], creationDateTime).toJSON(), {
+			content: "content",
+			tags: ["a", "b"],
+			creationDateTime: creationDateTime,
+		});
+	});
+});
+
+describe(`${ConvertedNote.name}`, () => {
+	test("rejects invalid parameters", () => {
+		throws(() => new ConvertedNote(1, null), TypeError);
+		throws(() => new ConvertedNote("note.md", { content: "content" }), TypeError);
+		throws(() => new ConvertedNote("note.md", null, "not a list"), TypeError);
+	});
+});
+
+describe(`${NoteConversionReport.name}`, () => {
+	const id = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+
+	test("lists every item with the id of its note and counts them", () => {
+		const report = new NoteConversionReport();
+
+		report.addItem(new ConvertedNote("a.md", new NoteForImport("a")), id);
+		report.addItem(new ConvertedNote("b.png", null, ["not Markdown"]), null);
+
+		strictEqual(report.created, 1);
+		strictEqual(report.skipped, 1);
+		deepStrictEqual(report.toJSON(), {
+			created: 1,
+			skipped: 1,
+			items: [
+				{ source: "a.md", id: id, warnings: [] },
+				{ source: "b.png", id: null, warnings: ["not Markdown"] },
+			],
+		});
+	});
+
+	test("rejects invalid parameters", () => {
+		const report = new NoteConversionReport();
+
+		throws(() => report.addItem({ source: "a.md" }, id), TypeError);
+		throws(() => report.addItem(new ConvertedNote("a.md", null), id.value), TypeError);
+	});
+});
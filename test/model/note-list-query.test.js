@@ -0,0 +1,98 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import { NoteListFilter, NoteListSort } from "../../src/model/note-list-query.js";
+import { TagFilter } from "../../src/model/tag.js";
+
+describe(`${NoteListSort.name}`, () => {
+	test("defaults to newest first", () => {
+		const sort = new NoteListSort();
+
+		strictEqual(sort.field, NoteListSort.CREATION_DATE_TIME);
+		strictEqual(sort.order, NoteListSort.DESC);
+	});
+
+	test("rejects invalid field and order", async (t) => {
+		for (const [field, order] of [
+			["title", NoteListSort.ASC],
+			[null, NoteListSort.ASC],
+			[NoteListSort.CONTENT_LENGTH, "up"],
+			[NoteListSort.CONTENT_LENGTH, ["asc"]],
+		]) {
+			await t.test(`field "${field}" order "${order}" expecting to throw ${RangeError.name}`, () => {
+				throws(() => new NoteListSort(field, order), RangeError);
+			});
+		}
+	});
+
+	test("equals sorts with the same field and order", () => {
+		const sort = new NoteListSort(NoteListSort.CONTENT_LENGTH, NoteListSort.ASC);
+
+		ok(sort.equals(new NoteListSort(NoteListSort.CONTENT_LENGTH, NoteListSort.ASC)));
+		ok(!sort.equals(new NoteListSort(NoteListSort.CONTENT_LENGTH, NoteListSort.DESC)));
+		ok(!sort.equals(new NoteListSort(NoteListSort.LAST_UPDATED_DATE_TIME, NoteListSort.ASC)));
+		ok(!sort.equals(sort.toJSON()));
+	});
+});
+
+describe(`${NoteListFilter.name}`, () => {
+	test("defaults to matching every note", () => {
+		deepStrictEqual(new NoteListFilter().toJSON(), {
+			tagFilter: null,
+			createdAfter: null,
+			createdBefore: null,
+			updatedAfter: null,
+			updatedBefore: null,
+			sharedWithMe: false,
+		});
+	});
+
+	test("copies the date times", () => {
+		const createdAfter = new Date(2024, 0, 1);
+		const filter = new NoteListFilter({ tagFilter: new TagFilter(["work"]), createdAfter: createdAfter });
+
+		createdAfter.setFullYear(2000);
+		filter.createdAfter.setFullYear(2000);
+
+		strictEqual(filter.createdAfter.getTime(), new Date(2024, 0, 1).getTime());
+		deepStrictEqual(filter.tagFilter.tags, ["work"]);
+	});
+
+	test("rejects invalid tagFilter", async (t) => {
+		for (const tagFilter of [null, 0, {}, [], "work"]) {
+			await t.test(`${typeof tagFilter} "${tagFilter}" expecting to throw ${TypeError.name}`, () => {
+				throws(
+					() => new NoteListFilter({ tagFilter: tagFilter }),
+					new TypeError(
+						`if provided, tagFilter must be an instance of ${TagFilter.name}, was type ${typeof tagFilter} with value ${tagFilter}`,
+					),
+				);
+			});
+		}
+	});
+
+	test("rejects invalid date times", async (t) => {
+		for (const name of ["createdAfter", "createdBefore", "updatedAfter", "updatedBefore"]) {
+			for (const dateTime of [null, 0, "2024-01-01", new Date(NaN)]) {
+				await t.test(`${name} ${typeof dateTime} "${dateTime}" expecting to throw ${TypeError.name}`, () => {
+					throws(
+						() => new NoteListFilter({ [name]: dateTime }),
+						new TypeError(`if provided, ${name} must be a valid Date object, was ${typeof dateTime} ${dateTime}`),
+					);
+				});
+			}
+		}
+	});
+
+	test("rejects invalid sharedWithMe", async (t) => {
+		for (const sharedWithMe of [null, 0, "true"]) {
+			await t.test(`${typeof sharedWithMe} "${sharedWithMe}" expecting to throw ${TypeError.name}`, () => {
+				throws(
+					() => new NoteListFilter({ sharedWithMe: sharedWithMe }),
+					new TypeError(
+						`if provided, sharedWithMe must be a boolean, was type ${typeof sharedWithMe} with value ${sharedWithMe}`,
+					),
+				);
+			});
+		}
+	});
+});
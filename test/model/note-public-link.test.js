@@ -0,0 +1,50 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { NotePublicLink } from "../../src/model/note-public-link.js";
+import UuidV4 from "../../src/model/uuidv4.js";
+
+describe(`${NotePublicLink.name}`, () => {
+	const id = new UuidV4("3f6a0ec4-55d4-4c3e-8e8c-1e6d2c1b9a57");
+	const noteId = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+	const expiryDateTime = new Date(Date.UTC(2024, 0, 2));
+	const creationDateTime = new Date(Date.UTC(2024, 0, 1));
+
+	test("rejects invalid parameters", async (t) => {
+		const validId = id;
+		const validNoteId = noteId;
+
+		for (const [id, noteId, expiryDateTime, passwordProtected, creationDateTime] of [
+			[validId.value, validNoteId, null, false, new Date()],
+			[validId, undefined, null, false, new Date()],
+			[validId, validNoteId, undefined, false, new Date()],
+			[validId, validNoteId, Date.now(), false, new Date()],
+			[validId, validNoteId, null, "true", new Date()],
+			[validId, validNoteId, null, false, Date.now()],
+		]) {
+			await t.test(`${id} ${noteId} ${expiryDateTime} ${passwordProtected} expecting to throw TypeError`, () => {
+				throws(() => new NotePublicLink(id, noteId, expiryDateTime, passwordProtected, creationDateTime), TypeError);
+			});
+		}
+	});
+
+	test("toJSON includes every field", () => {
+		const link = new NotePublicLink(id, noteId, expiryDateTime, true, creationDateTime);
+
+		deepStrictEqual(link.toJSON(), {
+			id: id,
+			noteId: noteId,
+			expiryDateTime: expiryDateTime,
+			passwordProtected: true,
+			creationDateTime: creationDateTime,
+		});
+	});
+
+	test(`${NotePublicLink.prototype.isExpired.name} is true from the expiry date and time on`, () => {
+		const link = new NotePublicLink(id, noteId, expiryDateTime, false, creationDateTime);
+		const unlimitedLink = new NotePublicLink(id, noteId, null, false, creationDateTime);
+
+		strictEqual(link.isExpired(new Date(expiryDateTime.getTime() - 1)), false);
+		strictEqual(link.isExpired(expiryDateTime), true);
+		strictEqual(unlimitedLink.isExpired(new Date(Date.UTC(9999, 0, 1))), false);
+	});
+});
@@ -0,0 +1,56 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { NoteShare } from "../../src/model/note-share.js";
+import UuidV4 from "../../src/model/uuidv4.js";
+
+describe(`${NoteShare.name}`, () => {
+	const noteId = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+	const userId = new UuidV4("3f6a0ec4-55d4-4c3e-8e8c-1e6d2c1b9a57");
+	const creationDateTime = new Date(Date.UTC(2024, 0, 1));
+
+	test("rejects invalid parameters", async (t) => {
+		const validNoteId = noteId;
+		const validUserId = userId;
+
+		for (const [noteId, userId, permission, creationDateTime, expectedError] of [
+			[validNoteId.value, validUserId, NoteShare.READ, new Date(), TypeError],
+			[validNoteId, undefined, NoteShare.READ, new Date(), TypeError],
+			[validNoteId, validUserId, "admin", new Date(), RangeError],
+			[validNoteId, validUserId, undefined, new Date(), RangeError],
+			[validNoteId, validUserId, NoteShare.WRITE, Date.now(), TypeError],
+		]) {
+			await t.test(`${noteId} ${userId} ${permission} expecting to throw ${expectedError.name}`, () => {
+				throws(() => new NoteShare(noteId, userId, "bob", permission, creationDateTime), expectedError);
+			});
+		}
+	});
+
+	test("toJSON includes every field", () => {
+		const share = new NoteShare(noteId, userId, "bob", NoteShare.WRITE, creationDateTime);
+
+		deepStrictEqual(share.toJSON(), {
+			noteId: noteId,
+			userId: userId,
+			userName: "bob",
+			permission: NoteShare.WRITE,
+			creationDateTime: creationDateTime,
+		});
+	});
+
+	test(`${NoteShare.allows.name} grants read access along with write access`, () => {
+		for (const [grantedPermission, requiredPermission, expectedResult] of [
+			[null, NoteShare.READ, false],
+			[null, NoteShare.WRITE, false],
+			[NoteShare.READ, NoteShare.READ, true],
+			[NoteShare.READ, NoteShare.WRITE, false],
+			[NoteShare.WRITE, NoteShare.READ, true],
+			[NoteShare.WRITE, NoteShare.WRITE, true],
+		]) {
+			strictEqual(
+				NoteShare.allows(grantedPermission, requiredPermission),
+				expectedResult,
+				`${grantedPermission} ${requiredPermission}`,
+			);
+		}
+	});
+});
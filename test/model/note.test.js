@@ -1,7 +1,8 @@
 import { describe, test } from "node:test";
-import { strictEqual, throws } from "node:assert";
-import { NoteForCreate, NoteForUpdate, Note } from "../../src/model/note.js";
+import { ok, strictEqual, throws } from "node:assert";
+import { NoteForCreate, NoteForUpdate, Note, NoteListCursor, NoteListPage } from "../../src/model/note.js";
 import UuidV4 from "../../src/model/uuidv4.js";
+import { NoteListSort } from "../../src/model/note-list-query.js";
 
 const id = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
 const content = "";
@@ -178,6 +179,85 @@ describe(`${Note.name}`, () => {
 			}
 		});
 
+		test(`rejects invalid version parameter`, async (t) => {
+			for (const version of [null, 0, -1, 1.5, "1", {}]) {
+				await t.test(
+					`${typeof version} "${version}" expecting to throw ${TypeError.name} with descriptive validation message`,
+					() => {
+						throws(
+							() => {
+								new Note(id, content, creationDateTimeFactory(), lastUpdatedDateTimeFactory(), [], version);
+							},
+							new TypeError(`version must be an integer >= 1, was type ${typeof version} with value ${version}`),
+						);
+					},
+				);
+			}
+		});
+
+		test(`rejects invalid deletedDateTime parameter`, async (t) => {
+			for (const deletedDateTime of [0, "2024-01-01", {}]) {
+				await t.test(
+					`${typeof deletedDateTime} "${deletedDateTime}" expecting to throw ${TypeError.name} with descriptive validation message`,
+					() => {
+						throws(
+							() => {
+								new Note(id, content, creationDateTimeFactory(), lastUpdatedDateTimeFactory(), [], 1, deletedDateTime);
+							},
+							new TypeError(
+								`if provided, deletedDateTime must be a Date object, was ${typeof deletedDateTime} ${deletedDateTime}`,
+							),
+						);
+					},
+				);
+			}
+		});
+
+		test(`includes deletedDateTime in JSON only for notes in the trash`, () => {
+			const deletedDateTime = lastUpdatedDateTimeFactory();
+
+			const note = new Note(id, content, creationDateTimeFactory(), lastUpdatedDateTimeFactory());
+			const trashedNote = new Note(
+				id,
+				content,
+				creationDateTimeFactory(),
+				lastUpdatedDateTimeFactory(),
+				[],
+				1,
+				deletedDateTime,
+			);
+
+			strictEqual(note.deletedDateTime, null);
+			ok(!Object.hasOwn(note.toJSON(), "deletedDateTime"));
+			strictEqual(trashedNote.deletedDateTime.getTime(), deletedDateTime.getTime());
+			strictEqual(trashedNote.toJSON().deletedDateTime, deletedDateTime);
+		});
+
+		test(`rejects invalid ownerId parameter`, async (t) => {
+			for (const ownerId of [0, id.value, {}]) {
+				await t.test(`${typeof ownerId} "${ownerId}" expecting to throw ${TypeError.name}`, () => {
+					throws(
+						() => {
+							new Note(id, content, creationDateTimeFactory(), lastUpdatedDateTimeFactory(), [], 1, null, ownerId);
+						},
+						new TypeError(
+							`if provided, ownerId must be an instance of ${UuidV4.name}, was type ${typeof ownerId} with value ${ownerId}`,
+						),
+					);
+				});
+			}
+		});
+
+		test(`includes ownerId in JSON only when the owner is known`, () => {
+			const note = new Note(id, content, creationDateTimeFactory(), lastUpdatedDateTimeFactory());
+			const ownedNote = new Note(id, content, creationDateTimeFactory(), lastUpdatedDateTimeFactory(), [], 1, null, id);
+
+			strictEqual(note.ownerId, null);
+			ok(!Object.hasOwn(note.toJSON(), "ownerId"));
+			strictEqual(ownedNote.ownerId, id);
+			strictEqual(ownedNote.toJSON().ownerId, id);
+		});
+
 		test(`accepts valid id and content parameters`, async (t) => {
 			const validId = id;
 			for (const [id, content] of [
@@ -204,3 +284,58 @@ describe(`${Note.name}`, () => {
 		});
 	});
 });
+
+describe(`${NoteListCursor.name}`, () => {
+	test("encode and decode round trip to an equal cursor", () => {
+		for (const cursor of [
+			new NoteListCursor(NoteListCursor.AFTER, new NoteListSort(), creationDateTimeFactory().getTime(), id),
+			new NoteListCursor(NoteListCursor.BEFORE, new NoteListSort(NoteListSort.CONTENT_LENGTH, NoteListSort.ASC), 0, id),
+			new NoteListCursor(NoteListCursor.AFTER, new NoteListSort(NoteListSort.RELEVANCE), 0.0000016541353383458646, id),
+		]) {
+			const encoded = cursor.encode();
+			ok(/^[A-Za-z0-9_-]+$/.test(encoded), `${encoded} is URL safe`);
+			strictEqual(JSON.stringify(cursor), JSON.stringify(encoded));
+
+			const decoded = NoteListCursor.decode(encoded);
+			strictEqual(decoded.direction, cursor.direction);
+			ok(decoded.sort.equals(cursor.sort));
+			strictEqual(decoded.key, cursor.key);
+			strictEqual(decoded.id.value, cursor.id.value);
+		}
+	});
+
+	test("decode rejects invalid cursors", async (t) => {
+		const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+		for (const value of [
+			"",
+			"notACursor",
+			encode(null),
+			encode({}),
+			encode(["sideways", "creationDateTime", "desc", 0, id.value]),
+			encode([NoteListCursor.AFTER, "title", "desc", 0, id.value]),
+			encode([NoteListCursor.AFTER, "creationDateTime", "up", 0, id.value]),
+			encode([NoteListCursor.AFTER, "creationDateTime", "desc", "0", id.value]),
+			encode([NoteListCursor.AFTER, "creationDateTime", "desc", 0, "notAUuid"]),
+		]) {
+			await t.test(`"${value}" expecting to throw ${RangeError.name}`, () => {
+				throws(() => NoteListCursor.decode(value), new RangeError(`value "${value}" is not a valid cursor`));
+			});
+		}
+	});
+});
+
+describe(`${NoteListPage.name}`, () => {
+	test("rejects invalid cursor parameters", async (t) => {
+		for (const cursor of [0, "", {}]) {
+			await t.test(`${typeof cursor} "${cursor}" expecting to throw ${TypeError.name}`, () => {
+				throws(
+					() => new NoteListPage(1, [], cursor),
+					new TypeError(
+						`if provided, nextCursor must be an instance of ${NoteListCursor.name}, was type ${typeof cursor} with value ${cursor}`,
+					),
+				);
+			});
+		}
+	});
+});
@@ -0,0 +1,47 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import { Principal } from "../../src/model/principal.js";
+import { User } from "../../src/model/user.js";
+import UuidV4 from "../../src/model/uuidv4.js";
+
+describe(`${Principal.name}`, () => {
+	const user = new User(new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836"), "alice", new Date(Date.UTC(2024, 0, 1)));
+
+	test("rejects invalid parameters", async (t) => {
+		for (const [invalidUser, authenticationMethod, claims, expectedError] of [
+			[undefined, Principal.API_KEY, null, TypeError],
+			[user.toJSON(), Principal.API_KEY, null, TypeError],
+			[user, undefined, null, RangeError],
+			[user, "password", null, RangeError],
+			[user, Principal.JWT, [], TypeError],
+			[user, Principal.JWT, "claims", TypeError],
+		]) {
+			await t.test(`${authenticationMethod} ${JSON.stringify(claims)} expecting ${expectedError.name}`, () => {
+				throws(() => new Principal(invalidUser, authenticationMethod, claims), expectedError);
+			});
+		}
+	});
+
+	test("API key principals have no claims", () => {
+		const principal = new Principal(user, Principal.API_KEY);
+
+		strictEqual(principal.user, user);
+		strictEqual(principal.authenticationMethod, Principal.API_KEY);
+		strictEqual(principal.claims, null);
+	});
+
+	test("JWT principals keep a frozen copy of the claims", () => {
+		const claims = { iss: "https://idp.example.com/", sub: "subject-1", scope: "notes" };
+		const principal = new Principal(user, Principal.JWT, claims);
+
+		claims.sub = "changed";
+
+		ok(Object.isFrozen(principal.claims));
+		strictEqual(principal.claims.sub, "subject-1");
+		deepStrictEqual(JSON.parse(JSON.stringify(principal)), {
+			user: JSON.parse(JSON.stringify(user)),
+			authenticationMethod: Principal.JWT,
+			claims: { iss: "https://idp.example.com/", sub: "subject-1", scope: "notes" },
+		});
+	});
+});
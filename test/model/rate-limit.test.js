@@ -0,0 +1,60 @@
+import { describe, test } from "node:test";
+import { strictEqual, throws } from "node:assert";
+import { RateLimitResult, TokenBucketPolicy } from "../../src/model/rate-limit.js";
+
+describe("Rate limit models", () => {
+	describe(TokenBucketPolicy.name, () => {
+		test("rejects invalid parameters", async (t) => {
+			for (const [capacity, refillPerSecond] of [
+				[undefined, 1],
+				[0, 1],
+				[1.5, 1],
+				[10, undefined],
+				[10, 0],
+				[10, -1],
+				[10, Infinity],
+				[10, "1"],
+			]) {
+				await t.test(`capacity ${capacity} refillPerSecond ${refillPerSecond} expecting to throw TypeError`, () => {
+					throws(() => new TokenBucketPolicy(capacity, refillPerSecond), TypeError);
+				});
+			}
+		});
+
+		test(`${TokenBucketPolicy.perMinute.name} allows a burst of a minute's requests`, () => {
+			const policy = TokenBucketPolicy.perMinute(120);
+
+			strictEqual(policy.capacity, 120);
+			strictEqual(policy.refillPerSecond, 2);
+			strictEqual(policy.windowSeconds, 60);
+		});
+
+		test("windowSeconds rounds up to whole seconds", () => {
+			strictEqual(new TokenBucketPolicy(10, 3).windowSeconds, 4);
+		});
+	});
+
+	describe(RateLimitResult.name, () => {
+		const policy = new TokenBucketPolicy(10, 1);
+
+		test("rejects invalid parameters", async (t) => {
+			for (const [allowed, resultPolicy, remaining, resetSeconds, retryAfterSeconds] of [
+				["true", policy, 0, 0, 0],
+				[true, {}, 0, 0, 0],
+				[true, policy, -1, 0, 0],
+				[true, policy, 0, 0.5, 0],
+				[false, policy, 0, 1, undefined],
+			]) {
+				await t.test(
+					`${allowed} ${remaining} ${resetSeconds} ${retryAfterSeconds} expecting to throw TypeError`,
+					() => {
+						throws(
+							() => new RateLimitResult(allowed, resultPolicy, remaining, resetSeconds, retryAfterSeconds),
+							TypeError,
+						);
+					},
+				);
+			}
+		});
+	});
+});
@@ -0,0 +1,64 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { TagFilter, TagUsage, normalizeTagName, normalizeTagNames } from "../../src/model/tag.js";
+
+describe(`${normalizeTagName.name}`, () => {
+	test("normalizes valid tag names", async (t) => {
+		for (const [name, expectedName] of [
+			["work", "work"],
+			[" Work ", "work"],
+			["#Work", "work"],
+			["# meeting notes", "meeting notes"],
+		]) {
+			await t.test(`"${name}" expecting "${expectedName}"`, () => {
+				strictEqual(normalizeTagName(name), expectedName);
+			});
+		}
+	});
+
+	test("rejects invalid tag names", async (t) => {
+		for (const name of [undefined, null, 0, {}, []]) {
+			await t.test(`${typeof name} "${name}" expecting to throw ${TypeError.name}`, () => {
+				throws(
+					() => normalizeTagName(name),
+					new TypeError(`tag name must be a string, was type ${typeof name} with value ${name}`),
+				);
+			});
+		}
+
+		for (const name of ["", " ", "#", "x".repeat(65)]) {
+			await t.test(`"${name}" expecting to throw ${RangeError.name}`, () => {
+				throws(() => normalizeTagName(name), RangeError);
+			});
+		}
+	});
+});
+
+describe(`${normalizeTagNames.name}`, () => {
+	test("removes duplicates and sorts", () => {
+		deepStrictEqual(normalizeTagNames(["work", "#Meeting", "WORK"]), ["meeting", "work"]);
+	});
+});
+
+describe(`${TagFilter.name}`, () => {
+	test("defaults to matching any tag", () => {
+		const tagFilter = new TagFilter(["b", "a"]);
+
+		deepStrictEqual(tagFilter.tags, ["a", "b"]);
+		strictEqual(tagFilter.match, TagFilter.ANY);
+	});
+
+	test("rejects empty tags and invalid match", () => {
+		throws(() => new TagFilter([]), RangeError);
+		throws(() => new TagFilter(["a"], "some"), RangeError);
+	});
+});
+
+describe(`${TagUsage.name}`, () => {
+	test("serializes name and note count", () => {
+		const tagUsage = new TagUsage("work", 2);
+
+		deepStrictEqual(tagUsage.toJSON(), { name: "work", noteCount: 2 });
+		strictEqual(tagUsage.toString(), `${TagUsage.name} {"name":"work","noteCount":2}`);
+	});
+});
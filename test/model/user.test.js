@@ -0,0 +1,58 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { MAX_USER_NAME_LENGTH, User, normalizeUserName } from "../../src/model/user.js";
+import UuidV4 from "../../src/model/uuidv4.js";
+
+describe(`${normalizeUserName.name}`, () => {
+	test("trims valid user names", () => {
+		strictEqual(normalizeUserName(" alice "), "alice");
+		strictEqual(normalizeUserName("x".repeat(MAX_USER_NAME_LENGTH)), "x".repeat(MAX_USER_NAME_LENGTH));
+	});
+
+	test("rejects invalid user names", async (t) => {
+		for (const name of [undefined, null, 0, {}]) {
+			await t.test(`${typeof name} "${name}" expecting to throw ${TypeError.name}`, () => {
+				throws(
+					() => normalizeUserName(name),
+					new TypeError(`user name must be a string, was type ${typeof name} with value ${name}`),
+				);
+			});
+		}
+
+		for (const name of ["", " ", "x".repeat(MAX_USER_NAME_LENGTH + 1)]) {
+			await t.test(`"${name}" expecting to throw ${RangeError.name}`, () => {
+				throws(() => normalizeUserName(name), RangeError);
+			});
+		}
+	});
+});
+
+describe(`${User.name}`, () => {
+	const id = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+	const creationDateTime = new Date(Date.UTC(2024, 0, 1));
+
+	test("rejects invalid id and creationDateTime parameters", async (t) => {
+		const validId = id;
+		const validCreationDateTime = creationDateTime;
+
+		for (const [id, creationDateTime, expectedError] of [
+			[validId.value, validCreationDateTime, TypeError],
+			[validId, validCreationDateTime.getTime(), TypeError],
+		]) {
+			await t.test(`id ${id} creationDateTime ${creationDateTime} expecting to throw ${expectedError.name}`, () => {
+				throws(() => new User(id, "alice", creationDateTime), expectedError);
+			});
+		}
+	});
+
+	test("normalizes the name and serializes to JSON", () => {
+		const user = new User(id, " alice ", creationDateTime);
+
+		strictEqual(user.name, "alice");
+		deepStrictEqual(JSON.parse(JSON.stringify(user)), {
+			id: id.value,
+			name: "alice",
+			creationDateTime: creationDateTime.toISOString(),
+		});
+	});
+});
@@ -0,0 +1,146 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import { deepStrictEqual, ok, strictEqual, throws } from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import Database from "better-sqlite3";
+import SqliteConnectionFactory from "../../src/dao/sqlite-connection-factory.js";
+import MigrationRunner from "../../src/dao/migration-runner.js";
+import HealthService from "../../src/service/health-service.js";
+
+describe(`${HealthService.name}`, () => {
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	let databaseConnection;
+
+	beforeEach(() => {
+		databaseConnection = SqliteConnectionFactory.createConnection(":memory:");
+	});
+
+	afterEach(() => {
+		if (databaseConnection.open) {
+			databaseConnection.close();
+		}
+	});
+
+	/**
+	 * @param {object} [options]
+	 * @return {HealthService} a HealthService checking the database connection
+	 */
+	function createHealthService(options) {
+		return new HealthService(databaseConnection, new MigrationRunner(databaseConnection), options);
+	}
+
+	describe("constructor", () => {
+		test("rejects invalid databaseConnection parameter value", () => {
+			for (const invalidDatabaseConnection of [undefined, null, {}, "a"]) {
+				throws(
+					() => new HealthService(invalidDatabaseConnection, new MigrationRunner(databaseConnection)),
+					new TypeError(
+						`databaseConnection must be an instance of ${Database.name}, was type ${typeof invalidDatabaseConnection} with value ${invalidDatabaseConnection}`,
+					),
+				);
+			}
+		});
+
+		test("rejects invalid migrationRunner parameter value", () => {
+			for (const migrationRunner of [undefined, null, {}, "a"]) {
+				throws(
+					() => new HealthService(databaseConnection, migrationRunner),
+					new TypeError(
+						`migrationRunner must be an instance of ${MigrationRunner.name}, was type ${typeof migrationRunner} with value ${migrationRunner}`,
+					),
+				);
+			}
+		});
+
+		test("rejects invalid maxWalBytes option value", () => {
+			for (const maxWalBytes of [null, "1", 0, -1, 1.5, Infinity]) {
+				throws(() => createHealthService({ maxWalBytes: maxWalBytes }), RangeError);
+			}
+		});
+	});
+
+	describe(`${HealthService.prototype.checkReadiness.name} method`, () => {
+		test("passes every check for a migrated database", () => {
+			const readiness = createHealthService().checkReadiness();
+
+			strictEqual(readiness.status, HealthService.PASS);
+			deepStrictEqual(Object.keys(readiness.checks), ["shutdown", "database", "wal", "migrations"]);
+
+			for (const check of Object.values(readiness.checks)) {
+				strictEqual(check.status, HealthService.PASS);
+				ok(check.durationMs >= 0);
+			}
+
+			strictEqual(readiness.checks.shutdown.draining, false);
+			strictEqual(readiness.checks.wal.sizeBytes, 0);
+			strictEqual(readiness.checks.wal.maxSizeBytes, HealthService.DEFAULT_MAX_WAL_BYTES);
+			ok(readiness.checks.migrations.applied > 0);
+			deepStrictEqual(readiness.checks.migrations.pending, []);
+		});
+
+		test("fails while draining", () => {
+			const healthService = createHealthService();
+
+			healthService.startDraining();
+
+			const readiness = healthService.checkReadiness();
+
+			strictEqual(healthService.draining, true);
+			strictEqual(readiness.status, HealthService.FAIL);
+			strictEqual(readiness.checks.shutdown.status, HealthService.FAIL);
+			strictEqual(readiness.checks.shutdown.draining, true);
+			strictEqual(readiness.checks.database.status, HealthService.PASS);
+		});
+
+		test("fails while migrations are pending", () => {
+			databaseConnection.close();
+			databaseConnection = SqliteConnectionFactory.createConnection(":memory:", { migrate: false });
+
+			const readiness = createHealthService().checkReadiness();
+
+			strictEqual(readiness.status, HealthService.FAIL);
+			strictEqual(readiness.checks.migrations.status, HealthService.FAIL);
+			strictEqual(readiness.checks.migrations.applied, 0);
+			strictEqual(readiness.checks.migrations.pending[0], "000_db_schema_create");
+		});
+
+		test("fails with the error when the database cannot be queried", () => {
+			const healthService = createHealthService();
+
+			databaseConnection.close();
+
+			const readiness = healthService.checkReadiness();
+
+			strictEqual(readiness.status, HealthService.FAIL);
+			strictEqual(readiness.checks.database.status, HealthService.FAIL);
+			strictEqual(readiness.checks.database.error, "The database connection is not open");
+		});
+
+		test("fails while the write-ahead log is larger than the maximum", () => {
+			const directory = fs.mkdtempSync(path.join(os.tmpdir(), "health-"));
+
+			try {
+				databaseConnection.close();
+				databaseConnection = SqliteConnectionFactory.createConnection(path.join(directory, "notes.db"));
+				databaseConnection.exec("CREATE TABLE Filler (value TEXT)");
+
+				const readiness = createHealthService({ maxWalBytes: 1024 }).checkReadiness();
+
+				strictEqual(readiness.status, HealthService.FAIL);
+				strictEqual(readiness.checks.wal.status, HealthService.FAIL);
+				ok(readiness.checks.wal.sizeBytes > 1024, `${readiness.checks.wal.sizeBytes}`);
+				strictEqual(readiness.checks.wal.maxSizeBytes, 1024);
+
+				databaseConnection.pragma("wal_checkpoint(TRUNCATE)");
+
+				strictEqual(createHealthService({ maxWalBytes: 1024 }).checkReadiness().checks.wal.status, HealthService.PASS);
+			} finally {
+				databaseConnection.close();
+				fs.rmSync(directory, { recursive: true, force: true });
+			}
+		});
+	});
+});
@@ -0,0 +1,126 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { strToU8, zipSync } from "fflate";
+import { MAX_MARKDOWN_ARCHIVE_BYTES, convertEnex, convertMarkdownArchive } from "../../src/service/note-converters.js";
+import { ConvertedNote, NoteForImport } from "../../src/model/note-import.js";
+
+/**
+ * @param {string} notes the note elements of the export
+ * @return {string} an Evernote export of the notes
+ */
+function enex(notes) {
+	return (
+		'<?xml version="1.0" encoding="UTF-8"?>' +
+		'<!DOCTYPE en-export SYSTEM "http://xml.evernote.com/pub/evernote-export3.dtd">' +
+		`<en-export export-date="20240322T022300Z" application="Evernote" version="10">${notes}</en-export>`
+	);
+}
+
+describe("Note converters", () => {
+	test(`${convertEnex.name} maps the title, date times and tags of each note`, () => {
+		const [convertedNote] = convertEnex(
+			enex(
+				"<note><title>Groceries</title>" +
+					'<content><![CDATA[<en-note><div><en-todo checked="true"/>Milk</div></en-note>]]></content>' +
+					"<created>20240101T120000Z</created><updated>20240102T120000Z</updated>" +
+					"<tag>Home</tag><tag>#Errands</tag></note>",
+			),
+		);
+
+		strictEqual(convertedNote.source, "Groceries");
+		deepStrictEqual(convertedNote.warnings, []);
+		strictEqual(convertedNote.note.content, "# Groceries\n\n- [x] Milk");
+		deepStrictEqual(convertedNote.note.tags, ["errands", "home"]);
+		deepStrictEqual(convertedNote.note.creationDateTime, new Date("2024-01-01T12:00:00Z"));
+		deepStrictEqual(convertedNote.note.lastUpdatedDateTime, new Date("2024-01-02T12:00:00Z"));
+	});
+
+	test(`${convertEnex.name} reports what could not be converted as warnings`, () => {
+		const [untitled, noted] = convertEnex(
+			enex(
+				"<note><content><![CDATA[<en-note/>]]></content></note>" +
+					"<note><title>Scan</title>" +
+					'<content><![CDATA[<en-note><en-media type="application/pdf" hash="1"/></en-note>]]></content>' +
+					`<created>not a date</created><updated>20240102T120000Z</updated><tag>${"a".repeat(65)}</tag></note>`,
+			),
+		);
+
+		strictEqual(untitled.source, "Untitled note 1");
+		deepStrictEqual(untitled.warnings, []);
+		strictEqual(untitled.note.creationDateTime, null);
+
+		strictEqual(noted.warnings.length, 3);
+		deepStrictEqual(noted.note.tags, []);
+		// A note with only one date time valid was created and last updated at the same time
+		deepStrictEqual(noted.note.creationDateTime, new Date("2024-01-02T12:00:00Z"));
+	});
+
+	test(`${convertEnex.name} rejects documents which are not an Evernote export`, () => {
+		throws(() => convertEnex("<html/>"), RangeError);
+	});
+
+	test(`${convertMarkdownArchive.name} maps the front matter of each Markdown file`, () => {
+		const archive = zipSync({
+			"notes/": {},
+			"notes/plan.md": strToU8(
+				"---\ntitle: The plan\ncreated: 2024-01-01\nupdated: '2024-01-02T12:00:00Z'\ntags: [work, Ideas]\n---\nSteps",
+			),
+			"notes/diary.markdown": strToU8("---\ntags: personal, diary\n---\n# Dear diary\ntoday"),
+			"notes/untitled.md": strToU8("no front matter"),
+		});
+
+		deepStrictEqual(
+			convertMarkdownArchive(archive).map((convertedNote) => convertedNote.toJSON()),
+			[
+				new ConvertedNote(
+					"notes/plan.md",
+					new NoteForImport(
+						"# The plan\n\nSteps",
+						["work", "ideas"],
+						new Date("2024-01-01T00:00:00Z"),
+						new Date("2024-01-02T12:00:00Z"),
+					),
+				),
+				new ConvertedNote("notes/diary.markdown", new NoteForImport("# Dear diary\ntoday", ["diary", "personal"])),
+				new ConvertedNote("notes/untitled.md", new NoteForImport("# untitled\n\nno front matter")),
+			].map((convertedNote) => convertedNote.toJSON()),
+		);
+	});
+
+	test(`${convertMarkdownArchive.name} reports the files which could not be converted`, () => {
+		const archive = zipSync({
+			"photo.png": new Uint8Array([137, 80, 78, 71]),
+			"latin1.md": new Uint8Array([0x63, 0x61, 0x66, 0xe9]),
+			"broken.md": strToU8("---\ntags: [a\n---\ntext"),
+			"dated.md": strToU8("---\ncreated: someday\ntags: 3\n---\ntext"),
+			".hidden.md": strToU8("hidden"),
+			"__MACOSX/._dated.md": new Uint8Array([0]),
+		});
+
+		const [photo, latin1, broken, dated, ...others] = convertMarkdownArchive(archive);
+
+		deepStrictEqual(others, []);
+		strictEqual(photo.source, "photo.png");
+		strictEqual(photo.note, null);
+		strictEqual(photo.warnings.length, 1);
+		strictEqual(latin1.note, null);
+		strictEqual(latin1.warnings.length, 1);
+		strictEqual(broken.note.content, "# broken\n\n---\ntags: [a\n---\ntext");
+		strictEqual(broken.warnings.length, 1);
+		strictEqual(dated.note.creationDateTime, null);
+		strictEqual(dated.warnings.length, 2);
+	});
+
+	test(`${convertMarkdownArchive.name} rejects archives which are not zip archives or are too large`, () => {
+		throws(() => convertMarkdownArchive(strToU8("not a zip archive")), RangeError);
+		throws(() => convertMarkdownArchive("not bytes"), TypeError);
+
+		// Stored rather than compressed, with the size of the file in the archive overstated
+		const archive = zipSync({ "a.md": strToU8("a") }, { level: 0 });
+		const view = new DataView(archive.buffer);
+		const centralDirectoryOffset = view.getUint32(archive.length - 6, true);
+		view.setUint32(centralDirectoryOffset + 24, MAX_MARKDOWN_ARCHIVE_BYTES + 1, true);
+
+		throws(() => convertMarkdownArchive(archive), /must decompress to at most/);
+	});
+});
@@ -1,11 +1,20 @@
 import { beforeEach, describe, test } from "node:test";
-import { throws } from "node:assert";
+import { rejects, throws } from "node:assert";
 import BetterSqlite3 from "better-sqlite3";
 import Database from "better-sqlite3";
 import NoteService from "../../src/service/note-service.js";
 import NoteDao from "../../src/dao/note-dao.js";
-import { NoteForCreate, NoteForUpdate } from "../../src/model/note.js";
+import TagDao from "../../src/dao/tag-dao.js";
+import NoteRevisionDao from "../../src/dao/note-revision-dao.js";
+import NoteShareDao from "../../src/dao/note-share-dao.js";
+import NotePublicLinkDao from "../../src/dao/note-public-link-dao.js";
+import { Note, NoteForCreate, NoteForUpdate, NoteListCursor } from "../../src/model/note.js";
+import { NoteListFilter, NoteListSort } from "../../src/model/note-list-query.js";
 import UuidV4 from "../../src/model/uuidv4.js";
+import { JsonPatch, MergePatch } from "../../src/util/json-patch.js";
+import { NoteBatchOperation } from "../../src/model/note-batch.js";
+import { ConvertedNote, NoteForImport, NoteImportConflictPolicy } from "../../src/model/note-import.js";
+import { NoteShare } from "../../src/model/note-share.js";
 
 describe(`${NoteService.name}`, () => {
 	/**
@@ -16,6 +25,27 @@ describe(`${NoteService.name}`, () => {
 	 * @type {NoteDao}
 	 */
 	const noteDaoStub = Object.create(NoteDao.prototype);
+	/**
+	 * @type {TagDao}
+	 */
+	const tagDaoStub = Object.create(TagDao.prototype);
+	/**
+	 * @type {NoteRevisionDao}
+	 */
+	const noteRevisionDaoStub = Object.create(NoteRevisionDao.prototype);
+	/**
+	 * @type {NoteShareDao}
+	 */
+	const noteShareDaoStub = Object.create(NoteShareDao.prototype);
+	/**
+	 * @type {NotePublicLinkDao}
+	 */
+	const notePublicLinkDaoStub = Object.create(NotePublicLinkDao.prototype);
+
+	/**
+	 * The id of the calling user
+	 */
+	const userId = new UuidV4("3f6a0ec4-55d4-4c3e-8e8c-1e6d2c1b9a57");
 
 	/**
 	 * @type {NoteService}
@@ -23,7 +53,14 @@ describe(`${NoteService.name}`, () => {
 	let noteService;
 
 	beforeEach(() => {
-		noteService = new NoteService(databaseConnectionStub, noteDaoStub);
+		noteService = new NoteService(
+			databaseConnectionStub,
+			noteDaoStub,
+			tagDaoStub,
+			noteRevisionDaoStub,
+			noteShareDaoStub,
+			notePublicLinkDaoStub,
+		);
 	});
 
 	describe("constructor", () => {
@@ -34,7 +71,14 @@ describe(`${NoteService.name}`, () => {
 					() => {
 						throws(
 							() => {
-								new NoteService(databaseConnectionStub, noteDao);
+								new NoteService(
+									databaseConnectionStub,
+									noteDao,
+									tagDaoStub,
+									noteRevisionDaoStub,
+									noteShareDaoStub,
+									notePublicLinkDaoStub,
+								);
 							},
 							new TypeError(
 								`noteDao must be an instance of ${NoteDao.name}, was type ${typeof noteDao} with value ${noteDao}`,
@@ -45,6 +89,106 @@ describe(`${NoteService.name}`, () => {
 			}
 		});
 
+		test("rejects invalid tagDao parameter value", async (t) => {
+			for (const tagDao of [undefined, null, {}, [], new Set(), "", " ", "a"]) {
+				await t.test(
+					`${typeof tagDao} "${tagDao}" expecting to throw ${TypeError.name} with descriptive validation message`,
+					() => {
+						throws(
+							() => {
+								new NoteService(
+									databaseConnectionStub,
+									noteDaoStub,
+									tagDao,
+									noteRevisionDaoStub,
+									noteShareDaoStub,
+									notePublicLinkDaoStub,
+								);
+							},
+							new TypeError(
+								`tagDao must be an instance of ${TagDao.name}, was type ${typeof tagDao} with value ${tagDao}`,
+							),
+						);
+					},
+				);
+			}
+		});
+
+		test("rejects invalid noteRevisionDao parameter value", async (t) => {
+			for (const noteRevisionDao of [undefined, null, {}, [], new Set(), "", " ", "a"]) {
+				await t.test(
+					`${typeof noteRevisionDao} "${noteRevisionDao}" expecting to throw ${TypeError.name} with descriptive validation message`,
+					() => {
+						throws(
+							() => {
+								new NoteService(
+									databaseConnectionStub,
+									noteDaoStub,
+									tagDaoStub,
+									noteRevisionDao,
+									noteShareDaoStub,
+									notePublicLinkDaoStub,
+								);
+							},
+							new TypeError(
+								`noteRevisionDao must be an instance of ${NoteRevisionDao.name}, was type ${typeof noteRevisionDao} with value ${noteRevisionDao}`,
+							),
+						);
+					},
+				);
+			}
+		});
+
+		test("rejects invalid noteShareDao parameter value", async (t) => {
+			for (const noteShareDao of [undefined, null, {}, [], new Set(), "", " ", "a"]) {
+				await t.test(
+					`${typeof noteShareDao} "${noteShareDao}" expecting to throw ${TypeError.name} with descriptive validation message`,
+					() => {
+						throws(
+							() => {
+								new NoteService(
+									databaseConnectionStub,
+									noteDaoStub,
+									tagDaoStub,
+									noteRevisionDaoStub,
+									noteShareDao,
+									notePublicLinkDaoStub,
+								);
+							},
+							new TypeError(
+								`noteShareDao must be an instance of ${NoteShareDao.name}, was type ${typeof noteShareDao} with value ${noteShareDao}`,
+							),
+						);
+					},
+				);
+			}
+		});
+
+		test("rejects invalid notePublicLinkDao parameter value", async (t) => {
+			for (const notePublicLinkDao of [undefined, null, {}, [], new Set(), "", " ", "a"]) {
+				await t.test(
+					`${typeof notePublicLinkDao} "${notePublicLinkDao}" expecting to throw ${TypeError.name} with descriptive validation message`,
+					() => {
+						throws(
+							() => {
+								new NoteService(
+									databaseConnectionStub,
+									noteDaoStub,
+									tagDaoStub,
+									noteRevisionDaoStub,
+									noteShareDaoStub,
+									notePublicLinkDao,
+								);
+							},
+							new TypeError(
+								`notePublicLinkDao must be an instance of ${NotePublicLinkDao.name}, was type ${typeof notePublicLinkDao} with value ${notePublicLinkDao}`,
+							),
+						);
+					},
+				);
+			}
+		});
+
 		test("rejects invalid databaseConnection parameter value", async (t) => {
 			for (const databaseConnection of [undefined, null, {}, [], new Set(), "", " ", "a"]) {
 				await t.test(
@@ -52,7 +196,14 @@ describe(`${NoteService.name}`, () => {
 					() => {
 						throws(
 							() => {
-								new NoteService(databaseConnection, noteDaoStub);
+								new NoteService(
+									databaseConnection,
+									noteDaoStub,
+									tagDaoStub,
+									noteRevisionDaoStub,
+									noteShareDaoStub,
+									notePublicLinkDaoStub,
+								);
 							},
 							new TypeError(
 								`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
@@ -64,6 +215,53 @@ describe(`${NoteService.name}`, () => {
 		});
 	});
 
+	test("methods reject invalid userId parameter value", async (t) => {
+		const id = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+
+		for (const [method, args] of [
+			[NoteService.prototype.create, [new NoteForCreate("content")]],
+			[NoteService.prototype.findById, [id]],
+			[NoteService.prototype.findByIds, [[id]]],
+			[NoteService.prototype.list, []],
+			[NoteService.prototype.search, ["content"]],
+			[NoteService.prototype.findAll, []],
+			[NoteService.prototype.exportNotes, []],
+			[NoteService.prototype.update, [new NoteForUpdate(id, "content")]],
+			[NoteService.prototype.patch, [id, new MergePatch({ content: "content" })]],
+			[NoteService.prototype.deleteById, [id]],
+			[NoteService.prototype.batch, [[]]],
+			[NoteService.prototype.importNotes, [[]]],
+			[NoteService.prototype.importConvertedNotes, [[]]],
+			[NoteService.prototype.listTrash, []],
+			[NoteService.prototype.restoreById, [id]],
+			[NoteService.prototype.listRevisions, [id]],
+			[NoteService.prototype.findRevision, [id, 1]],
+			[NoteService.prototype.diffRevisions, [id, 1, 2]],
+			[NoteService.prototype.revertToRevision, [id, 1]],
+			[NoteService.prototype.listTags, []],
+			[NoteService.prototype.renameTag, ["a", "b"]],
+			[NoteService.prototype.mergeTags, [["a"], "b"]],
+			[NoteService.prototype.listShares, [id]],
+			[NoteService.prototype.shareNote, [id, id, NoteShare.READ]],
+			[NoteService.prototype.unshareNote, [id, id]],
+			[NoteService.prototype.listPublicLinks, [id]],
+			[NoteService.prototype.revokePublicLink, [id, id]],
+		]) {
+			for (const userId of [undefined, null, id.value]) {
+				await t.test(`${method.name} with ${typeof userId} "${userId}" expecting to throw ${TypeError.name}`, () => {
+					throws(
+						() => {
+							method.call(noteService, userId, ...args);
+						},
+						new TypeError(
+							`userId must be an instance of ${UuidV4.name}, was type ${typeof userId} with value ${userId}`,
+						),
+					);
+				});
+			}
+		}
+	});
+
 	test(`${NoteService.prototype.create.name} method rejects invalid note parameter value`, async (t) => {
 		for (const note of [undefined, null, {}, [], new Set(), "", " ", "a"]) {
 			await t.test(
@@ -71,7 +269,7 @@ describe(`${NoteService.name}`, () => {
 				() => {
 					throws(
 						() => {
-							noteService.create(note);
+							noteService.create(userId, note);
 						},
 						new TypeError(
 							`note must be an instance of ${NoteForCreate.name}, was type ${typeof note} with value ${note}`,
@@ -89,7 +287,7 @@ describe(`${NoteService.name}`, () => {
 				() => {
 					throws(
 						() => {
-							noteService.findById(id);
+							noteService.findById(userId, id);
 						},
 						new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`),
 					);
@@ -105,7 +303,7 @@ describe(`${NoteService.name}`, () => {
 				() => {
 					throws(
 						() => {
-							noteService.update(note);
+							noteService.update(userId, note);
 						},
 						new TypeError(
 							`note must be an instance of ${NoteForUpdate.name}, was type ${typeof note} with value ${note}`,
@@ -123,7 +321,7 @@ describe(`${NoteService.name}`, () => {
 				() => {
 					throws(
 						() => {
-							noteService.deleteById(id);
+							noteService.deleteById(userId, id);
 						},
 						new TypeError(`id must be an instance of ${UuidV4.name}, was type ${typeof id} with value ${id}`),
 					);
@@ -131,4 +329,260 @@ describe(`${NoteService.name}`, () => {
 			);
 		}
 	});
+
+	test(`${NoteService.prototype.search.name} method rejects invalid query parameter value`, async (t) => {
+		for (const query of [undefined, null, {}, [], new Set(), 0]) {
+			await t.test(
+				`${typeof query} "${query}" expecting to throw ${TypeError.name} with descriptive validation message`,
+				() => {
+					throws(
+						() => {
+							noteService.search(userId, query);
+						},
+						new TypeError(`query must be a string, was type ${typeof query} with value ${query}`),
+					);
+				},
+			);
+		}
+
+		for (const query of ["", " "]) {
+			await t.test(`blank string "${query}" expecting to throw ${RangeError.name}`, () => {
+				throws(
+					() => {
+						noteService.search(userId, query);
+					},
+					new RangeError(`query must not be blank, was "${query}"`),
+				);
+			});
+		}
+	});
+
+	test(`${NoteService.prototype.renameTag.name} method rejects invalid tag names`, async (t) => {
+		for (const [name, newName] of [
+			[undefined, "a"],
+			["a", null],
+			["", "a"],
+			["a", " # "],
+			["a", "x".repeat(65)],
+		]) {
+			await t.test(`name "${name}" newName "${newName}" expecting to throw`, () => {
+				throws(() => {
+					noteService.renameTag(userId, name, newName);
+				}, /tag name must be/);
+			});
+		}
+	});
+
+	test(`${NoteService.prototype.update.name} method rejects invalid expectedVersions parameter value`, async (t) => {
+		const note = new NoteForUpdate(new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836"), "content");
+
+		for (const expectedVersions of [null, 1, "1", ["1"], [1.5]]) {
+			await t.test(`${typeof expectedVersions} "${expectedVersions}" expecting to throw ${TypeError.name}`, () => {
+				throws(
+					() => {
+						noteService.update(userId, note, expectedVersions);
+					},
+					new TypeError(
+						`if provided, expectedVersions must be an array of integers, was type ${typeof expectedVersions} with value ${expectedVersions}`,
+					),
+				);
+			});
+		}
+	});
+
+	test(`${NoteService.prototype.patch.name} method rejects invalid patch parameter value`, async (t) => {
+		const id = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+
+		for (const patch of [undefined, null, {}, [], "", { content: "content" }]) {
+			await t.test(
+				`${typeof patch} "${patch}" expecting to throw ${TypeError.name} with descriptive validation message`,
+				() => {
+					throws(
+						() => {
+							noteService.patch(userId, id, patch);
+						},
+						new TypeError(
+							`patch must be an instance of ${MergePatch.name} or ${JsonPatch.name}, was type ${typeof patch} with value ${patch}`,
+						),
+					);
+				},
+			);
+		}
+	});
+
+	test(`${NoteService.prototype.deleteById.name} method rejects invalid permanent parameter value`, async (t) => {
+		const id = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+
+		for (const permanent of [null, 0, "true", {}]) {
+			await t.test(`${typeof permanent} "${permanent}" expecting to throw ${TypeError.name}`, () => {
+				throws(
+					() => {
+						noteService.deleteById(userId, id, undefined, permanent);
+					},
+					new TypeError(`permanent must be a boolean, was type ${typeof permanent} with value ${permanent}`),
+				);
+			});
+		}
+	});
+
+	test(`${NoteService.prototype.purgeTrash.name} method rejects invalid retentionPeriodMs parameter value`, async (t) => {
+		for (const retentionPeriodMs of [undefined, null, 1.5, "1"]) {
+			await t.test(`${typeof retentionPeriodMs} "${retentionPeriodMs}" expecting to throw ${TypeError.name}`, () => {
+				throws(
+					() => {
+						noteService.purgeTrash(retentionPeriodMs);
+					},
+					new TypeError(
+						`retentionPeriodMs must be an integer, was type ${typeof retentionPeriodMs} with value ${retentionPeriodMs}`,
+					),
+				);
+			});
+		}
+
+		await t.test(`number "-1" expecting to throw ${RangeError.name}`, () => {
+			throws(() => {
+				noteService.purgeTrash(-1);
+			}, new RangeError("retentionPeriodMs must be >= 0, was -1"));
+		});
+	});
+
+	test(`${NoteService.prototype.findRevision.name} method rejects invalid revision parameter value`, async (t) => {
+		const id = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+
+		for (const revision of [undefined, null, 0, -1, 1.5, "1"]) {
+			await t.test(`${typeof revision} "${revision}" expecting to throw ${TypeError.name}`, () => {
+				throws(
+					() => {
+						noteService.findRevision(userId, id, revision);
+					},
+					new TypeError(`revision must be an integer >= 1, was type ${typeof revision} with value ${revision}`),
+				);
+			});
+		}
+	});
+
+	test(`${NoteService.prototype.batch.name} method rejects invalid parameter values`, async (t) => {
+		const operation = NoteBatchOperation.create(new NoteForCreate("content"));
+
+		for (const [operations, atomic, expectedError] of [
+			[undefined, true, TypeError],
+			[[{ op: "create", content: "content" }], true, TypeError],
+			[[operation], "true", TypeError],
+			[new Array(NoteService.MAX_BATCH_SIZE + 1).fill(operation), true, RangeError],
+		]) {
+			await t.test(`operations ${operations} atomic ${atomic} expecting to throw ${expectedError.name}`, () => {
+				throws(() => {
+					noteService.batch(userId, operations, atomic);
+				}, expectedError);
+			});
+		}
+	});
+
+	test(`${NoteService.prototype.importNotes.name} method rejects invalid parameter values`, async (t) => {
+		const note = new Note(new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836"), "content", new Date(0), new Date(0));
+
+		for (const [notes, conflictPolicy, expectedError] of [
+			[undefined, NoteImportConflictPolicy.SKIP, TypeError],
+			[[new NoteForCreate("content")], NoteImportConflictPolicy.SKIP, TypeError],
+			[[note], "replace", RangeError],
+			[new Array(NoteService.MAX_BATCH_SIZE + 1).fill(note), NoteImportConflictPolicy.FAIL, RangeError],
+		]) {
+			await t.test(`notes ${notes} conflictPolicy ${conflictPolicy} expecting to throw ${expectedError.name}`, () => {
+				throws(() => {
+					noteService.importNotes(userId, notes, conflictPolicy);
+				}, expectedError);
+			});
+		}
+	});
+
+	test(`${NoteService.prototype.importConvertedNotes.name} method rejects invalid convertedNotes parameter value`, async (t) => {
+		const convertedNote = new ConvertedNote("note.md", new NoteForImport("content"));
+
+		for (const [convertedNotes, expectedError] of [
+			[undefined, TypeError],
+			[[new NoteForImport("content")], TypeError],
+			[new Array(NoteService.MAX_CONVERTED_NOTES + 1).fill(convertedNote), RangeError],
+		]) {
+			await t.test(`convertedNotes ${convertedNotes} expecting to throw ${expectedError.name}`, () => {
+				throws(() => {
+					noteService.importConvertedNotes(userId, convertedNotes);
+				}, expectedError);
+			});
+		}
+	});
+
+	test(`${NoteService.prototype.exportNotes.name} method rejects invalid afterId parameter value`, () => {
+		throws(() => noteService.exportNotes(userId, "109156be-c4fb-41ea-b1b4-efe1671c5836"), TypeError);
+	});
+
+	test(`${NoteService.prototype.list.name} method rejects invalid parameter values`, async (t) => {
+		const id = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+		const cursor = new NoteListCursor(NoteListCursor.AFTER, new NoteListSort(), 0, id);
+
+		for (const [cursorValue, filter, sort, expectedError] of [
+			[id, undefined, undefined, TypeError],
+			[undefined, null, undefined, TypeError],
+			[undefined, undefined, "contentLength", TypeError],
+			[cursor, undefined, new NoteListSort(NoteListSort.CONTENT_LENGTH), RangeError],
+			[cursor, new NoteListFilter(), new NoteListSort(NoteListSort.CREATION_DATE_TIME, NoteListSort.ASC), RangeError],
+			[undefined, undefined, new NoteListSort(NoteListSort.RELEVANCE), RangeError],
+		]) {
+			await t.test(
+				`cursor ${cursorValue} filter ${filter} sort ${sort} expecting to throw ${expectedError.name}`,
+				() => {
+					throws(() => {
+						noteService.list(userId, undefined, cursorValue, filter, sort);
+					}, expectedError);
+				},
+			);
+		}
+	});
+
+	test(`${NoteService.prototype.search.name} and ${NoteService.prototype.listTrash.name} methods reject cursors of other lists`, () => {
+		const id = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+		const listCursor = new NoteListCursor(NoteListCursor.AFTER, new NoteListSort(), 0, id);
+
+		throws(() => noteService.search(userId, "content", undefined, id), TypeError);
+		throws(() => noteService.search(userId, "content", undefined, listCursor), RangeError);
+		throws(() => noteService.listTrash(userId, undefined, id), TypeError);
+		throws(() => noteService.listTrash(userId, undefined, listCursor), RangeError);
+	});
+
+	test(`${NoteService.prototype.shareNote.name} method rejects invalid parameter values`, async (t) => {
+		const id = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+
+		for (const [noteId, granteeId, permission, expectedError] of [
+			[id.value, id, NoteShare.READ, TypeError],
+			[id, undefined, NoteShare.READ, TypeError],
+			[id, id.value, NoteShare.WRITE, TypeError],
+			[id, id, undefined, RangeError],
+			[id, id, "admin", RangeError],
+		]) {
+			await t.test(`${typeof granteeId} "${granteeId}" ${permission} expecting to throw ${expectedError.name}`, () => {
+				throws(() => noteService.shareNote(userId, noteId, granteeId, permission), expectedError);
+			});
+		}
+	});
+
+	test(`${NoteService.prototype.createPublicLink.name} method rejects invalid parameter values`, async (t) => {
+		const id = new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836");
+
+		for (const [callerId, noteId, options, expectedError] of [
+			[undefined, id, {}, TypeError],
+			[userId, id.value, {}, TypeError],
+			[userId, id, { expiryDateTime: "2999-01-01T00:00:00Z" }, TypeError],
+			[userId, id, { expiryDateTime: new Date(NaN) }, TypeError],
+			[userId, id, { expiryDateTime: new Date(Date.now() - 1000) }, RangeError],
+			[userId, id, { password: 1234 }, TypeError],
+			[userId, id, { password: "" }, RangeError],
+		]) {
+			await t.test(`${noteId} ${JSON.stringify(options)} expecting to reject with ${expectedError.name}`, async () => {
+				await rejects(noteService.createPublicLink(callerId, noteId, options), expectedError);
+			});
+		}
+	});
+
+	test(`${NoteService.prototype.findByPublicLink.name} method rejects invalid parameter values`, async () => {
+		await rejects(noteService.findByPublicLink("pl_token", 1234), TypeError);
+	});
 });
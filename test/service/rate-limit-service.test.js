@@ -0,0 +1,169 @@
+import { after, beforeEach, describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import Database from "better-sqlite3";
+import SqliteConnectionFactory from "../../src/dao/sqlite-connection-factory.js";
+import RateLimitDao from "../../src/dao/rate-limit-dao.js";
+import RateLimitService from "../../src/service/rate-limit-service.js";
+import { TokenBucketPolicy } from "../../src/model/rate-limit.js";
+
+describe(`${RateLimitService.name}`, () => {
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	let databaseConnection;
+	/**
+	 * @type {RateLimitService}
+	 */
+	let rateLimitService;
+
+	const readPolicy = new TokenBucketPolicy(3, 1);
+	const writePolicy = new TokenBucketPolicy(2, 0.5);
+	const now = new Date(Date.UTC(2024, 0, 1));
+
+	/**
+	 * @param {number} seconds
+	 * @return {Date} the date and time the number of seconds after now
+	 */
+	const secondsLater = (seconds) => new Date(now.getTime() + seconds * 1000);
+
+	beforeEach(() => {
+		databaseConnection = SqliteConnectionFactory.createConnection(":memory:");
+
+		rateLimitService = new RateLimitService(databaseConnection, new RateLimitDao(databaseConnection), {
+			read: readPolicy,
+			write: writePolicy,
+		});
+	});
+
+	describe("constructor", () => {
+		test("rejects invalid rateLimitDao parameter value", async (t) => {
+			for (const rateLimitDao of [undefined, null, {}, "a"]) {
+				await t.test(`${typeof rateLimitDao} "${rateLimitDao}" expecting to throw ${TypeError.name}`, () => {
+					throws(
+						() => {
+							new RateLimitService(databaseConnection, rateLimitDao);
+						},
+						new TypeError(
+							`rateLimitDao must be an instance of ${RateLimitDao.name}, was type ${typeof rateLimitDao} with value ${rateLimitDao}`,
+						),
+					);
+				});
+			}
+		});
+
+		test("rejects invalid databaseConnection parameter value", async (t) => {
+			for (const databaseConnection of [undefined, null, {}, "a"]) {
+				await t.test(
+					`${typeof databaseConnection} "${databaseConnection}" expecting to throw ${TypeError.name}`,
+					() => {
+						throws(
+							() => {
+								new RateLimitService(databaseConnection, Object.create(RateLimitDao.prototype));
+							},
+							new TypeError(
+								`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+							),
+						);
+					},
+				);
+			}
+		});
+
+		test("rejects invalid policies", () => {
+			const rateLimitDao = new RateLimitDao(databaseConnection);
+
+			throws(() => new RateLimitService(databaseConnection, rateLimitDao, { delete: readPolicy }), RangeError);
+			throws(() => new RateLimitService(databaseConnection, rateLimitDao, { read: { capacity: 1 } }), TypeError);
+		});
+	});
+
+	test(`${RateLimitService.prototype.consume.name} method rejects invalid parameter values`, () => {
+		throws(() => rateLimitService.consume(undefined, RateLimitService.READ), TypeError);
+		throws(() => rateLimitService.consume("", RateLimitService.READ), TypeError);
+		throws(() => rateLimitService.consume("user:a", "delete"), RangeError);
+		throws(() => rateLimitService.consume("user:a", RateLimitService.READ, now.getTime()), TypeError);
+	});
+
+	test(`${RateLimitService.prototype.consume.name} method allows bursts up to the capacity`, () => {
+		const results = [1, 2, 3, 4].map(() => rateLimitService.consume("user:a", RateLimitService.READ, now));
+
+		deepStrictEqual(
+			results.map((result) => [result.allowed, result.remaining, result.resetSeconds, result.retryAfterSeconds]),
+			[
+				[true, 2, 1, 0],
+				[true, 1, 2, 0],
+				[true, 0, 3, 0],
+				[false, 0, 3, 1],
+			],
+		);
+		strictEqual(results[0].policy, readPolicy);
+	});
+
+	test(`${RateLimitService.prototype.consume.name} method refills buckets at the refill rate up to the capacity`, () => {
+		for (let i = 0; i < 3; i++) {
+			rateLimitService.consume("user:a", RateLimitService.READ, now);
+		}
+
+		const halfRefilledResult = rateLimitService.consume("user:a", RateLimitService.READ, secondsLater(0.5));
+		strictEqual(halfRefilledResult.allowed, false);
+		strictEqual(halfRefilledResult.remaining, 0);
+
+		strictEqual(rateLimitService.consume("user:a", RateLimitService.READ, secondsLater(1.5)).allowed, true);
+
+		const refilledResult = rateLimitService.consume("user:a", RateLimitService.READ, secondsLater(3600));
+		strictEqual(refilledResult.allowed, true);
+		strictEqual(refilledResult.remaining, readPolicy.capacity - 1);
+	});
+
+	test(`${RateLimitService.prototype.consume.name} method keeps separate budgets for keys and budgets`, () => {
+		for (let i = 0; i < 2; i++) {
+			rateLimitService.consume("user:a", RateLimitService.WRITE, now);
+		}
+
+		const writeResult = rateLimitService.consume("user:a", RateLimitService.WRITE, now);
+		strictEqual(writeResult.allowed, false);
+		strictEqual(writeResult.retryAfterSeconds, 2);
+		strictEqual(writeResult.policy, writePolicy);
+
+		strictEqual(rateLimitService.consume("user:a", RateLimitService.READ, now).allowed, true);
+		strictEqual(rateLimitService.consume("user:b", RateLimitService.WRITE, now).allowed, true);
+	});
+
+	test(`${RateLimitService.prototype.purgeIdleBuckets.name} method deletes only buckets which have refilled`, () => {
+		rateLimitService.consume("user:a", RateLimitService.READ, now);
+		rateLimitService.consume("user:b", RateLimitService.READ, secondsLater(2));
+		rateLimitService.consume("user:a", RateLimitService.WRITE, now);
+
+		strictEqual(rateLimitService.purgeIdleBuckets(secondsLater(3.5)), 1);
+		strictEqual(rateLimitService.purgeIdleBuckets(secondsLater(3.5)), 0);
+		strictEqual(rateLimitService.purgeIdleBuckets(secondsLater(3600)), 2);
+	});
+
+	describe("with several connections to the same database", () => {
+		const directory = fs.mkdtempSync(path.join(os.tmpdir(), "rate-limit-"));
+
+		after(() => {
+			fs.rmSync(directory, { recursive: true, force: true });
+		});
+
+		test("budgets are shared by all connections, as they are by all worker processes", () => {
+			const databaseFilename = path.join(directory, "notes.db");
+			const connections = [1, 2].map(() => SqliteConnectionFactory.createConnection(databaseFilename));
+			const [firstService, secondService] = connections.map(
+				(connection) => new RateLimitService(connection, new RateLimitDao(connection), { write: writePolicy }),
+			);
+
+			try {
+				strictEqual(firstService.consume("user:a", RateLimitService.WRITE, now).allowed, true);
+				strictEqual(secondService.consume("user:a", RateLimitService.WRITE, now).allowed, true);
+				strictEqual(firstService.consume("user:a", RateLimitService.WRITE, now).allowed, false);
+				strictEqual(secondService.consume("user:a", RateLimitService.WRITE, now).allowed, false);
+			} finally {
+				connections.forEach((connection) => connection.close());
+			}
+		});
+	});
+});
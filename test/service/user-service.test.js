@@ -0,0 +1,156 @@
+import { beforeEach, describe, test } from "node:test";
+import { deepStrictEqual, notStrictEqual, ok, strictEqual, throws } from "node:assert";
+import Database from "better-sqlite3";
+import SqliteConnectionFactory from "../../src/dao/sqlite-connection-factory.js";
+import UserDao from "../../src/dao/user-dao.js";
+import UserService from "../../src/service/user-service.js";
+import { ConflictError, EntityNotFoundError } from "../../src/service/service-error.js";
+import UuidV4 from "../../src/model/uuidv4.js";
+import { MAX_USER_NAME_LENGTH } from "../../src/model/user.js";
+import { API_KEY_PREFIX, isApiKey } from "../../src/util/api-key.js";
+
+describe(`${UserService.name}`, () => {
+	/**
+	 * @type {BetterSqlite3.Database}
+	 */
+	let databaseConnection;
+	/**
+	 * @type {UserService}
+	 */
+	let userService;
+
+	beforeEach(() => {
+		databaseConnection = SqliteConnectionFactory.createConnection(":memory:");
+
+		userService = new UserService(databaseConnection, new UserDao(databaseConnection));
+	});
+
+	describe("constructor", () => {
+		test("rejects invalid userDao parameter value", async (t) => {
+			for (const userDao of [undefined, null, {}, "a"]) {
+				await t.test(`${typeof userDao} "${userDao}" expecting to throw ${TypeError.name}`, () => {
+					throws(
+						() => {
+							new UserService(databaseConnection, userDao);
+						},
+						new TypeError(
+							`userDao must be an instance of ${UserDao.name}, was type ${typeof userDao} with value ${userDao}`,
+						),
+					);
+				});
+			}
+		});
+
+		test("rejects invalid databaseConnection parameter value", async (t) => {
+			for (const databaseConnection of [undefined, null, {}, "a"]) {
+				await t.test(
+					`${typeof databaseConnection} "${databaseConnection}" expecting to throw ${TypeError.name}`,
+					() => {
+						throws(
+							() => {
+								new UserService(databaseConnection, Object.create(UserDao.prototype));
+							},
+							new TypeError(
+								`databaseConnection must be an instance of ${Database.name}, was type ${typeof databaseConnection} with value ${databaseConnection}`,
+							),
+						);
+					},
+				);
+			}
+		});
+	});
+
+	test(`${UserService.prototype.create.name} method rejects names which are taken`, () => {
+		const user = userService.create("alice");
+
+		strictEqual(user.name, "alice");
+		deepStrictEqual(
+			userService.list().map((user) => user.name),
+			["alice"],
+		);
+		throws(() => userService.create(" alice "), ConflictError);
+	});
+
+	test("issued API keys authenticate their user until revoked", () => {
+		const alice = userService.create("alice");
+		const bob = userService.create("bob");
+
+		const firstKey = userService.issueApiKey(alice.id);
+		const secondKey = userService.issueApiKey(alice.id);
+		const bobKey = userService.issueApiKey(bob.id);
+
+		ok(firstKey.startsWith(API_KEY_PREFIX));
+		ok(isApiKey(firstKey));
+		notStrictEqual(firstKey, secondKey);
+
+		deepStrictEqual(userService.authenticate(firstKey).toJSON(), alice.toJSON());
+		deepStrictEqual(userService.authenticate(secondKey).toJSON(), alice.toJSON());
+		deepStrictEqual(userService.authenticate(bobKey).toJSON(), bob.toJSON());
+
+		strictEqual(userService.revokeApiKeys(alice.id), 2);
+
+		strictEqual(userService.authenticate(firstKey), null);
+		strictEqual(userService.authenticate(secondKey), null);
+		deepStrictEqual(userService.authenticate(bobKey).toJSON(), bob.toJSON());
+	});
+
+	test(`${UserService.prototype.authenticate.name} method does not store or accept the hash as a key`, () => {
+		const alice = userService.create("alice");
+		const apiKey = userService.issueApiKey(alice.id);
+
+		strictEqual(
+			databaseConnection.prepare(`SELECT 1 FROM ApiKey WHERE keyHash = ?`).get(Buffer.from(apiKey)),
+			undefined,
+		);
+
+		for (const value of [undefined, null, 0, "", apiKey.slice(0, -1), `${apiKey}a`, apiKey.toUpperCase()]) {
+			strictEqual(userService.authenticate(value), null, `${value}`);
+		}
+	});
+
+	test(`${UserService.prototype.issueApiKey.name} method rejects unknown users`, () => {
+		throws(() => userService.issueApiKey(new UuidV4("109156be-c4fb-41ea-b1b4-efe1671c5836")), EntityNotFoundError);
+		throws(() => userService.issueApiKey("109156be-c4fb-41ea-b1b4-efe1671c5836"), TypeError);
+	});
+
+	test(`${UserService.prototype.findOrCreateByIdentity.name} method creates a user on first sight`, () => {
+		const issuer = "https://idp.example.com/";
+		const user = userService.findOrCreateByIdentity(issuer, "subject-1", " alice ");
+
+		strictEqual(user.name, "alice");
+		deepStrictEqual(userService.findOrCreateByIdentity(issuer, "subject-1", "renamed").toJSON(), user.toJSON());
+		deepStrictEqual(
+			userService.list().map((listedUser) => listedUser.name),
+			["alice"],
+		);
+	});
+
+	test(`${UserService.prototype.findOrCreateByIdentity.name} method suffixes names which are taken`, () => {
+		const issuer = "https://idp.example.com/";
+		const longName = "a".repeat(MAX_USER_NAME_LENGTH + 10);
+		userService.create("alice");
+
+		strictEqual(userService.findOrCreateByIdentity(issuer, "subject-1", "alice").name, "alice-2");
+		strictEqual(userService.findOrCreateByIdentity(issuer, "subject-2", "alice").name, "alice-3");
+		strictEqual(
+			userService.findOrCreateByIdentity(issuer, "subject-3", longName).name,
+			"a".repeat(MAX_USER_NAME_LENGTH),
+		);
+		strictEqual(
+			userService.findOrCreateByIdentity(issuer, "subject-4", longName).name,
+			`${"a".repeat(MAX_USER_NAME_LENGTH - 2)}-2`,
+		);
+	});
+
+	test(`${UserService.prototype.findOrCreateByIdentity.name} method rejects invalid parameters`, () => {
+		for (const [issuer, subject, preferredName] of [
+			[undefined, "subject", "name"],
+			["", "subject", "name"],
+			["issuer", null, "name"],
+			["issuer", "subject", undefined],
+			["issuer", "subject", " "],
+		]) {
+			throws(() => userService.findOrCreateByIdentity(issuer, subject, preferredName), TypeError);
+		}
+	});
+});
@@ -0,0 +1,73 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, strictEqual } from "node:assert";
+import { once } from "node:events";
+import express from "express";
+import { asyncHandler, asyncRouter } from "../../src/util/async-handler.js";
+
+/**
+ * @param {function(express.Request, express.Response, express.NextFunction): void} handler
+ * @return {Promise<*>} the error the handler passed on
+ */
+async function errorPassedOn(handler) {
+	return new Promise((resolve) => handler({}, {}, resolve));
+}
+
+describe("async handler", () => {
+	test(`${asyncHandler.name} passes on what the handler throws or rejects with`, async () => {
+		const error = new Error("failed");
+
+		strictEqual(
+			await errorPassedOn(
+				asyncHandler(() => {
+					throw error;
+				}),
+			),
+			error,
+		);
+		strictEqual(
+			await errorPassedOn(
+				asyncHandler(async () => {
+					throw error;
+				}),
+			),
+			error,
+		);
+	});
+
+	test(`${asyncHandler.name} passes on what the handler passes on`, async () => {
+		strictEqual(await errorPassedOn(asyncHandler((req, res, next) => next("route"))), "route");
+	});
+
+	test(`${asyncRouter.name} passes on the errors of the handlers of the routes registered through it`, async () => {
+		const errors = [];
+		const router = express.Router();
+		asyncRouter(router)
+			.get(
+				"/",
+				async (req, res, next) => next(),
+				async () => {
+					throw new Error("failed");
+				},
+			)
+			.post("/", (req, res) => res.sendStatus(204));
+
+		const app = express();
+		app.use(router);
+		app.use((err, req, res, next) => {
+			errors.push(err.message);
+			res.sendStatus(500);
+		});
+
+		const server = app.listen(0);
+		await once(server, "listening");
+		try {
+			const url = `http://localhost:${server.address().port}/`;
+
+			strictEqual((await fetch(url)).status, 500);
+			strictEqual((await fetch(url, { method: "POST" })).status, 204);
+			deepStrictEqual(errors, ["failed"]);
+		} finally {
+			server.close();
+		}
+	});
+});
@@ -0,0 +1,27 @@
+import { describe, test } from "node:test";
+import { strictEqual } from "node:assert";
+import { formatCsv } from "../../src/util/csv.js";
+
+describe("CSV formatting", () => {
+	test(`${formatCsv.name} formats a header and a record per row`, () => {
+		strictEqual(
+			formatCsv(["id", "content"], [{ id: "1", content: "first" }, { id: 2 }]),
+			"id,content\r\n1,first\r\n2,\r\n",
+		);
+	});
+
+	test(`${formatCsv.name} quotes fields with delimiters, quotes and line breaks`, async (t) => {
+		for (const [value, expectedField] of [
+			["a,b", '"a,b"'],
+			['say "hi"', '"say ""hi"""'],
+			["two\nlines", '"two\nlines"'],
+			["carriage\rreturn", '"carriage\rreturn"'],
+			["plain text", "plain text"],
+			[null, ""],
+		]) {
+			await t.test(`${JSON.stringify(value)} expecting ${JSON.stringify(expectedField)}`, () => {
+				strictEqual(formatCsv(["value"], [{ value: value }]), `value\r\n${expectedField}\r\n`);
+			});
+		}
+	});
+});
@@ -0,0 +1,25 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual } from "node:assert";
+import { diffLines } from "../../src/util/diff.js";
+
+describe(`${diffLines.name}`, () => {
+	test("returns the lines of both texts marking changed lines", async (t) => {
+		for (const [oldText, newText, expectedChanges] of [
+			["a\nb", "a\nb", [" a", " b"]],
+			["a\nb\nc", "a\nc", [" a", "-b", " c"]],
+			["a\nc", "a\nb\nc", [" a", "+b", " c"]],
+			["a\nb\nc", "a\nB\nc", [" a", "-b", "+B", " c"]],
+			["a\nb\nc\na\nb\nb\na", "c\nb\na\nb\na\nc", ["-a", "-b", " c", "+b", " a", " b", "-b", " a", "+c"]],
+			["", "a", ["-", "+a"]],
+		]) {
+			await t.test(`${JSON.stringify(oldText)} to ${JSON.stringify(newText)}`, () => {
+				const prefixes = { equal: " ", delete: "-", insert: "+" };
+
+				deepStrictEqual(
+					diffLines(oldText, newText).map((change) => `${prefixes[change.type]}${change.line}`),
+					expectedChanges,
+				);
+			});
+		}
+	});
+});
@@ -0,0 +1,51 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { parseEnex, parseEnexDateTime } from "../../src/util/enex.js";
+
+describe("Evernote exports", () => {
+	test(`${parseEnex.name} reads the notes of the export`, () => {
+		const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE en-export SYSTEM "http://xml.evernote.com/pub/evernote-export3.dtd">
+<en-export export-date="20240322T022300Z" application="Evernote" version="10">
+	<note>
+		<title>Groceries &amp; more</title>
+		<content><![CDATA[<en-note><div>Milk</div></en-note>]]></content>
+		<created>20240101T120000Z</created>
+		<updated>20240102T120000Z</updated>
+		<tag>Home</tag>
+		<tag>Errands</tag>
+		<note-attributes><author>someone</author></note-attributes>
+	</note>
+	<note>
+		<content><![CDATA[<en-note/>]]></content>
+	</note>
+</en-export>`;
+
+		deepStrictEqual(parseEnex(xml), [
+			{
+				title: "Groceries & more",
+				content: "<en-note><div>Milk</div></en-note>",
+				created: "20240101T120000Z",
+				updated: "20240102T120000Z",
+				tags: ["Home", "Errands"],
+			},
+			{ title: "", content: "<en-note/>", created: null, updated: null, tags: [] },
+		]);
+	});
+
+	test(`${parseEnex.name} rejects documents which are not an Evernote export`, () => {
+		for (const xml of ["", "not xml", "<html><body/></html>", "<en-export/><en-export/>"]) {
+			throws(() => parseEnex(xml), RangeError, xml);
+		}
+
+		throws(() => parseEnex(Buffer.from("<en-export/>")), TypeError);
+	});
+
+	test(`${parseEnexDateTime.name} reads the UTC date times of the export`, () => {
+		deepStrictEqual(parseEnexDateTime("20240322T022300Z"), new Date("2024-03-22T02:23:00Z"));
+
+		for (const value of ["2024-03-22T02:23:00Z", "20240322T022300", "20240332T022300Z", "20240322T252300Z"]) {
+			strictEqual(parseEnexDateTime(value), null, value);
+		}
+	});
+});
@@ -0,0 +1,26 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, strictEqual } from "node:assert";
+import { formatVersionEtag, parseIfMatch } from "../../src/util/etag.js";
+
+describe("Entity tags", () => {
+	test(`${formatVersionEtag.name} formats a different strong entity tag for each representation of a version`, () => {
+		strictEqual(formatVersionEtag(3), '"3"');
+		strictEqual(formatVersionEtag(3, "application/json"), '"3"');
+		strictEqual(formatVersionEtag(3, "text/markdown"), '"3-markdown"');
+		strictEqual(formatVersionEtag(3, "text/plain"), '"3-plain"');
+	});
+
+	test(`${parseIfMatch.name} parses the versions of the strong entity tags of every representation`, async (t) => {
+		for (const [header, expectedVersions] of [
+			[undefined, undefined],
+			["*", "*"],
+			[' "1" ', [1]],
+			['"1", "2-markdown", "3-plain"', [1, 2, 3]],
+			['W/"1", "one", "2-", 3', []],
+		]) {
+			await t.test(`${JSON.stringify(header)} expecting ${JSON.stringify(expectedVersions)}`, () => {
+				deepStrictEqual(parseIfMatch(header), expectedVersions);
+			});
+		}
+	});
+});
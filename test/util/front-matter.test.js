@@ -0,0 +1,42 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { formatFrontMatter, parseFrontMatter } from "../../src/util/front-matter.js";
+
+describe("YAML front matter", () => {
+	test(`${formatFrontMatter.name} prefixes the text with a YAML block`, () => {
+		strictEqual(
+			formatFrontMatter({ id: "1", tags: ["a", "b c"], version: 2 }, "# Title\n"),
+			"---\nid: '1'\ntags:\n  - a\n  - b c\nversion: 2\n---\n# Title\n",
+		);
+	});
+
+	test(`${parseFrontMatter.name} reads what ${formatFrontMatter.name} writes`, () => {
+		const metadata = { id: "1", tags: ["a", "#b: c"], version: 2, creationDateTime: "2024-03-22T02:23:00.000Z" };
+
+		deepStrictEqual(parseFrontMatter(formatFrontMatter(metadata, "text\n---\nmore")), {
+			metadata: metadata,
+			text: "text\n---\nmore",
+		});
+	});
+
+	test(`${parseFrontMatter.name} splits the block off the text`, async (t) => {
+		for (const [text, expectedResult] of [
+			["no front matter", { metadata: {}, text: "no front matter" }],
+			["---\n---\ntext", { metadata: {}, text: "text" }],
+			["---\r\ntags: [a]\r\n---\r\ntext", { metadata: { tags: ["a"] }, text: "text" }],
+			["---\ntags: [a]\n---", { metadata: { tags: ["a"] }, text: "" }],
+			["--- not front matter\ntext", { metadata: {}, text: "--- not front matter\ntext" }],
+			["text\n---\ntags: [a]\n---\n", { metadata: {}, text: "text\n---\ntags: [a]\n---\n" }],
+		]) {
+			await t.test(JSON.stringify(text), () => {
+				deepStrictEqual(parseFrontMatter(text), expectedResult);
+			});
+		}
+	});
+
+	test(`${parseFrontMatter.name} rejects blocks which are not YAML mappings`, () => {
+		for (const text of ["---\ntags: [a\n---\n", "---\n- a\n---\n", "---\njust text\n---\n"]) {
+			throws(() => parseFrontMatter(text), RangeError, text);
+		}
+	});
+});
@@ -0,0 +1,61 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, strictEqual, throws } from "node:assert";
+import { htmlToMarkdown } from "../../src/util/html-to-markdown.js";
+
+describe("HTML to Markdown", () => {
+	test(`${htmlToMarkdown.name} converts the elements Markdown represents`, async (t) => {
+		for (const [html, expectedMarkdown] of [
+			["<p>one</p><p>two</p>", "one\n\ntwo"],
+			["<div>one</div>\n<div>two</div>", "one\n\ntwo"],
+			["<div>one<br/>two<br/></div>", "one  \ntwo"],
+			["<h1>Title</h1><h3>Part <i>one</i></h3>", "# Title\n\n### Part *one*"],
+			["<p>a <b>bold </b>and <em>emphasized</em> <s>old</s> word</p>", "a **bold** and *emphasized* ~~old~~ word"],
+			["<p>run <code>npm test</code> or <code>a`b</code></p>", "run `npm test` or ``a`b``"],
+			["<pre>if (a) {\n  b();\n}\n</pre>", "```\nif (a) {\n  b();\n}\n```"],
+			['<p>see <a href="https://example.com/a b">the docs</a></p>', "see [the docs](https://example.com/a%20b)"],
+			['<a href="https://example.com">https://example.com</a>', "<https://example.com>"],
+			['<img src="https://example.com/a.png" alt="A">', "![A](https://example.com/a.png)"],
+			["<ul><li>a</li><li>b<ul><li>c</li></ul></li></ul>", "- a\n- b\n  - c"],
+			['<ol start="3"><li>a</li><li>b</li></ol>', "3. a\n4. b"],
+			["<blockquote><p>a</p><p>b</p></blockquote>", "> a\n>\n> b"],
+			["<p>a</p><hr><p>b</p>", "a\n\n---\n\nb"],
+			[
+				"<table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>x|y</td></tr></table>",
+				"| A | B |\n| --- | --- |\n| 1 | x\\|y |",
+			],
+			["<p>*not* [a link] # or_this</p>", "\\*not\\* \\[a link\\] # or\\_this"],
+			["<p># not a heading</p><p>1. not a list</p>", "\\# not a heading\n\n1\\. not a list"],
+			["<html><head><title>T</title><style>p {}</style></head><body><p>text</p></body></html>", "text"],
+		]) {
+			await t.test(html, () => {
+				deepStrictEqual(htmlToMarkdown(html), { markdown: expectedMarkdown, warnings: [] });
+			});
+		}
+	});
+
+	test(`${htmlToMarkdown.name} converts Evernote to-dos to a task list`, () => {
+		const enml =
+			'<?xml version="1.0" encoding="UTF-8"?>' +
+			'<!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd">' +
+			'<en-note><div><en-todo checked="true"/>Milk</div><div><en-todo checked="false"/>Eggs</div>' +
+			"<div>Bread&nbsp;and&nbsp;butter</div></en-note>";
+
+		strictEqual(htmlToMarkdown(enml).markdown, "- [x] Milk\n- [ ] Eggs\n\nBread and butter");
+	});
+
+	test(`${htmlToMarkdown.name} warns once about each kind of content left out`, () => {
+		const { markdown, warnings } = htmlToMarkdown(
+			'<en-note><div>a</div><en-media type="image/png" hash="1"/><en-media type="image/png" hash="2"/>' +
+				'<en-crypt cipher="AES">secret</en-crypt><iframe src="https://example.com"></iframe>' +
+				'<img src="data:image/png;base64,AAAA" alt="inline"></en-note>',
+		);
+
+		strictEqual(markdown, "a\n\ninline");
+		strictEqual(warnings.length, 4);
+		strictEqual(warnings.filter((warning) => warning.includes("image/png")).length, 1);
+	});
+
+	test(`${htmlToMarkdown.name} rejects invalid html parameter`, () => {
+		throws(() => htmlToMarkdown(null), TypeError);
+	});
+});
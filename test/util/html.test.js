@@ -0,0 +1,19 @@
+import { describe, test } from "node:test";
+import { strictEqual } from "node:assert";
+import { escapeHtml } from "../../src/util/html.js";
+
+describe("HTML escaping", () => {
+	test(`${escapeHtml.name} escapes the characters which are special in HTML`, async (t) => {
+		for (const [text, expectedResult] of [
+			["", ""],
+			["plain text", "plain text"],
+			["<script>alert(1)</script>", "&lt;script&gt;alert(1)&lt;/script&gt;"],
+			[`"quoted" & 'single'`, "&quot;quoted&quot; &amp; &#39;single&#39;"],
+			["&amp;", "&amp;amp;"],
+		]) {
+			await t.test(`"${text}" expecting "${expectedResult}"`, () => {
+				strictEqual(escapeHtml(text), expectedResult);
+			});
+		}
+	});
+});
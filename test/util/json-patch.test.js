@@ -0,0 +1,116 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, throws } from "node:assert";
+import { JsonPatch, MergePatch, PatchConflictError } from "../../src/util/json-patch.js";
+
+const testDocument = () => ({
+	id: "109156be-c4fb-41ea-b1b4-efe1671c5836",
+	content: "content",
+	tags: ["home", "work"],
+	nested: { "a/b": 1, "m~n": 2 },
+});
+
+describe(`${MergePatch.name}`, () => {
+	test("constructor rejects undefined patch", () => {
+		throws(() => new MergePatch(undefined), TypeError);
+	});
+
+	test(`${MergePatch.prototype.apply.name} method follows RFC 7396 examples`, async (t) => {
+		for (const [target, patch, expectedResult] of [
+			[{ a: "b" }, { a: "c" }, { a: "c" }],
+			[{ a: "b" }, { b: "c" }, { a: "b", b: "c" }],
+			[{ a: "b" }, { a: null }, {}],
+			[{ a: "b", b: "c" }, { a: null }, { b: "c" }],
+			[{ a: ["b"] }, { a: "c" }, { a: "c" }],
+			[{ a: "c" }, { a: ["b"] }, { a: ["b"] }],
+			[{ a: { b: "c" } }, { a: { b: "d", c: null } }, { a: { b: "d" } }],
+			[{ a: [{ b: "c" }] }, { a: [1] }, { a: [1] }],
+			[
+				["a", "b"],
+				["c", "d"],
+				["c", "d"],
+			],
+			[{ a: "b" }, ["c"], ["c"]],
+			[{ a: "foo" }, null, null],
+			[{ a: "foo" }, "bar", "bar"],
+			[{ e: null }, { a: 1 }, { e: null, a: 1 }],
+			[[1, 2], { a: "b", c: null }, { a: "b" }],
+			[{}, { a: { bb: { ccc: null } } }, { a: { bb: {} } }],
+		]) {
+			await t.test(`target ${JSON.stringify(target)} patch ${JSON.stringify(patch)}`, () => {
+				const originalTarget = structuredClone(target);
+
+				deepStrictEqual(new MergePatch(patch).apply(target), expectedResult);
+				deepStrictEqual(target, originalTarget);
+			});
+		}
+	});
+});
+
+describe(`${JsonPatch.name}`, () => {
+	test("constructor rejects malformed patch documents", async (t) => {
+		for (const operations of [
+			undefined,
+			null,
+			{},
+			"add",
+			[null],
+			[{ path: "/content", value: "a" }],
+			[{ op: "unknown", path: "/content" }],
+			[{ op: "add", path: "content", value: "a" }],
+			[{ op: "add", path: "/content" }],
+			[{ op: "move", path: "/content" }],
+		]) {
+			await t.test(`operations ${JSON.stringify(operations)} expecting to throw ${TypeError.name}`, () => {
+				throws(() => new JsonPatch(operations), TypeError);
+			});
+		}
+	});
+
+	test(`${JsonPatch.prototype.apply.name} method applies operations in order`, async (t) => {
+		for (const [operations, expectedChanges] of [
+			[[{ op: "replace", path: "/content", value: "updated" }], { content: "updated" }],
+			[[{ op: "add", path: "/tags/-", value: "play" }], { tags: ["home", "work", "play"] }],
+			[[{ op: "add", path: "/tags/0", value: "play" }], { tags: ["play", "home", "work"] }],
+			[[{ op: "remove", path: "/tags/1" }], { tags: ["home"] }],
+			[[{ op: "replace", path: "/nested/a~1b", value: 3 }], { nested: { "a/b": 3, "m~n": 2 } }],
+			[[{ op: "remove", path: "/nested/m~0n" }], { nested: { "a/b": 1 } }],
+			[[{ op: "copy", from: "/tags/0", path: "/tags/-" }], { tags: ["home", "work", "home"] }],
+			[[{ op: "move", from: "/tags/0", path: "/tags/-" }], { tags: ["work", "home"] }],
+			[
+				[
+					{ op: "test", path: "/content", value: "content" },
+					{ op: "test", path: "/tags", value: ["home", "work"] },
+					{ op: "replace", path: "/content", value: "tested" },
+				],
+				{ content: "tested" },
+			],
+		]) {
+			await t.test(`operations ${JSON.stringify(operations)}`, () => {
+				const document = testDocument();
+
+				deepStrictEqual(new JsonPatch(operations).apply(document), { ...testDocument(), ...expectedChanges });
+				deepStrictEqual(document, testDocument());
+			});
+		}
+	});
+
+	test(`${JsonPatch.prototype.apply.name} method rejects operations which cannot be applied`, async (t) => {
+		for (const operations of [
+			[{ op: "test", path: "/content", value: "other" }],
+			[{ op: "remove", path: "/missing" }],
+			[{ op: "replace", path: "/missing", value: "a" }],
+			[{ op: "add", path: "/missing/child", value: "a" }],
+			[{ op: "add", path: "/tags/3", value: "a" }],
+			[{ op: "remove", path: "/tags/01" }],
+			[{ op: "move", from: "/nested", path: "/nested/child" }],
+			[
+				{ op: "replace", path: "/content", value: "updated" },
+				{ op: "test", path: "/content", value: "content" },
+			],
+		]) {
+			await t.test(`operations ${JSON.stringify(operations)} expecting to throw ${PatchConflictError.name}`, () => {
+				throws(() => new JsonPatch(operations).apply(testDocument()), PatchConflictError);
+			});
+		}
+	});
+});
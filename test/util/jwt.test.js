@@ -0,0 +1,282 @@
+import { after, before, describe, test } from "node:test";
+import { deepStrictEqual, ok, rejects, strictEqual, throws } from "node:assert";
+import * as http from "node:http";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createHmac, generateKeyPairSync, sign } from "node:crypto";
+import { JwksKeySet, JwtVerificationError, JwtVerifier, isJwt } from "../../src/util/jwt.js";
+
+const issuer = "https://idp.example.com/";
+const audience = "notes-api";
+const now = new Date("2024-04-22T02:23:00Z");
+const nowSeconds = Math.floor(now.getTime() / 1000);
+
+const rsaKeyPair = generateKeyPairSync("rsa", { modulusLength: 2048 });
+const ecKeyPair = generateKeyPairSync("ec", { namedCurve: "P-256" });
+const otherRsaKeyPair = generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+const rsaJwk = { ...rsaKeyPair.publicKey.export({ format: "jwk" }), kid: "rsa", alg: "RS256", use: "sig" };
+const ecJwk = { ...ecKeyPair.publicKey.export({ format: "jwk" }), kid: "ec", use: "sig" };
+const jwks = { keys: [rsaJwk, ecJwk] };
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+/**
+ * Sign a token the way an identity provider would
+ * @param {object} header
+ * @param {object} claims
+ * @param {KeyObject} privateKey
+ * @return {string} the JWS compact serialization of the token
+ */
+function signToken(header, claims, privateKey) {
+	const signingInput = `${encode(header)}.${encode(claims)}`;
+	const signature =
+		header.alg === "ES256"
+			? sign("sha256", Buffer.from(signingInput), { key: privateKey, dsaEncoding: "ieee-p1363" })
+			: sign("sha256", Buffer.from(signingInput), privateKey);
+
+	return `${signingInput}.${signature.toString("base64url")}`;
+}
+
+const validClaims = (overrides = {}) => ({
+	iss: issuer,
+	aud: audience,
+	sub: "subject-1",
+	iat: nowSeconds - 10,
+	nbf: nowSeconds - 10,
+	exp: nowSeconds + 300,
+	...overrides,
+});
+
+const rsaToken = (claims = validClaims(), header = {}) =>
+	signToken({ alg: "RS256", typ: "JWT", kid: "rsa", ...header }, claims, rsaKeyPair.privateKey);
+
+const ecToken = (claims = validClaims(), header = {}) =>
+	signToken({ alg: "ES256", typ: "JWT", kid: "ec", ...header }, claims, ecKeyPair.privateKey);
+
+describe("JWT verification", () => {
+	const verifier = new JwtVerifier(new JwksKeySet(jwks), { issuer: issuer, audience: audience });
+
+	test(`${isJwt.name} checks value parameter`, async (t) => {
+		for (const [value, expectedResult] of [
+			[undefined, false],
+			[null, false],
+			["", false],
+			[`nk_${"a".repeat(43)}`, false],
+			["a.b", false],
+			["a.b.c.d", false],
+			["a.b.", false],
+			["a+.b.c", false],
+			["a.b.c", true],
+			[rsaToken(), true],
+		]) {
+			await t.test(`value ${typeof value} "${value}" expecting ${expectedResult}`, () => {
+				strictEqual(isJwt(value), expectedResult);
+			});
+		}
+	});
+
+	describe(JwksKeySet.name, () => {
+		test("constructor keeps only signing keys of supported key types", () => {
+			const keySet = new JwksKeySet({
+				keys: [
+					rsaJwk,
+					ecJwk,
+					{ ...otherRsaKeyPair.publicKey.export({ format: "jwk" }), kid: "enc", use: "enc" },
+					{ kty: "oct", k: "c2VjcmV0", kid: "hmac" },
+				],
+			});
+
+			strictEqual(keySet.size, 2);
+			strictEqual(keySet.findKeys("RS256", "enc").length, 0);
+			strictEqual(keySet.findKeys("HS256", "hmac").length, 0);
+		});
+
+		test("constructor rejects invalid key sets", () => {
+			for (const invalidJwks of [undefined, null, [], {}, { keys: {} }]) {
+				throws(() => new JwksKeySet(invalidJwks), TypeError);
+			}
+
+			throws(() => new JwksKeySet({ keys: [{ kty: "RSA", kid: "broken", n: "AQAB" }] }), RangeError);
+		});
+
+		test("findKeys matches algorithm, curve and key id", () => {
+			const keySet = new JwksKeySet(jwks);
+
+			strictEqual(keySet.findKeys("RS256", "rsa").length, 1);
+			strictEqual(keySet.findKeys("RS256", undefined).length, 1);
+			strictEqual(keySet.findKeys("ES256", "ec").length, 1);
+			strictEqual(keySet.findKeys("ES256", "rsa").length, 0);
+			strictEqual(keySet.findKeys("RS256", "unknown").length, 0);
+			strictEqual(keySet.findKeys("none", undefined).length, 0);
+		});
+
+		describe(`${JwksKeySet.name}.load`, () => {
+			/**
+			 * @type {string}
+			 */
+			let directory;
+
+			/**
+			 * @type {http.Server}
+			 */
+			let jwksServer;
+
+			/**
+			 * @type {string}
+			 */
+			let jwksUrl;
+
+			before(async () => {
+				directory = await fs.mkdtemp(path.join(os.tmpdir(), "jwks-"));
+
+				jwksServer = http.createServer((req, res) => {
+					if (req.url === "/.well-known/jwks.json") {
+						res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify(jwks));
+					} else {
+						res.writeHead(404).end();
+					}
+				});
+				await new Promise((resolve) => jwksServer.listen(0, "127.0.0.1", resolve));
+				jwksUrl = `http://127.0.0.1:${jwksServer.address().port}`;
+			});
+
+			after(async () => {
+				jwksServer.close();
+				await fs.rm(directory, { recursive: true, force: true });
+			});
+
+			test("loads a key set from a file", async () => {
+				const file = path.join(directory, "jwks.json");
+				await fs.writeFile(file, JSON.stringify(jwks));
+
+				const keySet = await JwksKeySet.load(file);
+
+				strictEqual(keySet.size, 2);
+			});
+
+			test("loads a key set from a local URL", async () => {
+				const keySet = await JwksKeySet.load(`${jwksUrl}/.well-known/jwks.json`);
+
+				strictEqual(keySet.size, 2);
+			});
+
+			test("rejects missing sources and non string sources", async () => {
+				await rejects(JwksKeySet.load(path.join(directory, "missing.json")));
+				await rejects(JwksKeySet.load(`${jwksUrl}/missing.json`), /status 404/);
+				await rejects(JwksKeySet.load(undefined), TypeError);
+			});
+		});
+	});
+
+	describe(JwtVerifier.name, () => {
+		test("constructor validates parameters", () => {
+			const keySet = new JwksKeySet(jwks);
+
+			throws(() => new JwtVerifier(jwks, { issuer: issuer, audience: audience }), TypeError);
+			throws(() => new JwtVerifier(keySet, { audience: audience }), TypeError);
+			throws(() => new JwtVerifier(keySet, { issuer: issuer, audience: "" }), TypeError);
+			throws(() => new JwtVerifier(keySet, { issuer: issuer, audience: audience, algorithms: [] }), RangeError);
+			throws(() => new JwtVerifier(keySet, { issuer: issuer, audience: audience, algorithms: ["HS256"] }), RangeError);
+			throws(
+				() => new JwtVerifier(keySet, { issuer: issuer, audience: audience, clockToleranceSeconds: -1 }),
+				TypeError,
+			);
+			throws(
+				() => new JwtVerifier(keySet, { issuer: issuer, audience: audience, clockToleranceSeconds: 1.5 }),
+				TypeError,
+			);
+		});
+
+		test("verify returns the claims of RS256 and ES256 tokens", () => {
+			deepStrictEqual(verifier.verify(rsaToken(), now), validClaims());
+			deepStrictEqual(verifier.verify(ecToken(), now), validClaims());
+		});
+
+		test("verify accepts tokens without a key id and with an audience array", () => {
+			const claims = validClaims({ aud: ["other", audience] });
+
+			deepStrictEqual(verifier.verify(rsaToken(claims, { kid: undefined }), now), claims);
+		});
+
+		test("verify rejects tokens with invalid signatures", () => {
+			const otherKeyToken = signToken(
+				{ alg: "RS256", typ: "JWT", kid: "rsa" },
+				validClaims(),
+				otherRsaKeyPair.privateKey,
+			);
+			const [header, , signature] = rsaToken().split(".");
+			const tamperedToken = `${header}.${encode(validClaims({ sub: "admin" }))}.${signature}`;
+
+			for (const token of [otherKeyToken, tamperedToken]) {
+				throws(() => verifier.verify(token, now), JwtVerificationError);
+			}
+		});
+
+		test("verify rejects tokens with unaccepted algorithms", () => {
+			const header = { typ: "JWT", kid: "rsa" };
+			const noneToken = `${encode({ ...header, alg: "none" })}.${encode(validClaims())}.`;
+			const signingInput = `${encode({ ...header, alg: "HS256" })}.${encode(validClaims())}`;
+			// Signed with the public key as the HMAC secret, as in a key confusion attack
+			const hmacToken = `${signingInput}.${createHmac(
+				"sha256",
+				rsaKeyPair.publicKey.export({ type: "spki", format: "pem" }),
+			)
+				.update(signingInput)
+				.digest("base64url")}`;
+			const rsaOnlyVerifier = new JwtVerifier(new JwksKeySet(jwks), {
+				issuer: issuer,
+				audience: audience,
+				algorithms: ["RS256"],
+			});
+
+			throws(() => verifier.verify(noneToken, now), JwtVerificationError);
+			throws(() => verifier.verify(hmacToken, now), /algorithm HS256 is not accepted/);
+			throws(() => rsaOnlyVerifier.verify(ecToken(), now), /algorithm ES256 is not accepted/);
+		});
+
+		test("verify rejects tokens signed by unknown keys or with critical headers", () => {
+			throws(() => verifier.verify(rsaToken(validClaims(), { kid: "unknown" }), now), /no key matches/);
+			throws(() => verifier.verify(rsaToken(validClaims(), { crit: ["exp"], exp: 1 }), now), /critical/);
+		});
+
+		test("verify rejects malformed tokens", () => {
+			for (const token of [undefined, "", "a.b", `${encode("header")}.${encode(validClaims())}.c`, "a.b.c"]) {
+				throws(() => verifier.verify(token, now), JwtVerificationError);
+			}
+		});
+
+		test("verify rejects tokens with unacceptable claims", async (t) => {
+			for (const [description, claims, expectedMessage] of [
+				["missing exp", validClaims({ exp: undefined }), /no exp claim/],
+				["expired", validClaims({ exp: nowSeconds - 61 }), /expired/],
+				["not valid yet", validClaims({ nbf: nowSeconds + 61 }), /not valid yet/],
+				["issued in the future", validClaims({ iat: nowSeconds + 61 }), /issued in the future/],
+				["other issuer", validClaims({ iss: "https://other.example.com/" }), /issuer/],
+				["missing issuer", validClaims({ iss: undefined }), /issuer/],
+				["other audience", validClaims({ aud: "other" }), /audience/],
+				["other audiences", validClaims({ aud: ["other", "another"] }), /audience/],
+				["missing subject", validClaims({ sub: undefined }), /no sub claim/],
+				["empty subject", validClaims({ sub: "" }), /no sub claim/],
+			]) {
+				await t.test(description, () => {
+					throws(() => verifier.verify(rsaToken(claims), now), expectedMessage);
+				});
+			}
+		});
+
+		test("verify allows for the configured clock skew", () => {
+			const skewedClaims = validClaims({ exp: nowSeconds - 30, nbf: nowSeconds + 30, iat: nowSeconds + 30 });
+			const strictVerifier = new JwtVerifier(new JwksKeySet(jwks), {
+				issuer: issuer,
+				audience: audience,
+				clockToleranceSeconds: 0,
+			});
+
+			deepStrictEqual(verifier.verify(rsaToken(skewedClaims), now), skewedClaims);
+			throws(() => strictVerifier.verify(rsaToken(skewedClaims), now), /expired/);
+			ok(strictVerifier.verify(rsaToken(), now));
+		});
+	});
+});
@@ -0,0 +1,43 @@
+import { describe, test } from "node:test";
+import { notStrictEqual, match, rejects, strictEqual } from "node:assert";
+import { MAX_PASSWORD_LENGTH, hashPassword, verifyPassword } from "../../src/util/password.js";
+
+describe("password hashing", () => {
+	test(`${hashPassword.name} creates salted scrypt hashes`, async () => {
+		const passwordHash = await hashPassword("correct horse");
+
+		match(passwordHash, /^scrypt\$16384\$8\$1\$[A-Za-z0-9_-]{22}\$[A-Za-z0-9_-]{43}$/);
+		notStrictEqual(await hashPassword("correct horse"), passwordHash);
+	});
+
+	test(`${hashPassword.name} rejects invalid passwords`, async () => {
+		for (const [password, expectedError] of [
+			[undefined, TypeError],
+			[1234, TypeError],
+			["", RangeError],
+			["a".repeat(MAX_PASSWORD_LENGTH + 1), RangeError],
+		]) {
+			await rejects(hashPassword(password), expectedError);
+		}
+	});
+
+	test(`${verifyPassword.name} only matches the hashed password`, async () => {
+		const passwordHash = await hashPassword("correct horse");
+
+		strictEqual(await verifyPassword("correct horse", passwordHash), true);
+		strictEqual(await verifyPassword("Correct horse", passwordHash), false);
+		strictEqual(await verifyPassword("", passwordHash), false);
+		strictEqual(await verifyPassword(undefined, passwordHash), false);
+	});
+
+	test(`${verifyPassword.name} matches passwords regardless of Unicode normalization`, async () => {
+		const passwordHash = await hashPassword("caf\u00e9");
+
+		strictEqual(await verifyPassword("cafe\u0301", passwordHash), true);
+	});
+
+	test(`${verifyPassword.name} rejects hashes which are not scrypt hashes`, async () => {
+		await rejects(verifyPassword("password", undefined), TypeError);
+		await rejects(verifyPassword("password", "bcrypt$hash"), RangeError);
+	});
+});
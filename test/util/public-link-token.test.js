@@ -0,0 +1,44 @@
+import { describe, test } from "node:test";
+import { deepStrictEqual, notDeepStrictEqual, notStrictEqual, strictEqual, throws } from "node:assert";
+import {
+	PUBLIC_LINK_TOKEN_PREFIX,
+	generatePublicLinkToken,
+	hashPublicLinkToken,
+	isPublicLinkToken,
+} from "../../src/util/public-link-token.js";
+
+describe("public link tokens", () => {
+	test(`${generatePublicLinkToken.name} generates distinct well formed tokens`, () => {
+		const token = generatePublicLinkToken();
+
+		strictEqual(token.startsWith(PUBLIC_LINK_TOKEN_PREFIX), true);
+		strictEqual(isPublicLinkToken(token), true);
+		notStrictEqual(generatePublicLinkToken(), token);
+	});
+
+	test(`${isPublicLinkToken.name} checks value parameter`, async (t) => {
+		for (const [value, expectedResult] of [
+			[undefined, false],
+			[null, false],
+			["", false],
+			[`nk_${"a".repeat(43)}`, false],
+			[`pl_${"a".repeat(42)}`, false],
+			[`pl_${"a".repeat(44)}`, false],
+			[`pl_${"a".repeat(42)}+`, false],
+			[`pl_${"a".repeat(41)}_-`, true],
+		]) {
+			await t.test(`value ${typeof value} "${value}" expecting ${expectedResult}`, () => {
+				strictEqual(isPublicLinkToken(value), expectedResult);
+			});
+		}
+	});
+
+	test(`${hashPublicLinkToken.name} hashes tokens deterministically`, () => {
+		const token = generatePublicLinkToken();
+
+		strictEqual(hashPublicLinkToken(token).length, 32);
+		deepStrictEqual(hashPublicLinkToken(token), hashPublicLinkToken(token));
+		notDeepStrictEqual(hashPublicLinkToken(generatePublicLinkToken()), hashPublicLinkToken(token));
+		throws(() => hashPublicLinkToken(undefined), TypeError);
+	});
+});
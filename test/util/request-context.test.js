@@ -0,0 +1,63 @@
+import { describe, test } from "node:test";
+import { ok, strictEqual, throws } from "node:assert";
+import { setTimeout as sleep } from "node:timers/promises";
+import {
+	RequestContext,
+	currentRequestContext,
+	generateRequestId,
+	isRequestId,
+	runInRequestContext,
+} from "../../src/util/request-context.js";
+
+describe("request context", () => {
+	test(`${isRequestId.name} accepts short ids of safe characters`, () => {
+		for (const validRequestId of ["a", "0f8fad5b-d9cb-469f-a165-70867728950e", "trace:1.2_3", "x".repeat(128)]) {
+			strictEqual(isRequestId(validRequestId), true, validRequestId);
+		}
+
+		for (const requestId of [undefined, null, 1, "", "x".repeat(129), "a b", "a\nb", "<script>", "ü"]) {
+			strictEqual(isRequestId(requestId), false, `${requestId}`);
+		}
+	});
+
+	test(`${generateRequestId.name} generates distinct valid ids`, () => {
+		const requestId = generateRequestId();
+
+		strictEqual(isRequestId(requestId), true);
+		ok(requestId !== generateRequestId());
+	});
+
+	test("constructor rejects invalid arguments", () => {
+		throws(() => new RequestContext("a b"), TypeError);
+		throws(() => new RequestContext(undefined), TypeError);
+		throws(() => new RequestContext("id", 0), TypeError);
+	});
+
+	test("latencyMs is the time since the start of the request", () => {
+		const context = new RequestContext("id", process.hrtime.bigint() - 1_500_000n);
+
+		ok(context.latencyMs >= 1.5, `${context.latencyMs}`);
+		ok(context.latencyMs < 1000, `${context.latencyMs}`);
+	});
+
+	test(`${runInRequestContext.name} makes the context current in everything the callback awaits`, async () => {
+		const context = new RequestContext("id");
+
+		strictEqual(currentRequestContext(), null);
+
+		const result = await runInRequestContext(context, async () => {
+			strictEqual(currentRequestContext(), context);
+			await sleep(1);
+			strictEqual(currentRequestContext(), context);
+
+			return "done";
+		});
+
+		strictEqual(result, "done");
+		strictEqual(currentRequestContext(), null);
+	});
+
+	test(`${runInRequestContext.name} rejects contexts which are not a ${RequestContext.name}`, () => {
+		throws(() => runInRequestContext({ requestId: "id" }, () => {}), TypeError);
+	});
+});